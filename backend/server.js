@@ -19,6 +19,7 @@ const { initializeQueue } = require('./src/config/queue');
 const routes = require('./src/routes');
 const { errorHandler } = require('./src/middleware/errorHandler');
 const { startWebhookServer } = require('./src/services/webhook/webhookServer');
+const { startFeedScheduler, stopFeedScheduler } = require('./src/services/content/feedPoller');
 
 // Initialize Express app
 const app = express();
@@ -140,6 +141,9 @@ async function startServer() {
     await initializeQueue();
     logger.info('✅ Job queue initialized');
 
+    // Poll RSS/Atom feed subscriptions
+    startFeedScheduler();
+
     // Start main API server
     const PORT = process.env.PORT || 3001;
     const server = app.listen(PORT, () => {
@@ -159,7 +163,8 @@ async function startServer() {
     // Graceful shutdown
     const gracefulShutdown = (signal) => {
       logger.info(`📯 Received ${signal}. Starting graceful shutdown...`);
-      
+      stopFeedScheduler();
+
       server.close(() => {
         logger.info('🔒 HTTP server closed');
         
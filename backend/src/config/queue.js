@@ -137,7 +137,23 @@ function setupJobProcessors() {
     contentProcessingQueue.process('generate-hooks', 2, processHookGeneration);
     contentProcessingQueue.process('generate-posts', 3, processPostGeneration);
     contentProcessingQueue.process('batch-content', 1, processBatchContent);
-    
+
+    // Webhook follow-up Jobs
+    const { processZoomTranscriptFetch } = require('../services/webhook/queueProcessors');
+    contentProcessingQueue.process('fetch-zoom-transcript', 2, processZoomTranscriptFetch);
+
+    // Feed polling Jobs
+    const { processFeedPoll } = require('../services/content/feedPoller');
+    contentProcessingQueue.process('poll-feed', 2, processFeedPoll);
+
+    // Knowledge base embedding Jobs
+    const { processKnowledgeEmbedding } = require('../services/ai/knowledgeBase');
+    contentProcessingQueue.process('embed-knowledge', 2, processKnowledgeEmbedding);
+
+    // Post revision Jobs
+    const { processPostRevision } = require('../services/ai/postReviser');
+    contentProcessingQueue.process('regenerate-post', 2, processPostRevision);
+
     // Image Generation Jobs
     const { processImageGeneration } = require('../services/ai/imageQueueProcessor');
     imageGenerationQueue.process('generate-image', 2, processImageGeneration);
@@ -166,7 +182,7 @@ function setupJobProcessors() {
 
 /**
  * Add job to content processing queue
- * @param {string} jobType - Type of job (generate-hooks, generate-posts)
+ * @param {string} jobType - Type of job (generate-hooks, generate-posts, poll-feed)
  * @param {Object} jobData - Job data
  * @param {Object} options - Job options
  */
@@ -0,0 +1,30 @@
+-- Marketing Machine - Per-Company Webhook Routing
+-- Each webhook config gets its own ingest token so deliveries resolve to the right company
+
+-- Ingest token (last path segment of the webhook URL)
+ALTER TABLE webhook_configs
+ADD COLUMN IF NOT EXISTS ingest_token VARCHAR(64);
+
+-- Backfill tokens for configs created before this migration
+UPDATE webhook_configs
+SET ingest_token = substring(webhook_url from '[^/]+$')
+WHERE ingest_token IS NULL;
+
+-- Default signature header for configs that never set one
+UPDATE webhook_configs
+SET signature_header = 'x-webhook-signature'
+WHERE signature_header IS NULL;
+
+ALTER TABLE webhook_configs
+ALTER COLUMN signature_header SET DEFAULT 'x-webhook-signature';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_configs_ingest_token ON webhook_configs(ingest_token);
+CREATE INDEX IF NOT EXISTS idx_webhook_configs_company ON webhook_configs(company_id);
+
+-- Delivery log lookups
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_config ON webhook_deliveries(webhook_config_id, received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+
+-- Comments for documentation
+COMMENT ON COLUMN webhook_configs.ingest_token IS 'Unique path segment that routes incoming webhooks to this config and its company';
+COMMENT ON COLUMN webhook_configs.signature_header IS 'Request header carrying the HMAC-SHA256 signature computed with secret_key';
@@ -0,0 +1,40 @@
+-- Marketing Machine - Webhook Delivery Replay
+-- Replay failed deliveries without creating duplicate content for the same meeting
+
+-- Provider meeting/recording ID of content that came in through a webhook
+ALTER TABLE content_sources
+ADD COLUMN IF NOT EXISTS external_id VARCHAR(255);
+
+-- Backfill from the meeting IDs the webhook server already stored in metadata.
+-- Only the oldest copy of an already duplicated meeting gets the ID.
+UPDATE content_sources cs
+SET external_id = first_copy.external_id
+FROM (
+  SELECT DISTINCT ON (company_id, source_name, external_id) id, external_id
+  FROM (
+    SELECT id, company_id, source_name, created_at,
+           COALESCE(metadata->>'meeting_uuid', metadata->>'meeting_id', metadata->>'otter_id') AS external_id
+    FROM content_sources
+    WHERE source_type = 'webhook'
+  ) candidates
+  WHERE external_id IS NOT NULL
+  ORDER BY company_id, source_name, external_id, created_at
+) first_copy
+WHERE cs.id = first_copy.id
+  AND cs.external_id IS NULL;
+
+-- Same meeting from the same source can only be stored once per company
+CREATE UNIQUE INDEX IF NOT EXISTS idx_content_sources_external_id
+ON content_sources(company_id, source_name, external_id)
+WHERE external_id IS NOT NULL;
+
+-- Replay bookkeeping on deliveries
+ALTER TABLE webhook_deliveries
+ADD COLUMN IF NOT EXISTS signature_verified BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS replay_count INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_replayed_at TIMESTAMP;
+
+-- Comments for documentation
+COMMENT ON COLUMN content_sources.external_id IS 'Meeting or recording ID from the source system, used to make webhook ingestion idempotent';
+COMMENT ON COLUMN webhook_deliveries.signature_verified IS 'Delivery passed signature verification and may be replayed';
+COMMENT ON COLUMN webhook_deliveries.replay_count IS 'Number of times the delivery was replayed from the stored payload';
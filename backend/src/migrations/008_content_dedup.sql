@@ -0,0 +1,23 @@
+-- Marketing Machine - Webhook Content Deduplication
+-- Content hashes for exact duplicates and near-duplicate flags (pg_trgm)
+
+CREATE EXTENSION IF NOT EXISTS "pg_trgm";
+
+ALTER TABLE content_sources
+ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64),
+ADD COLUMN IF NOT EXISTS near_duplicate_of INTEGER REFERENCES content_sources(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS near_duplicate_similarity REAL;
+
+-- Backfill hashes; normalization matches computeContentHash in services/webhook/contentDedup.js
+UPDATE content_sources
+SET content_hash = encode(sha256(convert_to(btrim(regexp_replace(lower(content), '\s+', ' ', 'g')), 'UTF8')), 'hex')
+WHERE content_hash IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_content_sources_content_hash ON content_sources(company_id, content_hash);
+CREATE INDEX IF NOT EXISTS idx_content_sources_near_duplicate ON content_sources(near_duplicate_of)
+WHERE near_duplicate_of IS NOT NULL;
+
+-- Comments for documentation
+COMMENT ON COLUMN content_sources.content_hash IS 'SHA-256 of the lowercased, whitespace-collapsed content; identical transcripts share a hash';
+COMMENT ON COLUMN content_sources.near_duplicate_of IS 'Earlier content this transcript overlaps heavily with (pg_trgm similarity)';
+COMMENT ON COLUMN content_sources.near_duplicate_similarity IS 'Trigram similarity to near_duplicate_of, 0-1';
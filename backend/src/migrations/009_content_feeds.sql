@@ -0,0 +1,66 @@
+-- Marketing Machine - URL and Feed Content Sources
+-- RSS/Atom feed subscriptions polled on a schedule, with a per-feed log of items seen
+
+CREATE TABLE IF NOT EXISTS content_feeds (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE NOT NULL,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Feed details
+    name VARCHAR(100) NOT NULL,
+    feed_url VARCHAR(1000) NOT NULL,
+    feed_format VARCHAR(20), -- rss, atom (detected on first poll)
+    site_url VARCHAR(1000),
+
+    -- Configuration
+    content_type VARCHAR(50) DEFAULT 'blog_post',
+    fetch_full_article BOOLEAN DEFAULT TRUE, -- false uses the item's own content (e.g. podcast show notes)
+    filters JSONB DEFAULT '{}', -- title_include, title_exclude, categories, exclude_categories, max_age_days
+    poll_interval_minutes INTEGER DEFAULT 60,
+
+    -- Status
+    status VARCHAR(50) DEFAULT 'active', -- active, paused, error
+    last_polled_at TIMESTAMP,
+    last_error TEXT,
+    consecutive_failures INTEGER DEFAULT 0,
+    etag VARCHAR(255),
+    last_modified VARCHAR(100),
+    items_ingested INTEGER DEFAULT 0,
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(company_id, feed_url)
+);
+
+-- Every feed item seen, so each item is ingested at most once
+CREATE TABLE IF NOT EXISTS content_feed_items (
+    id SERIAL PRIMARY KEY,
+    feed_id INTEGER REFERENCES content_feeds(id) ON DELETE CASCADE,
+    guid VARCHAR(500) NOT NULL,
+    link VARCHAR(1000),
+    title VARCHAR(255),
+    published_at TIMESTAMP,
+
+    status VARCHAR(50) NOT NULL, -- pending, ingested, duplicate, filtered, skipped, failed
+    filter_reason TEXT,
+    content_source_id INTEGER REFERENCES content_sources(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(feed_id, guid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_feeds_company ON content_feeds(company_id);
+CREATE INDEX IF NOT EXISTS idx_content_feeds_due ON content_feeds(status, last_polled_at);
+CREATE INDEX IF NOT EXISTS idx_content_feed_items_feed ON content_feed_items(feed_id, created_at DESC);
+
+CREATE TRIGGER update_content_feeds_updated_at BEFORE UPDATE ON content_feeds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Comments for documentation
+COMMENT ON TABLE content_feeds IS 'RSS/Atom subscriptions whose new items are ingested as content sources';
+COMMENT ON TABLE content_feed_items IS 'Items seen per feed; the unique guid keeps retries and overlapping polls from ingesting twice';
+COMMENT ON COLUMN content_sources.source_type IS 'webhook, manual, upload, url or feed';
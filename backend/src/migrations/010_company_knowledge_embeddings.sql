@@ -0,0 +1,33 @@
+-- Marketing Machine - Company Knowledge Retrieval
+-- Embedding pipeline state for company_knowledge and per-chunk embeddings for similarity search
+
+ALTER TABLE company_knowledge
+    ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS embedding_status VARCHAR(20) DEFAULT 'pending', -- pending, ready, failed
+    ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS embedding_error TEXT,
+    ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMP;
+
+-- Long documents are embedded in chunks so retrieval returns the relevant passage, not the whole document
+CREATE TABLE IF NOT EXISTS company_knowledge_chunks (
+    id SERIAL PRIMARY KEY,
+    knowledge_id INTEGER REFERENCES company_knowledge(id) ON DELETE CASCADE NOT NULL,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE NOT NULL,
+
+    chunk_index INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    token_count INTEGER,
+    embedding FLOAT8[] NOT NULL,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(knowledge_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_knowledge_chunks_company ON company_knowledge_chunks(company_id);
+CREATE INDEX IF NOT EXISTS idx_company_knowledge_embedding_status ON company_knowledge(company_id, embedding_status);
+
+-- Comments for documentation
+COMMENT ON TABLE company_knowledge_chunks IS 'Embedded passages of company_knowledge entries, searched by cosine similarity when building prompts';
+COMMENT ON COLUMN company_knowledge.embedding_vector IS 'Mean of the entry''s chunk embeddings';
+COMMENT ON COLUMN company_knowledge.embedding_status IS 'pending until the embed-knowledge job has embedded every chunk; failed keeps embedding_error';
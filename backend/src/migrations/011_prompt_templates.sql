@@ -0,0 +1,52 @@
+-- Marketing Machine - Prompt Template Registry
+-- Versioned hook, post and image prompt templates, per-company section overrides, and the
+-- template version recorded on every generated hook and post
+
+-- Global template versions. Sections map a section key to its content and replace the built-in
+-- section of the same key (src/services/ai/promptTemplates.js); version 1 is the built-in template.
+-- Revise a prompt by inserting the next version in a migration.
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL, -- hooks, posts, image_prompts
+    version INTEGER NOT NULL,
+    sections JSONB NOT NULL DEFAULT '{}',
+    description TEXT,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(name, version)
+);
+
+INSERT INTO prompt_templates (name, version, sections, description) VALUES
+    ('hooks', 1, '{}', 'Built-in hook extraction prompt'),
+    ('posts', 1, '{}', 'Built-in LinkedIn post prompt'),
+    ('image_prompts', 1, '{}', 'Built-in image prompt writer')
+ON CONFLICT (name, version) DO NOTHING;
+
+-- Company revisions of overridable sections; each revision holds every override in effect
+CREATE TABLE IF NOT EXISTS company_prompt_overrides (
+    id SERIAL PRIMARY KEY,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE NOT NULL,
+    template_name VARCHAR(50) NOT NULL,
+    version INTEGER NOT NULL,
+    sections JSONB NOT NULL DEFAULT '{}',
+    description TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(company_id, template_name, version)
+);
+
+-- Template version that produced each hook (linkedin_posts.prompt_version already exists)
+ALTER TABLE marketing_hooks
+    ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_marketing_hooks_prompt_version ON marketing_hooks(company_id, prompt_version);
+CREATE INDEX IF NOT EXISTS idx_linkedin_posts_prompt_version ON linkedin_posts(company_id, prompt_version);
+
+-- Comments for documentation
+COMMENT ON TABLE prompt_templates IS 'Global prompt template versions; sections replace built-in sections by key';
+COMMENT ON TABLE company_prompt_overrides IS 'Per-company revisions of overridable prompt sections such as post structure or CTA style';
+COMMENT ON COLUMN marketing_hooks.prompt_version IS 'Template that produced the hook, e.g. hooks@1 or hooks@1+c2 with company overrides';
+COMMENT ON COLUMN linkedin_posts.prompt_version IS 'Template that produced the post, e.g. posts@1 or posts@1+c2 with company overrides';
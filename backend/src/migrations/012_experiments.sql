@@ -0,0 +1,52 @@
+-- Marketing Machine - Generation Experiments
+-- A/B tests of the post prompt, model or temperature, with the variant each post was generated with,
+-- compared on the engagement rate recorded in post_analytics
+
+CREATE TABLE IF NOT EXISTS experiments (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE NOT NULL,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    factor VARCHAR(20) NOT NULL, -- prompt, model, temperature
+    -- [{ key, name, weight, config }]; the first variant is the control
+    -- config: prompt { sections }, model { provider, model }, temperature { temperature }
+    variants JSONB NOT NULL,
+
+    -- Status
+    status VARCHAR(20) DEFAULT 'running', -- running, stopped, promoted
+    winner_variant VARCHAR(10),
+    started_at TIMESTAMP DEFAULT NOW(),
+    ended_at TIMESTAMP,
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Variant each generated post was assigned, with the settings it was actually generated with
+CREATE TABLE IF NOT EXISTS experiment_assignments (
+    id SERIAL PRIMARY KEY,
+    experiment_id INTEGER REFERENCES experiments(id) ON DELETE CASCADE NOT NULL,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE NOT NULL,
+    linkedin_post_id INTEGER REFERENCES linkedin_posts(id) ON DELETE CASCADE NOT NULL UNIQUE,
+    variant_key VARCHAR(10) NOT NULL,
+    settings JSONB DEFAULT '{}', -- provider, model, temperature, prompt_version
+
+    assigned_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One running experiment per company, so each post is assigned at most once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_experiments_running ON experiments(company_id) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_experiments_company ON experiments(company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_experiment_assignments_experiment ON experiment_assignments(experiment_id, variant_key);
+CREATE INDEX IF NOT EXISTS idx_post_analytics_post ON post_analytics(linkedin_post_id, measured_at DESC);
+
+CREATE TRIGGER update_experiments_updated_at BEFORE UPDATE ON experiments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Comments for documentation
+COMMENT ON TABLE experiments IS 'A/B tests of post generation settings; the first variant is the control';
+COMMENT ON TABLE experiment_assignments IS 'Experiment variant each generated post was randomly assigned';
@@ -0,0 +1,70 @@
+-- Marketing Machine - Repurposed Content Variants
+-- X threads, blog outlines and drafts, newsletter sections and carousel scripts generated from a hook,
+-- reviewed through the same approval workflow as LinkedIn posts
+
+CREATE TABLE IF NOT EXISTS content_variants (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE NOT NULL,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE NOT NULL,
+    marketing_hook_id INTEGER REFERENCES marketing_hooks(id) ON DELETE CASCADE NOT NULL,
+
+    -- Content
+    format VARCHAR(30) NOT NULL, -- x_thread, blog_outline, blog_draft, newsletter, carousel_script
+    content JSONB NOT NULL, -- Structured per format, e.g. { tweets: [...] } or { slides: [...] }
+    text_content TEXT NOT NULL, -- Plain-text rendering for review and copy-paste
+    character_count INTEGER,
+    prompt_version VARCHAR(50),
+
+    -- Approval
+    status VARCHAR(50) DEFAULT 'pending_approval', -- pending_approval, approved, rejected, published
+    approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMP,
+    rejected_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    rejected_at TIMESTAMP,
+    last_modified_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    metadata JSONB DEFAULT '{}',
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_variants_company_status ON content_variants(company_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_content_variants_hook ON content_variants(marketing_hook_id, format);
+
+CREATE TRIGGER update_content_variants_updated_at BEFORE UPDATE ON content_variants
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Approval actions on posts and variants (the approval routes already write post actions here)
+CREATE TABLE IF NOT EXISTS approval_history (
+    id SERIAL PRIMARY KEY,
+    post_id INTEGER REFERENCES linkedin_posts(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(50) NOT NULL, -- approved, rejected, edited
+    notes TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE approval_history
+    ADD COLUMN IF NOT EXISTS content_variant_id INTEGER REFERENCES content_variants(id) ON DELETE CASCADE;
+ALTER TABLE approval_history
+    ALTER COLUMN post_id DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_approval_history_post ON approval_history(post_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_approval_history_variant ON approval_history(content_variant_id, created_at DESC);
+
+-- Built-in prompt templates for each format (see 011_prompt_templates.sql)
+INSERT INTO prompt_templates (name, version, sections, description) VALUES
+    ('x_thread', 1, '{}', 'Built-in X thread prompt'),
+    ('blog_outline', 1, '{}', 'Built-in blog outline prompt'),
+    ('blog_draft', 1, '{}', 'Built-in blog draft prompt'),
+    ('newsletter', 1, '{}', 'Built-in newsletter section prompt'),
+    ('carousel_script', 1, '{}', 'Built-in carousel script prompt')
+ON CONFLICT (name, version) DO NOTHING;
+
+-- Comments for documentation
+COMMENT ON TABLE content_variants IS 'Hooks repurposed into other formats, stored by type rather than as LinkedIn posts';
+COMMENT ON COLUMN content_variants.content IS 'Structured variant; x_thread tweets are numbered and within X''s character limit';
+COMMENT ON COLUMN approval_history.content_variant_id IS 'Set for actions on content variants; post_id is set for LinkedIn posts';
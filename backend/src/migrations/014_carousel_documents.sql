@@ -0,0 +1,42 @@
+-- Marketing Machine - Carousel Documents
+-- Branded PDF carousels generated from a post or hook, attachable to a post and published
+-- to LinkedIn as a document share
+
+CREATE TABLE IF NOT EXISTS carousel_documents (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE NOT NULL,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE NOT NULL,
+    linkedin_post_id INTEGER REFERENCES linkedin_posts(id) ON DELETE SET NULL, -- Post it was made from, if any
+    marketing_hook_id INTEGER REFERENCES marketing_hooks(id) ON DELETE SET NULL,
+
+    -- Content
+    title VARCHAR(255) NOT NULL,
+    slides JSONB NOT NULL, -- [{ headline, body, visual }], 6-10 slides
+    caption TEXT,
+    prompt_version VARCHAR(50),
+
+    -- Rendered PDF
+    pdf BYTEA NOT NULL,
+    page_count INTEGER NOT NULL,
+    file_size INTEGER NOT NULL,
+
+    metadata JSONB DEFAULT '{}', -- Generation details and the branding it was rendered with
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_carousel_documents_company ON carousel_documents(company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_carousel_documents_post ON carousel_documents(linkedin_post_id);
+
+CREATE TRIGGER update_carousel_documents_updated_at BEFORE UPDATE ON carousel_documents
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The carousel a post publishes with
+ALTER TABLE linkedin_posts
+    ADD COLUMN IF NOT EXISTS carousel_document_id INTEGER REFERENCES carousel_documents(id) ON DELETE SET NULL;
+
+-- Comments for documentation
+COMMENT ON TABLE carousel_documents IS 'Branded carousel PDFs rendered offline from LLM slide outlines';
+COMMENT ON COLUMN linkedin_posts.carousel_document_id IS 'Attached carousel; the post publishes as a LinkedIn document share instead of text or image';
@@ -0,0 +1,57 @@
+-- Marketing Machine - Brand Voice Analyses
+-- Brand voice and content pillars inferred from a company's past LinkedIn posts during onboarding,
+-- with the imported posts kept as few-shot examples for post generation
+
+CREATE TABLE IF NOT EXISTS brand_voice_analyses (
+    id SERIAL PRIMARY KEY,
+    uuid UUID DEFAULT uuid_generate_v4() UNIQUE NOT NULL,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    source VARCHAR(20) NOT NULL, -- paste, csv, linkedin_export
+    post_count INTEGER NOT NULL,
+    -- Measured length, openings, emoji and hashtag habits, vocabulary and taboo words
+    habits JSONB NOT NULL,
+    -- { brand_voice, content_pillars } proposed for the company profile
+    proposal JSONB NOT NULL,
+    metadata JSONB DEFAULT '{}', -- skipped, truncated, inferred_by, prompt_version, llm_provider, model_used
+
+    -- Review
+    status VARCHAR(20) DEFAULT 'proposed', -- proposed, accepted, dismissed
+    accepted_profile JSONB, -- what was saved, after the admin's edits
+    edited BOOLEAN DEFAULT false,
+    accepted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    accepted_at TIMESTAMP,
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Imported posts; the best-ranked ones are the few-shot examples of post prompts
+CREATE TABLE IF NOT EXISTS brand_voice_samples (
+    id SERIAL PRIMARY KEY,
+    analysis_id INTEGER REFERENCES brand_voice_analyses(id) ON DELETE CASCADE NOT NULL,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE NOT NULL,
+
+    post_content TEXT NOT NULL,
+    published_at TIMESTAMP,
+    reactions INTEGER,
+    comments INTEGER,
+    shares INTEGER,
+    impressions INTEGER,
+    example_rank INTEGER, -- 1 = best example; NULL for posts not used as examples
+
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_brand_voice_analyses_company ON brand_voice_analyses(company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_brand_voice_analyses_accepted ON brand_voice_analyses(company_id, accepted_at DESC) WHERE status = 'accepted';
+CREATE INDEX IF NOT EXISTS idx_brand_voice_samples_examples ON brand_voice_samples(analysis_id, example_rank) WHERE example_rank IS NOT NULL;
+
+CREATE TRIGGER update_brand_voice_analyses_updated_at BEFORE UPDATE ON brand_voice_analyses
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Comments for documentation
+COMMENT ON TABLE brand_voice_analyses IS 'Brand voice profiles inferred from a company''s past posts, for an admin to accept or edit';
+COMMENT ON TABLE brand_voice_samples IS 'Past posts imported for a brand voice analysis and used as few-shot examples';
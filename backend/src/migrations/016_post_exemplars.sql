@@ -0,0 +1,25 @@
+-- Marketing Machine - Post Exemplars
+-- Admin curation of the company's published posts used as few-shot exemplars in post prompts;
+-- posts without a row here are eligible by engagement rate
+
+CREATE TABLE IF NOT EXISTS post_exemplars (
+    id SERIAL PRIMARY KEY,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE NOT NULL,
+    linkedin_post_id INTEGER REFERENCES linkedin_posts(id) ON DELETE CASCADE NOT NULL UNIQUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+
+    status VARCHAR(20) NOT NULL, -- pinned (always preferred), excluded (never used)
+    note TEXT,
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_exemplars_company ON post_exemplars(company_id, status);
+
+CREATE TRIGGER update_post_exemplars_updated_at BEFORE UPDATE ON post_exemplars
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Comments for documentation
+COMMENT ON TABLE post_exemplars IS 'Published posts an admin pinned as, or excluded from, post generation exemplars';
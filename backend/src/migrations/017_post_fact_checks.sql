@@ -0,0 +1,14 @@
+-- Marketing Machine - Post Fact Checks
+-- Numbers, names and quotes of each generated post checked against the transcript it came from;
+-- posts with unsupported claims are held back from approval until a reviewer resolves them
+
+ALTER TABLE linkedin_posts
+    ADD COLUMN IF NOT EXISTS fact_check JSONB,
+    ADD COLUMN IF NOT EXISTS fact_check_status VARCHAR(20); -- grounded, unsupported, resolved
+
+CREATE INDEX IF NOT EXISTS idx_linkedin_posts_fact_check ON linkedin_posts(company_id, fact_check_status)
+    WHERE fact_check_status = 'unsupported';
+
+-- Comments for documentation
+COMMENT ON COLUMN linkedin_posts.fact_check IS 'Extracted claims with their supporting evidence and reviewer resolutions';
+COMMENT ON COLUMN linkedin_posts.fact_check_status IS 'unsupported blocks approval until every unsupported claim is resolved';
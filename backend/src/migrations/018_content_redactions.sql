@@ -0,0 +1,29 @@
+-- Marketing Machine - Content Redactions
+-- Audit trail of the personal and confidential details replaced with placeholders before content
+-- was sent to an LLM; values are stored hashed and masked, never in full
+
+CREATE TABLE IF NOT EXISTS content_redactions (
+    id SERIAL PRIMARY KEY,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE NOT NULL,
+    content_source_id INTEGER REFERENCES content_sources(id) ON DELETE CASCADE NOT NULL,
+    processing_batch_id INTEGER REFERENCES processing_batches(id) ON DELETE CASCADE,
+
+    stage VARCHAR(30) NOT NULL DEFAULT 'hooks', -- LLM call the content was redacted for
+    entity_type VARCHAR(20) NOT NULL, -- PERSON, EMAIL, PHONE, AMOUNT, CREDENTIAL, CUSTOMER, CODENAME, CONFIDENTIAL
+    detector VARCHAR(30) NOT NULL, -- email, phone, amount, credential, speaker, confidential_term
+    placeholder VARCHAR(30) NOT NULL, -- e.g. [CUSTOMER_1]
+    value_hash VARCHAR(64) NOT NULL, -- sha256 of company ID and value, to trace a value across batches
+    masked_value VARCHAR(255),
+    occurrences INTEGER NOT NULL DEFAULT 1,
+    restored BOOLEAN NOT NULL DEFAULT false, -- put back into the LLM output as an approved entity
+
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_redactions_batch ON content_redactions(processing_batch_id);
+CREATE INDEX IF NOT EXISTS idx_content_redactions_company ON content_redactions(company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_content_redactions_value ON content_redactions(company_id, value_hash);
+
+-- Comments for documentation
+COMMENT ON TABLE content_redactions IS 'Personal and confidential details redacted from content before LLM calls, for audit';
+COMMENT ON COLUMN content_redactions.restored IS 'Whether the company approved re-inserting the value into the generated hooks';
@@ -0,0 +1,16 @@
+-- Marketing Machine - Post Regenerations
+-- Rejected drafts are rewritten from the reviewer's notes and requested edits; each rewrite is a
+-- child draft linked to the draft it revises, which is marked superseded
+
+ALTER TABLE linkedin_posts
+    ADD COLUMN IF NOT EXISTS parent_post_id INTEGER REFERENCES linkedin_posts(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS draft_version INTEGER DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS revision_request JSONB; -- { notes, edits, requested_by }
+
+CREATE INDEX IF NOT EXISTS idx_linkedin_posts_parent ON linkedin_posts(parent_post_id)
+    WHERE parent_post_id IS NOT NULL;
+
+-- Comments for documentation
+COMMENT ON COLUMN linkedin_posts.parent_post_id IS 'Draft this post revises; NULL for drafts generated from a hook';
+COMMENT ON COLUMN linkedin_posts.draft_version IS '1 for the original draft, incremented by each automatic revision';
+COMMENT ON COLUMN linkedin_posts.revision_request IS 'Reviewer notes and targeted edits the revision was generated from';
@@ -0,0 +1,83 @@
+-- Marketing Machine - Post Revisions
+-- Every version of a post's text, from the AI draft through each human edit and restore; rows are
+-- never updated, so the AI original and every edit stay on record
+
+CREATE TABLE IF NOT EXISTS post_revisions (
+    id SERIAL PRIMARY KEY,
+    post_id INTEGER REFERENCES linkedin_posts(id) ON DELETE CASCADE NOT NULL,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE NOT NULL,
+    revision_number INTEGER NOT NULL, -- 1 for the AI draft
+
+    post_content TEXT NOT NULL,
+    hashtags JSONB DEFAULT '[]',
+
+    author_type VARCHAR(10) NOT NULL, -- ai, user
+    author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason VARCHAR(30) NOT NULL, -- generated, revised, edited, autofix, restored
+    notes TEXT,
+    prompt_version VARCHAR(50), -- template that produced AI revisions
+    restored_from INTEGER, -- revision_number a restore copied
+    edit_stats JSONB, -- word diff against the latest AI revision: { added_words, removed_words, unchanged_words, change_ratio }
+
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(post_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_revisions_company ON post_revisions(company_id, created_at DESC);
+
+-- Revisions are an audit trail: refuse updates (deletes only cascade from the post)
+CREATE OR REPLACE FUNCTION prevent_post_revision_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'post_revisions rows are immutable';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS post_revisions_immutable ON post_revisions;
+CREATE TRIGGER post_revisions_immutable BEFORE UPDATE ON post_revisions
+    FOR EACH ROW EXECUTE FUNCTION prevent_post_revision_update();
+
+-- Existing posts: the AI draft is the content before the first recorded edit
+INSERT INTO post_revisions (post_id, company_id, revision_number, post_content, hashtags, author_type, reason, prompt_version, created_at)
+SELECT
+    p.id,
+    p.company_id,
+    1,
+    COALESCE(first_edit.metadata->>'previous_content', p.post_content),
+    COALESCE(p.hashtags, '[]'),
+    'ai',
+    'generated',
+    p.prompt_version,
+    p.created_at
+FROM linkedin_posts p
+LEFT JOIN LATERAL (
+    SELECT ah.metadata FROM approval_history ah
+    WHERE ah.post_id = p.id AND ah.action = 'edited'
+    ORDER BY ah.created_at
+    LIMIT 1
+) first_edit ON true
+WHERE p.post_content IS NOT NULL
+ON CONFLICT (post_id, revision_number) DO NOTHING;
+
+-- ...and the current content, where it was edited since
+INSERT INTO post_revisions (post_id, company_id, revision_number, post_content, hashtags, author_type, author_id, reason, notes, created_at)
+SELECT
+    p.id,
+    p.company_id,
+    2,
+    p.post_content,
+    COALESCE(p.hashtags, '[]'),
+    'user',
+    p.last_modified_by,
+    'edited',
+    'Recorded when revision history was introduced',
+    p.updated_at
+FROM linkedin_posts p
+JOIN post_revisions r ON r.post_id = p.id AND r.revision_number = 1
+WHERE r.post_content IS DISTINCT FROM p.post_content
+ON CONFLICT (post_id, revision_number) DO NOTHING;
+
+-- Comments for documentation
+COMMENT ON TABLE post_revisions IS 'Immutable history of each post''s text: AI drafts, human edits and restores';
+COMMENT ON COLUMN post_revisions.edit_stats IS 'How much a human revision departs from the AI draft, for edit analytics';
@@ -0,0 +1,45 @@
+-- Marketing Machine - AI Usage Ledger
+-- One row per model call or image generation with the tokens and images actually billed, priced
+-- when recorded, and the rate table that prices them
+
+-- Rates override the built-in list prices in tokenUsage.js and usageLedger.js; a model matches its
+-- dated versions (gpt-4o matches gpt-4o-2024-08-06) and the newest effective rate wins
+CREATE TABLE IF NOT EXISTS ai_rates (
+    id SERIAL PRIMARY KEY,
+    model VARCHAR(100) NOT NULL,
+    unit VARCHAR(20) NOT NULL CHECK (unit IN ('input_1k', 'output_1k', 'image')),
+    variant VARCHAR(50) NOT NULL DEFAULT '', -- images: quality:size, e.g. hd:1792x1024
+    usd DECIMAL(12,6) NOT NULL CHECK (usd >= 0),
+    effective_from TIMESTAMP NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(model, unit, variant, effective_from)
+);
+
+CREATE TABLE IF NOT EXISTS ai_usage_ledger (
+    id BIGSERIAL PRIMARY KEY,
+    company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE NOT NULL,
+
+    task VARCHAR(50) NOT NULL, -- hooks, posts, image_prompts, voice_analysis, images, embeddings
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100) NOT NULL,
+
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    images INTEGER NOT NULL DEFAULT 0,
+    image_variant VARCHAR(50), -- quality:size of generated images
+
+    cost_usd DECIMAL(12,6) NOT NULL DEFAULT 0,
+    rates JSONB, -- rates the cost was priced at: { input_1k, output_1k, image }
+
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_ledger_company ON ai_usage_ledger(company_id, created_at DESC);
+
+-- Comments for documentation
+COMMENT ON TABLE ai_rates IS 'Configurable USD prices per 1K input/output tokens and per image, overriding built-in list prices';
+COMMENT ON TABLE ai_usage_ledger IS 'Tokens and images billed per AI call, priced at the rates in force; source of company spend and budgets';
+COMMENT ON COLUMN linkedin_posts.generation_cost IS 'Deprecated: spend is recorded per call in ai_usage_ledger';
+COMMENT ON COLUMN generated_images.generation_cost IS 'Deprecated: spend is recorded per call in ai_usage_ledger';
@@ -3,10 +3,38 @@
  */
 
 const express = require('express');
+const { getCostReport } = require('../services/ai/usageLedger');
+const logger = require('../utils/logger').api;
+const { ValidationError } = require('../middleware/errorHandler');
+
 const router = express.Router();
 
 router.post('/generate-hooks', (req, res) => {
   res.json({ message: 'AI hooks endpoint' });
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * The company's AI spend from the usage ledger, by task, model and day, with its monthly budget status
+ * Query: period (month, last_month, 7d, 30d or 90d; default month)
+ */
+router.get('/costs', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+
+    const report = await getCostReport(companyId, { period: req.query.period });
+
+    res.json(report);
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Get AI costs error', {
+      error: error.message,
+      companyId: req.user?.companyId
+    });
+    res.status(500).json({ error: 'Failed to fetch AI costs' });
+  }
+});
+
+module.exports = router;
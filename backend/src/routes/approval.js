@@ -9,6 +9,42 @@ const { authenticateToken } = require('../middleware/auth');
 const { query, transaction } = require('../config/database');
 const { ValidationError, NotFoundError, UnauthorizedError } = require('../utils/errors');
 const logger = require('../utils/logger');
+const VariantGenerator = require('../services/ai/variantGenerator');
+const { lintPost, applyFixes } = require('../services/ai/brandVoiceLinter');
+const { blocksApproval, recheckPost, resolveClaim } = require('../services/ai/factGrounding');
+const {
+  validateRevisionRequest,
+  canRevise,
+  getMaxRevisions,
+  getRevisionChain
+} = require('../services/ai/postReviser');
+const { recordRevision } = require('../services/ai/postRevisions');
+const { diffWords, diffStats } = require('../utils/textDiff');
+
+/**
+ * Queue a rewrite of a post from reviewer feedback
+ * @param {number} postId - Post to revise
+ * @param {number} companyId - Company ID
+ * @param {number} userId - Reviewer who asked for it
+ * @param {Object} request - { notes, edits }
+ * @returns {Promise<boolean>} Whether the job was queued
+ */
+async function queueRevision(postId, companyId, userId, request) {
+  try {
+    const { addContentJob } = require('../config/queue');
+    await addContentJob('regenerate-post', {
+      postId: parseInt(postId),
+      companyId,
+      userId,
+      notes: request.notes || null,
+      edits: request.edits || []
+    });
+    return true;
+  } catch (queueError) {
+    logger.warn('Queue unavailable for regeneration:', queueError.message);
+    return false;
+  }
+}
 
 /**
  * Get pending posts for approval
@@ -36,6 +72,10 @@ router.get('/pending', authenticateToken, async (req, res) => {
         p.hashtags,
         p.performance_score,
         p.status,
+        p.fact_check_status,
+        p.parent_post_id,
+        p.draft_version,
+        p.revision_request,
         p.scheduled_for,
         p.created_at,
         p.updated_at,
@@ -179,6 +219,7 @@ router.get('/posts/:postId', authenticateToken, async (req, res) => {
       hooks: hooksResult.rows,
       approval_history: historyResult.rows
     };
+    post.brand_voice_lint = lintPost(post.post_content, post.brand_voice, { hashtags: post.hashtags || [] });
 
     res.json(post);
 
@@ -197,7 +238,7 @@ router.get('/posts/:postId', authenticateToken, async (req, res) => {
  */
 router.post('/posts/:postId/approve', authenticateToken, async (req, res) => {
   try {
-    const { companyId, userId } = req.user;
+    const { companyId, id: userId } = req.user;
     const { postId } = req.params;
     const { 
       scheduled_for, 
@@ -209,7 +250,7 @@ router.post('/posts/:postId/approve', authenticateToken, async (req, res) => {
     await transaction(async (client) => {
       // Verify post belongs to company
       const postCheck = await client.query(
-        'SELECT id, status FROM linkedin_posts WHERE id = $1 AND company_id = $2',
+        'SELECT id, status, fact_check_status, fact_check FROM linkedin_posts WHERE id = $1 AND company_id = $2',
         [postId, companyId]
       );
 
@@ -221,6 +262,12 @@ router.post('/posts/:postId/approve', authenticateToken, async (req, res) => {
         throw new ValidationError('Post is not pending approval');
       }
 
+      // Numbers, names or quotes the source does not support must be verified or edited out first
+      if (blocksApproval(postCheck.rows[0].fact_check_status)) {
+        const unsupported = postCheck.rows[0].fact_check?.unsupported;
+        throw new ValidationError(`Post has ${unsupported || 'unresolved'} unsupported claims; verify or edit them before approving`);
+      }
+
       // Update post status
       const newStatus = auto_publish ? 'approved_auto_publish' : 'approved';
       await client.query(
@@ -290,14 +337,23 @@ router.post('/posts/:postId/approve', authenticateToken, async (req, res) => {
  */
 router.post('/posts/:postId/reject', authenticateToken, async (req, res) => {
   try {
-    const { companyId, userId } = req.user;
+    const { companyId, id: userId } = req.user;
     const { postId } = req.params;
-    const { notes, regenerate = false } = req.body;
+    const { notes, edits = [], regenerate = false } = req.body;
+
+    const errors = validateRevisionRequest({ notes, edits });
+    if (errors.length) {
+      throw new ValidationError(errors.join('; '));
+    }
 
     await transaction(async (client) => {
       // Verify post belongs to company
       const postCheck = await client.query(
-        'SELECT id, status, content_source_id FROM linkedin_posts WHERE id = $1 AND company_id = $2',
+        `SELECT p.id, p.status, p.draft_version, c.settings
+         FROM linkedin_posts p
+         JOIN companies c ON c.id = p.company_id
+         WHERE p.id = $1 AND p.company_id = $2
+         FOR UPDATE OF p`,
         [postId, companyId]
       );
 
@@ -309,6 +365,10 @@ router.post('/posts/:postId/reject', authenticateToken, async (req, res) => {
         throw new ValidationError('Post is not pending approval');
       }
 
+      if (regenerate && !canRevise(postCheck.rows[0], { settings: postCheck.rows[0].settings })) {
+        throw new ValidationError(`Revision limit reached (${getMaxRevisions({ settings: postCheck.rows[0].settings })}); edit the post or reject it without regenerating`);
+      }
+
       // Update post status
       const newStatus = regenerate ? 'regenerating' : 'rejected';
       await client.query(
@@ -324,32 +384,30 @@ router.post('/posts/:postId/reject', authenticateToken, async (req, res) => {
       // Record rejection in history
       await client.query(
         `INSERT INTO approval_history 
-         (post_id, user_id, action, notes, created_at)
-         VALUES ($1, $2, $3, $4, NOW())`,
-        [postId, userId, 'rejected', notes]
+         (post_id, user_id, action, notes, metadata, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [postId, userId, 'rejected', notes, { regenerate, edits }]
       );
-
-      // If regenerate requested, add to processing queue
-      if (regenerate) {
-        try {
-          const { contentQueue } = require('../config/queue');
-          if (contentQueue && contentQueue.add) {
-            await contentQueue.add('regenerate-post', {
-              postId,
-              contentSourceId: postCheck.rows[0].content_source_id,
-              companyId,
-              userId,
-              previousRejectionNotes: notes
-            });
-          }
-        } catch (queueError) {
-          logger.warn('Queue unavailable for regeneration:', queueError.message);
-        }
-      }
     });
 
+    // Queued once the rejection is committed, so the job sees the post as regenerating
+    const regenerationQueued = regenerate && await queueRevision(postId, companyId, userId, { notes, edits });
+
+    // No job will move the post on, so it stays rejected rather than regenerating forever
+    if (regenerate && !regenerationQueued) {
+      await query(
+        "UPDATE linkedin_posts SET status = 'rejected', updated_at = NOW() WHERE id = $1 AND status = 'regenerating'",
+        [postId]
+      );
+    }
+
     logger.info(`Post ${postId} rejected by user ${userId}${regenerate ? ' - regeneration requested' : ''}`);
-    res.json({ message: 'Post rejected successfully' });
+    res.json({
+      message: regenerate && !regenerationQueued
+        ? 'Post rejected; regeneration could not be queued'
+        : 'Post rejected successfully',
+      regeneration_queued: Boolean(regenerationQueued)
+    });
 
   } catch (error) {
     if (error instanceof NotFoundError || error instanceof ValidationError) {
@@ -360,13 +418,119 @@ router.post('/posts/:postId/reject', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Request targeted edits to a pending post, e.g. shorter, less salesy or add a CTA
+ * POST /api/approval/posts/:postId/revise
+ * Body: { edits: ['shorter', 'less_salesy', 'add_cta', ...], notes }
+ */
+router.post('/posts/:postId/revise', authenticateToken, async (req, res) => {
+  try {
+    const { companyId, id: userId } = req.user;
+    const { postId } = req.params;
+    const { notes, edits = [] } = req.body;
+
+    const errors = validateRevisionRequest({ notes, edits }, { requireFeedback: true });
+    if (errors.length) {
+      throw new ValidationError(errors.join('; '));
+    }
+
+    await transaction(async (client) => {
+      const postCheck = await client.query(
+        `SELECT p.id, p.status, p.draft_version, c.settings
+         FROM linkedin_posts p
+         JOIN companies c ON c.id = p.company_id
+         WHERE p.id = $1 AND p.company_id = $2
+         FOR UPDATE OF p`,
+        [postId, companyId]
+      );
+
+      if (postCheck.rows.length === 0) {
+        throw new NotFoundError('Post not found');
+      }
+
+      if (postCheck.rows[0].status !== 'pending_approval') {
+        throw new ValidationError('Post is not pending approval');
+      }
+
+      if (!canRevise(postCheck.rows[0], { settings: postCheck.rows[0].settings })) {
+        throw new ValidationError(`Revision limit reached (${getMaxRevisions({ settings: postCheck.rows[0].settings })}); edit the post directly`);
+      }
+
+      await client.query(
+        "UPDATE linkedin_posts SET status = 'regenerating', updated_at = NOW() WHERE id = $1",
+        [postId]
+      );
+
+      await client.query(
+        `INSERT INTO approval_history 
+         (post_id, user_id, action, notes, metadata, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [postId, userId, 'revision_requested', notes, { edits }]
+      );
+    });
+
+    if (!await queueRevision(postId, companyId, userId, { notes, edits })) {
+      await query(
+        "UPDATE linkedin_posts SET status = 'pending_approval', updated_at = NOW() WHERE id = $1 AND status = 'regenerating'",
+        [postId]
+      );
+      return res.status(503).json({ error: 'Revision could not be queued; try again shortly' });
+    }
+
+    logger.info(`Revision of post ${postId} requested by user ${userId}`, { edits });
+    res.status(202).json({ message: 'Revision requested', edits });
+
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error requesting revision:', error);
+    res.status(500).json({ error: 'Failed to request revision' });
+  }
+});
+
+/**
+ * Get a post's revision chain, with each draft diffed against the one it revises
+ * GET /api/approval/posts/:postId/revisions
+ */
+router.get('/posts/:postId/revisions', authenticateToken, async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { postId } = req.params;
+
+    const chain = await getRevisionChain(postId, companyId);
+    if (chain.length === 0) {
+      throw new NotFoundError('Post not found');
+    }
+
+    const drafts = new Map(chain.map(draft => [draft.id, draft]));
+    const revisions = chain.map(draft => {
+      const parent = drafts.get(draft.parent_post_id);
+      if (!parent) {
+        return { ...draft, diff: null };
+      }
+      const runs = diffWords(parent.post_content, draft.post_content);
+      return { ...draft, diff: { parent_post_id: parent.id, runs, stats: diffStats(runs) } };
+    });
+
+    res.json({ post_id: parseInt(postId), revisions });
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Error fetching post revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch post revisions' });
+  }
+});
+
 /**
  * Edit post content
  * PUT /api/approval/posts/:postId
  */
 router.put('/posts/:postId', authenticateToken, async (req, res) => {
   try {
-    const { companyId, userId } = req.user;
+    const { companyId, id: userId } = req.user;
     const { postId } = req.params;
     const { 
       post_content, 
@@ -383,10 +547,12 @@ router.put('/posts/:postId', authenticateToken, async (req, res) => {
       throw new ValidationError('Post content too long (max 3000 characters)');
     }
 
-    await transaction(async (client) => {
+    const factCheck = await transaction(async (client) => {
       // Verify post belongs to company and is editable
       const postCheck = await client.query(
-        'SELECT id, status, post_content FROM linkedin_posts WHERE id = $1 AND company_id = $2',
+        `SELECT id, status, post_content, marketing_hook_id, metadata, fact_check
+         FROM linkedin_posts
+         WHERE id = $1 AND company_id = $2`,
         [postId, companyId]
       );
 
@@ -421,10 +587,21 @@ router.put('/posts/:postId', authenticateToken, async (req, res) => {
           new_content: post_content.trim()
         }]
       );
+
+      await recordRevision(client, {
+        ...postCheck.rows[0],
+        id: postId,
+        company_id: companyId,
+        post_content: post_content.trim(),
+        hashtags: hashtags || []
+      }, { authorType: 'user', authorId: userId, reason: 'edited', notes });
+
+      // Edits can add or remove claims
+      return recheckPost(client, { ...postCheck.rows[0], id: postId, company_id: companyId }, post_content.trim());
     });
 
     logger.info(`Post ${postId} edited by user ${userId}`);
-    res.json({ message: 'Post updated successfully' });
+    res.json({ message: 'Post updated successfully', fact_check: factCheck });
 
   } catch (error) {
     if (error instanceof NotFoundError || error instanceof ValidationError) {
@@ -435,6 +612,478 @@ router.put('/posts/:postId', authenticateToken, async (req, res) => {
   }
 });
 
+// =============================================
+// BRAND VOICE LINTING
+// =============================================
+
+/**
+ * Lint a post, or a draft of it, against the company's brand voice
+ * POST /api/approval/posts/:postId/lint
+ * Body: optional { post_content, hashtags } draft; the stored post is linted without one.
+ * The response includes `autofix`, the draft with the safe fixes applied (not saved).
+ */
+router.post('/posts/:postId/lint', authenticateToken, async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { postId } = req.params;
+
+    const postResult = await query(
+      `SELECT p.post_content, p.hashtags, c.brand_voice
+       FROM linkedin_posts p
+       JOIN companies c ON p.company_id = c.id
+       WHERE p.id = $1 AND p.company_id = $2`,
+      [postId, companyId]
+    );
+
+    if (postResult.rows.length === 0) {
+      throw new NotFoundError('Post not found');
+    }
+
+    const post = postResult.rows[0];
+    const content = req.body.post_content ?? post.post_content;
+    const hashtags = req.body.hashtags ?? post.hashtags ?? [];
+
+    if (typeof content !== 'string' || !Array.isArray(hashtags)) {
+      throw new ValidationError('post_content must be a string and hashtags an array');
+    }
+
+    const lint = lintPost(content, post.brand_voice, { hashtags });
+
+    res.json({
+      ...lint,
+      autofix: applyFixes(content, lint.findings, { hashtags })
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error linting post:', error);
+    res.status(500).json({ error: 'Failed to lint post' });
+  }
+});
+
+/**
+ * Apply the safe brand voice fixes to a post and save it
+ * POST /api/approval/posts/:postId/autofix
+ */
+router.post('/posts/:postId/autofix', authenticateToken, async (req, res) => {
+  try {
+    const { companyId, id: userId } = req.user;
+    const { postId } = req.params;
+
+    const result = await transaction(async (client) => {
+      const postCheck = await client.query(
+        `SELECT p.id, p.status, p.post_content, p.hashtags, p.marketing_hook_id, p.metadata, p.fact_check, c.brand_voice
+         FROM linkedin_posts p
+         JOIN companies c ON p.company_id = c.id
+         WHERE p.id = $1 AND p.company_id = $2
+         FOR UPDATE OF p`,
+        [postId, companyId]
+      );
+
+      if (postCheck.rows.length === 0) {
+        throw new NotFoundError('Post not found');
+      }
+
+      const post = postCheck.rows[0];
+      const validStatuses = ['pending_approval', 'approved', 'draft'];
+      if (!validStatuses.includes(post.status)) {
+        throw new ValidationError('Post cannot be edited in current status');
+      }
+
+      const hashtags = post.hashtags || [];
+      const { findings } = lintPost(post.post_content, post.brand_voice, { hashtags });
+      const fixed = applyFixes(post.post_content, findings, { hashtags });
+
+      if (fixed.applied.length > 0) {
+        await client.query(
+          `UPDATE linkedin_posts 
+           SET post_content = $1, 
+               hashtags = $2,
+               character_count = $3,
+               updated_at = NOW(),
+               last_modified_by = $4
+           WHERE id = $5`,
+          [fixed.post_content, fixed.hashtags, fixed.post_content.length, userId, postId]
+        );
+
+        await client.query(
+          `INSERT INTO approval_history 
+           (post_id, user_id, action, notes, metadata, created_at)
+           VALUES ($1, $2, $3, $4, $5, NOW())`,
+          [postId, userId, 'edited', 'Brand voice auto-fix', {
+            previous_content: post.post_content,
+            new_content: fixed.post_content,
+            brand_voice_fixes: fixed.applied
+          }]
+        );
+
+        await recordRevision(client, { ...post, company_id: companyId, post_content: fixed.post_content, hashtags: fixed.hashtags }, {
+          authorType: 'user',
+          authorId: userId,
+          reason: 'autofix',
+          notes: 'Brand voice auto-fix'
+        });
+      }
+
+      return {
+        ...fixed,
+        brand_voice_lint: lintPost(fixed.post_content, post.brand_voice, { hashtags: fixed.hashtags }),
+        fact_check: fixed.applied.length
+          ? await recheckPost(client, { ...post, company_id: companyId }, fixed.post_content)
+          : post.fact_check
+      };
+    });
+
+    logger.info(`Post ${postId} brand voice auto-fixed by user ${userId}`, { fixes: result.applied.length });
+    res.json({
+      message: result.applied.length ? `Applied ${result.applied.length} brand voice fixes` : 'No safe fixes to apply',
+      ...result
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error auto-fixing post:', error);
+    res.status(500).json({ error: 'Failed to auto-fix post' });
+  }
+});
+
+// =============================================
+// FACT GROUNDING
+// =============================================
+
+/**
+ * Check a post's numbers, names and quotes against its source again
+ * POST /api/approval/posts/:postId/fact-check
+ */
+router.post('/posts/:postId/fact-check', authenticateToken, async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { postId } = req.params;
+
+    const postResult = await query(
+      `SELECT id, company_id, post_content, marketing_hook_id, metadata, fact_check
+       FROM linkedin_posts
+       WHERE id = $1 AND company_id = $2`,
+      [postId, companyId]
+    );
+
+    if (postResult.rows.length === 0) {
+      throw new NotFoundError('Post not found');
+    }
+
+    const factCheck = await recheckPost({ query }, postResult.rows[0]);
+
+    res.json({ fact_check: factCheck });
+
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error fact-checking post:', error);
+    res.status(500).json({ error: 'Failed to fact-check post' });
+  }
+});
+
+/**
+ * Verify an unsupported claim, e.g. a figure the reviewer confirmed outside the transcript
+ * POST /api/approval/posts/:postId/claims/:claimIndex/resolve
+ * Body: { note } how the claim was verified
+ */
+router.post('/posts/:postId/claims/:claimIndex/resolve', authenticateToken, async (req, res) => {
+  try {
+    const { companyId, id: userId } = req.user;
+    const { postId } = req.params;
+    const claimIndex = parseInt(req.params.claimIndex);
+    const { note } = req.body;
+
+    const factCheck = await transaction(async (client) => {
+      const postCheck = await client.query(
+        'SELECT id, fact_check FROM linkedin_posts WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [postId, companyId]
+      );
+
+      if (postCheck.rows.length === 0) {
+        throw new NotFoundError('Post not found');
+      }
+
+      const resolved = resolveClaim(postCheck.rows[0].fact_check, claimIndex, { resolved_by: userId, note });
+      if (!resolved) {
+        throw new ValidationError('Claim not found or already supported by the source');
+      }
+
+      await client.query(
+        'UPDATE linkedin_posts SET fact_check = $1, fact_check_status = $2, updated_at = NOW() WHERE id = $3',
+        [JSON.stringify(resolved), resolved.status, postId]
+      );
+
+      const claim = resolved.claims.find(candidate => candidate.index === claimIndex);
+      await client.query(
+        `INSERT INTO approval_history 
+         (post_id, user_id, action, notes, metadata, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [postId, userId, 'claim_verified', note, { claim: { type: claim.type, text: claim.text } }]
+      );
+
+      return resolved;
+    });
+
+    logger.info(`Claim ${claimIndex} of post ${postId} verified by user ${userId}`);
+    res.json({
+      message: factCheck.unsupported ? `${factCheck.unsupported} unsupported claims left` : 'All claims resolved',
+      fact_check: factCheck
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error resolving claim:', error);
+    res.status(500).json({ error: 'Failed to resolve claim' });
+  }
+});
+
+// =============================================
+// CONTENT VARIANTS
+// =============================================
+
+/**
+ * Get pending content variants (X threads, blog posts, newsletters, carousel scripts)
+ * GET /api/approval/variants/pending
+ */
+router.get('/variants/pending', authenticateToken, async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { page = 1, limit = 20, format, status = 'pending_approval' } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE v.company_id = $1 AND v.status = $2';
+    const params = [companyId, status];
+
+    if (format) {
+      whereClause += ' AND v.format = $3';
+      params.push(format);
+    }
+
+    const [variantsResult, countResult] = await Promise.all([
+      query(`
+        SELECT
+          v.id,
+          v.uuid,
+          v.format,
+          v.content,
+          v.text_content,
+          v.character_count,
+          v.status,
+          v.created_at,
+          v.updated_at,
+          h.id as hook_id,
+          h.hook_text,
+          h.hook_type
+        FROM content_variants v
+        JOIN marketing_hooks h ON h.id = v.marketing_hook_id
+        ${whereClause}
+        ORDER BY v.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      query(`SELECT COUNT(*) as total FROM content_variants v ${whereClause}`, params)
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      variants: variantsResult.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching pending variants:', error);
+    res.status(500).json({ error: 'Failed to fetch pending variants' });
+  }
+});
+
+/**
+ * Approve a content variant
+ * POST /api/approval/variants/:variantId/approve
+ */
+router.post('/variants/:variantId/approve', authenticateToken, async (req, res) => {
+  try {
+    const { companyId, id: userId } = req.user;
+    const { variantId } = req.params;
+    const { notes } = req.body;
+
+    await transaction(async (client) => {
+      const variantCheck = await client.query(
+        'SELECT id, status FROM content_variants WHERE id = $1 AND company_id = $2',
+        [variantId, companyId]
+      );
+
+      if (variantCheck.rows.length === 0) {
+        throw new NotFoundError('Content variant not found');
+      }
+
+      if (variantCheck.rows[0].status !== 'pending_approval') {
+        throw new ValidationError('Content variant is not pending approval');
+      }
+
+      await client.query(
+        `UPDATE content_variants
+         SET status = 'approved',
+             approved_by = $1,
+             approved_at = NOW(),
+             updated_at = NOW()
+         WHERE id = $2`,
+        [userId, variantId]
+      );
+
+      await client.query(
+        `INSERT INTO approval_history
+         (content_variant_id, user_id, action, notes, created_at)
+         VALUES ($1, $2, $3, $4, NOW())`,
+        [variantId, userId, 'approved', notes]
+      );
+    });
+
+    logger.info(`Content variant ${variantId} approved by user ${userId}`);
+    res.json({ message: 'Content variant approved successfully' });
+
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error approving content variant:', error);
+    res.status(500).json({ error: 'Failed to approve content variant' });
+  }
+});
+
+/**
+ * Reject a content variant
+ * POST /api/approval/variants/:variantId/reject
+ */
+router.post('/variants/:variantId/reject', authenticateToken, async (req, res) => {
+  try {
+    const { companyId, id: userId } = req.user;
+    const { variantId } = req.params;
+    const { notes } = req.body;
+
+    await transaction(async (client) => {
+      const variantCheck = await client.query(
+        'SELECT id, status FROM content_variants WHERE id = $1 AND company_id = $2',
+        [variantId, companyId]
+      );
+
+      if (variantCheck.rows.length === 0) {
+        throw new NotFoundError('Content variant not found');
+      }
+
+      if (variantCheck.rows[0].status !== 'pending_approval') {
+        throw new ValidationError('Content variant is not pending approval');
+      }
+
+      await client.query(
+        `UPDATE content_variants
+         SET status = 'rejected',
+             rejected_by = $1,
+             rejected_at = NOW(),
+             updated_at = NOW()
+         WHERE id = $2`,
+        [userId, variantId]
+      );
+
+      await client.query(
+        `INSERT INTO approval_history
+         (content_variant_id, user_id, action, notes, created_at)
+         VALUES ($1, $2, $3, $4, NOW())`,
+        [variantId, userId, 'rejected', notes]
+      );
+    });
+
+    logger.info(`Content variant ${variantId} rejected by user ${userId}`);
+    res.json({ message: 'Content variant rejected successfully' });
+
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error rejecting content variant:', error);
+    res.status(500).json({ error: 'Failed to reject content variant' });
+  }
+});
+
+/**
+ * Edit content variant
+ * PUT /api/approval/variants/:variantId
+ * Body: { content, notes } with content in the variant's format, e.g. { tweets: [...] }
+ */
+router.put('/variants/:variantId', authenticateToken, async (req, res) => {
+  try {
+    const { companyId, id: userId } = req.user;
+    const { variantId } = req.params;
+    const { content, notes } = req.body;
+
+    await transaction(async (client) => {
+      const variantCheck = await client.query(
+        'SELECT id, status, format, text_content FROM content_variants WHERE id = $1 AND company_id = $2',
+        [variantId, companyId]
+      );
+
+      if (variantCheck.rows.length === 0) {
+        throw new NotFoundError('Content variant not found');
+      }
+
+      const variant = variantCheck.rows[0];
+      if (!['pending_approval', 'approved'].includes(variant.status)) {
+        throw new ValidationError('Content variant cannot be edited in current status');
+      }
+
+      // Edits must still fit the format, e.g. every tweet within X's limit
+      const edit = new VariantGenerator().prepareEdit(variant.format, content);
+      if (edit.errors.length) {
+        throw new ValidationError(`Invalid ${variant.format} content: ${edit.errors.join('; ')}`);
+      }
+
+      await client.query(
+        `UPDATE content_variants
+         SET content = $1,
+             text_content = $2,
+             character_count = $3,
+             updated_at = NOW(),
+             last_modified_by = $4
+         WHERE id = $5`,
+        [JSON.stringify(edit.content), edit.text, edit.text.length, userId, variantId]
+      );
+
+      await client.query(
+        `INSERT INTO approval_history
+         (content_variant_id, user_id, action, notes, metadata, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [variantId, userId, 'edited', notes, {
+          previous_content: variant.text_content,
+          new_content: edit.text
+        }]
+      );
+    });
+
+    logger.info(`Content variant ${variantId} edited by user ${userId}`);
+    res.json({ message: 'Content variant updated successfully' });
+
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error editing content variant:', error);
+    res.status(500).json({ error: 'Failed to edit content variant' });
+  }
+});
+
 /**
  * Get approval stats
  * GET /api/approval/stats
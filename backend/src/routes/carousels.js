@@ -0,0 +1,360 @@
+/**
+ * Marketing Machine - Carousel Routes
+ * Branded carousel PDFs generated from posts or hooks and attached to posts as LinkedIn documents
+ */
+
+const express = require('express');
+const { query } = require('../config/database');
+const { processContent } = require('../services/ai/contentProcessor');
+const CarouselGenerator = require('../services/ai/carouselGenerator');
+const logger = require('../utils/logger').api;
+const { ValidationError, NotFoundError, ServiceError } = require('../middleware/errorHandler');
+const { body, param, validationResult } = require('express-validator');
+
+const router = express.Router();
+const carouselGenerator = new CarouselGenerator();
+
+/**
+ * Respond to a failed request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the carousel service
+ * @param {string} message - 500 message
+ */
+function sendError(res, error, message) {
+  if (error instanceof NotFoundError) {
+    res.status(404).json({ error: error.message });
+  } else if (error instanceof ValidationError) {
+    res.status(400).json({ error: error.message, details: error.details });
+  } else if (error instanceof ServiceError && error.code === 'BUDGET_EXCEEDED') {
+    res.status(402).json({ error: error.message, code: error.code });
+  } else {
+    res.status(500).json({ error: message });
+  }
+}
+
+// =============================================
+// CAROUSEL GENERATION ROUTES
+// =============================================
+
+/**
+ * Generate a carousel from a post or a hook
+ * Body: { post_id } or { hook_id }
+ */
+router.post('/generate', [
+  body('post_id').optional().isInt().withMessage('Post ID must be an integer'),
+  body('hook_id').optional().isInt().withMessage('Hook ID must be an integer'),
+  body().custom(value => {
+    if (Boolean(value.post_id) === Boolean(value.hook_id)) {
+      throw new Error('Provide either post_id or hook_id');
+    }
+    return true;
+  }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid carousel generation request', errors.array());
+    }
+
+    const { companyId } = req.user;
+    const postId = req.body.post_id ? parseInt(req.body.post_id) : null;
+    const hookId = req.body.hook_id ? parseInt(req.body.hook_id) : null;
+
+    logger.info('Carousel generation requested', { companyId, postId, hookId });
+
+    // Verify the source belongs to company
+    const sourceCheck = postId
+      ? await query('SELECT id FROM linkedin_posts WHERE id = $1 AND company_id = $2', [postId, companyId])
+      : await query('SELECT id FROM marketing_hooks WHERE id = $1 AND company_id = $2', [hookId, companyId]);
+
+    if (!sourceCheck.rows.length) {
+      throw new NotFoundError(postId ? 'Post not found' : 'Hook not found');
+    }
+
+    const carousel = await processContent.generateCarousel(postId ? { postId } : { hookId }, companyId);
+
+    res.status(201).json({
+      success: true,
+      message: `Generated a ${carousel.page_count}-slide carousel`,
+      carousel
+    });
+
+  } catch (error) {
+    logger.error('Carousel generation error', {
+      error: error.message,
+      companyId: req.user?.companyId,
+      postId: req.body?.post_id,
+      hookId: req.body?.hook_id
+    });
+    sendError(res, error, 'Failed to generate carousel');
+  }
+});
+
+/**
+ * List the company's carousels
+ * Query: post_id, hook_id, limit, offset
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { post_id, hook_id, limit = 20, offset = 0 } = req.query;
+
+    let whereClause = 'WHERE cd.company_id = $1';
+    const params = [companyId];
+
+    if (post_id) {
+      params.push(parseInt(post_id));
+      whereClause += ` AND cd.linkedin_post_id = $${params.length}`;
+    }
+    if (hook_id) {
+      params.push(parseInt(hook_id));
+      whereClause += ` AND cd.marketing_hook_id = $${params.length}`;
+    }
+
+    const [result, countResult] = await Promise.all([
+      query(`
+        SELECT
+          cd.id,
+          cd.uuid,
+          cd.linkedin_post_id,
+          cd.marketing_hook_id,
+          cd.title,
+          cd.caption,
+          cd.page_count,
+          cd.file_size,
+          cd.prompt_version,
+          cd.created_at,
+          cd.updated_at,
+          ARRAY(
+            SELECT p.id FROM linkedin_posts p WHERE p.carousel_document_id = cd.id
+          ) as attached_post_ids
+        FROM carousel_documents cd
+        ${whereClause}
+        ORDER BY cd.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, Math.min(parseInt(limit) || 20, 100), parseInt(offset) || 0]),
+      query(`SELECT COUNT(*) as total FROM carousel_documents cd ${whereClause}`, params)
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      carousels: result.rows,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        has_more: parseInt(offset) + parseInt(limit) < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get carousels error', {
+      error: error.message,
+      companyId: req.user?.companyId
+    });
+    res.status(500).json({ error: 'Failed to fetch carousels' });
+  }
+});
+
+/**
+ * Get a carousel's slides and details
+ */
+router.get('/:id', [
+  param('id').isInt().withMessage('Carousel ID must be an integer'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid carousel ID', errors.array());
+    }
+
+    const carousel = await carouselGenerator.getCarousel(parseInt(req.params.id), req.user.companyId);
+
+    res.json({ carousel });
+
+  } catch (error) {
+    logger.error('Get carousel error', {
+      error: error.message,
+      carouselId: req.params.id,
+      companyId: req.user?.companyId
+    });
+    sendError(res, error, 'Failed to fetch carousel');
+  }
+});
+
+/**
+ * Download the rendered PDF
+ */
+router.get('/:id/pdf', [
+  param('id').isInt().withMessage('Carousel ID must be an integer'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid carousel ID', errors.array());
+    }
+
+    const carousel = await carouselGenerator.getCarousel(parseInt(req.params.id), req.user.companyId, { withPdf: true });
+    const filename = carousel.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'carousel';
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': carousel.pdf.length,
+      'Content-Disposition': `attachment; filename="${filename}.pdf"`
+    });
+    res.send(carousel.pdf);
+
+  } catch (error) {
+    logger.error('Download carousel error', {
+      error: error.message,
+      carouselId: req.params.id,
+      companyId: req.user?.companyId
+    });
+    sendError(res, error, 'Failed to download carousel');
+  }
+});
+
+/**
+ * Edit slides and/or re-render with the company's current branding
+ * Body: optional { title, slides, caption }
+ */
+router.put('/:id', [
+  param('id').isInt().withMessage('Carousel ID must be an integer'),
+  body('title').optional().isString().withMessage('Title must be a string'),
+  body('slides').optional().isArray().withMessage('Slides must be an array'),
+  body('caption').optional().isString().withMessage('Caption must be a string'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid carousel update', errors.array());
+    }
+
+    const { companyId } = req.user;
+    const companyProfile = await processContent.getCompanyProfile(companyId);
+    if (!companyProfile) {
+      throw new NotFoundError('Company not found');
+    }
+
+    const { title, slides, caption } = req.body;
+    const carousel = await carouselGenerator.rerender(parseInt(req.params.id), companyProfile, { title, slides, caption });
+
+    logger.info('Carousel re-rendered', { carouselId: carousel.id, companyId, userId: req.user.userId });
+
+    res.json({ success: true, carousel });
+
+  } catch (error) {
+    logger.error('Update carousel error', {
+      error: error.message,
+      carouselId: req.params.id,
+      companyId: req.user?.companyId
+    });
+    sendError(res, error, 'Failed to update carousel');
+  }
+});
+
+/**
+ * Delete a carousel (posts it was attached to fall back to text or image posts)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+
+    const result = await query(
+      'DELETE FROM carousel_documents WHERE id = $1 AND company_id = $2 RETURNING id',
+      [req.params.id, companyId]
+    );
+
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Carousel not found' });
+    }
+
+    logger.info('Carousel deleted', { carouselId: req.params.id, companyId });
+
+    res.json({ success: true, message: 'Carousel deleted' });
+
+  } catch (error) {
+    logger.error('Delete carousel error', {
+      error: error.message,
+      carouselId: req.params.id,
+      companyId: req.user?.companyId
+    });
+    res.status(500).json({ error: 'Failed to delete carousel' });
+  }
+});
+
+// =============================================
+// POST ATTACHMENT ROUTES
+// =============================================
+
+/**
+ * Attach a carousel to a post; the post then publishes as a LinkedIn document post
+ * Body: { post_id }
+ */
+router.post('/:id/attach', [
+  param('id').isInt().withMessage('Carousel ID must be an integer'),
+  body('post_id').isInt().withMessage('Post ID must be an integer'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid carousel attachment', errors.array());
+    }
+
+    const attachment = await carouselGenerator.attachToPost(
+      parseInt(req.params.id),
+      parseInt(req.body.post_id),
+      req.user.companyId
+    );
+
+    res.json({ success: true, message: 'Carousel attached to post', ...attachment });
+
+  } catch (error) {
+    logger.error('Attach carousel error', {
+      error: error.message,
+      carouselId: req.params.id,
+      postId: req.body?.post_id,
+      companyId: req.user?.companyId
+    });
+    sendError(res, error, 'Failed to attach carousel');
+  }
+});
+
+/**
+ * Detach a carousel from a post that has not been published
+ */
+router.delete('/:id/attach/:postId', [
+  param('id').isInt().withMessage('Carousel ID must be an integer'),
+  param('postId').isInt().withMessage('Post ID must be an integer'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid carousel attachment', errors.array());
+    }
+
+    const detached = await carouselGenerator.detachFromPost(
+      parseInt(req.params.id),
+      parseInt(req.params.postId),
+      req.user.companyId
+    );
+
+    if (!detached) {
+      return res.status(404).json({ error: 'Carousel is not attached to an unpublished post' });
+    }
+
+    res.json({ success: true, message: 'Carousel detached from post' });
+
+  } catch (error) {
+    logger.error('Detach carousel error', {
+      error: error.message,
+      carouselId: req.params.id,
+      postId: req.params.postId,
+      companyId: req.user?.companyId
+    });
+    sendError(res, error, 'Failed to detach carousel');
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,54 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const { query } = require('../config/database');
 const { authenticateClerkToken } = require('../middleware/clerk-auth');
 const logger = require('../utils/logger');
+const { validateProviderSettings } = require('../services/ai/providers');
+const { validateRedactionSettings } = require('../services/ai/piiRedactor');
+const { validateBudgetSettings } = require('../services/ai/usageLedger');
+const { processContent } = require('../services/ai/contentProcessor');
+const {
+  analyzeVoice,
+  storeAnalysis,
+  getAnalysis,
+  acceptAnalysis,
+  dismissAnalysis
+} = require('../services/ai/voiceAnalyzer');
 const router = express.Router();
 
+// Past posts for brand voice analysis: pasted text or a CSV (e.g. LinkedIn's Shares.csv export)
+const upload = multer({
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (['text/csv', 'text/plain'].includes(file.mimetype) || file.originalname.match(/\.(csv|txt)$/i)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV and TXT files are allowed.'));
+    }
+  }
+});
+
+/**
+ * Respond 403 unless the user may change the company profile
+ * @returns {boolean} Whether the request was rejected
+ */
+function rejectNonManagers(req, res) {
+  if (req.user.role === 'admin' || req.user.role === 'manager') {
+    return false;
+  }
+  res.status(403).json({
+    error: {
+      code: 'INSUFFICIENT_PERMISSIONS',
+      message: 'Only admins and managers can update company information'
+    }
+  });
+  return true;
+}
+
 /**
  * GET /api/companies/current
  * Get current user's company information
@@ -127,6 +170,48 @@ router.put('/current', async (req, res, next) => {
       });
     }
 
+    // settings.ai routes hooks, posts and image prompts to LLM providers
+    if (settings?.ai !== undefined) {
+      const errors = validateProviderSettings(settings.ai);
+      if (errors.length) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_AI_SETTINGS',
+            message: 'Invalid AI provider settings',
+            details: errors
+          }
+        });
+      }
+    }
+
+    // settings.redaction lists the confidential terms hidden from LLMs and the entities put back afterwards
+    if (settings?.redaction !== undefined) {
+      const errors = validateRedactionSettings(settings.redaction);
+      if (errors.length) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_REDACTION_SETTINGS',
+            message: 'Invalid redaction settings',
+            details: errors
+          }
+        });
+      }
+    }
+
+    // settings.budget caps monthly AI spend: over the soft limit jobs use a cheaper model, over the hard limit they are refused
+    if (settings?.budget !== undefined) {
+      const errors = validateBudgetSettings(settings.budget);
+      if (errors.length) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_BUDGET_SETTINGS',
+            message: 'Invalid budget settings',
+            details: errors
+          }
+        });
+      }
+    }
+
     // Build update query dynamically based on provided fields
     const updateFields = [];
     const values = [];
@@ -220,6 +305,138 @@ router.put('/current', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/companies/current/voice-analysis
+ * Learn the brand voice from 20-100 past LinkedIn posts and propose brand_voice and content_pillars
+ * Body: { source: paste, text } | { source: csv or linkedin_export, csv } | { posts }, or a CSV/TXT `file` upload
+ */
+router.post('/current/voice-analysis', upload.single('file'), async (req, res, next) => {
+  try {
+    const { companyId } = req.user;
+
+    if (rejectNonManagers(req, res)) {
+      return;
+    }
+
+    const companyProfile = await processContent.getBudgetedProfile(companyId);
+    if (!companyProfile) {
+      return res.status(404).json({
+        error: {
+          code: 'COMPANY_NOT_FOUND',
+          message: 'Company not found'
+        }
+      });
+    }
+
+    const input = { ...req.body };
+    if (req.file) {
+      const isCsv = /\.csv$/i.test(req.file.originalname) || req.file.mimetype === 'text/csv';
+      input.source = input.source || (isCsv ? 'csv' : 'paste');
+      input[isCsv ? 'csv' : 'text'] = req.file.buffer.toString('utf8');
+    }
+
+    const analysis = await analyzeVoice(input, companyProfile);
+    const stored = await storeAnalysis(analysis, companyId, req.user.id);
+
+    logger.info('Brand voice analysis completed', {
+      userId: req.user.id,
+      companyId,
+      analysisId: stored.id,
+      postCount: stored.post_count,
+      inferredBy: analysis.metadata.inferred_by
+    });
+
+    res.status(201).json({
+      ...stored,
+      examples: analysis.posts.filter(post => post.example_rank).sort((a, b) => a.example_rank - b.example_rank),
+      current: {
+        brand_voice: companyProfile.brand_voice,
+        content_pillars: companyProfile.content_pillars
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to analyze brand voice', {
+      userId: req.user?.id,
+      companyId: req.user?.companyId,
+      error: error.message
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /api/companies/current/voice-analysis
+ * Latest brand voice analysis, with its proposal and example posts
+ */
+router.get('/current/voice-analysis', async (req, res, next) => {
+  try {
+    res.json(await getAnalysis(req.user.companyId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/companies/current/voice-analysis/:id/accept
+ * Save the proposal (or the admin's edited version) as the company's brand_voice and content_pillars
+ * Body: optional { brand_voice, content_pillars }
+ */
+router.post('/current/voice-analysis/:id/accept', async (req, res, next) => {
+  try {
+    const { companyId } = req.user;
+
+    if (rejectNonManagers(req, res)) {
+      return;
+    }
+
+    const { brand_voice, content_pillars } = req.body;
+    const accepted = await acceptAnalysis(parseInt(req.params.id), companyId, req.user.id, { brand_voice, content_pillars });
+
+    logger.info('Brand voice analysis accepted', {
+      userId: req.user.id,
+      companyId,
+      analysisId: accepted.analysis_id,
+      edited: brand_voice !== undefined || content_pillars !== undefined
+    });
+
+    res.json(accepted);
+  } catch (error) {
+    logger.error('Failed to accept brand voice analysis', {
+      userId: req.user?.id,
+      companyId: req.user?.companyId,
+      analysisId: req.params.id,
+      error: error.message
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /api/companies/current/voice-analysis/:id/dismiss
+ * Decline a proposal without changing the company profile
+ */
+router.post('/current/voice-analysis/:id/dismiss', async (req, res, next) => {
+  try {
+    if (rejectNonManagers(req, res)) {
+      return;
+    }
+
+    const dismissed = await dismissAnalysis(parseInt(req.params.id), req.user.companyId);
+    if (!dismissed) {
+      return res.status(404).json({
+        error: {
+          code: 'ANALYSIS_NOT_FOUND',
+          message: 'No proposed brand voice analysis with this ID'
+        }
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/companies/stats
  * Get company usage statistics
@@ -8,6 +8,10 @@ const multer = require('multer');
 const { query } = require('../config/database');
 const { addContentJob } = require('../config/queue');
 const { processContent } = require('../services/ai/contentProcessor');
+const { extractDocument } = require('../services/content/documentExtractor');
+const { parseSpeakerText } = require('../services/content/transcriptParser');
+const { ingestUrl } = require('../services/content/urlIngestion');
+const { getRedactions } = require('../services/ai/piiRedactor');
 const logger = require('../utils/logger').api;
 const { ValidationError } = require('../middleware/errorHandler');
 const { body, validationResult } = require('express-validator');
@@ -20,11 +24,18 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['text/plain', 'application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
-    if (allowedTypes.includes(file.mimetype) || file.originalname.match(/\.(txt|pdf|docx|md)$/i)) {
+    const allowedTypes = [
+      'text/plain',
+      'application/pdf',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'text/vtt',
+      'application/x-subrip',
+      'application/json'
+    ];
+    if (allowedTypes.includes(file.mimetype) || file.originalname.match(/\.(txt|pdf|docx|md|vtt|srt|json)$/i)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only TXT, PDF, DOCX, and MD files are allowed.'));
+      cb(new Error('Invalid file type. Only TXT, PDF, DOCX, MD, VTT, SRT and JSON files are allowed.'));
     }
   }
 });
@@ -62,6 +73,9 @@ router.post('/manual', [
       hasTitle: !!title
     });
 
+    // Pasted speaker-labelled transcripts (e.g. Otter exports) keep their turns for quote attribution
+    const turns = parseSpeakerText(content);
+
     // Store content source
     const contentResult = await query(`
       INSERT INTO content_sources 
@@ -78,7 +92,8 @@ router.post('/manual', [
         ...metadata,
         submission_method: 'api',
         submitted_by: req.user.id,
-        submitted_at: new Date().toISOString()
+        submitted_at: new Date().toISOString(),
+        ...(turns.length > 0 && { transcript_turns: turns })
       })
     ]);
 
@@ -141,6 +156,75 @@ router.post('/manual', [
   }
 });
 
+/**
+ * Submit an article or blog post by URL
+ */
+router.post('/url', [
+  body('url').isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('A valid http(s) URL is required'),
+  body('title').optional().isLength({ max: 255 }).withMessage('Title must be 255 characters or less'),
+  body('content_type').optional().isIn(['meeting_transcript', 'sales_call', 'product_update', 'customer_success', 'blog_post', 'general_notes']).withMessage('Invalid content type'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid URL submission', errors.array());
+    }
+
+    const { companyId } = req.user;
+    const { url, title, content_type = 'blog_post' } = req.body;
+
+    logger.info('URL content submission', { companyId, url });
+
+    const result = await ingestUrl({
+      companyId,
+      userId: req.user.id,
+      url,
+      title,
+      contentType: content_type,
+      metadata: {
+        submission_method: 'url',
+        submitted_by: req.user.id,
+        submitted_at: new Date().toISOString()
+      },
+      priority: 1
+    });
+
+    if (result.duplicate) {
+      return res.json({
+        success: true,
+        duplicate: true,
+        message: 'This article has already been submitted',
+        content_source_id: result.contentSourceId,
+        batch_id: result.processingBatchId,
+        matched_on: result.matchedOn
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      duplicate: false,
+      message: 'Marketing Machine is processing your article',
+      content_source_id: result.contentSourceId,
+      batch_id: result.processingBatchId,
+      batch_uuid: result.batchUuid,
+      estimated_completion_time: '30-60 seconds'
+    });
+
+  } catch (error) {
+    logger.error('URL content submission error', {
+      error: error.message,
+      companyId: req.user?.companyId,
+      url: req.body?.url
+    });
+
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message, details: error.details });
+    } else {
+      res.status(500).json({ error: 'Failed to submit URL for processing' });
+    }
+  }
+});
+
 /**
  * Upload file for content processing
  */
@@ -161,7 +245,7 @@ router.post('/upload', upload.single('file'), async (req, res) => {
     });
 
     // Extract text content from file
-    const content = await extractTextFromFile(file);
+    const { text: content, metadata: documentMetadata, turns } = await extractTextFromFile(file);
 
     if (!content || content.length < 50) {
       return res.status(400).json({ 
@@ -171,7 +255,10 @@ router.post('/upload', upload.single('file'), async (req, res) => {
     }
 
     // Determine content type from filename or use default
-    const contentType = determineContentTypeFromFilename(file.originalname);
+    let contentType = determineContentTypeFromFilename(file.originalname);
+    if (turns && contentType === 'general_notes') {
+      contentType = 'meeting_transcript';
+    }
 
     // Store content source
     const contentResult = await query(`
@@ -190,7 +277,9 @@ router.post('/upload', upload.single('file'), async (req, res) => {
         file_size: file.size,
         mime_type: file.mimetype,
         uploaded_by: req.user.id,
-        uploaded_at: new Date().toISOString()
+        uploaded_at: new Date().toISOString(),
+        document: documentMetadata,
+        ...(turns && { transcript_turns: turns })
       })
     ]);
 
@@ -233,6 +322,10 @@ router.post('/upload', upload.single('file'), async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+
     logger.error('File upload error', {
       error: error.message,
       fileName: req.file?.originalname,
@@ -408,6 +501,7 @@ router.get('/hooks/:batchId', async (req, res) => {
         hook_type: hook.hook_type,
         content_pillar: hook.content_pillar,
         source_quote: hook.source_quote,
+        source_attribution: hook.metadata?.source_attribution || null,
         linkedin_version: hook.linkedin_hook,
         twitter_version: hook.tweet_version,
         blog_title: hook.blog_title,
@@ -432,6 +526,46 @@ router.get('/hooks/:batchId', async (req, res) => {
   }
 });
 
+/**
+ * Get the redaction audit trail of a batch: what was hidden from the LLM and what was put back
+ */
+router.get('/processing/:batchId/redactions', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { batchId } = req.params;
+
+    // Verify ownership
+    const ownershipCheck = await query(`
+      SELECT company_id FROM processing_batches WHERE id = $1
+    `, [batchId]);
+
+    if (ownershipCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Processing batch not found' });
+    }
+
+    if (ownershipCheck.rows[0].company_id !== companyId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const redactions = await getRedactions(batchId, companyId);
+
+    res.json({
+      batch_id: batchId,
+      redactions,
+      total: redactions.length,
+      restored: redactions.filter(redaction => redaction.restored).length
+    });
+
+  } catch (error) {
+    logger.error('Get redactions error', {
+      error: error.message,
+      batchId: req.params.batchId,
+      companyId: req.user?.companyId
+    });
+    res.status(500).json({ error: 'Failed to get redactions' });
+  }
+});
+
 // =============================================
 // HELPER FUNCTIONS
 // =============================================
@@ -439,33 +573,18 @@ router.get('/hooks/:batchId', async (req, res) => {
 /**
  * Extract text content from uploaded file
  * @param {Object} file - Uploaded file
- * @returns {Promise<string>} Extracted text
+ * @returns {Promise<Object>} { text, metadata } with page and section metadata for PDF and DOCX files,
+ *   plus { turns } for transcript files
  */
 async function extractTextFromFile(file) {
-  const fileType = file.mimetype || file.originalname.split('.').pop().toLowerCase();
-
   try {
-    if (fileType === 'text/plain' || file.originalname.endsWith('.txt') || file.originalname.endsWith('.md')) {
-      return file.buffer.toString('utf-8');
-    }
-
-    // For PDF and DOCX files, we would normally use specialized libraries
-    // For now, return error suggesting manual input
-    if (fileType === 'application/pdf' || file.originalname.endsWith('.pdf')) {
-      throw new Error('PDF parsing not yet implemented. Please copy and paste the text content instead.');
-    }
-
-    if (fileType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || file.originalname.endsWith('.docx')) {
-      throw new Error('DOCX parsing not yet implemented. Please copy and paste the text content instead.');
-    }
-
-    throw new Error('Unsupported file type');
+    return await extractDocument(file);
 
   } catch (error) {
     logger.error('File text extraction error', {
       error: error.message,
       fileName: file.originalname,
-      fileType
+      fileType: file.mimetype
     });
     throw error;
   }
@@ -0,0 +1,124 @@
+/**
+ * Marketing Machine - Exemplar Routes
+ * The library of top-performing published posts used as few-shot exemplars, and its curation
+ */
+
+const express = require('express');
+const logger = require('../utils/logger').api;
+const { requireRole } = require('../middleware/auth');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { body, param, validationResult } = require('express-validator');
+const {
+  STATUSES,
+  listExemplars,
+  setExemplarStatus,
+  clearExemplarStatus
+} = require('../services/ai/exemplarLibrary');
+
+const router = express.Router();
+
+/**
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the exemplar library
+ * @param {string} message - 500 message
+ */
+function sendError(res, error, message) {
+  if (error instanceof NotFoundError) {
+    res.status(404).json({ error: error.message });
+  } else if (error instanceof ValidationError) {
+    res.status(400).json({ error: error.message, details: error.details });
+  } else {
+    res.status(500).json({ error: message });
+  }
+}
+
+// =============================================
+// EXEMPLAR ROUTES
+// =============================================
+
+/**
+ * List the exemplar library
+ * Query: content_pillar, hook_type to preview the exemplars a hook like that would get
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { content_pillar, hook_type } = req.query;
+
+    const library = await listExemplars(req.user.companyId, { content_pillar, hook_type });
+
+    res.json(library);
+
+  } catch (error) {
+    logger.error('Get exemplars error', {
+      error: error.message,
+      companyId: req.user?.companyId
+    });
+    sendError(res, error, 'Failed to fetch exemplars');
+  }
+});
+
+/**
+ * Pin a published post as an exemplar, or exclude a post from the library (admins and managers)
+ * Body: { status: pinned | excluded, note }
+ */
+router.put('/:postId', requireRole(['admin', 'manager']), [
+  param('postId').isInt().withMessage('Post ID must be an integer'),
+  body('status').isIn(STATUSES).withMessage(`Status must be one of ${STATUSES.join(', ')}`),
+  body('note').optional().isString().isLength({ max: 500 }).withMessage('Note must be 500 characters or less'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid exemplar update', errors.array());
+    }
+
+    const exemplar = await setExemplarStatus(
+      req.user.companyId,
+      parseInt(req.params.postId),
+      req.body.status,
+      { userId: req.user.id, note: req.body.note }
+    );
+
+    res.json({ success: true, exemplar });
+
+  } catch (error) {
+    logger.error('Update exemplar error', {
+      error: error.message,
+      postId: req.params.postId,
+      companyId: req.user?.companyId
+    });
+    sendError(res, error, 'Failed to update exemplar');
+  }
+});
+
+/**
+ * Unpin or re-include a post, so it is ranked by engagement rate again (admins and managers)
+ */
+router.delete('/:postId', requireRole(['admin', 'manager']), [
+  param('postId').isInt().withMessage('Post ID must be an integer'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid post ID', errors.array());
+    }
+
+    const cleared = await clearExemplarStatus(req.user.companyId, parseInt(req.params.postId));
+
+    if (!cleared) {
+      return res.status(404).json({ error: 'Post is neither pinned nor excluded' });
+    }
+
+    res.json({ success: true, message: 'Post returned to the exemplar ranking' });
+
+  } catch (error) {
+    logger.error('Clear exemplar error', {
+      error: error.message,
+      postId: req.params.postId,
+      companyId: req.user?.companyId
+    });
+    sendError(res, error, 'Failed to clear exemplar');
+  }
+});
+
+module.exports = router;
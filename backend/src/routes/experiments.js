@@ -0,0 +1,220 @@
+/**
+ * Marketing Machine - Experiment Routes
+ * A/B tests of post generation settings, their results and promoting the winner
+ */
+
+const express = require('express');
+const { query } = require('../config/database');
+const logger = require('../utils/logger').api;
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { body, param, validationResult } = require('express-validator');
+const {
+  FACTORS,
+  validateExperiment,
+  createExperiment,
+  getExperiment,
+  stopExperiment,
+  getExperimentResults,
+  promoteVariant
+} = require('../services/ai/experiments');
+
+const router = express.Router();
+
+/**
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the experiments service
+ * @param {string} message - 500 message
+ */
+function sendError(res, error, message) {
+  if (error instanceof NotFoundError) {
+    res.status(404).json({ error: error.message });
+  } else if (error instanceof ValidationError) {
+    res.status(400).json({ error: error.message, details: error.details });
+  } else {
+    res.status(500).json({ error: message });
+  }
+}
+
+// =============================================
+// EXPERIMENT ROUTES
+// =============================================
+
+/**
+ * List the company's experiments with how many posts each variant has been assigned
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+
+    const result = await query(`
+      SELECT
+        e.*,
+        COALESCE(counts.assignments, '{}') as assignments
+      FROM experiments e
+      LEFT JOIN LATERAL (
+        SELECT jsonb_object_agg(variant_key, posts) as assignments
+        FROM (
+          SELECT variant_key, COUNT(*) as posts
+          FROM experiment_assignments
+          WHERE experiment_id = e.id
+          GROUP BY variant_key
+        ) variant_counts
+      ) counts ON TRUE
+      WHERE e.company_id = $1
+      ORDER BY e.created_at DESC
+    `, [companyId]);
+
+    res.json({
+      success: true,
+      experiments: result.rows
+    });
+
+  } catch (error) {
+    logger.error('Get experiments error', {
+      error: error.message,
+      companyId: req.user.companyId
+    });
+    res.status(500).json({ error: 'Failed to fetch experiments' });
+  }
+});
+
+/**
+ * Start an experiment
+ * Body: { name, description, factor, variants: [{ name, weight, config }] } with the control first, e.g.
+ * factor 'temperature' with variants [{ config: {} }, { config: { temperature: 1.0 } }]
+ */
+router.post('/', [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (100 characters or less)'),
+  body('description').optional().isString().isLength({ max: 1000 }),
+  body('factor').isIn(FACTORS).withMessage(`Factor must be one of ${FACTORS.join(', ')}`),
+  body('variants').custom((variants, { req }) => {
+    const errors = validateExperiment({ factor: req.body.factor, variants });
+    if (errors.length) {
+      throw new Error(errors.join('; '));
+    }
+    return true;
+  }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid experiment', errors.array());
+    }
+
+    const { companyId, id: userId } = req.user;
+    const experiment = await createExperiment(companyId, req.body, userId);
+
+    res.status(201).json({
+      success: true,
+      experiment
+    });
+
+  } catch (error) {
+    logger.error('Create experiment error', {
+      error: error.message,
+      companyId: req.user.companyId
+    });
+    sendError(res, error, 'Failed to create experiment');
+  }
+});
+
+/**
+ * Get an experiment with engagement rate lift per variant
+ */
+router.get('/:id', [
+  param('id').isInt().withMessage('Invalid experiment ID'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid request', errors.array());
+    }
+
+    const experiment = await getExperiment(req.params.id, req.user.companyId);
+    const results = await getExperimentResults(experiment);
+
+    res.json({
+      success: true,
+      experiment,
+      results
+    });
+
+  } catch (error) {
+    logger.error('Get experiment error', {
+      error: error.message,
+      experimentId: req.params.id,
+      companyId: req.user.companyId
+    });
+    sendError(res, error, 'Failed to fetch experiment');
+  }
+});
+
+/**
+ * Stop assigning variants to new posts
+ */
+router.post('/:id/stop', [
+  param('id').isInt().withMessage('Invalid experiment ID'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid request', errors.array());
+    }
+
+    const experiment = await stopExperiment(req.params.id, req.user.companyId);
+
+    res.json({
+      success: true,
+      experiment
+    });
+
+  } catch (error) {
+    logger.error('Stop experiment error', {
+      error: error.message,
+      experimentId: req.params.id,
+      companyId: req.user.companyId
+    });
+    sendError(res, error, 'Failed to stop experiment');
+  }
+});
+
+/**
+ * Make a variant the company default and end the experiment
+ * Body: { variant: 'B', force } - force promotes a variant that has not significantly beaten the control
+ */
+router.post('/:id/promote', [
+  param('id').isInt().withMessage('Invalid experiment ID'),
+  body('variant').isString().isLength({ min: 1, max: 10 }).withMessage('Variant key is required'),
+  body('force').optional().isBoolean(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid request', errors.array());
+    }
+
+    const { companyId, id: userId } = req.user;
+    const { variant, force } = req.body;
+
+    const { experiment, results } = await promoteVariant(req.params.id, companyId, variant, {
+      userId,
+      force: force === true || force === 'true'
+    });
+
+    res.json({
+      success: true,
+      experiment,
+      results
+    });
+
+  } catch (error) {
+    logger.error('Promote experiment variant error', {
+      error: error.message,
+      experimentId: req.params.id,
+      companyId: req.user.companyId
+    });
+    sendError(res, error, 'Failed to promote experiment variant');
+  }
+});
+
+module.exports = router;
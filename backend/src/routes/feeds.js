@@ -0,0 +1,374 @@
+/**
+ * Marketing Machine - Feed Routes
+ * RSS/Atom feed subscriptions that are polled and ingested automatically
+ */
+
+const express = require('express');
+const { query } = require('../config/database');
+const { addContentJob } = require('../config/queue');
+const logger = require('../utils/logger').api;
+const { ValidationError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const { validateFeedFilters } = require('../services/content/feedFilters');
+
+const router = express.Router();
+
+const CONTENT_TYPES = ['meeting_transcript', 'sales_call', 'product_update', 'customer_success', 'blog_post', 'general_notes'];
+
+// =============================================
+// FEED SUBSCRIPTION ROUTES
+// =============================================
+
+/**
+ * Get all feeds for a company
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+
+    const result = await query(`
+      SELECT
+        cf.id, cf.uuid, cf.name, cf.feed_url, cf.feed_format, cf.site_url,
+        cf.content_type, cf.fetch_full_article, cf.filters, cf.poll_interval_minutes,
+        cf.status, cf.last_polled_at, cf.last_error, cf.consecutive_failures,
+        cf.items_ingested, cf.created_at, cf.updated_at
+      FROM content_feeds cf
+      WHERE cf.company_id = $1
+      ORDER BY cf.created_at DESC
+    `, [companyId]);
+
+    res.json({
+      success: true,
+      feeds: result.rows
+    });
+
+  } catch (error) {
+    logger.error('Get feeds error', {
+      error: error.message,
+      companyId: req.user.companyId
+    });
+    res.status(500).json({ error: 'Failed to fetch feeds' });
+  }
+});
+
+/**
+ * Subscribe to a feed
+ */
+router.post('/', [
+  body('name').notEmpty().withMessage('Feed name is required').isLength({ max: 100 }).withMessage('Name must be 100 characters or less'),
+  body('feed_url').isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('A valid http(s) feed URL is required'),
+  body('content_type').optional().isIn(CONTENT_TYPES).withMessage('Invalid content type'),
+  body('fetch_full_article').optional().isBoolean().withMessage('fetch_full_article must be true or false'),
+  body('poll_interval_minutes').optional().isInt({ min: 15, max: 10080 }).withMessage('Poll interval must be between 15 minutes and 7 days'),
+  body('filters').optional().isObject().withMessage('Filters must be an object')
+    .bail().custom(isValidFeedFilters),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid feed subscription', errors.array());
+    }
+
+    const { companyId } = req.user;
+    const {
+      name,
+      feed_url,
+      content_type = 'blog_post',
+      fetch_full_article = true,
+      poll_interval_minutes = 60,
+      filters = {}
+    } = req.body;
+
+    const result = await query(`
+      INSERT INTO content_feeds
+      (company_id, created_by, name, feed_url, content_type, fetch_full_article, poll_interval_minutes, filters)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (company_id, feed_url) DO NOTHING
+      RETURNING *
+    `, [
+      companyId,
+      req.user.id,
+      name,
+      feed_url.trim(),
+      content_type,
+      fetch_full_article,
+      poll_interval_minutes,
+      JSON.stringify(filters)
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'This feed is already subscribed' });
+    }
+
+    const feed = result.rows[0];
+
+    // First poll right away so the subscription can be checked without waiting for the schedule
+    await addContentJob('poll-feed', { feedId: feed.id, manual: true }, { attempts: 1 });
+
+    logger.info('Feed subscription created', {
+      feedId: feed.id,
+      companyId,
+      feedUrl: feed.feed_url
+    });
+
+    res.status(201).json({
+      success: true,
+      feed
+    });
+
+  } catch (error) {
+    logger.error('Create feed error', {
+      error: error.message,
+      companyId: req.user.companyId,
+      body: req.body
+    });
+
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message, details: error.details });
+    } else {
+      res.status(500).json({ error: 'Failed to create feed subscription' });
+    }
+  }
+});
+
+/**
+ * Update a feed subscription
+ */
+router.put('/:id', [
+  body('name').optional().notEmpty().withMessage('Name cannot be empty').isLength({ max: 100 }).withMessage('Name must be 100 characters or less'),
+  body('status').optional().isIn(['active', 'paused']).withMessage('Invalid status'),
+  body('content_type').optional().isIn(CONTENT_TYPES).withMessage('Invalid content type'),
+  body('fetch_full_article').optional().isBoolean().withMessage('fetch_full_article must be true or false'),
+  body('poll_interval_minutes').optional().isInt({ min: 15, max: 10080 }).withMessage('Poll interval must be between 15 minutes and 7 days'),
+  body('filters').optional().isObject().withMessage('Filters must be an object')
+    .bail().custom(isValidFeedFilters),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid update data', errors.array());
+    }
+
+    const { companyId } = req.user;
+    const { id } = req.params;
+    const updates = req.body;
+
+    // Build update query dynamically
+    const updateFields = [];
+    const values = [];
+    let paramCount = 1;
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (['name', 'status', 'content_type', 'fetch_full_article', 'poll_interval_minutes', 'filters'].includes(key)) {
+        updateFields.push(`${key} = $${paramCount}`);
+        values.push(typeof value === 'object' ? JSON.stringify(value) : value);
+        paramCount++;
+      }
+    });
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    // Reactivating a feed gives it a fresh run of failures before it errors again
+    if (updates.status === 'active') {
+      updateFields.push('consecutive_failures = 0');
+    }
+
+    values.push(companyId, id);
+
+    const result = await query(`
+      UPDATE content_feeds
+      SET ${updateFields.join(', ')}
+      WHERE company_id = $${paramCount} AND id = $${paramCount + 1}
+      RETURNING *
+    `, values);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    logger.info('Feed subscription updated', {
+      feedId: id,
+      companyId,
+      updates: Object.keys(updates)
+    });
+
+    res.json({
+      success: true,
+      feed: result.rows[0]
+    });
+
+  } catch (error) {
+    logger.error('Update feed error', {
+      error: error.message,
+      feedId: req.params.id,
+      companyId: req.user.companyId
+    });
+
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message, details: error.details });
+    } else {
+      res.status(500).json({ error: 'Failed to update feed subscription' });
+    }
+  }
+});
+
+/**
+ * Unsubscribe from a feed
+ * Content already ingested from the feed is kept.
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { id } = req.params;
+
+    const result = await query(`
+      DELETE FROM content_feeds
+      WHERE company_id = $1 AND id = $2
+      RETURNING name
+    `, [companyId, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    logger.info('Feed subscription deleted', {
+      feedId: id,
+      companyId,
+      name: result.rows[0].name
+    });
+
+    res.json({
+      success: true,
+      message: 'Feed subscription deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete feed error', {
+      error: error.message,
+      feedId: req.params.id,
+      companyId: req.user.companyId
+    });
+    res.status(500).json({ error: 'Failed to delete feed subscription' });
+  }
+});
+
+// =============================================
+// POLLING AND ITEMS
+// =============================================
+
+/**
+ * Poll a feed now, regardless of its schedule or status
+ */
+router.post('/:id/poll', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { id } = req.params;
+
+    const result = await query(
+      'SELECT id FROM content_feeds WHERE company_id = $1 AND id = $2',
+      [companyId, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    const job = await addContentJob('poll-feed', { feedId: result.rows[0].id, manual: true }, {
+      priority: 1,
+      attempts: 1
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Feed poll queued',
+      job_id: job.id
+    });
+
+  } catch (error) {
+    logger.error('Poll feed error', {
+      error: error.message,
+      feedId: req.params.id,
+      companyId: req.user.companyId
+    });
+    res.status(500).json({ error: 'Failed to queue feed poll' });
+  }
+});
+
+/**
+ * Items seen on a feed, with why each was ingested, filtered or skipped
+ */
+router.get('/:id/items', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { id } = req.params;
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    const feedResult = await query(
+      'SELECT id FROM content_feeds WHERE company_id = $1 AND id = $2',
+      [companyId, id]
+    );
+
+    if (feedResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    const params = [id];
+    let statusClause = '';
+    if (status) {
+      params.push(status);
+      statusClause = `AND cfi.status = $${params.length}`;
+    }
+    params.push(Math.min(parseInt(limit) || 50, 200), parseInt(offset) || 0);
+
+    const result = await query(`
+      SELECT
+        cfi.id, cfi.guid, cfi.link, cfi.title, cfi.published_at, cfi.status,
+        cfi.filter_reason, cfi.content_source_id, cfi.created_at,
+        pb.id as batch_id
+      FROM content_feed_items cfi
+      LEFT JOIN LATERAL (
+        SELECT id FROM processing_batches
+        WHERE content_source_id = cfi.content_source_id
+        ORDER BY created_at DESC LIMIT 1
+      ) pb ON true
+      WHERE cfi.feed_id = $1 ${statusClause}
+      ORDER BY cfi.created_at DESC, cfi.id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    res.json({
+      success: true,
+      items: result.rows
+    });
+
+  } catch (error) {
+    logger.error('Get feed items error', {
+      error: error.message,
+      feedId: req.params.id,
+      companyId: req.user.companyId
+    });
+    res.status(500).json({ error: 'Failed to fetch feed items' });
+  }
+});
+
+// =============================================
+// HELPER FUNCTIONS
+// =============================================
+
+/**
+ * express-validator check for feed filters
+ * @param {Object} filters - Feed filters
+ * @returns {boolean} true when valid
+ * @throws {Error} Joined validation errors
+ */
+function isValidFeedFilters(filters) {
+  const errors = validateFeedFilters(filters);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return true;
+}
+
+module.exports = router;
@@ -6,8 +6,9 @@
 const express = require('express');
 const { query, transaction } = require('../config/database');
 const ImageGenerator = require('../services/ai/imageGenerator');
+const { enforceBudget } = require('../services/ai/usageLedger');
 const logger = require('../utils/logger').api;
-const { ValidationError } = require('../middleware/errorHandler');
+const { ValidationError, ServiceError } = require('../middleware/errorHandler');
 const { body, validationResult } = require('express-validator');
 
 const router = express.Router();
@@ -76,10 +77,11 @@ router.post('/generate', [
       return res.status(404).json({ error: 'Company profile not found' });
     }
 
-    const companyProfile = {
+    // Over the soft budget image prompts come from a cheaper model; over the hard budget nothing is generated
+    const { companyProfile } = await enforceBudget({
       ...companyResult.rows[0],
       visual_style: companyResult.rows[0].visual_style || {}
-    };
+    });
 
     // Initialize image generator
     const imageGenerator = new ImageGenerator();
@@ -123,6 +125,8 @@ router.post('/generate', [
 
     if (error instanceof ValidationError) {
       res.status(400).json({ error: error.message, details: error.details });
+    } else if (error instanceof ServiceError && error.code === 'BUDGET_EXCEEDED') {
+      res.status(402).json({ error: error.message, code: error.code });
     } else {
       res.status(500).json({ error: 'Failed to generate images' });
     }
@@ -444,15 +448,16 @@ router.post('/:id/regenerate', [
 
     // Get company profile
     const companyResult = await query(`
-      SELECT id, name, industry, visual_style
+      SELECT id, name, industry, visual_style, settings
       FROM companies
       WHERE id = $1
     `, [companyId]);
 
-    const companyProfile = {
+    // Same budget rules as generation
+    const { companyProfile } = await enforceBudget({
       ...companyResult.rows[0],
       visual_style: companyResult.rows[0].visual_style || {}
-    };
+    });
 
     // Prepare post data for regeneration
     const post = {
@@ -536,6 +541,8 @@ router.post('/:id/regenerate', [
 
     if (error instanceof ValidationError) {
       res.status(400).json({ error: error.message, details: error.details });
+    } else if (error instanceof ServiceError && error.code === 'BUDGET_EXCEEDED') {
+      res.status(402).json({ error: error.message, code: error.code });
     } else {
       res.status(500).json({ error: 'Failed to regenerate image' });
     }
@@ -10,8 +10,15 @@ const router = express.Router();
 const authRoutes = require('./auth');
 const companyRoutes = require('./companies');
 const contentRoutes = require('./content');
+const feedRoutes = require('./feeds');
+const knowledgeRoutes = require('./knowledge');
+const promptRoutes = require('./prompts');
+const experimentRoutes = require('./experiments');
+const exemplarRoutes = require('./exemplars');
 const webhookRoutes = require('./webhooks');
 const postRoutes = require('./posts');
+const variantRoutes = require('./variants');
+const carouselRoutes = require('./carousels');
 const imageRoutes = require('./images');
 const aiRoutes = require('./ai');
 const publishingRoutes = require('./publishing');
@@ -34,7 +41,14 @@ router.get('/', (req, res) => {
       auth: '/api/auth/*',
       companies: '/api/companies/*',
       content: '/api/content/*',
+      feeds: '/api/feeds/*',
+      knowledge: '/api/knowledge/*',
+      prompts: '/api/prompts/*',
+      experiments: '/api/experiments/*',
+      exemplars: '/api/exemplars/*',
       posts: '/api/posts/*',
+      variants: '/api/variants/*',
+      carousels: '/api/carousels/*',
       images: '/api/images/*',
       webhooks: '/api/webhooks/*',
       ai: '/api/ai/*',
@@ -107,9 +121,30 @@ router.use('/companies', companyRoutes);
 // Content management (manual input, processing)
 router.use('/content', contentRoutes);
 
+// RSS/Atom feed subscriptions
+router.use('/feeds', feedRoutes);
+
+// Company knowledge base (facts injected into generation prompts)
+router.use('/knowledge', knowledgeRoutes);
+
+// Prompt templates (company overrides, performance by prompt version)
+router.use('/prompts', promptRoutes);
+
+// Experiments (A/B tests of post prompt, model or temperature)
+router.use('/experiments', experimentRoutes);
+
+// Exemplar library (top published posts used as few-shot examples)
+router.use('/exemplars', exemplarRoutes);
+
 // LinkedIn posts management
 router.use('/posts', postRoutes);
 
+// Content variants (X threads, blog posts, newsletters, carousel scripts)
+router.use('/variants', variantRoutes);
+
+// Branded carousel PDFs (LinkedIn document posts)
+router.use('/carousels', carouselRoutes);
+
 // AI-generated images management
 router.use('/images', imageRoutes);
 
@@ -0,0 +1,398 @@
+/**
+ * Marketing Machine - Knowledge Base Routes
+ * Website copy, product docs and past emails that ground generated hooks and posts
+ */
+
+const express = require('express');
+const { query } = require('../config/database');
+const { addContentJob } = require('../config/queue');
+const logger = require('../utils/logger').api;
+const { ValidationError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const { fetchArticle } = require('../services/content/articleExtractor');
+const { KNOWLEDGE_TYPES, retrieveKnowledge } = require('../services/ai/knowledgeBase');
+
+const router = express.Router();
+
+const MAX_KNOWLEDGE_CHARACTERS = 200000;
+
+// =============================================
+// KNOWLEDGE ENTRY ROUTES
+// =============================================
+
+/**
+ * List knowledge entries (without their full content)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { knowledge_type, status = 'active', limit = 50, offset = 0 } = req.query;
+
+    const params = [companyId, status];
+    let typeClause = '';
+    if (knowledge_type) {
+      params.push(knowledge_type);
+      typeClause = `AND ck.knowledge_type = $${params.length}`;
+    }
+    params.push(Math.min(parseInt(limit) || 50, 200), parseInt(offset) || 0);
+
+    const result = await query(`
+      SELECT
+        ck.id, ck.uuid, ck.knowledge_type, ck.title, ck.source_url, ck.keywords,
+        ck.status, ck.embedding_status, ck.embedding_error, ck.embedded_at,
+        LENGTH(ck.content) as content_length,
+        LEFT(ck.content, 300) as excerpt,
+        (SELECT COUNT(*) FROM company_knowledge_chunks WHERE knowledge_id = ck.id) as chunk_count,
+        ck.created_at, ck.updated_at
+      FROM company_knowledge ck
+      WHERE ck.company_id = $1 AND ck.status = $2 ${typeClause}
+      ORDER BY ck.updated_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    res.json({
+      success: true,
+      knowledge: result.rows.map(row => ({
+        ...row,
+        chunk_count: parseInt(row.chunk_count)
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Get knowledge error', {
+      error: error.message,
+      companyId: req.user.companyId
+    });
+    res.status(500).json({ error: 'Failed to fetch knowledge base' });
+  }
+});
+
+/**
+ * Get a knowledge entry with its content
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+
+    const result = await query(`
+      SELECT
+        id, uuid, knowledge_type, title, content, summary, keywords, metadata, source_url,
+        status, embedding_status, embedding_model, embedding_error, embedded_at, created_at, updated_at
+      FROM company_knowledge
+      WHERE company_id = $1 AND id = $2
+    `, [companyId, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Knowledge entry not found' });
+    }
+
+    res.json({
+      success: true,
+      knowledge: result.rows[0]
+    });
+
+  } catch (error) {
+    logger.error('Get knowledge entry error', {
+      error: error.message,
+      knowledgeId: req.params.id,
+      companyId: req.user.companyId
+    });
+    res.status(500).json({ error: 'Failed to fetch knowledge entry' });
+  }
+});
+
+/**
+ * Add a knowledge entry
+ * With only a source_url, the page's article text is fetched and stored as the content.
+ */
+router.post('/', [
+  body('knowledge_type').isIn(KNOWLEDGE_TYPES).withMessage(`Knowledge type must be one of: ${KNOWLEDGE_TYPES.join(', ')}`),
+  body('title').optional().isLength({ max: 255 }).withMessage('Title must be 255 characters or less'),
+  body('content').optional().isString().isLength({ max: MAX_KNOWLEDGE_CHARACTERS }).withMessage(`Content must be ${MAX_KNOWLEDGE_CHARACTERS} characters or less`),
+  body('source_url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Source URL must be a valid http(s) URL'),
+  body('metadata').optional().isObject().withMessage('Metadata must be an object'),
+  body().custom(value => {
+    if (!value.content?.trim() && !value.source_url) {
+      throw new Error('Either content or source_url is required');
+    }
+    return true;
+  }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid knowledge entry', errors.array());
+    }
+
+    const { companyId } = req.user;
+    const { knowledge_type, source_url = null, metadata = {} } = req.body;
+    let { title = null, content } = req.body;
+
+    if (!content?.trim()) {
+      const article = await fetchArticle(source_url);
+      content = article.text.substring(0, MAX_KNOWLEDGE_CHARACTERS);
+      title = title || article.title;
+    }
+
+    const result = await query(`
+      INSERT INTO company_knowledge
+      (company_id, created_by, knowledge_type, title, content, source_url, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, uuid, knowledge_type, title, source_url, status, embedding_status, created_at
+    `, [
+      companyId,
+      req.user.id,
+      knowledge_type,
+      title,
+      content.trim(),
+      source_url,
+      JSON.stringify(metadata)
+    ]);
+
+    const entry = result.rows[0];
+    await queueEmbedding(entry.id);
+
+    logger.info('Knowledge entry created', {
+      knowledgeId: entry.id,
+      companyId,
+      knowledgeType: knowledge_type
+    });
+
+    res.status(201).json({
+      success: true,
+      knowledge: entry
+    });
+
+  } catch (error) {
+    logger.error('Create knowledge error', {
+      error: error.message,
+      companyId: req.user.companyId
+    });
+
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message, details: error.details });
+    } else {
+      res.status(500).json({ error: 'Failed to create knowledge entry' });
+    }
+  }
+});
+
+/**
+ * Update a knowledge entry
+ * Changing the title or content re-embeds it; archived entries are left out of retrieval.
+ */
+router.put('/:id', [
+  body('knowledge_type').optional().isIn(KNOWLEDGE_TYPES).withMessage(`Knowledge type must be one of: ${KNOWLEDGE_TYPES.join(', ')}`),
+  body('title').optional().isLength({ max: 255 }).withMessage('Title must be 255 characters or less'),
+  body('content').optional().isString().trim().notEmpty().withMessage('Content cannot be empty')
+    .isLength({ max: MAX_KNOWLEDGE_CHARACTERS }).withMessage(`Content must be ${MAX_KNOWLEDGE_CHARACTERS} characters or less`),
+  body('source_url').optional({ nullable: true }).isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Source URL must be a valid http(s) URL'),
+  body('metadata').optional().isObject().withMessage('Metadata must be an object'),
+  body('status').optional().isIn(['active', 'archived']).withMessage('Invalid status'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid update data', errors.array());
+    }
+
+    const { companyId } = req.user;
+    const { id } = req.params;
+    const updates = req.body;
+
+    // Build update query dynamically
+    const updateFields = [];
+    const values = [];
+    let paramCount = 1;
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (['knowledge_type', 'title', 'content', 'source_url', 'metadata', 'status'].includes(key)) {
+        updateFields.push(`${key} = $${paramCount}`);
+        values.push(value && typeof value === 'object' ? JSON.stringify(value) : value);
+        paramCount++;
+      }
+    });
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    const reembed = updates.content !== undefined || updates.title !== undefined;
+    if (reembed) {
+      updateFields.push(`embedding_status = 'pending'`, 'embedding_error = NULL');
+    }
+
+    values.push(companyId, id);
+
+    const result = await query(`
+      UPDATE company_knowledge
+      SET ${updateFields.join(', ')}
+      WHERE company_id = $${paramCount} AND id = $${paramCount + 1}
+      RETURNING id, uuid, knowledge_type, title, source_url, status, embedding_status, updated_at
+    `, values);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Knowledge entry not found' });
+    }
+
+    if (reembed) {
+      await queueEmbedding(result.rows[0].id);
+    }
+
+    logger.info('Knowledge entry updated', {
+      knowledgeId: id,
+      companyId,
+      updates: Object.keys(updates)
+    });
+
+    res.json({
+      success: true,
+      knowledge: result.rows[0]
+    });
+
+  } catch (error) {
+    logger.error('Update knowledge error', {
+      error: error.message,
+      knowledgeId: req.params.id,
+      companyId: req.user.companyId
+    });
+
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message, details: error.details });
+    } else {
+      res.status(500).json({ error: 'Failed to update knowledge entry' });
+    }
+  }
+});
+
+/**
+ * Delete a knowledge entry and its embeddings
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { id } = req.params;
+
+    const result = await query(`
+      DELETE FROM company_knowledge
+      WHERE company_id = $1 AND id = $2
+      RETURNING title
+    `, [companyId, id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Knowledge entry not found' });
+    }
+
+    logger.info('Knowledge entry deleted', {
+      knowledgeId: id,
+      companyId,
+      title: result.rows[0].title
+    });
+
+    res.json({
+      success: true,
+      message: 'Knowledge entry deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Delete knowledge error', {
+      error: error.message,
+      knowledgeId: req.params.id,
+      companyId: req.user.companyId
+    });
+    res.status(500).json({ error: 'Failed to delete knowledge entry' });
+  }
+});
+
+// =============================================
+// EMBEDDING AND RETRIEVAL
+// =============================================
+
+/**
+ * Re-embed an entry, e.g. after a failed embedding or an embedding model change
+ */
+router.post('/:id/embed', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+
+    const result = await query(`
+      UPDATE company_knowledge
+      SET embedding_status = 'pending', embedding_error = NULL
+      WHERE company_id = $1 AND id = $2
+      RETURNING id
+    `, [companyId, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Knowledge entry not found' });
+    }
+
+    const job = await queueEmbedding(result.rows[0].id, { priority: 1 });
+
+    res.status(202).json({
+      success: true,
+      message: 'Embedding queued',
+      job_id: job.id
+    });
+
+  } catch (error) {
+    logger.error('Embed knowledge error', {
+      error: error.message,
+      knowledgeId: req.params.id,
+      companyId: req.user.companyId
+    });
+    res.status(500).json({ error: 'Failed to queue embedding' });
+  }
+});
+
+/**
+ * Preview the facts retrieval would add to a prompt for some text
+ */
+router.post('/search', [
+  body('query').isString().trim().notEmpty().withMessage('Query text is required'),
+  body('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid search', errors.array());
+    }
+
+    const { companyId } = req.user;
+    const facts = await retrieveKnowledge(companyId, req.body.query, {
+      limit: parseInt(req.body.limit) || undefined
+    });
+
+    res.json({
+      success: true,
+      results: facts
+    });
+
+  } catch (error) {
+    logger.error('Search knowledge error', {
+      error: error.message,
+      companyId: req.user.companyId
+    });
+
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message, details: error.details });
+    } else {
+      res.status(500).json({ error: 'Failed to search knowledge base' });
+    }
+  }
+});
+
+// =============================================
+// HELPER FUNCTIONS
+// =============================================
+
+/**
+ * Queue an embed-knowledge job
+ * @param {number} knowledgeId - company_knowledge ID
+ * @param {Object} options - Bull job options
+ * @returns {Promise<Object>} Bull job
+ */
+async function queueEmbedding(knowledgeId, options = {}) {
+  return await addContentJob('embed-knowledge', { knowledgeId }, options);
+}
+
+module.exports = router;
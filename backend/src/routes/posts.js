@@ -7,9 +7,17 @@ const express = require('express');
 const { query, transaction } = require('../config/database');
 const { processContent } = require('../services/ai/contentProcessor');
 const PostGenerator = require('../services/ai/postGenerator');
+const { APPROVING_STATUSES, blocksApproval, checkGrounding, getPostSources } = require('../services/ai/factGrounding');
+const {
+  recordRevision,
+  listRevisions,
+  diffRevisions,
+  restoreRevision,
+  getEditAnalytics
+} = require('../services/ai/postRevisions');
 const logger = require('../utils/logger').api;
-const { ValidationError } = require('../middleware/errorHandler');
-const { body, validationResult } = require('express-validator');
+const { ValidationError, NotFoundError, ServiceError } = require('../middleware/errorHandler');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
 
 const router = express.Router();
 
@@ -77,6 +85,8 @@ router.post('/generate', [
 
     if (error instanceof ValidationError) {
       res.status(400).json({ error: error.message, details: error.details });
+    } else if (error instanceof ServiceError && error.code === 'BUDGET_EXCEEDED') {
+      res.status(402).json({ error: error.message, code: error.code });
     } else {
       res.status(500).json({ error: 'Failed to generate LinkedIn posts' });
     }
@@ -264,13 +274,13 @@ router.put('/:id', [
       throw new ValidationError('Invalid update data', errors.array());
     }
 
-    const { companyId } = req.user;
+    const { companyId, id: userId } = req.user;
     const { id } = req.params;
     const updates = req.body;
 
     // Verify post belongs to company
     const postCheck = await query(`
-      SELECT id FROM linkedin_posts 
+      SELECT id, company_id, marketing_hook_id, metadata, fact_check, fact_check_status FROM linkedin_posts 
       WHERE id = $1 AND company_id = $2
     `, [id, companyId]);
 
@@ -278,6 +288,19 @@ router.put('/:id', [
       return res.status(404).json({ error: 'LinkedIn post not found' });
     }
 
+    // New content is checked against the post's source again
+    const post = postCheck.rows[0];
+    const factCheck = updates.post_content
+      ? checkGrounding(updates.post_content, await getPostSources({ query }, post), post.fact_check)
+      : null;
+
+    if (APPROVING_STATUSES.includes(updates.status) && blocksApproval(factCheck ? factCheck.status : post.fact_check_status)) {
+      return res.status(400).json({
+        error: 'Post has unsupported claims; verify or edit them before approving',
+        fact_check: factCheck || post.fact_check
+      });
+    }
+
     // Build update query dynamically
     const updateFields = [];
     const values = [];
@@ -295,22 +318,30 @@ router.put('/:id', [
       return res.status(400).json({ error: 'No valid fields to update' });
     }
 
-    // Recalculate character count if content changed
+    // Recalculate character count and fact check if content changed
     if (updates.post_content) {
-      updateFields.push(`character_count = $${paramCount}`);
-      values.push(updates.post_content.length);
-      paramCount++;
+      updateFields.push(`character_count = $${paramCount}`, `fact_check = $${paramCount + 1}`, `fact_check_status = $${paramCount + 2}`);
+      values.push(updates.post_content.length, JSON.stringify(factCheck), factCheck.status);
+      paramCount += 3;
     }
 
     updateFields.push(`updated_at = NOW()`);
     values.push(id, companyId);
 
-    const result = await query(`
-      UPDATE linkedin_posts 
-      SET ${updateFields.join(', ')}
-      WHERE id = $${paramCount} AND company_id = $${paramCount + 1}
-      RETURNING *
-    `, values);
+    const result = await transaction(async (client) => {
+      const updated = await client.query(`
+        UPDATE linkedin_posts 
+        SET ${updateFields.join(', ')}
+        WHERE id = $${paramCount} AND company_id = $${paramCount + 1}
+        RETURNING *
+      `, values);
+
+      if (updates.post_content) {
+        await recordRevision(client, updated.rows[0], { authorType: 'user', authorId: userId, reason: 'edited', notes: updates.notes });
+      }
+
+      return updated;
+    });
 
     logger.info('LinkedIn post updated', {
       postId: id,
@@ -325,6 +356,7 @@ router.put('/:id', [
         id: result.rows[0].id,
         status: result.rows[0].status,
         character_count: result.rows[0].character_count,
+        fact_check_status: result.rows[0].fact_check_status,
         updated_at: result.rows[0].updated_at
       }
     });
@@ -388,6 +420,121 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// =============================================
+// REVISION HISTORY
+// =============================================
+
+/**
+ * List a post's revisions: the AI draft and every edit and restore since
+ */
+router.get('/:id/history', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { id } = req.params;
+
+    const revisions = await listRevisions(id, companyId);
+    if (revisions.length === 0) {
+      return res.status(404).json({ error: 'No revisions found for this post' });
+    }
+
+    res.json({ post_id: parseInt(id), revisions });
+
+  } catch (error) {
+    logger.error('Get post history error', {
+      error: error.message,
+      postId: req.params.id,
+      companyId: req.user?.companyId
+    });
+    res.status(500).json({ error: 'Failed to fetch post history' });
+  }
+});
+
+/**
+ * Word diff between two revisions
+ * Query: from, to (revision numbers; default the latest revision against the one before it)
+ */
+router.get('/:id/history/diff', [
+  param('id').isInt().withMessage('Post ID must be an integer').toInt(),
+  queryParam('from').optional().isInt({ min: 1 }).withMessage('From must be a revision number').toInt(),
+  queryParam('to').optional().isInt({ min: 1 }).withMessage('To must be a revision number').toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid revision range', errors.array());
+    }
+
+    const { companyId } = req.user;
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    const diff = await diffRevisions(id, companyId, { from, to });
+
+    res.json(diff);
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    logger.error('Diff post revisions error', {
+      error: error.message,
+      postId: req.params.id,
+      companyId: req.user?.companyId
+    });
+    res.status(500).json({ error: 'Failed to diff post revisions' });
+  }
+});
+
+/**
+ * Restore an earlier revision; the restore is recorded as a new revision
+ * Body: { notes }
+ */
+router.post('/:id/history/:revisionNumber/restore', [
+  param('id').isInt().withMessage('Post ID must be an integer').toInt(),
+  param('revisionNumber').isInt({ min: 1 }).withMessage('Revision number must be a positive integer').toInt(),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be 1000 characters or less'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid restore data', errors.array());
+    }
+
+    const { companyId, id: userId } = req.user;
+    const { id } = req.params;
+    const { revisionNumber } = req.params;
+
+    const { revision, fact_check } = await restoreRevision(id, companyId, revisionNumber, { userId, notes: req.body.notes });
+
+    logger.info('LinkedIn post revision restored', { postId: id, companyId, revisionNumber });
+
+    res.json({
+      success: true,
+      message: `Revision ${revisionNumber} restored`,
+      revision,
+      fact_check
+    });
+
+  } catch (error) {
+    logger.error('Restore post revision error', {
+      error: error.message,
+      postId: req.params.id,
+      companyId: req.user?.companyId
+    });
+
+    if (error instanceof NotFoundError) {
+      res.status(404).json({ error: error.message });
+    } else if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message, details: error.details });
+    } else {
+      res.status(500).json({ error: 'Failed to restore post revision' });
+    }
+  }
+});
+
 // =============================================
 // BULK OPERATIONS
 // =============================================
@@ -397,7 +544,7 @@ router.delete('/:id', async (req, res) => {
  */
 router.post('/bulk/status', [
   body('post_ids').isArray().withMessage('Post IDs must be an array').notEmpty().withMessage('At least one post ID required'),
-  body('post_ids.*').isInt().withMessage('Post IDs must be integers'),
+  body('post_ids.*').isInt().withMessage('Post IDs must be integers').toInt(),
   body('status').isIn(['draft', 'approved', 'scheduled', 'published', 'archived']).withMessage('Invalid status'),
 ], async (req, res) => {
   try {
@@ -411,7 +558,7 @@ router.post('/bulk/status', [
 
     // Verify posts belong to company
     const postCheck = await query(`
-      SELECT id FROM linkedin_posts 
+      SELECT id, fact_check_status FROM linkedin_posts 
       WHERE id = ANY($1) AND company_id = $2
     `, [post_ids, companyId]);
 
@@ -423,24 +570,33 @@ router.post('/bulk/status', [
       });
     }
 
+    // Posts with unsupported claims are left out of bulk approval
+    const blockedIds = APPROVING_STATUSES.includes(status)
+      ? postCheck.rows.filter(post => blocksApproval(post.fact_check_status)).map(post => Number(post.id))
+      : [];
+    const updateIds = post_ids.filter(postId => !blockedIds.includes(Number(postId)));
+
     // Update posts
     const result = await query(`
       UPDATE linkedin_posts 
       SET status = $1, updated_at = NOW()
       WHERE id = ANY($2) AND company_id = $3
       RETURNING id
-    `, [status, post_ids, companyId]);
+    `, [status, updateIds, companyId]);
 
     logger.info('Bulk status update completed', {
       companyId,
       status,
-      updatedCount: result.rows.length
+      updatedCount: result.rows.length,
+      blockedCount: blockedIds.length
     });
 
     res.json({
       success: true,
-      message: `Updated ${result.rows.length} posts to ${status}`,
-      updated_count: result.rows.length
+      message: `Updated ${result.rows.length} posts to ${status}` +
+        (blockedIds.length ? `; ${blockedIds.length} posts with unsupported claims were skipped` : ''),
+      updated_count: result.rows.length,
+      blocked_post_ids: blockedIds
     });
 
   } catch (error) {
@@ -512,4 +668,25 @@ router.get('/stats/overview', async (req, res) => {
   }
 });
 
+/**
+ * How much reviewers edit AI drafts, overall and per prompt version
+ * Query: days (default 30)
+ */
+router.get('/analytics/edits', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+
+    const analytics = await getEditAnalytics(companyId, { days: req.query.days });
+
+    res.json(analytics);
+
+  } catch (error) {
+    logger.error('Get edit analytics error', {
+      error: error.message,
+      companyId: req.user?.companyId
+    });
+    res.status(500).json({ error: 'Failed to fetch edit analytics' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,221 @@
+/**
+ * Marketing Machine - Prompt Template Routes
+ * Versioned hook, post and image prompts, company section overrides and performance by prompt version
+ */
+
+const express = require('express');
+const { query } = require('../config/database');
+const logger = require('../utils/logger').api;
+const { ValidationError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+const {
+  TEMPLATE_NAMES,
+  DEFAULT_TEMPLATES,
+  resolveTemplate,
+  validateOverrides,
+  saveOverrides,
+  getOverrideHistory
+} = require('../services/ai/promptTemplates');
+
+const router = express.Router();
+
+/**
+ * @param {Object} template - Template from resolveTemplate
+ * @returns {Object} Template as returned by the API
+ */
+function formatTemplate(template) {
+  return {
+    ...template,
+    variables: DEFAULT_TEMPLATES[template.name].variables
+  };
+}
+
+/**
+ * Reject unknown template names
+ */
+function requireTemplate(req, res, next) {
+  if (!TEMPLATE_NAMES.includes(req.params.name)) {
+    return res.status(404).json({ error: 'Prompt template not found' });
+  }
+  next();
+}
+
+// =============================================
+// TEMPLATE ROUTES
+// =============================================
+
+/**
+ * List every template as the company's generations currently use it
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+
+    const templates = await Promise.all(TEMPLATE_NAMES.map(name => resolveTemplate(name, companyId)));
+
+    res.json({
+      success: true,
+      templates: templates.map(formatTemplate)
+    });
+
+  } catch (error) {
+    logger.error('Get prompt templates error', {
+      error: error.message,
+      companyId: req.user.companyId
+    });
+    res.status(500).json({ error: 'Failed to fetch prompt templates' });
+  }
+});
+
+/**
+ * Get one template with the company's override history
+ */
+router.get('/:name', requireTemplate, async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { name } = req.params;
+
+    const [template, history] = await Promise.all([
+      resolveTemplate(name, companyId),
+      getOverrideHistory(name, companyId)
+    ]);
+
+    res.json({
+      success: true,
+      template: formatTemplate(template),
+      override_history: history
+    });
+
+  } catch (error) {
+    logger.error('Get prompt template error', {
+      error: error.message,
+      name: req.params.name,
+      companyId: req.user.companyId
+    });
+    res.status(500).json({ error: 'Failed to fetch prompt template' });
+  }
+});
+
+/**
+ * Override sections of a template for the company
+ * Body: { sections: { structure: '...', cta_style: '...' }, description }; a null section restores the default.
+ * Every change is saved as a new override revision.
+ */
+router.put('/:name/overrides', requireTemplate, [
+  body('description').optional().isString().isLength({ max: 500 }).withMessage('Description must be 500 characters or less'),
+  body('sections').custom((sections, { req }) => {
+    const errors = validateOverrides(req.params.name, sections);
+    if (errors.length) {
+      throw new Error(errors.join('; '));
+    }
+    return true;
+  }),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid prompt overrides', errors.array());
+    }
+
+    const { companyId, id: userId } = req.user;
+    const { name } = req.params;
+    const { sections, description } = req.body;
+
+    const revision = await saveOverrides(name, companyId, sections, { description, createdBy: userId });
+    const template = await resolveTemplate(name, companyId);
+
+    logger.info('Prompt overrides updated', {
+      companyId,
+      name,
+      version: revision.version,
+      userId
+    });
+
+    res.json({
+      success: true,
+      revision,
+      template: formatTemplate(template)
+    });
+
+  } catch (error) {
+    logger.error('Update prompt overrides error', {
+      error: error.message,
+      name: req.params.name,
+      companyId: req.user.companyId
+    });
+
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message, details: error.details });
+    } else {
+      res.status(500).json({ error: 'Failed to update prompt overrides' });
+    }
+  }
+});
+
+/**
+ * Compare posts by the prompt version that produced them
+ * For hooks, posts are grouped by the prompt version of the hook they were written from.
+ */
+router.get('/:name/performance', requireTemplate, async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { name } = req.params;
+    const { days = 90 } = req.query;
+
+    if (!['hooks', 'posts'].includes(name)) {
+      return res.status(400).json({ error: 'Performance is tracked for hook and post prompts' });
+    }
+
+    const versionColumn = name === 'hooks' ? 'mh.prompt_version' : 'lp.prompt_version';
+
+    const result = await query(`
+      SELECT
+        ${versionColumn} as prompt_version,
+        COUNT(*) as posts,
+        COUNT(*) FILTER (WHERE lp.status = 'published') as published,
+        COUNT(*) FILTER (WHERE lp.status = 'rejected') as rejected,
+        AVG(lp.engagement_rate) FILTER (WHERE lp.status = 'published') as avg_engagement_rate,
+        SUM(lp.views) as views,
+        SUM(lp.likes) as likes,
+        SUM(lp.comments) as comments,
+        SUM(lp.shares) as shares,
+        MIN(lp.created_at) as first_generated_at,
+        MAX(lp.created_at) as last_generated_at
+      FROM linkedin_posts lp
+      LEFT JOIN marketing_hooks mh ON mh.id = lp.marketing_hook_id
+      WHERE lp.company_id = $1
+        AND ${versionColumn} IS NOT NULL
+        AND lp.created_at > NOW() - ($2 * INTERVAL '1 day')
+      GROUP BY ${versionColumn}
+      ORDER BY MAX(lp.created_at) DESC
+    `, [companyId, Math.min(parseInt(days) || 90, 365)]);
+
+    res.json({
+      success: true,
+      template: name,
+      versions: result.rows.map(row => ({
+        prompt_version: row.prompt_version,
+        posts: parseInt(row.posts),
+        published: parseInt(row.published),
+        rejected: parseInt(row.rejected),
+        avg_engagement_rate: row.avg_engagement_rate === null ? null : parseFloat(parseFloat(row.avg_engagement_rate).toFixed(2)),
+        views: parseInt(row.views) || 0,
+        likes: parseInt(row.likes) || 0,
+        comments: parseInt(row.comments) || 0,
+        shares: parseInt(row.shares) || 0,
+        first_generated_at: row.first_generated_at,
+        last_generated_at: row.last_generated_at
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Get prompt performance error', {
+      error: error.message,
+      name: req.params.name,
+      companyId: req.user.companyId
+    });
+    res.status(500).json({ error: 'Failed to fetch prompt performance' });
+  }
+});
+
+module.exports = router;
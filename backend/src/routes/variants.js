@@ -0,0 +1,225 @@
+/**
+ * Marketing Machine - Content Variant Routes
+ * Hooks repurposed into X threads, blog outlines and drafts, newsletter sections and carousel scripts
+ */
+
+const express = require('express');
+const { query } = require('../config/database');
+const { processContent } = require('../services/ai/contentProcessor');
+const { VARIANT_FORMATS } = require('../services/ai/responseSchemas');
+const logger = require('../utils/logger').api;
+const { ValidationError, ServiceError } = require('../middleware/errorHandler');
+const { body, validationResult } = require('express-validator');
+
+const router = express.Router();
+
+// =============================================
+// VARIANT GENERATION ROUTES
+// =============================================
+
+/**
+ * Generate variants of hooks in one or more formats
+ * Variants go to the approval queue like LinkedIn posts.
+ */
+router.post('/generate', [
+  body('hook_ids').isArray().withMessage('Hook IDs must be an array').notEmpty().withMessage('At least one hook ID required'),
+  body('hook_ids.*').isInt().withMessage('Hook IDs must be integers'),
+  body('formats').isArray({ min: 1 }).withMessage('At least one format required'),
+  body('formats.*').isIn(VARIANT_FORMATS).withMessage(`Formats must be one of ${VARIANT_FORMATS.join(', ')}`),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid variant generation request', errors.array());
+    }
+
+    const { companyId } = req.user;
+    const { hook_ids } = req.body;
+    const formats = [...new Set(req.body.formats)];
+
+    logger.info('Content variant generation requested', {
+      companyId,
+      hookIds: hook_ids,
+      formats
+    });
+
+    // Verify hooks belong to company
+    const hookCheck = await query(`
+      SELECT id FROM marketing_hooks
+      WHERE id = ANY($1) AND company_id = $2
+    `, [hook_ids, companyId]);
+
+    if (hookCheck.rows.length !== hook_ids.length) {
+      return res.status(403).json({
+        error: 'Some hooks not found or access denied',
+        found: hookCheck.rows.length,
+        requested: hook_ids.length
+      });
+    }
+
+    const result = await processContent.generateVariants(hook_ids, formats, companyId);
+
+    res.json({
+      success: true,
+      message: `Generated ${result.variantsGenerated} content variants`,
+      variants_generated: result.variantsGenerated,
+      variants: result.variants
+    });
+
+  } catch (error) {
+    logger.error('Content variant generation error', {
+      error: error.message,
+      companyId: req.user?.companyId,
+      hookIds: req.body?.hook_ids
+    });
+
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message, details: error.details });
+    } else if (error instanceof ServiceError && error.code === 'BUDGET_EXCEEDED') {
+      res.status(402).json({ error: error.message, code: error.code });
+    } else {
+      res.status(500).json({ error: 'Failed to generate content variants' });
+    }
+  }
+});
+
+/**
+ * List the company's variants
+ * Query: format, status, hook_id, limit, offset
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+    const { format, status, hook_id, limit = 20, offset = 0 } = req.query;
+
+    let whereClause = 'WHERE cv.company_id = $1';
+    const params = [companyId];
+
+    if (format) {
+      params.push(format);
+      whereClause += ` AND cv.format = $${params.length}`;
+    }
+    if (status) {
+      params.push(status);
+      whereClause += ` AND cv.status = $${params.length}`;
+    }
+    if (hook_id) {
+      params.push(parseInt(hook_id));
+      whereClause += ` AND cv.marketing_hook_id = $${params.length}`;
+    }
+
+    const [result, countResult] = await Promise.all([
+      query(`
+        SELECT
+          cv.id,
+          cv.uuid,
+          cv.marketing_hook_id,
+          cv.format,
+          cv.content,
+          cv.text_content,
+          cv.character_count,
+          cv.status,
+          cv.prompt_version,
+          cv.created_at,
+          cv.updated_at,
+          mh.hook_text,
+          mh.hook_type,
+          mh.content_pillar
+        FROM content_variants cv
+        JOIN marketing_hooks mh ON mh.id = cv.marketing_hook_id
+        ${whereClause}
+        ORDER BY cv.created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, Math.min(parseInt(limit) || 20, 100), parseInt(offset) || 0]),
+      query(`SELECT COUNT(*) as total FROM content_variants cv ${whereClause}`, params)
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      variants: result.rows.map(({ hook_text, hook_type, content_pillar, ...variant }) => ({
+        ...variant,
+        hook: {
+          text: hook_text,
+          type: hook_type,
+          content_pillar
+        }
+      })),
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        has_more: parseInt(offset) + parseInt(limit) < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get content variants error', {
+      error: error.message,
+      companyId: req.user?.companyId
+    });
+    res.status(500).json({ error: 'Failed to fetch content variants' });
+  }
+});
+
+/**
+ * Get a single variant
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+
+    const result = await query(`
+      SELECT cv.*, mh.hook_text, mh.hook_type, mh.content_pillar, mh.source_quote
+      FROM content_variants cv
+      JOIN marketing_hooks mh ON mh.id = cv.marketing_hook_id
+      WHERE cv.id = $1 AND cv.company_id = $2
+    `, [req.params.id, companyId]);
+
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Content variant not found' });
+    }
+
+    res.json({ variant: result.rows[0] });
+
+  } catch (error) {
+    logger.error('Get content variant error', {
+      error: error.message,
+      variantId: req.params.id,
+      companyId: req.user?.companyId
+    });
+    res.status(500).json({ error: 'Failed to fetch content variant' });
+  }
+});
+
+/**
+ * Delete a variant
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { companyId } = req.user;
+
+    const result = await query(
+      'DELETE FROM content_variants WHERE id = $1 AND company_id = $2 RETURNING id',
+      [req.params.id, companyId]
+    );
+
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Content variant not found' });
+    }
+
+    logger.info('Content variant deleted', { variantId: req.params.id, companyId });
+
+    res.json({ success: true, message: 'Content variant deleted' });
+
+  } catch (error) {
+    logger.error('Delete content variant error', {
+      error: error.message,
+      variantId: req.params.id,
+      companyId: req.user?.companyId
+    });
+    res.status(500).json({ error: 'Failed to delete content variant' });
+  }
+});
+
+module.exports = router;
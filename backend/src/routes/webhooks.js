@@ -6,8 +6,16 @@
 const express = require('express');
 const { query, transaction } = require('../config/database');
 const logger = require('../utils/logger').webhook;
-const { ValidationError } = require('../middleware/errorHandler');
-const { body, validationResult } = require('express-validator');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { body, param, validationResult } = require('express-validator');
+const { processWebhookPayload } = require('../services/webhook/webhookServer');
+const {
+  applyPayloadMapping,
+  validatePayloadMapping,
+  hasPayloadMapping
+} = require('../services/webhook/payloadMapping');
+const { evaluateFilters, validateFilters } = require('../services/webhook/webhookFilters');
+const { replayDelivery, replayFailedDeliveries } = require('../services/webhook/webhookReplay');
 
 const router = express.Router();
 
@@ -35,14 +43,15 @@ router.get('/configs', async (req, res) => {
         wc.created_at,
         wc.updated_at,
         wc.secret_key,
+        wc.signature_header,
         wc.filters,
         wc.payload_mapping,
         COUNT(DISTINCT cs.id) as transcripts_processed,
         COUNT(DISTINCT mh.id) as hooks_generated,
         MAX(cs.created_at) as last_transcript_at
       FROM webhook_configs wc
-      LEFT JOIN content_sources cs ON cs.source_name = wc.source_type 
-        AND cs.company_id = wc.company_id
+      LEFT JOIN webhook_deliveries wd ON wd.webhook_config_id = wc.id
+      LEFT JOIN content_sources cs ON cs.id = wd.content_source_id
       LEFT JOIN marketing_hooks mh ON mh.content_source_id = cs.id
       WHERE wc.company_id = $1
       GROUP BY wc.id
@@ -61,7 +70,7 @@ router.get('/configs', async (req, res) => {
           ? ((webhook.transcripts_processed / webhook.total_received) * 100).toFixed(1)
           : 0
       },
-      setup_instructions: getWebhookInstructions(webhook.source_type, webhook.webhook_url, webhook.secret_key)
+      setup_instructions: getWebhookInstructions(webhook.source_type, webhook.webhook_url, webhook.secret_key, webhook.signature_header)
     }));
 
     res.json({
@@ -84,7 +93,11 @@ router.get('/configs', async (req, res) => {
 router.post('/configs', [
   body('name').notEmpty().withMessage('Webhook name is required'),
   body('source_type').isIn(['read.ai', 'otter.ai', 'zoom', 'custom']).withMessage('Invalid source type'),
-  body('payload_mapping').optional().isObject().withMessage('Payload mapping must be an object'),
+  body('payload_mapping').optional().isObject().withMessage('Payload mapping must be an object')
+    .bail().custom(isValidPayloadMapping),
+  body('filters').optional().isObject().withMessage('Filters must be an object')
+    .bail().custom(isValidFilters),
+  body('signature_header').optional().matches(/^[A-Za-z0-9-]+$/).withMessage('Invalid signature header name'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -98,10 +111,11 @@ router.post('/configs', [
       source_type, 
       payload_mapping = {}, 
       filters = {},
+      signature_header = source_type === 'zoom' ? 'x-zm-signature' : 'x-webhook-signature',
       description = ''
     } = req.body;
 
-    // Generate unique webhook URL with ID
+    // Generate unique webhook URL with ID - the ID doubles as the ingest token that routes deliveries to this config
     const webhookId = require('crypto').randomBytes(8).toString('hex');
     const webhookUrl = `${process.env.WEBHOOK_URL || 'http://localhost:3002'}/webhook/${source_type === 'custom' ? 'meeting-recorder' : source_type.replace('.', '-')}/${webhookId}`;
 
@@ -110,15 +124,17 @@ router.post('/configs', [
 
     const result = await query(`
       INSERT INTO webhook_configs 
-      (company_id, name, webhook_url, source_type, secret_key, payload_mapping, filters)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING id, uuid, webhook_url, secret_key
+      (company_id, name, webhook_url, ingest_token, source_type, secret_key, signature_header, payload_mapping, filters)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING id, uuid, webhook_url, secret_key, signature_header
     `, [
       companyId,
       name,
       webhookUrl,
+      webhookId,
       source_type,
       secretKey,
+      signature_header.toLowerCase(),
       JSON.stringify(payload_mapping),
       JSON.stringify(filters)
     ]);
@@ -141,7 +157,8 @@ router.post('/configs', [
         source_type,
         webhook_url: webhookConfig.webhook_url,
         secret_key: webhookConfig.secret_key,
-        instructions: getWebhookInstructions(source_type, webhookConfig.webhook_url, webhookConfig.secret_key)
+        signature_header: webhookConfig.signature_header,
+        instructions: getWebhookInstructions(source_type, webhookConfig.webhook_url, webhookConfig.secret_key, webhookConfig.signature_header)
       }
     });
 
@@ -166,6 +183,12 @@ router.post('/configs', [
 router.put('/configs/:id', [
   body('name').optional().notEmpty().withMessage('Name cannot be empty'),
   body('status').optional().isIn(['active', 'paused', 'disabled']).withMessage('Invalid status'),
+  body('secret_key').optional().isString().isLength({ min: 8, max: 255 }).withMessage('Secret must be 8-255 characters'),
+  body('payload_mapping').optional().isObject().withMessage('Payload mapping must be an object')
+    .bail().custom(isValidPayloadMapping),
+  body('filters').optional().isObject().withMessage('Filters must be an object')
+    .bail().custom(isValidFilters),
+  body('signature_header').optional().matches(/^[A-Za-z0-9-]+$/).withMessage('Invalid signature header name'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -183,9 +206,9 @@ router.put('/configs/:id', [
     let paramCount = 1;
 
     Object.entries(updates).forEach(([key, value]) => {
-      if (['name', 'status', 'payload_mapping', 'filters'].includes(key)) {
+      if (['name', 'status', 'payload_mapping', 'filters', 'signature_header', 'secret_key'].includes(key)) {
         updateFields.push(`${key} = $${paramCount}`);
-        values.push(typeof value === 'object' ? JSON.stringify(value) : value);
+        values.push(typeof value === 'object' ? JSON.stringify(value) : key === 'signature_header' ? value.toLowerCase() : value);
         paramCount++;
       }
     });
@@ -355,6 +378,97 @@ router.post('/test/:configId', async (req, res) => {
   }
 });
 
+/**
+ * Dry-run a payload mapping against a sample payload without storing anything.
+ * Uses the mapping and filters from the request body, or the saved ones of config_id.
+ */
+router.post('/mapping/dry-run', [
+  body('payload').isObject().withMessage('Sample payload must be an object'),
+  body('payload_mapping').optional().isObject().withMessage('Payload mapping must be an object'),
+  body('filters').optional().isObject().withMessage('Filters must be an object')
+    .bail().custom(isValidFilters),
+  body('config_id').optional().isInt().withMessage('Invalid config ID'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid dry-run request', errors.array());
+    }
+
+    const { companyId } = req.user;
+    const { payload, config_id } = req.body;
+    let { payload_mapping, filters } = req.body;
+    let sourceType = req.body.source_type || 'custom';
+
+    if (config_id) {
+      const configResult = await query(`
+        SELECT source_type, payload_mapping, filters FROM webhook_configs
+        WHERE company_id = $1 AND id = $2
+      `, [companyId, config_id]);
+
+      if (configResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Webhook configuration not found' });
+      }
+
+      sourceType = configResult.rows[0].source_type;
+      payload_mapping = payload_mapping || configResult.rows[0].payload_mapping;
+      filters = filters || configResult.rows[0].filters;
+    }
+
+    let result = null;
+    let unresolved = [];
+    const mappingUsed = hasPayloadMapping(payload_mapping);
+
+    if (mappingUsed) {
+      const mappingErrors = validatePayloadMapping(payload_mapping);
+      if (mappingErrors.length > 0) {
+        throw new ValidationError('Invalid payload mapping', mappingErrors);
+      }
+
+      const mapped = applyPayloadMapping(payload, payload_mapping);
+      unresolved = mapped.unresolved;
+      result = {
+        title: mapped.title,
+        content: mapped.content,
+        contentType: mapped.contentType,
+        metadata: mapped.metadata
+      };
+    } else {
+      // No mapping - show what the built-in extraction for this source would produce
+      const processed = processWebhookPayload(payload, sourceType, req.headers, companyId);
+      result = processed && {
+        title: processed.title,
+        content: processed.content,
+        contentType: processed.contentType,
+        metadata: processed.metadata
+      };
+    }
+
+    const filterResult = result ? evaluateFilters(result, filters) : { passed: true };
+
+    res.json({
+      success: true,
+      mapping_used: mappingUsed,
+      would_ingest: !!(result && result.content) && filterResult.passed,
+      result,
+      unresolved,
+      filter: filterResult
+    });
+
+  } catch (error) {
+    logger.error('Payload mapping dry-run error', {
+      error: error.message,
+      companyId: req.user.companyId
+    });
+
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message, details: error.details });
+    } else {
+      res.status(500).json({ error: 'Failed to dry-run payload mapping' });
+    }
+  }
+});
+
 /**
  * Get webhook delivery history
  */
@@ -362,7 +476,7 @@ router.get('/deliveries/:configId', async (req, res) => {
   try {
     const { companyId } = req.user;
     const { configId } = req.params;
-    const { limit = 50, offset = 0 } = req.query;
+    const { limit = 50, offset = 0, status } = req.query;
 
     // Verify webhook belongs to company
     const configCheck = await query(`
@@ -382,21 +496,26 @@ router.get('/deliveries/:configId', async (req, res) => {
         wd.received_at,
         wd.processed_at,
         wd.error_message,
+        wd.processing_result,
+        wd.replay_count,
+        wd.last_replayed_at,
         cs.title as content_title,
         cs.content_type
       FROM webhook_deliveries wd
       LEFT JOIN content_sources cs ON wd.content_source_id = cs.id
       WHERE wd.webhook_config_id = $1
+        AND ($4::varchar IS NULL OR wd.status = $4)
       ORDER BY wd.received_at DESC
       LIMIT $2 OFFSET $3
-    `, [configId, limit, offset]);
+    `, [configId, limit, offset, status || null]);
 
     // Get total count
     const countResult = await query(`
       SELECT COUNT(*) as total
       FROM webhook_deliveries
       WHERE webhook_config_id = $1
-    `, [configId]);
+        AND ($2::varchar IS NULL OR status = $2)
+    `, [configId, status || null]);
 
     res.json({
       deliveries: result.rows,
@@ -417,18 +536,128 @@ router.get('/deliveries/:configId', async (req, res) => {
   }
 });
 
+// =============================================
+// DELIVERY REPLAY
+// =============================================
+
+/**
+ * Replay all failed deliveries (optionally for one config or since a date)
+ */
+router.post('/deliveries/replay-failed', [
+  body('config_id').optional().isInt().withMessage('Invalid config ID'),
+  body('since').optional().isISO8601().withMessage('since must be an ISO date'),
+  body('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid replay request', errors.array());
+    }
+
+    const { companyId } = req.user;
+    const { config_id, since, limit } = req.body;
+
+    const result = await replayFailedDeliveries(companyId, {
+      configId: config_id ? parseInt(config_id) : null,
+      since: since || null,
+      limit
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Bulk webhook replay error', {
+      error: error.message,
+      companyId: req.user.companyId
+    });
+
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message, details: error.details });
+    } else {
+      res.status(500).json({ error: 'Failed to replay webhook deliveries' });
+    }
+  }
+});
+
+/**
+ * Replay a single delivery from its stored payload
+ */
+router.post('/deliveries/:id/replay', [
+  param('id').isInt().withMessage('Delivery ID must be an integer').toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Invalid delivery ID', errors.array());
+    }
+
+    const { companyId } = req.user;
+    const result = await replayDelivery(req.params.id, companyId);
+
+    res.json({
+      success: result.outcome !== 'failed',
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Webhook replay error', {
+      error: error.message,
+      deliveryId: req.params.id,
+      companyId: req.user.companyId
+    });
+
+    if (error instanceof NotFoundError) {
+      res.status(404).json({ error: error.message });
+    } else if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message, details: error.details });
+    } else {
+      res.status(500).json({ error: 'Failed to replay webhook delivery' });
+    }
+  }
+});
+
 // =============================================
 // HELPER FUNCTIONS
 // =============================================
 
+/**
+ * express-validator check for payload mappings
+ * @param {Object} mapping - Payload mapping from the request body
+ * @returns {boolean} Mapping is valid
+ */
+function isValidPayloadMapping(mapping) {
+  const errors = validatePayloadMapping(mapping);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return true;
+}
+
+/**
+ * express-validator check for webhook filter rules
+ * @param {Object} filters - Filters from the request body
+ * @returns {boolean} Filters are valid
+ */
+function isValidFilters(filters) {
+  const errors = validateFilters(filters);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return true;
+}
+
 /**
  * Get setup instructions for different webhook sources
  * @param {string} sourceType - Type of webhook source
  * @param {string} webhookUrl - Generated webhook URL
  * @param {string} secretKey - Secret key for verification
+ * @param {string} signatureHeader - Header carrying the request signature
  * @returns {Object} Setup instructions
  */
-function getWebhookInstructions(sourceType, webhookUrl, secretKey) {
+function getWebhookInstructions(sourceType, webhookUrl, secretKey, signatureHeader = 'x-webhook-signature') {
   const instructions = {
     'read.ai': {
       title: 'Read.ai Webhook Setup',
@@ -474,11 +703,12 @@ function getWebhookInstructions(sourceType, webhookUrl, secretKey) {
       steps: [
         'Go to Zoom App Marketplace',
         'Create a Webhook-only app',
+        'Enable "Include a download token" for recording events',
         'Add webhook endpoint subscription',
         `Set endpoint URL to: ${webhookUrl}`,
-        'Subscribe to "recording.completed" event',
-        `Set secret token: ${secretKey}`,
-        'Activate the app'
+        'Subscribe to "recording.completed" and "recording.transcript_completed" events',
+        'Copy the app\'s Secret Token and save it as this webhook\'s secret key',
+        'Validate the endpoint URL in Zoom, then activate the app'
       ],
       payload_format: {
         event: 'recording.completed',
@@ -498,7 +728,8 @@ function getWebhookInstructions(sourceType, webhookUrl, secretKey) {
         'Configure your system to send POST requests',
         `Send requests to: ${webhookUrl}`,
         'Include content in request body',
-        `Optional: Sign requests with secret: ${secretKey}`,
+        `Sign the raw request body with HMAC-SHA256 using secret: ${secretKey}`,
+        `Send the hex digest in the "${signatureHeader}" header`,
         'Include "X-Webhook-Source" header with your system name'
       ],
       payload_format: {
@@ -0,0 +1,436 @@
+/**
+ * Marketing Machine - Brand Voice Linter
+ * Rule-level brand voice findings with character offsets and suggested fixes
+ */
+
+// Defaults, overridable per company in brand_voice.linter
+const DEFAULT_LIMITS = {
+  max_emojis: 3,
+  max_hashtags: 5,
+  max_exclamation_marks: 1,
+  max_reading_grade: 10
+};
+
+const RULES = [
+  'prohibited_term',
+  'cliche',
+  'emoji_limit',
+  'hashtag_count',
+  'reading_level',
+  'passive_voice',
+  'exclamation_marks'
+];
+
+// Penalty per finding on the 1-10 brand alignment score
+const SEVERITY_WEIGHTS = { error: 3, warning: 1, info: 0.25 };
+
+// Clichés and their plain replacements; null when no replacement keeps the sentence intact
+const CLICHES = {
+  'game changer': null,
+  'at the end of the day': 'ultimately',
+  'think outside the box': 'think differently',
+  'low hanging fruit': 'quick wins',
+  'move the needle': 'make a measurable difference',
+  'circle back': 'follow up',
+  'touch base': 'check in',
+  'deep dive': 'close look',
+  'paradigm shift': 'fundamental change',
+  'take it to the next level': 'improve it',
+  'best in class': 'leading',
+  'cutting edge': 'advanced',
+  'world class': null,
+  'win win': null,
+  'synergy': null,
+  'secret sauce': null,
+  'let that sink in': null,
+  'unlock the power of': null,
+  "in today's fast paced world": null
+};
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic})*/gu;
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&])#[\p{L}\p{N}_]+/gu;
+const PASSIVE_PATTERN = /\b(?:am|is|are|was|were|be|been|being)\s+(?:\w+ly\s+)?(?:\w+ed|known|done|made|given|taken|seen|written|shown|built|found|held|kept|paid|sent|told|won|brought|bought|caught|taught|thought|sold|driven|chosen|grown)\b/gi;
+
+// =============================================
+// HELPERS
+// =============================================
+
+/**
+ * @param {string} text - Literal text
+ * @returns {string} Text escaped for a RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pattern for a phrase that matches space or hyphen variants and either apostrophe
+ * @param {string} phrase - e.g. "low hanging fruit"
+ * @returns {RegExp} Case-insensitive global pattern
+ */
+function phrasePattern(phrase) {
+  const body = phrase
+    .split(/[\s-]+/)
+    .map(word => escapeRegExp(word).replace(/'/g, "['’]"))
+    .join('[\\s-]+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Keep the capitalisation of the text being replaced
+ * @param {string} original - Matched text
+ * @param {string} replacement - Replacement in lower case
+ * @returns {string} Replacement
+ */
+function matchCase(original, replacement) {
+  if (original === original.toUpperCase() && original.length > 1) return replacement.toUpperCase();
+  if (original[0] === original[0].toUpperCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+  return replacement;
+}
+
+/**
+ * Widen a removal so it doesn't leave a double space behind
+ * @returns {Object} { start, end }
+ */
+function removalRange(content, start, end) {
+  if (content[end] === ' ' && (start === 0 || /\s/.test(content[start - 1]))) {
+    return { start, end: end + 1 };
+  }
+  if (start > 0 && content[start - 1] === ' ') {
+    return { start: start - 1, end };
+  }
+  return { start, end };
+}
+
+/**
+ * @param {string} word - Word
+ * @returns {number} Estimated syllables
+ */
+function countSyllables(word) {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!cleaned) return 0;
+  if (cleaned.length <= 3) return 1;
+  const groups = cleaned.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+/**
+ * Flesch-Kincaid grade level
+ * @param {number} words - Word count
+ * @param {number} sentences - Sentence count
+ * @param {number} syllables - Syllable count
+ * @returns {number} US school grade
+ */
+function gradeLevel(words, sentences, syllables) {
+  if (!words || !sentences) return 0;
+  return Math.round((0.39 * (words / sentences) + 11.8 * (syllables / words) - 15.59) * 10) / 10;
+}
+
+/**
+ * Sentences with their offsets, ignoring hashtag-only lines
+ * @param {string} content - Post content
+ * @returns {Array<Object>} { text, start, end, words }
+ */
+function splitSentences(content) {
+  const sentences = [];
+  for (const match of content.matchAll(/[^.!?\n]+[.!?]*/g)) {
+    const leading = match[0].length - match[0].trimStart().length;
+    const text = match[0].trim();
+    const words = text.replace(HASHTAG_PATTERN, '').match(/[\p{L}\p{N}'’]+/gu) || [];
+    if (!words.length) continue;
+
+    const start = match.index + leading;
+    sentences.push({ text, start, end: start + text.length, words });
+  }
+  return sentences;
+}
+
+/**
+ * Company linter settings
+ * @param {Object} brandVoice - companies.brand_voice: prohibited_terms (strings or { term, replacement })
+ *   and optional linter { max_emojis, max_hashtags, max_exclamation_marks, max_reading_grade,
+ *   banned_cliches, allowed_cliches, disabled_rules }
+ * @returns {Object} Settings
+ */
+function resolveSettings(brandVoice) {
+  const voice = brandVoice && typeof brandVoice === 'object' ? brandVoice : {};
+  const linter = voice.linter || {};
+
+  const cliches = { ...CLICHES };
+  for (const cliche of linter.banned_cliches || []) {
+    if (typeof cliche === 'string') cliches[cliche.toLowerCase()] = null;
+    else if (cliche?.phrase) cliches[cliche.phrase.toLowerCase()] = cliche.replacement || null;
+  }
+  for (const phrase of linter.allowed_cliches || []) {
+    delete cliches[phrase.toLowerCase()];
+  }
+
+  const limits = {};
+  for (const [key, value] of Object.entries(DEFAULT_LIMITS)) {
+    limits[key] = Number.isFinite(linter[key]) ? linter[key] : value;
+  }
+
+  return {
+    ...limits,
+    prohibitedTerms: (voice.prohibited_terms || [])
+      .map(term => (typeof term === 'string' ? { term } : term))
+      .filter(term => term?.term),
+    cliches,
+    disabled: new Set(linter.disabled_rules || [])
+  };
+}
+
+// =============================================
+// RULES
+// =============================================
+
+const checks = {
+  prohibited_term(content, settings) {
+    const findings = [];
+    for (const { term, replacement } of settings.prohibitedTerms) {
+      for (const match of content.matchAll(phrasePattern(term))) {
+        findings.push({
+          rule: 'prohibited_term',
+          severity: 'error',
+          start: match.index,
+          end: match.index + match[0].length,
+          text: match[0],
+          message: `"${match[0]}" is a prohibited term`,
+          suggestion: replacement ? `Replace with "${replacement}"` : 'Remove or rephrase',
+          fix: replacement ? { replacement: matchCase(match[0], replacement) } : null
+        });
+      }
+    }
+    return findings;
+  },
+
+  cliche(content, settings) {
+    const findings = [];
+    for (const [phrase, replacement] of Object.entries(settings.cliches)) {
+      for (const match of content.matchAll(phrasePattern(phrase))) {
+        findings.push({
+          rule: 'cliche',
+          severity: 'warning',
+          start: match.index,
+          end: match.index + match[0].length,
+          text: match[0],
+          message: `"${match[0]}" is a cliché`,
+          suggestion: replacement ? `Replace with "${replacement}"` : 'Say it plainly, with a specific example',
+          fix: replacement ? { replacement: matchCase(match[0], replacement) } : null
+        });
+      }
+    }
+    return findings;
+  },
+
+  emoji_limit(content, settings) {
+    const emojis = [...content.matchAll(EMOJI_PATTERN)];
+    return emojis.slice(settings.max_emojis).map(match => {
+      const range = removalRange(content, match.index, match.index + match[0].length);
+      return {
+        rule: 'emoji_limit',
+        severity: 'warning',
+        ...range,
+        text: content.slice(range.start, range.end),
+        message: `${emojis.length} emojis; the brand allows ${settings.max_emojis}`,
+        suggestion: 'Remove this emoji',
+        fix: { replacement: '' }
+      };
+    });
+  },
+
+  hashtag_count(content, settings, hashtags) {
+    const seen = new Set();
+    const tags = [];
+
+    for (const match of content.matchAll(HASHTAG_PATTERN)) {
+      seen.add(match[0].toLowerCase());
+      tags.push({ field: 'post_content', start: match.index, end: match.index + match[0].length, text: match[0] });
+    }
+    hashtags.forEach((tag, index) => {
+      const normalized = (tag.startsWith('#') ? tag : `#${tag}`).toLowerCase();
+      if (seen.has(normalized)) return;
+      seen.add(normalized);
+      tags.push({ field: 'hashtags', index, text: tag });
+    });
+
+    return tags.slice(settings.max_hashtags).map(tag => {
+      const base = {
+        rule: 'hashtag_count',
+        severity: 'warning',
+        message: `${tags.length} hashtags; the brand allows ${settings.max_hashtags}`,
+        suggestion: `Remove ${tag.text}`,
+        fix: { replacement: '' }
+      };
+      if (tag.field === 'hashtags') {
+        return { ...base, field: 'hashtags', index: tag.index, start: null, end: null, text: tag.text };
+      }
+      const range = removalRange(content, tag.start, tag.end);
+      return { ...base, ...range, text: content.slice(range.start, range.end) };
+    });
+  },
+
+  reading_level(content, settings) {
+    return splitSentences(content)
+      .filter(sentence => sentence.words.length >= 8)
+      .map(sentence => ({
+        ...sentence,
+        grade: gradeLevel(sentence.words.length, 1, sentence.words.reduce((sum, word) => sum + countSyllables(word), 0))
+      }))
+      .filter(sentence => sentence.grade > settings.max_reading_grade)
+      .map(sentence => ({
+        rule: 'reading_level',
+        severity: 'info',
+        start: sentence.start,
+        end: sentence.end,
+        text: sentence.text,
+        message: `Reads at grade ${sentence.grade}; the brand aims for ${settings.max_reading_grade} or below`,
+        suggestion: 'Split the sentence or use shorter words',
+        fix: null
+      }));
+  },
+
+  passive_voice(content) {
+    return [...content.matchAll(PASSIVE_PATTERN)].map(match => ({
+      rule: 'passive_voice',
+      severity: 'info',
+      start: match.index,
+      end: match.index + match[0].length,
+      text: match[0],
+      message: `"${match[0]}" is passive voice`,
+      suggestion: 'Say who did it, in active voice',
+      fix: null
+    }));
+  },
+
+  exclamation_marks(content, settings) {
+    const runs = [...content.matchAll(/!+/g)];
+    const total = runs.reduce((sum, match) => sum + match[0].length, 0);
+    let allowed = settings.max_exclamation_marks;
+    const findings = [];
+
+    for (const match of runs) {
+      let start = match.index;
+      const end = start + match[0].length;
+      let replacement = '';
+
+      if (allowed > 0) {
+        allowed -= 1;
+        start += 1; // Keep the first mark of the run
+        if (start === end) continue;
+      } else if (content[start - 1] !== '?') {
+        replacement = '.';
+      }
+
+      findings.push({
+        rule: 'exclamation_marks',
+        severity: 'warning',
+        start,
+        end,
+        text: content.slice(start, end),
+        message: `${total} exclamation marks; the brand allows ${settings.max_exclamation_marks}`,
+        suggestion: replacement ? 'End the sentence with a period' : 'Remove the extra exclamation marks',
+        fix: { replacement }
+      });
+    }
+    return findings;
+  }
+};
+
+// =============================================
+// LINTING
+// =============================================
+
+/**
+ * Lint a post against the company's brand voice
+ * Offsets are JavaScript string indices into post_content; hashtag findings on the separate
+ * hashtags list carry { field: 'hashtags', index } instead.
+ * @param {string} content - Post content
+ * @param {Object} brandVoice - companies.brand_voice
+ * @param {Object} options - { hashtags } published with the post
+ * @returns {Object} { findings, summary, stats }
+ */
+function lintPost(content, brandVoice, options = {}) {
+  const settings = resolveSettings(brandVoice);
+  const hashtags = options.hashtags || [];
+  const text = content || '';
+
+  const findings = RULES
+    .filter(rule => !settings.disabled.has(rule))
+    .flatMap(rule => checks[rule](text, settings, hashtags))
+    .map(finding => ({ field: 'post_content', ...finding, fixable: Boolean(finding.fix) }))
+    .sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity) || (a.end ?? 0) - (b.end ?? 0));
+
+  const sentences = splitSentences(text);
+  const words = sentences.flatMap(sentence => sentence.words);
+
+  return {
+    findings,
+    summary: {
+      errors: findings.filter(finding => finding.severity === 'error').length,
+      warnings: findings.filter(finding => finding.severity === 'warning').length,
+      info: findings.filter(finding => finding.severity === 'info').length,
+      fixable: findings.filter(finding => finding.fixable).length
+    },
+    stats: {
+      reading_grade: gradeLevel(words.length, sentences.length, words.reduce((sum, word) => sum + countSyllables(word), 0)),
+      emojis: (text.match(EMOJI_PATTERN) || []).length,
+      exclamation_marks: (text.match(/!/g) || []).length
+    }
+  };
+}
+
+/**
+ * Apply the safe (fixable) findings
+ * Overlapping fixes are skipped; lint again to see what remains.
+ * @param {string} content - Post content
+ * @param {Array<Object>} findings - From lintPost
+ * @param {Object} options - { hashtags } the findings were made with
+ * @returns {Object} { post_content, hashtags, applied }
+ */
+function applyFixes(content, findings, options = {}) {
+  const fixable = findings.filter(finding => finding.fix);
+  const applied = [];
+
+  let text = content;
+  let lastStart = Infinity;
+  const inline = fixable
+    .filter(finding => finding.field === 'post_content')
+    .sort((a, b) => b.start - a.start);
+
+  for (const finding of inline) {
+    if (finding.end > lastStart) continue;
+    text = text.slice(0, finding.start) + finding.fix.replacement + text.slice(finding.end);
+    lastStart = finding.start;
+    applied.push(finding);
+  }
+
+  const dropped = new Set(fixable.filter(finding => finding.field === 'hashtags').map(finding => finding.index));
+  const hashtags = (options.hashtags || []).filter((tag, index) => !dropped.has(index));
+  applied.push(...fixable.filter(finding => finding.field === 'hashtags'));
+
+  return {
+    post_content: text.replace(/[ \t]+\n/g, '\n').trim(),
+    hashtags,
+    applied: applied.map(({ rule, start, end, text: original, field, index }) => ({ rule, field, start, end, index, text: original }))
+  };
+}
+
+/**
+ * Brand alignment penalty for a set of findings
+ * @param {Array<Object>} findings - From lintPost
+ * @returns {number} Points to subtract from the 1-10 score
+ */
+function lintPenalty(findings) {
+  return findings.reduce((sum, finding) => sum + SEVERITY_WEIGHTS[finding.severity], 0);
+}
+
+module.exports = {
+  RULES,
+  DEFAULT_LIMITS,
+  EMOJI_PATTERN,
+  HASHTAG_PATTERN,
+  lintPost,
+  applyFixes,
+  lintPenalty
+};
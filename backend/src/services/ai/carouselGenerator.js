@@ -0,0 +1,250 @@
+/**
+ * Marketing Machine - Carousel Generator
+ * Turns a post or hook into slide outlines and a branded PDF for LinkedIn document posts
+ */
+
+const { query, transaction } = require('../../config/database');
+const logger = require('../../utils/logger').ai;
+const VariantGenerator = require('./variantGenerator');
+const { resolveBrand, renderCarouselPdf } = require('./carouselRenderer');
+const { validateVariant } = require('./responseSchemas');
+const { ValidationError, NotFoundError } = require('../../middleware/errorHandler');
+
+// Columns returned for stored carousels (everything but the PDF bytes)
+const CAROUSEL_COLUMNS = `
+  id, uuid, company_id, linkedin_post_id, marketing_hook_id, title, slides, caption,
+  page_count, file_size, prompt_version, metadata, created_at, updated_at
+`;
+
+/**
+ * Carousel Generator Class
+ */
+class CarouselGenerator {
+  /**
+   * @param {Object} options - { provider } passed on to the VariantGenerator that writes the slides
+   */
+  constructor(options = {}) {
+    this.variantGenerator = new VariantGenerator(options);
+  }
+
+  /**
+   * Generate slide outlines and render them into a PDF
+   * Slides are a carousel_script variant, so they share its prompt template and schema (6-10 slides).
+   * @param {Object} source - { hook } and, for carousels made from a post, { post }
+   * @param {Object} companyProfile - Company profile with brand voice and visual_style
+   * @param {Object} options - { validation } array that collects the schema errors of repaired outlines
+   * @returns {Promise<Object>} { title, slides, caption, pdf, page_count, file_size, prompt_version, metadata }
+   */
+  async generateCarousel(source, companyProfile, options = {}) {
+    const { hook, post } = source;
+    const slideSource = post ? { ...hook, post_content: post.post_content } : hook;
+
+    logger.info('Starting carousel generation', {
+      companyId: companyProfile.id,
+      hookId: hook.id,
+      postId: post?.id
+    });
+
+    const [variant] = await this.variantGenerator.generateVariants(
+      [slideSource], ['carousel_script'], companyProfile, { validation: options.validation }
+    );
+
+    if (!variant) {
+      throw new Error('Carousel slide generation failed');
+    }
+
+    const carousel = await this.render(variant.content, companyProfile);
+
+    logger.info('Carousel generation completed', {
+      companyId: companyProfile.id,
+      hookId: hook.id,
+      postId: post?.id,
+      pageCount: carousel.page_count,
+      fileSize: carousel.file_size
+    });
+
+    return {
+      ...carousel,
+      prompt_version: variant.prompt_version,
+      metadata: { ...variant.metadata, ...carousel.metadata, ...(post && { post_id: post.id }) }
+    };
+  }
+
+  /**
+   * Render slides with the company's current branding
+   * @param {Object} content - Valid carousel_script content { title, slides, caption }
+   * @param {Object} companyProfile - Company profile with visual_style
+   * @returns {Promise<Object>} { title, slides, caption, pdf, page_count, file_size, metadata }
+   */
+  async render(content, companyProfile) {
+    const brand = await resolveBrand(companyProfile);
+    const pdf = await renderCarouselPdf(content, brand);
+
+    return {
+      title: content.title,
+      slides: content.slides,
+      caption: content.caption,
+      pdf,
+      page_count: content.slides.length,
+      file_size: pdf.length,
+      metadata: {
+        rendered_at: new Date().toISOString(),
+        brand: {
+          primary: brand.primary,
+          accent: brand.accent,
+          fonts: brand.fonts,
+          has_logo: Boolean(brand.logo)
+        }
+      }
+    };
+  }
+
+  /**
+   * Re-render a stored carousel after its slides were edited or the brand changed
+   * @param {number} carouselId - Carousel ID
+   * @param {Object} companyProfile - Company profile with visual_style
+   * @param {Object} edits - Optional { title, slides, caption }, checked against the carousel_script schema
+   * @returns {Promise<Object>} Updated carousel (without the PDF bytes)
+   */
+  async rerender(carouselId, companyProfile, edits = {}) {
+    const current = await this.getCarousel(carouselId, companyProfile.id);
+
+    const content = {
+      title: edits.title ?? current.title,
+      slides: edits.slides ?? current.slides,
+      caption: edits.caption ?? current.caption
+    };
+
+    const errors = validateVariant('carousel_script', content);
+    if (errors.length) {
+      throw new ValidationError('Carousel does not match the carousel format', errors);
+    }
+
+    const carousel = await this.render(content, companyProfile);
+
+    const result = await query(`
+      UPDATE carousel_documents
+      SET title = $1, slides = $2, caption = $3, pdf = $4, page_count = $5, file_size = $6,
+          metadata = metadata || $7
+      WHERE id = $8 AND company_id = $9
+      RETURNING ${CAROUSEL_COLUMNS}
+    `, [
+      carousel.title,
+      JSON.stringify(carousel.slides),
+      carousel.caption,
+      carousel.pdf,
+      carousel.page_count,
+      carousel.file_size,
+      JSON.stringify(carousel.metadata),
+      carouselId,
+      companyProfile.id
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Store a generated carousel
+   * @param {Object} carousel - From generateCarousel
+   * @param {number} companyId - Company ID
+   * @param {Object} source - { hookId, postId } it was made from
+   * @returns {Promise<Object>} Stored carousel (without the PDF bytes)
+   */
+  async storeCarousel(carousel, companyId, source) {
+    const result = await query(`
+      INSERT INTO carousel_documents (
+        company_id, linkedin_post_id, marketing_hook_id, title, slides, caption,
+        pdf, page_count, file_size, prompt_version, metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING ${CAROUSEL_COLUMNS}
+    `, [
+      companyId,
+      source.postId || null,
+      source.hookId,
+      carousel.title,
+      JSON.stringify(carousel.slides),
+      carousel.caption,
+      carousel.pdf,
+      carousel.page_count,
+      carousel.file_size,
+      carousel.prompt_version,
+      JSON.stringify(carousel.metadata)
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * @param {number} carouselId - Carousel ID
+   * @param {number} companyId - Company ID
+   * @param {Object} options - { withPdf } to include the PDF bytes
+   * @returns {Promise<Object>} Carousel
+   */
+  async getCarousel(carouselId, companyId, options = {}) {
+    const result = await query(`
+      SELECT ${CAROUSEL_COLUMNS}${options.withPdf ? ', pdf' : ''}
+      FROM carousel_documents
+      WHERE id = $1 AND company_id = $2
+    `, [carouselId, companyId]);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Carousel not found');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Attach a carousel to a post, which then publishes as a LinkedIn document post
+   * @param {number} carouselId - Carousel ID
+   * @param {number} postId - LinkedIn post ID
+   * @param {number} companyId - Company ID
+   * @returns {Promise<Object>} { post_id, carousel_document_id }
+   */
+  async attachToPost(carouselId, postId, companyId) {
+    await this.getCarousel(carouselId, companyId);
+
+    return transaction(async (client) => {
+      const postResult = await client.query(
+        'SELECT id, status FROM linkedin_posts WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [postId, companyId]
+      );
+
+      const post = postResult.rows[0];
+      if (!post) {
+        throw new NotFoundError('Post not found');
+      }
+      if (post.status === 'published') {
+        throw new ValidationError('Cannot attach a carousel to a published post');
+      }
+
+      await client.query(
+        'UPDATE linkedin_posts SET carousel_document_id = $1, updated_at = NOW() WHERE id = $2',
+        [carouselId, postId]
+      );
+
+      logger.info('Carousel attached to post', { carouselId, postId, companyId });
+
+      return { post_id: postId, carousel_document_id: carouselId };
+    });
+  }
+
+  /**
+   * Detach a carousel from an unpublished post
+   * @param {number} carouselId - Carousel ID
+   * @param {number} postId - LinkedIn post ID
+   * @param {number} companyId - Company ID
+   * @returns {Promise<boolean>} Whether the post had it attached
+   */
+  async detachFromPost(carouselId, postId, companyId) {
+    const result = await query(`
+      UPDATE linkedin_posts SET carousel_document_id = NULL, updated_at = NOW()
+      WHERE id = $1 AND company_id = $2 AND carousel_document_id = $3 AND status != 'published'
+      RETURNING id
+    `, [postId, companyId, carouselId]);
+
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = CarouselGenerator;
@@ -0,0 +1,304 @@
+/**
+ * Marketing Machine - Carousel Renderer
+ * Renders carousel slides into a branded PDF for LinkedIn document posts, fully offline
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const logger = require('../../utils/logger').ai;
+
+// LinkedIn's recommended portrait carousel size (4:5)
+const PAGE_WIDTH = 1080;
+const PAGE_HEIGHT = 1350;
+const MARGIN = 96;
+
+const DEFAULT_BRAND = {
+  primary: '#0A66C2',
+  accent: '#0A66C2',
+  background: '#FFFFFF',
+  text: '#1D2226'
+};
+
+// Colour words companies use in visual_style.primary_colors, e.g. "Navy blue and white"
+const NAMED_COLORS = {
+  navy: '#1B2A4A',
+  blue: '#0A66C2',
+  teal: '#0F766E',
+  green: '#15803D',
+  red: '#C62828',
+  orange: '#E8590C',
+  yellow: '#F2C94C',
+  gold: '#C9A227',
+  purple: '#6B3FA0',
+  pink: '#D6336C',
+  black: '#111111',
+  white: '#FFFFFF',
+  gray: '#6B7280',
+  grey: '#6B7280'
+};
+
+// Built-in PDF fonts, so rendering needs no font downloads
+const FONT_FAMILIES = {
+  sans: { regular: 'Helvetica', bold: 'Helvetica-Bold' },
+  serif: { regular: 'Times-Roman', bold: 'Times-Bold' },
+  mono: { regular: 'Courier', bold: 'Courier-Bold' }
+};
+
+const LOGO_TYPES = ['image/png', 'image/jpeg', 'image/jpg'];
+
+// =============================================
+// BRAND
+// =============================================
+
+/**
+ * Colours in the order a visual_style lists them
+ * @param {string|Array<string>} value - Hex codes and/or colour words
+ * @returns {Array<string>} Hex colours (#RRGGBB)
+ */
+function parseColors(value) {
+  const text = (Array.isArray(value) ? value.join(' ') : String(value || '')).toLowerCase();
+  const pattern = new RegExp(`#[0-9a-f]{6}\\b|#[0-9a-f]{3}\\b|\\b(?:${Object.keys(NAMED_COLORS).join('|')})\\b`, 'g');
+
+  return (text.match(pattern) || []).map(match => {
+    if (!match.startsWith('#')) return NAMED_COLORS[match];
+    if (match.length === 4) return `#${[...match.slice(1)].map(digit => digit + digit).join('')}`.toUpperCase();
+    return match.toUpperCase();
+  });
+}
+
+/**
+ * @param {string} hex - #RRGGBB
+ * @returns {number} Relative luminance from 0 (black) to 1 (white)
+ */
+function luminance(hex) {
+  const [r, g, b] = [1, 3, 5].map(index => {
+    const channel = parseInt(hex.slice(index, index + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Readable text colour on a background
+ * @param {string} background - #RRGGBB
+ * @returns {string} White or the default dark text colour
+ */
+function textColorOn(background) {
+  return luminance(background) > 0.4 ? DEFAULT_BRAND.text : '#FFFFFF';
+}
+
+/**
+ * @param {string} typography - visual_style.typography, e.g. "Serif headings, readable"
+ * @returns {string} Key of FONT_FAMILIES
+ */
+function fontFamily(typography = '') {
+  const text = String(typography).toLowerCase();
+  if (/mono|typewriter|code/.test(text)) return 'mono';
+  if (/\bserif\b/.test(text) && !/sans[\s-]?serif/.test(text)) return 'serif';
+  return 'sans';
+}
+
+/**
+ * Resolve a brand asset path inside UPLOAD_DIR
+ * @param {string} relativePath - Path relative to UPLOAD_DIR
+ * @returns {string|null} Absolute path, or null when it points outside UPLOAD_DIR
+ */
+function assetPath(relativePath) {
+  const root = path.resolve(process.env.UPLOAD_DIR || './uploads');
+  const resolved = path.resolve(root, relativePath);
+  return resolved.startsWith(root + path.sep) ? resolved : null;
+}
+
+/**
+ * Load the company logo without network access
+ * Logos are PNG or JPEG data URIs or files under UPLOAD_DIR; remote URLs are skipped.
+ * @param {string} logo - visual_style.logo
+ * @returns {Promise<Buffer|null>} Image bytes
+ */
+async function loadLogo(logo) {
+  if (!logo) return null;
+
+  const dataUri = /^data:([\w/+.-]+);base64,(.+)$/s.exec(logo);
+  if (dataUri) {
+    if (LOGO_TYPES.includes(dataUri[1].toLowerCase())) {
+      return Buffer.from(dataUri[2], 'base64');
+    }
+    logger.warn('Skipping carousel logo: only PNG and JPEG are supported', { type: dataUri[1] });
+    return null;
+  }
+
+  if (/^https?:\/\//i.test(logo)) {
+    logger.warn('Skipping remote carousel logo: upload it or use a data URI so rendering stays offline', { logo });
+    return null;
+  }
+
+  const file = assetPath(logo);
+  if (!file || !/\.(png|jpe?g)$/i.test(file)) {
+    logger.warn('Skipping carousel logo: must be a PNG or JPEG under UPLOAD_DIR', { logo });
+    return null;
+  }
+
+  try {
+    return await fs.readFile(file);
+  } catch (error) {
+    logger.warn('Carousel logo could not be read', { logo, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Brand settings for a company's carousels
+ * @param {Object} companyProfile - Company profile with visual_style: primary_colors, typography,
+ *   logo and optional font_files { regular, bold } (TTF/OTF under UPLOAD_DIR)
+ * @returns {Promise<Object>} { name, primary, accent, background, text, fonts, logo }
+ */
+async function resolveBrand(companyProfile) {
+  const visualStyle = companyProfile.visual_style || {};
+
+  // White and near-white entries are backgrounds, not brand colours
+  const colors = parseColors(visualStyle.primary_colors).filter(color => luminance(color) < 0.85);
+  const primary = colors[0] || DEFAULT_BRAND.primary;
+
+  const fonts = { ...FONT_FAMILIES[fontFamily(visualStyle.typography)] };
+  for (const weight of ['regular', 'bold']) {
+    const file = visualStyle.font_files?.[weight] && assetPath(visualStyle.font_files[weight]);
+    if (!file) continue;
+    try {
+      await fs.access(file);
+      fonts[weight] = file;
+    } catch (error) {
+      logger.warn('Carousel font file not found, using a built-in font', { file: visualStyle.font_files[weight] });
+    }
+  }
+
+  return {
+    name: companyProfile.name || '',
+    primary,
+    accent: colors[1] || primary,
+    background: DEFAULT_BRAND.background,
+    text: DEFAULT_BRAND.text,
+    fonts,
+    logo: await loadLogo(visualStyle.logo)
+  };
+}
+
+// =============================================
+// RENDERING
+// =============================================
+
+/**
+ * Largest font size at which text fits a box
+ * @returns {number} Font size
+ */
+function fitFontSize(doc, text, font, maxSize, minSize, width, height) {
+  doc.font(font);
+  for (let size = maxSize; size > minSize; size -= 2) {
+    if (doc.fontSize(size).heightOfString(text, { width, lineGap: size * 0.15 }) <= height) {
+      return size;
+    }
+  }
+  return minSize;
+}
+
+/**
+ * Draw one slide on the current page
+ * Cover and final slides are filled with the brand colour; the others are light with a colour bar.
+ */
+function drawSlide(doc, slide, index, total, brand) {
+  const filled = index === 0 || index === total - 1;
+  const background = filled ? brand.primary : brand.background;
+  const foreground = filled ? textColorOn(brand.primary) : brand.text;
+  const width = PAGE_WIDTH - MARGIN * 2;
+
+  doc.rect(0, 0, PAGE_WIDTH, PAGE_HEIGHT).fill(background);
+  if (!filled) {
+    doc.rect(0, 0, PAGE_WIDTH, 24).fill(brand.primary);
+  }
+
+  // Header: logo, or the company name when there is none
+  if (brand.logo) {
+    try {
+      doc.image(brand.logo, MARGIN, MARGIN - 24, { fit: [240, 96] });
+    } catch (error) {
+      logger.warn('Carousel logo could not be drawn', { error: error.message });
+      brand.logo = null;
+    }
+  }
+  if (!brand.logo && brand.name) {
+    doc.font(brand.fonts.bold).fontSize(32).fillColor(foreground)
+      .text(brand.name, MARGIN, MARGIN - 8, { width, lineBreak: false, ellipsis: true });
+  }
+
+  // Headline and body, shrunk to fit
+  const top = 300;
+  const bottom = PAGE_HEIGHT - 220;
+  const headlineSize = fitFontSize(doc, slide.headline, brand.fonts.bold, index === 0 ? 96 : 80, 44, width, (bottom - top) * 0.55);
+  doc.font(brand.fonts.bold).fontSize(headlineSize).fillColor(foreground)
+    .text(slide.headline, MARGIN, top, { width, lineGap: headlineSize * 0.15 });
+
+  if (slide.body) {
+    const bodyTop = doc.y + 48;
+    const bodySize = fitFontSize(doc, slide.body, brand.fonts.regular, 44, 24, width, bottom - bodyTop);
+    doc.font(brand.fonts.regular).fontSize(bodySize).fillColor(foreground)
+      .text(slide.body, MARGIN, bodyTop, { width, height: bottom - bodyTop, lineGap: bodySize * 0.15, ellipsis: true });
+  }
+
+  // Footer: progress bar, company name and slide number
+  const barY = PAGE_HEIGHT - 140;
+  doc.rect(MARGIN, barY, width, 8).fillOpacity(0.25).fill(filled ? foreground : brand.text);
+  doc.rect(MARGIN, barY, width * (index + 1) / total, 8).fillOpacity(1).fill(filled ? foreground : brand.accent);
+
+  doc.font(brand.fonts.regular).fontSize(28).fillColor(foreground);
+  if (brand.name) {
+    doc.text(brand.name, MARGIN, barY + 40, { width: width - 160, lineBreak: false, ellipsis: true });
+  }
+  doc.text(`${index + 1} / ${total}`, PAGE_WIDTH - MARGIN - 160, barY + 40, { width: 160, align: 'right', lineBreak: false });
+}
+
+/**
+ * Render carousel slides into a PDF, one page per slide
+ * @param {Object} carousel - { title, slides: [{ headline, body }] } (a carousel_script variant)
+ * @param {Object} brand - From resolveBrand
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderCarouselPdf(carousel, brand) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: [PAGE_WIDTH, PAGE_HEIGHT],
+        margin: 0,
+        autoFirstPage: false,
+        info: {
+          Title: carousel.title,
+          Author: brand.name,
+          Creator: 'Marketing Machine'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const slideBrand = { ...brand };
+      carousel.slides.forEach((slide, index) => {
+        doc.addPage();
+        drawSlide(doc, slide, index, carousel.slides.length, slideBrand);
+      });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  DEFAULT_BRAND,
+  parseColors,
+  resolveBrand,
+  renderCarouselPdf
+};
@@ -0,0 +1,241 @@
+/**
+ * Marketing Machine - Content Chunker
+ * Splits long transcripts into token-bounded chunks along speaker and topic boundaries
+ */
+
+const { countTokens } = require('./tokenUsage');
+const { parseTimestamp } = require('../content/transcriptParser');
+
+// Default chunk size when the caller does not derive one from the model's context window
+const DEFAULT_CHUNK_TOKENS = 3000;
+// Tokens of the previous chunk repeated at the start of the next, so a point made across a boundary is not lost
+const DEFAULT_OVERLAP_TOKENS = 150;
+// Once a chunk is this full, the next paragraph or heading starts a new chunk rather than a later speaker turn
+const TOPIC_BREAK_RATIO = 0.8;
+
+const BRACKETED_TURN = /^\[(\d{1,2}:\d{2}(?::\d{2})?(?:[.,]\d+)?)\]/;
+const LABELLED_TURN = /^[A-Z][\w.'-]*(?: [A-Z][\w.'-]*){0,3}:\s/;
+const OTTER_HEADER = /^\S.{0,59}?\s+\d{1,2}:\d{2}(?::\d{2})?$/;
+const HEADING = /^#{1,6}\s/;
+
+/**
+ * Split content into chunks of at most maxTokens
+ * Chunk text is an exact slice of the content, so start/end offsets trace quotes back to the source.
+ * @param {string} content - Transcript or document text
+ * @param {Object} options - { maxTokens, overlapTokens, model }
+ * @returns {Array<Object>} [{ index, text, start, end, tokens, start_time }]
+ */
+function chunkContent(content, options = {}) {
+  const maxTokens = options.maxTokens || DEFAULT_CHUNK_TOKENS;
+  const overlapTokens = Math.min(
+    options.overlapTokens !== undefined ? options.overlapTokens : DEFAULT_OVERLAP_TOKENS,
+    Math.floor(maxTokens / 4)
+  );
+  const model = options.model;
+
+  const segments = splitSegments(content)
+    .flatMap(segment => splitOversizedSegment(content, segment, maxTokens, model));
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const closeChunk = () => {
+    if (current.length === 0) return;
+
+    const start = current[0].start;
+    const end = current[current.length - 1].end;
+    chunks.push({
+      index: chunks.length,
+      text: content.slice(start, end),
+      start,
+      end,
+      tokens: currentTokens,
+      start_time: current.find(segment => segment.startTime !== null)?.startTime ?? null
+    });
+
+    // Carry the tail of this chunk into the next one
+    const carried = [];
+    let carriedTokens = 0;
+    for (let i = current.length - 1; i > 0; i--) {
+      if (carriedTokens + current[i].tokens > overlapTokens) break;
+      carried.unshift(current[i]);
+      carriedTokens += current[i].tokens;
+    }
+    current = carried;
+    currentTokens = carriedTokens;
+  };
+
+  for (const segment of segments) {
+    const overflows = currentTokens + segment.tokens > maxTokens;
+    const topicBreak = segment.boundary === 'topic' && currentTokens >= maxTokens * TOPIC_BREAK_RATIO;
+    const hasNewContent = current.some(entry => !entry.carried);
+
+    if ((overflows || topicBreak) && hasNewContent) {
+      closeChunk();
+      current.forEach(entry => { entry.carried = true; });
+    }
+
+    // Overlap never pushes a chunk past its limit
+    while (current.length > 0 && currentTokens + segment.tokens > maxTokens) {
+      currentTokens -= current.shift().tokens;
+    }
+
+    current.push({ ...segment, carried: false });
+    currentTokens += segment.tokens;
+  }
+
+  if (current.some(entry => !entry.carried)) {
+    closeChunk();
+  }
+
+  return chunks;
+}
+
+/**
+ * Split content into segments: paragraphs, headings and speaker turns
+ * @param {string} content - Text
+ * @returns {Array<Object>} [{ start, end, tokens, boundary: 'topic' | 'speaker' | 'line', startTime }]
+ */
+function splitSegments(content) {
+  const segments = [];
+  const linePattern = /[^\n]*(?:\n|$)/g;
+  let previousBlank = true;
+  let current = null;
+  let match;
+
+  while ((match = linePattern.exec(content)) !== null && match[0] !== '') {
+    const line = match[0].trim();
+    const start = match.index;
+    const end = match.index + match[0].replace(/\s+$/, '').length;
+
+    if (!line) {
+      previousBlank = true;
+      continue;
+    }
+
+    let boundary = null;
+    if (previousBlank || HEADING.test(line)) {
+      boundary = 'topic';
+    } else if (BRACKETED_TURN.test(line) || LABELLED_TURN.test(line) || OTTER_HEADER.test(line)) {
+      boundary = 'speaker';
+    }
+
+    if (boundary || !current) {
+      const timestamp = BRACKETED_TURN.exec(line);
+      current = { start, end, boundary: boundary || 'line', startTime: timestamp ? parseTimestamp(timestamp[1]) : null };
+      segments.push(current);
+    } else {
+      current.end = end;
+    }
+    previousBlank = false;
+  }
+
+  return segments;
+}
+
+/**
+ * Split a segment longer than a chunk at sentence, then word boundaries
+ * @param {string} content - Full text
+ * @param {Object} segment - Segment
+ * @param {number} maxTokens - Chunk size
+ * @param {string} model - Model name (for token counts)
+ * @returns {Array<Object>} Segments that each fit in a chunk, with token counts
+ */
+function splitOversizedSegment(content, segment, maxTokens, model) {
+  const text = content.slice(segment.start, segment.end);
+  const tokens = countTokens(text, model);
+
+  if (tokens <= maxTokens) {
+    return [{ ...segment, tokens }];
+  }
+
+  const pieces = [];
+  let piece = null;
+
+  // Sentences, or single words where a "sentence" alone is too long
+  const units = [];
+  const sentencePattern = /[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g;
+  let sentence;
+  while ((sentence = sentencePattern.exec(text)) !== null && sentence[0] !== '') {
+    const sentenceTokens = countTokens(sentence[0], model);
+    if (sentenceTokens <= maxTokens) {
+      units.push({ offset: sentence.index, length: sentence[0].length, tokens: sentenceTokens });
+      continue;
+    }
+    const wordPattern = /\S+\s*/g;
+    let word;
+    while ((word = wordPattern.exec(sentence[0])) !== null) {
+      units.push({ offset: sentence.index + word.index, length: word[0].length, tokens: countTokens(word[0], model) });
+    }
+  }
+
+  for (const unit of units) {
+    if (piece && piece.tokens + unit.tokens > maxTokens) {
+      pieces.push(piece);
+      piece = null;
+    }
+    if (!piece) {
+      piece = {
+        start: segment.start + unit.offset,
+        end: segment.start + unit.offset,
+        tokens: 0,
+        boundary: pieces.length === 0 ? segment.boundary : 'line',
+        startTime: pieces.length === 0 ? segment.startTime : null
+      };
+    }
+    piece.end = segment.start + unit.offset + unit.length;
+    piece.tokens += unit.tokens;
+  }
+  if (piece) pieces.push(piece);
+
+  // Trailing whitespace belongs to no piece
+  return pieces.map(entry => ({ ...entry, end: entry.start + content.slice(entry.start, entry.end).replace(/\s+$/, '').length }));
+}
+
+/**
+ * Find where a quote appears in text, ignoring case and whitespace differences
+ * @param {string} quote - Quote from the model
+ * @param {string} text - Text the quote should come from
+ * @returns {number} Offset into text, or -1 when the quote is not verbatim
+ */
+function findQuoteOffset(quote, text) {
+  // Models often wrap quotes in quotation marks or trim them with ellipses
+  const needle = normalizeForSearch(String(quote || '').trim().replace(/^["'“‘.…\s]+|["'”’.…\s]+$/g, '')).text;
+  if (!needle) return -1;
+
+  const haystack = normalizeForSearch(text);
+  const position = haystack.text.indexOf(needle);
+  return position === -1 ? -1 : haystack.offsets[position];
+}
+
+/**
+ * Lowercase and collapse whitespace, remembering where each character came from
+ * @param {string} text - Text
+ * @returns {Object} { text, offsets } - offsets[i] is the original index of text[i]
+ */
+function normalizeForSearch(text) {
+  let normalized = '';
+  const offsets = [];
+  const source = String(text || '');
+
+  for (let i = 0; i < source.length; i++) {
+    if (/\s/.test(source[i])) {
+      if (normalized && !normalized.endsWith(' ')) {
+        normalized += ' ';
+        offsets.push(i);
+      }
+      continue;
+    }
+    normalized += source[i].toLowerCase();
+    offsets.push(i);
+  }
+
+  return { text: normalized, offsets };
+}
+
+module.exports = {
+  DEFAULT_CHUNK_TOKENS,
+  chunkContent,
+  findQuoteOffset
+};
@@ -5,6 +5,9 @@
 
 const { query, transaction } = require('../../config/database');
 const HookGenerator = require('./hookGenerator');
+const { createUsage } = require('./tokenUsage');
+const { enforceBudget } = require('./usageLedger');
+const { redactContent, restoreDeep, recordRedactions } = require('./piiRedactor');
 const logger = require('../../utils/logger').ai;
 
 /**
@@ -22,13 +25,16 @@ class ContentProcessor {
    * @returns {Promise<Object>} Processing result
    */
   async generateHooks(contentSourceId, companyId) {
+    // Schema errors of hooks the model got wrong, kept on the batch for debugging prompts
+    const validation = [];
+
     try {
       logger.info('Starting hook generation process', { contentSourceId, companyId });
 
       // Get content and company profile
       const [content, companyProfile] = await Promise.all([
         this.getContentSource(contentSourceId),
-        this.getCompanyProfile(companyId)
+        this.getBudgetedProfile(companyId)
       ]);
 
       if (!content) {
@@ -45,8 +51,25 @@ class ContentProcessor {
         progress: 10
       });
 
+      // Personal and confidential details never reach the LLM; approved ones are put back into the hooks
+      const redaction = redactContent(content.content, companyProfile, {
+        speakerTurns: content.metadata?.transcript_turns
+      });
+
       // Generate hooks using AI
-      const hooks = await this.hookGenerator.generateHooks(content.content, companyProfile);
+      const usage = createUsage();
+      const redactedHooks = await this.hookGenerator.generateHooks(redaction.content, companyProfile, {
+        speakerTurns: redaction.speakerTurns,
+        usage,
+        validation
+      });
+      const hooks = redactedHooks.map(hook => restoreDeep(hook, redaction));
+
+      await recordRedactions(redaction, {
+        companyId,
+        contentSourceId,
+        processingBatchId: content.processing_batch_id
+      });
 
       // Store hooks in database
       const storedHooks = await this.storeHooks(hooks, contentSourceId, companyId, content.processing_batch_id);
@@ -55,7 +78,11 @@ class ContentProcessor {
       await this.updateProcessingStatus(content.processing_batch_id, 'processing', 2, {
         current_step: 'hooks_generated',
         progress: 50,
-        hooks_generated: storedHooks.length
+        hooks_generated: storedHooks.length,
+        redacted_entities: redaction.entities.length,
+        token_usage: usage,
+        cost: this.hookGenerator.calculateCost(usage),
+        validation_errors: validation
       });
 
       logger.info('Hook generation completed', {
@@ -94,7 +121,8 @@ class ContentProcessor {
           if (content?.processing_batch_id) {
             await this.updateProcessingStatus(content.processing_batch_id, 'failed', null, {
               error: error.message,
-              failed_step: 'hook_generation'
+              failed_step: 'hook_generation',
+              validation_errors: validation
             });
           }
         } catch (updateError) {
@@ -122,8 +150,8 @@ class ContentProcessor {
         throw new Error('No hooks found for post generation');
       }
 
-      // Get company profile
-      const companyProfile = await this.getCompanyProfile(companyId);
+      // Get company profile, on cheaper models over the soft budget
+      const companyProfile = await this.getBudgetedProfile(companyId);
       if (!companyProfile) {
         throw new Error('Company profile not found');
       }
@@ -133,7 +161,9 @@ class ContentProcessor {
       const postGenerator = new PostGenerator();
 
       // Generate LinkedIn posts
-      const generatedPosts = await postGenerator.generatePosts(hooks, companyProfile);
+      const validation = [];
+      const generatedPosts = await postGenerator.generatePosts(hooks, companyProfile, { validation });
+      await this.recordPostValidation(hooks, validation);
 
       // Store posts in database
       const storedPosts = await postGenerator.storePosts(generatedPosts, hooks, companyId);
@@ -166,6 +196,128 @@ class ContentProcessor {
     }
   }
 
+  /**
+   * Repurpose hooks into other formats (X threads, blog posts, newsletters, carousel scripts)
+   * @param {Array} hookIds - Array of hook IDs
+   * @param {Array<string>} formats - Formats to generate for each hook
+   * @param {number} companyId - Company ID
+   * @returns {Promise<Object>} Processing result
+   */
+  async generateVariants(hookIds, formats, companyId) {
+    try {
+      logger.info('Starting content variant generation process', { hookIds, formats, companyId });
+
+      const hooks = await this.getHooksByIds(hookIds);
+      if (!hooks.length) {
+        throw new Error('No hooks found for variant generation');
+      }
+
+      const companyProfile = await this.getBudgetedProfile(companyId);
+      if (!companyProfile) {
+        throw new Error('Company profile not found');
+      }
+
+      const VariantGenerator = require('./variantGenerator');
+      const variantGenerator = new VariantGenerator();
+
+      const validation = [];
+      const generatedVariants = await variantGenerator.generateVariants(hooks, formats, companyProfile, { validation });
+      await this.recordPostValidation(hooks, validation, 'variant_validation_errors');
+
+      const storedVariants = await variantGenerator.storeVariants(generatedVariants, companyId);
+
+      logger.info('Content variant generation completed', {
+        hooksProcessed: hooks.length,
+        variantsGenerated: storedVariants.length,
+        companyId
+      });
+
+      return {
+        success: true,
+        variantsGenerated: storedVariants.length,
+        variants: storedVariants.map(v => ({
+          id: v.id,
+          marketing_hook_id: v.marketing_hook_id,
+          format: v.format,
+          text_content: v.text_content.substring(0, 100) + '...',
+          character_count: v.character_count,
+          status: v.status
+        }))
+      };
+
+    } catch (error) {
+      logger.error('Content variant generation failed', {
+        error: error.message,
+        hookIds,
+        formats,
+        companyId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a branded carousel PDF from a post or a hook
+   * @param {Object} source - { postId } or { hookId }
+   * @param {number} companyId - Company ID
+   * @returns {Promise<Object>} Stored carousel (without the PDF bytes)
+   */
+  async generateCarousel(source, companyId) {
+    try {
+      logger.info('Starting carousel generation process', { ...source, companyId });
+
+      let post = null;
+      let hookId = source.hookId;
+
+      if (source.postId) {
+        const postResult = await query(
+          'SELECT id, marketing_hook_id, post_content FROM linkedin_posts WHERE id = $1 AND company_id = $2',
+          [source.postId, companyId]
+        );
+        post = postResult.rows[0];
+        if (!post) {
+          throw new Error('Post not found for carousel generation');
+        }
+        hookId = post.marketing_hook_id;
+      }
+
+      const [hook] = await this.getHooksByIds([hookId]);
+      if (!hook) {
+        throw new Error('No hook found for carousel generation');
+      }
+
+      const companyProfile = await this.getBudgetedProfile(companyId);
+      if (!companyProfile) {
+        throw new Error('Company profile not found');
+      }
+
+      const CarouselGenerator = require('./carouselGenerator');
+      const carouselGenerator = new CarouselGenerator();
+
+      const validation = [];
+      const carousel = await carouselGenerator.generateCarousel({ hook, post }, companyProfile, { validation });
+      await this.recordPostValidation([hook], validation, 'variant_validation_errors');
+
+      const stored = await carouselGenerator.storeCarousel(carousel, companyId, { hookId: hook.id, postId: post?.id });
+
+      logger.info('Carousel generation completed', {
+        carouselId: stored.id,
+        pageCount: stored.page_count,
+        companyId
+      });
+
+      return stored;
+
+    } catch (error) {
+      logger.error('Carousel generation failed', {
+        error: error.message,
+        ...source,
+        companyId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get content source by ID
    * @param {number} contentSourceId - Content source ID
@@ -244,6 +396,21 @@ class ContentProcessor {
     }
   }
 
+  /**
+   * Company profile for a generation the company pays for: on cheaper models over the soft
+   * budget, refused with a BUDGET_EXCEEDED ServiceError (402) over the hard budget
+   * @param {number} companyId - Company ID
+   * @returns {Promise<Object|null>} Company profile, null when the company is not found
+   */
+  async getBudgetedProfile(companyId) {
+    const companyProfile = await this.getCompanyProfile(companyId);
+    if (!companyProfile) {
+      return null;
+    }
+
+    return (await enforceBudget(companyProfile)).companyProfile;
+  }
+
   /**
    * Store generated hooks in database
    * @param {Array} hooks - Generated hooks
@@ -274,8 +441,9 @@ class ContentProcessor {
               engagement_potential,
               priority,
               status,
+              prompt_version,
               metadata
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'ready', $14)
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'ready', $14, $15)
             RETURNING *
           `, [
             processingBatchId,
@@ -291,6 +459,7 @@ class ContentProcessor {
             hook.relevance_score,
             hook.engagement_prediction,
             hook.priority,
+            hook.prompt_version || null,
             JSON.stringify(hook.metadata)
           ]);
 
@@ -317,6 +486,36 @@ class ContentProcessor {
     }
   }
 
+  /**
+   * Add post validation errors to the processing batches the hooks came from
+   * @param {Array} hooks - Hooks the posts were generated from
+   * @param {Array<Object>} validation - Errors collected by PostGenerator.generatePosts
+   * @param {string} detailKey - step_details key to append to (variant_validation_errors for content variants)
+   */
+  async recordPostValidation(hooks, validation, detailKey = 'post_validation_errors') {
+    const batchIds = [...new Set(hooks.map(hook => hook.processing_batch_id).filter(Boolean))];
+
+    for (const batchId of batchIds) {
+      const hookIds = hooks.filter(hook => hook.processing_batch_id === batchId).map(hook => hook.id);
+      const errors = validation.filter(entry => hookIds.includes(entry.hook_id));
+      if (!errors.length) continue;
+
+      try {
+        await query(`
+          UPDATE processing_batches
+          SET step_details = COALESCE(step_details, '{}'::jsonb) || jsonb_build_object(
+                $3::text,
+                COALESCE(step_details->$3, '[]'::jsonb) || $1::jsonb
+              ),
+              updated_at = NOW()
+          WHERE id = $2
+        `, [JSON.stringify(errors), batchId, detailKey]);
+      } catch (error) {
+        logger.error('Failed to record post validation errors', { error: error.message, batchId });
+      }
+    }
+  }
+
   /**
    * Update processing batch status
    * @param {number} batchId - Processing batch ID
@@ -525,6 +724,7 @@ class ContentProcessor {
       return result.rows.map(hook => ({
         id: hook.id,
         uuid: hook.uuid,
+        processing_batch_id: hook.processing_batch_id,
         hook_text: hook.hook_text,
         hook_type: hook.hook_type,
         content_pillar: hook.content_pillar,
@@ -0,0 +1,228 @@
+/**
+ * Marketing Machine - Exemplar Library
+ * The company's best published posts, matched to each hook and injected into post prompts as exemplars
+ */
+
+const { query } = require('../../config/database');
+const logger = require('../../utils/logger').ai;
+const { ValidationError, NotFoundError } = require('../../middleware/errorHandler');
+
+const STATUSES = ['pinned', 'excluded'];
+
+// Exemplars per post prompt
+const MAX_EXEMPLARS = 3;
+
+// Engagement rates measured on fewer impressions are too noisy to rank on (pinned posts are exempt)
+const MIN_IMPRESSIONS = 100;
+
+// Best candidates considered per generation, on top of every pinned post
+const CANDIDATE_LIMIT = 50;
+
+const MAX_EXEMPLAR_CHARACTERS = 1500;
+
+// =============================================
+// SELECTION
+// =============================================
+
+/**
+ * Published posts eligible as exemplars: pinned posts and the best-measured ones, excluded posts left out
+ * Returns no candidates when the tables cannot be read, so generation never fails because of them.
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Array<Object>>} { id, post_content, content_pillar, hook_type, engagement_rate, impressions, pinned }
+ */
+async function getExemplarCandidates(companyId) {
+  try {
+    const result = await query(`
+      SELECT
+        lp.id,
+        lp.post_content,
+        mh.content_pillar,
+        mh.hook_type,
+        pa.engagement_rate,
+        pa.impressions,
+        COALESCE(pe.status = 'pinned', false) as pinned
+      FROM linkedin_posts lp
+      LEFT JOIN marketing_hooks mh ON mh.id = lp.marketing_hook_id
+      LEFT JOIN LATERAL (
+        SELECT impressions, engagement_rate
+        FROM post_analytics
+        WHERE linkedin_post_id = lp.id
+        ORDER BY measured_at DESC
+        LIMIT 1
+      ) pa ON TRUE
+      LEFT JOIN post_exemplars pe ON pe.linkedin_post_id = lp.id
+      WHERE lp.company_id = $1
+        AND lp.status = 'published'
+        AND pe.status IS DISTINCT FROM 'excluded'
+        AND (pe.status = 'pinned' OR pa.impressions >= $2)
+      ORDER BY pinned DESC, pa.engagement_rate DESC NULLS LAST, lp.id DESC
+      LIMIT $3
+    `, [companyId, MIN_IMPRESSIONS, CANDIDATE_LIMIT]);
+
+    return (result?.rows || []).map(row => ({
+      ...row,
+      engagement_rate: row.engagement_rate === null ? null : parseFloat(row.engagement_rate),
+      impressions: row.impressions === null ? null : parseInt(row.impressions)
+    }));
+
+  } catch (error) {
+    logger.warn('Exemplar lookup failed', { error: error.message, companyId });
+    return [];
+  }
+}
+
+/**
+ * Pick a hook's exemplars: pinned posts first, then posts sharing the hook's content pillar and hook
+ * type, then its pillar or type alone, each group by engagement rate
+ * @param {Array<Object>} candidates - From getExemplarCandidates
+ * @param {Object} hook - { content_pillar, hook_type }
+ * @param {number} limit - Number of exemplars
+ * @returns {Array<Object>} Candidates with { matched_on }
+ */
+function selectExemplars(candidates, hook, limit = MAX_EXEMPLARS) {
+  const same = (a, b) => Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+  return candidates
+    .map((candidate, index) => {
+      const matched_on = [
+        same(candidate.content_pillar, hook.content_pillar) && 'content_pillar',
+        same(candidate.hook_type, hook.hook_type) && 'hook_type'
+      ].filter(Boolean);
+      // The pillar is the stronger signal: a post on the same topic beats one with the same opening
+      const match = (matched_on.includes('content_pillar') ? 2 : 0) + (matched_on.includes('hook_type') ? 1 : 0);
+      return { ...candidate, matched_on, match, index };
+    })
+    .sort((a, b) =>
+      Number(b.pinned) - Number(a.pinned) ||
+      b.match - a.match ||
+      (b.engagement_rate ?? -1) - (a.engagement_rate ?? -1) ||
+      a.index - b.index
+    )
+    .slice(0, limit)
+    .map(({ match, index, ...exemplar }) => exemplar);
+}
+
+/**
+ * Exemplars as a prompt section
+ * @param {Array<Object>} exemplars - From selectExemplars
+ * @returns {string} Formatted exemplars (empty when there are none)
+ */
+function formatExemplarsForPrompt(exemplars = []) {
+  if (!exemplars.length) return '';
+
+  const posts = exemplars.map((exemplar, index) => {
+    const content = exemplar.post_content.length > MAX_EXEMPLAR_CHARACTERS
+      ? `${exemplar.post_content.slice(0, MAX_EXEMPLAR_CHARACTERS).trimEnd()}…`
+      : exemplar.post_content;
+    const rate = exemplar.engagement_rate === null ? '' : ` (${exemplar.engagement_rate}% engagement)`;
+    return `--- Exemplar ${index + 1}${rate} ---\n${content}`;
+  });
+
+  return `OUR TOP-PERFORMING POSTS (learn what made them work; do not copy their wording or topic):\n\n${posts.join('\n\n')}`;
+}
+
+// =============================================
+// CURATION
+// =============================================
+
+/**
+ * The company's exemplar library: curated posts and the best measured ones, with the exemplars a
+ * hook with the given pillar and type would get
+ * @param {number} companyId - Company ID
+ * @param {Object} filters - Optional { content_pillar, hook_type } to preview the selection for
+ * @returns {Promise<Object>} { exemplars, selected_ids }
+ */
+async function listExemplars(companyId, filters = {}) {
+  const [candidates, excluded] = await Promise.all([
+    getExemplarCandidates(companyId),
+    query(`
+      SELECT
+        lp.id,
+        lp.post_content,
+        mh.content_pillar,
+        mh.hook_type,
+        pe.note,
+        pe.updated_at as curated_at
+      FROM post_exemplars pe
+      JOIN linkedin_posts lp ON lp.id = pe.linkedin_post_id
+      LEFT JOIN marketing_hooks mh ON mh.id = lp.marketing_hook_id
+      WHERE pe.company_id = $1 AND pe.status = 'excluded'
+      ORDER BY pe.updated_at DESC
+    `, [companyId])
+  ]);
+
+  const selected = selectExemplars(candidates, filters);
+
+  return {
+    exemplars: [
+      ...candidates.map(candidate => ({ ...candidate, status: candidate.pinned ? 'pinned' : 'eligible' })),
+      ...excluded.rows.map(row => ({ ...row, pinned: false, status: 'excluded' }))
+    ],
+    selected_ids: selected.map(exemplar => exemplar.id)
+  };
+}
+
+/**
+ * Pin a published post as an exemplar or exclude it from the library
+ * @param {number} companyId - Company ID
+ * @param {number} postId - LinkedIn post ID
+ * @param {string} status - pinned or excluded
+ * @param {Object} options - { userId, note }
+ * @returns {Promise<Object>} post_exemplars row
+ */
+async function setExemplarStatus(companyId, postId, status, options = {}) {
+  if (!STATUSES.includes(status)) {
+    throw new ValidationError(`Exemplar status must be one of ${STATUSES.join(', ')}`);
+  }
+
+  const post = await query(
+    'SELECT id, status FROM linkedin_posts WHERE id = $1 AND company_id = $2',
+    [postId, companyId]
+  );
+
+  if (!post.rows.length) {
+    throw new NotFoundError('Post not found');
+  }
+  if (status === 'pinned' && post.rows[0].status !== 'published') {
+    throw new ValidationError('Only published posts can be pinned as exemplars');
+  }
+
+  const result = await query(`
+    INSERT INTO post_exemplars (company_id, linkedin_post_id, created_by, status, note)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (linkedin_post_id)
+    DO UPDATE SET status = EXCLUDED.status, note = EXCLUDED.note, created_by = EXCLUDED.created_by
+    RETURNING *
+  `, [companyId, postId, options.userId || null, status, options.note || null]);
+
+  logger.info('Exemplar curated', { companyId, postId, status, userId: options.userId });
+
+  return result.rows[0];
+}
+
+/**
+ * Return a post to ranking by engagement rate
+ * @param {number} companyId - Company ID
+ * @param {number} postId - LinkedIn post ID
+ * @returns {Promise<boolean>} Whether the post was pinned or excluded
+ */
+async function clearExemplarStatus(companyId, postId) {
+  const result = await query(
+    'DELETE FROM post_exemplars WHERE company_id = $1 AND linkedin_post_id = $2 RETURNING id',
+    [companyId, postId]
+  );
+
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  STATUSES,
+  MAX_EXEMPLARS,
+  MIN_IMPRESSIONS,
+  getExemplarCandidates,
+  selectExemplars,
+  formatExemplarsForPrompt,
+  listExemplars,
+  setExemplarStatus,
+  clearExemplarStatus
+};
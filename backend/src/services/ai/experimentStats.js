@@ -0,0 +1,186 @@
+/**
+ * Marketing Machine - Experiment Statistics
+ * Welch's t-test for comparing engagement rates between experiment variants
+ */
+
+// =============================================
+// DISTRIBUTIONS
+// =============================================
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive number
+ * @returns {number} ln(Γ(x))
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  let tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let series = 1.000000000190015;
+  coefficients.forEach(coefficient => {
+    y += 1;
+    series += coefficient / y;
+  });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function
+ */
+function betaContinuedFraction(x, a, b) {
+  const maxIterations = 200;
+  const epsilon = 3e-14;
+  const tiny = 1e-300;
+
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+
+  return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - 0 to 1
+ * @param {number} a - Shape a
+ * @param {number} b - Shape b
+ * @returns {number} I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  // The continued fraction converges fastest on this side of the mean
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Two-sided p-value of a t statistic
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(|T| >= |t|)
+ */
+function twoSidedPValue(t, df) {
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Critical t value for a two-sided test
+ * @param {number} df - Degrees of freedom
+ * @param {number} alpha - Significance level
+ * @returns {number} t such that P(|T| >= t) = alpha
+ */
+function criticalT(df, alpha) {
+  let low = 0;
+  let high = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (twoSidedPValue(mid, df) > alpha) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// =============================================
+// SAMPLE STATISTICS
+// =============================================
+
+/**
+ * @param {Array<number>} values - Observations
+ * @returns {Object} { n, mean, variance } (sample variance, null below two observations)
+ */
+function summarize(values) {
+  const n = values.length;
+  if (!n) {
+    return { n, mean: null, variance: null };
+  }
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  const variance = n > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1)
+    : null;
+
+  return { n, mean, variance };
+}
+
+/**
+ * Welch's t-test of treatment against control (unequal variances)
+ * @param {Object} treatment - summarize() of the variant
+ * @param {Object} control - summarize() of the control
+ * @param {number} alpha - Significance level for the confidence interval
+ * @returns {Object|null} { difference, t, df, p_value, confidence_interval } or null when either sample
+ *   has fewer than two observations or neither varies
+ */
+function welchTest(treatment, control, alpha = 0.05) {
+  if (treatment.n < 2 || control.n < 2) {
+    return null;
+  }
+
+  const treatmentError = treatment.variance / treatment.n;
+  const controlError = control.variance / control.n;
+  const standardError = Math.sqrt(treatmentError + controlError);
+  if (!standardError) {
+    return null;
+  }
+
+  const difference = treatment.mean - control.mean;
+  const t = difference / standardError;
+  // Welch–Satterthwaite degrees of freedom
+  const df = (treatmentError + controlError) ** 2 / (
+    treatmentError ** 2 / (treatment.n - 1) + controlError ** 2 / (control.n - 1)
+  );
+  const margin = criticalT(df, alpha) * standardError;
+
+  return {
+    difference,
+    t,
+    df,
+    p_value: twoSidedPValue(t, df),
+    confidence_interval: [difference - margin, difference + margin]
+  };
+}
+
+module.exports = {
+  incompleteBeta,
+  twoSidedPValue,
+  criticalT,
+  summarize,
+  welchTest
+};
@@ -0,0 +1,475 @@
+/**
+ * Marketing Machine - Generation Experiments
+ * A/B tests of the post prompt, model or temperature, judged on published engagement rate
+ */
+
+const { query, transaction } = require('../../config/database');
+const logger = require('../../utils/logger').ai;
+const { ValidationError, NotFoundError } = require('../../middleware/errorHandler');
+const { getProvider, validateProviderSettings } = require('./providers');
+const { meterProvider } = require('./usageLedger');
+const { validateOverrides, withSections, saveOverrides } = require('./promptTemplates');
+const { summarize, welchTest } = require('./experimentStats');
+
+// What a post generation experiment can vary
+const FACTORS = ['prompt', 'model', 'temperature'];
+const MAX_VARIANTS = 4;
+
+// Results are only called significant once every compared variant has this many measured posts
+const MIN_POSTS_PER_VARIANT = 10;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// =============================================
+// DEFINITION
+// =============================================
+
+/**
+ * Validate a variant's config for the experiment factor
+ * @param {string} factor - prompt, model or temperature
+ * @param {Object} config - Variant config
+ * @param {string} path - Field path for messages
+ * @param {boolean} control - The control may leave config empty to use the company's current settings
+ * @returns {Array<string>} Validation errors
+ */
+function validateVariantConfig(factor, config, path, control) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return [`${path}: must be an object`];
+  }
+  if (control && !Object.keys(config).length) {
+    return [];
+  }
+
+  if (factor === 'prompt') {
+    if (Object.keys(config).some(key => key !== 'sections')) {
+      return [`${path}: prompt variants only set sections`];
+    }
+    return validateOverrides('posts', config.sections).map(error => `${path}.${error}`);
+  }
+
+  if (factor === 'model') {
+    if (!config.provider && !config.model) {
+      return [`${path}: set a provider, a model or both`];
+    }
+    if (config.temperature !== undefined) {
+      return [`${path}.temperature: model variants only set provider and model`];
+    }
+    return validateProviderSettings({ posts: config }).map(error => error.replace('ai.posts', path));
+  }
+
+  if (typeof config.temperature !== 'number' || config.temperature < 0 || config.temperature > 2) {
+    return [`${path}.temperature: must be a number from 0 to 2`];
+  }
+  if (Object.keys(config).length > 1) {
+    return [`${path}: temperature variants only set temperature`];
+  }
+  return [];
+}
+
+/**
+ * Validate a new experiment
+ * @param {Object} experiment - { factor, variants: [{ name, weight, config }] }; the first variant is the control
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateExperiment({ factor, variants } = {}) {
+  if (!FACTORS.includes(factor)) {
+    return [`factor: must be one of ${FACTORS.join(', ')}`];
+  }
+  if (!Array.isArray(variants) || variants.length < 2 || variants.length > MAX_VARIANTS) {
+    return [`variants: must list 2 to ${MAX_VARIANTS} variants, the control first`];
+  }
+
+  const errors = [];
+  variants.forEach((variant, index) => {
+    const path = `variants.${index}`;
+
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+    if (variant.name !== undefined && (typeof variant.name !== 'string' || variant.name.length > 100)) {
+      errors.push(`${path}.name: must be 100 characters or less`);
+    }
+    if (variant.weight !== undefined && (typeof variant.weight !== 'number' || !(variant.weight > 0) || variant.weight > 100)) {
+      errors.push(`${path}.weight: must be a number above 0 and at most 100`);
+    }
+    errors.push(...validateVariantConfig(factor, variant.config || {}, `${path}.config`, index === 0));
+  });
+
+  return errors;
+}
+
+/**
+ * Start an experiment; a company runs one at a time
+ * @param {number} companyId - Company ID
+ * @param {Object} data - { name, description, factor, variants }
+ * @param {number} userId - User starting it
+ * @returns {Promise<Object>} Experiment
+ */
+async function createExperiment(companyId, data, userId) {
+  const errors = validateExperiment(data);
+  if (errors.length) {
+    throw new ValidationError('Invalid experiment', errors);
+  }
+
+  // Variants are keyed A, B, C... with A the control
+  const variants = data.variants.map((variant, index) => ({
+    key: String.fromCharCode(65 + index),
+    name: variant.name || (index === 0 ? 'Control' : `Variant ${String.fromCharCode(65 + index)}`),
+    weight: variant.weight || 1,
+    config: variant.config || {}
+  }));
+
+  try {
+    const result = await query(`
+      INSERT INTO experiments (company_id, created_by, name, description, factor, variants)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [companyId, userId || null, data.name, data.description || null, data.factor, JSON.stringify(variants)]);
+
+    logger.info('Experiment started', {
+      companyId,
+      experimentId: result.rows[0].id,
+      factor: data.factor,
+      variants: variants.length
+    });
+
+    return result.rows[0];
+
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new ValidationError('Stop the running experiment before starting another');
+    }
+    throw error;
+  }
+}
+
+/**
+ * @param {number} experimentId - Experiment ID
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Object>} Experiment
+ */
+async function getExperiment(experimentId, companyId) {
+  const result = await query(
+    'SELECT * FROM experiments WHERE id = $1 AND company_id = $2',
+    [experimentId, companyId]
+  );
+
+  if (!result.rows.length) {
+    throw new NotFoundError('Experiment not found');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Stop assigning variants; results stay available
+ * @param {number} experimentId - Experiment ID
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Object>} Experiment
+ */
+async function stopExperiment(experimentId, companyId) {
+  const experiment = await getExperiment(experimentId, companyId);
+  if (experiment.status !== 'running') {
+    throw new ValidationError('Experiment is not running');
+  }
+
+  const result = await query(`
+    UPDATE experiments
+    SET status = 'stopped', ended_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [experimentId]);
+
+  logger.info('Experiment stopped', { companyId, experimentId });
+
+  return result.rows[0];
+}
+
+// =============================================
+// ASSIGNMENT
+// =============================================
+
+/**
+ * Company's running experiment
+ * Lookup failures return null so generation never fails because of an experiment.
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Object|null>} Experiment
+ */
+async function getRunningExperiment(companyId) {
+  try {
+    const result = await query(
+      "SELECT * FROM experiments WHERE company_id = $1 AND status = 'running'",
+      [companyId]
+    );
+    return result.rows[0] || null;
+
+  } catch (error) {
+    logger.warn('Experiment lookup failed, generating without one', {
+      error: error.message,
+      companyId
+    });
+    return null;
+  }
+}
+
+/**
+ * Randomly pick a variant in proportion to its weight
+ * @param {Object} experiment - Experiment
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {Object} Variant
+ */
+function pickVariant(experiment, random = Math.random) {
+  const { variants } = experiment;
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+  let threshold = random() * total;
+  for (const variant of variants) {
+    threshold -= variant.weight;
+    if (threshold < 0) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Generation settings for a variant
+ * @param {Object} experiment - Experiment
+ * @param {Object} variant - Variant from pickVariant
+ * @param {Object} defaults - { template, provider, temperature } the company would otherwise use, and
+ *   { companyProfile }
+ * @returns {Object} { template, provider, temperature }
+ */
+function applyVariant(experiment, variant, defaults) {
+  const { template, provider, temperature, companyProfile } = defaults;
+  const { config } = variant;
+
+  if (experiment.factor === 'prompt' && config.sections) {
+    return { template: withSections(template, config.sections, `x${experiment.id}.${variant.key}`), provider, temperature };
+  }
+
+  if (experiment.factor === 'model' && (config.provider || config.model)) {
+    const ai = companyProfile.settings?.ai || {};
+    const variantProfile = {
+      ...companyProfile,
+      settings: { ...companyProfile.settings, ai: { ...ai, posts: { ...ai.posts, ...config } } }
+    };
+    return {
+      template,
+      provider: meterProvider(getProvider('posts', variantProfile), { companyId: companyProfile.id, task: 'posts' }),
+      temperature
+    };
+  }
+
+  if (experiment.factor === 'temperature' && config.temperature !== undefined) {
+    return { template, provider, temperature: config.temperature };
+  }
+
+  return { template, provider, temperature };
+}
+
+/**
+ * Record the variant a stored post was generated with
+ * @param {Object} client - Transaction client
+ * @param {Object} post - Stored linkedin_posts row
+ * @param {Object} assignment - { experiment_id, variant_key, settings } from PostGenerator
+ */
+async function recordAssignment(client, post, assignment) {
+  await client.query(`
+    INSERT INTO experiment_assignments (experiment_id, company_id, linkedin_post_id, variant_key, settings)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (linkedin_post_id) DO NOTHING
+  `, [assignment.experiment_id, post.company_id, post.id, assignment.variant_key, JSON.stringify(assignment.settings)]);
+}
+
+// =============================================
+// RESULTS
+// =============================================
+
+/**
+ * Compare each variant's engagement rate with the control
+ * Each post's latest post_analytics measurement is one observation; variants are compared with Welch's
+ * t-test at a Bonferroni-corrected level, so testing several variants does not inflate false positives.
+ * @param {Object} experiment - Experiment
+ * @returns {Promise<Object>} Results per variant and the winner, if any
+ */
+async function getExperimentResults(experiment) {
+  const result = await query(`
+    SELECT
+      ea.variant_key,
+      lp.status,
+      pa.impressions,
+      pa.engagement_rate
+    FROM experiment_assignments ea
+    JOIN linkedin_posts lp ON lp.id = ea.linkedin_post_id
+    LEFT JOIN LATERAL (
+      SELECT impressions, engagement_rate
+      FROM post_analytics
+      WHERE linkedin_post_id = ea.linkedin_post_id
+      ORDER BY measured_at DESC
+      LIMIT 1
+    ) pa ON TRUE
+    WHERE ea.experiment_id = $1
+  `, [experiment.id]);
+
+  const comparisons = experiment.variants.length - 1;
+  const alpha = SIGNIFICANCE_LEVEL / comparisons;
+
+  const samples = experiment.variants.map(variant => {
+    const rows = result.rows.filter(row => row.variant_key === variant.key);
+    const rates = rows
+      .filter(row => parseInt(row.impressions) > 0)
+      .map(row => parseFloat(row.engagement_rate));
+
+    return {
+      variant,
+      assigned: rows.length,
+      published: rows.filter(row => row.status === 'published').length,
+      summary: summarize(rates)
+    };
+  });
+
+  const control = samples[0];
+  const variants = samples.map((sample, index) => {
+    const { variant, assigned, published, summary } = sample;
+    const row = {
+      key: variant.key,
+      name: variant.name,
+      control: index === 0,
+      weight: variant.weight,
+      config: variant.config,
+      assigned,
+      published,
+      measured: summary.n,
+      mean_engagement_rate: summary.mean === null ? null : round(summary.mean),
+      std_dev: summary.variance === null ? null : round(Math.sqrt(summary.variance))
+    };
+    if (index === 0) return row;
+
+    const test = welchTest(summary, control.summary, alpha);
+    const enoughData = summary.n >= MIN_POSTS_PER_VARIANT && control.summary.n >= MIN_POSTS_PER_VARIANT;
+
+    return {
+      ...row,
+      difference: test ? round(test.difference) : null,
+      lift: test && control.summary.mean > 0 ? round(test.difference / control.summary.mean * 100) : null,
+      confidence_interval: test ? test.confidence_interval.map(round) : null,
+      p_value: test ? Number(test.p_value.toPrecision(3)) : null,
+      significant: Boolean(test && enoughData && test.p_value < alpha)
+    };
+  });
+
+  // The winner beat the control significantly; with several such variants, the best one
+  const winner = variants
+    .filter(variant => variant.significant && variant.difference > 0)
+    .sort((a, b) => b.mean_engagement_rate - a.mean_engagement_rate)[0];
+
+  return {
+    metric: 'engagement_rate',
+    test: 'welch_t_test',
+    significance_level: SIGNIFICANCE_LEVEL,
+    corrected_significance_level: Number(alpha.toPrecision(3)),
+    min_posts_per_variant: MIN_POSTS_PER_VARIANT,
+    variants,
+    winner: winner ? winner.key : null
+  };
+}
+
+/**
+ * @param {number} value - Number
+ * @returns {number} Rounded to 2 decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// =============================================
+// PROMOTION
+// =============================================
+
+/**
+ * Make a variant the company's default and end the experiment
+ * Prompt variants become a new prompt override revision; model and temperature variants are written
+ * to companies.settings.ai.posts.
+ * @param {number} experimentId - Experiment ID
+ * @param {number} companyId - Company ID
+ * @param {string} variantKey - Variant to promote
+ * @param {Object} options - { userId, force } (force promotes a variant that has not significantly won)
+ * @returns {Promise<Object>} { experiment, results }
+ */
+async function promoteVariant(experimentId, companyId, variantKey, options = {}) {
+  const experiment = await getExperiment(experimentId, companyId);
+  if (experiment.status === 'promoted') {
+    throw new ValidationError(`Variant ${experiment.winner_variant} was already promoted`);
+  }
+
+  const variant = experiment.variants.find(candidate => candidate.key === variantKey);
+  if (!variant) {
+    throw new ValidationError(`Unknown variant "${variantKey}"`);
+  }
+
+  const results = await getExperimentResults(experiment);
+  if (results.winner !== variantKey && !options.force) {
+    throw new ValidationError(
+      `Variant ${variantKey} has not significantly beaten the control; pass force to promote it anyway`,
+      { winner: results.winner }
+    );
+  }
+
+  const { config } = variant;
+
+  if (experiment.factor === 'prompt' && config.sections) {
+    await saveOverrides('posts', companyId, config.sections, {
+      description: `Promoted from experiment "${experiment.name}" variant ${variantKey}`,
+      createdBy: options.userId
+    });
+  }
+
+  const updated = await transaction(async (client) => {
+    if (experiment.factor !== 'prompt' && Object.keys(config).length) {
+      const company = await client.query(
+        'SELECT settings FROM companies WHERE id = $1 FOR UPDATE',
+        [companyId]
+      );
+      const settings = company.rows[0]?.settings || {};
+      const ai = settings.ai || {};
+
+      await client.query(
+        'UPDATE companies SET settings = $1, updated_at = NOW() WHERE id = $2',
+        [JSON.stringify({ ...settings, ai: { ...ai, posts: { ...ai.posts, ...config } } }), companyId]
+      );
+    }
+
+    const result = await client.query(`
+      UPDATE experiments
+      SET status = 'promoted', winner_variant = $1, ended_at = COALESCE(ended_at, NOW())
+      WHERE id = $2
+      RETURNING *
+    `, [variantKey, experimentId]);
+
+    return result.rows[0];
+  });
+
+  logger.info('Experiment variant promoted', {
+    companyId,
+    experimentId,
+    variant: variantKey,
+    factor: experiment.factor,
+    forced: results.winner !== variantKey
+  });
+
+  return { experiment: updated, results };
+}
+
+module.exports = {
+  FACTORS,
+  MAX_VARIANTS,
+  MIN_POSTS_PER_VARIANT,
+  validateExperiment,
+  createExperiment,
+  getExperiment,
+  stopExperiment,
+  getRunningExperiment,
+  pickVariant,
+  applyVariant,
+  recordAssignment,
+  getExperimentResults,
+  promoteVariant
+};
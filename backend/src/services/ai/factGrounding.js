@@ -0,0 +1,369 @@
+/**
+ * Marketing Machine - Fact Grounding
+ * Checks the numbers, names and quotes of generated posts against the source content they came from
+ */
+
+const { query } = require('../../config/database');
+const logger = require('../../utils/logger').ai;
+
+const CLAIM_TYPES = ['number', 'name', 'quote'];
+
+// A post with unresolved unsupported claims cannot be approved
+const BLOCKING_STATUS = 'unsupported';
+
+// Statuses that approve a post, by route
+const APPROVING_STATUSES = ['approved', 'approved_auto_publish', 'scheduled', 'published'];
+
+// A figure with a magnitude ("$50K", "1.2M") may differ this much from the exact source figure
+const ROUNDING_TOLERANCE = 0.05;
+
+const NUMBER_PATTERN = /(?<![\p{L}\p{N}#_$€£.,])([$€£]\s?)?(\d+(?:,\d{3})*(?:\.\d+)?)(?:\s?(%|percent|x|×|k|m|bn|b|million|billion|thousand))?(?![\p{L}\p{N}])/giu;
+const QUOTE_PATTERN = /["“]([^"”\n]{12,}?)["”]/g;
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}'’&.-]*/gu;
+
+const MAGNITUDES = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+
+// Spelled-out numbers in transcripts ("twenty hours", "three customers")
+const SPELLED_NUMBERS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70,
+  eighty: 80, ninety: 90, hundred: 100
+};
+
+// Capitalized words that are not names of customers, people or companies
+const NOT_NAMES = new Set(`i i'm i've i'd i'll linkedin ceo cfo coo cto cmo vp ai roi kpi kpis b2b b2c saas crm erp
+ok us usa uk eu q1 q2 q3 q4 monday tuesday wednesday thursday friday saturday sunday january february march april
+may june july august september october november december`.split(/\s+/));
+
+// Sentence-initial words that start a capitalized run without being part of a name
+const SENTENCE_STARTERS = new Set(`the this that these those our we my your you it its a an and but so or if when what why
+how who where here there last next every most one two three no not just then after before today yesterday because
+imagine stop as at in on for with by from to of like even still also`.split(/\s+/));
+
+// =============================================
+// EXTRACTION
+// =============================================
+
+/**
+ * @param {string} text - Text
+ * @returns {string} Lower case letters and digits separated by single spaces
+ */
+function normalizeText(text) {
+  return ` ${String(text || '').toLowerCase().replace(/[’']/g, '').replace(/[^\p{L}\p{N}%]+/gu, ' ').trim()} `;
+}
+
+/**
+ * @param {Array} match - NUMBER_PATTERN match
+ * @returns {Object} { value, kind, rounded }
+ */
+function parseNumber(match) {
+  const [, currency, digits, suffix] = match;
+  const unit = (suffix || '').toLowerCase();
+  const magnitude = MAGNITUDES[unit] || 1;
+
+  return {
+    value: parseFloat(digits.replace(/,/g, '')) * magnitude,
+    kind: unit === '%' || unit === 'percent' ? 'percent' : unit === 'x' || unit === '×' ? 'multiple' : currency ? 'money' : 'count',
+    rounded: magnitude > 1
+  };
+}
+
+/**
+ * Numbers in a text, including spelled-out ones
+ * @param {string} text - Source text
+ * @returns {Array<Object>} { value, kind }
+ */
+function sourceNumbers(text) {
+  const numbers = [...String(text || '').matchAll(NUMBER_PATTERN)].map(parseNumber);
+  for (const word of normalizeText(text).split(' ')) {
+    if (SPELLED_NUMBERS[word]) numbers.push({ value: SPELLED_NUMBERS[word], kind: 'count' });
+  }
+  return numbers;
+}
+
+/**
+ * Extract the checkable claims of a post: numeric claims, proper names and direct quotes
+ * Numbered list markers and hashtags are not claims.
+ * @param {string} content - Post content
+ * @returns {Array<Object>} { type, text, start, end, ...number } in order of appearance
+ */
+function extractClaims(content) {
+  const text = content || '';
+  const claims = [];
+
+  for (const match of text.matchAll(NUMBER_PATTERN)) {
+    const before = text.slice(text.lastIndexOf('\n', match.index - 1) + 1, match.index);
+    const after = text[match.index + match[0].length];
+    if (!before.trim() && (after === '.' || after === ')' || after === '/')) continue;
+
+    claims.push({ type: 'number', text: match[0], start: match.index, end: match.index + match[0].length, ...parseNumber(match) });
+  }
+
+  for (const match of text.matchAll(QUOTE_PATTERN)) {
+    if (match[1].trim().split(/\s+/).length < 3) continue;
+    claims.push({ type: 'quote', text: match[1].trim(), start: match.index + 1, end: match.index + 1 + match[1].length });
+  }
+
+  // Runs of capitalized words. A run opening a sentence drops a common first word, and a lone word
+  // opening a sentence is not taken for a name: without a dictionary it is as likely to be "Shipping"
+  let run = [];
+  const flush = () => {
+    const words = run.filter(word => !NOT_NAMES.has(word.text.toLowerCase()));
+    if (words.length && !(words.length === 1 && words[0].sentenceStart)) {
+      const [first] = words;
+      const last = words[words.length - 1];
+      claims.push({ type: 'name', text: text.slice(first.start, last.end), start: first.start, end: last.end });
+    }
+    run = [];
+  };
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const word = match[0].replace(/[.'’-]+$/, '');
+    const start = match.index;
+    const previous = text.slice(0, start).replace(/[\s"“(]+$/, '');
+    const sentenceStart = !previous || /[.!?:\n→•\-—)]$/.test(previous) || /\n\s*$/.test(text.slice(0, start));
+    const capitalized = /^\p{Lu}/u.test(word) && !text.slice(Math.max(0, start - 1), start).match(/[#@]/);
+
+    if (!capitalized) {
+      flush();
+      continue;
+    }
+    // Anything but a single space ends the run ("Acme, Globex" are two names)
+    if (run.length && text.slice(run[run.length - 1].end, start) !== ' ') flush();
+    if (sentenceStart && SENTENCE_STARTERS.has(word.toLowerCase())) {
+      flush();
+      continue;
+    }
+    run.push({ text: word, start, end: start + word.length, sentenceStart: sentenceStart && !run.length });
+  }
+  flush();
+
+  return claims.sort((a, b) => a.start - b.start);
+}
+
+// =============================================
+// VERIFICATION
+// =============================================
+
+/**
+ * @param {Object} claim - Claim from extractClaims
+ * @returns {string} Key that identifies the claim across edits of the post
+ */
+function claimKey(claim) {
+  return `${claim.type}:${normalizeText(claim.text).trim()}`;
+}
+
+/**
+ * Find where a claim is supported
+ * @param {Object} claim - Claim from extractClaims
+ * @param {Array<Object>} evidence - [{ kind, text, numbers }]
+ * @returns {string|null} Evidence kind, or null when unsupported
+ */
+function findSupport(claim, evidence) {
+  for (const source of evidence) {
+    if (claim.type === 'number') {
+      const supported = source.numbers.some(number => {
+        if (number.kind !== claim.kind && number.kind !== 'count') return false;
+        if (number.value === claim.value) return true;
+        return claim.rounded &&
+          Math.abs(number.value - claim.value) <= claim.value * ROUNDING_TOLERANCE;
+      });
+      if (supported) return source.kind;
+    } else if (source.normalized.includes(normalizeText(claim.text))) {
+      return source.kind;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a post's claims against its sources
+ * Reviewer resolutions from an earlier check carry over to the same claims.
+ * @param {string} content - Post content
+ * @param {Object} sources - { sourceContent, sourceQuote, knowledge: [text], companyProfile: { name, content_pillars } }
+ * @param {Object} previous - Earlier fact check of the post, if any
+ * @returns {Object} { status, claims, unsupported, resolutions, source_available, checked_at }
+ */
+function checkGrounding(content, sources = {}, previous = null) {
+  const profile = sources.companyProfile || {};
+  const evidence = [
+    { kind: 'source_quote', text: sources.sourceQuote },
+    { kind: 'source', text: sources.sourceContent },
+    { kind: 'knowledge', text: (sources.knowledge || []).join('\n') },
+    { kind: 'company_profile', text: [profile.name, ...(Array.isArray(profile.content_pillars) ? profile.content_pillars : [])].join('\n') }
+  ]
+    .filter(source => source.text)
+    .map(source => ({ ...source, normalized: normalizeText(source.text), numbers: sourceNumbers(source.text) }));
+
+  const resolutions = previous?.resolutions || {};
+
+  const claims = extractClaims(content).map((claim, index) => {
+    const supportedBy = claim.type === 'number' && evidence.every(source => source.kind === 'company_profile')
+      ? null
+      : findSupport(claim, claim.type === 'number' ? evidence.filter(source => source.kind !== 'company_profile') : evidence);
+    const key = claimKey(claim);
+
+    return {
+      index,
+      key,
+      type: claim.type,
+      text: claim.text,
+      start: claim.start,
+      end: claim.end,
+      supported: Boolean(supportedBy),
+      evidence: supportedBy,
+      resolution: supportedBy ? null : resolutions[key] || null
+    };
+  });
+
+  const unsupported = claims.filter(claim => !claim.supported);
+  const unresolved = unsupported.filter(claim => !claim.resolution);
+
+  return {
+    status: unresolved.length ? BLOCKING_STATUS : unsupported.length ? 'resolved' : 'grounded',
+    claims,
+    unsupported: unresolved.length,
+    // Only resolutions of claims still in the post are kept
+    resolutions: Object.fromEntries(unsupported.filter(claim => claim.resolution).map(claim => [claim.key, claim.resolution])),
+    source_available: Boolean(sources.sourceContent),
+    checked_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Mark an unsupported claim as verified by a reviewer
+ * @param {Object} factCheck - Post's fact check
+ * @param {number} index - Claim index
+ * @param {Object} resolution - { resolved_by, note }
+ * @returns {Object|null} Updated fact check, or null when there is no such unsupported claim
+ */
+function resolveClaim(factCheck, index, resolution) {
+  const claim = factCheck?.claims?.find(candidate => candidate.index === index);
+  if (!claim || claim.supported) {
+    return null;
+  }
+
+  const entry = { resolved_by: resolution.resolved_by, note: resolution.note || null, resolved_at: new Date().toISOString() };
+  const claims = factCheck.claims.map(candidate => (candidate.key === claim.key && !candidate.supported
+    ? { ...candidate, resolution: entry }
+    : candidate));
+  const unresolved = claims.filter(candidate => !candidate.supported && !candidate.resolution).length;
+
+  return {
+    ...factCheck,
+    claims,
+    unsupported: unresolved,
+    status: unresolved ? BLOCKING_STATUS : 'resolved',
+    resolutions: { ...factCheck.resolutions, [claim.key]: entry }
+  };
+}
+
+/**
+ * @param {string} factCheckStatus - linkedin_posts.fact_check_status
+ * @returns {boolean} Whether the post's unsupported claims keep it from being approved
+ */
+function blocksApproval(factCheckStatus) {
+  return factCheckStatus === BLOCKING_STATUS;
+}
+
+// =============================================
+// SOURCES
+// =============================================
+
+/**
+ * Source content of each hook, for checking the posts generated from them
+ * Returns no sources when they cannot be read; every claim is then checked against the source quote alone.
+ * @param {Array<number>} hookIds - Marketing hook IDs
+ * @returns {Promise<Map<number, string>>} Hook ID => content_sources.content
+ */
+async function getGroundingSources(hookIds) {
+  const sources = new Map();
+  if (!hookIds.length) return sources;
+
+  try {
+    const result = await query(`
+      SELECT mh.id as hook_id, cs.content
+      FROM marketing_hooks mh
+      JOIN processing_batches pb ON pb.id = mh.processing_batch_id
+      JOIN content_sources cs ON cs.id = pb.content_source_id
+      WHERE mh.id = ANY($1::int[])
+    `, [hookIds]);
+
+    for (const row of result?.rows || []) {
+      sources.set(row.hook_id, row.content);
+    }
+
+  } catch (error) {
+    logger.warn('Grounding source lookup failed', { error: error.message, hookIds });
+  }
+
+  return sources;
+}
+
+/**
+ * Sources of a stored post: its transcript and hook quote, the knowledge base facts its prompt used
+ * and the company profile
+ * @param {Object} db - Database client or { query }
+ * @param {Object} post - linkedin_posts row (company_id, marketing_hook_id, metadata)
+ * @returns {Promise<Object>} Sources for checkGrounding
+ */
+async function getPostSources(db, post) {
+  const result = await db.query(`
+    SELECT
+      c.name,
+      c.content_pillars,
+      mh.source_quote,
+      cs.content as source_content,
+      ARRAY(
+        SELECT ck.content FROM company_knowledge ck WHERE ck.id = ANY($3::int[]) AND ck.company_id = c.id
+      ) as knowledge
+    FROM companies c
+    LEFT JOIN marketing_hooks mh ON mh.id = $2
+    LEFT JOIN processing_batches pb ON pb.id = mh.processing_batch_id
+    LEFT JOIN content_sources cs ON cs.id = pb.content_source_id
+    WHERE c.id = $1
+  `, [post.company_id, post.marketing_hook_id || null, post.metadata?.knowledge_ids || []]);
+
+  const row = result?.rows?.[0] || {};
+  return {
+    sourceContent: row.source_content,
+    sourceQuote: row.source_quote,
+    knowledge: row.knowledge || [],
+    companyProfile: { name: row.name, content_pillars: row.content_pillars }
+  };
+}
+
+/**
+ * Re-check a stored post, e.g. after a reviewer edited it, and save the result
+ * An approved post that now makes unsupported claims goes back for approval.
+ * @param {Object} db - Database client or { query }
+ * @param {Object} post - linkedin_posts row (id, company_id, marketing_hook_id, metadata, fact_check)
+ * @param {string} content - Content to check (defaults to the stored content)
+ * @returns {Promise<Object>} Saved fact check
+ */
+async function recheckPost(db, post, content = post.post_content) {
+  const factCheck = checkGrounding(content, await getPostSources(db, post), post.fact_check);
+
+  await db.query(`
+    UPDATE linkedin_posts
+    SET fact_check = $1, fact_check_status = $2,
+        status = CASE WHEN $4::boolean AND status IN ('approved', 'approved_auto_publish') THEN 'pending_approval' ELSE status END
+    WHERE id = $3
+  `, [JSON.stringify(factCheck), factCheck.status, post.id, blocksApproval(factCheck.status)]);
+
+  return factCheck;
+}
+
+module.exports = {
+  CLAIM_TYPES,
+  BLOCKING_STATUS,
+  APPROVING_STATUSES,
+  extractClaims,
+  checkGrounding,
+  resolveClaim,
+  blocksApproval,
+  getGroundingSources,
+  getPostSources,
+  recheckPost
+};
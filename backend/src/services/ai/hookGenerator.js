@@ -3,22 +3,52 @@
  * Extracts 10 marketing hooks from meeting transcripts and content
  */
 
-const OpenAI = require('openai');
 const { query } = require('../../config/database');
 const logger = require('../../utils/logger').ai;
 const { cache } = require('../../config/redis');
-
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { findQuoteTurn, formatCitation } = require('../content/transcriptParser');
+const { chunkContent, findQuoteOffset } = require('./contentChunker');
+const {
+  KNOWLEDGE_PROMPT_TOKENS,
+  retrieveKnowledge,
+  retrieveKnowledgeForEach,
+  getKnowledgeVersion,
+  formatKnowledgeForPrompt
+} = require('./knowledgeBase');
+const {
+  countTokens,
+  createUsage,
+  addUsage,
+  calculateUsageCost
+} = require('./tokenUsage');
+const { getProvider } = require('./providers');
+const { meterProvider } = require('./usageLedger');
+const { validateHooks, buildHookRepairPrompt } = require('./responseSchemas');
+const { getDefaultTemplate, resolveTemplate, renderTemplate } = require('./promptTemplates');
+const { redactionNote } = require('./piiRedactor');
+
+const SYSTEM_PROMPT = 'You are Marketing Machine, an expert at extracting compelling marketing hooks from business content. Always return valid JSON arrays.';
+
+// Hooks returned per piece of content
+const HOOK_COUNT = 10;
+// Hooks requested from each chunk of a long transcript; the reduce step keeps the best HOOK_COUNT
+const HOOKS_PER_CHUNK = 5;
+// Tokens reserved for the model's answer (max_tokens on every call)
+const MAX_OUTPUT_TOKENS = 4000;
+// Headroom for the system prompt and tokenizer differences between models
+const PROMPT_MARGIN_TOKENS = 200;
+const MIN_CHUNK_TOKENS = 500;
 
 /**
  * Marketing Machine Hook Generator Class
  */
 class HookGenerator {
-  constructor() {
-    this.model = process.env.OPENAI_MODEL || 'gpt-4';
+  /**
+   * @param {Object} options - { provider } to use for every company instead of each company's
+   *   configured provider (e.g. a FakeProvider in tests)
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || null;
     this.maxRetries = 3;
     this.timeout = 30000; // 30 seconds
   }
@@ -27,21 +57,32 @@ class HookGenerator {
    * Generate marketing hooks from content
    * @param {string} content - Content to analyze
    * @param {Object} companyProfile - Company profile and brand voice
+   * @param {Object} options - { speakerTurns } from content_sources.metadata.transcript_turns, used to
+   *   attribute source quotes to a speaker and timestamp; { usage } tally from createUsage that
+   *   collects the tokens of every API call made; { validation } array that collects the schema
+   *   errors of rejected or repaired hooks
    * @returns {Promise<Array>} Array of marketing hooks
    */
-  async generateHooks(content, companyProfile) {
+  async generateHooks(content, companyProfile, options = {}) {
+    const usage = options.usage || createUsage();
+
     try {
+      const provider = this.getProvider(companyProfile);
+      usage.model = usage.model || provider.model;
+
       logger.info('Starting hook generation', {
         contentLength: content.length,
         companyId: companyProfile.id,
-        model: this.model
+        provider: provider.name,
+        model: provider.model
       });
 
-      // Build the prompt
-      const prompt = this.buildPrompt(content, companyProfile);
-      
-      // Check cache first
-      const cacheKey = `hooks:${this.hashContent(content + JSON.stringify(companyProfile))}`;
+      // Company prompt overrides and template revisions apply to the next generation
+      const template = await resolveTemplate('hooks', companyProfile.id);
+
+      // Check cache first; knowledge base edits and prompt revisions invalidate it
+      const knowledgeVersion = await getKnowledgeVersion(companyProfile.id);
+      const cacheKey = `hooks:${this.hashContent(content + JSON.stringify(companyProfile) + knowledgeVersion + template.prompt_version)}`;
       const cachedHooks = await cache.get(cacheKey);
       
       if (cachedHooks) {
@@ -49,18 +90,48 @@ class HookGenerator {
         return cachedHooks;
       }
 
-      // Call OpenAI API with retry logic
-      const hooks = await this.callOpenAI(prompt);
-      
-      // Validate and score hooks
-      const processedHooks = await this.processHooks(hooks, content, companyProfile);
+      // Long transcripts do not fit in one prompt: extract hooks per chunk, then merge
+      const chunkTokens = this.getChunkTokens(companyProfile, provider, template);
+      let processedHooks;
+
+      if (countTokens(content, provider.model) <= chunkTokens) {
+        // Ground the hooks in company facts relevant to this content
+        const knowledge = await retrieveKnowledge(companyProfile.id, content);
+
+        // Call the model with retry logic
+        const hooks = await this.callModel(this.buildPrompt(content, companyProfile, { knowledge, template }), 1, {
+          provider,
+          usage,
+          validation: options.validation
+        });
+        hooks.forEach(hook => { hook.knowledge_ids = this.getKnowledgeIds(knowledge); });
+
+        // Validate and score hooks
+        processedHooks = await this.processHooks(hooks, content, companyProfile, options.speakerTurns, provider);
+      } else {
+        processedHooks = await this.generateChunkedHooks(content, companyProfile, chunkTokens, {
+          speakerTurns: options.speakerTurns,
+          provider,
+          template,
+          usage,
+          validation: options.validation
+        });
+      }
+
+      // Record the template revision so hooks can be compared across prompt versions
+      processedHooks.forEach(hook => {
+        hook.prompt_version = template.prompt_version;
+        hook.metadata.prompt_version = template.prompt_version;
+      });
       
       // Cache the results
       await cache.set(cacheKey, processedHooks, 24 * 60 * 60); // 24 hours
       
       logger.info('Hook generation completed', {
         hooksGenerated: processedHooks.length,
-        totalCost: this.calculateCost(content.length),
+        tokensUsed: usage.total_tokens,
+        apiCalls: usage.calls,
+        totalCost: this.calculateCost(usage),
         companyId: companyProfile.id
       });
 
@@ -77,154 +148,386 @@ class HookGenerator {
     }
   }
 
+  /**
+   * Provider for a company's hook generation
+   * @param {Object} companyProfile - Company profile (settings.ai selects the provider)
+   * @returns {LLMProvider} Provider that records its usage against the company
+   */
+  getProvider(companyProfile) {
+    return this.provider || meterProvider(getProvider('hooks', companyProfile), { companyId: companyProfile?.id, task: 'hooks' });
+  }
+
+  /**
+   * Extract hooks from each chunk of a long transcript, then dedupe and rank them
+   * @param {string} content - Full content
+   * @param {Object} companyProfile - Company profile
+   * @param {number} chunkTokens - Maximum tokens of content per prompt
+   * @param {Object} options - { speakerTurns, provider, template, usage, validation }
+   * @returns {Promise<Array>} Best hooks across all chunks, each with source_chunk
+   */
+  async generateChunkedHooks(content, companyProfile, chunkTokens, options = {}) {
+    const { provider } = options;
+    const chunks = chunkContent(content, { maxTokens: chunkTokens, model: provider.model });
+    const chunkKnowledge = await retrieveKnowledgeForEach(companyProfile.id, chunks.map(chunk => chunk.text));
+    const hooks = [];
+    const failedChunks = [];
+    let lastError = null;
+
+    logger.info('Content exceeds prompt budget, generating hooks per chunk', {
+      companyId: companyProfile.id,
+      chunks: chunks.length,
+      chunkTokens
+    });
+
+    for (const chunk of chunks) {
+      try {
+        const knowledge = chunkKnowledge[chunk.index];
+        const prompt = this.buildPrompt(chunk.text, companyProfile, {
+          hookCount: HOOKS_PER_CHUNK,
+          chunk: { index: chunk.index, total: chunks.length },
+          knowledge,
+          template: options.template
+        });
+        const rawHooks = await this.callModel(prompt, 1, {
+          provider,
+          usage: options.usage,
+          validation: options.validation,
+          chunk: chunk.index,
+          hookCount: HOOKS_PER_CHUNK
+        });
+
+        rawHooks.forEach(hook => {
+          hook.source_chunk = this.locateQuote(hook.source_quote, chunk, chunks.length);
+          hook.knowledge_ids = this.getKnowledgeIds(knowledge);
+        });
+
+        hooks.push(...await this.processHooks(rawHooks, chunk.text, companyProfile, options.speakerTurns, provider));
+      } catch (error) {
+        // One bad chunk should not cost the hooks from the rest of the call
+        logger.warn('Hook generation failed for chunk', {
+          companyId: companyProfile.id,
+          chunk: chunk.index,
+          error: error.message
+        });
+        failedChunks.push(chunk.index);
+        lastError = error;
+      }
+    }
+
+    if (hooks.length === 0) {
+      throw lastError || new Error('No hooks generated from any chunk');
+    }
+
+    const reducedHooks = this.reduceHooks(hooks);
+
+    logger.info('Chunked hook generation merged', {
+      companyId: companyProfile.id,
+      chunks: chunks.length,
+      failedChunks,
+      candidates: hooks.length,
+      kept: reducedHooks.length
+    });
+
+    return reducedHooks;
+  }
+
+  /**
+   * Tokens of content that fit in one prompt alongside the instructions, company facts and the answer
+   * HOOK_CHUNK_TOKENS caps chunks below the model's limit for large-context models.
+   * @param {Object} companyProfile - Company profile (the prompt embeds it)
+   * @param {LLMProvider} provider - Provider (its model's context window bounds the prompt)
+   * @param {Object} template - Prompt template from resolveTemplate
+   * @returns {number} Token budget for content
+   */
+  getChunkTokens(companyProfile, provider, template) {
+    const prompt = this.buildPrompt('', companyProfile, { chunk: { index: 0, total: 2 }, template });
+    const instructions = countTokens(SYSTEM_PROMPT + prompt, provider.model);
+    const available = provider.contextWindow - MAX_OUTPUT_TOKENS - instructions - KNOWLEDGE_PROMPT_TOKENS - PROMPT_MARGIN_TOKENS;
+    const configured = parseInt(process.env.HOOK_CHUNK_TOKENS) || Infinity;
+
+    return Math.max(MIN_CHUNK_TOKENS, Math.min(available, configured));
+  }
+
+  /**
+   * Trace a source quote back to the chunk and position it came from
+   * @param {string} quote - Source quote
+   * @param {Object} chunk - Chunk from chunkContent
+   * @param {number} total - Number of chunks
+   * @returns {Object} { index, total, start, end, quote_offset } - quote_offset is into the full
+   *   content, or null when the model paraphrased rather than quoted
+   */
+  locateQuote(quote, chunk, total) {
+    const offset = findQuoteOffset(quote, chunk.text);
+
+    return {
+      index: chunk.index,
+      total,
+      start: chunk.start,
+      end: chunk.end,
+      quote_offset: offset === -1 ? null : chunk.start + offset
+    };
+  }
+
+  /**
+   * @param {Array<Object>} knowledge - Facts from retrieveKnowledge
+   * @returns {Array<number>} Distinct company_knowledge IDs the prompt drew on
+   */
+  getKnowledgeIds(knowledge) {
+    return [...new Set((knowledge || []).map(fact => fact.knowledge_id))];
+  }
+
+  /**
+   * Merge hooks from several chunks: drop near-duplicates and keep the highest priority ones
+   * Overlapping chunks often yield the same quote twice; the kept hook records where else it was found.
+   * @param {Array} hooks - Processed hooks from every chunk
+   * @param {number} limit - Hooks to keep
+   * @returns {Array} Ranked, deduplicated hooks
+   */
+  reduceHooks(hooks, limit = HOOK_COUNT) {
+    const ranked = [...hooks].sort((a, b) =>
+      b.priority - a.priority ||
+      b.relevance_score - a.relevance_score ||
+      b.engagement_prediction - a.engagement_prediction ||
+      (a.source_chunk?.index ?? 0) - (b.source_chunk?.index ?? 0)
+    );
+    const kept = [];
+
+    for (const hook of ranked) {
+      const original = kept.find(existing => this.isDuplicateHook(existing, hook));
+
+      if (!original) {
+        kept.push(hook);
+        continue;
+      }
+
+      if (hook.source_chunk) {
+        const duplicates = original.metadata.duplicate_chunks || [];
+        if (hook.source_chunk.index !== original.source_chunk?.index && !duplicates.includes(hook.source_chunk.index)) {
+          original.metadata.duplicate_chunks = [...duplicates, hook.source_chunk.index];
+        }
+      }
+    }
+
+    return kept.slice(0, limit);
+  }
+
+  /**
+   * Two hooks are duplicates when one source quote contains the other, or their hook text mostly shares words
+   * @param {Object} a - Hook
+   * @param {Object} b - Hook
+   * @returns {boolean} Whether b repeats a
+   */
+  isDuplicateHook(a, b) {
+    const normalize = text => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const quoteA = normalize(a.source_quote);
+    const quoteB = normalize(b.source_quote);
+
+    if (quoteA.length >= 20 && quoteB.length >= 20 && (quoteA.includes(quoteB) || quoteB.includes(quoteA))) {
+      return true;
+    }
+
+    const words = text => new Set(normalize(text).split(' ').filter(word => word.length > 2));
+    const wordsA = words(a.hook_text);
+    const wordsB = words(b.hook_text);
+    if (wordsA.size === 0 || wordsB.size === 0) return false;
+
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared) >= 0.6;
+  }
+
   /**
    * Build the Marketing Machine prompt
    * @param {string} content - Content to analyze
    * @param {Object} companyProfile - Company profile
+   * @param {Object} options - { hookCount, chunk: { index, total } } when content is one part of a long transcript,
+   *   { knowledge } facts from retrieveKnowledge, { template } from resolveTemplate (defaults to the built-in one)
    * @returns {string} Formatted prompt
    */
-  buildPrompt(content, companyProfile) {
+  buildPrompt(content, companyProfile, options = {}) {
     const { name, industry, brand_voice, content_pillars, icp } = companyProfile;
-
-    return `You are Marketing Machine's expert content strategist for ${name}.
-
-COMPANY CONTEXT:
-- Company: ${name}
-- Industry: ${industry}
-- Target Audience (ICP): ${JSON.stringify(icp)}
-- Brand Voice: ${JSON.stringify(brand_voice)}
-- Content Pillars: ${JSON.stringify(content_pillars)}
-
-CONTENT TO ANALYZE:
-"""
-${content}
-"""
-
-TASK: Extract exactly 10 marketing hooks from this content that would resonate with our target audience.
-
-For each hook, provide:
-1. hook_text: Compelling opening line (10-15 words max)
-2. content_pillar: Which content pillar this fits into
-3. hook_type: Type of hook (pain_point, success_metric, industry_insight, customer_story, product_benefit, market_trend, problem_solution, case_study, thought_leadership, behind_scenes)
-4. source_quote: Exact quote from content that inspired this hook
-5. linkedin_hook: 150-word LinkedIn post opener using this hook
-6. tweet_version: 240-character Twitter version
-7. blog_title: Compelling blog post title
-8. target_emotion: Primary emotion to evoke (curiosity, urgency, aspiration, validation, concern, excitement)
-9. engagement_prediction: Predicted engagement level (1-10)
-10. relevance_score: Relevance to our ICP (1-10)
-
-HOOK CRITERIA:
-- Must be specific and actionable
-- Should include concrete numbers/metrics when available
-- Must align with our brand voice: ${brand_voice?.tone?.join(', ') || 'professional'}
-- Avoid these prohibited terms: ${brand_voice?.prohibited_terms?.join(', ') || 'none'}
-- Focus on pain points and solutions our ICP faces
-- Include industry-specific terminology when relevant
-
-OUTPUT FORMAT: Return as JSON array with exactly 10 hooks. Each hook must be a complete object with all fields.
-
-EXAMPLES OF STRONG HOOKS:
-- "We lost $50K in 3 days because of one catalog error"
-- "This 5-minute automation saved us 20 hours per week"
-- "Why 73% of Amazon sellers fail in their first year"
-- "The hidden cost of manual inventory management"
-- "How we increased conversion rates by 45% in 30 days"
-
-Generate hooks that would stop scroll and drive engagement on LinkedIn. Focus on specific, measurable outcomes and relatable business problems.`;
+    const part = options.chunk
+      ? ` (part ${options.chunk.index + 1} of ${options.chunk.total} of a longer transcript; quote only from this part)`
+      : '';
+
+    return renderTemplate(options.template || getDefaultTemplate('hooks'), {
+      company_name: name,
+      industry,
+      icp: JSON.stringify(icp),
+      brand_voice: JSON.stringify(brand_voice),
+      content_pillars: JSON.stringify(content_pillars),
+      knowledge: formatKnowledgeForPrompt(options.knowledge),
+      part,
+      content,
+      redaction: redactionNote(content),
+      hook_count: options.hookCount || HOOK_COUNT,
+      tone: brand_voice?.tone?.join(', ') || 'professional',
+      prohibited_terms: brand_voice?.prohibited_terms?.join(', ') || 'none'
+    });
   }
 
   /**
-   * Call OpenAI API with retry logic
+   * Call the company's model with retry logic
+   * Hooks are validated against HOOK_SCHEMA: invalid ones get one targeted repair request and the
+   * rest are kept, so 8 good hooks out of 10 survive. The call is retried only when none pass.
    * @param {string} prompt - Prompt to send
-   * @returns {Promise<Array>} Parsed hooks
+   * @param {number} attempt - Attempt number
+   * @param {Object} options - { provider } to call, { usage } tally to add token usage to, { hookCount } expected,
+   *   { validation } array that collects validation errors, { chunk } index for those errors
+   * @returns {Promise<Array>} Valid hooks
    */
-  async callOpenAI(prompt, attempt = 1) {
-    try {
-      const startTime = Date.now();
-      
-      const response = await openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: "system",
-            content: "You are Marketing Machine, an expert at extracting compelling marketing hooks from business content. Always return valid JSON arrays."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 4000,
-        response_format: { type: "json_object" }
-      });
+  async callModel(prompt, attempt = 1, options = {}) {
+    const { provider } = options;
+    const hookCount = options.hookCount || HOOK_COUNT;
 
-      const duration = Date.now() - startTime;
-      
-      logger.info('OpenAI API call successful', {
-        model: this.model,
-        duration: `${duration}ms`,
-        tokensUsed: response.usage?.total_tokens,
-        attempt
-      });
-
-      // Parse the response
-      const content = response.choices[0].message.content;
-      let parsedResponse;
-      
-      try {
-        parsedResponse = JSON.parse(content);
-      } catch (parseError) {
-        logger.warn('Failed to parse JSON response, attempting to extract', { content });
-        // Try to extract JSON from the response
-        const jsonMatch = content.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-          parsedResponse = { hooks: JSON.parse(jsonMatch[0]) };
-        } else {
-          throw new Error('Invalid JSON response from OpenAI');
-        }
-      }
+    try {
+      const { valid, invalid } = validateHooks(await this.requestHooks(prompt, attempt, options));
+      const hooks = invalid.length
+        ? [...valid, ...await this.repairHooks(prompt, invalid, attempt, options)]
+        : valid;
 
-      // Extract hooks array
-      const hooks = parsedResponse.hooks || parsedResponse;
-      
-      if (!Array.isArray(hooks)) {
-        throw new Error('Response is not an array of hooks');
+      if (!hooks.length) {
+        throw new Error('No hooks passed validation');
       }
 
-      if (hooks.length !== 10) {
-        logger.warn('Expected 10 hooks, got different count', { count: hooks.length });
+      if (hooks.length !== hookCount) {
+        logger.warn(`Expected ${hookCount} hooks, got different count`, { count: hooks.length });
       }
 
       return hooks;
 
     } catch (error) {
-      logger.error('OpenAI API call failed', {
+      logger.error('LLM call failed', {
         error: error.message,
         attempt,
-        model: this.model
+        provider: provider.name,
+        model: provider.model
       });
 
       // Retry logic
       if (attempt < this.maxRetries && !error.message.includes('billing')) {
-        logger.info('Retrying OpenAI API call', { attempt: attempt + 1 });
+        logger.info('Retrying LLM call', { attempt: attempt + 1 });
         await new Promise(resolve => setTimeout(resolve, 1000 * attempt)); // Exponential backoff
-        return this.callOpenAI(prompt, attempt + 1);
+        return this.callModel(prompt, attempt + 1, options);
       }
 
       throw error;
     }
   }
 
+  /**
+   * Send one hook prompt and parse the hooks array out of the reply
+   * @param {string} prompt - Prompt to send
+   * @param {number} attempt - Attempt number (for logging)
+   * @param {Object} options - { provider, usage }
+   * @returns {Promise<Array>} Raw hooks
+   */
+  async requestHooks(prompt, attempt, options) {
+    const { provider } = options;
+    const startTime = Date.now();
+
+    const response = await provider.complete({
+      system: SYSTEM_PROMPT,
+      prompt,
+      temperature: 0.7,
+      maxTokens: MAX_OUTPUT_TOKENS,
+      json: true
+    });
+
+    const duration = Date.now() - startTime;
+    const content = response.text;
+
+    // Count failed parses too: the tokens were billed either way
+    addUsage(options.usage, response.usage);
+
+    logger.info('LLM call successful', {
+      provider: provider.name,
+      model: provider.model,
+      duration: `${duration}ms`,
+      tokensUsed: response.usage.total_tokens,
+      attempt
+    });
+
+    // Parse the response
+    let parsedResponse;
+
+    try {
+      parsedResponse = JSON.parse(content);
+    } catch (parseError) {
+      logger.warn('Failed to parse JSON response, attempting to extract', { content });
+      // Try to extract JSON from the response
+      const jsonMatch = content.match(/\[[\s\S]*\]/);
+      if (jsonMatch) {
+        parsedResponse = { hooks: JSON.parse(jsonMatch[0]) };
+      } else {
+        throw new Error(`Invalid JSON response from ${provider.name}`);
+      }
+    }
+
+    // Extract hooks array
+    const hooks = parsedResponse.hooks || parsedResponse;
+
+    if (!Array.isArray(hooks)) {
+      throw new Error('Response is not an array of hooks');
+    }
+
+    return hooks;
+  }
+
+  /**
+   * Ask the model to fix the hooks that failed validation
+   * Every invalid hook is recorded in options.validation, with whether the repair fixed it.
+   * @param {string} prompt - Original prompt
+   * @param {Array<Object>} invalid - Invalid hooks from validateHooks
+   * @param {number} attempt - Attempt number
+   * @param {Object} options - { provider, usage, validation, chunk }
+   * @returns {Promise<Array>} Repaired hooks that now pass validation
+   */
+  async repairHooks(prompt, invalid, attempt, options) {
+    // Repaired hooks come back in the order they were listed, so position i fixes invalid[i]
+    const repaired = new Map();
+
+    try {
+      const candidates = await this.requestHooks(buildHookRepairPrompt(prompt, invalid), attempt, options);
+
+      candidates.slice(0, invalid.length).forEach((candidate, position) => {
+        if (validateHooks([candidate]).valid.length) {
+          repaired.set(position, candidate);
+        }
+      });
+    } catch (error) {
+      logger.warn('Hook repair failed', { error: error.message, attempt });
+    }
+
+    invalid.forEach((item, position) => {
+      options.validation?.push({
+        target: 'hook',
+        index: item.index,
+        ...(options.chunk !== undefined && { chunk: options.chunk }),
+        attempt,
+        errors: item.errors,
+        repaired: repaired.has(position)
+      });
+    });
+
+    logger.warn('Hooks failed validation', {
+      invalid: invalid.length,
+      repaired: repaired.size,
+      attempt
+    });
+
+    return [...repaired.values()];
+  }
+
   /**
    * Process and validate hooks
    * @param {Array} hooks - Raw hooks from AI
    * @param {string} originalContent - Original content for validation
    * @param {Object} companyProfile - Company profile
+   * @param {Array<Object>} speakerTurns - Transcript speaker turns, if the content is a transcript
+   * @param {LLMProvider} provider - Provider that generated the hooks
    * @returns {Promise<Array>} Processed hooks
    */
-  async processHooks(hooks, originalContent, companyProfile) {
+  async processHooks(hooks, originalContent, companyProfile, speakerTurns = null, provider = null) {
     const processedHooks = [];
 
     for (const [index, hook] of hooks.entries()) {
@@ -244,6 +547,8 @@ Generate hooks that would stop scroll and drive engagement on LinkedIn. Focus on
         
         // Assign content pillar if missing
         const contentPillar = hook.content_pillar || this.assignContentPillar(hook, companyProfile.content_pillars);
+
+        const sourceAttribution = this.attributeQuote(hook.source_quote, speakerTurns);
         
         // Build processed hook
         const processedHook = {
@@ -251,7 +556,8 @@ Generate hooks that would stop scroll and drive engagement on LinkedIn. Focus on
           hook_type: hook.hook_type || 'industry_insight',
           content_pillar: contentPillar,
           source_quote: hook.source_quote.trim(),
-          source_context: this.extractContext(hook.source_quote, originalContent),
+          source_context: this.extractContext(hook.source_quote, originalContent, speakerTurns),
+          source_attribution: sourceAttribution,
           linkedin_hook: hook.linkedin_hook.trim(),
           tweet_version: hook.tweet_version.trim(),
           blog_title: hook.blog_title.trim(),
@@ -266,11 +572,19 @@ Generate hooks that would stop scroll and drive engagement on LinkedIn. Focus on
           },
           metadata: {
             generated_at: new Date().toISOString(),
-            model_used: this.model,
-            processing_version: '1.0'
+            model_used: provider?.model,
+            llm_provider: provider?.name,
+            processing_version: '1.0',
+            ...(sourceAttribution && { source_attribution: sourceAttribution }),
+            ...(hook.source_chunk && { source_chunk: hook.source_chunk }),
+            ...(hook.knowledge_ids?.length && { knowledge_ids: hook.knowledge_ids })
           }
         };
 
+        if (hook.source_chunk) {
+          processedHook.source_chunk = hook.source_chunk;
+        }
+
         processedHooks.push(processedHook);
 
       } catch (error) {
@@ -424,12 +738,24 @@ Generate hooks that would stop scroll and drive engagement on LinkedIn. Focus on
 
   /**
    * Extract surrounding context for source quote
+   * Transcript quotes are cited with the speaker and timestamp they came from, e.g. 'Jane, 12:41: "..."'.
    * @param {string} quote - Quote to find context for
    * @param {string} content - Full content
+   * @param {Array<Object>} speakerTurns - Transcript speaker turns, if available
    * @returns {string} Context around the quote
    */
-  extractContext(quote, content) {
+  extractContext(quote, content, speakerTurns = null) {
     try {
+      const turn = speakerTurns ? findQuoteTurn(quote, speakerTurns) : null;
+      if (turn) {
+        const position = turn.text.toLowerCase().indexOf(quote.toLowerCase().substring(0, 30));
+        const start = position > 100 ? position - 60 : 0;
+        const excerpt = turn.text.substring(start, start + 200);
+        const context = `${start > 0 ? '...' : ''}${excerpt}${start + 200 < turn.text.length ? '...' : ''}`;
+
+        return `${formatCitation(turn)}: "${context}"`;
+      }
+
       const quoteWords = quote.toLowerCase().split(' ').slice(0, 5); // First 5 words
       const contentLower = content.toLowerCase();
       
@@ -470,15 +796,32 @@ Generate hooks that would stop scroll and drive engagement on LinkedIn. Focus on
   }
 
   /**
-   * Calculate estimated cost for processing
-   * @param {number} contentLength - Length of content
-   * @returns {number} Estimated cost in USD
+   * Attribute a source quote to the transcript turn it came from
+   * @param {string} quote - Source quote
+   * @param {Array<Object>} speakerTurns - Transcript speaker turns
+   * @returns {Object|null} { speaker, start, citation } or null when the quote cannot be placed
+   */
+  attributeQuote(quote, speakerTurns) {
+    const turn = speakerTurns ? findQuoteTurn(quote, speakerTurns) : null;
+
+    if (!turn) {
+      return null;
+    }
+
+    return {
+      speaker: turn.speaker,
+      start: turn.start,
+      citation: formatCitation(turn)
+    };
+  }
+
+  /**
+   * Calculate the cost of the tokens actually used
+   * @param {Object} usage - Tally from createUsage ({ model, prompt_tokens, completion_tokens })
+   * @returns {number} Cost in USD
    */
-  calculateCost(contentLength) {
-    // Rough calculation based on GPT-4 pricing
-    const estimatedTokens = Math.ceil(contentLength / 4) + 4000; // Input + output tokens
-    const costPerToken = 0.00003; // Approximate GPT-4 cost
-    return Math.round(estimatedTokens * costPerToken * 100) / 100; // Round to cents
+  calculateCost(usage) {
+    return calculateUsageCost(usage?.model, usage);
   }
 
   /**
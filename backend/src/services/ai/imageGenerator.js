@@ -8,6 +8,9 @@ const { query, transaction } = require('../../config/database');
 const logger = require('../../utils/logger').ai;
 const { cache } = require('../../config/redis');
 const axios = require('axios');
+const { getProvider } = require('./providers');
+const { meterProvider, recordUsage } = require('./usageLedger');
+const { resolveTemplate, renderTemplate } = require('./promptTemplates');
 
 // Initialize OpenAI for DALL-E
 const openai = new OpenAI({
@@ -18,7 +21,12 @@ const openai = new OpenAI({
  * Multi-Model Image Generator Class
  */
 class ImageGenerator {
-  constructor() {
+  /**
+   * @param {Object} options - { provider } to write image prompts for every company instead of
+   *   each company's configured provider
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || null;
     this.supportedModels = ['dall-e-3', 'dall-e-2', 'stable-diffusion', 'midjourney'];
     this.defaultModel = process.env.IMAGE_MODEL || 'dall-e-3';
     this.maxRetries = 2;
@@ -45,11 +53,12 @@ class ImageGenerator {
       });
 
       const generatedImages = [];
+      const template = await resolveTemplate('image_prompts', companyProfile.id);
 
       for (const post of posts) {
         try {
           // Generate image prompt from post content
-          const imagePrompt = await this.buildImagePrompt(post, companyProfile);
+          const imagePrompt = await this.buildImagePrompt(post, companyProfile, { template });
           
           // Check cache first
           const cacheKey = `image:${this.hashContent(imagePrompt + companyProfile.id)}`;
@@ -66,6 +75,7 @@ class ImageGenerator {
           
           // Process and validate image
           const processedImage = await this.processImage(imageData, post, companyProfile);
+          processedImage.metadata.prompt_version = template.prompt_version;
           
           // Cache the result
           await cache.set(cacheKey, processedImage, 24 * 60 * 60); // 24 hours
@@ -108,61 +118,39 @@ class ImageGenerator {
    * Build image generation prompt from post content
    * @param {Object} post - LinkedIn post
    * @param {Object} companyProfile - Company profile
+   * @param {Object} options - { template } from resolveTemplate (resolved for the company when omitted)
    * @returns {Promise<string>} Image prompt
    */
-  async buildImagePrompt(post, companyProfile) {
+  async buildImagePrompt(post, companyProfile, options = {}) {
     try {
       const { name, industry, visual_style = {} } = companyProfile;
       const { post_content, hashtags = [] } = post;
+      const template = options.template || await resolveTemplate('image_prompts', companyProfile.id);
 
       // Use AI to create image prompt from post content
-      const promptCreationRequest = `Create a detailed image generation prompt for a LinkedIn post image.
-
-COMPANY CONTEXT:
-- Company: ${name}
-- Industry: ${industry}
-- Visual Style: ${JSON.stringify(visual_style)}
-
-POST CONTENT:
-"${post_content}"
-
-HASHTAGS: ${hashtags.join(' ')}
-
-REQUIREMENTS:
-1. Professional LinkedIn aesthetic
-2. Brand-appropriate colors and style
-3. Visual metaphors for the post's key message
-4. High-quality, engaging design
-5. Include subtle company branding if relevant
-
-VISUAL STYLE PREFERENCES:
-- Color Scheme: ${visual_style.primary_colors || 'Professional blue and white'}
-- Design Style: ${visual_style.design_style || 'Modern, clean, professional'}
-- Typography: ${visual_style.typography || 'Sans-serif, readable'}
-- Imagery: ${visual_style.imagery_style || 'Business professional'}
-
-Generate a detailed prompt for ${this.defaultModel} that will create an engaging LinkedIn post image.
-The image should be professional, on-brand, and visually support the post's message.
-
-Return only the image generation prompt, nothing else.`;
-
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert visual designer who creates detailed prompts for AI image generation. Focus on professional LinkedIn aesthetics."
-          },
-          {
-            role: "user", 
-            content: promptCreationRequest
-          }
-        ],
+      const promptCreationRequest = renderTemplate(template, {
+        company_name: name,
+        industry,
+        visual_style: JSON.stringify(visual_style),
+        post_content,
+        hashtags: hashtags.join(' '),
+        primary_colors: visual_style.primary_colors || 'Professional blue and white',
+        design_style: visual_style.design_style || 'Modern, clean, professional',
+        typography: visual_style.typography || 'Sans-serif, readable',
+        imagery_style: visual_style.imagery_style || 'Business professional',
+        image_model: this.defaultModel
+      });
+
+      const provider = this.provider ||
+        meterProvider(getProvider('image_prompts', companyProfile), { companyId: companyProfile.id, task: 'image_prompts' });
+      const response = await provider.complete({
+        system: "You are an expert visual designer who creates detailed prompts for AI image generation. Focus on professional LinkedIn aesthetics.",
+        prompt: promptCreationRequest,
         temperature: 0.7,
-        max_tokens: 500
+        maxTokens: 500
       });
 
-      const imagePrompt = response.choices[0].message.content.trim();
+      const imagePrompt = response.text.trim();
       
       // Add technical specifications
       const enhancedPrompt = `${imagePrompt}
@@ -203,7 +191,7 @@ Technical specifications:
       switch (model) {
         case 'dall-e-3':
         case 'dall-e-2':
-          return await this.generateWithDallE(prompt, model);
+          return await this.generateWithDallE(prompt, model, companyProfile.id);
         
         case 'stable-diffusion':
           return await this.generateWithStableDiffusion(prompt, companyProfile);
@@ -225,7 +213,7 @@ Technical specifications:
       // Try fallback model if primary fails
       if (model !== 'dall-e-2') {
         logger.info('Attempting fallback to DALL-E 2', { originalModel: model });
-        return await this.generateWithDallE(prompt, 'dall-e-2');
+        return await this.generateWithDallE(prompt, 'dall-e-2', companyProfile.id);
       }
 
       throw error;
@@ -236,21 +224,33 @@ Technical specifications:
    * Generate image using DALL-E
    * @param {string} prompt - Image prompt
    * @param {string} model - DALL-E model version
+   * @param {number} companyId - Company billed for the image in the usage ledger
    * @returns {Promise<Object>} Image data
    */
-  async generateWithDallE(prompt, model = 'dall-e-3') {
+  async generateWithDallE(prompt, model = 'dall-e-3', companyId = null) {
     try {
       const size = model === 'dall-e-3' ? '1792x1024' : '1024x1024'; // LinkedIn optimal sizes
+      const quality = model === 'dall-e-3' ? 'hd' : 'standard';
       
       const response = await openai.images.generate({
         model: model,
         prompt: prompt,
         n: 1,
         size: size,
-        quality: model === 'dall-e-3' ? 'hd' : 'standard',
+        quality,
         style: model === 'dall-e-3' ? 'natural' : undefined
       });
 
+      // Billed once generated, even if the download below fails
+      await recordUsage({
+        companyId,
+        task: 'images',
+        provider: 'openai',
+        model,
+        images: response.data.length,
+        imageVariant: `${quality}:${size}`
+      });
+
       const imageUrl = response.data[0].url;
       const revisedPrompt = response.data[0].revised_prompt;
 
@@ -261,7 +261,7 @@ Technical specifications:
         model,
         url: imageUrl,
         size,
-        quality: model === 'dall-e-3' ? 'hd' : 'standard',
+        quality,
         revised_prompt: revisedPrompt,
         original_prompt: prompt,
         image_data: imageData,
@@ -422,7 +422,7 @@ Technical specifications:
       const fallbackPrompt = `Professional LinkedIn post image for ${companyProfile.industry} company. 
         Clean, modern design with business aesthetic. Professional color scheme.`;
 
-      return await this.generateWithDallE(fallbackPrompt, 'dall-e-2');
+      return await this.generateWithDallE(fallbackPrompt, 'dall-e-2', companyProfile.id);
 
     } catch (error) {
       logger.error('Fallback image generation failed', { error: error.message });
@@ -5,6 +5,7 @@
 
 const ImageGenerator = require('./imageGenerator');
 const { query } = require('../../config/database');
+const { enforceBudget } = require('./usageLedger');
 const logger = require('../../utils/logger').queue;
 
 // Initialize image generator
@@ -50,7 +51,8 @@ async function processImageGeneration(job) {
       throw new Error(`Company ${companyId} not found`);
     }
 
-    const company = companyResult.rows[0];
+    // Over the soft budget image prompts come from a cheaper model; over the hard budget the job is refused
+    const { companyProfile: company } = await enforceBudget(companyResult.rows[0]);
 
     // Prepare post data for image generation
     const postData = {
@@ -151,6 +153,11 @@ async function processImageGeneration(job) {
       [postId]
     );
 
+    // Retrying cannot help until the budget resets or is raised
+    if (error.code === 'BUDGET_EXCEEDED') {
+      job.discard?.();
+    }
+
     throw error;
   }
 }
@@ -192,7 +199,7 @@ async function processBatchImageGeneration(job) {
 
         results.push({
           postId,
-          status: 'failed',
+          status: error.code === 'BUDGET_EXCEEDED' ? 'refused' : 'failed',
           error: error.message
         });
       }
@@ -204,6 +211,7 @@ async function processBatchImageGeneration(job) {
       totalProcessed: results.length,
       successful: results.filter(r => r.status === 'success').length,
       failed: results.filter(r => r.status === 'failed').length,
+      refused: results.filter(r => r.status === 'refused').length,
       results
     };
 
@@ -0,0 +1,394 @@
+/**
+ * Marketing Machine - Knowledge Base
+ * Embeds company_knowledge entries and retrieves the most relevant facts for prompts
+ */
+
+const OpenAI = require('openai');
+const { query, transaction } = require('../../config/database');
+const logger = require('../../utils/logger').ai;
+const { chunkContent } = require('./contentChunker');
+const { countTokens, truncateTokens } = require('./tokenUsage');
+const { recordUsage, enforceBudget } = require('./usageLedger');
+
+// Initialize OpenAI
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY,
+});
+
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+
+const KNOWLEDGE_TYPES = ['website_copy', 'product_docs', 'pricing', 'marketing_emails', 'case_studies', 'faq', 'other'];
+
+// Passages small enough that a retrieved chunk is one fact, not a whole page
+const KNOWLEDGE_CHUNK_TOKENS = 400;
+const KNOWLEDGE_OVERLAP_TOKENS = 40;
+// Embedding models accept 8191 tokens; longer queries (whole transcripts) are cut
+const MAX_QUERY_TOKENS = 8000;
+const EMBEDDING_BATCH_SIZE = 100;
+
+const DEFAULT_TOP_K = 5;
+// Below this cosine similarity a passage is noise rather than a relevant fact
+const MIN_SIMILARITY = 0.3;
+// Prompt budget for the facts section, reserved by the hook generator when sizing chunks
+const KNOWLEDGE_PROMPT_TOKENS = 1200;
+
+const KEYWORD_COUNT = 10;
+const STOP_WORDS = new Set((
+  'about above after again against also among and any are because been before being below between both but can ' +
+  'could did does doing down during each few for from further had has have having her here hers him his how into ' +
+  'its itself just more most much must not now off once only other our ours out over own same she should some such ' +
+  'than that the their them then there these they this those through too under until very was were what when where ' +
+  'which while who whom why will with would you your yours we us all get got use used using one two new way'
+).split(' '));
+
+// =============================================
+// EMBEDDING PIPELINE
+// =============================================
+
+/**
+ * Embed texts with the configured embedding model
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} options - { companyId } billed for the calls in the usage ledger
+ * @returns {Promise<Array<Array<number>>>} One vector per text, in order
+ */
+async function embedTexts(texts, options = {}) {
+  const vectors = [];
+
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+    const response = await openai.embeddings.create({ model: EMBEDDING_MODEL, input: batch });
+
+    logger.info('Embedding API call successful', {
+      model: EMBEDDING_MODEL,
+      inputs: batch.length,
+      tokensUsed: response.usage?.total_tokens
+    });
+
+    await recordUsage({
+      companyId: options.companyId,
+      task: 'embeddings',
+      provider: 'openai',
+      model: EMBEDDING_MODEL,
+      usage: { prompt_tokens: response.usage?.prompt_tokens ?? response.usage?.total_tokens }
+    });
+
+    vectors.push(...[...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding));
+  }
+
+  return vectors;
+}
+
+/**
+ * Chunk and embed a knowledge entry, replacing any earlier chunks
+ * An entry edited while its job ran is left for the job queued by the edit.
+ * @param {number} knowledgeId - company_knowledge ID
+ * @returns {Promise<Object>} { knowledgeId, status: 'ready' | 'stale' | 'missing', chunks }
+ */
+async function embedKnowledgeEntry(knowledgeId) {
+  const result = await query('SELECT * FROM company_knowledge WHERE id = $1', [knowledgeId]);
+
+  if (result.rows.length === 0) {
+    return { knowledgeId, status: 'missing' };
+  }
+
+  const entry = result.rows[0];
+
+  try {
+    // Embeddings are billed to the company like any other call; over the hard budget the entry waits
+    const company = await query('SELECT id, settings FROM companies WHERE id = $1', [entry.company_id]);
+    await enforceBudget(company.rows[0] || { id: entry.company_id });
+
+    const chunks = chunkContent(entry.content, {
+      maxTokens: KNOWLEDGE_CHUNK_TOKENS,
+      overlapTokens: KNOWLEDGE_OVERLAP_TOKENS,
+      model: EMBEDDING_MODEL
+    });
+
+    // The title gives short passages ("Starts at $49/month") the context of what they describe
+    const vectors = await embedTexts(
+      chunks.map(chunk => entry.title ? `${entry.title}\n\n${chunk.text}` : chunk.text),
+      { companyId: entry.company_id }
+    );
+
+    const stored = await transaction(async (client) => {
+      const current = await client.query(
+        'SELECT title, content FROM company_knowledge WHERE id = $1 FOR UPDATE',
+        [knowledgeId]
+      );
+
+      if (current.rows.length === 0 || current.rows[0].title !== entry.title || current.rows[0].content !== entry.content) {
+        return false;
+      }
+
+      await client.query('DELETE FROM company_knowledge_chunks WHERE knowledge_id = $1', [knowledgeId]);
+
+      for (const [index, chunk] of chunks.entries()) {
+        await client.query(`
+          INSERT INTO company_knowledge_chunks
+          (knowledge_id, company_id, chunk_index, content, token_count, embedding)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [knowledgeId, entry.company_id, chunk.index, chunk.text, chunk.tokens, vectors[index]]);
+      }
+
+      await client.query(`
+        UPDATE company_knowledge
+        SET keywords = $2,
+            embedding_vector = $3,
+            embedding_status = 'ready',
+            embedding_model = $4,
+            embedding_error = NULL,
+            embedded_at = NOW()
+        WHERE id = $1
+      `, [knowledgeId, extractKeywords(entry.content), meanVector(vectors), EMBEDDING_MODEL]);
+
+      return true;
+    });
+
+    if (!stored) {
+      logger.info('Knowledge entry changed during embedding, skipping', { knowledgeId });
+      return { knowledgeId, status: 'stale' };
+    }
+
+    logger.info('Knowledge entry embedded', {
+      knowledgeId,
+      companyId: entry.company_id,
+      chunks: chunks.length
+    });
+
+    return { knowledgeId, status: 'ready', chunks: chunks.length };
+
+  } catch (error) {
+    logger.error('Knowledge embedding failed', {
+      knowledgeId,
+      error: error.message
+    });
+
+    await query(`
+      UPDATE company_knowledge
+      SET embedding_status = 'failed', embedding_error = $2
+      WHERE id = $1
+    `, [knowledgeId, error.message]);
+
+    throw error;
+  }
+}
+
+/**
+ * Bull processor for embed-knowledge jobs
+ * @param {Object} job - Bull job ({ knowledgeId })
+ */
+async function processKnowledgeEmbedding(job) {
+  try {
+    return await embedKnowledgeEntry(job.data.knowledgeId);
+  } catch (error) {
+    // Retrying cannot help until the budget resets or is raised
+    if (error.code === 'BUDGET_EXCEEDED') {
+      job.discard?.();
+    }
+    throw error;
+  }
+}
+
+// =============================================
+// RETRIEVAL
+// =============================================
+
+/**
+ * Top-k knowledge passages for one piece of text
+ * @param {number} companyId - Company ID
+ * @param {string} text - Text the facts should be relevant to
+ * @param {Object} options - { limit, minScore }
+ * @returns {Promise<Array<Object>>} Facts, most similar first
+ */
+async function retrieveKnowledge(companyId, text, options = {}) {
+  const [facts] = await retrieveKnowledgeForEach(companyId, [text], options);
+  return facts;
+}
+
+/**
+ * Top-k knowledge passages for several texts, with one database read and one embedding call
+ * Retrieval failures are logged and yield no facts: generation goes ahead without them.
+ * @param {number} companyId - Company ID
+ * @param {Array<string>} texts - Texts the facts should be relevant to
+ * @param {Object} options - { limit, minScore }
+ * @returns {Promise<Array<Array<Object>>>} Per text: [{ knowledge_id, chunk_id, title, knowledge_type,
+ *   source_url, content, score }]
+ */
+async function retrieveKnowledgeForEach(companyId, texts, options = {}) {
+  const limit = options.limit || DEFAULT_TOP_K;
+  const minScore = options.minScore !== undefined ? options.minScore : MIN_SIMILARITY;
+  const empty = texts.map(() => []);
+
+  if (!companyId || texts.every(text => !text || !text.trim())) {
+    return empty;
+  }
+
+  try {
+    const result = await query(`
+      SELECT
+        ckc.id, ckc.knowledge_id, ckc.content, ckc.embedding,
+        ck.title, ck.knowledge_type, ck.source_url
+      FROM company_knowledge_chunks ckc
+      JOIN company_knowledge ck ON ck.id = ckc.knowledge_id
+      WHERE ckc.company_id = $1
+        AND ck.status = 'active'
+        AND ck.embedding_status = 'ready'
+        AND ck.embedding_model = $2
+    `, [companyId, EMBEDDING_MODEL]);
+
+    if (result.rows.length === 0) {
+      return empty;
+    }
+
+    const queryVectors = await embedTexts(
+      texts.map(text => truncateTokens(text || ' ', MAX_QUERY_TOKENS, EMBEDDING_MODEL)),
+      { companyId }
+    );
+
+    return queryVectors.map(queryVector => result.rows
+      .map(chunk => ({
+        knowledge_id: chunk.knowledge_id,
+        chunk_id: chunk.id,
+        title: chunk.title,
+        knowledge_type: chunk.knowledge_type,
+        source_url: chunk.source_url,
+        content: chunk.content,
+        score: Math.round(cosineSimilarity(queryVector, chunk.embedding) * 1000) / 1000
+      }))
+      .filter(fact => fact.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit));
+
+  } catch (error) {
+    logger.warn('Knowledge retrieval failed, generating without company facts', {
+      companyId,
+      error: error.message
+    });
+    return empty;
+  }
+}
+
+/**
+ * Knowledge base state that affects prompts, for cache keys
+ * @param {number} companyId - Company ID
+ * @returns {Promise<string>} Changes whenever an entry is embedded, archived or deleted
+ */
+async function getKnowledgeVersion(companyId) {
+  try {
+    const result = await query(`
+      SELECT COUNT(*) as entries, MAX(embedded_at) as latest
+      FROM company_knowledge
+      WHERE company_id = $1 AND status = 'active' AND embedding_status = 'ready'
+    `, [companyId]);
+
+    const { entries, latest } = result.rows[0];
+    return `${entries}:${latest ? new Date(latest).getTime() : 0}`;
+
+  } catch (error) {
+    logger.warn('Could not read knowledge base version', { companyId, error: error.message });
+    return '';
+  }
+}
+
+/**
+ * Format retrieved facts as a prompt section
+ * @param {Array<Object>} facts - Facts from retrieveKnowledge
+ * @param {number} maxTokens - Token budget for the section
+ * @returns {string} Section ending in a blank line, or '' without facts
+ */
+function formatKnowledgeForPrompt(facts, maxTokens = KNOWLEDGE_PROMPT_TOKENS) {
+  if (!facts || facts.length === 0) return '';
+
+  const lines = [];
+  let tokens = 0;
+
+  for (const fact of facts) {
+    const label = fact.title ? `${fact.title} (${fact.knowledge_type})` : fact.knowledge_type;
+    const line = `[${lines.length + 1}] ${label}: ${fact.content.replace(/\s+/g, ' ').trim()}`;
+    const lineTokens = countTokens(line);
+
+    if (tokens + lineTokens > maxTokens) break;
+    lines.push(line);
+    tokens += lineTokens;
+  }
+
+  if (lines.length === 0) return '';
+
+  return `COMPANY FACTS (from our knowledge base - use these for product names, features and pricing, and never contradict them):
+${lines.join('\n')}
+
+`;
+}
+
+// =============================================
+// HELPER FUNCTIONS
+// =============================================
+
+/**
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {number} Cosine similarity (-1 to 1); 0 for mismatched or empty vectors
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * @param {Array<Array<number>>} vectors - Vectors of equal length
+ * @returns {Array<number>|null} Element-wise mean
+ */
+function meanVector(vectors) {
+  if (vectors.length === 0) return null;
+
+  const mean = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    vector.forEach((value, i) => { mean[i] += value / vectors.length; });
+  }
+  return mean;
+}
+
+/**
+ * Most frequent meaningful words, for filtering and display
+ * @param {string} text - Text
+ * @param {number} limit - Keywords to return
+ * @returns {Array<string>} Keywords, most frequent first
+ */
+function extractKeywords(text, limit = KEYWORD_COUNT) {
+  const counts = new Map();
+
+  for (const word of String(text || '').toLowerCase().match(/[a-z][a-z0-9'-]{2,}/g) || []) {
+    const normalized = word.replace(/'s$/, '').replace(/['-]+$/, '');
+    if (normalized.length < 3 || STOP_WORDS.has(normalized)) continue;
+    counts.set(normalized, (counts.get(normalized) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word]) => word);
+}
+
+module.exports = {
+  EMBEDDING_MODEL,
+  KNOWLEDGE_TYPES,
+  KNOWLEDGE_PROMPT_TOKENS,
+  embedKnowledgeEntry,
+  processKnowledgeEmbedding,
+  retrieveKnowledge,
+  retrieveKnowledgeForEach,
+  getKnowledgeVersion,
+  formatKnowledgeForPrompt,
+  cosineSimilarity,
+  extractKeywords
+};
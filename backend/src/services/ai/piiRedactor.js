@@ -0,0 +1,445 @@
+/**
+ * Marketing Machine - PII Redactor
+ * Replaces personal and confidential details in content with placeholders before it reaches an LLM,
+ * and puts back the ones the company approved afterwards
+ */
+
+const crypto = require('crypto');
+const { query } = require('../../config/database');
+const logger = require('../../utils/logger').ai;
+
+// Entity types, as they appear in placeholders ([EMAIL_1])
+const ENTITY_TYPES = ['PERSON', 'EMAIL', 'PHONE', 'AMOUNT', 'CREDENTIAL', 'CUSTOMER', 'CODENAME', 'CONFIDENTIAL'];
+
+// Types of companies.settings.redaction.confidential_terms entries
+const TERM_TYPES = ['customer', 'codename', 'confidential'];
+
+// Detectors that can be switched off in companies.settings.redaction.detect
+const DETECTORS = ['emails', 'phones', 'amounts', 'credentials', 'speakers'];
+
+// What a placeholder becomes when its entity is not approved for re-insertion
+const GENERIC_TERMS = {
+  PERSON: 'someone',
+  EMAIL: 'an email address',
+  PHONE: 'a phone number',
+  AMOUNT: 'a significant amount',
+  CREDENTIAL: '[credential removed]',
+  CUSTOMER: 'a customer',
+  CODENAME: 'an internal project',
+  CONFIDENTIAL: 'confidential details'
+};
+
+// Overlapping matches go to the detector listed first
+const PRIORITY = ['CREDENTIAL', 'EMAIL', 'CUSTOMER', 'CODENAME', 'CONFIDENTIAL', 'PERSON', 'PHONE', 'AMOUNT'];
+
+const PLACEHOLDER_PATTERN = /\[([A-Z]+)_(\d+)\]/g;
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?|\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}(?![\w])/g;
+const AMOUNT_PATTERN = /(?:[$€£]\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:k|m|mm|bn|million|billion|thousand)(?![\p{L}]))?|(?<![\p{L}\p{N}.])\d[\d,]*(?:\.\d+)?\s?(?:k|m|million|billion|thousand)?\s?(?:dollars|euros|pounds|usd|eur|gbp)(?![\p{L}]))/giu;
+
+// API keys and tokens by their well-known shapes
+const KEY_PATTERNS = [
+  /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g,
+  /\bsk-[A-Za-z0-9_-]{20,}/g,
+  /\bAKIA[0-9A-Z]{16}\b/g,
+  /\bgh[pousr]_[A-Za-z0-9]{30,}\b/g,
+  /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+  /\beyJ[\w-]{10,}\.[\w-]{10,}\.[\w-]+/g
+];
+
+// "the password is hunter22", "API key: abc123": only the value is redacted
+const LABELLED_SECRET_PATTERN = /\b(?:password|passcode|passwd|pwd|pin|api[ _-]?key|access[ _-]?token|token|secret)\b\s*(?:is|was|:|=)\s*["']?([^\s"',;]{4,})/gid;
+
+const REDACTION_NOTE = 'Bracketed placeholders such as [CUSTOMER_1] or [PERSON_2] stand for details redacted for privacy. ' +
+  'Copy them exactly as written wherever you use those details, including in source_quote; never guess what they stand for.';
+
+// =============================================
+// SETTINGS
+// =============================================
+
+/**
+ * A company's redaction settings with defaults: every detector on, nothing restored
+ * @param {Object} companyProfile - Company profile (settings.redaction)
+ * @returns {Object} { enabled, detect, confidential_terms: [{ term, type }], approved_entities, restore_types }
+ */
+function getRedactionSettings(companyProfile) {
+  const settings = companyProfile?.settings?.redaction || {};
+
+  return {
+    enabled: settings.enabled !== false,
+    detect: Object.fromEntries(DETECTORS.map(detector => [detector, settings.detect?.[detector] !== false])),
+    confidential_terms: (settings.confidential_terms || [])
+      .map(entry => (typeof entry === 'string' ? { term: entry, type: 'confidential' } : entry))
+      .filter(entry => entry.term?.trim()),
+    approved_entities: (settings.approved_entities || []).map(entity => entity.toLowerCase()),
+    restore_types: (settings.restore_types || []).map(type => type.toUpperCase())
+  };
+}
+
+/**
+ * Validate companies.settings.redaction
+ * @param {Object} settings - Redaction settings
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateRedactionSettings(settings) {
+  const errors = [];
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['redaction: must be an object'];
+  }
+
+  Object.entries(settings).forEach(([key, value]) => {
+    switch (key) {
+      case 'enabled':
+        if (typeof value !== 'boolean') errors.push('redaction.enabled: must be true or false');
+        break;
+      case 'detect':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push('redaction.detect: must be an object');
+          break;
+        }
+        Object.entries(value).forEach(([detector, on]) => {
+          if (!DETECTORS.includes(detector)) {
+            errors.push(`redaction.detect.${detector}: unknown detector (expected ${DETECTORS.join(', ')})`);
+          } else if (typeof on !== 'boolean') {
+            errors.push(`redaction.detect.${detector}: must be true or false`);
+          }
+        });
+        break;
+      case 'confidential_terms':
+        if (!Array.isArray(value)) {
+          errors.push('redaction.confidential_terms: must be an array');
+          break;
+        }
+        value.forEach((entry, index) => {
+          const term = typeof entry === 'string' ? entry : entry?.term;
+          if (typeof term !== 'string' || !term.trim() || term.length > 200) {
+            errors.push(`redaction.confidential_terms[${index}]: must be a term of 200 characters or less`);
+          }
+          if (typeof entry === 'object' && entry !== null && !TERM_TYPES.includes(entry.type)) {
+            errors.push(`redaction.confidential_terms[${index}].type: must be one of ${TERM_TYPES.join(', ')}`);
+          }
+        });
+        break;
+      case 'approved_entities':
+        if (!Array.isArray(value) || value.some(entity => typeof entity !== 'string' || !entity.trim())) {
+          errors.push('redaction.approved_entities: must be an array of names or values');
+        }
+        break;
+      case 'restore_types':
+        if (!Array.isArray(value) || value.some(type => typeof type !== 'string' || !ENTITY_TYPES.includes(type.toUpperCase()))) {
+          errors.push(`redaction.restore_types: must be an array of ${ENTITY_TYPES.join(', ')}`);
+        } else if (value.some(type => type.toUpperCase() === 'CREDENTIAL')) {
+          errors.push('redaction.restore_types: credentials are never restored');
+        }
+        break;
+      default:
+        errors.push(`redaction.${key}: unknown setting`);
+    }
+  });
+
+  return errors;
+}
+
+// =============================================
+// REDACTION
+// =============================================
+
+/**
+ * @param {string} text - Literal text
+ * @returns {string} Text escaped for a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the personal and confidential details in a text
+ * @param {string} text - Text
+ * @param {Object} settings - From getRedactionSettings
+ * @param {Array<string>} speakers - Transcript speaker names
+ * @returns {Array<Object>} Non-overlapping { type, detector, value, start, end, entity } in text order
+ */
+function detectEntities(text, settings, speakers = []) {
+  const found = [];
+  const add = (type, detector, start, value, entity = value) => {
+    found.push({ type, detector, value, start, end: start + value.length, entity });
+  };
+
+  if (settings.detect.credentials) {
+    for (const pattern of KEY_PATTERNS) {
+      for (const match of text.matchAll(pattern)) add('CREDENTIAL', 'credential', match.index, match[0]);
+    }
+    for (const match of text.matchAll(LABELLED_SECRET_PATTERN)) {
+      add('CREDENTIAL', 'credential', match.indices[1][0], match[1].replace(/[.!?)\]]+$/, ''));
+    }
+  }
+
+  if (settings.detect.emails) {
+    for (const match of text.matchAll(EMAIL_PATTERN)) add('EMAIL', 'email', match.index, match[0]);
+  }
+
+  for (const { term, type } of settings.confidential_terms) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term.trim())}(?![\\p{L}\\p{N}])`, 'giu');
+    for (const match of text.matchAll(pattern)) {
+      add(type.toUpperCase(), 'confidential_term', match.index, match[0], term.trim());
+    }
+  }
+
+  if (settings.detect.speakers) {
+    for (const speaker of speakers) {
+      // A speaker's first or last name alone stands for the same person
+      const parts = [speaker, ...speaker.split(/\s+/).filter(part => part.length >= 3 && part !== speaker)];
+      for (const part of parts) {
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(part)}(?![\\p{L}\\p{N}])`, 'gu');
+        for (const match of text.matchAll(pattern)) add('PERSON', 'speaker', match.index, match[0], speaker);
+      }
+    }
+  }
+
+  if (settings.detect.phones) {
+    for (const match of text.matchAll(PHONE_PATTERN)) {
+      if (match[0].replace(/\D/g, '').length >= 9) add('PHONE', 'phone', match.index, match[0]);
+    }
+  }
+
+  if (settings.detect.amounts) {
+    for (const match of text.matchAll(AMOUNT_PATTERN)) add('AMOUNT', 'amount', match.index, match[0].trim());
+  }
+
+  // Earliest first; at the same position the higher-priority, then longer match wins
+  found.sort((a, b) => a.start - b.start || PRIORITY.indexOf(a.type) - PRIORITY.indexOf(b.type) || b.end - a.end);
+
+  const entities = [];
+  for (const entity of found) {
+    const previous = entities[entities.length - 1];
+    if (previous && entity.start < previous.end) {
+      if (PRIORITY.indexOf(entity.type) < PRIORITY.indexOf(previous.type)) {
+        entities[entities.length - 1] = entity;
+      }
+      continue;
+    }
+    entities.push(entity);
+  }
+
+  return entities;
+}
+
+/**
+ * Replace the personal and confidential details of content, and its transcript speaker turns, with placeholders
+ * The same detail gets the same placeholder everywhere, so the result can be reversed with restoreText.
+ * @param {string} content - Content for the LLM
+ * @param {Object} companyProfile - Company profile (settings.redaction)
+ * @param {Object} options - { speakerTurns } from content_sources.metadata.transcript_turns
+ * @returns {Object} { content, speakerTurns, entities: [{ placeholder, type, detector, value, occurrences }], settings }
+ */
+function redactContent(content, companyProfile, options = {}) {
+  const settings = getRedactionSettings(companyProfile);
+  const speakerTurns = options.speakerTurns || null;
+
+  if (!settings.enabled) {
+    return { content, speakerTurns, entities: [], settings };
+  }
+
+  const speakers = [...new Set((speakerTurns || []).map(turn => turn.speaker?.trim()).filter(Boolean))]
+    // The company's own name is what the content is about, not a detail to hide
+    .filter(speaker => speaker.toLowerCase() !== companyProfile?.name?.toLowerCase());
+
+  const byKey = new Map();
+  const counts = {};
+
+  const redact = (text) => {
+    if (!text) return text;
+
+    let result = '';
+    let position = 0;
+    for (const found of detectEntities(text, settings, speakers)) {
+      const key = `${found.type}:${found.entity.toLowerCase()}`;
+      let entity = byKey.get(key);
+      if (!entity) {
+        counts[found.type] = (counts[found.type] || 0) + 1;
+        entity = {
+          placeholder: `[${found.type}_${counts[found.type]}]`,
+          type: found.type,
+          detector: found.detector,
+          value: found.entity,
+          occurrences: 0
+        };
+        byKey.set(key, entity);
+      }
+      entity.occurrences++;
+      result += text.slice(position, found.start) + entity.placeholder;
+      position = found.end;
+    }
+    return result + text.slice(position);
+  };
+
+  const redactedContent = redact(content);
+  const redactedTurns = speakerTurns && speakerTurns.map(turn => ({
+    ...turn,
+    speaker: turn.speaker ? redact(turn.speaker) : turn.speaker,
+    text: redact(turn.text)
+  }));
+
+  return { content: redactedContent, speakerTurns: redactedTurns, entities: [...byKey.values()], settings };
+}
+
+/**
+ * Whether a redacted entity may be put back into LLM output
+ * Credentials never are; other entities when their type or the value itself is approved.
+ * @param {Object} entity - Entity from redactContent
+ * @param {Object} settings - From getRedactionSettings
+ * @returns {boolean} Whether the entity is restored
+ */
+function isApproved(entity, settings) {
+  if (entity.type === 'CREDENTIAL') return false;
+  return settings.restore_types.includes(entity.type) || settings.approved_entities.includes(entity.value.toLowerCase());
+}
+
+/**
+ * Put approved entities back into LLM output; the rest, and placeholders the model made up, become generic terms
+ * @param {string} text - LLM output
+ * @param {Object} redaction - From redactContent
+ * @returns {string} Text without placeholders
+ */
+function restoreText(text, redaction) {
+  if (typeof text !== 'string' || !redaction.entities.length) return text;
+
+  const byPlaceholder = new Map(redaction.entities.map(entity => [entity.placeholder, entity]));
+
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, type, number, offset) => {
+    const entity = byPlaceholder.get(placeholder);
+    if (entity && isApproved(entity, redaction.settings)) {
+      return entity.value;
+    }
+    const before = text.slice(0, offset);
+    let generic = GENERIC_TERMS[type] || placeholder;
+    // "the [CODENAME_1] pilot" reads "the internal project pilot"
+    if (/\b(?:the|a|an|our|their|your|his|her|its)\s+$/i.test(before)) {
+      generic = generic.replace(/^an? /, '');
+    }
+    // "Someone said" at the start of a sentence, "told someone" within one
+    return /(^|[.!?]\s+|\n\s*)$/.test(before) ? generic[0].toUpperCase() + generic.slice(1) : generic;
+  });
+}
+
+/**
+ * Restore every string of a generated object (a hook, with its source attribution and metadata)
+ * @param {*} value - LLM output
+ * @param {Object} redaction - From redactContent
+ * @returns {*} Value with its strings restored
+ */
+function restoreDeep(value, redaction) {
+  if (typeof value === 'string') return restoreText(value, redaction);
+  if (Array.isArray(value)) return value.map(item => restoreDeep(item, redaction));
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restoreDeep(item, redaction)]));
+  }
+  return value;
+}
+
+/**
+ * Prompt instruction for redacted content
+ * @param {string} content - Content for the prompt
+ * @returns {string} Instruction on keeping placeholders (empty when the content has none)
+ */
+function redactionNote(content) {
+  return new RegExp(PLACEHOLDER_PATTERN.source).test(content || '') ? REDACTION_NOTE : '';
+}
+
+// =============================================
+// AUDIT
+// =============================================
+
+/**
+ * Masked form of a redacted value for the audit trail, which never stores the value itself
+ * @param {Object} entity - Entity from redactContent
+ * @returns {string} e.g. j***@acme.com, M*** L***
+ */
+function maskValue(entity) {
+  if (entity.type === 'CREDENTIAL') return `${entity.value.length} characters`;
+  if (entity.type === 'EMAIL') return entity.value.replace(/^(.)[^@]*/, '$1***');
+  if (entity.type === 'PHONE') return `***${entity.value.replace(/\D/g, '').slice(-2)}`;
+  return entity.value.split(/\s+/).map(word => `${word[0]}***`).join(' ');
+}
+
+/**
+ * Record each redacted entity of a content source, whether it was restored, in content_redactions
+ * A failed write is logged rather than thrown: the content the LLM saw was redacted either way.
+ * @param {Object} redaction - From redactContent
+ * @param {Object} context - { companyId, contentSourceId, processingBatchId, stage }
+ * @returns {Promise<number>} Entities recorded
+ */
+async function recordRedactions(redaction, context) {
+  const { companyId, contentSourceId, processingBatchId, stage = 'hooks' } = context;
+  const summary = redaction.entities.reduce((counts, entity) => ({ ...counts, [entity.type]: (counts[entity.type] || 0) + 1 }), {});
+
+  logger.info('Content redacted before LLM call', { companyId, contentSourceId, stage, entities: summary });
+
+  if (!redaction.entities.length) return 0;
+
+  try {
+    const values = [];
+    const rows = redaction.entities.map((entity, index) => {
+      values.push(
+        companyId,
+        contentSourceId,
+        processingBatchId || null,
+        stage,
+        entity.type,
+        entity.detector,
+        entity.placeholder,
+        crypto.createHash('sha256').update(`${companyId}:${entity.value.toLowerCase()}`).digest('hex'),
+        maskValue(entity),
+        entity.occurrences,
+        isApproved(entity, redaction.settings)
+      );
+      const offset = index * 11;
+      return `(${Array.from({ length: 11 }, (_, column) => `$${offset + column + 1}`).join(', ')})`;
+    });
+
+    await query(`
+      INSERT INTO content_redactions (
+        company_id, content_source_id, processing_batch_id, stage, entity_type, detector,
+        placeholder, value_hash, masked_value, occurrences, restored
+      ) VALUES ${rows.join(', ')}
+    `, values);
+
+  } catch (error) {
+    logger.error('Failed to record redactions', { error: error.message, companyId, contentSourceId, entities: summary });
+  }
+
+  return redaction.entities.length;
+}
+
+/**
+ * Audit trail of a processing batch's redactions
+ * @param {number} processingBatchId - Processing batch ID
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Array<Object>>} content_redactions rows, oldest first
+ */
+async function getRedactions(processingBatchId, companyId) {
+  const result = await query(`
+    SELECT id, content_source_id, stage, entity_type, detector, placeholder, masked_value, occurrences, restored, created_at
+    FROM content_redactions
+    WHERE processing_batch_id = $1 AND company_id = $2
+    ORDER BY id
+  `, [processingBatchId, companyId]);
+
+  return result.rows;
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  TERM_TYPES,
+  DETECTORS,
+  getRedactionSettings,
+  validateRedactionSettings,
+  redactContent,
+  restoreText,
+  restoreDeep,
+  redactionNote,
+  recordRedactions,
+  getRedactions
+};
@@ -3,66 +3,143 @@
  * Creates optimized LinkedIn posts from marketing hooks
  */
 
-const OpenAI = require('openai');
 const { query, transaction } = require('../../config/database');
 const logger = require('../../utils/logger').ai;
 const { cache } = require('../../config/redis');
-
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const {
+  retrieveKnowledgeForEach,
+  getKnowledgeVersion,
+  formatKnowledgeForPrompt
+} = require('./knowledgeBase');
+const { getProvider } = require('./providers');
+const { meterProvider } = require('./usageLedger');
+const { validatePost, buildPostRepairPrompt } = require('./responseSchemas');
+const { getDefaultTemplate, resolveTemplate, renderTemplate } = require('./promptTemplates');
+const { getRunningExperiment, pickVariant, applyVariant, recordAssignment } = require('./experiments');
+const { lintPost, lintPenalty } = require('./brandVoiceLinter');
+const { getVoiceExamples, formatExamplesForPrompt } = require('./voiceAnalyzer');
+const { getExemplarCandidates, selectExemplars, formatExemplarsForPrompt } = require('./exemplarLibrary');
+const { getGroundingSources, checkGrounding } = require('./factGrounding');
+const { recordRevision } = require('./postRevisions');
+
+const SYSTEM_PROMPT = "You are Marketing Machine's LinkedIn expert. Create engaging, algorithm-optimized posts that drive business results. Always return valid JSON.";
 
 /**
  * LinkedIn Post Generator Class
  */
 class PostGenerator {
-  constructor() {
-    this.model = process.env.OPENAI_MODEL || 'gpt-4';
+  /**
+   * @param {Object} options - { provider } to use for every company instead of each company's
+   *   configured provider (e.g. a FakeProvider in tests)
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || null;
     this.maxRetries = 3;
+    this.temperature = 0.8; // Slightly more creative for posts
     this.targetLength = { min: 1500, max: 2200 };
   }
 
   /**
    * Generate LinkedIn posts from marketing hooks
+   * While the company runs an experiment, each post is generated with a randomly assigned variant
+   * and carries { experiment } so storePosts records the assignment.
    * @param {Array} hooks - Marketing hooks to convert to posts
    * @param {Object} companyProfile - Company profile and brand voice
+   * @param {Object} options - { validation } array that collects the schema errors of rejected or repaired posts
    * @returns {Promise<Array>} Array of generated LinkedIn posts
    */
-  async generatePosts(hooks, companyProfile) {
+  async generatePosts(hooks, companyProfile, options = {}) {
     try {
+      const provider = this.getProvider(companyProfile);
+
       logger.info('Starting LinkedIn post generation', {
         hooksCount: hooks.length,
         companyId: companyProfile.id,
-        model: this.model
+        provider: provider.name,
+        model: provider.model
       });
 
       const generatedPosts = [];
 
-      for (const hook of hooks) {
+      // Company prompt overrides and template revisions apply to the next generation
+      const template = await resolveTemplate('posts', companyProfile.id);
+      const temperature = companyProfile.settings?.ai?.posts?.temperature ?? this.temperature;
+      const experiment = await getRunningExperiment(companyProfile.id);
+
+      // Few-shot examples: the company's best published posts, matched to each hook, or until it has
+      // measured posts, the past posts from its accepted brand voice analysis
+      const exemplarCandidates = await getExemplarCandidates(companyProfile.id);
+      const voiceExamples = await getVoiceExamples(companyProfile.id);
+
+      // Company facts relevant to each hook, so product names and pricing come from the knowledge base
+      const knowledgeVersion = await getKnowledgeVersion(companyProfile.id);
+      const hookKnowledge = await retrieveKnowledgeForEach(
+        companyProfile.id,
+        hooks.map(hook => [hook.hook_text, hook.source_quote, hook.linkedin_hook].filter(Boolean).join('\n'))
+      );
+
+      // Transcripts the hooks came from, to check each post's numbers, names and quotes against
+      const groundingSources = await getGroundingSources(hooks.map(hook => hook.id).filter(Boolean));
+
+      for (const [index, hook] of hooks.entries()) {
         try {
-          const prompt = this.buildPostPrompt(hook, companyProfile);
+          const knowledge = hookKnowledge[index];
+          const exemplars = selectExemplars(exemplarCandidates, hook);
+          const examples = exemplars.length ? [] : voiceExamples;
+
+          // Each post of a running experiment is randomly assigned one of its variants
+          const variant = experiment ? pickVariant(experiment) : null;
+          const settings = variant
+            ? applyVariant(experiment, variant, { template, provider, temperature, companyProfile })
+            : { template, provider, temperature };
+          const assignment = variant && {
+            experiment_id: experiment.id,
+            variant_key: variant.key,
+            settings: {
+              provider: settings.provider.name,
+              model: settings.provider.model,
+              temperature: settings.temperature,
+              prompt_version: settings.template.prompt_version
+            }
+          };
+
+          const prompt = this.buildPostPrompt(hook, companyProfile, { knowledge, exemplars, examples, template: settings.template });
           
-          // Check cache first
-          const cacheKey = `post:${this.hashContent(hook.hook_text + JSON.stringify(companyProfile))}`;
+          // Check cache first; knowledge base edits, prompt revisions, new examples and provider changes invalidate it
+          const exampleKey = [...exemplars.map(exemplar => `p${exemplar.id}`), ...examples.map(example => `s${example.id}`)].join(',');
+          const cacheKey = `post:${this.hashContent(hook.hook_text + JSON.stringify(companyProfile) + knowledgeVersion + exampleKey + settings.template.prompt_version + settings.provider.name + settings.provider.model + settings.temperature)}`;
           const cachedPost = await cache.get(cacheKey);
           
           if (cachedPost) {
             logger.info('Using cached LinkedIn post', { hookId: hook.id, cacheKey });
-            generatedPosts.push({ ...cachedPost, hookId: hook.id });
+            generatedPosts.push({ ...cachedPost, hookId: hook.id, ...(assignment && { experiment: assignment }) });
             continue;
           }
 
           // Generate post with retry logic
-          const post = await this.callOpenAI(prompt);
+          const post = await this.callModel(prompt, 1, {
+            provider: settings.provider,
+            temperature: settings.temperature,
+            validation: options.validation,
+            hookId: hook.id
+          });
           
           // Process and validate post
-          const processedPost = await this.processPost(post, hook, companyProfile);
+          const processedPost = await this.processPost(post, hook, companyProfile, knowledge, settings.provider, settings.template);
+          if (exemplars.length) {
+            processedPost.metadata.exemplar_post_ids = exemplars.map(exemplar => exemplar.id);
+          }
+          processedPost.fact_check = checkGrounding(processedPost.post_content, {
+            sourceContent: groundingSources.get(hook.id),
+            sourceQuote: hook.source_quote,
+            knowledge: knowledge.map(fact => fact.content),
+            companyProfile
+          });
           
           // Cache the result
           await cache.set(cacheKey, processedPost, 12 * 60 * 60); // 12 hours
           
-          generatedPosts.push({ ...processedPost, hookId: hook.id });
+          generatedPosts.push({ ...processedPost, hookId: hook.id, ...(assignment && { experiment: assignment }) });
 
         } catch (error) {
           logger.error('Post generation failed for hook', {
@@ -91,154 +168,152 @@ class PostGenerator {
     }
   }
 
+  /**
+   * Provider for a company's post generation
+   * @param {Object} companyProfile - Company profile (settings.ai selects the provider)
+   * @returns {LLMProvider} Provider that records its usage against the company
+   */
+  getProvider(companyProfile) {
+    return this.provider || meterProvider(getProvider('posts', companyProfile), { companyId: companyProfile?.id, task: 'posts' });
+  }
+
   /**
    * Build LinkedIn post generation prompt
    * @param {Object} hook - Marketing hook
    * @param {Object} companyProfile - Company profile
+   * @param {Object} options - { knowledge } facts from retrieveKnowledge, { exemplars } from selectExemplars,
+   *   { examples } past posts from getVoiceExamples, { template } from resolveTemplate (defaults to the built-in one)
    * @returns {string} Formatted prompt
    */
-  buildPostPrompt(hook, companyProfile) {
+  buildPostPrompt(hook, companyProfile, options = {}) {
     const { name, industry, brand_voice, content_pillars, icp } = companyProfile;
     const { hook_text, content_pillar, source_quote, hook_type, target_emotion } = hook;
-
-    return `You are Marketing Machine's expert LinkedIn content creator for ${name}.
-
-COMPANY CONTEXT:
-- Company: ${name}
-- Industry: ${industry}
-- Target Audience: ${JSON.stringify(icp)}
-- Brand Voice: ${JSON.stringify(brand_voice)}
-- Content Pillars: ${JSON.stringify(content_pillars)}
-
-HOOK TO EXPAND:
-Hook: "${hook_text}"
-Type: ${hook_type}
-Content Pillar: ${content_pillar}
-Target Emotion: ${target_emotion}
-Source Quote: "${source_quote}"
-
-TASK: Transform this hook into a compelling 1500-2200 character LinkedIn post that maximizes engagement.
-
-POST STRUCTURE REQUIREMENTS:
-1. Opening Hook (1-2 lines) - Stop scroll, create curiosity
-2. Problem/Context (2-3 lines) - Relate to audience pain points
-3. Story/Example (3-4 lines) - Specific, concrete example with metrics
-4. Key Insight (2-3 lines) - Main takeaway or learning
-5. Call-to-Action (1-2 lines) - Engage comments, ask questions
-
-CONTENT GUIDELINES:
-- Length: 1500-2200 characters (LinkedIn's algorithm sweet spot)
-- Use line breaks for readability (double line breaks between sections)
-- Include specific numbers, metrics, percentages when possible
-- Match brand voice tone: ${brand_voice?.tone?.join(', ') || 'professional'}
-- Avoid prohibited terms: ${brand_voice?.prohibited_terms?.join(', ') || 'none'}
-- Target emotion: ${target_emotion}
-- Include relevant hashtags (3-5 max)
-
-ENGAGEMENT OPTIMIZATION:
-- Ask a thought-provoking question to drive comments
-- Use "you" to make it personal
-- Include contrarian or surprising insights
-- Create urgency or FOMO where appropriate
-- Make it actionable and practical
-
-EXAMPLES OF HIGH-PERFORMING LINKEDIN POSTS:
-- Start with attention-grabbing statements
-- Include personal stories or client examples
-- End with questions that invite discussion
-- Use emojis sparingly but strategically
-- Break up text with white space
-
-INDUSTRY CONTEXT: Consider ${industry} specific challenges, terminology, and pain points.
-
-Generate ONE optimized LinkedIn post that will drive maximum engagement for our target audience. Make it feel authentic to our brand voice while being highly shareable.
-
-OUTPUT FORMAT: Return as JSON with:
-{
-  "post_content": "Full LinkedIn post text",
-  "character_count": number,
-  "hashtags": ["#hashtag1", "#hashtag2"],
-  "engagement_hooks": ["hook1", "hook2"],
-  "cta_type": "question|advice|share|comment",
-  "target_metrics": {
-    "predicted_engagement_rate": "percentage",
-    "target_impressions": "estimate"
-  }
-}`;
+    const attribution = hook.source_attribution || hook.metadata?.source_attribution;
+
+    return renderTemplate(options.template || getDefaultTemplate('posts'), {
+      company_name: name,
+      industry,
+      icp: JSON.stringify(icp),
+      brand_voice: JSON.stringify(brand_voice),
+      content_pillars: JSON.stringify(content_pillars),
+      knowledge: formatKnowledgeForPrompt(options.knowledge),
+      exemplars: formatExemplarsForPrompt(options.exemplars),
+      voice_examples: formatExamplesForPrompt(options.examples),
+      hook_text,
+      hook_type,
+      content_pillar,
+      target_emotion,
+      source_quote,
+      attribution: attribution ? ` (${attribution.citation})` : '',
+      tone: brand_voice?.tone?.join(', ') || 'professional',
+      prohibited_terms: brand_voice?.prohibited_terms?.join(', ') || 'none'
+    });
   }
 
   /**
-   * Call OpenAI API with retry logic for post generation
+   * Call the company's model with retry logic for post generation
+   * A post that fails POST_SCHEMA gets one targeted repair request before the call is retried.
    * @param {string} prompt - Prompt to send
-   * @returns {Promise<Object>} Parsed post
+   * @param {number} attempt - Attempt number
+   * @param {Object} options - { provider } to call, { temperature }, { validation } array that collects
+   *   validation errors, { hookId } the post is for
+   * @returns {Promise<Object>} Valid post
    */
-  async callOpenAI(prompt, attempt = 1) {
+  async callModel(prompt, attempt = 1, options = {}) {
+    const { provider } = options;
+
     try {
-      const startTime = Date.now();
-      
-      const response = await openai.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: "system",
-            content: "You are Marketing Machine's LinkedIn expert. Create engaging, algorithm-optimized posts that drive business results. Always return valid JSON."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.8, // Slightly more creative for posts
-        max_tokens: 4000,
-        response_format: { type: "json_object" }
-      });
+      const post = await this.requestPost(prompt, attempt, options);
+      const errors = validatePost(post);
 
-      const duration = Date.now() - startTime;
-      
-      logger.info('OpenAI post generation successful', {
-        model: this.model,
-        duration: `${duration}ms`,
-        tokensUsed: response.usage?.total_tokens,
-        attempt
-      });
+      if (!errors.length) {
+        return post;
+      }
+
+      let repaired = null;
+      try {
+        const candidate = await this.requestPost(buildPostRepairPrompt(prompt, post, errors), attempt, options);
+        repaired = validatePost(candidate).length ? null : candidate;
+      } catch (repairError) {
+        logger.warn('Post repair failed', { error: repairError.message, hookId: options.hookId, attempt });
+      }
 
-      // Parse the response
-      const content = response.choices[0].message.content;
-      const parsedResponse = JSON.parse(content);
+      options.validation?.push({
+        target: 'post',
+        hook_id: options.hookId,
+        attempt,
+        errors,
+        repaired: Boolean(repaired)
+      });
 
-      // Validate required fields
-      if (!parsedResponse.post_content) {
-        throw new Error('No post content generated');
+      if (!repaired) {
+        throw new Error(`Post failed validation: ${errors.join('; ')}`);
       }
 
-      return parsedResponse;
+      return repaired;
 
     } catch (error) {
-      logger.error('OpenAI post generation failed', {
+      logger.error('Post generation failed', {
         error: error.message,
         attempt,
-        model: this.model
+        provider: provider.name,
+        model: provider.model
       });
 
       // Retry logic
       if (attempt < this.maxRetries && !error.message.includes('billing')) {
-        logger.info('Retrying OpenAI post generation', { attempt: attempt + 1 });
+        logger.info('Retrying post generation', { attempt: attempt + 1 });
         await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-        return this.callOpenAI(prompt, attempt + 1);
+        return this.callModel(prompt, attempt + 1, options);
       }
 
       throw error;
     }
   }
 
+  /**
+   * Send one post prompt and parse the reply
+   * @param {string} prompt - Prompt to send
+   * @param {number} attempt - Attempt number (for logging)
+   * @param {Object} options - { provider }, { temperature } (defaults to this.temperature)
+   * @returns {Promise<Object>} Raw post
+   */
+  async requestPost(prompt, attempt, options) {
+    const { provider, temperature = this.temperature } = options;
+    const startTime = Date.now();
+
+    const response = await provider.complete({
+      system: SYSTEM_PROMPT,
+      prompt,
+      temperature,
+      maxTokens: 4000,
+      json: true
+    });
+
+    const duration = Date.now() - startTime;
+
+    logger.info('Post generation successful', {
+      provider: provider.name,
+      model: provider.model,
+      duration: `${duration}ms`,
+      tokensUsed: response.usage.total_tokens,
+      attempt
+    });
+
+    return JSON.parse(response.text);
+  }
+
   /**
    * Process and validate generated post
    * @param {Object} post - Raw post from AI
    * @param {Object} hook - Original hook
    * @param {Object} companyProfile - Company profile
+   * @param {Array<Object>} knowledge - Company facts the prompt included
+   * @param {LLMProvider} provider - Provider that generated the post
+   * @param {Object} template - Prompt template that produced the post
    * @returns {Object} Processed post
    */
-  async processPost(post, hook, companyProfile) {
+  async processPost(post, hook, companyProfile, knowledge = [], provider = null, template = null) {
     try {
       const postContent = post.post_content.trim();
       const characterCount = postContent.length;
@@ -252,7 +327,7 @@ OUTPUT FORMAT: Return as JSON with:
 
       // Calculate performance scores
       const performanceScore = this.calculatePerformanceScore(post, hook);
-      const brandAlignment = this.calculateBrandAlignment(postContent, companyProfile);
+      const brandAlignment = this.calculateBrandAlignment(postContent, companyProfile, post.hashtags || []);
 
       return {
         post_content: postContent,
@@ -261,6 +336,7 @@ OUTPUT FORMAT: Return as JSON with:
         engagement_hooks: post.engagement_hooks || [],
         cta_type: post.cta_type || 'question',
         target_metrics: post.target_metrics || {},
+        prompt_version: template?.prompt_version || null,
         performance_metrics: {
           performance_score: performanceScore,
           brand_alignment: brandAlignment,
@@ -273,9 +349,12 @@ OUTPUT FORMAT: Return as JSON with:
         },
         metadata: {
           generated_at: new Date().toISOString(),
-          model_used: this.model,
+          model_used: provider?.model,
+          llm_provider: provider?.name,
           hook_id: hook.id,
-          processing_version: '1.0'
+          processing_version: '1.0',
+          ...(template && { prompt_version: template.prompt_version, prompt_overrides: template.overrides }),
+          ...(knowledge.length && { knowledge_ids: [...new Set(knowledge.map(fact => fact.knowledge_id))] })
         }
       };
 
@@ -328,11 +407,13 @@ OUTPUT FORMAT: Return as JSON with:
 
   /**
    * Calculate brand alignment score
+   * Findings behind the score are available from lintPost (see brandVoiceLinter).
    * @param {string} postContent - Post content
    * @param {Object} companyProfile - Company profile
+   * @param {Array<string>} hashtags - Hashtags published with the post
    * @returns {number} Brand alignment score (1-10)
    */
-  calculateBrandAlignment(postContent, companyProfile) {
+  calculateBrandAlignment(postContent, companyProfile, hashtags = []) {
     let score = 5;
 
     // Brand voice keywords
@@ -344,14 +425,9 @@ OUTPUT FORMAT: Return as JSON with:
       score += matchedKeywords.length * 0.5;
     }
 
-    // Prohibited terms check
-    if (companyProfile.brand_voice?.prohibited_terms) {
-      const prohibited = companyProfile.brand_voice.prohibited_terms.map(t => t.toLowerCase());
-      const contentLower = postContent.toLowerCase();
-      
-      const hasProhibited = prohibited.some(term => contentLower.includes(term));
-      if (hasProhibited) score -= 3;
-    }
+    // Brand voice findings (prohibited terms, clichés, emoji and hashtag limits, ...)
+    const { findings } = lintPost(postContent, companyProfile.brand_voice, { hashtags });
+    score -= lintPenalty(findings);
 
     // Tone alignment (basic check)
     const tones = companyProfile.brand_voice?.tone || [];
@@ -486,8 +562,11 @@ OUTPUT FORMAT: Return as JSON with:
               performance_score,
               brand_alignment_score,
               status,
-              metadata
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'draft', $10)
+              prompt_version,
+              metadata,
+              fact_check,
+              fact_check_status
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'draft', $10, $11, $12, $13)
             RETURNING *
           `, [
             companyId,
@@ -499,14 +578,23 @@ OUTPUT FORMAT: Return as JSON with:
             post.cta_type,
             post.performance_metrics.performance_score,
             post.performance_metrics.brand_alignment,
+            post.prompt_version || null,
             JSON.stringify({
               ...post.metadata,
               target_metrics: post.target_metrics,
               performance_metrics: post.performance_metrics,
               seo_analysis: post.seo_analysis
-            })
+            }),
+            post.fact_check ? JSON.stringify(post.fact_check) : null,
+            post.fact_check?.status || null
           ]);
 
+          if (post.experiment) {
+            await recordAssignment(client, result.rows[0], post.experiment);
+          }
+
+          await recordRevision(client, result.rows[0], { authorType: 'ai', reason: 'generated' });
+
           storedPosts.push(result.rows[0]);
         }
       });
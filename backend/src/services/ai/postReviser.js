@@ -0,0 +1,357 @@
+/**
+ * Marketing Machine - Post Reviser
+ * Rewrites rejected drafts from reviewer feedback into child drafts linked to the draft they revise
+ */
+
+const { query, transaction } = require('../../config/database');
+const logger = require('../../utils/logger').ai;
+const PostGenerator = require('./postGenerator');
+const { resolveTemplate, renderTemplate } = require('./promptTemplates');
+const { checkGrounding, getPostSources } = require('./factGrounding');
+const { recordRevision } = require('./postRevisions');
+const { ConflictError } = require('../../middleware/errorHandler');
+
+// Targeted edits a reviewer can request, as instructions for the model
+const REVISION_EDITS = {
+  shorter: 'Make it shorter: cut it to about two thirds of its length without losing the main point.',
+  longer: 'Develop it further with one more concrete detail from the source quote.',
+  less_salesy: 'Make it less salesy: drop promotional language and product pitches, and lead with the insight.',
+  more_casual: 'Make the tone more conversational, as if talking to a peer.',
+  more_professional: 'Make the tone more professional and measured.',
+  add_cta: 'End with one clear call to action that invites comments.',
+  stronger_hook: 'Rewrite the opening line so it stops the scroll.',
+  fewer_emojis: 'Remove the emojis.'
+};
+
+// Automatic revisions of one original draft; companies.settings.approval.max_revisions overrides it
+const MAX_REVISIONS = 3;
+
+const MAX_NOTES_LENGTH = 2000;
+
+// =============================================
+// REQUESTS
+// =============================================
+
+/**
+ * Validate a revision request
+ * @param {Object} request - { notes, edits }
+ * @param {Object} options - { requireFeedback } when a revision without notes or edits is pointless
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateRevisionRequest(request = {}, options = {}) {
+  const errors = [];
+  const { notes, edits = [] } = request;
+
+  if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+    errors.push(`notes: must be text of ${MAX_NOTES_LENGTH} characters or less`);
+  }
+  if (!Array.isArray(edits)) {
+    errors.push(`edits: must be an array of ${Object.keys(REVISION_EDITS).join(', ')}`);
+  } else {
+    edits
+      .filter(edit => !REVISION_EDITS[edit])
+      .forEach(edit => errors.push(`edits: unknown edit "${edit}" (expected ${Object.keys(REVISION_EDITS).join(', ')})`));
+  }
+  if (options.requireFeedback && !errors.length && !notes?.trim() && !edits.length) {
+    errors.push('Revision requests need notes or at least one edit');
+  }
+
+  return errors;
+}
+
+/**
+ * @param {Object} companyProfile - Company profile (settings.approval.max_revisions)
+ * @returns {number} Automatic revisions allowed per original draft
+ */
+function getMaxRevisions(companyProfile) {
+  const max = companyProfile?.settings?.approval?.max_revisions;
+  return Number.isInteger(max) && max >= 0 ? max : MAX_REVISIONS;
+}
+
+/**
+ * Whether another revision of a draft is allowed
+ * @param {Object} post - linkedin_posts row (draft_version: 1 for the original draft)
+ * @param {Object} companyProfile - Company profile
+ * @returns {boolean} Whether the draft may be revised
+ */
+function canRevise(post, companyProfile) {
+  return (post.draft_version || 1) - 1 < getMaxRevisions(companyProfile);
+}
+
+// =============================================
+// REVISION
+// =============================================
+
+/**
+ * Build the revision prompt: the previous draft, the reviewer's notes and the requested edits
+ * @param {Object} post - Draft to revise (post_content, draft_version)
+ * @param {Object} hook - Marketing hook the draft expands
+ * @param {Object} companyProfile - Company profile
+ * @param {Object} request - { notes, edits }
+ * @param {Object} template - Resolved post_revision template
+ * @returns {string} Prompt
+ */
+function buildRevisionPrompt(post, hook, companyProfile, request, template) {
+  const { brand_voice } = companyProfile;
+  const edits = (request.edits || []).map(edit => `- ${REVISION_EDITS[edit]}`);
+
+  return renderTemplate(template, {
+    company_name: companyProfile.name,
+    brand_voice: JSON.stringify(brand_voice),
+    tone: brand_voice?.tone?.join(', ') || 'professional',
+    prohibited_terms: brand_voice?.prohibited_terms?.map(term => term.term || term).join(', ') || 'none',
+    hook_text: hook?.hook_text || '',
+    source_quote: hook?.source_quote || '',
+    draft_version: post.draft_version || 1,
+    previous_draft: post.post_content,
+    notes: request.notes?.trim() ? `REVIEWER FEEDBACK:\n${request.notes.trim()}` : '',
+    edits: edits.length ? `REQUESTED EDITS:\n${edits.join('\n')}` : ''
+  });
+}
+
+/**
+ * Revise a draft with the company's post model
+ * @param {Object} post - linkedin_posts row to revise
+ * @param {Object} hook - Marketing hook the draft expands
+ * @param {Object} companyProfile - Company profile
+ * @param {Object} request - { notes, edits }
+ * @param {Object} options - { provider } instead of the company's configured one
+ * @returns {Promise<Object>} Processed post, with { changes } in its metadata and a fact_check
+ */
+async function revisePost(post, hook, companyProfile, request, options = {}) {
+  const generator = new PostGenerator({ provider: options.provider });
+  const provider = generator.getProvider(companyProfile);
+  const template = await resolveTemplate('post_revision', companyProfile.id);
+
+  const prompt = buildRevisionPrompt(post, hook, companyProfile, request, template);
+  const revision = await generator.callModel(prompt, 1, { provider, hookId: hook?.id });
+
+  const processed = await generator.processPost(revision, hook || { id: post.marketing_hook_id }, companyProfile, [], provider, template);
+  processed.metadata.changes = Array.isArray(revision.changes) ? revision.changes : [];
+  // Claims the reviewer verified on the previous draft stay verified
+  processed.fact_check = checkGrounding(processed.post_content, await getPostSources({ query }, post), post.fact_check);
+
+  return processed;
+}
+
+/**
+ * Revise a draft and store the revision as its child, pending approval; the draft itself is superseded
+ * @param {number} postId - Draft to revise
+ * @param {number} companyId - Company ID
+ * @param {Object} request - { notes, edits, userId }
+ * @param {Object} options - { provider }
+ * @returns {Promise<Object>} Child linkedin_posts row
+ */
+async function createRevision(postId, companyId, request, options = {}) {
+  const result = await query(`
+    SELECT
+      p.*,
+      row_to_json(mh.*) as hook,
+      c.name as company_name
+    FROM linkedin_posts p
+    LEFT JOIN marketing_hooks mh ON mh.id = p.marketing_hook_id
+    JOIN companies c ON c.id = p.company_id
+    WHERE p.id = $1 AND p.company_id = $2
+  `, [postId, companyId]);
+
+  if (!result.rows.length) {
+    throw new Error(`Post ${postId} not found`);
+  }
+
+  const { hook, company_name, ...post } = result.rows[0];
+  if (post.status !== 'regenerating') {
+    throw new ConflictError(`Post ${postId} is no longer awaiting revision`);
+  }
+
+  // Required lazily: the content processor pulls in the whole generation pipeline
+  const { processContent } = require('./contentProcessor');
+  const companyProfile = await processContent.getBudgetedProfile(companyId);
+  if (!companyProfile) {
+    throw new Error(`Company ${companyId} not found`);
+  }
+
+  const revision = await revisePost(post, hook, companyProfile, request, options);
+  const revisionRequest = {
+    notes: request.notes || null,
+    edits: request.edits || [],
+    requested_by: request.userId || null
+  };
+
+  const child = await transaction(async (client) => {
+    // A parallel job may have revised or released the draft while the model was running
+    const locked = await client.query(
+      'SELECT status FROM linkedin_posts WHERE id = $1 FOR UPDATE',
+      [post.id]
+    );
+    if (locked.rows[0]?.status !== 'regenerating') {
+      throw new ConflictError(`Post ${postId} is no longer awaiting revision`);
+    }
+
+    const inserted = await client.query(`
+      INSERT INTO linkedin_posts (
+        company_id,
+        marketing_hook_id,
+        post_content,
+        character_count,
+        hashtags,
+        engagement_hooks,
+        cta_type,
+        performance_score,
+        brand_alignment_score,
+        status,
+        prompt_version,
+        metadata,
+        fact_check,
+        fact_check_status,
+        parent_post_id,
+        draft_version,
+        revision_request
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending_approval', $10, $11, $12, $13, $14, $15, $16)
+      RETURNING *
+    `, [
+      companyId,
+      post.marketing_hook_id,
+      revision.post_content,
+      revision.character_count,
+      JSON.stringify(revision.hashtags),
+      JSON.stringify(revision.engagement_hooks),
+      revision.cta_type,
+      revision.performance_metrics.performance_score,
+      revision.performance_metrics.brand_alignment,
+      revision.prompt_version,
+      JSON.stringify({ ...revision.metadata, performance_metrics: revision.performance_metrics }),
+      JSON.stringify(revision.fact_check),
+      revision.fact_check.status,
+      post.id,
+      (post.draft_version || 1) + 1,
+      JSON.stringify(revisionRequest)
+    ]);
+
+    await client.query(
+      "UPDATE linkedin_posts SET status = 'superseded', updated_at = NOW() WHERE id = $1",
+      [post.id]
+    );
+
+    await client.query(
+      `INSERT INTO approval_history
+       (post_id, user_id, action, notes, metadata, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [inserted.rows[0].id, request.userId || null, 'revision_created', request.notes || null, {
+        parent_post_id: post.id,
+        edits: revisionRequest.edits,
+        changes: revision.metadata.changes
+      }]
+    );
+
+    await recordRevision(client, inserted.rows[0], { authorType: 'ai', reason: 'revised', notes: request.notes || null });
+
+    return inserted.rows[0];
+  });
+
+  logger.info('Post revision created', {
+    postId,
+    revisionId: child.id,
+    draftVersion: child.draft_version,
+    companyId,
+    company: company_name
+  });
+
+  return child;
+}
+
+/**
+ * Process a regenerate-post job: revise the draft, or put it back for review when revising fails for good
+ * @param {Object} job - Bull job ({ postId, companyId, userId, notes, edits })
+ * @returns {Promise<Object>} { success, postId, revisionId }
+ */
+async function processPostRevision(job) {
+  const { postId, companyId, userId, notes, edits } = job.data;
+
+  try {
+    const child = await createRevision(postId, companyId, { notes, edits, userId });
+    return { success: true, postId, revisionId: child.id };
+
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      // Another job already revised the draft or it was released; nothing to undo
+      logger.warn('Post revision skipped', { jobId: job.id, postId, companyId, reason: error.message });
+      return { success: false, postId, reason: error.message };
+    }
+
+    logger.error('Post revision failed', { jobId: job.id, postId, companyId, error: error.message });
+
+    // Retrying cannot help until the budget resets or is raised
+    const refused = error.code === 'BUDGET_EXCEEDED';
+    if (refused) {
+      job.discard?.();
+    }
+
+    if (refused || job.attemptsMade + 1 >= (job.opts?.attempts || 1)) {
+      await query(
+        "UPDATE linkedin_posts SET status = 'pending_approval', updated_at = NOW() WHERE id = $1 AND status = 'regenerating'",
+        [postId]
+      );
+      await query(
+        `INSERT INTO approval_history
+         (post_id, user_id, action, notes, metadata, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [postId, userId || null, 'revision_failed', error.message, { notes, edits }]
+      );
+    }
+
+    throw error;
+  }
+}
+
+// =============================================
+// HISTORY
+// =============================================
+
+/**
+ * A draft's revision chain: every ancestor and descendant, oldest first
+ * @param {number} postId - Any draft of the chain
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Array<Object>>} { id, parent_post_id, draft_version, status, post_content, revision_request, created_at }
+ */
+async function getRevisionChain(postId, companyId) {
+  const result = await query(`
+    WITH RECURSIVE ancestors AS (
+      SELECT id, parent_post_id FROM linkedin_posts WHERE id = $1 AND company_id = $2
+      UNION ALL
+      SELECT p.id, p.parent_post_id FROM linkedin_posts p JOIN ancestors a ON p.id = a.parent_post_id
+    ),
+    chain AS (
+      SELECT id FROM ancestors WHERE parent_post_id IS NULL
+      UNION ALL
+      SELECT p.id FROM linkedin_posts p JOIN chain c ON p.parent_post_id = c.id
+    )
+    SELECT
+      p.id,
+      p.parent_post_id,
+      p.draft_version,
+      p.status,
+      p.post_content,
+      p.revision_request,
+      p.fact_check_status,
+      p.created_at
+    FROM linkedin_posts p
+    JOIN chain c ON c.id = p.id
+    WHERE p.company_id = $2
+    ORDER BY p.draft_version, p.id
+  `, [postId, companyId]);
+
+  return result.rows;
+}
+
+module.exports = {
+  REVISION_EDITS,
+  MAX_REVISIONS,
+  validateRevisionRequest,
+  getMaxRevisions,
+  canRevise,
+  buildRevisionPrompt,
+  revisePost,
+  createRevision,
+  processPostRevision,
+  getRevisionChain
+};
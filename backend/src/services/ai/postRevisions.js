@@ -0,0 +1,325 @@
+/**
+ * Marketing Machine - Post Revisions
+ * Immutable history of each post's text, from the AI draft through every human edit, with diffs,
+ * restores and analytics on how much reviewers rewrite AI drafts
+ */
+
+const { query, transaction } = require('../../config/database');
+const logger = require('../../utils/logger').ai;
+const { ValidationError, NotFoundError } = require('../../middleware/errorHandler');
+const { diffWords, diffStats } = require('../../utils/textDiff');
+const { recheckPost } = require('./factGrounding');
+
+const AUTHOR_TYPES = ['ai', 'user'];
+
+// Why a revision was recorded: generated and revised are AI drafts, the rest follow a user action
+const REASONS = ['generated', 'revised', 'edited', 'autofix', 'restored'];
+
+// Posts whose text can still change
+const EDITABLE_STATUSES = ['pending_approval', 'approved', 'draft'];
+
+// =============================================
+// RECORDING
+// =============================================
+
+/**
+ * Record a post's current text as its next revision
+ * User revisions are diffed against the latest AI revision, so analytics never need to re-diff.
+ * @param {Object} db - Database client or { query }
+ * @param {Object} post - linkedin_posts row as saved (id, company_id, post_content, hashtags, prompt_version)
+ * @param {Object} revision - { authorType, authorId, reason, notes, restoredFrom }
+ * @returns {Promise<Object>} post_revisions row
+ */
+async function recordRevision(db, post, revision) {
+  const { authorType, authorId = null, reason, notes = null, restoredFrom = null } = revision;
+
+  if (!AUTHOR_TYPES.includes(authorType) || !REASONS.includes(reason)) {
+    throw new Error(`Invalid revision: ${authorType} ${reason}`);
+  }
+
+  let editStats = null;
+  if (authorType === 'user') {
+    const aiRevision = await db.query(
+      `SELECT post_content FROM post_revisions
+       WHERE post_id = $1 AND author_type = 'ai'
+       ORDER BY revision_number DESC
+       LIMIT 1`,
+      [post.id]
+    );
+    const aiContent = aiRevision?.rows?.[0]?.post_content;
+    if (typeof aiContent === 'string') {
+      editStats = diffStats(diffWords(aiContent, post.post_content));
+    }
+  }
+
+  const result = await db.query(`
+    INSERT INTO post_revisions (
+      post_id,
+      company_id,
+      revision_number,
+      post_content,
+      hashtags,
+      author_type,
+      author_id,
+      reason,
+      notes,
+      prompt_version,
+      restored_from,
+      edit_stats
+    )
+    SELECT $1, $2, COALESCE(MAX(revision_number), 0) + 1, $3, $4, $5, $6, $7, $8, $9, $10, $11
+    FROM post_revisions
+    WHERE post_id = $1
+    RETURNING *
+  `, [
+    post.id,
+    post.company_id,
+    post.post_content,
+    JSON.stringify(post.hashtags || []),
+    authorType,
+    authorId,
+    reason,
+    notes,
+    authorType === 'ai' ? post.prompt_version || null : null,
+    restoredFrom,
+    editStats ? JSON.stringify(editStats) : null
+  ]);
+
+  return result?.rows?.[0];
+}
+
+// =============================================
+// HISTORY
+// =============================================
+
+/**
+ * A post's revisions, oldest first
+ * @param {number} postId - Post ID
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Array<Object>>} post_revisions rows with the author's name
+ */
+async function listRevisions(postId, companyId) {
+  const result = await query(`
+    SELECT
+      r.id,
+      r.revision_number,
+      r.post_content,
+      r.hashtags,
+      r.author_type,
+      r.author_id,
+      u.name as author_name,
+      r.reason,
+      r.notes,
+      r.prompt_version,
+      r.restored_from,
+      r.edit_stats,
+      r.created_at
+    FROM post_revisions r
+    LEFT JOIN users u ON u.id = r.author_id
+    WHERE r.post_id = $1 AND r.company_id = $2
+    ORDER BY r.revision_number
+  `, [postId, companyId]);
+
+  return result.rows;
+}
+
+/**
+ * Word diff between two revisions of a post
+ * @param {number} postId - Post ID
+ * @param {number} companyId - Company ID
+ * @param {Object} range - { from, to } revision numbers; to defaults to the latest, from to the one before it
+ * @returns {Promise<Object>} { from, to, runs, stats }
+ */
+async function diffRevisions(postId, companyId, range = {}) {
+  const revisions = await listRevisions(postId, companyId);
+  if (!revisions.length) {
+    throw new NotFoundError('Post has no revisions');
+  }
+
+  const latest = revisions[revisions.length - 1].revision_number;
+  const to = range.to ? parseInt(range.to) : latest;
+  const from = range.from ? parseInt(range.from) : Math.max(to - 1, 1);
+  const fromRevision = revisions.find(revision => revision.revision_number === from);
+  const toRevision = revisions.find(revision => revision.revision_number === to);
+
+  if (!fromRevision || !toRevision) {
+    throw new NotFoundError(`Revision ${fromRevision ? to : from} not found`);
+  }
+
+  const runs = diffWords(fromRevision.post_content, toRevision.post_content);
+
+  return {
+    from: fromRevision,
+    to: toRevision,
+    runs,
+    stats: diffStats(runs)
+  };
+}
+
+/**
+ * Put an earlier revision's text back on the post, recorded as a new revision
+ * @param {number} postId - Post ID
+ * @param {number} companyId - Company ID
+ * @param {number} revisionNumber - Revision to restore
+ * @param {Object} options - { userId, notes }
+ * @returns {Promise<Object>} { revision, fact_check }
+ */
+async function restoreRevision(postId, companyId, revisionNumber, options = {}) {
+  const { userId = null, notes = null } = options;
+
+  const restored = await transaction(async (client) => {
+    const postResult = await client.query(
+      `SELECT id, company_id, status, post_content, hashtags, marketing_hook_id, metadata, fact_check
+       FROM linkedin_posts
+       WHERE id = $1 AND company_id = $2
+       FOR UPDATE`,
+      [postId, companyId]
+    );
+
+    if (postResult.rows.length === 0) {
+      throw new NotFoundError('Post not found');
+    }
+
+    const post = postResult.rows[0];
+    if (!EDITABLE_STATUSES.includes(post.status)) {
+      throw new ValidationError('Post cannot be edited in current status');
+    }
+
+    const revisionResult = await client.query(
+      'SELECT revision_number, post_content, hashtags FROM post_revisions WHERE post_id = $1 AND revision_number = $2',
+      [postId, revisionNumber]
+    );
+
+    if (revisionResult.rows.length === 0) {
+      throw new NotFoundError(`Revision ${revisionNumber} not found`);
+    }
+
+    const source = revisionResult.rows[0];
+    await client.query(
+      `UPDATE linkedin_posts
+       SET post_content = $1,
+           hashtags = $2,
+           character_count = $3,
+           updated_at = NOW(),
+           last_modified_by = $4
+       WHERE id = $5`,
+      [source.post_content, JSON.stringify(source.hashtags || []), source.post_content.length, userId, postId]
+    );
+
+    const revision = await recordRevision(client, { ...post, post_content: source.post_content, hashtags: source.hashtags }, {
+      authorType: 'user',
+      authorId: userId,
+      reason: 'restored',
+      notes,
+      restoredFrom: source.revision_number
+    });
+
+    await client.query(
+      `INSERT INTO approval_history
+       (post_id, user_id, action, notes, metadata, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [postId, userId, 'restored', notes, {
+        previous_content: post.post_content,
+        new_content: source.post_content,
+        restored_from: source.revision_number
+      }]
+    );
+
+    return {
+      revision,
+      // The restored text can bring back claims an edit had removed
+      fact_check: await recheckPost(client, post, source.post_content)
+    };
+  });
+
+  logger.info('Post revision restored', { postId, companyId, revisionNumber, userId });
+
+  return restored;
+}
+
+// =============================================
+// ANALYTICS
+// =============================================
+
+/**
+ * How much humans edit AI drafts, by the prompt version that wrote them
+ * A post's edit is its latest revision measured against its AI draft; posts still on their AI draft count as unedited.
+ * @param {number} companyId - Company ID
+ * @param {Object} options - { days } posts created in the last N days (default 30)
+ * @returns {Promise<Object>} { period_days, totals, by_prompt_version }
+ */
+async function getEditAnalytics(companyId, options = {}) {
+  const days = Math.min(Math.max(parseInt(options.days) || 30, 1), 365);
+
+  const result = await query(`
+    WITH latest AS (
+      SELECT DISTINCT ON (r.post_id)
+        r.post_id,
+        r.author_type,
+        r.edit_stats
+      FROM post_revisions r
+      JOIN linkedin_posts p ON p.id = r.post_id
+      WHERE r.company_id = $1
+        AND p.created_at >= NOW() - make_interval(days => $2)
+      ORDER BY r.post_id, r.revision_number DESC
+    )
+    SELECT
+      COALESCE(p.prompt_version, 'unknown') as prompt_version,
+      COUNT(*) as posts,
+      COUNT(*) FILTER (
+        WHERE l.author_type = 'user' AND (l.edit_stats->>'change_ratio')::numeric > 0
+      ) as edited_posts,
+      AVG(CASE WHEN l.author_type = 'ai' THEN 0 ELSE (l.edit_stats->>'change_ratio')::numeric END) as avg_change_ratio,
+      AVG(CASE WHEN l.author_type = 'ai' THEN 0 ELSE (l.edit_stats->>'added_words')::numeric END) as avg_added_words,
+      AVG(CASE WHEN l.author_type = 'ai' THEN 0 ELSE (l.edit_stats->>'removed_words')::numeric END) as avg_removed_words
+    FROM latest l
+    JOIN linkedin_posts p ON p.id = l.post_id
+    GROUP BY COALESCE(p.prompt_version, 'unknown')
+    ORDER BY posts DESC
+  `, [companyId, days]);
+
+  const round = (value, places) => Math.round((parseFloat(value) || 0) * 10 ** places) / 10 ** places;
+
+  const byPromptVersion = result.rows.map(row => {
+    const posts = parseInt(row.posts);
+    const edited = parseInt(row.edited_posts);
+    return {
+      prompt_version: row.prompt_version,
+      posts,
+      edited_posts: edited,
+      edit_rate: posts ? round(edited / posts, 3) : 0,
+      avg_change_ratio: round(row.avg_change_ratio, 3),
+      avg_added_words: round(row.avg_added_words, 1),
+      avg_removed_words: round(row.avg_removed_words, 1)
+    };
+  });
+
+  const posts = byPromptVersion.reduce((sum, row) => sum + row.posts, 0);
+  const edited = byPromptVersion.reduce((sum, row) => sum + row.edited_posts, 0);
+  const weighted = (key, places) => (posts
+    ? round(byPromptVersion.reduce((sum, row) => sum + row[key] * row.posts, 0) / posts, places)
+    : 0);
+
+  return {
+    period_days: days,
+    totals: {
+      posts,
+      edited_posts: edited,
+      edit_rate: posts ? round(edited / posts, 3) : 0,
+      avg_change_ratio: weighted('avg_change_ratio', 3),
+      avg_added_words: weighted('avg_added_words', 1),
+      avg_removed_words: weighted('avg_removed_words', 1)
+    },
+    by_prompt_version: byPromptVersion
+  };
+}
+
+module.exports = {
+  AUTHOR_TYPES,
+  REASONS,
+  recordRevision,
+  listRevisions,
+  diffRevisions,
+  restoreRevision,
+  getEditAnalytics
+};
@@ -0,0 +1,881 @@
+/**
+ * Marketing Machine - Prompt Templates
+ * Versioned, sectioned prompt templates for hooks, posts, image prompts, repurposed formats and
+ * brand voice analysis, with per-company section overrides
+ */
+
+const { query, transaction } = require('../../config/database');
+const logger = require('../../utils/logger').ai;
+
+// Longest text a company can put in one section
+const MAX_SECTION_CHARACTERS = 4000;
+
+// Placeholders shared by the repurposing templates (X threads, blog posts, newsletters, carousels)
+const VARIANT_VARIABLES = [
+  'company_name', 'industry', 'icp', 'brand_voice', 'content_pillars', 'knowledge',
+  'hook_text', 'hook_type', 'content_pillar', 'target_emotion', 'source_quote', 'attribution',
+  'starting_point', 'tone', 'prohibited_terms', 'tweet_limit', 'max_tweets'
+];
+
+/**
+ * Opening sections of a repurposing template: role, company, knowledge and the hook
+ * @param {string} role - Who the model writes as, e.g. "X (Twitter) writer"
+ * @returns {Array<Object>} Sections
+ */
+function variantOpening(role) {
+  return [
+    {
+      key: 'intro',
+      overridable: true,
+      content: `You are Marketing Machine's ${role} for {{company_name}}.`
+    },
+    {
+      key: 'company_context',
+      overridable: false,
+      content: `COMPANY CONTEXT:
+- Company: {{company_name}}
+- Industry: {{industry}}
+- Target Audience: {{icp}}
+- Brand Voice: {{brand_voice}}
+- Content Pillars: {{content_pillars}}`
+    },
+    { key: 'knowledge', overridable: false, content: '{{knowledge}}' },
+    {
+      key: 'hook',
+      overridable: false,
+      content: `HOOK TO REPURPOSE:
+Hook: "{{hook_text}}"
+Type: {{hook_type}}
+Content Pillar: {{content_pillar}}
+Target Emotion: {{target_emotion}}
+Source Quote: "{{source_quote}}"{{attribution}}`
+    },
+    // The hook's own tweet_version or blog_title, when the format has one
+    { key: 'starting_point', overridable: false, content: '{{starting_point}}' }
+  ];
+}
+
+/**
+ * Built-in templates (version 1)
+ * A template is an ordered list of sections rendered with {{variable}} placeholders; sections that
+ * render empty are dropped and the rest are joined with a blank line. Newer global versions in
+ * prompt_templates replace section content by key; companies may override `overridable` sections.
+ * Sections that carry the content itself or the output format the response schemas check are fixed.
+ */
+const DEFAULT_TEMPLATES = {
+  hooks: {
+    variables: [
+      'company_name', 'industry', 'icp', 'brand_voice', 'content_pillars', 'knowledge',
+      'part', 'content', 'redaction', 'hook_count', 'tone', 'prohibited_terms'
+    ],
+    sections: [
+      {
+        key: 'intro',
+        overridable: true,
+        content: "You are Marketing Machine's expert content strategist for {{company_name}}."
+      },
+      {
+        key: 'company_context',
+        overridable: false,
+        content: `COMPANY CONTEXT:
+- Company: {{company_name}}
+- Industry: {{industry}}
+- Target Audience (ICP): {{icp}}
+- Brand Voice: {{brand_voice}}
+- Content Pillars: {{content_pillars}}`
+      },
+      { key: 'knowledge', overridable: false, content: '{{knowledge}}' },
+      {
+        key: 'content',
+        overridable: false,
+        content: `CONTENT TO ANALYZE{{part}}:
+"""
+{{content}}
+"""`
+      },
+      // How to treat the placeholders of redacted personal and confidential details, when there are any
+      { key: 'redaction', overridable: false, content: '{{redaction}}' },
+      {
+        key: 'task',
+        overridable: false,
+        content: 'TASK: Extract exactly {{hook_count}} marketing hooks from this content that would resonate with our target audience.'
+      },
+      {
+        key: 'fields',
+        overridable: false,
+        content: `For each hook, provide:
+1. hook_text: Compelling opening line (10-15 words max)
+2. content_pillar: Which content pillar this fits into
+3. hook_type: Type of hook (pain_point, success_metric, industry_insight, customer_story, product_benefit, market_trend, problem_solution, case_study, thought_leadership, behind_scenes)
+4. source_quote: Exact quote from content that inspired this hook
+5. linkedin_hook: 150-word LinkedIn post opener using this hook
+6. tweet_version: 240-character Twitter version
+7. blog_title: Compelling blog post title
+8. target_emotion: Primary emotion to evoke (curiosity, urgency, aspiration, validation, concern, excitement)
+9. engagement_prediction: Predicted engagement level (1-10)
+10. relevance_score: Relevance to our ICP (1-10)`
+      },
+      {
+        key: 'criteria',
+        overridable: true,
+        content: `HOOK CRITERIA:
+- Must be specific and actionable
+- Should include concrete numbers/metrics when available
+- Must align with our brand voice: {{tone}}
+- Avoid these prohibited terms: {{prohibited_terms}}
+- Focus on pain points and solutions our ICP faces
+- Include industry-specific terminology when relevant`
+      },
+      {
+        key: 'output_format',
+        overridable: false,
+        content: 'OUTPUT FORMAT: Return as JSON array with exactly {{hook_count}} hooks. Each hook must be a complete object with all fields.'
+      },
+      {
+        key: 'examples',
+        overridable: true,
+        content: `EXAMPLES OF STRONG HOOKS:
+- "We lost $50K in 3 days because of one catalog error"
+- "This 5-minute automation saved us 20 hours per week"
+- "Why 73% of Amazon sellers fail in their first year"
+- "The hidden cost of manual inventory management"
+- "How we increased conversion rates by 45% in 30 days"`
+      },
+      {
+        key: 'closing',
+        overridable: true,
+        content: 'Generate hooks that would stop scroll and drive engagement on LinkedIn. Focus on specific, measurable outcomes and relatable business problems.'
+      }
+    ]
+  },
+
+  posts: {
+    variables: [
+      'company_name', 'industry', 'icp', 'brand_voice', 'content_pillars', 'knowledge',
+      'hook_text', 'hook_type', 'content_pillar', 'target_emotion', 'source_quote', 'attribution',
+      'tone', 'prohibited_terms', 'exemplars', 'voice_examples'
+    ],
+    sections: [
+      {
+        key: 'intro',
+        overridable: true,
+        content: "You are Marketing Machine's expert LinkedIn content creator for {{company_name}}."
+      },
+      {
+        key: 'company_context',
+        overridable: false,
+        content: `COMPANY CONTEXT:
+- Company: {{company_name}}
+- Industry: {{industry}}
+- Target Audience: {{icp}}
+- Brand Voice: {{brand_voice}}
+- Content Pillars: {{content_pillars}}`
+      },
+      { key: 'knowledge', overridable: false, content: '{{knowledge}}' },
+      {
+        key: 'hook',
+        overridable: false,
+        content: `HOOK TO EXPAND:
+Hook: "{{hook_text}}"
+Type: {{hook_type}}
+Content Pillar: {{content_pillar}}
+Target Emotion: {{target_emotion}}
+Source Quote: "{{source_quote}}"{{attribution}}`
+      },
+      {
+        key: 'task',
+        overridable: true,
+        content: 'TASK: Transform this hook into a compelling 1500-2200 character LinkedIn post that maximizes engagement.'
+      },
+      {
+        key: 'structure',
+        overridable: true,
+        content: `POST STRUCTURE REQUIREMENTS:
+1. Opening Hook (1-2 lines) - Stop scroll, create curiosity
+2. Problem/Context (2-3 lines) - Relate to audience pain points
+3. Story/Example (3-4 lines) - Specific, concrete example with metrics
+4. Key Insight (2-3 lines) - Main takeaway or learning
+5. Call-to-Action (1-2 lines) - Engage comments, ask questions`
+      },
+      {
+        key: 'guidelines',
+        overridable: true,
+        content: `CONTENT GUIDELINES:
+- Length: 1500-2200 characters (LinkedIn's algorithm sweet spot)
+- Use line breaks for readability (double line breaks between sections)
+- Include specific numbers, metrics, percentages when possible
+- Match brand voice tone: {{tone}}
+- Avoid prohibited terms: {{prohibited_terms}}
+- Target emotion: {{target_emotion}}
+- Include relevant hashtags (3-5 max)`
+      },
+      {
+        key: 'engagement',
+        overridable: true,
+        content: `ENGAGEMENT OPTIMIZATION:
+- Ask a thought-provoking question to drive comments
+- Use "you" to make it personal
+- Include contrarian or surprising insights
+- Create urgency or FOMO where appropriate
+- Make it actionable and practical`
+      },
+      // Empty by default: companies describe how their posts should close
+      { key: 'cta_style', overridable: true, content: '' },
+      // The company's best published posts matched to the hook, from the exemplar library
+      { key: 'exemplars', overridable: false, content: '{{exemplars}}' },
+      // Posts the company published before, once it accepts a voice analysis
+      { key: 'voice_examples', overridable: false, content: '{{voice_examples}}' },
+      {
+        key: 'examples',
+        overridable: true,
+        content: `EXAMPLES OF HIGH-PERFORMING LINKEDIN POSTS:
+- Start with attention-grabbing statements
+- Include personal stories or client examples
+- End with questions that invite discussion
+- Use emojis sparingly but strategically
+- Break up text with white space`
+      },
+      {
+        key: 'industry',
+        overridable: true,
+        content: 'INDUSTRY CONTEXT: Consider {{industry}} specific challenges, terminology, and pain points.'
+      },
+      {
+        key: 'closing',
+        overridable: true,
+        content: 'Generate ONE optimized LinkedIn post that will drive maximum engagement for our target audience. Make it feel authentic to our brand voice while being highly shareable.'
+      },
+      {
+        key: 'output_format',
+        overridable: false,
+        content: `OUTPUT FORMAT: Return as JSON with:
+{
+  "post_content": "Full LinkedIn post text",
+  "character_count": number,
+  "hashtags": ["#hashtag1", "#hashtag2"],
+  "engagement_hooks": ["hook1", "hook2"],
+  "cta_type": "question|advice|share|comment",
+  "target_metrics": {
+    "predicted_engagement_rate": "percentage",
+    "target_impressions": "estimate"
+  }
+}`
+      }
+    ]
+  },
+
+  image_prompts: {
+    variables: [
+      'company_name', 'industry', 'visual_style', 'post_content', 'hashtags', 'primary_colors',
+      'design_style', 'typography', 'imagery_style', 'image_model'
+    ],
+    sections: [
+      {
+        key: 'intro',
+        overridable: false,
+        content: 'Create a detailed image generation prompt for a LinkedIn post image.'
+      },
+      {
+        key: 'company_context',
+        overridable: false,
+        content: `COMPANY CONTEXT:
+- Company: {{company_name}}
+- Industry: {{industry}}
+- Visual Style: {{visual_style}}`
+      },
+      {
+        key: 'post',
+        overridable: false,
+        content: `POST CONTENT:
+"{{post_content}}"
+
+HASHTAGS: {{hashtags}}`
+      },
+      {
+        key: 'requirements',
+        overridable: true,
+        content: `REQUIREMENTS:
+1. Professional LinkedIn aesthetic
+2. Brand-appropriate colors and style
+3. Visual metaphors for the post's key message
+4. High-quality, engaging design
+5. Include subtle company branding if relevant`
+      },
+      {
+        key: 'visual_style',
+        overridable: true,
+        content: `VISUAL STYLE PREFERENCES:
+- Color Scheme: {{primary_colors}}
+- Design Style: {{design_style}}
+- Typography: {{typography}}
+- Imagery: {{imagery_style}}`
+      },
+      {
+        key: 'closing',
+        overridable: true,
+        content: `Generate a detailed prompt for {{image_model}} that will create an engaging LinkedIn post image.
+The image should be professional, on-brand, and visually support the post's message.`
+      },
+      {
+        key: 'output_format',
+        overridable: false,
+        content: 'Return only the image generation prompt, nothing else.'
+      }
+    ]
+  },
+
+  x_thread: {
+    variables: VARIANT_VARIABLES,
+    sections: [
+      ...variantOpening('X (Twitter) writer'),
+      {
+        key: 'task',
+        overridable: true,
+        content: 'TASK: Turn this hook into an X thread of 4-{{max_tweets}} tweets that a busy {{industry}} professional would read to the end.'
+      },
+      {
+        key: 'structure',
+        overridable: true,
+        content: `THREAD STRUCTURE:
+1. First tweet - the hook, strong enough to stand on its own
+2. Middle tweets - one idea each: context, the example with its numbers, the insight
+3. Last tweet - the takeaway and a question that invites replies`
+      },
+      {
+        key: 'guidelines',
+        overridable: true,
+        content: `CONTENT GUIDELINES:
+- Each tweet at most {{tweet_limit}} characters; numbering is added for you, so do not number tweets
+- Match brand voice tone: {{tone}}
+- Avoid prohibited terms: {{prohibited_terms}}
+- At most 2 hashtags, in the last tweet only
+- No links unless they appear in the source`
+      },
+      {
+        key: 'output_format',
+        overridable: false,
+        content: 'OUTPUT FORMAT: Return as JSON: {"tweets": ["first tweet", "second tweet"]}'
+      }
+    ]
+  },
+
+  blog_outline: {
+    variables: VARIANT_VARIABLES,
+    sections: [
+      ...variantOpening('blog content strategist'),
+      {
+        key: 'task',
+        overridable: true,
+        content: 'TASK: Outline a 1200-1800 word blog post that expands this hook for our target audience.'
+      },
+      {
+        key: 'structure',
+        overridable: true,
+        content: `OUTLINE REQUIREMENTS:
+- 4-7 sections, each with a heading and 2-5 key points
+- Open with the problem and close with what the reader should do next
+- Note where the source quote, examples and metrics belong`
+      },
+      {
+        key: 'guidelines',
+        overridable: true,
+        content: `CONTENT GUIDELINES:
+- Match brand voice tone: {{tone}}
+- Avoid prohibited terms: {{prohibited_terms}}
+- Use only facts from the source quote and company facts; mark anything else as [needs source]
+- A search-friendly title and a meta description of at most 160 characters`
+      },
+      {
+        key: 'output_format',
+        overridable: false,
+        content: `OUTPUT FORMAT: Return as JSON with:
+{
+  "title": "Blog post title",
+  "meta_description": "Search result description",
+  "sections": [{ "heading": "Section heading", "points": ["Key point"] }]
+}`
+      }
+    ]
+  },
+
+  blog_draft: {
+    variables: VARIANT_VARIABLES,
+    sections: [
+      ...variantOpening('blog writer'),
+      {
+        key: 'task',
+        overridable: true,
+        content: 'TASK: Write a 1200-1800 word blog post that expands this hook for our target audience.'
+      },
+      {
+        key: 'structure',
+        overridable: true,
+        content: `POST STRUCTURE:
+- An introduction that opens with the hook
+- 4-7 sections with ## headings
+- A conclusion with a clear next step for the reader`
+      },
+      {
+        key: 'guidelines',
+        overridable: true,
+        content: `CONTENT GUIDELINES:
+- Match brand voice tone: {{tone}}
+- Avoid prohibited terms: {{prohibited_terms}}
+- Use only facts from the source quote and company facts; mark anything else as [needs source]
+- Short paragraphs, and lists where they help scanning
+- A search-friendly title and a meta description of at most 160 characters`
+      },
+      {
+        key: 'output_format',
+        overridable: false,
+        content: `OUTPUT FORMAT: Return as JSON with:
+{
+  "title": "Blog post title",
+  "meta_description": "Search result description",
+  "body_markdown": "Full post in Markdown"
+}`
+      }
+    ]
+  },
+
+  newsletter: {
+    variables: VARIANT_VARIABLES,
+    sections: [
+      ...variantOpening('email newsletter writer'),
+      {
+        key: 'task',
+        overridable: true,
+        content: 'TASK: Write a 120-200 word newsletter section built around this hook.'
+      },
+      {
+        key: 'structure',
+        overridable: true,
+        content: `SECTION STRUCTURE:
+- A headline
+- 2-3 short paragraphs: the problem, the example, the takeaway
+- One call-to-action line`
+      },
+      {
+        key: 'guidelines',
+        overridable: true,
+        content: `CONTENT GUIDELINES:
+- Subject line at most 60 characters, preview text at most 100
+- Write to one reader, using "you"
+- Match brand voice tone: {{tone}}
+- Avoid prohibited terms: {{prohibited_terms}}`
+      },
+      {
+        key: 'output_format',
+        overridable: false,
+        content: `OUTPUT FORMAT: Return as JSON with:
+{
+  "subject_line": "Email subject",
+  "preview_text": "Inbox preview",
+  "headline": "Section headline",
+  "body": "Section text",
+  "cta_text": "Call-to-action line"
+}`
+      }
+    ]
+  },
+
+  carousel_script: {
+    variables: VARIANT_VARIABLES,
+    sections: [
+      ...variantOpening('LinkedIn carousel writer'),
+      {
+        key: 'task',
+        overridable: true,
+        content: 'TASK: Script a LinkedIn document carousel of 6-10 slides that teaches the insight behind this hook.'
+      },
+      {
+        key: 'structure',
+        overridable: true,
+        content: `SLIDE STRUCTURE:
+1. Cover slide - the hook as a bold promise
+2. Middle slides - one point per slide, a short headline and a supporting line
+3. Final slide - the summary and a call-to-action`
+      },
+      {
+        key: 'guidelines',
+        overridable: true,
+        content: `CONTENT GUIDELINES:
+- Slide headlines at most 60 characters, slide text at most 200
+- Describe a simple visual for each slide
+- Match brand voice tone: {{tone}}
+- Avoid prohibited terms: {{prohibited_terms}}
+- A short LinkedIn caption to publish with the carousel`
+      },
+      {
+        key: 'output_format',
+        overridable: false,
+        content: `OUTPUT FORMAT: Return as JSON with:
+{
+  "title": "Carousel title",
+  "slides": [{ "headline": "Slide headline", "body": "Slide text", "visual": "Visual idea" }],
+  "caption": "LinkedIn post text"
+}`
+      }
+    ]
+  },
+
+  voice_analysis: {
+    variables: ['company_name', 'industry', 'post_count', 'posts', 'habits'],
+    sections: [
+      {
+        key: 'intro',
+        overridable: true,
+        content: "You are Marketing Machine's brand strategist, onboarding {{company_name}} ({{industry}})."
+      },
+      {
+        key: 'posts',
+        overridable: false,
+        content: `THE COMPANY'S LAST {{post_count}} LINKEDIN POSTS:
+{{posts}}`
+      },
+      {
+        key: 'habits',
+        overridable: false,
+        content: `MEASURED WRITING HABITS:
+{{habits}}`
+      },
+      {
+        key: 'task',
+        overridable: true,
+        content: `TASK: Describe the voice these posts are written in, so new posts sound like the same author.
+- tone: 2-6 short descriptors of how the posts sound (e.g. "direct", "dry humour"), not what they are about
+- content_pillars: 3-6 recurring themes, each a short noun phrase
+- style_summary: 2-3 sentences a writer could follow, covering openings, structure and how posts close`
+      },
+      {
+        key: 'output_format',
+        overridable: false,
+        content: `OUTPUT FORMAT: Return as JSON with:
+{
+  "tone": ["descriptor"],
+  "content_pillars": ["theme"],
+  "style_summary": "How the posts are written"
+}`
+      }
+    ]
+  },
+
+  post_revision: {
+    variables: [
+      'company_name', 'brand_voice', 'tone', 'prohibited_terms', 'hook_text', 'source_quote',
+      'draft_version', 'previous_draft', 'notes', 'edits'
+    ],
+    sections: [
+      {
+        key: 'intro',
+        overridable: true,
+        content: "You are Marketing Machine's LinkedIn editor for {{company_name}}, revising a draft a reviewer sent back."
+      },
+      {
+        key: 'company_context',
+        overridable: false,
+        content: `BRAND VOICE: {{brand_voice}}
+- Tone: {{tone}}
+- Avoid: {{prohibited_terms}}`
+      },
+      {
+        key: 'hook',
+        overridable: false,
+        content: `THE POST EXPANDS THIS HOOK:
+Hook: "{{hook_text}}"
+Source Quote: "{{source_quote}}"`
+      },
+      {
+        key: 'previous_draft',
+        overridable: false,
+        content: `DRAFT {{draft_version}}:
+"""
+{{previous_draft}}
+"""`
+      },
+      { key: 'notes', overridable: false, content: '{{notes}}' },
+      { key: 'edits', overridable: false, content: '{{edits}}' },
+      {
+        key: 'task',
+        overridable: true,
+        content: `TASK: Rewrite the draft so it addresses every point of the reviewer's feedback.
+- Keep what the feedback does not mention: the hook, the facts and the structure
+- Do not add numbers, names or quotes that are not in the draft or the source quote
+- Match the brand voice`
+      },
+      {
+        key: 'output_format',
+        overridable: false,
+        content: `OUTPUT FORMAT: Return as JSON with:
+{
+  "post_content": "Full revised LinkedIn post text",
+  "character_count": number,
+  "hashtags": ["#hashtag1", "#hashtag2"],
+  "engagement_hooks": ["hook1", "hook2"],
+  "cta_type": "question|advice|share|comment",
+  "changes": ["What was changed and why, one line each"]
+}`
+      }
+    ]
+  }
+};
+
+const TEMPLATE_NAMES = Object.keys(DEFAULT_TEMPLATES);
+const BUILT_IN_VERSION = 1;
+
+const PLACEHOLDER_PATTERN = /{{\s*(\w+)\s*}}/g;
+
+// =============================================
+// RESOLUTION
+// =============================================
+
+/**
+ * Assemble a template from a global version's sections and a company's overrides
+ * @param {string} name - Template name
+ * @param {Object} global - { version, sections } where sections maps key => content
+ * @param {Object} company - { version, sections } company overrides, if any
+ * @returns {Object} { name, version, company_version, prompt_version, overrides, sections }
+ */
+function assembleTemplate(name, global = {}, company = {}) {
+  const definition = DEFAULT_TEMPLATES[name];
+  const globalSections = global.sections || {};
+  const companySections = company.sections || {};
+  const version = global.version || BUILT_IN_VERSION;
+
+  const sections = definition.sections.map(section => {
+    const overridden = section.overridable && typeof companySections[section.key] === 'string';
+    const defaultContent = typeof globalSections[section.key] === 'string' ? globalSections[section.key] : section.content;
+
+    return {
+      key: section.key,
+      overridable: section.overridable,
+      overridden,
+      content: overridden ? companySections[section.key] : defaultContent,
+      default_content: defaultContent
+    };
+  });
+
+  const overrides = sections.filter(section => section.overridden).map(section => section.key);
+
+  return {
+    name,
+    version,
+    company_version: overrides.length ? company.version : null,
+    // Recorded on every hook and post, e.g. posts@2 or posts@2+c3 with a company's 3rd override revision
+    prompt_version: `${name}@${version}${overrides.length ? `+c${company.version}` : ''}`,
+    overrides,
+    sections
+  };
+}
+
+/**
+ * Built-in template, for prompts built without a database (tests, previews)
+ * @param {string} name - Template name
+ * @returns {Object} Template
+ */
+function getDefaultTemplate(name) {
+  if (!DEFAULT_TEMPLATES[name]) {
+    throw new Error(`Unknown prompt template "${name}"`);
+  }
+  return assembleTemplate(name);
+}
+
+/**
+ * Latest global version of a template with the company's latest overrides applied
+ * Falls back to the built-in template when the tables cannot be read, so generation never
+ * fails because of the registry.
+ * @param {string} name - hooks, posts or image_prompts
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Object>} Template
+ */
+async function resolveTemplate(name, companyId) {
+  if (!DEFAULT_TEMPLATES[name]) {
+    throw new Error(`Unknown prompt template "${name}"`);
+  }
+
+  try {
+    const [global, company] = await Promise.all([
+      query(`
+        SELECT version, sections
+        FROM prompt_templates
+        WHERE name = $1
+        ORDER BY version DESC
+        LIMIT 1
+      `, [name]),
+      query(`
+        SELECT version, sections
+        FROM company_prompt_overrides
+        WHERE company_id = $1 AND template_name = $2
+        ORDER BY version DESC
+        LIMIT 1
+      `, [companyId, name])
+    ]);
+
+    return assembleTemplate(name, global.rows[0], company.rows[0]);
+
+  } catch (error) {
+    logger.warn('Prompt template lookup failed, using built-in template', {
+      error: error.message,
+      name,
+      companyId
+    });
+    return getDefaultTemplate(name);
+  }
+}
+
+/**
+ * Render a template
+ * @param {Object} template - Template from resolveTemplate or getDefaultTemplate
+ * @param {Object} variables - Placeholder values
+ * @returns {string} Prompt
+ */
+function renderTemplate(template, variables) {
+  return template.sections
+    .map(section => section.content.replace(PLACEHOLDER_PATTERN, (match, key) =>
+      variables[key] === undefined || variables[key] === null ? '' : String(variables[key])
+    ).trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Template with some sections replaced, e.g. by an experiment variant
+ * @param {Object} template - Template from resolveTemplate
+ * @param {Object} sections - { sectionKey: content } (null uses the built-in section)
+ * @param {string} label - Appended to prompt_version so the variant's posts can be told apart, e.g. x4.B
+ * @returns {Object} Template
+ */
+function withSections(template, sections, label) {
+  const replaced = template.sections.map(section => {
+    if (!(section.key in sections)) return section;
+    return sections[section.key] === null
+      ? { ...section, overridden: false, content: section.default_content }
+      : { ...section, overridden: true, content: sections[section.key] };
+  });
+
+  return {
+    ...template,
+    prompt_version: `${template.prompt_version}+${label}`,
+    overrides: replaced.filter(section => section.overridden).map(section => section.key),
+    sections: replaced
+  };
+}
+
+// =============================================
+// COMPANY OVERRIDES
+// =============================================
+
+/**
+ * Validate a change to a company's overrides
+ * @param {string} name - Template name
+ * @param {Object} sections - { sectionKey: content } (null removes an override)
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateOverrides(name, sections) {
+  const definition = DEFAULT_TEMPLATES[name];
+  if (!definition) {
+    return [`Unknown prompt template "${name}"`];
+  }
+  if (!sections || typeof sections !== 'object' || Array.isArray(sections) || !Object.keys(sections).length) {
+    return ['sections: must be an object of section overrides'];
+  }
+
+  const errors = [];
+  Object.entries(sections).forEach(([key, content]) => {
+    const section = definition.sections.find(candidate => candidate.key === key);
+
+    if (!section) {
+      errors.push(`sections.${key}: unknown section`);
+    } else if (!section.overridable) {
+      errors.push(`sections.${key}: cannot be overridden`);
+    } else if (content !== null && typeof content !== 'string') {
+      errors.push(`sections.${key}: must be a string, or null to restore the default`);
+    } else if (content && content.length > MAX_SECTION_CHARACTERS) {
+      errors.push(`sections.${key}: must be ${MAX_SECTION_CHARACTERS} characters or less`);
+    } else if (content) {
+      const unknown = [...content.matchAll(PLACEHOLDER_PATTERN)]
+        .map(match => match[1])
+        .filter(variable => !definition.variables.includes(variable));
+      if (unknown.length) {
+        errors.push(`sections.${key}: unknown placeholders ${[...new Set(unknown)].map(v => `{{${v}}}`).join(', ')}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Save a new revision of a company's overrides
+ * Each change creates a version holding every override in effect, so posts can be compared by revision.
+ * @param {string} name - Template name
+ * @param {number} companyId - Company ID
+ * @param {Object} sections - { sectionKey: content } (null removes an override)
+ * @param {Object} options - { description, createdBy }
+ * @returns {Promise<Object>} Saved revision
+ */
+async function saveOverrides(name, companyId, sections, options = {}) {
+  return await transaction(async (client) => {
+    // Serialise revisions per company and template
+    await client.query('SELECT pg_advisory_xact_lock($1, hashtext($2))', [companyId, name]);
+
+    const latest = await client.query(`
+      SELECT version, sections
+      FROM company_prompt_overrides
+      WHERE company_id = $1 AND template_name = $2
+      ORDER BY version DESC
+      LIMIT 1
+    `, [companyId, name]);
+
+    const current = latest.rows[0] || { version: 0, sections: {} };
+    const merged = { ...current.sections, ...sections };
+    Object.keys(merged).forEach(key => {
+      if (merged[key] === null) delete merged[key];
+    });
+
+    const result = await client.query(`
+      INSERT INTO company_prompt_overrides
+      (company_id, template_name, version, sections, description, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, template_name, version, sections, description, created_by, created_at
+    `, [companyId, name, current.version + 1, JSON.stringify(merged), options.description || null, options.createdBy || null]);
+
+    logger.info('Prompt overrides saved', {
+      companyId,
+      name,
+      version: current.version + 1,
+      sections: Object.keys(merged)
+    });
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * @param {string} name - Template name
+ * @param {number} companyId - Company ID
+ * @returns {Promise<Array>} The company's override revisions, newest first
+ */
+async function getOverrideHistory(name, companyId) {
+  const result = await query(`
+    SELECT id, version, sections, description, created_by, created_at
+    FROM company_prompt_overrides
+    WHERE company_id = $1 AND template_name = $2
+    ORDER BY version DESC
+  `, [companyId, name]);
+
+  return result.rows;
+}
+
+module.exports = {
+  TEMPLATE_NAMES,
+  DEFAULT_TEMPLATES,
+  MAX_SECTION_CHARACTERS,
+  getDefaultTemplate,
+  resolveTemplate,
+  renderTemplate,
+  withSections,
+  validateOverrides,
+  saveOverrides,
+  getOverrideHistory
+};
@@ -0,0 +1,67 @@
+/**
+ * Marketing Machine - Anthropic Provider
+ * Chat completions through the Anthropic Messages API
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const LLMProvider = require('./baseProvider');
+
+// The Messages API has no JSON response mode, so JSON is requested in the system prompt
+const JSON_INSTRUCTION = 'Respond with the JSON only: no prose before or after it and no markdown code fences.';
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends LLMProvider {
+  constructor(config = {}) {
+    super('anthropic', config);
+    this.client = null;
+  }
+
+  async complete(request) {
+    if (!this.client) {
+      this.client = new Anthropic({
+        apiKey: process.env.ANTHROPIC_API_KEY,
+      });
+    }
+
+    const response = await this.client.messages.create({
+      model: this.model,
+      system: request.json ? `${request.system}\n\n${JSON_INSTRUCTION}` : request.system,
+      messages: [
+        {
+          role: "user",
+          content: request.prompt
+        }
+      ],
+      temperature: request.temperature,
+      max_tokens: request.maxTokens
+    });
+
+    const text = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    const usage = response.usage
+      ? { prompt_tokens: response.usage.input_tokens, completion_tokens: response.usage.output_tokens }
+      : null;
+
+    return this.result(request, request.json ? extractJson(text) : text, usage);
+  }
+}
+
+/**
+ * Strip code fences and any prose around a JSON value
+ * @param {string} text - Model output
+ * @returns {string} The JSON text, or the output unchanged when no JSON is found
+ */
+function extractJson(text) {
+  const unfenced = text.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+  const start = unfenced.search(/[[{]/);
+  const end = Math.max(unfenced.lastIndexOf('}'), unfenced.lastIndexOf(']'));
+
+  return start !== -1 && end > start ? unfenced.slice(start, end + 1) : text;
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,40 @@
+/**
+ * Marketing Machine - Azure OpenAI Provider
+ * Chat completions through an Azure OpenAI deployment
+ */
+
+const { AzureOpenAI } = require('openai');
+const OpenAIProvider = require('./openaiProvider');
+
+const DEFAULT_API_VERSION = '2024-10-21';
+
+/**
+ * Azure OpenAI
+ * Requests name the deployment; `model` is the underlying model, used for token counts and pricing.
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    const deployment = config.deployment || process.env.AZURE_OPENAI_DEPLOYMENT;
+    super({ ...config, model: config.model || process.env.AZURE_OPENAI_MODEL || deployment }, 'azure');
+    this.deployment = deployment;
+  }
+
+  createClient() {
+    if (!process.env.AZURE_OPENAI_ENDPOINT || !this.deployment) {
+      throw new Error('Azure OpenAI requires AZURE_OPENAI_ENDPOINT and a deployment');
+    }
+
+    return new AzureOpenAI({
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || DEFAULT_API_VERSION,
+      deployment: this.deployment,
+    });
+  }
+
+  requestModel() {
+    return this.deployment;
+  }
+}
+
+module.exports = AzureOpenAIProvider;
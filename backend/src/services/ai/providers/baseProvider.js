@@ -0,0 +1,57 @@
+/**
+ * Marketing Machine - LLM Provider Base
+ * Common interface for the chat models that write hooks, posts and image prompts
+ */
+
+const { countTokens, getContextWindow } = require('../tokenUsage');
+
+/**
+ * Base class for LLM providers
+ * Providers implement complete(); SDK clients are created on first use so an unconfigured
+ * provider costs nothing until a company selects it.
+ */
+class LLMProvider {
+  /**
+   * @param {string} name - Provider name (openai, anthropic, azure, openai-compatible, fake)
+   * @param {Object} config - { model, task, contextWindow }
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.model = config.model;
+    this.task = config.task || null;
+    this.contextWindow = config.contextWindow || getContextWindow(config.model);
+  }
+
+  /**
+   * Run one chat completion
+   * @param {Object} request - { system, prompt, temperature, maxTokens, json }
+   * @returns {Promise<Object>} { text, usage: { prompt_tokens, completion_tokens, total_tokens }, model, provider }
+   */
+  async complete(request) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Build the completion result, counting tokens locally when the API reports none
+   * @param {Object} request - Completion request
+   * @param {string} text - Completion text
+   * @param {Object} usage - { prompt_tokens, completion_tokens } from the API, if any
+   * @returns {Object} Completion result
+   */
+  result(request, text, usage = null) {
+    const { prompt_tokens, completion_tokens } = usage || {
+      prompt_tokens: countTokens(`${request.system || ''}${request.prompt}`, this.model),
+      completion_tokens: countTokens(text, this.model)
+    };
+
+    return {
+      text: text || '',
+      usage: { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens },
+      model: this.model,
+      provider: this.name
+    };
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,139 @@
+/**
+ * Marketing Machine - Fake Provider
+ * Deterministic, offline responses for tests and local development without API keys
+ */
+
+const LLMProvider = require('./baseProvider');
+const { HOOK_TYPES } = require('../responseSchemas');
+
+/**
+ * Fake LLM provider
+ * The same prompt always gets the same answer, built from the prompt itself: hooks quote the
+ * content verbatim, posts expand the hook. Pass `respond` to script replies (or throw) per call.
+ */
+class FakeProvider extends LLMProvider {
+  /**
+   * @param {Object} config - { task, model, respond(request, callNumber) => string | Object }
+   */
+  constructor(config = {}) {
+    super('fake', { model: 'fake-model', ...config });
+    this.respond = config.respond || null;
+    this.requests = [];
+  }
+
+  async complete(request) {
+    this.requests.push(request);
+
+    const reply = this.respond
+      ? await this.respond(request, this.requests.length)
+      : this.defaultReply(request);
+
+    return this.result(request, typeof reply === 'string' ? reply : JSON.stringify(reply));
+  }
+
+  /**
+   * @param {Object} request - Completion request
+   * @returns {string|Object} Reply for the provider's task
+   */
+  defaultReply(request) {
+    switch (this.task) {
+      case 'hooks':
+        return { hooks: fakeHooks(request.prompt) };
+      case 'posts':
+        return fakePost(request.prompt);
+      case 'image_prompts':
+        return `Professional LinkedIn image illustrating: ${firstWords(section(request.prompt, 'POST CONTENT:\n"', '"'), 20)}`;
+      default:
+        return request.json ? {} : 'OK';
+    }
+  }
+}
+
+/**
+ * Hooks quoting sentences of the prompt's content block
+ * @param {string} prompt - Hook prompt
+ * @returns {Array<Object>} Raw hooks
+ */
+function fakeHooks(prompt) {
+  const count = parseInt((prompt.match(/Extract exactly (\d+)/) || [])[1]) || 10;
+  const content = section(prompt, '"""\n', '\n"""');
+  const pillar = firstPillar(section(prompt, '- Content Pillars: ', '\n'));
+
+  const sentences = content
+    .split(/\n+|(?<=[.!?])\s+/)
+    .map(sentence => sentence.replace(/^\[[\d:.,]+\]\s*/, '').replace(/^[A-Z][\w.'-]*(?: [A-Z][\w.'-]*){0,3}:\s+/, '').trim())
+    .filter(sentence => sentence.split(/\s+/).length >= 5);
+
+  return sentences.slice(0, count).map((sentence, index) => ({
+    hook_text: firstWords(sentence, 12),
+    content_pillar: pillar,
+    hook_type: HOOK_TYPES[index % HOOK_TYPES.length],
+    source_quote: sentence,
+    linkedin_hook: sentence,
+    tweet_version: sentence.substring(0, 240),
+    blog_title: firstWords(sentence, 8),
+    target_emotion: 'curiosity',
+    engagement_prediction: 5 + (index % 5),
+    relevance_score: 10 - (index % 5)
+  }));
+}
+
+/**
+ * Post expanding the prompt's hook and source quote
+ * @param {string} prompt - Post prompt
+ * @returns {Object} Raw post
+ */
+function fakePost(prompt) {
+  const hook = section(prompt, 'Hook: "', '"\n');
+  const quote = section(prompt, 'Source Quote: "', '"');
+  const postContent = [hook, quote, 'What would you do differently?', '#Marketing #Leadership'].filter(Boolean).join('\n\n');
+
+  return {
+    post_content: postContent,
+    character_count: postContent.length,
+    hashtags: ['#Marketing', '#Leadership'],
+    engagement_hooks: [hook].filter(Boolean),
+    cta_type: 'question',
+    target_metrics: {
+      predicted_engagement_rate: '5%',
+      target_impressions: '1000-2000'
+    }
+  };
+}
+
+/**
+ * @param {string} pillars - Content pillars JSON from the prompt
+ * @returns {string} Name of the first pillar, or 'general'
+ */
+function firstPillar(pillars) {
+  try {
+    const [pillar] = JSON.parse(pillars) || [];
+    return (typeof pillar === 'string' ? pillar : pillar?.title || pillar?.name) || 'general';
+  } catch (error) {
+    return 'general';
+  }
+}
+
+/**
+ * @param {string} text - Text
+ * @param {string} start - Marker before the section
+ * @param {string} end - Marker after the section
+ * @returns {string} Text between the markers, or ''
+ */
+function section(text, start, end) {
+  const from = text.indexOf(start);
+  if (from === -1) return '';
+  const to = text.indexOf(end, from + start.length);
+  return text.substring(from + start.length, to === -1 ? undefined : to);
+}
+
+/**
+ * @param {string} text - Text
+ * @param {number} count - Words to keep
+ * @returns {string} First words of the text
+ */
+function firstWords(text, count) {
+  return text.split(/\s+/).filter(Boolean).slice(0, count).join(' ');
+}
+
+module.exports = FakeProvider;
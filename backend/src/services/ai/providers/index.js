@@ -0,0 +1,135 @@
+/**
+ * Marketing Machine - LLM Providers
+ * Chooses the provider and model for each company and task
+ */
+
+const OpenAIProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const AzureOpenAIProvider = require('./azureOpenAIProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const FakeProvider = require('./fakeProvider');
+
+// Generation tasks a company can route to different providers
+const TASKS = ['hooks', 'posts', 'image_prompts'];
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  azure: AzureOpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  // Canned replies for tests only; never selectable through company settings in production
+  ...(process.env.NODE_ENV === 'test' ? { fake: FakeProvider } : {})
+};
+
+// Model used when neither the task nor the company default names one
+const DEFAULT_MODELS = {
+  openai: () => process.env.OPENAI_MODEL || 'gpt-4',
+  anthropic: () => process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+  azure: () => process.env.AZURE_OPENAI_MODEL || process.env.AZURE_OPENAI_DEPLOYMENT,
+  'openai-compatible': () => process.env.LOCAL_LLM_MODEL || 'llama3.1',
+  fake: () => 'fake-model'
+};
+
+// Providers are reused across jobs so each keeps one SDK client
+const instances = new Map();
+
+/**
+ * Work out which provider and model a task uses for a company
+ * companies.settings.ai holds { default: { provider, model }, hooks: {...}, posts: {...}, image_prompts: {...} };
+ * a task setting wins over the company default, which wins over LLM_PROVIDER.
+ * A model is only inherited from a setting for the same provider.
+ * @param {string} task - hooks, posts or image_prompts
+ * @param {Object} companyProfile - Company row (settings.ai is optional)
+ * @returns {Object} { provider, model, task }
+ */
+function resolveProviderConfig(task, companyProfile = {}) {
+  const settings = companyProfile?.settings?.ai || {};
+  const sources = [settings[task] || {}, settings.default || {}];
+
+  const provider = sources.find(source => source.provider)?.provider || process.env.LLM_PROVIDER || 'openai';
+  const model = sources
+    .filter(source => !source.provider || source.provider === provider)
+    .find(source => source.model)?.model;
+
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown LLM provider "${provider}"`);
+  }
+
+  return { provider, model: model || DEFAULT_MODELS[provider](), task };
+}
+
+/**
+ * Provider for a company's task
+ * @param {string} task - hooks, posts or image_prompts
+ * @param {Object} companyProfile - Company row
+ * @returns {LLMProvider} Provider instance
+ */
+function getProvider(task, companyProfile) {
+  const config = resolveProviderConfig(task, companyProfile);
+  const key = `${config.provider}:${config.model}:${task}`;
+
+  if (!instances.has(key)) {
+    instances.set(key, createProvider(config));
+  }
+  return instances.get(key);
+}
+
+/**
+ * @param {Object} config - { provider, model, task, ... } (extra keys go to the adapter, e.g. respond for fake)
+ * @returns {LLMProvider} New provider instance
+ */
+function createProvider(config) {
+  const Provider = PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${config.provider}"`);
+  }
+  return new Provider({ ...config, model: config.model || DEFAULT_MODELS[config.provider]() });
+}
+
+/**
+ * Validate companies.settings.ai
+ * Post generation also takes a temperature (e.g. promoted from an experiment).
+ * @param {Object} settings - AI settings
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateProviderSettings(settings) {
+  const errors = [];
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['ai: must be an object'];
+  }
+
+  Object.entries(settings).forEach(([key, value]) => {
+    if (key !== 'default' && !TASKS.includes(key)) {
+      errors.push(`ai.${key}: unknown task (expected default, ${TASKS.join(', ')})`);
+      return;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`ai.${key}: must be an object`);
+      return;
+    }
+    if (value.provider !== undefined && !PROVIDERS[value.provider]) {
+      errors.push(`ai.${key}.provider: must be one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    if (value.model !== undefined && (typeof value.model !== 'string' || !value.model.trim() || value.model.length > 100)) {
+      errors.push(`ai.${key}.model: must be a model name of 100 characters or less`);
+    }
+    if (key === 'posts' && value.temperature !== undefined && (typeof value.temperature !== 'number' || value.temperature < 0 || value.temperature > 2)) {
+      errors.push(`ai.${key}.temperature: must be a number from 0 to 2`);
+    }
+    Object.keys(value)
+      .filter(field => !['provider', 'model', ...(key === 'posts' ? ['temperature'] : [])].includes(field))
+      .forEach(field => errors.push(`ai.${key}.${field}: unknown setting`));
+  });
+
+  return errors;
+}
+
+module.exports = {
+  TASKS,
+  PROVIDERS,
+  resolveProviderConfig,
+  getProvider,
+  createProvider,
+  validateProviderSettings
+};
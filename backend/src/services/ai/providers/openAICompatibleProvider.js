@@ -0,0 +1,32 @@
+/**
+ * Marketing Machine - OpenAI-Compatible Provider
+ * Local or self-hosted models behind an OpenAI-style API (Ollama, llama.cpp server, vLLM)
+ */
+
+const OpenAI = require('openai');
+const OpenAIProvider = require('./openaiProvider');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * OpenAI-compatible server
+ * The server URL comes from the environment only; companies choose the model, never the host.
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      contextWindow: config.contextWindow || parseInt(process.env.LOCAL_LLM_CONTEXT_WINDOW) || undefined
+    }, 'openai-compatible');
+  }
+
+  createClient() {
+    return new OpenAI({
+      // Local servers ignore the key, but the SDK requires one
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+      baseURL: process.env.LOCAL_LLM_BASE_URL || DEFAULT_BASE_URL,
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
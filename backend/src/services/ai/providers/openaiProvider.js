@@ -0,0 +1,65 @@
+/**
+ * Marketing Machine - OpenAI Provider
+ * Chat completions through the OpenAI API
+ */
+
+const OpenAI = require('openai');
+const LLMProvider = require('./baseProvider');
+
+/**
+ * OpenAI chat completions
+ * Azure OpenAI and OpenAI-compatible local servers speak the same API and extend this class.
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor(config = {}, name = 'openai') {
+    super(name, config);
+    this.client = null;
+  }
+
+  /**
+   * @returns {Object} OpenAI SDK client
+   */
+  createClient() {
+    return new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+  }
+
+  /**
+   * @returns {string} Model name sent to the API
+   */
+  requestModel() {
+    return this.model;
+  }
+
+  async complete(request) {
+    if (!this.client) {
+      this.client = this.createClient();
+    }
+
+    const response = await this.client.chat.completions.create({
+      model: this.requestModel(),
+      messages: [
+        {
+          role: "system",
+          content: request.system
+        },
+        {
+          role: "user",
+          content: request.prompt
+        }
+      ],
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      ...(request.json && { response_format: { type: "json_object" } })
+    });
+
+    const usage = response.usage
+      ? { prompt_tokens: response.usage.prompt_tokens, completion_tokens: response.usage.completion_tokens }
+      : null;
+
+    return this.result(request, response.choices[0].message.content, usage);
+  }
+}
+
+module.exports = OpenAIProvider;
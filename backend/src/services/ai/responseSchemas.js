@@ -0,0 +1,364 @@
+/**
+ * Marketing Machine - Response Schemas
+ * JSON schemas for model output, validation and targeted repair prompts
+ */
+
+const Ajv = require('ajv');
+
+const HOOK_TYPES = [
+  'pain_point',
+  'success_metric',
+  'industry_insight',
+  'customer_story',
+  'product_benefit',
+  'market_trend',
+  'problem_solution',
+  'case_study',
+  'thought_leadership',
+  'behind_scenes'
+];
+
+const CTA_TYPES = ['question', 'advice', 'share', 'comment'];
+
+const HOOK_SCHEMA = {
+  type: 'object',
+  required: [
+    'hook_text',
+    'content_pillar',
+    'hook_type',
+    'source_quote',
+    'linkedin_hook',
+    'tweet_version',
+    'blog_title',
+    'target_emotion',
+    'engagement_prediction',
+    'relevance_score'
+  ],
+  properties: {
+    hook_text: { type: 'string', minLength: 1 },
+    content_pillar: { type: 'string', minLength: 1 },
+    hook_type: { type: 'string', enum: HOOK_TYPES },
+    source_quote: { type: 'string', minLength: 1 },
+    linkedin_hook: { type: 'string', minLength: 1 },
+    tweet_version: { type: 'string', minLength: 1, maxLength: 280 },
+    blog_title: { type: 'string', minLength: 1 },
+    target_emotion: { type: 'string', minLength: 1 },
+    engagement_prediction: { type: 'number', minimum: 1, maximum: 10 },
+    relevance_score: { type: 'number', minimum: 1, maximum: 10 }
+  }
+};
+
+const POST_SCHEMA = {
+  type: 'object',
+  required: ['post_content', 'hashtags', 'cta_type'],
+  properties: {
+    post_content: { type: 'string', minLength: 1 },
+    hashtags: {
+      type: 'array',
+      items: { type: 'string', pattern: '^#\\S+$' }
+    },
+    cta_type: { type: 'string', enum: CTA_TYPES }
+  }
+};
+
+// X counts every link as 23 characters whatever its length
+const TWEET_LIMIT = 280;
+const TWEET_URL_LENGTH = 23;
+// Room kept in every tweet for the "12/15 " numbering added after generation
+const THREAD_NUMBERING_RESERVE = 6;
+const MAX_THREAD_TWEETS = 12;
+
+const BLOG_META_SCHEMA = {
+  title: { type: 'string', minLength: 1, maxLength: 150 },
+  meta_description: { type: 'string', minLength: 1, maxLength: 160 }
+};
+
+// Repurposed formats generated from a hook alongside the LinkedIn post
+const VARIANT_SCHEMAS = {
+  x_thread: {
+    type: 'object',
+    required: ['tweets'],
+    properties: {
+      tweets: {
+        type: 'array',
+        minItems: 2,
+        maxItems: MAX_THREAD_TWEETS,
+        items: { type: 'string', minLength: 1 }
+      }
+    }
+  },
+  blog_outline: {
+    type: 'object',
+    required: ['title', 'meta_description', 'sections'],
+    properties: {
+      ...BLOG_META_SCHEMA,
+      sections: {
+        type: 'array',
+        minItems: 3,
+        items: {
+          type: 'object',
+          required: ['heading', 'points'],
+          properties: {
+            heading: { type: 'string', minLength: 1 },
+            points: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+          }
+        }
+      }
+    }
+  },
+  blog_draft: {
+    type: 'object',
+    required: ['title', 'meta_description', 'body_markdown'],
+    properties: {
+      ...BLOG_META_SCHEMA,
+      body_markdown: { type: 'string', minLength: 1 }
+    }
+  },
+  newsletter: {
+    type: 'object',
+    required: ['subject_line', 'preview_text', 'headline', 'body', 'cta_text'],
+    properties: {
+      subject_line: { type: 'string', minLength: 1, maxLength: 60 },
+      preview_text: { type: 'string', minLength: 1, maxLength: 100 },
+      headline: { type: 'string', minLength: 1 },
+      body: { type: 'string', minLength: 1 },
+      cta_text: { type: 'string', minLength: 1 }
+    }
+  },
+  carousel_script: {
+    type: 'object',
+    required: ['title', 'slides', 'caption'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      slides: {
+        type: 'array',
+        minItems: 6,
+        maxItems: 10,
+        items: {
+          type: 'object',
+          required: ['headline', 'body'],
+          properties: {
+            headline: { type: 'string', minLength: 1, maxLength: 60 },
+            body: { type: 'string', maxLength: 200 },
+            visual: { type: 'string' }
+          }
+        }
+      },
+      caption: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+const VARIANT_FORMATS = Object.keys(VARIANT_SCHEMAS);
+
+// Voice profile inferred from a company's past posts during onboarding
+const VOICE_PROFILE_SCHEMA = {
+  type: 'object',
+  required: ['tone', 'content_pillars', 'style_summary'],
+  properties: {
+    tone: {
+      type: 'array',
+      minItems: 2,
+      maxItems: 6,
+      items: { type: 'string', minLength: 1, maxLength: 40 }
+    },
+    content_pillars: {
+      type: 'array',
+      minItems: 3,
+      maxItems: 6,
+      items: { type: 'string', minLength: 1, maxLength: 80 }
+    },
+    style_summary: { type: 'string', minLength: 1, maxLength: 600 }
+  }
+};
+
+// Numbers sent as strings ("8") are coerced in place rather than sent back for repair
+const ajv = new Ajv({ allErrors: true, coerceTypes: true });
+const validateHookSchema = ajv.compile(HOOK_SCHEMA);
+const validatePostSchema = ajv.compile(POST_SCHEMA);
+const validateVoiceProfileSchema = ajv.compile(VOICE_PROFILE_SCHEMA);
+const variantValidators = Object.fromEntries(
+  VARIANT_FORMATS.map(format => [format, ajv.compile(VARIANT_SCHEMAS[format])])
+);
+
+/**
+ * Turn Ajv errors into readable messages, e.g. "hook_type: must be one of pain_point, ..."
+ * @param {Array<Object>} errors - Ajv errors
+ * @returns {Array<string>} Messages
+ */
+function formatErrors(errors) {
+  return (errors || []).map(error => {
+    const path = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+
+    if (error.keyword === 'required') {
+      return `${path ? `${path}.` : ''}${error.params.missingProperty}: is required`;
+    }
+    if (error.keyword === 'enum') {
+      return `${path}: must be one of ${error.params.allowedValues.join(', ')}`;
+    }
+    return `${path || 'response'}: ${error.message}`;
+  });
+}
+
+/**
+ * Split model hooks into valid and invalid ones
+ * @param {Array<Object>} hooks - Raw hooks from the model
+ * @returns {Object} { valid: [hook], invalid: [{ index, hook, errors }] }
+ */
+function validateHooks(hooks) {
+  const valid = [];
+  const invalid = [];
+
+  hooks.forEach((hook, index) => {
+    if (!hook || typeof hook !== 'object' || Array.isArray(hook)) {
+      invalid.push({ index, hook, errors: ['hook: must be an object'] });
+    } else if (validateHookSchema(hook)) {
+      valid.push(hook);
+    } else {
+      invalid.push({ index, hook, errors: formatErrors(validateHookSchema.errors) });
+    }
+  });
+
+  return { valid, invalid };
+}
+
+/**
+ * @param {Object} post - Raw post from the model
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validatePost(post) {
+  if (!post || typeof post !== 'object' || Array.isArray(post)) {
+    return ['post: must be an object'];
+  }
+  return validatePostSchema(post) ? [] : formatErrors(validatePostSchema.errors);
+}
+
+/**
+ * @param {Object} profile - Raw voice profile from the model
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateVoiceProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['voice_profile: must be an object'];
+  }
+  return validateVoiceProfileSchema(profile) ? [] : formatErrors(validateVoiceProfileSchema.errors);
+}
+
+/**
+ * Length of a tweet as X counts it
+ * @param {string} text - Tweet text
+ * @returns {number} Characters, with links counted as 23
+ */
+function tweetLength(text) {
+  const withoutLinks = text.replace(/https?:\/\/\S+/g, '');
+  const links = (text.match(/https?:\/\/\S+/g) || []).length;
+  return Array.from(withoutLinks).length + links * TWEET_URL_LENGTH;
+}
+
+/**
+ * @param {string} format - One of VARIANT_FORMATS
+ * @param {Object} content - Raw variant from the model
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateVariant(format, content) {
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    return [`${format}: must be an object`];
+  }
+
+  const validate = variantValidators[format];
+  if (!validate(content)) {
+    return formatErrors(validate.errors);
+  }
+
+  // Each numbered tweet has to fit X's limit
+  if (format === 'x_thread') {
+    const limit = TWEET_LIMIT - THREAD_NUMBERING_RESERVE;
+    return content.tweets
+      .map((tweet, index) => ({ index, length: tweetLength(tweet) }))
+      .filter(({ length }) => length > limit)
+      .map(({ index, length }) => `tweets.${index}: is ${length} characters, must be at most ${limit}`);
+  }
+
+  return [];
+}
+
+/**
+ * Ask the model to fix only the hooks that failed validation
+ * @param {string} prompt - Original hook prompt (keeps the content the quotes must come from)
+ * @param {Array<Object>} invalid - Invalid hooks from validateHooks
+ * @returns {string} Repair prompt
+ */
+function buildHookRepairPrompt(prompt, invalid) {
+  const problems = invalid.map(({ index, hook, errors }) =>
+    `Hook ${index + 1}: ${JSON.stringify(hook)}\nProblems:\n${errors.map(error => `- ${error}`).join('\n')}`
+  ).join('\n\n');
+
+  return `${prompt}
+
+REPAIR REQUEST: ${invalid.length} of the hooks in your previous answer failed validation.
+
+${problems}
+
+Fix only these hooks: keep fields that were correct, keep source_quote an exact quote from the content, and use only the listed hook_type values. Scores are numbers from 1 to 10 and tweet_version is at most 280 characters.
+
+OUTPUT FORMAT: Return as JSON {"hooks": [...]} with the ${invalid.length} corrected hook(s) in the order listed above.`;
+}
+
+/**
+ * Ask the model to fix a post that failed validation
+ * @param {string} prompt - Original post prompt
+ * @param {Object} post - Invalid post
+ * @param {Array<string>} errors - Errors from validatePost
+ * @returns {string} Repair prompt
+ */
+function buildPostRepairPrompt(prompt, post, errors) {
+  return `${prompt}
+
+REPAIR REQUEST: your previous answer failed validation.
+
+${JSON.stringify(post)}
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected post as JSON in the same format, changing only what the problems require. Hashtags start with # and contain no spaces; cta_type is one of ${CTA_TYPES.join(', ')}.`;
+}
+
+/**
+ * Ask the model to fix a repurposed variant that failed validation
+ * @param {string} prompt - Original variant prompt
+ * @param {Object} content - Invalid variant
+ * @param {Array<string>} errors - Errors from validateVariant
+ * @returns {string} Repair prompt
+ */
+function buildVariantRepairPrompt(prompt, content, errors) {
+  return `${prompt}
+
+REPAIR REQUEST: your previous answer failed validation.
+
+${JSON.stringify(content)}
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected answer as JSON in the same format, changing only what the problems require.`;
+}
+
+module.exports = {
+  HOOK_TYPES,
+  CTA_TYPES,
+  HOOK_SCHEMA,
+  POST_SCHEMA,
+  VARIANT_SCHEMAS,
+  VARIANT_FORMATS,
+  VOICE_PROFILE_SCHEMA,
+  TWEET_LIMIT,
+  THREAD_NUMBERING_RESERVE,
+  MAX_THREAD_TWEETS,
+  validateHooks,
+  validatePost,
+  validateVoiceProfile,
+  tweetLength,
+  validateVariant,
+  buildHookRepairPrompt,
+  buildPostRepairPrompt,
+  buildVariantRepairPrompt
+};
@@ -0,0 +1,153 @@
+/**
+ * Marketing Machine - Token Usage
+ * Token counting, model context windows and per-model pricing
+ */
+
+const { getEncoding } = require('js-tiktoken');
+
+// cl100k_base covers GPT-4 and GPT-3.5 (and approximates other vendors' models); o200k_base covers the GPT-4o family
+const encodings = {};
+
+// Context window in tokens; unknown models get the smallest GPT-4 window
+const MODEL_CONTEXT_WINDOWS = {
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-4.1-mini': 1047576,
+  'gpt-4-turbo': 128000,
+  'gpt-4-32k': 32768,
+  'gpt-4': 8192,
+  'gpt-3.5-turbo': 16385,
+  'claude': 200000
+};
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// USD per 1K tokens
+const MODEL_PRICING = {
+  'gpt-4o': { input: 0.0025, output: 0.01 },
+  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+  'gpt-4.1': { input: 0.002, output: 0.008 },
+  'gpt-4.1-mini': { input: 0.0004, output: 0.0016 },
+  'gpt-4-turbo': { input: 0.01, output: 0.03 },
+  'gpt-4-32k': { input: 0.06, output: 0.12 },
+  'gpt-4': { input: 0.03, output: 0.06 },
+  'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+  'claude-3-5-sonnet': { input: 0.003, output: 0.015 },
+  'claude-3-5-haiku': { input: 0.0008, output: 0.004 },
+  'claude-3-opus': { input: 0.015, output: 0.075 },
+  'claude-sonnet-4': { input: 0.003, output: 0.015 },
+  'claude-opus-4': { input: 0.015, output: 0.075 },
+  'text-embedding-3-small': { input: 0.00002, output: 0 },
+  'text-embedding-3-large': { input: 0.00013, output: 0 },
+  'text-embedding-ada-002': { input: 0.0001, output: 0 }
+};
+
+/**
+ * Look up a per-model value, matching dated versions (gpt-4o-2024-08-06) by longest prefix
+ * @param {Object} table - Values keyed by model name
+ * @param {string} model - Model name
+ * @returns {*} Value, or undefined for unknown models
+ */
+function lookupModel(table, model) {
+  const name = String(model || '').toLowerCase();
+  const match = Object.keys(table)
+    .filter(key => name === key || name.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? table[match] : undefined;
+}
+
+/**
+ * @param {string} model - Model name
+ * @returns {Object} Tokenizer for the model
+ */
+function getModelEncoding(model) {
+  const name = /^gpt-4(o|\.1)/i.test(String(model || '')) ? 'o200k_base' : 'cl100k_base';
+  if (!encodings[name]) {
+    encodings[name] = getEncoding(name);
+  }
+  return encodings[name];
+}
+
+/**
+ * Count the tokens a model sees for a piece of text
+ * @param {string} text - Text
+ * @param {string} model - Model name
+ * @returns {number} Token count
+ */
+function countTokens(text, model) {
+  if (!text) return 0;
+  return getModelEncoding(model).encode(String(text)).length;
+}
+
+/**
+ * Cut text down to at most maxTokens tokens
+ * @param {string} text - Text
+ * @param {number} maxTokens - Token limit
+ * @param {string} model - Model name
+ * @returns {string} Text, shortened at a token boundary when over the limit
+ */
+function truncateTokens(text, maxTokens, model) {
+  if (!text) return '';
+  const encoding = getModelEncoding(model);
+  const tokens = encoding.encode(String(text));
+  return tokens.length <= maxTokens ? String(text) : encoding.decode(tokens.slice(0, maxTokens));
+}
+
+/**
+ * @param {string} model - Model name
+ * @returns {number} Context window in tokens
+ */
+function getContextWindow(model) {
+  return lookupModel(MODEL_CONTEXT_WINDOWS, model) || DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Start an empty usage tally
+ * @param {string} model - Model name
+ * @returns {Object} { model, prompt_tokens, completion_tokens, total_tokens, calls }
+ */
+function createUsage(model) {
+  return { model, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, calls: 0 };
+}
+
+/**
+ * Add one API response's usage to a tally
+ * @param {Object} total - Tally from createUsage
+ * @param {Object} usage - API usage ({ prompt_tokens, completion_tokens })
+ * @returns {Object} The tally
+ */
+function addUsage(total, usage) {
+  if (!total || !usage) return total;
+
+  total.prompt_tokens += usage.prompt_tokens || 0;
+  total.completion_tokens += usage.completion_tokens || 0;
+  total.total_tokens = total.prompt_tokens + total.completion_tokens;
+  total.calls += 1;
+  return total;
+}
+
+/**
+ * Cost of token usage at the model's list price
+ * @param {string} model - Model name
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ * @returns {number} Cost in USD (rounded to 1/100 of a cent); 0 for unpriced models
+ */
+function calculateUsageCost(model, usage) {
+  const pricing = lookupModel(MODEL_PRICING, model);
+  if (!pricing || !usage) return 0;
+
+  const cost = ((usage.prompt_tokens || 0) / 1000) * pricing.input +
+    ((usage.completion_tokens || 0) / 1000) * pricing.output;
+  return Math.round(cost * 10000) / 10000;
+}
+
+module.exports = {
+  MODEL_PRICING,
+  lookupModel,
+  countTokens,
+  truncateTokens,
+  getContextWindow,
+  createUsage,
+  addUsage,
+  calculateUsageCost
+};
@@ -0,0 +1,472 @@
+/**
+ * Marketing Machine - AI Usage Ledger
+ * Records the tokens and images each AI call bills, prices them from the rate table, and holds
+ * companies to their monthly budgets
+ */
+
+const { query } = require('../../config/database');
+const logger = require('../../utils/logger').ai;
+const { ValidationError, ServiceError } = require('../../middleware/errorHandler');
+const { MODEL_PRICING, lookupModel } = require('./tokenUsage');
+const { TASKS, PROVIDERS, resolveProviderConfig } = require('./providers');
+
+// USD per image by quality:size
+const IMAGE_PRICING = {
+  'dall-e-3': {
+    'standard:1024x1024': 0.04,
+    'standard:1792x1024': 0.08,
+    'hd:1024x1024': 0.08,
+    'hd:1792x1024': 0.12
+  },
+  'dall-e-2': {
+    'standard:256x256': 0.016,
+    'standard:512x512': 0.018,
+    'standard:1024x1024': 0.02
+  }
+};
+
+// Cheaper model each provider falls back to while a company is over its soft limit
+const DOWNGRADE_MODELS = {
+  openai: 'gpt-4o-mini',
+  anthropic: 'claude-3-5-haiku-latest'
+};
+
+// ai_rates rows are re-read this often, so rate changes apply without a restart
+const RATE_CACHE_MS = 5 * 60 * 1000;
+
+const PERIODS = ['month', 'last_month', '7d', '30d', '90d'];
+
+let rateCache = null;
+
+// =============================================
+// PRICING
+// =============================================
+
+/**
+ * Configured rates from ai_rates, newest effective rate per model, unit and variant
+ * Falls back to the built-in list prices when the table cannot be read.
+ * @returns {Promise<Object>} Rates keyed by model: { input_1k, output_1k, image: { [variant]: usd } }
+ */
+async function loadRates() {
+  if (rateCache && Date.now() - rateCache.loadedAt < RATE_CACHE_MS) {
+    return rateCache.rates;
+  }
+
+  const rates = {};
+  try {
+    const result = await query(`
+      SELECT DISTINCT ON (model, unit, variant) model, unit, variant, usd
+      FROM ai_rates
+      WHERE effective_from <= NOW()
+      ORDER BY model, unit, variant, effective_from DESC
+    `);
+
+    (result?.rows || []).forEach(row => {
+      const model = row.model.toLowerCase();
+      rates[model] = rates[model] || { image: {} };
+      if (row.unit === 'image') {
+        rates[model].image[row.variant] = parseFloat(row.usd);
+      } else {
+        rates[model][row.unit] = parseFloat(row.usd);
+      }
+    });
+  } catch (error) {
+    logger.warn('Failed to load AI rates, using list prices', { error: error.message });
+  }
+
+  rateCache = { rates, loadedAt: Date.now() };
+  return rates;
+}
+
+/**
+ * Forget the cached rate table, e.g. after ai_rates changes
+ */
+function refreshRates() {
+  rateCache = null;
+}
+
+/**
+ * Rates a model's usage is priced at: configured rates first, then list prices; unpriced models cost 0
+ * @param {string} model - Model name
+ * @param {string} imageVariant - quality:size of generated images, if any
+ * @returns {Promise<Object>} { input_1k, output_1k, image }
+ */
+async function getRates(model, imageVariant = null) {
+  const configured = lookupModel(await loadRates(), model) || { image: {} };
+  const listed = lookupModel(MODEL_PRICING, model) || {};
+
+  return {
+    input_1k: configured.input_1k ?? listed.input ?? 0,
+    output_1k: configured.output_1k ?? listed.output ?? 0,
+    image: imageVariant
+      ? configured.image[imageVariant] ?? lookupModel(IMAGE_PRICING, model)?.[imageVariant] ?? 0
+      : 0
+  };
+}
+
+/**
+ * Cost of one call's usage
+ * @param {Object} rates - From getRates
+ * @param {Object} usage - { prompt_tokens, completion_tokens, images }
+ * @returns {number} Cost in USD, rounded to 1/10000 of a cent
+ */
+function priceUsage(rates, usage = {}) {
+  const cost = ((usage.prompt_tokens || 0) / 1000) * rates.input_1k +
+    ((usage.completion_tokens || 0) / 1000) * rates.output_1k +
+    (usage.images || 0) * rates.image;
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+// =============================================
+// RECORDING
+// =============================================
+
+/**
+ * Record one AI call in the ledger
+ * Never throws: a call that already ran should not fail because its bookkeeping did.
+ * @param {Object} entry - { companyId, task, provider, model, usage: { prompt_tokens, completion_tokens },
+ *   images, imageVariant, metadata }
+ * @returns {Promise<Object|null>} { id, cost_usd }, or null when nothing was recorded
+ */
+async function recordUsage(entry) {
+  const { companyId, task, provider, model, usage = {}, images = 0, imageVariant = null, metadata = {} } = entry;
+
+  if (!companyId) return null;
+
+  try {
+    const rates = await getRates(model, imageVariant);
+    const cost = priceUsage(rates, { ...usage, images });
+
+    const result = await query(`
+      INSERT INTO ai_usage_ledger (
+        company_id,
+        task,
+        provider,
+        model,
+        prompt_tokens,
+        completion_tokens,
+        images,
+        image_variant,
+        cost_usd,
+        rates,
+        metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING id
+    `, [
+      companyId,
+      task,
+      provider,
+      model,
+      usage.prompt_tokens || 0,
+      usage.completion_tokens || 0,
+      images,
+      imageVariant,
+      cost,
+      JSON.stringify(rates),
+      JSON.stringify(metadata)
+    ]);
+
+    return { id: result?.rows?.[0]?.id, cost_usd: cost };
+  } catch (error) {
+    logger.error('Failed to record AI usage', { companyId, task, model, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Wrap a provider so every completion is recorded against a company
+ * Providers are shared between companies, so the wrapper, not the provider, knows whom to bill.
+ * @param {LLMProvider} provider - Provider
+ * @param {Object} context - { companyId, task }
+ * @returns {LLMProvider} Provider that records its usage (the provider itself without a companyId)
+ */
+function meterProvider(provider, context) {
+  const { companyId, task } = context;
+  if (!companyId) return provider;
+
+  const metered = Object.create(provider);
+  metered.complete = async (request) => {
+    const response = await provider.complete(request);
+    await recordUsage({
+      companyId,
+      task,
+      provider: response.provider || provider.name,
+      model: response.model || provider.model,
+      usage: response.usage
+    });
+    return response;
+  };
+  return metered;
+}
+
+// =============================================
+// BUDGETS
+// =============================================
+
+/**
+ * First instant of the current calendar month (UTC), when monthly budgets reset
+ * @param {Date} now - Current time
+ * @returns {Date} Month start
+ */
+function monthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * Where a company stands against its monthly budget
+ * companies.settings.budget holds { soft_limit_usd, hard_limit_usd, downgrade: { provider, model } };
+ * over the soft limit jobs run on a cheaper model, over the hard limit they are refused.
+ * @param {Object} companyProfile - Company row
+ * @returns {Promise<Object>} { status: 'ok' | 'soft_limit' | 'hard_limit', spend_usd, soft_limit_usd, hard_limit_usd, period_start }
+ */
+async function getBudgetStatus(companyProfile) {
+  const budget = companyProfile?.settings?.budget || {};
+  const periodStart = monthStart();
+
+  const result = await query(
+    `SELECT COALESCE(SUM(cost_usd), 0) as spend
+     FROM ai_usage_ledger
+     WHERE company_id = $1 AND created_at >= $2`,
+    [companyProfile.id, periodStart]
+  );
+  const spend = parseFloat(result?.rows?.[0]?.spend) || 0;
+
+  const softLimit = budget.soft_limit_usd ?? null;
+  const hardLimit = budget.hard_limit_usd ?? null;
+  let status = 'ok';
+  if (hardLimit !== null && spend >= hardLimit) {
+    status = 'hard_limit';
+  } else if (softLimit !== null && spend >= softLimit) {
+    status = 'soft_limit';
+  }
+
+  return {
+    status,
+    spend_usd: Math.round(spend * 10000) / 10000,
+    soft_limit_usd: softLimit,
+    hard_limit_usd: hardLimit,
+    period_start: periodStart.toISOString()
+  };
+}
+
+/**
+ * A company profile whose tasks use the cheaper downgrade model
+ * Tasks on providers without a known cheaper model keep their model.
+ * @param {Object} companyProfile - Company row
+ * @returns {Object} Copy of the profile with settings.ai pointing every task at the downgrade model
+ */
+function downgradeProfile(companyProfile) {
+  const configured = companyProfile.settings?.budget?.downgrade;
+  const ai = { ...companyProfile.settings?.ai };
+
+  TASKS.forEach(task => {
+    const current = resolveProviderConfig(task, companyProfile);
+    const target = configured?.model
+      ? { provider: configured.provider || current.provider, model: configured.model }
+      : DOWNGRADE_MODELS[current.provider] && { provider: current.provider, model: DOWNGRADE_MODELS[current.provider] };
+
+    if (target && target.model !== current.model) {
+      ai[task] = { ...ai[task], provider: target.provider, model: target.model };
+    }
+  });
+
+  return { ...companyProfile, settings: { ...companyProfile.settings, ai } };
+}
+
+/**
+ * Check a company's budget before a job spends on AI
+ * @param {Object} companyProfile - Company row
+ * @returns {Promise<Object>} { companyProfile, budget }: the profile to generate with (downgraded over the soft limit)
+ * @throws {ServiceError} BUDGET_EXCEEDED over the hard limit
+ */
+async function enforceBudget(companyProfile) {
+  const budget = await getBudgetStatus(companyProfile);
+
+  if (budget.status === 'hard_limit') {
+    throw new ServiceError(
+      `Monthly AI budget of $${budget.hard_limit_usd} reached ($${budget.spend_usd} spent since ${budget.period_start.slice(0, 10)})`,
+      'BUDGET_EXCEEDED',
+      402
+    );
+  }
+
+  if (budget.status === 'soft_limit') {
+    logger.warn('Company over soft AI budget, downgrading models', {
+      companyId: companyProfile.id,
+      spend: budget.spend_usd,
+      softLimit: budget.soft_limit_usd
+    });
+    return { companyProfile: downgradeProfile(companyProfile), budget };
+  }
+
+  return { companyProfile, budget };
+}
+
+/**
+ * Validate companies.settings.budget
+ * @param {Object} settings - Budget settings
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateBudgetSettings(settings) {
+  const errors = [];
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return ['budget: must be an object'];
+  }
+
+  ['soft_limit_usd', 'hard_limit_usd'].forEach(key => {
+    const value = settings[key];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      errors.push(`budget.${key}: must be an amount in US dollars (0 or more) or null`);
+    }
+  });
+
+  if (typeof settings.soft_limit_usd === 'number' && typeof settings.hard_limit_usd === 'number' &&
+      settings.soft_limit_usd > settings.hard_limit_usd) {
+    errors.push('budget.soft_limit_usd: must not exceed hard_limit_usd');
+  }
+
+  const { downgrade } = settings;
+  if (downgrade !== undefined && downgrade !== null) {
+    if (typeof downgrade !== 'object' || Array.isArray(downgrade)) {
+      errors.push('budget.downgrade: must be an object');
+    } else {
+      if (downgrade.provider !== undefined && !PROVIDERS[downgrade.provider]) {
+        errors.push(`budget.downgrade.provider: must be one of ${Object.keys(PROVIDERS).join(', ')}`);
+      }
+      if (typeof downgrade.model !== 'string' || !downgrade.model.trim() || downgrade.model.length > 100) {
+        errors.push('budget.downgrade.model: must be a model name of 100 characters or less');
+      }
+    }
+  }
+
+  Object.keys(settings)
+    .filter(key => !['soft_limit_usd', 'hard_limit_usd', 'downgrade'].includes(key))
+    .forEach(key => errors.push(`budget.${key}: unknown setting`));
+
+  return errors;
+}
+
+// =============================================
+// REPORTING
+// =============================================
+
+/**
+ * Date range of a report period
+ * @param {string} period - month (to date), last_month, 7d, 30d or 90d
+ * @param {Date} now - Current time
+ * @returns {Object} { from, to }
+ */
+function resolvePeriod(period, now = new Date()) {
+  if (period === 'month') {
+    return { from: monthStart(now), to: now };
+  }
+  if (period === 'last_month') {
+    const to = monthStart(now);
+    return { from: new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth() - 1, 1)), to };
+  }
+  const days = parseInt(period);
+  return { from: new Date(now.getTime() - days * 24 * 60 * 60 * 1000), to: now };
+}
+
+/**
+ * A company's AI spend over a period, by task, model and day, with its budget status
+ * @param {number} companyId - Company ID
+ * @param {Object} options - { period } (default month)
+ * @returns {Promise<Object>} { period, from, to, totals, by_task, by_model, by_day, budget }
+ */
+async function getCostReport(companyId, options = {}) {
+  const period = options.period || 'month';
+  if (!PERIODS.includes(period)) {
+    throw new ValidationError(`period must be one of ${PERIODS.join(', ')}`);
+  }
+
+  const { from, to } = resolvePeriod(period);
+
+  const result = await query(`
+    SELECT
+      task,
+      provider,
+      model,
+      COUNT(*) as calls,
+      SUM(prompt_tokens) as prompt_tokens,
+      SUM(completion_tokens) as completion_tokens,
+      SUM(images) as images,
+      SUM(cost_usd) as cost_usd
+    FROM ai_usage_ledger
+    WHERE company_id = $1 AND created_at >= $2 AND created_at < $3
+    GROUP BY task, provider, model
+    ORDER BY cost_usd DESC
+  `, [companyId, from, to]);
+
+  const daily = await query(`
+    SELECT DATE(created_at) as date, SUM(cost_usd) as cost_usd, COUNT(*) as calls
+    FROM ai_usage_ledger
+    WHERE company_id = $1 AND created_at >= $2 AND created_at < $3
+    GROUP BY DATE(created_at)
+    ORDER BY date
+  `, [companyId, from, to]);
+
+  const company = await query('SELECT id, settings FROM companies WHERE id = $1', [companyId]);
+
+  const round = value => Math.round((parseFloat(value) || 0) * 10000) / 10000;
+  const rows = result.rows.map(row => ({
+    task: row.task,
+    provider: row.provider,
+    model: row.model,
+    calls: parseInt(row.calls),
+    prompt_tokens: parseInt(row.prompt_tokens) || 0,
+    completion_tokens: parseInt(row.completion_tokens) || 0,
+    images: parseInt(row.images) || 0,
+    cost_usd: round(row.cost_usd)
+  }));
+
+  const sum = (group) => {
+    const totals = { calls: 0, prompt_tokens: 0, completion_tokens: 0, images: 0, cost_usd: 0 };
+    group.forEach(row => {
+      Object.keys(totals).forEach(key => { totals[key] += row[key]; });
+    });
+    totals.cost_usd = round(totals.cost_usd);
+    return totals;
+  };
+
+  const groupBy = (key) => Object.values(rows.reduce((groups, row) => {
+    const name = key === 'model' ? `${row.provider}:${row.model}` : row[key];
+    groups[name] = groups[name] || [];
+    groups[name].push(row);
+    return groups;
+  }, {}))
+    .map(group => ({
+      ...(key === 'model' ? { provider: group[0].provider, model: group[0].model } : { task: group[0].task }),
+      ...sum(group)
+    }))
+    .sort((a, b) => b.cost_usd - a.cost_usd);
+
+  return {
+    period,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    totals: sum(rows),
+    by_task: groupBy('task'),
+    by_model: groupBy('model'),
+    by_day: daily.rows.map(row => ({ date: row.date, cost_usd: round(row.cost_usd), calls: parseInt(row.calls) })),
+    budget: company.rows.length ? await getBudgetStatus(company.rows[0]) : null
+  };
+}
+
+module.exports = {
+  IMAGE_PRICING,
+  DOWNGRADE_MODELS,
+  PERIODS,
+  loadRates,
+  refreshRates,
+  getRates,
+  priceUsage,
+  recordUsage,
+  meterProvider,
+  getBudgetStatus,
+  downgradeProfile,
+  enforceBudget,
+  validateBudgetSettings,
+  getCostReport
+};
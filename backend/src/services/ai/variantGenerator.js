@@ -0,0 +1,456 @@
+/**
+ * Marketing Machine - Content Variant Generator
+ * Repurposes marketing hooks into X threads, blog outlines and drafts, newsletter sections and carousel scripts
+ */
+
+const { transaction } = require('../../config/database');
+const logger = require('../../utils/logger').ai;
+const { cache } = require('../../config/redis');
+const {
+  retrieveKnowledgeForEach,
+  getKnowledgeVersion,
+  formatKnowledgeForPrompt
+} = require('./knowledgeBase');
+const { getProvider } = require('./providers');
+const { meterProvider } = require('./usageLedger');
+const {
+  VARIANT_FORMATS,
+  TWEET_LIMIT,
+  THREAD_NUMBERING_RESERVE,
+  MAX_THREAD_TWEETS,
+  validateVariant,
+  buildVariantRepairPrompt
+} = require('./responseSchemas');
+const { getDefaultTemplate, resolveTemplate, renderTemplate } = require('./promptTemplates');
+
+const SYSTEM_PROMPT = "You are Marketing Machine's content repurposing expert. Adapt each hook to the format's conventions while keeping the company's brand voice. Always return valid JSON.";
+
+/**
+ * @param {string} tweet - Tweet, possibly starting with "3/8"
+ * @returns {string} Tweet without its numbering
+ */
+function unnumberTweet(tweet) {
+  return tweet.trim().replace(/^\d+\s*\/\s*\d+\s*/, '');
+}
+
+/**
+ * Content Variant Generator Class
+ */
+class VariantGenerator {
+  /**
+   * @param {Object} options - { provider } to use for every company instead of each company's
+   *   configured post provider (e.g. a FakeProvider in tests)
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || null;
+    this.maxRetries = 3;
+    this.temperature = 0.7;
+  }
+
+  /**
+   * Generate variants of each hook in each format
+   * Variants use the company's post provider, brand voice and knowledge base.
+   * @param {Array} hooks - Marketing hooks
+   * @param {Array<string>} formats - Formats from VARIANT_FORMATS
+   * @param {Object} companyProfile - Company profile and brand voice
+   * @param {Object} options - { validation } array that collects the schema errors of rejected or repaired variants
+   * @returns {Promise<Array>} Generated variants ({ hookId, format, content, text, ... })
+   */
+  async generateVariants(hooks, formats, companyProfile, options = {}) {
+    const unknown = formats.filter(format => !VARIANT_FORMATS.includes(format));
+    if (unknown.length) {
+      throw new Error(`Unknown content formats: ${unknown.join(', ')}`);
+    }
+
+    const provider = this.getProvider(companyProfile);
+
+    logger.info('Starting content variant generation', {
+      hooksCount: hooks.length,
+      formats,
+      companyId: companyProfile.id,
+      provider: provider.name,
+      model: provider.model
+    });
+
+    const templates = {};
+    for (const format of formats) {
+      templates[format] = await resolveTemplate(format, companyProfile.id);
+    }
+
+    const knowledgeVersion = await getKnowledgeVersion(companyProfile.id);
+    const hookKnowledge = await retrieveKnowledgeForEach(
+      companyProfile.id,
+      hooks.map(hook => [hook.hook_text, hook.source_quote, hook.linkedin_hook].filter(Boolean).join('\n'))
+    );
+
+    const variants = [];
+
+    for (const [index, hook] of hooks.entries()) {
+      for (const format of formats) {
+        try {
+          const knowledge = hookKnowledge[index];
+          const template = templates[format];
+          const prompt = this.buildVariantPrompt(format, hook, companyProfile, { knowledge, template });
+
+          const cacheKey = `variant:${this.hashContent(format + hook.hook_text + this.startingPoint(format, hook) + JSON.stringify(companyProfile) + knowledgeVersion + template.prompt_version + provider.name + provider.model)}`;
+          const cachedVariant = await cache.get(cacheKey);
+
+          if (cachedVariant) {
+            logger.info('Using cached content variant', { hookId: hook.id, format, cacheKey });
+            variants.push({ ...cachedVariant, hookId: hook.id });
+            continue;
+          }
+
+          const content = await this.callModel(prompt, 1, {
+            provider,
+            format,
+            validation: options.validation,
+            hookId: hook.id
+          });
+
+          const variant = this.processVariant(format, content, hook, provider, template, knowledge);
+
+          await cache.set(cacheKey, variant, 12 * 60 * 60); // 12 hours
+
+          variants.push({ ...variant, hookId: hook.id });
+
+        } catch (error) {
+          logger.error('Variant generation failed for hook', {
+            hookId: hook.id,
+            format,
+            error: error.message
+          });
+          continue; // Skip this format and continue with the others
+        }
+      }
+    }
+
+    logger.info('Content variant generation completed', {
+      hooksProcessed: hooks.length,
+      variantsGenerated: variants.length,
+      companyId: companyProfile.id
+    });
+
+    return variants;
+  }
+
+  /**
+   * Provider for a company's variants (the one that writes its posts)
+   * @param {Object} companyProfile - Company profile
+   * @returns {LLMProvider} Provider that records its usage against the company
+   */
+  getProvider(companyProfile) {
+    return this.provider || meterProvider(getProvider('posts', companyProfile), { companyId: companyProfile?.id, task: 'variants' });
+  }
+
+  /**
+   * Build the prompt for one format
+   * @param {string} format - Format from VARIANT_FORMATS
+   * @param {Object} hook - Marketing hook
+   * @param {Object} companyProfile - Company profile
+   * @param {Object} options - { knowledge } facts from retrieveKnowledge, { template } from resolveTemplate
+   *   (defaults to the built-in one)
+   * @returns {string} Formatted prompt
+   */
+  buildVariantPrompt(format, hook, companyProfile, options = {}) {
+    const { name, industry, brand_voice, content_pillars, icp } = companyProfile;
+    const { hook_text, content_pillar, source_quote, hook_type, target_emotion } = hook;
+    const attribution = hook.source_attribution || hook.metadata?.source_attribution;
+
+    return renderTemplate(options.template || getDefaultTemplate(format), {
+      company_name: name,
+      industry,
+      icp: JSON.stringify(icp),
+      brand_voice: JSON.stringify(brand_voice),
+      content_pillars: JSON.stringify(content_pillars),
+      knowledge: formatKnowledgeForPrompt(options.knowledge),
+      hook_text,
+      hook_type,
+      content_pillar,
+      target_emotion,
+      source_quote,
+      attribution: attribution ? ` (${attribution.citation})` : '',
+      starting_point: this.startingPoint(format, hook),
+      tone: brand_voice?.tone?.join(', ') || 'professional',
+      prohibited_terms: brand_voice?.prohibited_terms?.join(', ') || 'none',
+      tweet_limit: TWEET_LIMIT - THREAD_NUMBERING_RESERVE,
+      max_tweets: MAX_THREAD_TWEETS
+    });
+  }
+
+  /**
+   * The hook's own version for a format, which the model builds on
+   * @param {string} format - Format
+   * @param {Object} hook - Marketing hook
+   * @returns {string} Prompt line, or '' when the hook has none
+   */
+  startingPoint(format, hook) {
+    if (format === 'x_thread' && hook.tweet_version) {
+      return `STARTING TWEET (from the hook): "${hook.tweet_version}"`;
+    }
+    if (format.startsWith('blog_') && hook.blog_title) {
+      return `WORKING TITLE (from the hook): "${hook.blog_title}"`;
+    }
+    // Carousels made from a post (see CarouselGenerator) carry its text on the hook
+    if (format === 'carousel_script' && hook.post_content) {
+      return `POST TO TURN INTO SLIDES (keep its argument and numbers):\n"${hook.post_content}"`;
+    }
+    return '';
+  }
+
+  /**
+   * Call the company's model with retry logic
+   * A variant that fails its schema gets one targeted repair request before the call is retried.
+   * @param {string} prompt - Prompt to send
+   * @param {number} attempt - Attempt number
+   * @param {Object} options - { provider } to call, { format }, { validation } array that collects
+   *   validation errors, { hookId } the variant is for
+   * @returns {Promise<Object>} Valid variant content
+   */
+  async callModel(prompt, attempt = 1, options = {}) {
+    const { provider, format } = options;
+
+    try {
+      const content = await this.requestVariant(prompt, attempt, options);
+      const errors = validateVariant(format, content);
+
+      if (!errors.length) {
+        return content;
+      }
+
+      let repaired = null;
+      try {
+        const candidate = await this.requestVariant(buildVariantRepairPrompt(prompt, content, errors), attempt, options);
+        repaired = validateVariant(format, candidate).length ? null : candidate;
+      } catch (repairError) {
+        logger.warn('Variant repair failed', { error: repairError.message, hookId: options.hookId, format, attempt });
+      }
+
+      options.validation?.push({
+        target: format,
+        hook_id: options.hookId,
+        attempt,
+        errors,
+        repaired: Boolean(repaired)
+      });
+
+      if (!repaired) {
+        throw new Error(`Variant failed validation: ${errors.join('; ')}`);
+      }
+
+      return repaired;
+
+    } catch (error) {
+      logger.error('Variant generation failed', {
+        error: error.message,
+        format,
+        attempt,
+        provider: provider.name,
+        model: provider.model
+      });
+
+      if (attempt < this.maxRetries && !error.message.includes('billing')) {
+        logger.info('Retrying variant generation', { format, attempt: attempt + 1 });
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        return this.callModel(prompt, attempt + 1, options);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Send one variant prompt and parse the reply
+   * @param {string} prompt - Prompt to send
+   * @param {number} attempt - Attempt number (for logging)
+   * @param {Object} options - { provider, format }
+   * @returns {Promise<Object>} Raw variant content
+   */
+  async requestVariant(prompt, attempt, options) {
+    const { provider, format } = options;
+    const startTime = Date.now();
+
+    const response = await provider.complete({
+      system: SYSTEM_PROMPT,
+      prompt,
+      temperature: this.temperature,
+      maxTokens: format === 'blog_draft' ? 6000 : 3000,
+      json: true
+    });
+
+    logger.info('Variant generation successful', {
+      format,
+      provider: provider.name,
+      model: provider.model,
+      duration: `${Date.now() - startTime}ms`,
+      tokensUsed: response.usage.total_tokens,
+      attempt
+    });
+
+    return JSON.parse(response.text);
+  }
+
+  /**
+   * Normalise a valid variant and render its plain text
+   * @param {string} format - Format
+   * @param {Object} content - Valid variant content
+   * @param {Object} hook - Original hook
+   * @param {LLMProvider} provider - Provider that generated it
+   * @param {Object} template - Prompt template that produced it
+   * @param {Array<Object>} knowledge - Company facts the prompt included
+   * @returns {Object} Processed variant
+   */
+  processVariant(format, content, hook, provider = null, template = null, knowledge = []) {
+    // Threads are numbered here so every tweet's count includes its "n/N"
+    const normalized = format === 'x_thread' ? { tweets: this.numberTweets(content.tweets) } : content;
+    const text = this.renderText(format, normalized);
+
+    return {
+      format,
+      content: normalized,
+      text,
+      character_count: text.length,
+      prompt_version: template?.prompt_version || null,
+      metadata: {
+        generated_at: new Date().toISOString(),
+        model_used: provider?.model,
+        llm_provider: provider?.name,
+        hook_id: hook.id,
+        ...(template && { prompt_version: template.prompt_version, prompt_overrides: template.overrides }),
+        ...(knowledge.length && { knowledge_ids: [...new Set(knowledge.map(fact => fact.knowledge_id))] })
+      }
+    };
+  }
+
+  /**
+   * @param {Array<string>} tweets - Thread tweets, numbered or not
+   * @returns {Array<string>} Tweets numbered "1/N ..."
+   */
+  numberTweets(tweets) {
+    return tweets
+      .map(tweet => unnumberTweet(tweet))
+      .map((tweet, index, all) => `${index + 1}/${all.length} ${tweet}`);
+  }
+
+  /**
+   * Validate and normalise variant content edited by a reviewer
+   * @param {string} format - Format
+   * @param {Object} content - Edited content (thread tweets may keep their numbering)
+   * @returns {Object} { errors } or { errors: [], content, text }
+   */
+  prepareEdit(format, content) {
+    const candidate = format === 'x_thread' && Array.isArray(content?.tweets)
+      ? { ...content, tweets: content.tweets.map(tweet => (typeof tweet === 'string' ? unnumberTweet(tweet) : tweet)) }
+      : content;
+
+    const errors = validateVariant(format, candidate);
+    if (errors.length) {
+      return { errors };
+    }
+
+    const normalized = format === 'x_thread' ? { tweets: this.numberTweets(candidate.tweets) } : candidate;
+    return { errors: [], content: normalized, text: this.renderText(format, normalized) };
+  }
+
+  /**
+   * Plain text of a variant, for review and copy-paste
+   * @param {string} format - Format
+   * @param {Object} content - Variant content
+   * @returns {string} Text
+   */
+  renderText(format, content) {
+    switch (format) {
+      case 'x_thread':
+        return content.tweets.join('\n\n');
+      case 'blog_outline':
+        return [
+          `# ${content.title}`,
+          content.meta_description,
+          ...content.sections.map(section =>
+            `## ${section.heading}\n${section.points.map(point => `- ${point}`).join('\n')}`
+          )
+        ].join('\n\n');
+      case 'blog_draft':
+        return `# ${content.title}\n\n${content.body_markdown.trim()}`;
+      case 'newsletter':
+        return [
+          `Subject: ${content.subject_line}`,
+          `Preview: ${content.preview_text}`,
+          content.headline,
+          content.body.trim(),
+          content.cta_text
+        ].join('\n\n');
+      case 'carousel_script':
+        return [
+          content.title,
+          ...content.slides.map((slide, index) =>
+            [`Slide ${index + 1}: ${slide.headline}`, slide.body, slide.visual && `Visual: ${slide.visual}`]
+              .filter(Boolean)
+              .join('\n')
+          ),
+          `Caption:\n${content.caption}`
+        ].join('\n\n');
+      default:
+        return JSON.stringify(content);
+    }
+  }
+
+  /**
+   * Store generated variants, ready for approval
+   * @param {Array} variants - Generated variants
+   * @param {number} companyId - Company ID
+   * @returns {Promise<Array>} Stored variants with IDs
+   */
+  async storeVariants(variants, companyId) {
+    const storedVariants = [];
+
+    await transaction(async (client) => {
+      for (const variant of variants) {
+        const result = await client.query(`
+          INSERT INTO content_variants (
+            company_id,
+            marketing_hook_id,
+            format,
+            content,
+            text_content,
+            character_count,
+            status,
+            prompt_version,
+            metadata
+          ) VALUES ($1, $2, $3, $4, $5, $6, 'pending_approval', $7, $8)
+          RETURNING *
+        `, [
+          companyId,
+          variant.hookId,
+          variant.format,
+          JSON.stringify(variant.content),
+          variant.text,
+          variant.character_count,
+          variant.prompt_version || null,
+          JSON.stringify(variant.metadata)
+        ]);
+
+        storedVariants.push(result.rows[0]);
+      }
+    });
+
+    logger.info('Content variants stored successfully', {
+      count: storedVariants.length,
+      companyId
+    });
+
+    return storedVariants;
+  }
+
+  /**
+   * Hash content for caching
+   * @param {string} content - Content to hash
+   * @returns {string} Hash string
+   */
+  hashContent(content) {
+    const crypto = require('crypto');
+    return crypto.createHash('md5').update(content).digest('hex').substring(0, 16);
+  }
+}
+
+module.exports = VariantGenerator;
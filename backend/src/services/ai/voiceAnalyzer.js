@@ -0,0 +1,786 @@
+/**
+ * Marketing Machine - Brand Voice Analyzer
+ * Infers a company's brand voice and content pillars from its past LinkedIn posts during onboarding
+ */
+
+const { query, transaction } = require('../../config/database');
+const logger = require('../../utils/logger').ai;
+const { ValidationError, NotFoundError } = require('../../middleware/errorHandler');
+const { getProvider } = require('./providers');
+const { meterProvider } = require('./usageLedger');
+const { resolveTemplate, renderTemplate } = require('./promptTemplates');
+const { validateVoiceProfile } = require('./responseSchemas');
+const { lintPost, EMOJI_PATTERN, HASHTAG_PATTERN } = require('./brandVoiceLinter');
+
+const SOURCES = ['paste', 'csv', 'linkedin_export'];
+const MIN_POSTS = 20;
+const MAX_POSTS = 100;
+const MIN_POST_CHARACTERS = 20;
+
+// Best-ranked samples kept as few-shot examples, and how many of them a post prompt shows
+const EXAMPLE_COUNT = 5;
+const PROMPT_EXAMPLES = 3;
+const MAX_EXAMPLE_CHARACTERS = 1200;
+
+// Posts sent to the model, each cut to this length; the habits are measured on all of them
+const PROMPT_POSTS = 30;
+const MAX_PROMPT_POST_CHARACTERS = 700;
+
+// CSV headers (lower case, spaces removed) that hold each field; LinkedIn's Shares.csv uses ShareCommentary
+const CSV_COLUMNS = {
+  content: ['sharecommentary', 'commentary', 'content', 'post_content', 'postcontent', 'text', 'posttext', 'post'],
+  published_at: ['date', 'published_at', 'publishedat', 'posted_at', 'postedat', 'created', 'created_at'],
+  reactions: ['reactions', 'likes', 'likecount'],
+  comments: ['comments', 'commentcount'],
+  shares: ['shares', 'reposts', 'sharecount'],
+  impressions: ['impressions', 'views']
+};
+
+// LinkedIn buzzwords; the ones a company never uses in its own posts are proposed as prohibited terms
+const BUZZWORDS = [
+  'synergy', 'leverage', 'disrupt', 'revolutionary', 'game-changing', 'thought leader', 'guru', 'ninja',
+  'rockstar', 'hustle', 'crushing it', 'humbled', 'thrilled to announce', 'excited to announce',
+  'unprecedented', 'seamless', 'best-of-breed', 'next-gen', 'bleeding edge', 'growth hack'
+];
+
+// How a post opens, checked in order against its first line
+const HOOK_PATTERNS = [
+  ['list', /^\d+\s+[\p{L}]/u],
+  ['question', /\?\s*$/],
+  ['contrarian', /^(?:unpopular opinion|hot take|stop\b|forget\b|nobody\b|everyone\b|most\b|the truth)/i],
+  ['announcement', /\b(?:excited|proud|thrilled|announc\w*|launch\w*|introducing)\b/i],
+  ['how_why', /^(?:how|why|what)\b/i],
+  ['statistic', /\d/],
+  ['story', /^(?:i|we|my|our|last|yesterday|when|today)\b/i],
+  ['statement', /./]
+];
+
+const STOPWORDS = new Set(`about above after again against all also and any are because been before being below
+between both but can could did does doing down during each few for from further had has have having here how
+into its itself just more most other our ours out over own same she should some such than that the their them
+then there these they this those through too under until very was were what when where which while who whom why
+will with would you your yours we us it is be to of in on at by or an as if so no not do my me he his her him
+i a am one get got make made much many like really every even still well way back only need want know think
+going thing things lot year years day days time week weeks new first last people`.split(/\s+/));
+
+// =============================================
+// IMPORT
+// =============================================
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, newlines inside quotes)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * @param {*} value - CSV field or JSON value
+ * @returns {number|null} Non-negative count
+ */
+function toCount(value) {
+  const number = parseInt(String(value ?? '').replace(/[,\s]/g, ''), 10);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * @param {*} value - Date string
+ * @returns {string|null} ISO timestamp
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Posts from a CSV file with a header row
+ * @param {string} csv - CSV text
+ * @returns {Array<Object>} Raw posts
+ */
+function postsFromCsv(csv) {
+  const [header, ...rows] = parseCsv(csv);
+  if (!header) {
+    throw new ValidationError('The CSV file is empty');
+  }
+
+  const names = header.map(name => name.toLowerCase().replace(/\s+/g, ''));
+  const columns = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([field, candidates]) => [
+    field,
+    candidates.map(candidate => names.indexOf(candidate)).find(index => index >= 0) ?? -1
+  ]));
+
+  if (columns.content < 0) {
+    throw new ValidationError('The CSV file needs a post text column (ShareCommentary, content, text or post)');
+  }
+
+  return rows.map(row => Object.fromEntries(
+    Object.entries(columns).filter(([, index]) => index >= 0).map(([field, index]) => [field, row[index]])
+  ));
+}
+
+/**
+ * Normalize imported posts
+ * Pasted text is split on lines of "---" or, without those, on two or more blank lines. CSV files
+ * (including LinkedIn's Shares.csv export) need a post text column; date and engagement columns are
+ * optional. Reshares without commentary and duplicates are skipped, and only the most recent
+ * MAX_POSTS are kept.
+ * @param {Object} input - { source, text } for paste, { source, csv } for csv and linkedin_export,
+ *   or { posts } as strings or { content, published_at, reactions, comments, shares, impressions }
+ * @returns {Object} { posts, skipped }
+ */
+function parsePosts(input = {}) {
+  const source = input.source || 'paste';
+  if (!SOURCES.includes(source)) {
+    throw new ValidationError(`Unknown import source "${source}" (expected ${SOURCES.join(', ')})`);
+  }
+
+  let raw;
+  if (Array.isArray(input.posts)) {
+    raw = input.posts.map(post => (typeof post === 'string' ? { content: post } : post || {}));
+  } else if (source === 'paste') {
+    const text = String(input.text || '').replace(/\r\n?/g, '\n');
+    const parts = /^\s*-{3,}\s*$/m.test(text) ? text.split(/^\s*-{3,}\s*$/m) : text.split(/\n\s*\n\s*\n/);
+    raw = parts.map(content => ({ content }));
+  } else {
+    raw = postsFromCsv(String(input.csv || input.text || ''));
+  }
+
+  const seen = new Set();
+  let posts = [];
+
+  for (const post of raw) {
+    const content = String(post.content || '').trim();
+    if (content.length < MIN_POST_CHARACTERS || seen.has(content)) continue;
+    seen.add(content);
+
+    posts.push({
+      content,
+      published_at: toDate(post.published_at),
+      reactions: toCount(post.reactions),
+      comments: toCount(post.comments),
+      shares: toCount(post.shares),
+      impressions: toCount(post.impressions)
+    });
+  }
+
+  const skipped = raw.length - posts.length;
+
+  if (posts.length < MIN_POSTS) {
+    throw new ValidationError(`At least ${MIN_POSTS} posts are needed to learn a brand voice, found ${posts.length}`);
+  }
+
+  if (posts.length > MAX_POSTS) {
+    if (posts.every(post => post.published_at)) {
+      posts = [...posts].sort((a, b) => b.published_at.localeCompare(a.published_at));
+    }
+    posts = posts.slice(0, MAX_POSTS);
+  }
+
+  return { posts, skipped, truncated: posts.length < raw.length - skipped };
+}
+
+// =============================================
+// HABITS
+// =============================================
+
+/**
+ * @param {Array<number>} values - Numbers
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {number} Nearest-rank percentile
+ */
+function percentile(values, p) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+}
+
+/**
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Mean rounded to one decimal
+ */
+function average(values) {
+  return values.length ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10 : 0;
+}
+
+/**
+ * @param {Array<string>} items - Items
+ * @param {number} limit - How many to return
+ * @returns {Array<Object>} { value, count } most frequent first
+ */
+function topCounts(items, limit) {
+  const counts = new Map();
+  for (const item of items) counts.set(item, (counts.get(item) || 0) + 1);
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([value, count]) => ({ value, count }));
+}
+
+/**
+ * @param {string} content - Post content
+ * @returns {string} Pattern name from HOOK_PATTERNS
+ */
+function classifyOpening(content) {
+  const firstLine = content.split('\n').find(line => line.trim()).trim();
+  return HOOK_PATTERNS.find(([, pattern]) => pattern.test(firstLine))[0];
+}
+
+/**
+ * Measure the writing habits of a set of posts
+ * @param {Array<Object>} posts - From parsePosts
+ * @returns {Object} { post_count, length, hook_patterns, emojis, hashtags, vocabulary, taboo_words, ... }
+ */
+function measureHabits(posts) {
+  const lengths = posts.map(post => post.content.length);
+  const lints = posts.map(post => lintPost(post.content, {}));
+  const emojiCounts = lints.map(lint => lint.stats.emojis);
+  const hashtagLists = posts.map(post => post.content.match(HASHTAG_PATTERN) || []);
+  const share = count => Math.round((count / posts.length) * 100) / 100;
+
+  // A hashtag is at the end when nothing but other hashtags follow it
+  const trailing = posts.filter((post, index) =>
+    hashtagLists[index].length && /(?:#[\p{L}\p{N}_]+\s*)+$/u.test(post.content)
+  ).length;
+  const withHashtags = hashtagLists.filter(tags => tags.length).length;
+
+  // Words used in many posts, rather than many times in one
+  const documentWords = posts.map(post => new Set(
+    (post.content.replace(HASHTAG_PATTERN, '').toLowerCase().match(/[\p{L}][\p{L}'’-]{3,}/gu) || [])
+      .filter(word => !STOPWORDS.has(word))
+  ));
+  const vocabulary = topCounts(documentWords.flatMap(words => [...words]), 15)
+    .filter(({ count }) => count >= Math.max(3, Math.ceil(posts.length * 0.15)))
+    .map(({ value }) => value);
+
+  const allText = posts.map(post => post.content.toLowerCase()).join('\n');
+  const tabooWords = BUZZWORDS.filter(word =>
+    !new RegExp(`(?<![\\p{L}])${word.replace(/-/g, '[\\s-]')}`, 'iu').test(allText)
+  );
+
+  const engagement = posts.filter(post => post.reactions !== null || post.comments !== null);
+
+  return {
+    post_count: posts.length,
+    length: {
+      average: Math.round(average(lengths)),
+      median: percentile(lengths, 0.5),
+      p25: percentile(lengths, 0.25),
+      p75: percentile(lengths, 0.75)
+    },
+    paragraphs: average(posts.map(post => post.content.split(/\n\s*\n/).filter(part => part.trim()).length)),
+    reading_grade: average(lints.map(lint => lint.stats.reading_grade)),
+    hook_patterns: topCounts(posts.map(post => classifyOpening(post.content)), HOOK_PATTERNS.length)
+      .map(({ value, count }) => ({ pattern: value, share: share(count) })),
+    questions: share(posts.filter(post => /\?[\s\p{Extended_Pictographic}\uFE0F]*(?:#[\p{L}\p{N}_]+\s*)*$/u.test(post.content)).length),
+    exclamations: share(lints.filter(lint => lint.stats.exclamation_marks > 0).length),
+    numbers: share(posts.filter(post => /\d/.test(post.content.replace(HASHTAG_PATTERN, ''))).length),
+    first_person: share(posts.filter(post => /\b(?:i|i'm|i've|my)\b/i.test(post.content)).length),
+    emojis: {
+      posts_with: share(emojiCounts.filter(count => count > 0).length),
+      per_post: average(emojiCounts),
+      p90: percentile(emojiCounts, 0.9),
+      favourites: topCounts(posts.flatMap(post => post.content.match(EMOJI_PATTERN) || []), 5).map(({ value }) => value)
+    },
+    hashtags: {
+      posts_with: share(withHashtags),
+      per_post: average(hashtagLists.map(tags => tags.length)),
+      p90: percentile(hashtagLists.map(tags => tags.length), 0.9),
+      placement: !withHashtags ? 'none' : trailing >= withHashtags / 2 ? 'end' : 'inline',
+      favourites: topCounts(hashtagLists.flat().map(tag => tag.toLowerCase()), 8).map(({ value }) => value)
+    },
+    vocabulary,
+    taboo_words: tabooWords,
+    has_engagement: engagement.length > 0
+  };
+}
+
+/**
+ * Habits as prompt lines
+ * @param {Object} habits - From measureHabits
+ * @returns {string} Formatted habits
+ */
+function formatHabits(habits) {
+  const percent = value => `${Math.round(value * 100)}%`;
+
+  return [
+    `- Length: median ${habits.length.median} characters (middle half ${habits.length.p25}-${habits.length.p75}), ${habits.paragraphs} paragraphs`,
+    `- Openings: ${habits.hook_patterns.map(({ pattern, share }) => `${pattern} ${percent(share)}`).join(', ')}`,
+    `- Ends with a question: ${percent(habits.questions)}; uses exclamation marks: ${percent(habits.exclamations)}`,
+    `- Cites numbers: ${percent(habits.numbers)}; writes in first person singular: ${percent(habits.first_person)}`,
+    `- Emojis: ${habits.emojis.per_post} per post, in ${percent(habits.emojis.posts_with)} of posts`,
+    `- Hashtags: ${habits.hashtags.per_post} per post, placed ${habits.hashtags.placement}`,
+    `- Recurring words: ${habits.vocabulary.join(', ') || 'none'}`,
+    `- Reading grade: ${habits.reading_grade}`
+  ].join('\n');
+}
+
+// =============================================
+// INFERENCE
+// =============================================
+
+/**
+ * Tone and pillars from the habits alone, used when the model is unavailable or its answer is invalid
+ * @param {Object} habits - From measureHabits
+ * @returns {Object} { tone, content_pillars, style_summary }
+ */
+function inferFromHabits(habits) {
+  const tone = [
+    habits.numbers >= 0.5 && 'data-driven',
+    habits.first_person >= 0.5 && 'personal',
+    habits.questions >= 0.4 && 'conversational',
+    (habits.exclamations >= 0.3 || habits.emojis.per_post >= 2) && 'enthusiastic',
+    habits.reading_grade && habits.reading_grade <= 8 && 'plain-spoken',
+    habits.length.median < 800 && 'concise'
+  ].filter(Boolean);
+
+  const pillars = [
+    ...habits.hashtags.favourites.map(tag => tag.slice(1).replace(/([a-z])([A-Z])/g, '$1 $2')),
+    ...habits.vocabulary
+  ];
+
+  const [opening] = habits.hook_patterns;
+
+  return {
+    tone: tone.length ? tone.slice(0, 6) : ['professional'],
+    content_pillars: [...new Set(pillars.map(pillar => pillar.toLowerCase()))].slice(0, 5),
+    style_summary: `Posts usually open with a ${opening.pattern.replace('_', '/')} and run about ${habits.length.median} characters.`
+  };
+}
+
+/**
+ * Ask the company's model to describe the voice of the posts
+ * @param {Array<Object>} posts - From parsePosts
+ * @param {Object} habits - From measureHabits
+ * @param {Object} companyProfile - Company profile (settings.ai selects the provider)
+ * @param {Object} options - { provider } instead of the company's posts provider
+ * @returns {Promise<Object>} { tone, content_pillars, style_summary, inferred_by, prompt_version, ... }
+ */
+async function inferVoice(posts, habits, companyProfile, options = {}) {
+  const template = await resolveTemplate('voice_analysis', companyProfile.id);
+  const fallback = { ...inferFromHabits(habits), inferred_by: 'habits', prompt_version: null };
+
+  let provider;
+  try {
+    provider = options.provider || meterProvider(getProvider('posts', companyProfile), { companyId: companyProfile.id, task: 'voice_analysis' });
+
+    const sample = posts.slice(0, PROMPT_POSTS);
+    const prompt = renderTemplate(template, {
+      company_name: companyProfile.name,
+      industry: companyProfile.industry || 'unknown industry',
+      post_count: sample.length,
+      posts: sample
+        .map((post, index) => `--- Post ${index + 1} ---\n${post.content.slice(0, MAX_PROMPT_POST_CHARACTERS)}`)
+        .join('\n\n'),
+      habits: formatHabits(habits)
+    });
+
+    const response = await provider.complete({
+      system: "You are Marketing Machine's brand strategist. Always return valid JSON.",
+      prompt,
+      temperature: 0.3,
+      maxTokens: 1000,
+      json: true
+    });
+
+    const profile = JSON.parse(response.text);
+    const errors = validateVoiceProfile(profile);
+
+    if (errors.length) {
+      logger.warn('Voice profile failed validation, using measured habits', { companyId: companyProfile.id, errors });
+      return fallback;
+    }
+
+    return {
+      tone: profile.tone,
+      content_pillars: profile.content_pillars,
+      style_summary: profile.style_summary,
+      inferred_by: 'model',
+      prompt_version: template.prompt_version,
+      llm_provider: provider.name,
+      model_used: provider.model
+    };
+
+  } catch (error) {
+    logger.warn('Voice inference failed, using measured habits', {
+      error: error.message,
+      companyId: companyProfile.id,
+      provider: provider?.name
+    });
+    return fallback;
+  }
+}
+
+/**
+ * Proposed brand_voice and content_pillars, keeping any brand_voice settings the analysis doesn't cover
+ * @param {Object} habits - From measureHabits
+ * @param {Object} voice - From inferVoice
+ * @param {Object} companyProfile - Current company profile
+ * @returns {Object} { brand_voice, content_pillars }
+ */
+function proposeProfile(habits, voice, companyProfile) {
+  const current = companyProfile.brand_voice && typeof companyProfile.brand_voice === 'object'
+    ? companyProfile.brand_voice
+    : {};
+  const currentTerms = current.prohibited_terms || [];
+  const currentWords = new Set(currentTerms.map(term => (typeof term === 'string' ? term : term.term).toLowerCase()));
+
+  return {
+    brand_voice: {
+      ...current,
+      tone: voice.tone,
+      style_summary: voice.style_summary,
+      typical_length: { min: habits.length.p25, max: habits.length.p75 },
+      hook_patterns: habits.hook_patterns.slice(0, 3).map(({ pattern }) => pattern),
+      emoji_usage: habits.emojis.posts_with === 0 ? 'none' : habits.emojis.per_post >= 2 ? 'frequent' : 'sparing',
+      hashtag_habits: {
+        per_post: habits.hashtags.per_post,
+        placement: habits.hashtags.placement,
+        favourites: habits.hashtags.favourites
+      },
+      vocabulary: habits.vocabulary.slice(0, 10),
+      prohibited_terms: [...currentTerms, ...habits.taboo_words.filter(word => !currentWords.has(word))],
+      linter: {
+        ...current.linter,
+        max_emojis: habits.emojis.p90,
+        // Generated posts always carry a few hashtags, so the limit never drops to zero
+        max_hashtags: Math.max(1, habits.hashtags.p90)
+      }
+    },
+    content_pillars: voice.content_pillars
+  };
+}
+
+/**
+ * Rank samples for use as few-shot examples
+ * Posts with the most engagement when the import has it, otherwise the ones closest to the typical length.
+ * @param {Array<Object>} posts - From parsePosts
+ * @param {Object} habits - From measureHabits
+ * @returns {Array<number|null>} Example rank (1 = best) per post, null for posts not kept
+ */
+function rankExamples(posts, habits) {
+  const score = post => (habits.has_engagement
+    ? (post.reactions || 0) + 2 * (post.comments || 0) + 3 * (post.shares || 0)
+    : -Math.abs(post.content.length - habits.length.median));
+
+  const ranked = posts
+    .map((post, index) => ({ index, score: score(post) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, EXAMPLE_COUNT);
+
+  const ranks = posts.map(() => null);
+  ranked.forEach(({ index }, position) => {
+    ranks[index] = position + 1;
+  });
+  return ranks;
+}
+
+/**
+ * Analyze imported posts and propose a brand voice profile
+ * @param {Object} input - See parsePosts
+ * @param {Object} companyProfile - Current company profile
+ * @param {Object} options - { provider } instead of the company's posts provider
+ * @returns {Promise<Object>} { source, posts (with example_rank), habits, proposal, metadata }
+ */
+async function analyzeVoice(input, companyProfile, options = {}) {
+  const { posts, skipped, truncated } = parsePosts(input);
+  const habits = measureHabits(posts);
+
+  logger.info('Starting brand voice analysis', {
+    companyId: companyProfile.id,
+    source: input.source || 'paste',
+    postCount: posts.length,
+    skipped
+  });
+
+  const voice = await inferVoice(posts, habits, companyProfile, options);
+  const ranks = rankExamples(posts, habits);
+
+  return {
+    source: input.source || 'paste',
+    posts: posts.map((post, index) => ({ ...post, example_rank: ranks[index] })),
+    habits,
+    proposal: proposeProfile(habits, voice, companyProfile),
+    metadata: {
+      skipped,
+      truncated,
+      inferred_by: voice.inferred_by,
+      prompt_version: voice.prompt_version,
+      llm_provider: voice.llm_provider || null,
+      model_used: voice.model_used || null
+    }
+  };
+}
+
+// =============================================
+// STORAGE
+// =============================================
+
+/**
+ * Store an analysis and its sample posts
+ * @param {Object} analysis - From analyzeVoice
+ * @param {number} companyId - Company ID
+ * @param {number} userId - User who ran the import
+ * @returns {Promise<Object>} Stored analysis
+ */
+async function storeAnalysis(analysis, companyId, userId) {
+  return transaction(async (client) => {
+    const result = await client.query(`
+      INSERT INTO brand_voice_analyses (company_id, created_by, source, post_count, habits, proposal, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      companyId,
+      userId || null,
+      analysis.source,
+      analysis.posts.length,
+      JSON.stringify(analysis.habits),
+      JSON.stringify(analysis.proposal),
+      JSON.stringify(analysis.metadata)
+    ]);
+
+    const stored = result.rows[0];
+
+    for (const post of analysis.posts) {
+      await client.query(`
+        INSERT INTO brand_voice_samples (
+          analysis_id, company_id, post_content, published_at, reactions, comments, shares, impressions, example_rank
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [
+        stored.id,
+        companyId,
+        post.content,
+        post.published_at,
+        post.reactions,
+        post.comments,
+        post.shares,
+        post.impressions,
+        post.example_rank
+      ]);
+    }
+
+    logger.info('Brand voice analysis stored', { analysisId: stored.id, companyId, postCount: analysis.posts.length });
+
+    return stored;
+  });
+}
+
+/**
+ * @param {number} companyId - Company ID
+ * @param {number} analysisId - Analysis ID, or the latest analysis when omitted
+ * @returns {Promise<Object>} Analysis with its example posts
+ */
+async function getAnalysis(companyId, analysisId = null) {
+  const result = await query(`
+    SELECT *
+    FROM brand_voice_analyses
+    WHERE company_id = $1 AND ($2::int IS NULL OR id = $2)
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [companyId, analysisId]);
+
+  const analysis = result.rows[0];
+  if (!analysis) {
+    throw new NotFoundError('Brand voice analysis not found');
+  }
+
+  const examples = await query(`
+    SELECT id, post_content, published_at, reactions, comments, shares, example_rank
+    FROM brand_voice_samples
+    WHERE analysis_id = $1 AND example_rank IS NOT NULL
+    ORDER BY example_rank
+  `, [analysis.id]);
+
+  return { ...analysis, examples: examples.rows };
+}
+
+/**
+ * Accept a proposal, optionally edited, as the company's brand voice and content pillars
+ * Its best samples become the few-shot examples of post prompts.
+ * @param {number} analysisId - Analysis ID
+ * @param {number} companyId - Company ID
+ * @param {number} userId - Accepting user
+ * @param {Object} edits - Optional { brand_voice, content_pillars } replacing the proposed ones
+ * @returns {Promise<Object>} { analysis_id, brand_voice, content_pillars }
+ */
+async function acceptAnalysis(analysisId, companyId, userId, edits = {}) {
+  const errors = [];
+  if (edits.brand_voice !== undefined && (!edits.brand_voice || typeof edits.brand_voice !== 'object' || Array.isArray(edits.brand_voice))) {
+    errors.push('brand_voice: must be an object');
+  }
+  if (edits.content_pillars !== undefined && (!Array.isArray(edits.content_pillars) ||
+      !edits.content_pillars.every(pillar => typeof pillar === 'string' && pillar.trim()))) {
+    errors.push('content_pillars: must be an array of non-empty strings');
+  }
+  if (errors.length) {
+    throw new ValidationError('Invalid brand voice profile', errors);
+  }
+
+  return transaction(async (client) => {
+    const result = await client.query(
+      'SELECT id, status, proposal FROM brand_voice_analyses WHERE id = $1 AND company_id = $2 FOR UPDATE',
+      [analysisId, companyId]
+    );
+
+    const analysis = result.rows[0];
+    if (!analysis) {
+      throw new NotFoundError('Brand voice analysis not found');
+    }
+    if (analysis.status !== 'proposed') {
+      throw new ValidationError(`Brand voice analysis is already ${analysis.status}`);
+    }
+
+    const profile = {
+      brand_voice: edits.brand_voice ?? analysis.proposal.brand_voice,
+      content_pillars: edits.content_pillars ?? analysis.proposal.content_pillars
+    };
+
+    await client.query(
+      'UPDATE companies SET brand_voice = $1, content_pillars = $2, updated_at = NOW() WHERE id = $3',
+      [JSON.stringify(profile.brand_voice), JSON.stringify(profile.content_pillars), companyId]
+    );
+
+    await client.query(`
+      UPDATE brand_voice_analyses
+      SET status = 'accepted', accepted_profile = $1, edited = $2, accepted_by = $3, accepted_at = NOW()
+      WHERE id = $4
+    `, [
+      JSON.stringify(profile),
+      edits.brand_voice !== undefined || edits.content_pillars !== undefined,
+      userId || null,
+      analysisId
+    ]);
+
+    logger.info('Brand voice analysis accepted', { analysisId, companyId, userId });
+
+    return { analysis_id: analysisId, ...profile };
+  });
+}
+
+/**
+ * Decline a proposal without changing the company profile
+ * @param {number} analysisId - Analysis ID
+ * @param {number} companyId - Company ID
+ * @returns {Promise<boolean>} Whether a proposed analysis was dismissed
+ */
+async function dismissAnalysis(analysisId, companyId) {
+  const result = await query(`
+    UPDATE brand_voice_analyses SET status = 'dismissed'
+    WHERE id = $1 AND company_id = $2 AND status = 'proposed'
+    RETURNING id
+  `, [analysisId, companyId]);
+
+  return result.rows.length > 0;
+}
+
+// =============================================
+// FEW-SHOT EXAMPLES
+// =============================================
+
+/**
+ * Best samples of the company's most recently accepted analysis
+ * Returns no examples when the table cannot be read, so generation never fails because of them.
+ * @param {number} companyId - Company ID
+ * @param {number} limit - Number of examples
+ * @returns {Promise<Array<Object>>} { id, post_content }
+ */
+async function getVoiceExamples(companyId, limit = PROMPT_EXAMPLES) {
+  try {
+    const result = await query(`
+      SELECT s.id, s.post_content
+      FROM brand_voice_samples s
+      WHERE s.analysis_id = (
+        SELECT id FROM brand_voice_analyses
+        WHERE company_id = $1 AND status = 'accepted'
+        ORDER BY accepted_at DESC
+        LIMIT 1
+      )
+        AND s.example_rank IS NOT NULL
+      ORDER BY s.example_rank
+      LIMIT $2
+    `, [companyId, limit]);
+
+    return result?.rows || [];
+
+  } catch (error) {
+    logger.warn('Voice example lookup failed', { error: error.message, companyId });
+    return [];
+  }
+}
+
+/**
+ * Examples as a prompt section
+ * @param {Array<Object>} examples - From getVoiceExamples
+ * @returns {string} Formatted examples (empty when there are none)
+ */
+function formatExamplesForPrompt(examples = []) {
+  if (!examples.length) return '';
+
+  const posts = examples.map((example, index) => {
+    const content = example.post_content.length > MAX_EXAMPLE_CHARACTERS
+      ? `${example.post_content.slice(0, MAX_EXAMPLE_CHARACTERS).trimEnd()}…`
+      : example.post_content;
+    return `--- Example ${index + 1} ---\n${content}`;
+  });
+
+  return `POSTS WE HAVE PUBLISHED (match their voice, rhythm and formatting, not their topics):\n\n${posts.join('\n\n')}`;
+}
+
+module.exports = {
+  SOURCES,
+  MIN_POSTS,
+  MAX_POSTS,
+  parseCsv,
+  parsePosts,
+  measureHabits,
+  inferVoice,
+  proposeProfile,
+  analyzeVoice,
+  storeAnalysis,
+  getAnalysis,
+  acceptAnalysis,
+  dismissAnalysis,
+  getVoiceExamples,
+  formatExamplesForPrompt
+};
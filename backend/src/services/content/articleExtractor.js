@@ -0,0 +1,462 @@
+/**
+ * Marketing Machine - Article Extractor
+ * Fetches web pages and reduces articles and blog posts to readable text
+ */
+
+const axios = require('axios');
+const dns = require('dns').promises;
+const net = require('net');
+const { ValidationError } = require('../../middleware/errorHandler');
+const { htmlToText, decodeEntities } = require('./documentExtractor');
+
+const FETCH_TIMEOUT_MS = parseInt(process.env.URL_FETCH_TIMEOUT_MS) || 15000;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'MarketingMachine/1.0 (+content ingestion)';
+
+// Pages shorter than this after boilerplate removal are not worth generating hooks from
+const MIN_ARTICLE_CHARACTERS = 200;
+
+// Removed along with everything inside them
+const STRIPPED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'button', 'select', 'textarea', 'head'];
+const BOILERPLATE_ELEMENTS = new Set(['nav', 'header', 'footer', 'aside', 'dialog', 'figure']);
+const BOILERPLATE_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'dialog', 'alert']);
+// Matched against each class name / id on its own, so "has-sidebar" on a wrapper does not match
+const BOILERPLATE_NAME = /^(nav|navbar|navigation|menu|sidebar|footer|comments?|share|sharing|social|related|newsletter|subscribe|subscription|cookies?|consent|promo|advert|advertisement|ads?|breadcrumbs?|popup|modal|author-bio|byline|tags)([-_].*)?$/i;
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// =============================================
+// FETCHING
+// =============================================
+
+/**
+ * Reject URLs that are not public http(s) addresses
+ * Private and loopback targets are allowed only with URL_FETCH_ALLOW_PRIVATE=true (local development).
+ * @param {string} url - URL to fetch
+ * @returns {Promise<URL>} Parsed URL
+ * @throws {ValidationError} When the URL cannot be fetched
+ */
+async function assertFetchableUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new ValidationError('URL is not valid');
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new ValidationError('Only http and https URLs can be fetched');
+  }
+
+  if (process.env.URL_FETCH_ALLOW_PRIVATE === 'true') {
+    return parsed;
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.lookup(hostname, { all: true });
+  } catch (error) {
+    throw new ValidationError(`Could not resolve ${parsed.hostname}`);
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new ValidationError('URL points to a private network address');
+  }
+
+  return parsed;
+}
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Address is loopback, private, link-local or unspecified
+ */
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  const normalized = address.toLowerCase();
+  return normalized === '::' || normalized === '::1' ||
+    /^f[cd]/.test(normalized) || /^fe[89ab]/.test(normalized);
+}
+
+/**
+ * Fetch a URL, following redirects only to public addresses
+ * @param {string} url - URL to fetch
+ * @param {Object} options - { accept, headers, timeout }
+ * @returns {Promise<Object>} { status, body, url (after redirects), headers }; status 304 has no body
+ * @throws {ValidationError} When the URL is not fetchable or the server responds with an error
+ */
+async function fetchUrl(url, options = {}) {
+  let currentUrl = url;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    await assertFetchableUrl(currentUrl);
+
+    let response;
+    try {
+      response = await axios.get(currentUrl, {
+        headers: {
+          'User-Agent': USER_AGENT,
+          Accept: options.accept || 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5',
+          ...options.headers
+        },
+        responseType: 'text',
+        timeout: options.timeout || FETCH_TIMEOUT_MS,
+        maxContentLength: MAX_PAGE_BYTES,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      const reason = error.code === 'ECONNABORTED' ? 'timed out' : error.message;
+      throw new ValidationError(`Could not fetch ${currentUrl}: ${reason}`);
+    }
+
+    if (response.status >= 300 && response.status < 400 && response.status !== 304) {
+      if (!response.headers.location) {
+        throw new ValidationError(`Could not fetch ${currentUrl}: redirect without a location`);
+      }
+      currentUrl = new URL(response.headers.location, currentUrl).toString();
+      continue;
+    }
+
+    if (response.status >= 400) {
+      throw new ValidationError(`Could not fetch ${currentUrl}: HTTP ${response.status}`);
+    }
+
+    return {
+      status: response.status,
+      body: typeof response.data === 'string' ? response.data : String(response.data || ''),
+      url: currentUrl,
+      headers: response.headers
+    };
+  }
+
+  throw new ValidationError(`Could not fetch ${url}: too many redirects`);
+}
+
+/**
+ * Fetch an article or blog post and extract its readable text
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} { title, text, metadata }
+ */
+async function fetchArticle(url) {
+  const response = await fetchUrl(url);
+  const contentType = String(response.headers['content-type'] || '');
+
+  if (contentType && !/html|xml|text\/plain/i.test(contentType)) {
+    throw new ValidationError(`URL does not point to a web page (${contentType.split(';')[0]})`);
+  }
+
+  if (/text\/plain/i.test(contentType)) {
+    const text = response.body.trim();
+    if (text.length < MIN_ARTICLE_CHARACTERS) {
+      throw new ValidationError('Page has no readable article text');
+    }
+    return { title: null, text, metadata: { url: response.url, word_count: countWords(text) } };
+  }
+
+  return extractArticle(response.body, response.url);
+}
+
+// =============================================
+// EXTRACTION
+// =============================================
+
+/**
+ * Reduce an HTML page to its article text and metadata
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL (after redirects), used to resolve the canonical link
+ * @returns {Object} { title, text, metadata }
+ * @throws {ValidationError} When no readable article text is found
+ */
+function extractArticle(html, url) {
+  const metadata = extractPageMetadata(html, url);
+
+  let body = stripElements(html);
+  body = removeElements(body, isBoilerplate);
+
+  const root = findContentRoot(body);
+  // Whitespace in HTML source is insignificant; collapse it before block extraction
+  const { text, sections } = htmlToText(root.replace(/\s+/g, ' '));
+
+  if (text.length < MIN_ARTICLE_CHARACTERS) {
+    throw new ValidationError('Page has no readable article text');
+  }
+
+  return {
+    title: metadata.title,
+    text,
+    metadata: {
+      ...metadata,
+      sections: sections.map(({ title, level, offset }) => ({ title, level, offset })),
+      word_count: countWords(text)
+    }
+  };
+}
+
+/**
+ * Title, canonical URL, author, site and publish date from meta tags
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL
+ * @returns {Object} Metadata (missing values omitted)
+ */
+function extractPageMetadata(html, url) {
+  const meta = {};
+  for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || attributes.itemprop || '').toLowerCase();
+    if (key && attributes.content && !(key in meta)) {
+      meta[key] = decodeEntities(attributes.content).trim();
+    }
+  }
+
+  const titleTag = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const heading = html.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i);
+  const title = meta['og:title'] || meta['twitter:title'] ||
+    (titleTag && cleanInlineText(titleTag[1])) ||
+    (heading && cleanInlineText(heading[1])) || null;
+
+  let canonicalUrl = url;
+  const canonical = (html.match(/<link\b[^>]*>/gi) || [])
+    .map(parseAttributes)
+    .find(attributes => (attributes.rel || '').toLowerCase().split(/\s+/).includes('canonical') && attributes.href);
+  if (canonical) {
+    try {
+      canonicalUrl = new URL(decodeEntities(canonical.href), url).toString();
+    } catch (error) {
+      // Keep the fetched URL
+    }
+  }
+
+  const time = html.match(/<time\b[^>]*\bdatetime=["']([^"']+)["']/i);
+  const publishedAt = parseDate(meta['article:published_time'] || meta.datepublished ||
+    meta['date'] || (time && time[1]));
+
+  return omitEmpty({
+    url,
+    canonical_url: canonicalUrl,
+    title: title ? title.slice(0, 255) : null,
+    description: meta['og:description'] || meta.description || null,
+    author: meta.author || meta['article:author'] || null,
+    site_name: meta['og:site_name'] || null,
+    published_at: publishedAt
+  });
+}
+
+/**
+ * Pick the element holding the article: <article>, then <main>, then the whole body
+ * Listing pages with several <article> elements use the one with the most text.
+ * @param {string} html - Page HTML without boilerplate
+ * @returns {string} HTML of the content root
+ */
+function findContentRoot(html) {
+  const candidates = [
+    collectElements(html, name => name === 'article'),
+    collectElements(html, (name, attributes) => name === 'main' || attributes.role === 'main')
+  ];
+
+  for (const elements of candidates) {
+    if (elements.length === 0) continue;
+
+    const best = elements
+      .map(element => html.slice(element.innerStart, element.innerEnd))
+      .sort((a, b) => textLength(b) - textLength(a))[0];
+
+    if (textLength(best) >= MIN_ARTICLE_CHARACTERS) {
+      return best;
+    }
+  }
+
+  const body = collectElements(html, name => name === 'body')[0];
+  return body ? html.slice(body.innerStart, body.innerEnd) : html;
+}
+
+/**
+ * @param {string} name - Element name
+ * @param {Object} attributes - Element attributes
+ * @returns {boolean} Element is navigation, chrome or otherwise not article content
+ */
+function isBoilerplate(name, attributes) {
+  if (BOILERPLATE_ELEMENTS.has(name)) return true;
+  if (BOILERPLATE_ROLES.has((attributes.role || '').toLowerCase())) return true;
+  if (attributes['aria-hidden'] === 'true' || 'hidden' in attributes) return true;
+
+  const names = `${attributes.class || ''} ${attributes.id || ''}`.split(/\s+/).filter(Boolean);
+  return names.some(value => BOILERPLATE_NAME.test(value));
+}
+
+// =============================================
+// HTML HELPERS
+// =============================================
+
+/**
+ * Remove comments and elements whose content is never article text
+ * @param {string} html - Page HTML
+ * @returns {string} HTML
+ */
+function stripElements(html) {
+  let result = html.replace(/<!--[\s\S]*?-->/g, '').replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '');
+
+  for (const name of STRIPPED_ELEMENTS) {
+    result = result.replace(new RegExp(`<${name}\\b[^>]*>[\\s\\S]*?<\\/${name}\\s*>`, 'gi'), ' ');
+  }
+
+  return result;
+}
+
+/**
+ * Find elements matching a predicate, tolerating unclosed tags
+ * Nested matches inside a match are not returned separately.
+ * @param {string} html - HTML
+ * @param {Function} matches - (name, attributes) => boolean
+ * @returns {Array} [{ start, end, innerStart, innerEnd }]
+ */
+function collectElements(html, matches) {
+  const elements = [];
+  const stack = [];
+  const tagPattern = /<(\/?)([a-z][a-z0-9-]*)\b[^>]*>/gi;
+  let match;
+
+  while ((match = tagPattern.exec(html)) !== null) {
+    const name = match[2].toLowerCase();
+    const closing = match[1] === '/';
+
+    if (!closing) {
+      if (VOID_ELEMENTS.has(name) || match[0].endsWith('/>')) continue;
+
+      const insideMatch = stack.some(entry => entry.matched);
+      stack.push({
+        name,
+        start: match.index,
+        innerStart: tagPattern.lastIndex,
+        matched: !insideMatch && matches(name, parseAttributes(match[0]))
+      });
+      continue;
+    }
+
+    // Close the nearest open element of this name; anything left open inside it closes too
+    const index = stack.map(entry => entry.name).lastIndexOf(name);
+    if (index === -1) continue;
+
+    for (const entry of stack.splice(index)) {
+      if (entry.matched) {
+        elements.push({
+          start: entry.start,
+          innerStart: entry.innerStart,
+          innerEnd: match.index,
+          end: tagPattern.lastIndex
+        });
+      }
+    }
+  }
+
+  // Unclosed matches run to the end of the document
+  for (const entry of stack) {
+    if (entry.matched) {
+      elements.push({ start: entry.start, innerStart: entry.innerStart, innerEnd: html.length, end: html.length });
+    }
+  }
+
+  return elements.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Remove elements matching a predicate along with their content
+ * @param {string} html - HTML
+ * @param {Function} matches - (name, attributes) => boolean
+ * @returns {string} HTML
+ */
+function removeElements(html, matches) {
+  let result = '';
+  let position = 0;
+
+  for (const element of collectElements(html, matches)) {
+    if (element.start < position) continue;
+    result += html.slice(position, element.start) + ' ';
+    position = element.end;
+  }
+
+  return result + html.slice(position);
+}
+
+/**
+ * @param {string} tag - Opening tag
+ * @returns {Object} Attribute names (lower case) to raw values
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  const body = tag.replace(/^<\/?[a-z][a-z0-9-]*/i, '').replace(/\/?>$/, '');
+  const pattern = /([a-z_:][-a-z0-9_:.]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/gi;
+  let match;
+
+  while ((match = pattern.exec(body)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+
+  return attributes;
+}
+
+/**
+ * @param {string} html - Inline HTML
+ * @returns {string} Decoded text with tags removed and whitespace collapsed
+ */
+function cleanInlineText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {string} html - HTML
+ * @returns {number} Length of the visible text
+ */
+function textLength(html) {
+  return html.replace(/<[^>]*>/g, '').replace(/\s+/g, '').length;
+}
+
+/**
+ * @param {string} text - Text
+ * @returns {number} Words containing letters or digits
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+/**
+ * @param {string} value - Date string
+ * @returns {string|null} ISO timestamp
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * @param {Object} object - Object
+ * @returns {Object} Object without null, undefined or empty string values
+ */
+function omitEmpty(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+}
+
+module.exports = {
+  assertFetchableUrl,
+  isPrivateAddress,
+  fetchUrl,
+  fetchArticle,
+  extractArticle,
+  cleanInlineText,
+  parseDate
+};
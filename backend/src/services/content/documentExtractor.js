@@ -0,0 +1,584 @@
+/**
+ * Marketing Machine - Document Extractor
+ * Text, headings and tables from uploaded PDF and DOCX files, with page and section metadata,
+ * and speaker turns from transcript files
+ */
+
+// The package entry point runs a debug script when it has no parent module, so load the library directly
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { OPS } = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const mammoth = require('mammoth');
+const { ValidationError } = require('../../middleware/errorHandler');
+const {
+  parseVtt,
+  parseSrt,
+  parseSpeakerText,
+  parseJsonTurns,
+  turnsToText,
+  listSpeakers
+} = require('./transcriptParser');
+
+const PDF_MIME_TYPE = 'application/pdf';
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Pages with fewer readable characters than this are treated as having no text layer
+const MIN_PAGE_CHARACTERS = 20;
+// A line set at least this much larger than body text is a heading
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 120;
+// Horizontal gap, in multiples of the font size, that separates table columns
+const COLUMN_GAP_RATIO = 2;
+
+const IMAGE_OPS = new Set([
+  OPS.paintJpegXObject,
+  OPS.paintImageXObject,
+  OPS.paintInlineImageXObject,
+  OPS.paintImageMaskXObject
+]);
+
+// Encrypted Office documents are stored in an OLE compound file instead of a zip archive
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+/**
+ * Detect the document format of an uploaded file
+ * @param {Object} file - Multer file ({ originalname, mimetype })
+ * @returns {string|null} 'pdf', 'docx', 'vtt', 'srt', 'json', 'text' or null
+ */
+function detectFormat(file) {
+  const name = (file.originalname || '').toLowerCase();
+
+  if (file.mimetype === PDF_MIME_TYPE || name.endsWith('.pdf')) return 'pdf';
+  if (file.mimetype === DOCX_MIME_TYPE || name.endsWith('.docx')) return 'docx';
+  if (file.mimetype === 'text/vtt' || name.endsWith('.vtt')) return 'vtt';
+  if (file.mimetype === 'application/x-subrip' || name.endsWith('.srt')) return 'srt';
+  if (file.mimetype === 'application/json' || name.endsWith('.json')) return 'json';
+  if (file.mimetype === 'text/plain' || name.endsWith('.txt') || name.endsWith('.md')) return 'text';
+  return null;
+}
+
+/**
+ * Extract text from an uploaded document
+ * @param {Object} file - Multer file ({ originalname, mimetype, buffer })
+ * @returns {Promise<Object>} { text, metadata } where metadata describes pages and sections;
+ *   transcripts also return their speaker turns as { turns }
+ * @throws {ValidationError} For unsupported, protected, scanned, empty or unreadable documents
+ */
+async function extractDocument(file) {
+  const format = detectFormat(file);
+
+  switch (format) {
+    case 'pdf':
+      return extractPdf(file.buffer);
+    case 'docx':
+      return extractDocx(file.buffer);
+    case 'vtt':
+    case 'srt':
+    case 'json':
+      return extractTranscript(format, file.buffer.toString('utf-8'));
+    case 'text':
+      return extractText(file.buffer.toString('utf-8'));
+    default:
+      throw new ValidationError('Unsupported file type');
+  }
+}
+
+// =============================================
+// TRANSCRIPTS
+// =============================================
+
+/**
+ * Parse a subtitle or JSON transcript into speaker turns
+ * @param {string} format - 'vtt', 'srt' or 'json'
+ * @param {string} source - File contents
+ * @returns {Object} { text, metadata, turns }
+ */
+function extractTranscript(format, source) {
+  let turns;
+
+  if (format === 'json') {
+    try {
+      turns = parseJsonTurns(source);
+    } catch (error) {
+      throw new ValidationError(error instanceof SyntaxError ? 'JSON transcript is not valid JSON' : error.message);
+    }
+  } else {
+    turns = format === 'srt' ? parseSrt(source) : parseVtt(source);
+  }
+
+  if (turns.length === 0) {
+    throw new ValidationError('Transcript contains no timed cues with text');
+  }
+
+  return buildTranscriptResult(format, turns);
+}
+
+/**
+ * Plain text, parsed as speaker turns when it is a speaker-labelled export (e.g. Otter)
+ * @param {string} source - File contents
+ * @returns {Object} { text, metadata, turns? }
+ */
+function extractText(source) {
+  const turns = parseSpeakerText(source);
+
+  if (turns.length > 0) {
+    return buildTranscriptResult('speaker_text', turns);
+  }
+
+  return { text: source, metadata: { format: 'text' } };
+}
+
+/**
+ * @param {string} format - Transcript format
+ * @param {Array<Object>} turns - Speaker turns
+ * @returns {Object} { text, metadata, turns }
+ */
+function buildTranscriptResult(format, turns) {
+  const times = turns.flatMap(turn => [turn.start, turn.end]).filter(Number.isFinite);
+
+  return {
+    text: turnsToText(turns),
+    turns,
+    metadata: {
+      format,
+      speakers: listSpeakers(turns),
+      turn_count: turns.length,
+      ...(times.length > 0 && { duration_seconds: Math.round(Math.max(...times)) })
+    }
+  };
+}
+
+// =============================================
+// PDF
+// =============================================
+
+/**
+ * Extract text from a PDF's text layer
+ * Lines set larger than body text become headings; wide horizontal gaps become " | " column breaks.
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<Object>} { text, metadata }
+ */
+async function extractPdf(buffer) {
+  const pages = [];
+  let data;
+
+  try {
+    // pdf.js reads the underlying ArrayBuffer, so hand it a copy instead of a view into Node's buffer pool
+    data = await pdfParse(new Uint8Array(buffer), {
+      pagerender: async (pageData) => {
+        const page = await readPdfPage(pageData);
+        pages[pageData.pageIndex] = page;
+        return '';
+      }
+    });
+  } catch (error) {
+    throw describePdfError(error);
+  }
+
+  const pageCount = data.numpages;
+  const readablePages = pages.filter(page => page && countCharacters(page.lines) >= MIN_PAGE_CHARACTERS);
+
+  if (readablePages.length === 0) {
+    if (pages.some(page => page && page.hasImages)) {
+      throw new ValidationError('PDF has no text layer - it looks like a scanned document', {
+        pages: pageCount,
+        hint: 'Run the document through OCR or paste its text instead'
+      });
+    }
+    throw new ValidationError('PDF contains no text', { pages: pageCount });
+  }
+
+  const bodySize = findBodyFontSize(pages);
+  const sections = [];
+  const pageRanges = [];
+  const text = createTextBuilder();
+
+  pages.forEach((page, index) => {
+    if (!page || page.lines.length === 0) return;
+
+    const pageNumber = index + 1;
+    const start = text.fullLength();
+
+    for (const line of page.lines) {
+      if (isHeadingLine(line, bodySize)) {
+        text.append(line.text, true);
+        sections.push({ title: line.text, page: pageNumber, offset: text.length() - line.text.length });
+      } else {
+        text.append(line.text, false);
+      }
+    }
+
+    pageRanges.push({ page: pageNumber, start, end: text.length() });
+    text.paragraphBreak();
+  });
+
+  const info = data.info || {};
+  const scannedPages = pages
+    .map((page, index) => (page && page.hasImages && countCharacters(page.lines) < MIN_PAGE_CHARACTERS ? index + 1 : null))
+    .filter(Boolean);
+
+  return {
+    text: text.toString().trim(),
+    metadata: {
+      format: 'pdf',
+      page_count: pageCount,
+      pages: pageRanges,
+      sections,
+      ...(scannedPages.length > 0 && { pages_without_text: scannedPages }),
+      ...(info.Title && { document_title: info.Title }),
+      ...(info.Author && { document_author: info.Author })
+    }
+  };
+}
+
+/**
+ * Read a PDF page's text items as positioned lines
+ * @param {Object} pageData - pdf.js page
+ * @returns {Promise<Object>} { lines: [{ text, size }], hasImages }
+ */
+async function readPdfPage(pageData) {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: true });
+  const rows = [];
+
+  for (const item of textContent.items) {
+    if (!item.str || !item.str.trim()) continue;
+
+    const [, , , scaleY, x, y] = item.transform;
+    const size = Math.abs(scaleY) || item.height || 0;
+    let row = rows.find(candidate => Math.abs(candidate.y - y) <= Math.max(size, candidate.size) * 0.3);
+
+    if (!row) {
+      row = { y, size, items: [] };
+      rows.push(row);
+    }
+    row.size = Math.max(row.size, size);
+    row.items.push({ str: item.str, x, width: item.width || 0, size });
+  }
+
+  // PDF coordinates grow upwards, so the top of the page has the largest y
+  rows.sort((a, b) => b.y - a.y);
+
+  const lines = rows
+    .map(row => ({ text: joinRowItems(row.items), size: row.size }))
+    .filter(line => line.text);
+
+  let hasImages = false;
+  if (countCharacters(lines) < MIN_PAGE_CHARACTERS) {
+    const operatorList = await pageData.getOperatorList();
+    hasImages = operatorList.fnArray.some(fn => IMAGE_OPS.has(fn));
+  }
+
+  return { lines, hasImages };
+}
+
+/**
+ * Join the text items of one line, flattening table columns to " | "
+ * @param {Array} items - Items on the same line
+ * @returns {string} Line text
+ */
+function joinRowItems(items) {
+  const sorted = [...items].sort((a, b) => a.x - b.x);
+  let text = '';
+  let previousEnd = null;
+
+  for (const item of sorted) {
+    if (previousEnd !== null) {
+      const gap = item.x - previousEnd;
+      if (gap > item.size * COLUMN_GAP_RATIO) {
+        text = text.trimEnd() + ' | ';
+      } else if (gap > item.size * 0.1 && !/\s$/.test(text) && !/^\s/.test(item.str)) {
+        text += ' ';
+      }
+    }
+    text += item.str;
+    previousEnd = item.x + item.width;
+  }
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Font size used by most of the document's text
+ * @param {Array} pages - Pages from readPdfPage
+ * @returns {number} Body font size
+ */
+function findBodyFontSize(pages) {
+  const characters = new Map();
+
+  for (const page of pages) {
+    for (const line of (page ? page.lines : [])) {
+      const size = Math.round(line.size * 10) / 10;
+      characters.set(size, (characters.get(size) || 0) + line.text.length);
+    }
+  }
+
+  let bodySize = 0;
+  let most = -1;
+  for (const [size, count] of characters) {
+    if (count > most) {
+      bodySize = size;
+      most = count;
+    }
+  }
+  return bodySize;
+}
+
+/**
+ * @param {Object} line - { text, size }
+ * @param {number} bodySize - Body font size
+ * @returns {boolean} Line looks like a heading
+ */
+function isHeadingLine(line, bodySize) {
+  return bodySize > 0 &&
+    line.size >= bodySize * HEADING_SIZE_RATIO &&
+    line.text.length <= MAX_HEADING_LENGTH &&
+    /\p{L}/u.test(line.text) &&
+    !line.text.includes(' | ');
+}
+
+/**
+ * Map pdf.js failures to errors the uploader can act on
+ * @param {Error} error - pdf.js error
+ * @returns {Error} Error to throw
+ */
+function describePdfError(error) {
+  if (error.name === 'PasswordException') {
+    return new ValidationError('PDF is password-protected', {
+      hint: 'Remove the password and upload the document again'
+    });
+  }
+  if (error.name === 'InvalidPDFException' || error.name === 'MissingPDFException' || error.name === 'FormatError') {
+    return new ValidationError('File is not a valid PDF or is corrupted');
+  }
+  return error;
+}
+
+// =============================================
+// DOCX
+// =============================================
+
+/**
+ * Extract text from a DOCX document
+ * Headings become their own paragraphs, list items are prefixed with "- " and table rows are
+ * flattened to "cell | cell" lines.
+ * @param {Buffer} buffer - DOCX file contents
+ * @returns {Promise<Object>} { text, metadata }
+ */
+async function extractDocx(buffer) {
+  if (buffer.length >= OLE_SIGNATURE.length && buffer.subarray(0, OLE_SIGNATURE.length).equals(OLE_SIGNATURE)) {
+    throw new ValidationError('Document is password-protected or in the legacy .doc format', {
+      hint: 'Remove the password or save the document as .docx and upload it again'
+    });
+  }
+
+  let result;
+  try {
+    result = await mammoth.convertToHtml({ buffer });
+  } catch (error) {
+    throw new ValidationError('DOCX file could not be read - it may be corrupted', { reason: error.message });
+  }
+
+  const { text, sections, tableCount, imageCount } = htmlToText(result.value);
+
+  if (!text) {
+    if (imageCount > 0) {
+      throw new ValidationError('Document only contains images - it looks like a scanned document', {
+        hint: 'Run the document through OCR or paste its text instead'
+      });
+    }
+    throw new ValidationError('Document contains no text');
+  }
+
+  return {
+    text,
+    metadata: {
+      format: 'docx',
+      sections,
+      table_count: tableCount,
+      word_count: text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length
+    }
+  };
+}
+
+/**
+ * Flatten mammoth's HTML to plain text, collecting headings as sections
+ * @param {string} html - HTML from mammoth
+ * @returns {Object} { text, sections, tableCount, imageCount }
+ */
+function htmlToText(html) {
+  const sections = [];
+  const text = createTextBuilder();
+  let block = null;
+  let listDepth = 0;
+  let tableDepth = 0;
+  let tableCount = 0;
+  let imageCount = 0;
+  let row = null;
+  let cell = null;
+
+  const flushBlock = () => {
+    const value = block ? block.text.replace(/[ \t]+/g, ' ').trim() : '';
+
+    if (value && /^h[1-6]$/.test(block.name)) {
+      text.append(value, true);
+      sections.push({ title: value, level: parseInt(block.name[1]), offset: text.length() - value.length });
+    } else if (value && block.name === 'li') {
+      text.append(`${'  '.repeat(Math.max(block.depth - 1, 0))}- ${value}`, false);
+    } else if (value) {
+      text.append(value, false);
+    }
+    block = null;
+  };
+
+  const tokens = html.match(/<\/?[a-z0-9]+[^>]*>|[^<]+/gi) || [];
+
+  for (const token of tokens) {
+    const tag = token.match(/^<(\/?)([a-z0-9]+)/i);
+
+    if (!tag) {
+      const value = decodeEntities(token);
+      if (cell !== null) cell += value;
+      else if (block) block.text += value;
+      continue;
+    }
+
+    const closing = tag[1] === '/';
+    const name = tag[2].toLowerCase();
+
+    if (name === 'img') {
+      imageCount++;
+    } else if (name === 'br') {
+      if (cell !== null) cell += ' ';
+      else if (block) block.text += '\n';
+    } else if (name === 'table') {
+      if (!closing && tableDepth++ === 0) tableCount++;
+      if (closing) tableDepth--;
+    } else if (tableDepth > 1) {
+      // Nested tables are flattened into the outer cell
+      if (cell !== null && (name === 'td' || name === 'th' || name === 'p') && closing) cell += ' ';
+    } else if (name === 'tr') {
+      if (!closing) {
+        row = [];
+      } else if (row) {
+        if (row.some(Boolean)) text.append(row.join(' | '), false);
+        row = null;
+      }
+    } else if (name === 'td' || name === 'th') {
+      if (!closing) {
+        cell = '';
+      } else if (row && cell !== null) {
+        row.push(cell.replace(/\s+/g, ' ').trim());
+        cell = null;
+      }
+    } else if (cell !== null) {
+      // Paragraphs and lists inside a cell
+      if (closing && (name === 'p' || name === 'li')) cell += ' ';
+    } else if (name === 'ul' || name === 'ol') {
+      // A nested list ends the text of the item that contains it
+      if (!closing) flushBlock();
+      listDepth += closing ? -1 : 1;
+    } else if (/^h[1-6]$/.test(name) || name === 'p' || name === 'li') {
+      if (!closing) {
+        block = { name, text: '', depth: listDepth };
+      } else {
+        flushBlock();
+      }
+    }
+  }
+
+  return { text: text.toString().trim(), sections, tableCount, imageCount };
+}
+
+// Named entities beyond the ones mammoth emits, common in web pages
+const NAMED_ENTITIES = {
+  lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '\u2013', mdash: '\u2014', hellip: '\u2026', bull: '\u2022', middot: '\u00b7',
+  lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201c', rdquo: '\u201d',
+  copy: '\u00a9', reg: '\u00ae', trade: '\u2122', euro: '\u20ac', pound: '\u00a3'
+};
+
+/**
+ * Decode HTML entities (mammoth output and web pages)
+ * @param {string} value - Escaped text
+ * @returns {string} Text
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    if (entity.toLowerCase() === 'amp') return '&';
+    return NAMED_ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+// =============================================
+// SHARED
+// =============================================
+
+/**
+ * Accumulates extracted lines; headings and paragraph breaks are set apart by blank lines
+ * Lines are kept in an array and joined once, and the newlines after the last line are only
+ * counted, so a document is never copied per line.
+ * @returns {Object} { append(line, isHeading), paragraphBreak(), length(), fullLength(), toString() }
+ */
+function createTextBuilder() {
+  const parts = [];
+  let written = 0;
+  // Newlines owed after the last line: 1 ends a line, 2 leave a blank line
+  let pending = 0;
+
+  return {
+    append(line, isHeading) {
+      const afterBreak = (written === 0 && pending === 0) || pending >= 2;
+
+      if (!line) {
+        pending = afterBreak ? pending + (isHeading ? 2 : 1) : 2;
+        return;
+      }
+
+      const separator = afterBreak ? '\n'.repeat(pending) : (isHeading ? '\n\n' : '\n');
+      parts.push(separator, line);
+      written += separator.length + line.length;
+      pending = isHeading ? 2 : 1;
+    },
+
+    paragraphBreak() {
+      pending = 2;
+    },
+
+    // Length of the text without its trailing newlines
+    length() {
+      return written;
+    },
+
+    // Length including the trailing newlines, where a line appended after a paragraph break starts
+    fullLength() {
+      return written + pending;
+    },
+
+    toString() {
+      return parts.join('') + '\n'.repeat(pending);
+    }
+  };
+}
+
+/**
+ * @param {Array} lines - Lines of { text }
+ * @returns {number} Non-whitespace characters
+ */
+function countCharacters(lines) {
+  return lines.reduce((total, line) => total + line.text.replace(/\s/g, '').length, 0);
+}
+
+module.exports = {
+  detectFormat,
+  extractDocument,
+  extractPdf,
+  extractDocx,
+  extractTranscript,
+  htmlToText,
+  decodeEntities
+};
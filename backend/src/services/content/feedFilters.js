@@ -0,0 +1,167 @@
+/**
+ * Marketing Machine - Feed Filters
+ * Decide which feed items are worth turning into marketing content
+ *
+ * Rules are stored per feed in content_feeds.filters:
+ *
+ * {
+ *   "title_include": ["pricing", "/case study|customer story/i"],
+ *   "title_exclude": ["hiring", "webinar recap"],
+ *   "categories": ["product", "customers"],
+ *   "exclude_categories": ["company news"],
+ *   "max_age_days": 14
+ * }
+ *
+ * Title patterns work as in webhook filters: "/regex/flags" or a case-insensitive substring.
+ * Rules run in the order above and the first failing rule filters the item out.
+ */
+
+const { matchesPattern, parsePatternRegex } = require('../webhook/webhookFilters');
+
+const FEED_FILTER_RULES = [
+  'title_include',
+  'title_exclude',
+  'categories',
+  'exclude_categories',
+  'max_age_days'
+];
+
+// =============================================
+// EVALUATION
+// =============================================
+
+/**
+ * Evaluate a feed's filters against a parsed feed item
+ * @param {Object} item - Feed item (title, categories, publishedAt)
+ * @param {Object} filters - Feed filters
+ * @param {Date} now - Current time
+ * @returns {Object} { passed, rule, reason }
+ */
+function evaluateFeedFilters(item, filters, now = new Date()) {
+  if (!filters || typeof filters !== 'object' || Object.keys(filters).length === 0) {
+    return { passed: true };
+  }
+
+  for (const rule of FEED_FILTER_RULES) {
+    if (isUnset(filters[rule])) continue;
+
+    const reason = RULE_CHECKS[rule](filters[rule], item, now);
+    if (reason) {
+      return { passed: false, rule, reason };
+    }
+  }
+
+  return { passed: true };
+}
+
+const RULE_CHECKS = {
+  title_include(patterns, item) {
+    if (!item.title) return null;
+    if (!patterns.some(pattern => matchesPattern(item.title, pattern))) {
+      return `Title "${item.title}" does not match any include pattern`;
+    }
+    return null;
+  },
+
+  title_exclude(patterns, item) {
+    if (!item.title) return null;
+    const matched = patterns.find(pattern => matchesPattern(item.title, pattern));
+    if (matched) {
+      return `Title "${item.title}" matches exclude pattern "${matched}"`;
+    }
+    return null;
+  },
+
+  categories(categories, item) {
+    const wanted = categories.map(normalizeCategory);
+    if (!itemCategories(item).some(category => wanted.includes(category))) {
+      return itemCategories(item).length > 0
+        ? `Categories ${item.categories.join(', ')} are not in ${categories.join(', ')}`
+        : `Item has no categories (expected ${categories.join(', ')})`;
+    }
+    return null;
+  },
+
+  exclude_categories(categories, item) {
+    const excluded = categories.map(normalizeCategory);
+    const matched = (item.categories || []).find(category => excluded.includes(normalizeCategory(category)));
+    if (matched) {
+      return `Category "${matched}" is excluded`;
+    }
+    return null;
+  },
+
+  max_age_days(days, item, now) {
+    if (!item.publishedAt) return null;
+    const ageDays = (now.getTime() - new Date(item.publishedAt).getTime()) / (24 * 60 * 60 * 1000);
+    if (ageDays > Number(days)) {
+      return `Published ${Math.floor(ageDays)} days ago (maximum ${days})`;
+    }
+    return null;
+  }
+};
+
+function itemCategories(item) {
+  return (item.categories || []).map(normalizeCategory);
+}
+
+function normalizeCategory(category) {
+  return String(category).trim().toLowerCase();
+}
+
+function isUnset(value) {
+  return value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+}
+
+// =============================================
+// VALIDATION
+// =============================================
+
+/**
+ * Validate feed filters
+ * @param {Object} filters - Feed filters
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateFeedFilters(filters) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return ['Filters must be an object'];
+  }
+
+  const errors = [];
+
+  Object.keys(filters).forEach(key => {
+    if (!FEED_FILTER_RULES.includes(key)) {
+      errors.push(`Unknown filter "${key}"`);
+    }
+  });
+
+  ['title_include', 'title_exclude', 'categories', 'exclude_categories'].forEach(key => {
+    if (isUnset(filters[key])) return;
+    if (!Array.isArray(filters[key]) || !filters[key].every(item => typeof item === 'string' && item.trim())) {
+      errors.push(`${key}: must be a list of strings`);
+    }
+  });
+
+  ['title_include', 'title_exclude'].forEach(key => {
+    if (!Array.isArray(filters[key])) return;
+    filters[key].forEach(pattern => {
+      try {
+        parsePatternRegex(pattern);
+      } catch (error) {
+        errors.push(`${key}: invalid pattern ${pattern}`);
+      }
+    });
+  });
+
+  if (!isUnset(filters.max_age_days) &&
+      !(Number.isInteger(Number(filters.max_age_days)) && Number(filters.max_age_days) > 0)) {
+    errors.push('max_age_days: must be a positive whole number');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  evaluateFeedFilters,
+  validateFeedFilters
+};
@@ -0,0 +1,204 @@
+/**
+ * Marketing Machine - Feed Parser
+ * Reads RSS 2.0, RSS 1.0 (RDF) and Atom feeds into a common item shape
+ */
+
+const { DOMParser } = require('@xmldom/xmldom');
+const { ValidationError } = require('../../middleware/errorHandler');
+const { cleanInlineText, parseDate } = require('./articleExtractor');
+
+/**
+ * Parse a feed document
+ * @param {string} xml - Feed XML
+ * @returns {Object} { format, title, siteUrl, items: [{ guid, link, title, publishedAt, author, categories, content, summary }] }
+ * @throws {ValidationError} When the document is not an RSS or Atom feed
+ */
+function parseFeed(xml) {
+  let document;
+  try {
+    document = new DOMParser({
+      // Feeds in the wild are often slightly malformed; only give up on fatal errors
+      errorHandler: {
+        warning: () => {},
+        error: () => {},
+        fatalError: message => { throw new Error(message); }
+      }
+    }).parseFromString(String(xml || '').trim(), 'text/xml');
+  } catch (error) {
+    throw new ValidationError('Feed is not valid XML');
+  }
+
+  const root = document && document.documentElement;
+  const rootName = root ? localName(root) : null;
+
+  if (rootName === 'feed') {
+    return parseAtom(root);
+  }
+
+  if (rootName === 'rss' || rootName === 'RDF') {
+    return parseRss(root);
+  }
+
+  throw new ValidationError('Document is not an RSS or Atom feed');
+}
+
+/**
+ * @param {Element} root - <rss> or <rdf:RDF>
+ * @returns {Object} Parsed feed
+ */
+function parseRss(root) {
+  const channel = child(root, 'channel');
+  // RSS 2.0 nests items in the channel, RSS 1.0 places them beside it
+  const itemParent = children(channel, 'item').length > 0 ? channel : root;
+
+  const items = children(itemParent, 'item').map(item => {
+    const link = rssLink(item);
+    const guid = textOf(child(item, 'guid')) || item.getAttribute('rdf:about') || link;
+
+    return {
+      guid,
+      link: link || (isUrl(guid) ? guid : null),
+      title: inlineText(child(item, 'title')),
+      publishedAt: parseDate(textOf(child(item, 'pubDate')) || textOf(child(item, 'date'))),
+      author: textOf(child(item, 'creator')) || textOf(child(item, 'author')) || null,
+      categories: children(item, 'category').map(textOf).filter(Boolean),
+      content: textOf(child(item, 'encoded')) || null,
+      summary: textOf(child(item, 'description')) || textOf(child(item, 'summary')) || null
+    };
+  });
+
+  return {
+    format: 'rss',
+    title: inlineText(child(channel, 'title')),
+    siteUrl: rssLink(channel),
+    items: items.filter(item => item.guid)
+  };
+}
+
+/**
+ * @param {Element} root - <feed>
+ * @returns {Object} Parsed feed
+ */
+function parseAtom(root) {
+  const items = children(root, 'entry').map(entry => {
+    const link = alternateLink(entry);
+    const author = child(entry, 'author');
+
+    return {
+      guid: textOf(child(entry, 'id')) || link,
+      link,
+      title: inlineText(child(entry, 'title')),
+      publishedAt: parseDate(textOf(child(entry, 'published')) || textOf(child(entry, 'updated'))),
+      author: author ? textOf(child(author, 'name')) || null : null,
+      categories: children(entry, 'category')
+        .map(category => category.getAttribute('term') || category.getAttribute('label'))
+        .filter(Boolean),
+      content: atomText(child(entry, 'content')),
+      summary: atomText(child(entry, 'summary'))
+    };
+  });
+
+  return {
+    format: 'atom',
+    title: inlineText(child(root, 'title')),
+    siteUrl: alternateLink(root),
+    items: items.filter(item => item.guid)
+  };
+}
+
+// =============================================
+// XML HELPERS
+// =============================================
+
+/**
+ * @param {Node} node - XML node
+ * @returns {string} Name without namespace prefix
+ */
+function localName(node) {
+  return node.localName || String(node.nodeName).split(':').pop();
+}
+
+/**
+ * @param {Element} parent - Parent element
+ * @param {string} name - Local name
+ * @returns {Array<Element>} Direct child elements with the name, any namespace
+ */
+function children(parent, name) {
+  if (!parent) return [];
+  return Array.from(parent.childNodes || []).filter(node => node.nodeType === 1 && localName(node) === name);
+}
+
+/**
+ * @param {Element} parent - Parent element
+ * @param {string} name - Local name
+ * @returns {Element|null} First direct child element with the name
+ */
+function child(parent, name) {
+  return children(parent, name)[0] || null;
+}
+
+/**
+ * @param {Element|null} element - Element
+ * @returns {string} Trimmed text content (CDATA included)
+ */
+function textOf(element) {
+  return element ? String(element.textContent || '').trim() : '';
+}
+
+/**
+ * Titles may carry escaped markup; reduce them to plain text
+ * @param {Element|null} element - Element
+ * @returns {string|null} Plain text
+ */
+function inlineText(element) {
+  const text = textOf(element);
+  return text ? cleanInlineText(text) : null;
+}
+
+/**
+ * Atom text constructs: type="xhtml" holds markup as child elements, other types hold escaped text
+ * @param {Element|null} element - <content> or <summary>
+ * @returns {string|null} HTML or text
+ */
+function atomText(element) {
+  if (!element) return null;
+
+  if (element.getAttribute('type') === 'xhtml') {
+    const container = child(element, 'div') || element;
+    const markup = Array.from(container.childNodes || []).map(node => node.toString()).join('').trim();
+    return markup || null;
+  }
+
+  return textOf(element) || null;
+}
+
+/**
+ * RSS channels often carry an empty <atom:link rel="self"> beside the real <link>
+ * @param {Element} element - <channel> or <item>
+ * @returns {string|null} First non-empty link
+ */
+function rssLink(element) {
+  return children(element, 'link').map(textOf).find(Boolean) || null;
+}
+
+/**
+ * @param {Element} element - <feed> or <entry>
+ * @returns {string|null} href of the alternate (or first untyped) link
+ */
+function alternateLink(element) {
+  const links = children(element, 'link');
+  const alternate = links.find(link => (link.getAttribute('rel') || 'alternate') === 'alternate');
+  return (alternate && alternate.getAttribute('href')) || null;
+}
+
+/**
+ * @param {string} value - Candidate URL
+ * @returns {boolean} Value is an http(s) URL
+ */
+function isUrl(value) {
+  return /^https?:\/\//i.test(value || '');
+}
+
+module.exports = {
+  parseFeed
+};
@@ -0,0 +1,384 @@
+/**
+ * Marketing Machine - Feed Poller
+ * Polls RSS/Atom subscriptions on a schedule and ingests new items as content
+ */
+
+const cron = require('node-cron');
+const { query } = require('../../config/database');
+const { addContentJob } = require('../../config/queue');
+const { ValidationError } = require('../../middleware/errorHandler');
+const { fetchUrl, fetchArticle, extractArticle } = require('./articleExtractor');
+const { parseFeed } = require('./feedParser');
+const { evaluateFeedFilters } = require('./feedFilters');
+const { ingestContent } = require('./urlIngestion');
+const logger = require('../../utils/logger').queue;
+
+// How often the scheduler looks for feeds that are due
+const FEED_POLL_CRON = process.env.FEED_POLL_CRON || '*/5 * * * *';
+// A new subscription only ingests its most recent items, not the whole back catalogue
+const FEED_INITIAL_ITEMS = parseInt(process.env.FEED_INITIAL_ITEMS) || 3;
+// New items handled per poll; the rest are picked up on the next poll
+const FEED_MAX_ITEMS_PER_POLL = parseInt(process.env.FEED_MAX_ITEMS_PER_POLL) || 20;
+// Consecutive failed polls before a feed is marked as errored and no longer scheduled
+const FEED_MAX_FAILURES = 5;
+
+const FEED_ACCEPT = 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.5';
+
+let scheduledTask = null;
+
+// =============================================
+// POLLING
+// =============================================
+
+/**
+ * Poll a feed and ingest its new items
+ * Fetch and parse failures are recorded on the feed rather than thrown, so the
+ * queue does not retry on top of the next scheduled poll.
+ * @param {number} feedId - Feed ID
+ * @param {Object} options - { manual } - manual polls also run for paused and errored feeds
+ * @returns {Promise<Object>} Poll summary
+ */
+async function pollFeed(feedId, options = {}) {
+  const feedResult = await query('SELECT * FROM content_feeds WHERE id = $1', [feedId]);
+  const feed = feedResult.rows[0];
+
+  if (!feed) {
+    throw new Error(`Feed ${feedId} not found`);
+  }
+
+  if (feed.status !== 'active' && !options.manual) {
+    return { feedId, status: 'skipped', reason: `Feed is ${feed.status}` };
+  }
+
+  let response;
+  let parsed;
+  try {
+    response = await fetchUrl(feed.feed_url, {
+      accept: FEED_ACCEPT,
+      headers: {
+        ...(feed.etag && { 'If-None-Match': feed.etag }),
+        ...(feed.last_modified && { 'If-Modified-Since': feed.last_modified })
+      }
+    });
+
+    if (response.status !== 304) {
+      parsed = parseFeed(response.body);
+    }
+  } catch (error) {
+    return await recordPollFailure(feed, error);
+  }
+
+  if (response.status === 304) {
+    await query(`
+      UPDATE content_feeds
+      SET last_polled_at = NOW(), last_error = NULL, consecutive_failures = 0,
+          status = CASE WHEN status = 'error' THEN 'active' ELSE status END
+      WHERE id = $1
+    `, [feed.id]);
+
+    return { feedId: feed.id, status: 'not_modified' };
+  }
+
+  // Not last_polled_at: failed polls set it too, and the first successful one must still skip the back catalogue
+  const isFirstPoll = !await hasFeedItems(feed.id);
+  const summary = { feedId: feed.id, status: 'polled', itemsFound: parsed.items.length, ingested: 0, duplicates: 0, filtered: 0, skipped: 0, failed: 0 };
+
+  // Newest first, so the initial poll and the per-poll cap keep the most recent items
+  const items = parsed.items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => (Date.parse(b.item.publishedAt) || 0) - (Date.parse(a.item.publishedAt) || 0) || a.index - b.index)
+    .map(({ item }) => item);
+
+  let handled = 0;
+  let claimed = 0;
+  // Items left for the next poll; the feed must not answer 304 until they are handled
+  let capped = false;
+  for (const item of items) {
+    if (handled >= FEED_MAX_ITEMS_PER_POLL) {
+      capped = true;
+      break;
+    }
+
+    const feedItemId = await claimFeedItem(feed, item);
+    if (!feedItemId) {
+      continue;
+    }
+    claimed++;
+
+    // The whole back catalogue is claimed on the first poll, so later polls never ingest it; skips do not count against the cap
+    if (isFirstPoll && claimed > FEED_INITIAL_ITEMS) {
+      await updateFeedItem(feedItemId, 'skipped', `Older than the ${FEED_INITIAL_ITEMS} most recent items when the feed was added`);
+      summary.skipped++;
+      continue;
+    }
+    handled++;
+
+    const filterResult = evaluateFeedFilters(item, feed.filters);
+    if (!filterResult.passed) {
+      await updateFeedItem(feedItemId, 'filtered', filterResult.reason);
+      summary.filtered++;
+      continue;
+    }
+
+    try {
+      const result = await ingestFeedItem(feed, item);
+      await updateFeedItem(feedItemId, result.duplicate ? 'duplicate' : 'ingested', null, result.contentSourceId);
+      summary[result.duplicate ? 'duplicates' : 'ingested']++;
+    } catch (error) {
+      logger.warn('Feed item ingestion failed', {
+        feedId: feed.id,
+        guid: item.guid,
+        error: error.message
+      });
+      await updateFeedItem(feedItemId, 'failed', error.message);
+      summary.failed++;
+    }
+  }
+
+  await query(`
+    UPDATE content_feeds
+    SET last_polled_at = NOW(), last_error = NULL, consecutive_failures = 0,
+        status = CASE WHEN status = 'error' THEN 'active' ELSE status END,
+        feed_format = $2, site_url = COALESCE(site_url, $3),
+        etag = $4, last_modified = $5,
+        items_ingested = items_ingested + $6
+    WHERE id = $1
+  `, [
+    feed.id,
+    parsed.format,
+    parsed.siteUrl,
+    capped ? null : response.headers.etag || null,
+    capped ? null : response.headers['last-modified'] || null,
+    summary.ingested
+  ]);
+
+  summary.capped = capped;
+  logger.info('Feed polled', summary);
+
+  return summary;
+}
+
+/**
+ * Whether any item of the feed has been seen
+ * @param {number} feedId - Feed ID
+ * @returns {Promise<boolean>} An earlier poll claimed items
+ */
+async function hasFeedItems(feedId) {
+  const result = await query(
+    'SELECT EXISTS (SELECT 1 FROM content_feed_items WHERE feed_id = $1) AS seen',
+    [feedId]
+  );
+
+  return Boolean(result.rows[0]?.seen);
+}
+
+/**
+ * Record an item as seen; concurrent or repeated polls cannot claim it twice
+ * @param {Object} feed - Feed row
+ * @param {Object} item - Parsed feed item
+ * @returns {Promise<number|null>} Feed item ID, or null when already seen
+ */
+async function claimFeedItem(feed, item) {
+  const result = await query(`
+    INSERT INTO content_feed_items (feed_id, guid, link, title, published_at, status)
+    VALUES ($1, $2, $3, $4, $5, 'pending')
+    ON CONFLICT (feed_id, guid) DO NOTHING
+    RETURNING id
+  `, [
+    feed.id,
+    item.guid.slice(0, 500),
+    item.link ? item.link.slice(0, 1000) : null,
+    item.title ? item.title.slice(0, 255) : null,
+    item.publishedAt
+  ]);
+
+  return result.rows[0] ? result.rows[0].id : null;
+}
+
+/**
+ * @param {number} feedItemId - Feed item ID
+ * @param {string} status - ingested, duplicate, filtered, skipped or failed
+ * @param {string|null} reason - Filter, skip or failure reason
+ * @param {number|null} contentSourceId - Content source the item became
+ */
+async function updateFeedItem(feedItemId, status, reason, contentSourceId = null) {
+  await query(
+    'UPDATE content_feed_items SET status = $2, filter_reason = $3, content_source_id = $4 WHERE id = $1',
+    [feedItemId, status, reason, contentSourceId]
+  );
+}
+
+/**
+ * Fetch the full article (or use the item's own content) and ingest it
+ * @param {Object} feed - Feed row
+ * @param {Object} item - Parsed feed item
+ * @returns {Promise<Object>} Result of ingestContent
+ */
+async function ingestFeedItem(feed, item) {
+  let article = null;
+
+  if (feed.fetch_full_article && item.link) {
+    try {
+      article = await fetchArticle(item.link);
+    } catch (error) {
+      // Paywalled or script-rendered pages often still publish full text in the feed
+      logger.warn('Feed article fetch failed, using feed content', {
+        feedId: feed.id,
+        link: item.link,
+        error: error.message
+      });
+    }
+  }
+
+  if (!article) {
+    const itemContent = item.content || item.summary;
+    if (!itemContent) {
+      throw new ValidationError('Feed item has no content');
+    }
+    article = extractArticle(`<article>${toHtml(itemContent)}</article>`, item.link || feed.feed_url);
+  }
+
+  return await ingestContent({
+    companyId: feed.company_id,
+    userId: feed.created_by,
+    sourceType: 'feed',
+    sourceName: 'url',
+    url: item.link ? (article.metadata.canonical_url || item.link) : null,
+    title: item.title || article.title || feed.name,
+    content: article.text,
+    contentType: feed.content_type || 'blog_post',
+    metadata: {
+      feed: {
+        id: feed.id,
+        name: feed.name,
+        item_guid: item.guid,
+        published_at: item.publishedAt,
+        author: item.author,
+        categories: item.categories
+      },
+      article: article.metadata
+    }
+  });
+}
+
+/**
+ * Feed content is usually HTML; wrap plain text paragraphs so they survive extraction
+ * @param {string} content - Item content or summary
+ * @returns {string} HTML
+ */
+function toHtml(content) {
+  if (/<[a-z][^>]*>/i.test(content)) {
+    return content;
+  }
+  return content.split(/\n\s*\n/).map(paragraph => `<p>${paragraph}</p>`).join('');
+}
+
+/**
+ * Record a failed poll; repeated failures take the feed off the schedule
+ * @param {Object} feed - Feed row
+ * @param {Error} error - Failure
+ * @returns {Promise<Object>} Poll summary
+ */
+async function recordPollFailure(feed, error) {
+  const result = await query(`
+    UPDATE content_feeds
+    SET last_polled_at = NOW(), last_error = $2,
+        consecutive_failures = consecutive_failures + 1,
+        status = CASE WHEN consecutive_failures + 1 >= $3 THEN 'error' ELSE status END
+    WHERE id = $1
+    RETURNING status, consecutive_failures
+  `, [feed.id, error.message, FEED_MAX_FAILURES]);
+
+  const updated = result.rows[0] || {};
+
+  logger.warn('Feed poll failed', {
+    feedId: feed.id,
+    feedUrl: feed.feed_url,
+    consecutiveFailures: updated.consecutive_failures,
+    status: updated.status,
+    error: error.message
+  });
+
+  return { feedId: feed.id, status: 'failed', error: error.message };
+}
+
+// =============================================
+// SCHEDULING
+// =============================================
+
+/**
+ * Process a feed poll job
+ * @param {Object} job - Bull job object ({ feedId, manual })
+ */
+async function processFeedPoll(job) {
+  const { feedId, manual } = job.data;
+  return await pollFeed(feedId, { manual: !!manual });
+}
+
+/**
+ * Queue a poll job for every active feed whose interval has elapsed
+ * @returns {Promise<number>} Feeds queued
+ */
+async function queueDueFeeds() {
+  const result = await query(`
+    SELECT id, last_polled_at FROM content_feeds
+    WHERE status = 'active'
+      AND (last_polled_at IS NULL
+           OR last_polled_at + (poll_interval_minutes || ' minutes')::interval <= NOW())
+    ORDER BY last_polled_at ASC NULLS FIRST
+  `);
+
+  for (const feed of result.rows) {
+    // One job per feed and poll: a slow poll is not queued again by the next tick
+    const lastPolled = feed.last_polled_at ? new Date(feed.last_polled_at).getTime() : 'never';
+    await addContentJob('poll-feed', { feedId: feed.id }, {
+      jobId: `poll-feed-${feed.id}-${lastPolled}`,
+      attempts: 1
+    });
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Start the feed polling schedule
+ * @returns {Object} node-cron task
+ */
+function startFeedScheduler() {
+  if (scheduledTask) {
+    return scheduledTask;
+  }
+
+  scheduledTask = cron.schedule(FEED_POLL_CRON, async () => {
+    try {
+      const queued = await queueDueFeeds();
+      if (queued > 0) {
+        logger.info('Queued due feed polls', { feeds: queued });
+      }
+    } catch (error) {
+      logger.error('Failed to queue feed polls', { error: error.message });
+    }
+  });
+
+  logger.info('Feed scheduler started', { schedule: FEED_POLL_CRON });
+
+  return scheduledTask;
+}
+
+/**
+ * Stop the feed polling schedule
+ */
+function stopFeedScheduler() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+}
+
+module.exports = {
+  pollFeed,
+  processFeedPoll,
+  queueDueFeeds,
+  startFeedScheduler,
+  stopFeedScheduler
+};
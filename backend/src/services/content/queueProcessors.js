@@ -4,6 +4,9 @@
  */
 
 const HookGenerator = require('../ai/hookGenerator');
+const { createUsage } = require('../ai/tokenUsage');
+const { enforceBudget } = require('../ai/usageLedger');
+const { redactContent, restoreDeep, recordRedactions } = require('../ai/piiRedactor');
 const { query, transaction } = require('../../config/database');
 const logger = require('../../utils/logger').queue;
 
@@ -16,6 +19,8 @@ const hookGenerator = new HookGenerator();
  */
 async function processHookGeneration(job) {
   const { contentSourceId, companyId } = job.data;
+  // Schema errors of hooks the model got wrong, kept on the batch for debugging prompts
+  const validation = [];
   
   try {
     logger.info('Processing hook generation job', {
@@ -43,7 +48,8 @@ async function processHookGeneration(job) {
 
     // Fetch content and company profile
     const contentResult = await query(
-      `SELECT title, content, content_type, metadata 
+      `SELECT title, content, content_type, metadata,
+              (SELECT id FROM processing_batches WHERE content_source_id = $1 ORDER BY id DESC LIMIT 1) as processing_batch_id
        FROM content_sources 
        WHERE id = $1`,
       [contentSourceId]
@@ -65,13 +71,28 @@ async function processHookGeneration(job) {
       throw new Error(`Company ${companyId} not found`);
     }
 
-    const companyProfile = companyResult.rows[0];
+    // Over the soft budget hooks come from a cheaper model; over the hard budget the job is refused
+    const { companyProfile, budget } = await enforceBudget(companyResult.rows[0]);
+
+    // Personal and confidential details never reach the LLM; approved ones are put back into the hooks
+    const redaction = redactContent(content.content, companyProfile, {
+      speakerTurns: content.metadata?.transcript_turns
+    });
 
     // Generate hooks using AI
-    const hooks = await hookGenerator.generateHooks(
-      content.content,
-      companyProfile
+    const usage = createUsage();
+    const redactedHooks = await hookGenerator.generateHooks(
+      redaction.content,
+      companyProfile,
+      { speakerTurns: redaction.speakerTurns, usage, validation }
     );
+    const hooks = redactedHooks.map(hook => restoreDeep(hook, redaction));
+
+    await recordRedactions(redaction, {
+      companyId,
+      contentSourceId,
+      processingBatchId: content.processing_batch_id
+    });
 
     // Store hooks in database
     const storedHooks = await storeGeneratedHooks(
@@ -91,6 +112,11 @@ async function processHookGeneration(job) {
         JSON.stringify({ 
           step: 'hooks_completed',
           hooks_generated: storedHooks.length,
+          redacted_entities: redaction.entities.length,
+          token_usage: usage,
+          cost: hookGenerator.calculateCost(usage),
+          budget_status: budget.status,
+          validation_errors: validation,
           completed_at: new Date().toISOString()
         }),
         contentSourceId
@@ -131,11 +157,17 @@ async function processHookGeneration(job) {
       `UPDATE processing_batches 
        SET status = 'failed',
            error_message = $1,
+           step_details = COALESCE(step_details, '{}'::jsonb) || $3::jsonb,
            updated_at = NOW()
        WHERE content_source_id = $2`,
-      [error.message, contentSourceId]
+      [error.message, contentSourceId, JSON.stringify({ validation_errors: validation })]
     );
 
+    // Retrying cannot help until the budget resets or is raised
+    if (error.code === 'BUDGET_EXCEEDED') {
+      job.discard?.();
+    }
+
     throw error;
   }
 }
@@ -155,8 +187,8 @@ async function storeGeneratedHooks(hooks, contentSourceId, companyId) {
         const result = await client.query(
           `INSERT INTO marketing_hooks 
            (content_source_id, company_id, hook_text, hook_type, theme, 
-            target_audience, emotional_tone, key_points, metadata, score)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            target_audience, emotional_tone, key_points, metadata, score, prompt_version)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
            RETURNING id, uuid, hook_text`,
           [
             contentSourceId,
@@ -179,7 +211,8 @@ async function storeGeneratedHooks(hooks, contentSourceId, companyId) {
               engagement_prediction: hook.engagement_prediction,
               priority: hook.priority
             }),
-            hook.priority || 5
+            hook.priority || 5,
+            hook.prompt_version || null
           ]
         );
 
@@ -405,7 +438,7 @@ async function processBatchContent(job) {
 
         results.push({
           contentSourceId,
-          status: 'failed',
+          status: error.code === 'BUDGET_EXCEEDED' ? 'refused' : 'failed',
           error: error.message
         });
       }
@@ -417,6 +450,7 @@ async function processBatchContent(job) {
       totalProcessed: results.length,
       successful: results.filter(r => r.status === 'success').length,
       failed: results.filter(r => r.status === 'failed').length,
+      refused: results.filter(r => r.status === 'refused').length,
       results
     };
 
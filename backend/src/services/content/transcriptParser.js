@@ -0,0 +1,352 @@
+/**
+ * Marketing Machine - Transcript Parser
+ * Turn recorder transcript files into speaker turns and readable text
+ */
+
+// Quotes must share this share of their words with a turn to be attributed to its speaker
+const MIN_QUOTE_OVERLAP = 0.6;
+
+/**
+ * Parse a WebVTT transcript into speaker turns
+ * Supports "Speaker: text" cue prefixes (Zoom) and <v Speaker> voice tags.
+ * @param {string} vtt - WebVTT file contents
+ * @returns {Array<Object>} Turns ({ speaker, text, start, end }); times in seconds
+ */
+function parseVtt(vtt) {
+  return parseCues(vtt);
+}
+
+/**
+ * Parse a SubRip (.srt) subtitle file into speaker turns
+ * @param {string} srt - SRT file contents
+ * @returns {Array<Object>} Turns ({ speaker, text, start, end }); times in seconds
+ */
+function parseSrt(srt) {
+  // SRT cues are VTT cues with a counter line and comma decimal separators, both handled there
+  return parseCues(srt);
+}
+
+/**
+ * Parse timed cue blocks shared by WebVTT and SRT
+ * @param {string} source - File contents
+ * @returns {Array<Object>} Merged turns
+ */
+function parseCues(source) {
+  const blocks = String(source || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+
+  const turns = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+
+    // Header, NOTE and STYLE blocks have no cue timing
+    if (timingIndex === -1) continue;
+
+    const [startText, endText] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+    const cueText = lines.slice(timingIndex + 1).join(' ');
+    if (!cueText) continue;
+
+    const { speaker, text } = splitSpeaker(cueText);
+    if (!text) continue;
+
+    turns.push({
+      speaker,
+      text,
+      start: parseTimestamp(startText),
+      end: parseTimestamp(endText)
+    });
+  }
+
+  return mergeTurns(turns);
+}
+
+/**
+ * Parse a speaker-labelled plain text transcript
+ * Supports Otter exports ("Jane Doe  12:41" on its own line, followed by what they said) and
+ * "[hh:mm:ss] Speaker: text" lines as produced by turnsToText.
+ * @param {string} text - Transcript text
+ * @returns {Array<Object>} Turns, or an empty array unless the text has at least two labelled turns
+ */
+function parseSpeakerText(text) {
+  const lines = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trim());
+
+  const turns = [];
+  let current = null;
+
+  for (const [index, line] of lines.entries()) {
+    if (!line) continue;
+
+    // Otter puts a blank line before each speaker header, which keeps "see you at 10:30" from reading as one
+    const startsParagraph = index === 0 || !lines[index - 1];
+    const otterHeader = startsParagraph && /^(\S.{0,59}?)\s+(\d{1,2}:\d{2}(?::\d{2})?)$/.exec(line);
+    const bracketed = /^\[(\d{1,2}:\d{2}(?::\d{2})?(?:[.,]\d+)?)\]\s*(.*)$/.exec(line);
+
+    if (otterHeader && otterHeader[1].split(/\s+/).length <= 5) {
+      current = { speaker: otterHeader[1].trim(), text: '', start: parseTimestamp(otterHeader[2]), end: null };
+      turns.push(current);
+    } else if (bracketed) {
+      const { speaker, text: spoken } = splitSpeaker(bracketed[2]);
+      current = { speaker, text: spoken, start: parseTimestamp(bracketed[1]), end: null };
+      turns.push(current);
+    } else if (current) {
+      current.text = current.text ? `${current.text} ${line}` : line;
+    } else {
+      // Text before the first speaker label means this is not a speaker-labelled transcript
+      return [];
+    }
+  }
+
+  const spoken = turns.filter(turn => turn.text);
+  if (spoken.length < 2 || !spoken.some(turn => turn.speaker)) {
+    return [];
+  }
+
+  return closeTurns(spoken);
+}
+
+/**
+ * Parse speaker turns exported as JSON
+ * Accepts an array of turns or an object holding one under turns, segments, utterances,
+ * transcript or results. Times may be seconds, "hh:mm:ss" strings or *_ms milliseconds.
+ * @param {string|Object|Array} json - JSON text or parsed value
+ * @returns {Array<Object>} Turns
+ * @throws {Error} When the JSON holds no recognisable speaker turns
+ */
+function parseJsonTurns(json) {
+  const data = typeof json === 'string' ? JSON.parse(json.replace(/^\uFEFF/, '')) : json;
+  const items = Array.isArray(data)
+    ? data
+    : ['turns', 'segments', 'utterances', 'transcript', 'results']
+      .map(key => data && data[key])
+      .find(Array.isArray);
+
+  if (!items) {
+    throw new Error('JSON transcript must be an array of speaker turns');
+  }
+
+  const turns = items
+    .filter(item => item && typeof item === 'object')
+    .map(item => ({
+      speaker: firstValue(item, ['speaker', 'speaker_name', 'speakerName', 'name', 'participant']),
+      text: String(firstValue(item, ['text', 'transcript', 'sentence', 'content', 'words']) || '').replace(/\s+/g, ' ').trim(),
+      start: readJsonTime(item, ['start', 'start_time', 'startTime', 'timestamp', 'offset']),
+      end: readJsonTime(item, ['end', 'end_time', 'endTime'])
+    }))
+    .filter(turn => turn.text);
+
+  if (turns.length === 0) {
+    throw new Error('JSON transcript contains no speaker turns with text');
+  }
+
+  return closeTurns(mergeTurns(turns.map(turn => ({
+    ...turn,
+    speaker: turn.speaker !== null && turn.speaker !== undefined ? String(turn.speaker) : null
+  }))));
+}
+
+function firstValue(item, keys) {
+  const key = keys.find(name => item[name] !== undefined && item[name] !== null && typeof item[name] !== 'object');
+  return key ? item[key] : null;
+}
+
+function readJsonTime(item, keys) {
+  for (const key of keys) {
+    if (item[`${key}_ms`] !== undefined) return Number(item[`${key}_ms`]) / 1000;
+    if (typeof item[key] === 'number') return item[key];
+    if (typeof item[key] === 'string') return parseTimestamp(item[key]);
+  }
+  return null;
+}
+
+/**
+ * Fill missing end times from the start of the next turn
+ * @param {Array<Object>} turns - Speaker turns
+ * @returns {Array<Object>} Turns
+ */
+function closeTurns(turns) {
+  turns.forEach((turn, index) => {
+    if ((turn.end === null || turn.end === undefined) && turns[index + 1]) {
+      turn.end = turns[index + 1].start;
+    }
+  });
+  return turns;
+}
+
+/**
+ * Split a cue into speaker and text
+ * @param {string} cueText - Cue payload
+ * @returns {Object} { speaker, text }
+ */
+function splitSpeaker(cueText) {
+  const voice = /^<v(?:\.[^\s>]+)*\s+([^>]+)>(.*?)(?:<\/v>)?$/.exec(cueText);
+  if (voice) {
+    return { speaker: voice[1].trim(), text: stripTags(voice[2]) };
+  }
+
+  const text = stripTags(cueText);
+  const prefixed = /^([^:]{1,60}):\s+(.+)$/.exec(text);
+
+  // Avoid treating "Note: ..." style sentences as speakers by requiring a capitalised name
+  if (prefixed && /^[A-Z0-9]/.test(prefixed[1]) && prefixed[1].split(/\s+/).length <= 5) {
+    return { speaker: prefixed[1].trim(), text: prefixed[2].trim() };
+  }
+
+  return { speaker: null, text };
+}
+
+/**
+ * Merge consecutive turns from the same speaker
+ * @param {Array<Object>} turns - Speaker turns
+ * @returns {Array<Object>} Merged turns
+ */
+function mergeTurns(turns) {
+  const merged = [];
+
+  for (const turn of turns) {
+    const previous = merged[merged.length - 1];
+
+    if (previous && previous.speaker === turn.speaker) {
+      previous.text = `${previous.text} ${turn.text}`;
+      previous.end = turn.end;
+    } else {
+      merged.push({ ...turn });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Render speaker turns as "[hh:mm:ss] Speaker: text" lines
+ * @param {Array<Object>} turns - Speaker turns
+ * @returns {string} Transcript text
+ */
+function turnsToText(turns) {
+  return turns
+    .map(turn => {
+      const prefix = turn.start !== null && turn.start !== undefined ? `[${formatTimestamp(turn.start)}] ` : '';
+      return turn.speaker ? `${prefix}${turn.speaker}: ${turn.text}` : `${prefix}${turn.text}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Unique speakers in order of first appearance
+ * @param {Array<Object>} turns - Speaker turns
+ * @returns {Array<string>} Speaker names
+ */
+function listSpeakers(turns) {
+  return [...new Set(turns.map(turn => turn.speaker).filter(Boolean))];
+}
+
+/**
+ * Parse "hh:mm:ss.mmm", "mm:ss.mmm" or "hh:mm:ss,mmm" into seconds
+ * @param {string} timestamp - Timestamp
+ * @returns {number|null} Seconds
+ */
+function parseTimestamp(timestamp) {
+  if (!timestamp) return null;
+
+  const parts = timestamp.replace(',', '.').split(':').map(Number);
+  if (parts.some(part => !Number.isFinite(part))) return null;
+
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Format a timestamp; numbers are treated as seconds from the start of the recording
+ * @param {number|string} timestamp - Timestamp
+ * @returns {string} Formatted timestamp
+ */
+function formatTimestamp(timestamp) {
+  const seconds = typeof timestamp === 'number' ? timestamp : Number(timestamp);
+
+  if (!Number.isFinite(seconds)) {
+    return String(timestamp);
+  }
+
+  const whole = Math.floor(seconds);
+  const hours = Math.floor(whole / 3600);
+  const minutes = Math.floor((whole % 3600) / 60);
+  const secs = whole % 60;
+
+  return [hours, minutes, secs].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+/**
+ * Find the turn a quote was taken from
+ * @param {string} quote - Quote, possibly paraphrased or trimmed
+ * @param {Array<Object>} turns - Speaker turns
+ * @returns {Object|null} Best matching turn
+ */
+function findQuoteTurn(quote, turns) {
+  const quoteWords = normalizeWords(quote);
+  if (quoteWords.length === 0 || !Array.isArray(turns)) return null;
+
+  const phrase = quoteWords.join(' ');
+  let best = null;
+  let bestScore = 0;
+
+  for (const turn of turns) {
+    const turnWords = normalizeWords(turn.text);
+    if (turnWords.join(' ').includes(phrase)) return turn;
+
+    const vocabulary = new Set(turnWords);
+    const score = quoteWords.filter(word => vocabulary.has(word)).length / quoteWords.length;
+    if (score > bestScore) {
+      best = turn;
+      bestScore = score;
+    }
+  }
+
+  return bestScore >= MIN_QUOTE_OVERLAP ? best : null;
+}
+
+/**
+ * Cite a turn as "Speaker, mm:ss"
+ * @param {Object} turn - Speaker turn
+ * @returns {string} Citation, e.g. "Jane, 12:41" or "Jane, 1:02:03"
+ */
+function formatCitation(turn) {
+  const parts = [];
+
+  if (turn.speaker) parts.push(turn.speaker);
+  if (Number.isFinite(turn.start)) {
+    const whole = Math.floor(turn.start);
+    const hours = Math.floor(whole / 3600);
+    const minutes = Math.floor((whole % 3600) / 60);
+    const seconds = String(whole % 60).padStart(2, '0');
+    parts.push(hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`);
+  }
+
+  return parts.join(', ');
+}
+
+function normalizeWords(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s']/gu, ' ').split(/\s+/).filter(Boolean);
+}
+
+function stripTags(text) {
+  return text.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  parseVtt,
+  parseSrt,
+  parseSpeakerText,
+  parseJsonTurns,
+  findQuoteTurn,
+  formatCitation,
+  turnsToText,
+  listSpeakers,
+  parseTimestamp,
+  formatTimestamp
+};
@@ -0,0 +1,168 @@
+/**
+ * Marketing Machine - URL Ingestion
+ * Stores fetched articles and feed items as content sources and queues hook generation
+ */
+
+const crypto = require('crypto');
+const { transaction } = require('../../config/database');
+const { addContentJob } = require('../../config/queue');
+const { computeContentHash, findDuplicateContent } = require('../webhook/contentDedup');
+const { fetchArticle } = require('./articleExtractor');
+const logger = require('../../utils/logger').queue;
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMETER = /^(utm_.*|fbclid|gclid|mc_cid|mc_eid|ref|ref_src|igshid)$/i;
+
+/**
+ * Normalize a URL so the same article is recognised however it was linked
+ * Drops the fragment, tracking parameters, default ports and trailing slashes.
+ * @param {string} url - URL
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+
+  for (const key of Array.from(parsed.searchParams.keys())) {
+    if (TRACKING_PARAMETER.test(key)) parsed.searchParams.delete(key);
+  }
+  parsed.searchParams.sort();
+
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * External ID for a URL - a hash, since URLs can outgrow content_sources.external_id
+ * @param {string} url - Article URL
+ * @returns {string} SHA-1 hex digest of the normalized URL
+ */
+function getUrlExternalId(url) {
+  return crypto.createHash('sha1').update(normalizeUrl(url)).digest('hex');
+}
+
+/**
+ * Fetch an article by URL and queue it for hook generation
+ * @param {Object} options - { companyId, userId, url, title, contentType, metadata, priority }
+ * @returns {Promise<Object>} Result of ingestContent
+ */
+async function ingestUrl(options) {
+  const article = await fetchArticle(options.url);
+  const canonicalUrl = article.metadata.canonical_url || article.metadata.url || options.url;
+
+  return await ingestContent({
+    companyId: options.companyId,
+    userId: options.userId || null,
+    sourceType: 'url',
+    sourceName: 'url',
+    url: canonicalUrl,
+    title: options.title || article.title || canonicalUrl,
+    content: article.text,
+    contentType: options.contentType || 'blog_post',
+    metadata: {
+      ...options.metadata,
+      article: article.metadata,
+      submitted_url: options.url
+    },
+    priority: options.priority
+  });
+}
+
+/**
+ * Store fetched content unless it was already ingested, then queue hook generation
+ * Duplicates are matched on the normalized URL and on the content hash.
+ * @param {Object} content - { companyId, userId, sourceType, sourceName, url, title, content, contentType, metadata, priority }
+ * @returns {Promise<Object>} { contentSourceId, processingBatchId, duplicate, matchedOn? }
+ */
+async function ingestContent(content) {
+  const externalId = content.url ? getUrlExternalId(content.url) : null;
+  const contentHash = computeContentHash(content.content);
+
+  const existing = await findDuplicateContent({
+    companyId: content.companyId,
+    source: content.sourceName,
+    externalId,
+    contentHash
+  });
+
+  if (existing) {
+    logger.info('Fetched content matched existing content', {
+      companyId: content.companyId,
+      url: content.url,
+      contentSourceId: existing.id,
+      matchedOn: existing.matched_on
+    });
+
+    return {
+      contentSourceId: existing.id,
+      processingBatchId: existing.processing_batch_id,
+      duplicate: true,
+      matchedOn: existing.matched_on
+    };
+  }
+
+  const stored = await transaction(async (client) => {
+    const contentResult = await client.query(`
+      INSERT INTO content_sources
+      (company_id, user_id, source_type, source_name, title, content, content_type, metadata,
+       external_id, content_hash)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING id, uuid
+    `, [
+      content.companyId,
+      content.userId || null,
+      content.sourceType,
+      content.sourceName,
+      String(content.title).slice(0, 255),
+      content.content,
+      content.contentType,
+      JSON.stringify({
+        ...content.metadata,
+        url: content.url,
+        ingested_at: new Date().toISOString()
+      }),
+      externalId,
+      contentHash
+    ]);
+
+    const batchResult = await client.query(`
+      INSERT INTO processing_batches
+      (content_source_id, company_id, status, started_at)
+      VALUES ($1, $2, 'pending', NOW())
+      RETURNING id, uuid
+    `, [contentResult.rows[0].id, content.companyId]);
+
+    return {
+      contentSourceId: contentResult.rows[0].id,
+      processingBatchId: batchResult.rows[0].id,
+      batchUuid: batchResult.rows[0].uuid
+    };
+  });
+
+  await addContentJob('generate-hooks', {
+    contentSourceId: stored.contentSourceId,
+    companyId: content.companyId
+  }, {
+    priority: content.priority || 0
+  });
+
+  logger.info('Fetched content queued for processing', {
+    companyId: content.companyId,
+    sourceType: content.sourceType,
+    url: content.url,
+    contentSourceId: stored.contentSourceId
+  });
+
+  return { ...stored, duplicate: false };
+}
+
+module.exports = {
+  normalizeUrl,
+  getUrlExternalId,
+  ingestUrl,
+  ingestContent
+};
@@ -229,6 +229,124 @@ class LinkedInAPI {
     }
   }
 
+  /**
+   * Publish post with a PDF document (e.g. a carousel) to LinkedIn
+   * Documents are only supported by LinkedIn's versioned REST API, not ugcPosts.
+   */
+  async publishDocumentPost(content, pdfBuffer, title, visibility = 'PUBLIC') {
+    try {
+      // Step 1: Upload document to LinkedIn
+      const documentUrn = await this.uploadDocument(pdfBuffer);
+
+      // Step 2: Create post with document
+      const postData = {
+        author: `urn:li:person:${await this.getPersonId()}`,
+        commentary: content,
+        visibility,
+        distribution: {
+          feedDistribution: 'MAIN_FEED',
+          targetEntities: [],
+          thirdPartyDistributionChannels: []
+        },
+        content: {
+          media: {
+            title,
+            id: documentUrn
+          }
+        },
+        lifecycleState: 'PUBLISHED',
+        isReshareDisabledByAuthor: false
+      };
+
+      const response = await this.restClient().post('/posts', postData);
+      const postUrn = response.headers['x-restli-id'];
+
+      logger.info('LinkedIn document post published successfully:', {
+        postId: postUrn,
+        documentUrn,
+        size: pdfBuffer.length
+      });
+
+      return {
+        id: postUrn,
+        url: `https://www.linkedin.com/feed/update/${postUrn}/`,
+        publishedAt: new Date().toISOString(),
+        documentUrn
+      };
+    } catch (error) {
+      logger.error('Failed to publish LinkedIn document post:', {
+        error: error.message,
+        status: error.response?.status,
+        title
+      });
+
+      if (error.response?.status === 401) {
+        throw new UnauthorizedError('LinkedIn access token is invalid or expired');
+      }
+
+      throw new Error(`Failed to publish document post: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload PDF document to LinkedIn
+   */
+  async uploadDocument(pdfBuffer) {
+    try {
+      const personId = await this.getPersonId();
+
+      // Step 1: Initialize upload
+      const initResponse = await this.restClient().post('/documents?action=initializeUpload', {
+        initializeUploadRequest: {
+          owner: `urn:li:person:${personId}`
+        }
+      });
+
+      const { uploadUrl, document } = initResponse.data.value;
+
+      // Step 2: Upload to LinkedIn
+      await axios.put(uploadUrl, pdfBuffer, {
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Content-Type': 'application/octet-stream'
+        }
+      });
+
+      logger.info('Document uploaded to LinkedIn successfully:', {
+        document,
+        size: pdfBuffer.length
+      });
+
+      return document;
+    } catch (error) {
+      logger.error('Failed to upload document to LinkedIn:', {
+        error: error.message,
+        status: error.response?.status
+      });
+
+      throw new Error(`Failed to upload document: ${error.message}`);
+    }
+  }
+
+  /**
+   * Client for LinkedIn's versioned REST API (documents and posts)
+   */
+  restClient() {
+    if (!this.restApiClient) {
+      this.restApiClient = axios.create({
+        baseURL: 'https://api.linkedin.com/rest',
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Content-Type': 'application/json',
+          'X-Restli-Protocol-Version': '2.0.0',
+          'LinkedIn-Version': process.env.LINKEDIN_API_VERSION || '202405'
+        },
+        timeout: 60000
+      });
+    }
+    return this.restApiClient;
+  }
+
   /**
    * Get LinkedIn person ID from profile
    */
@@ -9,6 +9,7 @@ const logger = require('../../utils/logger');
 const LinkedInAPI = require('./linkedinAPI');
 const SmartScheduler = require('./smartScheduler');
 const { ValidationError, NotFoundError, UnauthorizedError } = require('../../utils/errors');
+const { blocksApproval } = require('../ai/factGrounding');
 
 class PublishingService {
   constructor() {
@@ -55,6 +56,10 @@ class PublishingService {
           throw new ValidationError('Post must be approved before scheduling');
         }
 
+        if (blocksApproval(post.fact_check_status)) {
+          throw new ValidationError('Post has unsupported claims; verify or edit them before scheduling');
+        }
+
         // Get LinkedIn credentials
         if (!post.linkedin_access_token) {
           throw new ValidationError('LinkedIn access token not configured for company');
@@ -135,7 +140,8 @@ class PublishingService {
             companyId,
             publishTime: publishTime.toISOString(),
             delay: delay / 1000 / 60, // minutes
-            hasImage: !!imageData
+            hasImage: !!imageData,
+            hasCarousel: !!post.carousel_document_id
           });
         } else {
           logger.warn('Publishing queue not available, marking as publish_pending');
@@ -162,6 +168,7 @@ class PublishingService {
             useSmartScheduling,
             autoPublish,
             hasImage: !!imageData,
+            hasCarousel: !!post.carousel_document_id,
             originalScheduledFor: scheduledFor
           }
         ]);
@@ -221,8 +228,25 @@ class PublishingService {
       }
 
       // Publish to LinkedIn
+      // A carousel attached at any point before publishing makes this a document post,
+      // which cannot also carry an image
+      const carouselResult = await query(`
+        SELECT cd.id, cd.title, cd.pdf
+        FROM linkedin_posts p
+        JOIN carousel_documents cd ON cd.id = p.carousel_document_id
+        WHERE p.id = $1 AND p.company_id = $2
+      `, [postId, companyId]);
+      const carousel = carouselResult.rows[0] || null;
+
       let publishResult;
-      if (imageData && imageData.url) {
+      if (carousel) {
+        publishResult = await linkedInAPI.publishDocumentPost(
+          fullContent,
+          carousel.pdf,
+          carousel.title,
+          'PUBLIC'
+        );
+      } else if (imageData && imageData.url) {
         publishResult = await linkedInAPI.publishImagePost(
           fullContent,
           imageData.url,
@@ -267,6 +291,7 @@ class PublishingService {
           {
             publishedAt: publishResult.publishedAt,
             hasImage: !!imageData,
+            carouselDocumentId: carousel?.id || null,
             contentLength: fullContent.length
           }
         ]);
@@ -357,6 +382,31 @@ class PublishingService {
           postId
         ]);
 
+        // Keep each measurement, so engagement can be compared across how posts were generated
+        const impressions = parseInt(analytics.impressions) || 0;
+        const engagements = ['likes', 'comments', 'shares', 'clicks']
+          .reduce((sum, metric) => sum + (parseInt(analytics[metric]) || 0), 0);
+
+        await query(`
+          INSERT INTO post_analytics (
+            linkedin_post_id, company_id, platform_post_id,
+            impressions, likes, comments, shares, clicks,
+            engagement_rate, click_through_rate, metadata
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        `, [
+          postId,
+          companyId,
+          linkedInPostId,
+          impressions,
+          parseInt(analytics.likes) || 0,
+          parseInt(analytics.comments) || 0,
+          parseInt(analytics.shares) || 0,
+          parseInt(analytics.clicks) || 0,
+          impressions ? Math.min(999.99, engagements / impressions * 100).toFixed(2) : 0,
+          impressions ? Math.min(999.99, (parseInt(analytics.clicks) || 0) / impressions * 100).toFixed(2) : 0,
+          JSON.stringify({ raw: analytics })
+        ]);
+
         logger.info('Analytics collected for post:', {
           postId,
           linkedInPostId,
@@ -0,0 +1,133 @@
+/**
+ * Marketing Machine - Webhook Content Deduplication
+ * Recognise retried and repeated meeting deliveries before they become new content
+ */
+
+const crypto = require('crypto');
+const { query } = require('../../config/database');
+const logger = require('../../utils/logger').webhook;
+
+// Trigram similarity at or above which a transcript is flagged as a near duplicate
+const NEAR_DUPLICATE_THRESHOLD = parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.8;
+// How far back to look for near duplicates
+const NEAR_DUPLICATE_WINDOW_DAYS = parseInt(process.env.NEAR_DUPLICATE_WINDOW_DAYS) || 30;
+// Trigram comparison runs on a prefix so long transcripts stay cheap to compare
+const NEAR_DUPLICATE_SAMPLE_LENGTH = 5000;
+
+/**
+ * Meeting or recording ID from the source system
+ * @param {Object} content - Processed content
+ * @returns {string|null} External ID
+ */
+function getExternalId(content) {
+  const metadata = content.metadata || {};
+  // Zoom reuses meeting IDs for recurring meetings, so its per-instance UUID wins
+  const externalId = metadata.meeting_uuid || metadata.meeting_id || metadata.otter_id ||
+    metadata.recording_id || metadata.external_id;
+
+  return externalId !== undefined && externalId !== null && externalId !== ''
+    ? String(externalId)
+    : null;
+}
+
+/**
+ * Hash of the transcript, insensitive to case and whitespace differences between retries
+ * Must stay in sync with the backfill in migrations/008_content_dedup.sql.
+ * @param {string} text - Content text
+ * @returns {string} SHA-256 hex digest
+ */
+function computeContentHash(text) {
+  const normalized = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Find content already stored for the same source meeting, or with the same transcript
+ * @param {Object} content - Processed content with externalId and contentHash
+ * @returns {Promise<Object|null>} Existing content source with hook count, latest batch and match type
+ */
+async function findDuplicateContent(content) {
+  if (!content.externalId && !content.contentHash) {
+    return null;
+  }
+
+  const result = await query(`
+    SELECT
+      cs.id,
+      CASE WHEN $3::varchar IS NOT NULL AND cs.source_name = $2 AND cs.external_id = $3
+           THEN 'external_id' ELSE 'content_hash' END as matched_on,
+      (SELECT COUNT(*) FROM marketing_hooks mh WHERE mh.content_source_id = cs.id) as hooks_generated,
+      (SELECT pb.id FROM processing_batches pb
+       WHERE pb.content_source_id = cs.id
+       ORDER BY pb.created_at DESC LIMIT 1) as processing_batch_id
+    FROM content_sources cs
+    WHERE cs.company_id = $1
+      AND (
+        ($3::varchar IS NOT NULL AND cs.source_name = $2 AND cs.external_id = $3)
+        OR ($4::varchar IS NOT NULL AND cs.content_hash = $4)
+      )
+    ORDER BY matched_on DESC, cs.created_at ASC
+    LIMIT 1
+  `, [content.companyId, content.source, content.externalId || null, content.contentHash || null]);
+
+  const row = result.rows[0];
+  return row ? { ...row, hooks_generated: parseInt(row.hooks_generated || 0) } : null;
+}
+
+/**
+ * Find a recent transcript that overlaps heavily with this one (pg_trgm similarity)
+ * Never throws - a failed check only means the content is not flagged.
+ * @param {Object} content - Processed content
+ * @returns {Promise<Object|null>} { contentSourceId, similarity } of the closest match
+ */
+async function findNearDuplicate(content) {
+  const length = (content.content || '').length;
+  if (length === 0) {
+    return null;
+  }
+
+  try {
+    const result = await query(`
+      SELECT id, similarity(left(content, $3), left($2, $3)) as similarity
+      FROM content_sources
+      WHERE company_id = $1
+        AND created_at > NOW() - ($4 || ' days')::interval
+        AND length(content) BETWEEN $5 AND $6
+        AND left(content, $3) % left($2, $3)
+      ORDER BY similarity DESC
+      LIMIT 1
+    `, [
+      content.companyId,
+      content.content,
+      NEAR_DUPLICATE_SAMPLE_LENGTH,
+      NEAR_DUPLICATE_WINDOW_DAYS,
+      Math.floor(length * 0.5),
+      Math.ceil(length * 1.5)
+    ]);
+
+    const match = result.rows[0];
+    if (!match || parseFloat(match.similarity) < NEAR_DUPLICATE_THRESHOLD) {
+      return null;
+    }
+
+    return {
+      contentSourceId: match.id,
+      similarity: Math.round(parseFloat(match.similarity) * 1000) / 1000
+    };
+
+  } catch (error) {
+    logger.warn('Near-duplicate check failed', {
+      companyId: content.companyId,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+module.exports = {
+  NEAR_DUPLICATE_THRESHOLD,
+  getExternalId,
+  computeContentHash,
+  findDuplicateContent,
+  findNearDuplicate
+};
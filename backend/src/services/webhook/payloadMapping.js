@@ -0,0 +1,419 @@
+/**
+ * Marketing Machine - Webhook Payload Mapping
+ * Declarative mapping from arbitrary recorder payloads to content sources
+ *
+ * A mapping is stored per webhook config in webhook_configs.payload_mapping:
+ *
+ * {
+ *   "title": ["$.meeting.title", "$.subject"],
+ *   "content": {
+ *     "turns": "$.transcript.sentences[*]",
+ *     "speaker": "speaker_name",
+ *     "text": "text",
+ *     "timestamp": "start_time"
+ *   },
+ *   "contentType": { "value": "sales_call" },
+ *   "metadata": {
+ *     "meeting_id": "$.meeting.id",
+ *     "participants": "$.attendees[*].email",
+ *     "summary": { "concat": ["$.summary.overview", "$.summary.action_items[*]"], "separator": "\n" },
+ *     "recorder": { "value": "fireflies" }
+ *   }
+ * }
+ *
+ * Field specs:
+ *   "$.a.b[0]['c d']"  - selector; [*] and .* expand to a list
+ *   [spec, spec]       - first spec that resolves to a non-empty value
+ *   { path }           - selector, same as the string form
+ *   { value }          - literal value
+ *   { concat, separator } - join resolved specs; strings without "$" are literals
+ *   { turns, speaker, text, timestamp, merge_consecutive } - flatten speaker turns into
+ *                        "[hh:mm:ss] Speaker: text" lines; sub-paths are relative to each turn
+ *   Any object spec may also carry a "default" used when nothing resolves.
+ */
+
+const { formatTimestamp } = require('../content/transcriptParser');
+
+const MAPPING_FIELDS = ['title', 'content', 'contentType', 'metadata'];
+const SPEC_KEYS = ['path', 'value', 'concat', 'turns'];
+const TOKEN_PATTERN = /\.([A-Za-z_$][\w$-]*)|\.\*|\[(\d+)\]|\[\*\]|\['([^']*)'\]|\["([^"]*)"\]/y;
+
+// =============================================
+// SELECTORS
+// =============================================
+
+/**
+ * Parse a JSONPath-style selector into tokens
+ * @param {string} selector - Selector starting with "$"
+ * @returns {Array} Tokens ({ key }, { index } or { wildcard: true })
+ */
+function parseSelector(selector) {
+  if (typeof selector !== 'string' || !selector.startsWith('$')) {
+    throw new Error(`Selector must start with "$": ${selector}`);
+  }
+
+  const tokens = [];
+  let position = 1;
+
+  while (position < selector.length) {
+    TOKEN_PATTERN.lastIndex = position;
+    const match = TOKEN_PATTERN.exec(selector);
+
+    if (!match) {
+      throw new Error(`Invalid selector "${selector}" at position ${position}`);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ key: match[1] });
+    } else if (match[2] !== undefined) {
+      tokens.push({ index: parseInt(match[2]) });
+    } else if (match[3] !== undefined || match[4] !== undefined) {
+      tokens.push({ key: match[3] !== undefined ? match[3] : match[4] });
+    } else {
+      tokens.push({ wildcard: true });
+    }
+
+    position = TOKEN_PATTERN.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluate a selector against a value
+ * @param {*} data - Value to select from
+ * @param {string} selector - Selector starting with "$"
+ * @returns {*} Selected value, or an array when the selector contains a wildcard
+ */
+function selectPath(data, selector) {
+  const tokens = parseSelector(selector);
+  let values = [data];
+
+  for (const token of tokens) {
+    const next = [];
+
+    for (const value of values) {
+      if (value === null || value === undefined) continue;
+
+      if (token.wildcard) {
+        if (Array.isArray(value)) {
+          next.push(...value);
+        } else if (typeof value === 'object') {
+          next.push(...Object.values(value));
+        }
+      } else if (token.index !== undefined) {
+        if (Array.isArray(value)) next.push(value[token.index]);
+      } else if (typeof value === 'object') {
+        next.push(value[token.key]);
+      }
+    }
+
+    values = next;
+  }
+
+  const isList = tokens.some(token => token.wildcard);
+  if (isList) {
+    return values.filter(value => value !== undefined && value !== null);
+  }
+
+  return values[0];
+}
+
+/**
+ * Selector for paths relative to a turn ("speaker.name" or "$.speaker.name")
+ * @param {string} path - Relative path
+ * @returns {string} Rooted selector
+ */
+function relativeSelector(path) {
+  if (path.startsWith('$')) return path;
+  return path.startsWith('[') ? `$${path}` : `$.${path}`;
+}
+
+// =============================================
+// SPEC RESOLUTION
+// =============================================
+
+/**
+ * Resolve a field spec against a payload
+ * @param {Object} payload - Webhook payload
+ * @param {*} spec - Field spec (see module docs)
+ * @returns {*} Resolved value, or undefined
+ */
+function resolveSpec(payload, spec) {
+  if (typeof spec === 'string') {
+    return selectPath(payload, spec);
+  }
+
+  if (Array.isArray(spec)) {
+    for (const candidate of spec) {
+      const value = resolveSpec(payload, candidate);
+      if (!isEmpty(value)) return value;
+    }
+    return undefined;
+  }
+
+  if (!spec || typeof spec !== 'object') {
+    return undefined;
+  }
+
+  let value;
+
+  if (spec.value !== undefined) {
+    value = spec.value;
+  } else if (spec.path !== undefined) {
+    value = resolveSpec(payload, spec.path);
+  } else if (spec.concat !== undefined) {
+    value = resolveConcat(payload, spec);
+  } else if (spec.turns !== undefined) {
+    value = flattenTurns(payload, spec);
+  }
+
+  if (isEmpty(value) && spec.default !== undefined) {
+    return spec.default;
+  }
+
+  return value;
+}
+
+/**
+ * Join several specs into one string
+ * @param {Object} payload - Webhook payload
+ * @param {Object} spec - Concat spec
+ * @returns {string|undefined} Joined string
+ */
+function resolveConcat(payload, spec) {
+  const separator = spec.separator !== undefined ? spec.separator : ' ';
+
+  const parts = spec.concat
+    .map(part => (typeof part === 'string' && !part.startsWith('$') ? part : resolveSpec(payload, part)))
+    .flat()
+    .filter(part => !isEmpty(part))
+    .map(part => stringify(part));
+
+  return parts.length > 0 ? parts.join(separator) : undefined;
+}
+
+/**
+ * Flatten speaker turns into transcript lines
+ * @param {Object} payload - Webhook payload
+ * @param {Object} spec - Turns spec
+ * @returns {string|undefined} Transcript text
+ */
+function flattenTurns(payload, spec) {
+  let turns = resolveSpec(payload, spec.turns);
+
+  if (isEmpty(turns)) return undefined;
+  if (!Array.isArray(turns)) turns = [turns];
+
+  const mergeConsecutive = spec.merge_consecutive !== false;
+  const lines = [];
+  let previousSpeaker = null;
+
+  for (const turn of turns) {
+    const text = spec.text ? selectPath(turn, relativeSelector(spec.text)) : turn;
+    if (isEmpty(text) || typeof text === 'object') continue;
+
+    const speaker = spec.speaker ? selectPath(turn, relativeSelector(spec.speaker)) : null;
+    const timestamp = spec.timestamp ? selectPath(turn, relativeSelector(spec.timestamp)) : null;
+    const speakerName = isEmpty(speaker) ? 'Unknown Speaker' : String(speaker).trim();
+
+    if (mergeConsecutive && spec.speaker && speakerName === previousSpeaker && lines.length > 0) {
+      lines[lines.length - 1] += ` ${String(text).trim()}`;
+      continue;
+    }
+
+    const prefix = isEmpty(timestamp) ? '' : `[${formatTimestamp(timestamp)}] `;
+    lines.push(spec.speaker ? `${prefix}${speakerName}: ${String(text).trim()}` : `${prefix}${String(text).trim()}`);
+    previousSpeaker = speakerName;
+  }
+
+  return lines.length > 0 ? lines.join('\n') : undefined;
+}
+
+// =============================================
+// MAPPING
+// =============================================
+
+/**
+ * Check whether a config has a usable payload mapping
+ * @param {Object} mapping - Payload mapping
+ * @returns {boolean} Mapping defines at least one field
+ */
+function hasPayloadMapping(mapping) {
+  return !!mapping && typeof mapping === 'object' && !Array.isArray(mapping) &&
+    MAPPING_FIELDS.some(field => mapping[field] !== undefined);
+}
+
+/**
+ * Apply a payload mapping to a webhook payload
+ * @param {Object} payload - Webhook payload
+ * @param {Object} mapping - Payload mapping
+ * @returns {Object} Mapped title, content, contentType, metadata and the fields that did not resolve
+ */
+function applyPayloadMapping(payload, mapping) {
+  const unresolved = [];
+
+  const resolveField = (name, spec, joiner) => {
+    if (spec === undefined) return undefined;
+
+    const value = resolveSpec(payload, spec);
+    if (isEmpty(value)) {
+      unresolved.push(name);
+      return undefined;
+    }
+
+    return Array.isArray(value) ? value.map(stringify).join(joiner) : stringify(value);
+  };
+
+  const title = resolveField('title', mapping.title, ' ');
+  const content = resolveField('content', mapping.content, '\n');
+  const contentType = resolveField('contentType', mapping.contentType, ' ');
+
+  const metadata = {};
+  Object.entries(mapping.metadata || {}).forEach(([key, spec]) => {
+    const value = resolveSpec(payload, spec);
+    if (isEmpty(value)) {
+      unresolved.push(`metadata.${key}`);
+    } else {
+      metadata[key] = value;
+    }
+  });
+
+  return { title, content, contentType, metadata, unresolved };
+}
+
+/**
+ * Validate a payload mapping
+ * @param {Object} mapping - Payload mapping
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validatePayloadMapping(mapping) {
+  const errors = [];
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['Payload mapping must be an object'];
+  }
+
+  Object.keys(mapping).forEach(key => {
+    if (!MAPPING_FIELDS.includes(key)) {
+      errors.push(`Unknown mapping field "${key}" (expected one of ${MAPPING_FIELDS.join(', ')})`);
+    }
+  });
+
+  ['title', 'content', 'contentType'].forEach(field => {
+    if (mapping[field] !== undefined) validateSpec(mapping[field], field, errors);
+  });
+
+  if (mapping.metadata !== undefined) {
+    if (!mapping.metadata || typeof mapping.metadata !== 'object' || Array.isArray(mapping.metadata)) {
+      errors.push('metadata: must be an object of field specs');
+    } else {
+      Object.entries(mapping.metadata).forEach(([key, spec]) => validateSpec(spec, `metadata.${key}`, errors));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a single field spec, collecting errors
+ * @param {*} spec - Field spec
+ * @param {string} location - Field name for error messages
+ * @param {Array<string>} errors - Error accumulator
+ */
+function validateSpec(spec, location, errors) {
+  if (typeof spec === 'string') {
+    validateSelector(spec, location, errors);
+    return;
+  }
+
+  if (Array.isArray(spec)) {
+    if (spec.length === 0) errors.push(`${location}: fallback list cannot be empty`);
+    spec.forEach((candidate, index) => validateSpec(candidate, `${location}[${index}]`, errors));
+    return;
+  }
+
+  if (!spec || typeof spec !== 'object') {
+    errors.push(`${location}: spec must be a selector string, list or object`);
+    return;
+  }
+
+  const kinds = SPEC_KEYS.filter(key => spec[key] !== undefined);
+
+  if (kinds.length === 0 && spec.default === undefined) {
+    errors.push(`${location}: spec needs one of ${SPEC_KEYS.join(', ')} or a default`);
+    return;
+  }
+
+  if (kinds.length > 1) {
+    errors.push(`${location}: spec can only use one of ${kinds.join(', ')}`);
+    return;
+  }
+
+  if (spec.path !== undefined) {
+    validateSpec(spec.path, `${location}.path`, errors);
+  }
+
+  if (spec.concat !== undefined) {
+    if (!Array.isArray(spec.concat) || spec.concat.length === 0) {
+      errors.push(`${location}.concat: must be a non-empty list`);
+    } else {
+      spec.concat.forEach((part, index) => {
+        // Plain strings without "$" are literals inside concat
+        if (typeof part !== 'string' || part.startsWith('$')) {
+          validateSpec(part, `${location}.concat[${index}]`, errors);
+        }
+      });
+    }
+  }
+
+  if (spec.turns !== undefined) {
+    validateSpec(spec.turns, `${location}.turns`, errors);
+
+    ['speaker', 'text', 'timestamp'].forEach(key => {
+      if (spec[key] === undefined) return;
+      if (typeof spec[key] !== 'string') {
+        errors.push(`${location}.${key}: must be a path string`);
+      } else {
+        validateSelector(relativeSelector(spec[key]), `${location}.${key}`, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a selector, collecting errors
+ * @param {string} selector - Selector
+ * @param {string} location - Field name for error messages
+ * @param {Array<string>} errors - Error accumulator
+ */
+function validateSelector(selector, location, errors) {
+  try {
+    parseSelector(selector);
+  } catch (error) {
+    errors.push(`${location}: ${error.message}`);
+  }
+}
+
+// =============================================
+// HELPERS
+// =============================================
+
+function isEmpty(value) {
+  return value === undefined || value === null ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function stringify(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+module.exports = {
+  parseSelector,
+  selectPath,
+  resolveSpec,
+  applyPayloadMapping,
+  validatePayloadMapping,
+  hasPayloadMapping
+};
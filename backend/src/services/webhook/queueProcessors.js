@@ -0,0 +1,105 @@
+/**
+ * Marketing Machine - Webhook Queue Processors
+ * Handles work that cannot finish inside a webhook request
+ */
+
+const logger = require('../../utils/logger').queue;
+const { acceptWebhookContent } = require('./webhookServer');
+const { markDeliveryFailed } = require('./webhookDeliveries');
+const {
+  TranscriptNotReadyError,
+  downloadTranscript,
+  convertTranscript
+} = require('./zoomRecordings');
+
+/**
+ * Process Zoom transcript fetch job
+ * Throws while the transcript is not ready so Bull retries with backoff.
+ * @param {Object} job - Bull job object
+ */
+async function processZoomTranscriptFetch(job) {
+  const {
+    downloadUrl,
+    downloadToken,
+    title,
+    metadata,
+    companyId,
+    webhookConfigId,
+    deliveryId,
+    filters,
+    requeueExisting
+  } = job.data;
+
+  const maxAttempts = job.opts?.attempts || 1;
+  const isLastAttempt = (job.attemptsMade || 0) + 1 >= maxAttempts;
+
+  try {
+    logger.info('Processing Zoom transcript fetch job', {
+      jobId: job.id,
+      meetingId: metadata?.meeting_id,
+      attempt: (job.attemptsMade || 0) + 1,
+      maxAttempts
+    });
+
+    const vtt = await downloadTranscript(downloadUrl, downloadToken);
+    const transcript = convertTranscript(vtt);
+
+    if (!transcript.text) {
+      throw new Error('Zoom transcript contained no spoken text');
+    }
+
+    const result = await acceptWebhookContent(
+      { id: webhookConfigId, company_id: companyId, filters },
+      deliveryId,
+      {
+        title,
+        content: transcript.text,
+        contentType: 'meeting_transcript',
+        source: 'zoom',
+        metadata: {
+          ...metadata,
+          speakers: transcript.speakers,
+          speaker_turns: transcript.turns.length,
+          transcript_turns: transcript.turns,
+          webhook_received_at: new Date().toISOString()
+        },
+        companyId
+      },
+      { requeueExisting }
+    );
+
+    logger.info('Zoom transcript fetch completed', {
+      jobId: job.id,
+      meetingId: metadata?.meeting_id,
+      contentSourceId: result.contentSourceId,
+      filtered: !!result.filtered
+    });
+
+    return {
+      success: true,
+      ...result
+    };
+
+  } catch (error) {
+    const notReady = error instanceof TranscriptNotReadyError;
+
+    logger[notReady && !isLastAttempt ? 'info' : 'error']('Zoom transcript fetch job failed', {
+      jobId: job.id,
+      meetingId: metadata?.meeting_id,
+      error: error.message,
+      willRetry: !isLastAttempt
+    });
+
+    if (isLastAttempt && deliveryId) {
+      await markDeliveryFailed(deliveryId, error.message, {
+        attempts: (job.attemptsMade || 0) + 1
+      });
+    }
+
+    throw error;
+  }
+}
+
+module.exports = {
+  processZoomTranscriptFetch
+};
@@ -0,0 +1,263 @@
+/**
+ * Marketing Machine - Webhook Deliveries
+ * Webhook config lookup and delivery logging for the webhook server
+ */
+
+const { query } = require('../../config/database');
+const logger = require('../../utils/logger').webhook;
+
+// Headers that should never be persisted in the delivery log
+const REDACTED_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+/**
+ * Find a webhook config by its ingest token
+ * @param {string} token - Ingest token from the webhook URL
+ * @returns {Promise<Object|null>} Webhook config
+ */
+async function findConfigByToken(token) {
+  if (!token || !/^[A-Za-z0-9_-]{8,64}$/.test(token)) {
+    return null;
+  }
+
+  const result = await query(`
+    SELECT id, uuid, company_id, name, source_type, status,
+           secret_key, signature_header, payload_mapping, filters
+    FROM webhook_configs
+    WHERE ingest_token = $1
+  `, [token]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Record an incoming delivery before it is processed
+ * @param {number} configId - Webhook config ID
+ * @param {Object} payload - Request body
+ * @param {Object} headers - Request headers
+ * @returns {Promise<number>} Delivery ID
+ */
+async function recordDelivery(configId, payload, headers = {}) {
+  const result = await query(`
+    INSERT INTO webhook_deliveries
+    (webhook_config_id, payload, headers, status, received_at)
+    VALUES ($1, $2, $3, 'received', NOW())
+    RETURNING id
+  `, [
+    configId,
+    JSON.stringify(payload || {}),
+    JSON.stringify(sanitizeHeaders(headers))
+  ]);
+
+  return result.rows[0].id;
+}
+
+/**
+ * Mark a delivery as successfully processed
+ * @param {number} deliveryId - Delivery ID
+ * @param {number} contentSourceId - Content source created from the delivery
+ * @param {Object} processingResult - Result details
+ */
+async function markDeliveryProcessed(deliveryId, contentSourceId, processingResult = {}) {
+  await query(`
+    UPDATE webhook_deliveries
+    SET status = 'processed',
+        content_source_id = $2,
+        processing_result = $3,
+        error_message = NULL,
+        processed_at = NOW()
+    WHERE id = $1
+  `, [deliveryId, contentSourceId, JSON.stringify(processingResult)]);
+}
+
+/**
+ * Mark a delivery as failed
+ * @param {number} deliveryId - Delivery ID
+ * @param {string} errorMessage - Failure reason
+ * @param {Object} processingResult - Result details
+ * @param {number} contentSourceId - Content source, when content was stored before the failure
+ */
+async function markDeliveryFailed(deliveryId, errorMessage, processingResult = {}, contentSourceId = null) {
+  try {
+    await query(`
+      UPDATE webhook_deliveries
+      SET status = 'failed',
+          processing_result = $2,
+          error_message = $3,
+          content_source_id = COALESCE($4, content_source_id),
+          processed_at = NOW()
+      WHERE id = $1
+    `, [deliveryId, JSON.stringify(processingResult), errorMessage, contentSourceId]);
+  } catch (error) {
+    // Never let delivery bookkeeping mask the original failure
+    logger.error('Failed to mark webhook delivery as failed', {
+      deliveryId,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Mark a delivery as rejected by the config's filter rules
+ * @param {number} deliveryId - Delivery ID
+ * @param {string} rule - Filter rule that rejected the delivery
+ * @param {string} reason - Human readable explanation
+ */
+async function markDeliveryFiltered(deliveryId, rule, reason) {
+  await query(`
+    UPDATE webhook_deliveries
+    SET status = 'filtered',
+        processing_result = $2,
+        error_message = $3,
+        processed_at = NOW()
+    WHERE id = $1
+  `, [deliveryId, JSON.stringify({ filtered_by: rule, reason }), reason]);
+}
+
+/**
+ * Flag a delivery as authentic so it can be replayed later
+ * @param {number} deliveryId - Delivery ID
+ */
+async function markSignatureVerified(deliveryId) {
+  await query(`
+    UPDATE webhook_deliveries
+    SET signature_verified = TRUE
+    WHERE id = $1
+  `, [deliveryId]);
+}
+
+/**
+ * Load a delivery and its config for replay
+ * @param {number} deliveryId - Delivery ID
+ * @param {number} companyId - Company that must own the webhook config
+ * @returns {Promise<Object|null>} Delivery with a nested config
+ */
+async function findDeliveryForReplay(deliveryId, companyId) {
+  const result = await query(`
+    SELECT
+      wd.id,
+      wd.payload,
+      wd.headers,
+      wd.status,
+      wd.signature_verified,
+      wd.replay_count,
+      wc.id as config_id,
+      wc.company_id,
+      wc.name as config_name,
+      wc.source_type,
+      wc.status as config_status,
+      wc.payload_mapping,
+      wc.filters
+    FROM webhook_deliveries wd
+    JOIN webhook_configs wc ON wc.id = wd.webhook_config_id
+    WHERE wd.id = $1 AND wc.company_id = $2
+  `, [deliveryId, companyId]);
+
+  const row = result.rows[0];
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    payload: row.payload,
+    headers: row.headers || {},
+    status: row.status,
+    signature_verified: row.signature_verified,
+    replay_count: row.replay_count,
+    config: {
+      id: row.config_id,
+      company_id: row.company_id,
+      name: row.config_name,
+      source_type: row.source_type,
+      status: row.config_status,
+      payload_mapping: row.payload_mapping,
+      filters: row.filters
+    }
+  };
+}
+
+/**
+ * List failed deliveries of active configs that can be replayed
+ * @param {number} companyId - Company ID
+ * @param {Object} options - { configId, since, limit }
+ * @returns {Promise<Array<number>>} Delivery IDs, oldest first
+ */
+async function findReplayableDeliveries(companyId, options = {}) {
+  const { configId = null, since = null, limit = 50 } = options;
+
+  const result = await query(`
+    SELECT wd.id
+    FROM webhook_deliveries wd
+    JOIN webhook_configs wc ON wc.id = wd.webhook_config_id
+    WHERE wc.company_id = $1
+      AND wc.status = 'active'
+      AND wd.status = 'failed'
+      AND wd.signature_verified = TRUE
+      AND ($2::integer IS NULL OR wc.id = $2)
+      AND ($3::timestamp IS NULL OR wd.received_at >= $3)
+    ORDER BY wd.received_at ASC
+    LIMIT $4
+  `, [companyId, configId, since, limit]);
+
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Reset a delivery before it is replayed
+ * @param {number} deliveryId - Delivery ID
+ */
+async function recordReplay(deliveryId) {
+  await query(`
+    UPDATE webhook_deliveries
+    SET status = 'received',
+        error_message = NULL,
+        replay_count = COALESCE(replay_count, 0) + 1,
+        last_replayed_at = NOW()
+    WHERE id = $1
+  `, [deliveryId]);
+}
+
+/**
+ * Update receive statistics on a webhook config
+ * @param {number} configId - Webhook config ID
+ */
+async function touchConfig(configId) {
+  try {
+    await query(`
+      UPDATE webhook_configs
+      SET last_received_at = NOW(),
+          total_received = COALESCE(total_received, 0) + 1
+      WHERE id = $1
+    `, [configId]);
+  } catch (error) {
+    logger.warn('Failed to update webhook config statistics', {
+      configId,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Strip sensitive headers before storing them
+ * @param {Object} headers - Request headers
+ * @returns {Object} Headers safe to persist
+ */
+function sanitizeHeaders(headers) {
+  return Object.fromEntries(
+    Object.entries(headers || {}).filter(([name]) => !REDACTED_HEADERS.includes(name.toLowerCase()))
+  );
+}
+
+module.exports = {
+  findConfigByToken,
+  recordDelivery,
+  markDeliveryProcessed,
+  markDeliveryFailed,
+  markDeliveryFiltered,
+  markSignatureVerified,
+  findDeliveryForReplay,
+  findReplayableDeliveries,
+  recordReplay,
+  touchConfig,
+  sanitizeHeaders
+};
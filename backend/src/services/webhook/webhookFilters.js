@@ -0,0 +1,330 @@
+/**
+ * Marketing Machine - Webhook Filters
+ * Decide which meetings are worth turning into marketing content
+ *
+ * Rules are stored per webhook config in webhook_configs.filters:
+ *
+ * {
+ *   "min_duration_minutes": 15,
+ *   "required_participants": ["ceo@acme.com"],
+ *   "required_domains": ["customer.com"],
+ *   "title_include": ["demo", "/discovery|kickoff/i"],
+ *   "title_exclude": ["standup", "1:1"],
+ *   "meeting_types": ["customer_call", "webinar"],
+ *   "exclude_meeting_types": ["internal_sync"],
+ *   "audience": "customer_facing",
+ *   "internal_domains": ["ourcompany.com"]
+ * }
+ *
+ * Rules run in the order above and the first failing rule rejects the delivery.
+ * Duration, title and audience rules are skipped when the payload does not carry the
+ * information they need; participant, domain and meeting-type requirements need a match.
+ */
+
+const FILTER_RULES = [
+  'min_duration_minutes',
+  'required_participants',
+  'required_domains',
+  'title_include',
+  'title_exclude',
+  'meeting_types',
+  'exclude_meeting_types',
+  'audience'
+];
+
+const AUDIENCES = ['any', 'internal', 'customer_facing'];
+
+// =============================================
+// EVALUATION
+// =============================================
+
+/**
+ * Evaluate a config's filters against processed webhook content
+ * @param {Object} content - Processed content (title, metadata)
+ * @param {Object} filters - Webhook config filters
+ * @returns {Object} { passed, rule, reason }
+ */
+function evaluateFilters(content, filters) {
+  if (!filters || typeof filters !== 'object' || Object.keys(filters).length === 0) {
+    return { passed: true };
+  }
+
+  const facts = extractMeetingFacts(content);
+
+  for (const rule of FILTER_RULES) {
+    if (isUnset(filters[rule])) continue;
+
+    const reason = RULE_CHECKS[rule](filters[rule], facts, filters);
+    if (reason) {
+      return { passed: false, rule, reason };
+    }
+  }
+
+  return { passed: true };
+}
+
+const RULE_CHECKS = {
+  min_duration_minutes(minimum, facts) {
+    if (facts.durationMinutes === null) return null;
+    if (facts.durationMinutes < Number(minimum)) {
+      return `Meeting lasted ${facts.durationMinutes} minutes (minimum ${minimum})`;
+    }
+    return null;
+  },
+
+  required_participants(required, facts) {
+    const present = new Set(facts.participants.flatMap(participant => [participant.email, participant.name]).filter(Boolean));
+    const missing = required.filter(person => !present.has(String(person).toLowerCase()));
+
+    if (missing.length > 0) {
+      return `Required participants missing: ${missing.join(', ')}`;
+    }
+    return null;
+  },
+
+  required_domains(domains, facts) {
+    const wanted = domains.map(normalizeDomain);
+    const matched = facts.domains.some(domain => wanted.includes(domain));
+
+    if (!matched) {
+      return `No participants from required domains: ${wanted.join(', ')}`;
+    }
+    return null;
+  },
+
+  title_include(patterns, facts) {
+    if (!facts.title) return null;
+    if (!patterns.some(pattern => matchesPattern(facts.title, pattern))) {
+      return `Title "${facts.title}" does not match any include pattern`;
+    }
+    return null;
+  },
+
+  title_exclude(patterns, facts) {
+    if (!facts.title) return null;
+    const matched = patterns.find(pattern => matchesPattern(facts.title, pattern));
+    if (matched) {
+      return `Title "${facts.title}" matches exclude pattern "${matched}"`;
+    }
+    return null;
+  },
+
+  meeting_types(types, facts) {
+    const allowed = types.map(type => String(type).toLowerCase());
+    if (!facts.meetingTypes.some(type => allowed.includes(type))) {
+      return facts.meetingTypes.length > 0
+        ? `Meeting type ${facts.meetingTypes.join(', ')} is not in ${allowed.join(', ')}`
+        : `Meeting has no type tag (expected ${allowed.join(', ')})`;
+    }
+    return null;
+  },
+
+  exclude_meeting_types(types, facts) {
+    const excluded = types.map(type => String(type).toLowerCase());
+    const matched = facts.meetingTypes.find(type => excluded.includes(type));
+    if (matched) {
+      return `Meeting type "${matched}" is excluded`;
+    }
+    return null;
+  },
+
+  audience(audience, facts, filters) {
+    if (audience === 'any') return null;
+
+    const detected = detectAudience(facts, filters.internal_domains);
+    if (detected === null) return null;
+
+    if (detected !== audience) {
+      return detected === 'internal'
+        ? 'Internal-only meeting (all participants are from internal domains)'
+        : 'Customer-facing meeting (external participants present)';
+    }
+    return null;
+  }
+};
+
+/**
+ * Classify a meeting as internal or customer-facing from participant domains
+ * @param {Object} facts - Meeting facts
+ * @param {Array<string>} internalDomains - Company email domains
+ * @returns {string|null} 'internal', 'customer_facing', or null when unknown
+ */
+function detectAudience(facts, internalDomains) {
+  if (isUnset(internalDomains) || facts.domains.length === 0) {
+    return null;
+  }
+
+  const internal = internalDomains.map(normalizeDomain);
+  const external = facts.domains.filter(domain => !internal.includes(domain));
+
+  return external.length > 0 ? 'customer_facing' : 'internal';
+}
+
+// =============================================
+// MEETING FACTS
+// =============================================
+
+/**
+ * Normalize the metadata the different recorders send into comparable facts
+ * @param {Object} content - Processed content
+ * @returns {Object} Title, duration, participants, domains and meeting types
+ */
+function extractMeetingFacts(content) {
+  const metadata = content.metadata || {};
+
+  const participants = []
+    .concat(metadata.participants || [], metadata.attendees || [], metadata.speakers || [])
+    .map(normalizeParticipant)
+    .filter(Boolean);
+
+  const domains = [...new Set(
+    participants
+      .map(participant => participant.email && participant.email.split('@')[1])
+      .filter(Boolean)
+  )];
+
+  const meetingTypes = []
+    .concat(metadata.meeting_type || [], metadata.meeting_types || [], metadata.tags || [])
+    .map(type => String(type).toLowerCase());
+
+  return {
+    title: content.title || null,
+    durationMinutes: extractDurationMinutes(metadata),
+    participants,
+    domains,
+    meetingTypes
+  };
+}
+
+/**
+ * Duration in minutes; "duration" is minutes, "duration_seconds" is seconds
+ * @param {Object} metadata - Content metadata
+ * @returns {number|null} Duration in whole minutes
+ */
+function extractDurationMinutes(metadata) {
+  if (metadata.duration_seconds !== undefined && Number.isFinite(Number(metadata.duration_seconds))) {
+    return Math.round(Number(metadata.duration_seconds) / 60);
+  }
+
+  if (metadata.duration !== undefined && metadata.duration !== null && Number.isFinite(Number(metadata.duration))) {
+    return Math.round(Number(metadata.duration));
+  }
+
+  return null;
+}
+
+function normalizeParticipant(participant) {
+  if (!participant) return null;
+
+  if (typeof participant === 'string') {
+    const value = participant.trim().toLowerCase();
+    return value.includes('@') ? { email: value, name: null } : { email: null, name: value };
+  }
+
+  if (typeof participant === 'object') {
+    const email = participant.email || participant.email_address || participant.user_email;
+    const name = participant.name || participant.display_name || participant.user_name;
+    if (!email && !name) return null;
+
+    return {
+      email: email ? String(email).trim().toLowerCase() : null,
+      name: name ? String(name).trim().toLowerCase() : null
+    };
+  }
+
+  return null;
+}
+
+function normalizeDomain(domain) {
+  return String(domain).trim().toLowerCase().replace(/^@/, '');
+}
+
+/**
+ * Match a title against a pattern: "/regex/flags" or a case-insensitive substring
+ * @param {string} title - Meeting title
+ * @param {string} pattern - Pattern
+ * @returns {boolean} Title matches
+ */
+function matchesPattern(title, pattern) {
+  const regex = parsePatternRegex(pattern);
+  if (regex) {
+    return regex.test(title);
+  }
+  return title.toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+function parsePatternRegex(pattern) {
+  const match = /^\/(.+)\/([gimsuy]*)$/.exec(String(pattern));
+  return match ? new RegExp(match[1], match[2]) : null;
+}
+
+function isUnset(value) {
+  return value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+}
+
+// =============================================
+// VALIDATION
+// =============================================
+
+/**
+ * Validate webhook filters
+ * @param {Object} filters - Webhook config filters
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateFilters(filters) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return ['Filters must be an object'];
+  }
+
+  const errors = [];
+  const known = [...FILTER_RULES, 'internal_domains'];
+
+  Object.keys(filters).forEach(key => {
+    if (!known.includes(key)) {
+      errors.push(`Unknown filter "${key}"`);
+    }
+  });
+
+  if (!isUnset(filters.min_duration_minutes) &&
+      !(Number.isFinite(Number(filters.min_duration_minutes)) && Number(filters.min_duration_minutes) >= 0)) {
+    errors.push('min_duration_minutes: must be a non-negative number');
+  }
+
+  ['required_participants', 'required_domains', 'title_include', 'title_exclude',
+    'meeting_types', 'exclude_meeting_types', 'internal_domains'].forEach(key => {
+    if (isUnset(filters[key])) return;
+    if (!Array.isArray(filters[key]) || !filters[key].every(item => typeof item === 'string' && item.trim())) {
+      errors.push(`${key}: must be a list of strings`);
+    }
+  });
+
+  ['title_include', 'title_exclude'].forEach(key => {
+    if (!Array.isArray(filters[key])) return;
+    filters[key].forEach(pattern => {
+      try {
+        parsePatternRegex(pattern);
+      } catch (error) {
+        errors.push(`${key}: invalid pattern ${pattern}`);
+      }
+    });
+  });
+
+  if (!isUnset(filters.audience)) {
+    if (!AUDIENCES.includes(filters.audience)) {
+      errors.push(`audience: must be one of ${AUDIENCES.join(', ')}`);
+    } else if (filters.audience !== 'any' && isUnset(filters.internal_domains)) {
+      errors.push('audience: internal_domains are required to tell internal and customer-facing meetings apart');
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  evaluateFilters,
+  validateFilters,
+  extractMeetingFacts,
+  detectAudience,
+  matchesPattern,
+  parsePatternRegex
+};
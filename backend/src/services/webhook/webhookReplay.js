@@ -0,0 +1,132 @@
+/**
+ * Marketing Machine - Webhook Replay
+ * Re-run stored webhook deliveries through mapping, filters and hook generation
+ */
+
+const logger = require('../../utils/logger').webhook;
+const { ValidationError, NotFoundError } = require('../../middleware/errorHandler');
+const { ingestWebhookDelivery } = require('./webhookServer');
+const {
+  findDeliveryForReplay,
+  findReplayableDeliveries,
+  recordReplay,
+  markDeliveryFailed
+} = require('./webhookDeliveries');
+
+const MAX_BULK_REPLAY = 200;
+
+/**
+ * Replay a single delivery from its stored payload
+ * Uses the config's current mapping and filters. Meetings that were already stored resolve
+ * to the original content source, and get hook generation queued again if they have no hooks.
+ * Deliveries of paused or disabled configs are not replayed, as they would not be received.
+ * @param {number} deliveryId - Delivery ID
+ * @param {number} companyId - Company that owns the webhook config
+ * @returns {Promise<Object>} Replay outcome
+ */
+async function replayDelivery(deliveryId, companyId) {
+  const delivery = await findDeliveryForReplay(deliveryId, companyId);
+
+  if (!delivery) {
+    throw new NotFoundError('Webhook delivery not found');
+  }
+
+  if (!delivery.signature_verified) {
+    throw new ValidationError('Only deliveries that passed signature verification can be replayed');
+  }
+
+  if (delivery.config.status !== 'active') {
+    throw new ValidationError(`Webhook is ${delivery.config.status}; activate it before replaying its deliveries`);
+  }
+
+  await recordReplay(delivery.id);
+
+  logger.info('Replaying webhook delivery', {
+    deliveryId: delivery.id,
+    webhookConfigId: delivery.config.id,
+    previousStatus: delivery.status,
+    replayCount: (delivery.replay_count || 0) + 1
+  });
+
+  try {
+    const result = await ingestWebhookDelivery(
+      delivery.config,
+      delivery.id,
+      delivery.payload,
+      delivery.headers,
+      { requeueExisting: true }
+    );
+
+    return { deliveryId: delivery.id, ...describeOutcome(result) };
+
+  } catch (error) {
+    logger.error('Webhook replay failed', {
+      deliveryId: delivery.id,
+      error: error.message
+    });
+
+    await markDeliveryFailed(delivery.id, error.message);
+
+    return { deliveryId: delivery.id, outcome: 'failed', error: error.message };
+  }
+}
+
+/**
+ * Replay failed deliveries, oldest first
+ * @param {number} companyId - Company ID
+ * @param {Object} options - { configId, since, limit }
+ * @returns {Promise<Object>} Per-delivery outcomes and a summary by outcome
+ */
+async function replayFailedDeliveries(companyId, options = {}) {
+  const limit = Math.min(parseInt(options.limit) || 50, MAX_BULK_REPLAY);
+  const deliveryIds = await findReplayableDeliveries(companyId, { ...options, limit });
+
+  const results = [];
+  // One at a time so a burst of replays does not flood the queue or the database
+  for (const deliveryId of deliveryIds) {
+    results.push(await replayDelivery(deliveryId, companyId));
+  }
+
+  const summary = results.reduce((counts, result) => {
+    counts[result.outcome] = (counts[result.outcome] || 0) + 1;
+    return counts;
+  }, {});
+
+  logger.info('Bulk webhook replay completed', {
+    companyId,
+    replayed: results.length,
+    summary
+  });
+
+  return { replayed: results.length, summary, results };
+}
+
+/**
+ * Describe an ingest result as a replay outcome
+ * @param {Object|null} result - Result from ingestWebhookDelivery
+ * @returns {Object} Outcome details
+ */
+function describeOutcome(result) {
+  if (!result) {
+    return { outcome: 'no_content' };
+  }
+  if (result.filtered) {
+    return { outcome: 'filtered', rule: result.rule, reason: result.reason };
+  }
+  if (result.pending) {
+    return { outcome: 'pending' };
+  }
+  if (result.duplicate) {
+    return { outcome: 'duplicate', contentSourceId: result.contentSourceId, hooksQueued: result.queued };
+  }
+  return {
+    outcome: result.queued ? 'ingested' : 'queue_failed',
+    contentSourceId: result.contentSourceId,
+    processingBatchId: result.processingBatchId
+  };
+}
+
+module.exports = {
+  replayDelivery,
+  replayFailedDeliveries
+};
@@ -4,20 +4,59 @@
  */
 
 const express = require('express');
-const { query, transaction } = require('../../config/database');
+const { transaction } = require('../../config/database');
 const { addContentJob } = require('../../config/queue');
 const logger = require('../../utils/logger').webhook;
+const {
+  findConfigByToken,
+  recordDelivery,
+  markDeliveryProcessed,
+  markDeliveryFailed,
+  markDeliveryFiltered,
+  markSignatureVerified,
+  touchConfig
+} = require('./webhookDeliveries');
+const { applyPayloadMapping, hasPayloadMapping } = require('./payloadMapping');
+const { evaluateFilters } = require('./webhookFilters');
+const {
+  buildUrlValidationResponse,
+  verifyZoomSignature,
+  isFreshZoomTimestamp,
+  isTranscriptEvent,
+  buildTranscriptRequest
+} = require('./zoomRecordings');
+const {
+  getExternalId,
+  computeContentHash,
+  findDuplicateContent,
+  findNearDuplicate
+} = require('./contentDedup');
 const crypto = require('crypto');
 
+// Company used by the legacy, unauthenticated endpoints that predate per-config ingest URLs
+const DEFAULT_COMPANY_ID = parseInt(process.env.DEFAULT_WEBHOOK_COMPANY_ID) || 1;
+// Legacy endpoints have no webhook config or delivery log, only the default company
+const LEGACY_CONFIG = { id: null, company_id: DEFAULT_COMPANY_ID, filters: null };
+
+// Zoom transcripts can lag the recording by several minutes; Bull retries the fetch with backoff
+const ZOOM_TRANSCRIPT_ATTEMPTS = parseInt(process.env.ZOOM_TRANSCRIPT_FETCH_ATTEMPTS) || 6;
+const ZOOM_TRANSCRIPT_RETRY_DELAY = parseInt(process.env.ZOOM_TRANSCRIPT_RETRY_DELAY_MS) || 60000;
+
 /**
- * Start webhook server on separate port
- * @param {number} port - Port to start webhook server on
+ * Create the webhook Express app
+ * @param {number} port - Port reported by the health check
+ * @returns {Object} Express app
  */
-function startWebhookServer(port = 3002) {
+function createWebhookApp(port = 3002) {
   const app = express();
 
-  // Middleware for webhook server
-  app.use(express.json({ limit: '50mb' }));
+  // Middleware for webhook server - keep the raw body for signature verification
+  app.use(express.json({
+    limit: '50mb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
   app.use(express.raw({ type: 'application/json', limit: '50mb' }));
 
   // Health check for webhook server
@@ -59,42 +98,29 @@ function startWebhookServer(port = 3002) {
       }
 
       // Process webhook payload
-      const processedContent = await processWebhookPayload(req.body, source, req.headers);
+      const processedContent = await processWebhookPayload(req.body, source, req.headers, DEFAULT_COMPANY_ID);
 
       if (!processedContent) {
         logger.warn('No content extracted from webhook', { source, payload: req.body });
         return res.status(400).json({ error: 'No content found in webhook payload' });
       }
 
-      // Store in database and trigger processing
-      const result = await storeWebhookContent(processedContent);
-
-      // Trigger Marketing Machine processing
-      try {
-        await addContentJob('generate-hooks', {
-          contentSourceId: result.contentSourceId,
-          companyId: processedContent.companyId
-        });
-        logger.info('Content job queued successfully');
-      } catch (queueError) {
-        logger.warn('Failed to queue content job, but webhook data was stored', {
-          error: queueError.message,
-          contentSourceId: result.contentSourceId
-        });
-        // Don't fail the webhook if queue fails
-      }
+      // Store in database and trigger processing - retries resolve to the original content
+      const result = await acceptWebhookContent(LEGACY_CONFIG, null, processedContent);
 
       logger.info('Webhook processed successfully', {
         source,
         contentSourceId: result.contentSourceId,
+        duplicate: !!result.duplicate,
         title: processedContent.title
       });
 
       res.json({
         success: true,
-        message: 'Marketing Machine is processing your content',
-        contentSourceId: result.contentSourceId,
-        processingBatchId: result.processingBatchId
+        message: result.duplicate
+          ? 'Content was already received'
+          : 'Marketing Machine is processing your content',
+        ...describeAcceptedContent(result)
       });
 
     } catch (error) {
@@ -139,26 +165,24 @@ function startWebhookServer(port = 3002) {
           duration,
           platform: 'read.ai'
         },
-        // Default to first company for now - in production this would be determined by webhook config
-        companyId: 1
+        companyId: DEFAULT_COMPANY_ID
       };
 
-      const result = await storeWebhookContent(content);
-      
-      await addContentJob('generate-hooks', {
-        contentSourceId: result.contentSourceId,
-        companyId: content.companyId
-      });
+      // Read.ai retries failed deliveries; a retry resolves to the original content source
+      const result = await acceptWebhookContent(LEGACY_CONFIG, null, content);
 
       logger.info('Read.ai webhook processed', {
         meetingId: meeting_id,
-        contentSourceId: result.contentSourceId
+        contentSourceId: result.contentSourceId,
+        duplicate: !!result.duplicate
       });
 
       res.json({
         success: true,
-        message: 'Marketing Machine is processing your Read.ai transcript',
-        contentSourceId: result.contentSourceId
+        message: result.duplicate
+          ? 'This Read.ai transcript was already received'
+          : 'Marketing Machine is processing your Read.ai transcript',
+        ...describeAcceptedContent(result)
       });
 
     } catch (error) {
@@ -190,25 +214,24 @@ function startWebhookServer(port = 3002) {
           speakers,
           platform: 'otter.ai'
         },
-        companyId: 1 // Default company
+        companyId: DEFAULT_COMPANY_ID
       };
 
-      const result = await storeWebhookContent(content);
-      
-      await addContentJob('generate-hooks', {
-        contentSourceId: result.contentSourceId,
-        companyId: content.companyId
-      });
+      // Otter.ai retries failed deliveries; a retry resolves to the original content source
+      const result = await acceptWebhookContent(LEGACY_CONFIG, null, content);
 
       logger.info('Otter.ai webhook processed', {
         otterId: id,
-        contentSourceId: result.contentSourceId
+        contentSourceId: result.contentSourceId,
+        duplicate: !!result.duplicate
       });
 
       res.json({
         success: true,
-        message: 'Marketing Machine is processing your Otter.ai transcript',
-        contentSourceId: result.contentSourceId
+        message: result.duplicate
+          ? 'This Otter.ai transcript was already received'
+          : 'Marketing Machine is processing your Otter.ai transcript',
+        ...describeAcceptedContent(result)
       });
 
     } catch (error) {
@@ -222,64 +245,180 @@ function startWebhookServer(port = 3002) {
    */
   app.post('/webhook/zoom', async (req, res) => {
     try {
-      const { event, payload } = req.body;
-
-      // Handle different Zoom webhook events
-      if (event === 'recording.completed' && payload?.object?.recording_files) {
-        const { topic, start_time, recording_files } = payload.object;
-        
-        // Look for transcript file
-        const transcriptFile = recording_files.find(file => 
-          file.file_type === 'TRANSCRIPT' || file.file_type === 'VTT'
-        );
-
-        if (!transcriptFile) {
-          return res.status(400).json({ error: 'No transcript file found' });
+      const secretToken = process.env.ZOOM_WEBHOOK_SECRET_TOKEN;
+
+      if (req.body.event === 'endpoint.url_validation') {
+        if (!secretToken) {
+          return res.status(400).json({ error: 'Zoom secret token is not configured' });
         }
+        return res.json(buildUrlValidationResponse(req.body.payload?.plainToken, secretToken));
+      }
 
-        // In production, you would fetch the transcript from Zoom's API
-        // For now, we'll expect it to be in the payload
-        const transcript = payload.transcript || 'Transcript content would be fetched from Zoom API';
-
-        const content = {
-          title: topic || `Zoom Meeting - ${new Date().toLocaleDateString()}`,
-          content: transcript,
-          contentType: 'meeting_transcript',
-          source: 'zoom',
-          metadata: {
-            meeting_id: payload.object.id,
-            start_time,
-            transcript_url: transcriptFile.download_url,
-            platform: 'zoom'
-          },
-          companyId: 1
-        };
+      const timestamp = req.headers['x-zm-request-timestamp'];
+      if (secretToken && !(isFreshZoomTimestamp(timestamp) &&
+        verifyZoomSignature(req.rawBody, timestamp, req.headers['x-zm-signature'], secretToken))) {
+        logger.warn('Invalid Zoom webhook signature', { event: req.body.event });
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
 
-        const result = await storeWebhookContent(content);
-        
-        await addContentJob('generate-hooks', {
-          contentSourceId: result.contentSourceId,
-          companyId: content.companyId
+      const result = await queueZoomTranscriptFetch(
+        { id: null, company_id: DEFAULT_COMPANY_ID, filters: null },
+        null,
+        req.body
+      );
+
+      if (result.filtered) {
+        logger.info('Zoom webhook event ignored', { event: req.body.event, reason: result.reason });
+        return res.json({ success: true, message: 'Event acknowledged but not processed' });
+      }
+
+      res.json({
+        success: true,
+        message: 'Marketing Machine will fetch your Zoom transcript'
+      });
+
+    } catch (error) {
+      logger.error('Zoom webhook error', { error: error.message });
+      res.status(500).json({ error: 'Processing failed' });
+    }
+  });
+
+  // =============================================
+  // PER-CONFIG INGEST ENDPOINTS
+  // =============================================
+
+  /**
+   * Test a webhook config's ingest URL without creating content
+   */
+  app.post('/webhook/:source/:token/test', async (req, res) => {
+    try {
+      const config = await findConfigByToken(req.params.token);
+
+      if (!config) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      logger.info('Webhook config test received', {
+        webhookConfigId: config.id,
+        companyId: config.company_id
+      });
+
+      res.json({
+        success: true,
+        message: 'Webhook URL is reachable and routed correctly',
+        webhook: {
+          name: config.name,
+          source_type: config.source_type,
+          status: config.status,
+          signature_header: config.signature_header
+        }
+      });
+
+    } catch (error) {
+      logger.error('Webhook config test error', { error: error.message });
+      res.status(500).json({ error: 'Test processing failed' });
+    }
+  });
+
+  /**
+   * Ingest endpoint generated for each webhook config.
+   * The token resolves the config, which supplies the company, secret and source type.
+   */
+  app.post('/webhook/:source/:token', async (req, res) => {
+    let deliveryId = null;
+
+    try {
+      const config = await findConfigByToken(req.params.token);
+
+      if (!config) {
+        logger.warn('Webhook received for unknown ingest token', {
+          source: req.params.source,
+          ip: req.ip
         });
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
 
-        logger.info('Zoom webhook processed', {
-          meetingId: payload.object.id,
-          contentSourceId: result.contentSourceId
+      // Zoom validates the endpoint before it will send events; answer without logging a delivery
+      if (config.source_type === 'zoom' && req.body.event === 'endpoint.url_validation') {
+        if (!config.secret_key || !verifyConfigSignature(config, req)) {
+          return res.status(401).json({ error: 'Invalid signature' });
+        }
+        return res.json(buildUrlValidationResponse(req.body.payload?.plainToken, config.secret_key));
+      }
+
+      deliveryId = await recordDelivery(config.id, req.body, req.headers);
+      await touchConfig(config.id);
+
+      if (config.status !== 'active') {
+        await markDeliveryFailed(deliveryId, `Webhook is ${config.status}`);
+        return res.status(403).json({ error: 'Webhook is not active' });
+      }
+
+      if (!verifyConfigSignature(config, req)) {
+        logger.warn('Invalid webhook signature', {
+          webhookConfigId: config.id,
+          signatureHeader: config.signature_header
         });
+        await markDeliveryFailed(deliveryId, 'Invalid signature');
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
+
+      await markSignatureVerified(deliveryId);
+
+      const result = await ingestWebhookDelivery(config, deliveryId, req.body, req.headers);
+
+      if (!result) {
+        return res.status(400).json({ error: 'No content found in webhook payload' });
+      }
 
-        res.json({
+      if (result.filtered) {
+        // Acknowledge so the recorder does not retry a meeting we chose to skip
+        return res.json({
           success: true,
-          message: 'Marketing Machine is processing your Zoom transcript',
+          processed: false,
+          message: 'Webhook received but skipped by filter rules',
+          filter: { rule: result.rule, reason: result.reason }
+        });
+      }
+
+      if (result.pending) {
+        return res.json({
+          success: true,
+          processed: false,
+          message: 'Marketing Machine will fetch your Zoom transcript'
+        });
+      }
+
+      if (result.duplicate) {
+        return res.json({
+          success: true,
+          duplicate: true,
+          message: 'Content for this meeting was already received',
           contentSourceId: result.contentSourceId
         });
-      } else {
-        logger.info('Zoom webhook event ignored', { event });
-        res.json({ success: true, message: 'Event acknowledged but not processed' });
       }
 
+      res.json({
+        success: true,
+        message: 'Marketing Machine is processing your content',
+        ...describeAcceptedContent(result)
+      });
+
     } catch (error) {
-      logger.error('Zoom webhook error', { error: error.message });
-      res.status(500).json({ error: 'Processing failed' });
+      logger.error('Webhook ingest error', {
+        error: error.message,
+        stack: error.stack,
+        deliveryId
+      });
+
+      if (deliveryId) {
+        await markDeliveryFailed(deliveryId, error.message);
+      }
+
+      res.status(500).json({
+        error: 'Webhook processing failed',
+        message: error.message
+      });
     }
   });
 
@@ -301,7 +440,7 @@ function startWebhookServer(port = 3002) {
           test: true,
           timestamp: new Date().toISOString()
         },
-        companyId: 1
+        companyId: DEFAULT_COMPANY_ID
       };
 
       const result = await storeWebhookContent(testContent);
@@ -332,10 +471,21 @@ function startWebhookServer(port = 3002) {
     }
   });
 
+  return app;
+}
+
+/**
+ * Start webhook server on separate port
+ * @param {number} port - Port to start webhook server on
+ */
+function startWebhookServer(port = 3002) {
+  const app = createWebhookApp(port);
+
   // Start webhook server
   const server = app.listen(port, '0.0.0.0', () => {
     logger.info(`🎣 Marketing Machine Webhook Server running on port ${port}`);
     logger.info(`📡 Webhook endpoints:`);
+    logger.info(`   Per-config: http://localhost:${port}/webhook/<source>/<ingest-token>`);
     logger.info(`   Generic: http://localhost:${port}/webhook/meeting-recorder`);
     logger.info(`   Read.ai: http://localhost:${port}/webhook/read-ai`);
     logger.info(`   Otter.ai: http://localhost:${port}/webhook/otter-ai`);
@@ -355,10 +505,16 @@ function startWebhookServer(port = 3002) {
  * @param {Object} payload - Webhook payload
  * @param {string} source - Webhook source
  * @param {Object} headers - Request headers
+ * @param {number} companyId - Company the content belongs to
+ * @param {Object} payloadMapping - Webhook config payload mapping; takes precedence over source defaults
  * @returns {Object|null} Processed content
  */
-function processWebhookPayload(payload, source, headers) {
+function processWebhookPayload(payload, source, headers, companyId = DEFAULT_COMPANY_ID, payloadMapping = null) {
   try {
+    if (hasPayloadMapping(payloadMapping)) {
+      return processMappedPayload(payload, source, companyId, payloadMapping);
+    }
+
     // Generic payload processing - adapt based on source
     let title, content, contentType = 'meeting_transcript', metadata = {};
 
@@ -388,7 +544,7 @@ function processWebhookPayload(payload, source, headers) {
       case 'zoom':
         if (payload.event === 'recording.completed' && payload.payload) {
           title = payload.payload.object.topic;
-          content = payload.transcript; // Would be fetched from Zoom API
+          content = payload.transcript; // Zoom never sends this - transcripts are downloaded by queueZoomTranscriptFetch
           metadata = {
             meeting_id: payload.payload.object.id,
             start_time: payload.payload.object.start_time
@@ -421,7 +577,7 @@ function processWebhookPayload(payload, source, headers) {
         platform: source,
         webhook_received_at: new Date().toISOString()
       },
-      companyId: 1 // Default company - in production this would be mapped from webhook config
+      companyId
     };
 
   } catch (error) {
@@ -430,6 +586,298 @@ function processWebhookPayload(payload, source, headers) {
   }
 }
 
+/**
+ * Extract content using a webhook config's declarative payload mapping
+ * @param {Object} payload - Webhook payload
+ * @param {string} source - Webhook source
+ * @param {number} companyId - Company the content belongs to
+ * @param {Object} payloadMapping - Payload mapping
+ * @returns {Object|null} Processed content
+ */
+function processMappedPayload(payload, source, companyId, payloadMapping) {
+  const mapped = applyPayloadMapping(payload, payloadMapping);
+
+  if (!mapped.content) {
+    return null;
+  }
+
+  return {
+    title: mapped.title || 'Webhook Content',
+    content: mapped.content,
+    contentType: mapped.contentType || 'meeting_transcript',
+    source,
+    metadata: {
+      ...mapped.metadata,
+      platform: source,
+      payload_mapping_unresolved: mapped.unresolved,
+      webhook_received_at: new Date().toISOString()
+    },
+    companyId
+  };
+}
+
+/**
+ * Turn a verified delivery into content and queue hook generation
+ * @param {Object} config - Webhook config the delivery was sent to
+ * @param {number} deliveryId - Webhook delivery ID
+ * @param {Object} payload - Webhook payload
+ * @param {Object} headers - Request headers
+ * @param {Object} options - { requeueExisting } passed on to acceptWebhookContent
+ * @returns {Promise<Object|null>} Storage result, a { filtered } result when a filter rule
+ *   rejected the meeting, or null when the payload has no content
+ */
+async function ingestWebhookDelivery(config, deliveryId, payload, headers = {}, options = {}) {
+  // Zoom never sends the transcript itself - it has to be downloaded once Zoom has processed it
+  if (config.source_type === 'zoom' && payload.event && !hasPayloadMapping(config.payload_mapping)) {
+    return queueZoomTranscriptFetch(config, deliveryId, payload, options);
+  }
+
+  const processedContent = processWebhookPayload(
+    payload,
+    config.source_type,
+    headers,
+    config.company_id,
+    config.payload_mapping
+  );
+
+  if (!processedContent) {
+    logger.warn('No content extracted from webhook', {
+      webhookConfigId: config.id,
+      deliveryId
+    });
+    await markDeliveryFailed(deliveryId, 'No content found in webhook payload');
+    return null;
+  }
+
+  return acceptWebhookContent(config, deliveryId, processedContent, options);
+}
+
+/**
+ * Apply filter rules, store content and queue hook generation for a delivery.
+ * Content is stored once per source meeting ID and transcript hash; repeats resolve to the
+ * original content source. Transcripts that overlap heavily with recent content are stored
+ * but flagged as near duplicates.
+ * @param {Object} config - Webhook config ({ id, company_id, filters })
+ * @param {number|null} deliveryId - Webhook delivery ID, if the delivery was logged
+ * @param {Object} processedContent - Content from processWebhookPayload
+ * @param {Object} options - { requeueExisting: queue hook generation for a stored meeting that has no hooks }
+ * @returns {Promise<Object>} Storage result ({ duplicate } when the meeting was stored before,
+ *   { nearDuplicateOf } when flagged), or a { filtered } result
+ */
+async function acceptWebhookContent(config, deliveryId, processedContent, options = {}) {
+  // Skip meetings the config's filter rules reject before any content or AI spend is created
+  const filterResult = evaluateFilters(processedContent, config.filters);
+
+  if (!filterResult.passed) {
+    logger.info('Webhook delivery filtered', {
+      webhookConfigId: config.id,
+      deliveryId,
+      rule: filterResult.rule,
+      reason: filterResult.reason
+    });
+    if (deliveryId) {
+      await markDeliveryFiltered(deliveryId, filterResult.rule, filterResult.reason);
+    }
+    return { filtered: true, rule: filterResult.rule, reason: filterResult.reason };
+  }
+
+  processedContent.metadata.webhook_config_id = config.id;
+  processedContent.metadata.webhook_delivery_id = deliveryId;
+  processedContent.externalId = getExternalId(processedContent);
+  processedContent.contentHash = computeContentHash(processedContent.content);
+
+  const existing = await findDuplicateContent(processedContent);
+  if (existing) {
+    return acceptDuplicateContent(config, deliveryId, existing, options);
+  }
+
+  const nearDuplicate = await findNearDuplicate(processedContent);
+  if (nearDuplicate) {
+    processedContent.nearDuplicate = nearDuplicate;
+    logger.info('Webhook content overlaps heavily with existing content', {
+      webhookConfigId: config.id,
+      deliveryId,
+      nearDuplicateOf: nearDuplicate.contentSourceId,
+      similarity: nearDuplicate.similarity
+    });
+  }
+
+  let result;
+  try {
+    result = await storeWebhookContent(processedContent);
+  } catch (error) {
+    // Another delivery for the same meeting won the race
+    if (error.code === '23505' && processedContent.externalId) {
+      const winner = await findDuplicateContent(processedContent);
+      if (winner) {
+        return acceptDuplicateContent(config, deliveryId, winner, options);
+      }
+    }
+    throw error;
+  }
+
+  let queued = true;
+  try {
+    await addContentJob('generate-hooks', {
+      contentSourceId: result.contentSourceId,
+      companyId: config.company_id
+    });
+  } catch (queueError) {
+    queued = false;
+    logger.warn('Failed to queue content job, but webhook data was stored', {
+      error: queueError.message,
+      contentSourceId: result.contentSourceId
+    });
+  }
+
+  const processingResult = {
+    processing_batch_id: result.processingBatchId,
+    queued
+  };
+  if (nearDuplicate) {
+    processingResult.near_duplicate_of = nearDuplicate.contentSourceId;
+    processingResult.near_duplicate_similarity = nearDuplicate.similarity;
+  }
+
+  if (deliveryId && queued) {
+    await markDeliveryProcessed(deliveryId, result.contentSourceId, processingResult);
+  } else if (deliveryId) {
+    // Leave the delivery replayable - the replay picks up the stored content and queues it again
+    await markDeliveryFailed(deliveryId, 'Content stored but hook generation could not be queued',
+      processingResult, result.contentSourceId);
+  }
+
+  logger.info('Webhook delivery ingested', {
+    webhookConfigId: config.id,
+    companyId: config.company_id,
+    deliveryId,
+    contentSourceId: result.contentSourceId
+  });
+
+  return nearDuplicate
+    ? { ...result, queued, nearDuplicateOf: nearDuplicate.contentSourceId, similarity: nearDuplicate.similarity }
+    : { ...result, queued };
+}
+
+/**
+ * Resolve a delivery for a meeting that is already stored
+ * @param {Object} config - Webhook config ({ id, company_id })
+ * @param {number|null} deliveryId - Webhook delivery ID
+ * @param {Object} existing - Existing content source from findDuplicateContent
+ * @param {Object} options - { requeueExisting }
+ * @returns {Promise<Object>} Result pointing at the original content source
+ */
+async function acceptDuplicateContent(config, deliveryId, existing, options = {}) {
+  let queued = false;
+
+  if (options.requeueExisting && existing.hooks_generated === 0) {
+    await addContentJob('generate-hooks', {
+      contentSourceId: existing.id,
+      companyId: config.company_id
+    });
+    queued = true;
+  }
+
+  if (deliveryId) {
+    await markDeliveryProcessed(deliveryId, existing.id, {
+      duplicate_of: existing.id,
+      matched_on: existing.matched_on,
+      processing_batch_id: existing.processing_batch_id,
+      queued
+    });
+  }
+
+  logger.info('Webhook delivery matched existing content', {
+    webhookConfigId: config.id,
+    deliveryId,
+    contentSourceId: existing.id,
+    matchedOn: existing.matched_on,
+    hooksRequeued: queued
+  });
+
+  return {
+    contentSourceId: existing.id,
+    processingBatchId: existing.processing_batch_id,
+    duplicate: true,
+    matchedOn: existing.matched_on,
+    queued
+  };
+}
+
+/**
+ * Queue the transcript download for a Zoom recording event
+ * @param {Object} config - Webhook config ({ id, company_id, filters })
+ * @param {number|null} deliveryId - Webhook delivery ID, if the delivery was logged
+ * @param {Object} body - Zoom webhook body
+ * @param {Object} options - { requeueExisting } carried to the fetch job
+ * @returns {Promise<Object>} { pending } when queued, or a { filtered } result
+ */
+async function queueZoomTranscriptFetch(config, deliveryId, body, options = {}) {
+  const skip = async (rule, reason) => {
+    if (deliveryId) {
+      await markDeliveryFiltered(deliveryId, rule, reason);
+    }
+    return { filtered: true, rule, reason };
+  };
+
+  if (!isTranscriptEvent(body)) {
+    return skip('zoom_event', `Zoom event ${body.event} is not processed`);
+  }
+
+  const transcriptRequest = buildTranscriptRequest(body);
+
+  if (!transcriptRequest) {
+    return skip('zoom_transcript', 'Recording has no transcript file yet; waiting for recording.transcript_completed');
+  }
+
+  // Filter on what the event already tells us so skipped meetings are never downloaded
+  const filterResult = evaluateFilters(
+    { title: transcriptRequest.title, metadata: transcriptRequest.metadata },
+    config.filters
+  );
+
+  if (!filterResult.passed) {
+    return skip(filterResult.rule, filterResult.reason);
+  }
+
+  await addContentJob('fetch-zoom-transcript', {
+    ...transcriptRequest,
+    companyId: config.company_id,
+    webhookConfigId: config.id,
+    deliveryId,
+    filters: config.filters || null,
+    requeueExisting: !!options.requeueExisting
+  }, {
+    attempts: ZOOM_TRANSCRIPT_ATTEMPTS,
+    backoff: { type: 'exponential', delay: ZOOM_TRANSCRIPT_RETRY_DELAY }
+  });
+
+  logger.info('Zoom transcript fetch queued', {
+    webhookConfigId: config.id,
+    deliveryId,
+    meetingId: transcriptRequest.metadata.meeting_id
+  });
+
+  return { pending: true };
+}
+
+/**
+ * Response fields for stored or deduplicated content
+ * @param {Object} result - Result from acceptWebhookContent
+ * @returns {Object} Response fields
+ */
+function describeAcceptedContent(result) {
+  return {
+    contentSourceId: result.contentSourceId,
+    processingBatchId: result.processingBatchId,
+    duplicate: !!result.duplicate,
+    ...(result.nearDuplicateOf && {
+      nearDuplicateOf: result.nearDuplicateOf,
+      similarity: result.similarity
+    })
+  };
+}
+
 /**
  * Store webhook content in database
  * @param {Object} content - Content to store
@@ -440,8 +888,9 @@ async function storeWebhookContent(content) {
     // Insert content source
     const contentResult = await client.query(`
       INSERT INTO content_sources 
-      (company_id, source_type, source_name, title, content, content_type, metadata)
-      VALUES ($1, 'webhook', $2, $3, $4, $5, $6)
+      (company_id, source_type, source_name, title, content, content_type, metadata, external_id,
+       content_hash, near_duplicate_of, near_duplicate_similarity)
+      VALUES ($1, 'webhook', $2, $3, $4, $5, $6, $7, $8, $9, $10)
       RETURNING id, uuid
     `, [
       content.companyId,
@@ -449,7 +898,11 @@ async function storeWebhookContent(content) {
       content.title,
       content.content,
       content.contentType,
-      JSON.stringify(content.metadata)
+      JSON.stringify(content.metadata),
+      content.externalId || null,
+      content.contentHash || computeContentHash(content.content),
+      content.nearDuplicate ? content.nearDuplicate.contentSourceId : null,
+      content.nearDuplicate ? content.nearDuplicate.similarity : null
     ]);
 
     const contentSourceId = contentResult.rows[0].id;
@@ -482,9 +935,36 @@ async function storeWebhookContent(content) {
   });
 }
 
+/**
+ * Verify a request against its webhook config's secret and signature header
+ * @param {Object} config - Webhook config
+ * @param {Object} req - Express request
+ * @returns {boolean} Signature is valid (always true when the config has no secret)
+ */
+function verifyConfigSignature(config, req) {
+  if (!config.secret_key) {
+    return true;
+  }
+
+  if (config.source_type === 'zoom') {
+    const timestamp = req.headers['x-zm-request-timestamp'];
+    return isFreshZoomTimestamp(timestamp) &&
+      verifyZoomSignature(req.rawBody, timestamp, req.headers['x-zm-signature'], config.secret_key);
+  }
+
+  const headerName = (config.signature_header || 'x-webhook-signature').toLowerCase();
+  const signature = req.headers[headerName];
+
+  if (!signature) {
+    return false;
+  }
+
+  return verifyWebhookSignature(req.rawBody || req.body, signature, config.secret_key);
+}
+
 /**
  * Verify webhook signature for security
- * @param {Object} payload - Request payload
+ * @param {Object|Buffer|string} payload - Raw request body, or parsed payload
  * @param {string} signature - Provided signature
  * @param {string} secret - Webhook secret
  * @returns {boolean} Signature is valid
@@ -492,7 +972,7 @@ async function storeWebhookContent(content) {
 function verifyWebhookSignature(payload, signature, secret) {
   try {
     const hmac = crypto.createHmac('sha256', secret);
-    hmac.update(JSON.stringify(payload));
+    hmac.update(Buffer.isBuffer(payload) || typeof payload === 'string' ? payload : JSON.stringify(payload));
     const calculatedSignature = hmac.digest('hex');
     
     // Support different signature formats
@@ -509,8 +989,12 @@ function verifyWebhookSignature(payload, signature, secret) {
 }
 
 module.exports = {
+  createWebhookApp,
   startWebhookServer,
   processWebhookPayload,
+  ingestWebhookDelivery,
+  acceptWebhookContent,
   storeWebhookContent,
+  verifyConfigSignature,
   verifyWebhookSignature
 };
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * Marketing Machine - Zoom Cloud Recordings
+ * Webhook validation, signature checks and transcript download for Zoom
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../../utils/logger').webhook;
+const { parseVtt, turnsToText, listSpeakers } = require('../content/transcriptParser');
+
+// Zoom sends the transcript with recording.completed when it is ready in time,
+// otherwise in a separate recording.transcript_completed event
+const TRANSCRIPT_EVENTS = ['recording.completed', 'recording.transcript_completed'];
+
+// Signed requests older or newer than this are refused, so a captured request cannot be replayed later
+const ZOOM_TIMESTAMP_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Raised when Zoom has not finished processing the transcript yet
+ */
+class TranscriptNotReadyError extends Error {
+  constructor(message = 'Zoom transcript is not ready yet') {
+    super(message);
+    this.name = 'TranscriptNotReadyError';
+  }
+}
+
+// =============================================
+// WEBHOOK SECURITY
+// =============================================
+
+/**
+ * Build the response to Zoom's endpoint.url_validation challenge
+ * @param {string} plainToken - Token sent by Zoom
+ * @param {string} secretToken - App secret token
+ * @returns {Object} { plainToken, encryptedToken }
+ */
+function buildUrlValidationResponse(plainToken, secretToken) {
+  const encryptedToken = crypto
+    .createHmac('sha256', secretToken)
+    .update(plainToken)
+    .digest('hex');
+
+  return { plainToken, encryptedToken };
+}
+
+/**
+ * Verify a Zoom webhook signature (x-zm-signature: v0=HMAC("v0:{timestamp}:{body}"))
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} timestamp - x-zm-request-timestamp header
+ * @param {string} signature - x-zm-signature header
+ * @param {string} secretToken - App secret token
+ * @returns {boolean} Signature is valid
+ */
+function verifyZoomSignature(rawBody, timestamp, signature, secretToken) {
+  if (!rawBody || !timestamp || !signature || !secretToken) {
+    return false;
+  }
+
+  try {
+    const expected = 'v0=' + crypto
+      .createHmac('sha256', secretToken)
+      .update(`v0:${timestamp}:${rawBody.toString()}`)
+      .digest('hex');
+
+    return signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  } catch (error) {
+    logger.error('Zoom signature verification error', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Check that a Zoom request was signed within the last few minutes
+ * @param {string} timestamp - x-zm-request-timestamp header, in seconds (milliseconds are accepted)
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} Timestamp is within ZOOM_TIMESTAMP_TOLERANCE_MS of now
+ */
+function isFreshZoomTimestamp(timestamp, now = Date.now()) {
+  if (!/^\d+$/.test(String(timestamp || ''))) {
+    return false;
+  }
+
+  const value = Number(timestamp);
+  const signedAt = value < 1e12 ? value * 1000 : value;
+  return Math.abs(now - signedAt) <= ZOOM_TIMESTAMP_TOLERANCE_MS;
+}
+
+// =============================================
+// RECORDING EVENTS
+// =============================================
+
+/**
+ * Check whether a Zoom event can carry a meeting transcript
+ * @param {Object} body - Zoom webhook body
+ * @returns {boolean} Event is a recording event with files
+ */
+function isTranscriptEvent(body) {
+  return TRANSCRIPT_EVENTS.includes(body?.event) && Array.isArray(body?.payload?.object?.recording_files);
+}
+
+/**
+ * Find the transcript file among a recording's files
+ * @param {Array<Object>} recordingFiles - payload.object.recording_files
+ * @returns {Object|null} Transcript file
+ */
+function findTranscriptFile(recordingFiles = []) {
+  return recordingFiles.find(file =>
+    file.file_type === 'TRANSCRIPT' ||
+    file.recording_type === 'audio_transcript' ||
+    (file.file_type === 'VTT' && file.recording_type !== 'closed_caption')
+  ) || null;
+}
+
+/**
+ * Describe a Zoom recording event as a transcript fetch request
+ * @param {Object} body - Zoom webhook body
+ * @returns {Object|null} Meeting details and transcript location, or null without a transcript file
+ */
+function buildTranscriptRequest(body) {
+  const meeting = body.payload.object;
+  const transcriptFile = findTranscriptFile(meeting.recording_files);
+
+  if (!transcriptFile || !transcriptFile.download_url) {
+    return null;
+  }
+
+  return {
+    downloadUrl: transcriptFile.download_url,
+    downloadToken: body.download_token || null,
+    title: meeting.topic || `Zoom Meeting - ${new Date().toLocaleDateString()}`,
+    metadata: {
+      meeting_id: meeting.id,
+      meeting_uuid: meeting.uuid,
+      start_time: meeting.start_time,
+      duration: meeting.duration,
+      host_email: meeting.host_email,
+      transcript_file_id: transcriptFile.id,
+      zoom_event: body.event,
+      platform: 'zoom'
+    }
+  };
+}
+
+// =============================================
+// TRANSCRIPT DOWNLOAD
+// =============================================
+
+/**
+ * Download a transcript file from Zoom
+ * @param {string} downloadUrl - recording_files[].download_url
+ * @param {string} downloadToken - download_token from the webhook body
+ * @param {Object} options - { timeout }
+ * @returns {Promise<string>} VTT contents
+ * @throws {TranscriptNotReadyError} When Zoom is still processing the file
+ */
+async function downloadTranscript(downloadUrl, downloadToken, options = {}) {
+  const headers = {};
+  if (downloadToken) {
+    headers.Authorization = `Bearer ${downloadToken}`;
+  }
+
+  let response;
+  try {
+    response = await axios.get(downloadUrl, {
+      headers,
+      responseType: 'text',
+      timeout: options.timeout || 30000,
+      // Let 4xx through so "not ready" can be told apart from real failures
+      validateStatus: status => status < 500
+    });
+  } catch (error) {
+    throw new Error(`Failed to download Zoom transcript: ${error.message}`);
+  }
+
+  if (response.status === 404 || response.status === 409 || response.status === 425) {
+    throw new TranscriptNotReadyError(`Zoom transcript is not ready yet (HTTP ${response.status})`);
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(`Zoom rejected the download token (HTTP ${response.status})`);
+  }
+
+  if (response.status >= 400) {
+    throw new Error(`Failed to download Zoom transcript (HTTP ${response.status})`);
+  }
+
+  const body = typeof response.data === 'string' ? response.data : String(response.data || '');
+
+  if (!body.trim() || !body.includes('-->')) {
+    throw new TranscriptNotReadyError('Zoom transcript file is empty');
+  }
+
+  return body;
+}
+
+/**
+ * Convert a Zoom VTT transcript into speaker text
+ * @param {string} vtt - VTT contents
+ * @returns {Object} { text, turns, speakers }
+ */
+function convertTranscript(vtt) {
+  const turns = parseVtt(vtt);
+
+  return {
+    text: turnsToText(turns),
+    turns,
+    speakers: listSpeakers(turns)
+  };
+}
+
+module.exports = {
+  TranscriptNotReadyError,
+  buildUrlValidationResponse,
+  verifyZoomSignature,
+  isFreshZoomTimestamp,
+  isTranscriptEvent,
+  findTranscriptFile,
+  buildTranscriptRequest,
+  downloadTranscript,
+  convertTranscript
+};
@@ -0,0 +1,115 @@
+/**
+ * Marketing Machine - Text Diff
+ * Word-level diffs between post drafts for side-by-side review
+ */
+
+// Past this many word pairs (about 2000 words changed on each side) the changed middle is shown as replaced whole
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into words with the whitespace after them, so joining the tokens gives the text back
+ * @param {string} text - Text
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  return (text || '').match(/^\s+|\S+\s*/g) || [];
+}
+
+/**
+ * Word-level diff of two texts (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<Object>} Runs of { type: equal|removed|added, text }, in reading order
+ */
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const runs = [];
+
+  const push = (type, text) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else if (text) {
+      runs.push({ type, text });
+    }
+  };
+
+  // Shared opening and closing words need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  push('equal', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    push('removed', midA.join(''));
+    push('added', midB.join(''));
+  } else {
+    // lengths[i][j]: longest common subsequence of midA[i..] and midB[j..]
+    const lengths = Array.from({ length: midA.length + 1 }, () => new Uint16Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lengths[i][j] = midA[i] === midB[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        push('equal', midA[i]);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        push('removed', midA[i++]);
+      } else {
+        push('added', midB[j++]);
+      }
+    }
+    push('removed', midA.slice(i).join(''));
+    push('added', midB.slice(j).join(''));
+  }
+
+  push('equal', a.slice(endA).join(''));
+
+  return runs;
+}
+
+/**
+ * Totals of a diff
+ * @param {Array<Object>} runs - From diffWords
+ * @returns {Object} { added_words, removed_words, unchanged_words, change_ratio } where change_ratio is
+ *   the share of the old text's words removed or replaced (0-1)
+ */
+function diffStats(runs) {
+  const words = (text) => text.split(/\s+/).filter(Boolean).length;
+  const count = (type) => runs.filter(run => run.type === type).reduce((sum, run) => sum + words(run.text), 0);
+
+  const added = count('added');
+  const removed = count('removed');
+  const unchanged = count('equal');
+  const total = Math.max(removed + unchanged, added + unchanged);
+
+  return {
+    added_words: added,
+    removed_words: removed,
+    unchanged_words: unchanged,
+    change_ratio: total ? Math.round((Math.max(added, removed) / total) * 1000) / 1000 : 0
+  };
+}
+
+module.exports = {
+  diffWords,
+  diffStats
+};
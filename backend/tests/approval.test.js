@@ -42,6 +42,11 @@ jest.mock('../src/middleware/auth', () => ({
   }
 }));
 
+// Regeneration jobs go through addContentJob; the auto-publish test swaps in a queue mock without it
+const mockRevisionQueue = () => {
+  require('../src/config/queue').addContentJob = jest.fn().mockResolvedValue({ id: 1 });
+};
+
 describe('Approval System', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -247,6 +252,25 @@ describe('Approval System', () => {
 
       expect(response.body.error).toBe('Post is not pending approval');
     });
+
+    it('should refuse posts with unresolved unsupported claims', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 1, status: 'pending_approval', fact_check_status: 'unsupported', fact_check: { unsupported: 2 } }] })
+      };
+
+      const { transaction } = require('../src/config/database');
+      transaction.mockImplementation((callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/approval/posts/1/approve')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.error).toBe('Post has 2 unsupported claims; verify or edit them before approving');
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe('POST /api/approval/posts/:postId/reject', () => {
@@ -263,6 +287,7 @@ describe('Approval System', () => {
     beforeEach(() => {
       const { transaction } = require('../src/config/database');
       transaction.mockImplementation(mockTransaction);
+      mockRevisionQueue();
     });
 
     it('should reject a post successfully', async () => {
@@ -290,6 +315,95 @@ describe('Approval System', () => {
         .expect(200);
 
       expect(response.body.message).toBe('Post rejected successfully');
+      expect(response.body.regeneration_queued).toBe(true);
+
+      const { addContentJob } = require('../src/config/queue');
+      expect(addContentJob).toHaveBeenCalledWith('regenerate-post', expect.objectContaining({
+        postId: 1,
+        companyId: 1,
+        userId: 1,
+        notes: 'Please regenerate with more technical content',
+        edits: []
+      }));
+    });
+
+    it('should leave the post rejected when regeneration cannot be queued', async () => {
+      const queue = require('../src/config/queue');
+      queue.addContentJob = jest.fn().mockRejectedValue(new Error('Redis unavailable'));
+      query.mockResolvedValue({ rows: [] });
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 1, status: 'pending_approval', draft_version: 1, settings: {} }] })
+          .mockResolvedValue({ rows: [] })
+      };
+      const { transaction } = require('../src/config/database');
+      transaction.mockImplementation((callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/approval/posts/1/reject')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ notes: 'Too long', regenerate: true })
+        .expect(200);
+
+      expect(response.body).toEqual({ message: 'Post rejected; regeneration could not be queued', regeneration_queued: false });
+      expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE OF p');
+      expect(query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'rejected'"), ['1']);
+    });
+
+    it('should refuse to regenerate past the revision limit', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 1, status: 'pending_approval', draft_version: 2, settings: { approval: { max_revisions: 1 } } }] })
+      };
+      const { transaction } = require('../src/config/database');
+      transaction.mockImplementation((callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/approval/posts/1/reject')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ notes: 'Still too long', regenerate: true })
+        .expect(400);
+
+      expect(response.body.error).toContain('Revision limit reached (1)');
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('POST /api/approval/posts/:postId/revise', () => {
+    beforeEach(() => {
+      mockRevisionQueue();
+    });
+
+    it('should queue the targeted edits and hold the post while it is rewritten', async () => {
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 1, status: 'pending_approval', draft_version: 1, settings: {} }] })
+          .mockResolvedValue({ rows: [] })
+      };
+      const { transaction } = require('../src/config/database');
+      transaction.mockImplementation((callback) => callback(mockClient));
+
+      await request(app)
+        .post('/api/approval/posts/1/revise')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ edits: ['shorter', 'add_cta'] })
+        .expect(202);
+
+      expect(mockClient.query.mock.calls[1][0]).toContain("status = 'regenerating'");
+      expect(mockClient.query.mock.calls[2][1]).toEqual(['1', 1, 'revision_requested', undefined, { edits: ['shorter', 'add_cta'] }]);
+
+      const { addContentJob } = require('../src/config/queue');
+      expect(addContentJob).toHaveBeenCalledWith('regenerate-post', expect.objectContaining({ postId: 1, userId: 1, edits: ['shorter', 'add_cta'] }));
+    });
+
+    it('should reject unknown edits', async () => {
+      const response = await request(app)
+        .post('/api/approval/posts/1/revise')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ edits: ['funnier'] })
+        .expect(400);
+
+      expect(response.body.error).toContain('unknown edit "funnier"');
     });
   });
 
@@ -351,6 +465,105 @@ describe('Approval System', () => {
     });
   });
 
+  describe('POST /api/approval/posts/:postId/autofix', () => {
+    it('should save the safe brand voice fixes and record the edit', async () => {
+      const { transaction } = require('../src/config/database');
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({
+            rows: [{
+              id: 1,
+              status: 'pending_approval',
+              post_content: 'Our new tool is best-in-class!!!',
+              hashtags: ['#Ops'],
+              brand_voice: { prohibited_terms: [{ term: 'tool', replacement: 'platform' }] }
+            }]
+          })
+          .mockResolvedValue({ rows: [] })
+      };
+      transaction.mockImplementation((callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/approval/posts/1/autofix')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Applied 3 brand voice fixes');
+      expect(response.body.post_content).toBe('Our new platform is leading!');
+      expect(response.body.brand_voice_lint.findings).toEqual([]);
+
+      const [updateSql, updateParams] = mockClient.query.mock.calls[1];
+      expect(updateSql).toContain('UPDATE linkedin_posts');
+      expect(updateParams.slice(0, 2)).toEqual(['Our new platform is leading!', ['#Ops']]);
+      expect(mockClient.query.mock.calls[2][1][3]).toBe('Brand voice auto-fix');
+    });
+  });
+
+  describe('POST /api/approval/posts/:postId/claims/:claimIndex/resolve', () => {
+    it('should verify the claim, unblock the post and record it', async () => {
+      const { transaction } = require('../src/config/database');
+      const factCheck = {
+        status: 'unsupported',
+        unsupported: 1,
+        resolutions: {},
+        claims: [
+          { index: 0, key: 'number:40%', type: 'number', text: '40%', supported: true, evidence: 'source', resolution: null },
+          { index: 1, key: 'name:globex', type: 'name', text: 'Globex', supported: false, evidence: null, resolution: null }
+        ]
+      };
+      const mockClient = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 1, fact_check: factCheck }] })
+          .mockResolvedValue({ rows: [] })
+      };
+      transaction.mockImplementation((callback) => callback(mockClient));
+
+      const response = await request(app)
+        .post('/api/approval/posts/1/claims/1/resolve')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ note: 'Customer list confirms Globex' })
+        .expect(200);
+
+      expect(response.body.message).toBe('All claims resolved');
+      expect(response.body.fact_check.status).toBe('resolved');
+      expect(mockClient.query.mock.calls[1][1][1]).toBe('resolved');
+      expect(JSON.parse(mockClient.query.mock.calls[1][1][0]).resolutions['name:globex']).toMatchObject({ resolved_by: 1 });
+      expect(mockClient.query.mock.calls[2][1].slice(1)).toEqual([
+        1, 'claim_verified', 'Customer list confirms Globex', { claim: { type: 'name', text: 'Globex' } }
+      ]);
+
+      mockClient.query.mockResolvedValueOnce({ rows: [{ id: 1, fact_check: factCheck }] });
+      await request(app)
+        .post('/api/approval/posts/1/claims/0/resolve')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/approval/variants/:variantId/approve and reject', () => {
+    it('should record the reviewer on the variant and in its history', async () => {
+      const { transaction } = require('../src/config/database');
+      const mockClient = {
+        query: jest.fn(async (sql) => (sql.includes('SELECT id, status') ? { rows: [{ id: 4, status: 'pending_approval' }] } : { rows: [] }))
+      };
+      transaction.mockImplementation((callback) => callback(mockClient));
+
+      for (const [action, recorded] of [['approve', 'approved'], ['reject', 'rejected']]) {
+        mockClient.query.mockClear();
+
+        await request(app)
+          .post(`/api/approval/variants/4/${action}`)
+          .set('Authorization', `Bearer ${mockToken}`)
+          .send({ notes: 'Reviewed' })
+          .expect(200);
+
+        expect(mockClient.query.mock.calls[1][1]).toEqual([1, '4']);
+        expect(mockClient.query.mock.calls[2][1]).toEqual(['4', 1, recorded, 'Reviewed']);
+      }
+    });
+  });
+
   describe('GET /api/approval/stats', () => {
     it('should return approval statistics', async () => {
       const mockStats = {
@@ -0,0 +1,146 @@
+/**
+ * Marketing Machine - Article Extractor Tests
+ * Readable text from web pages and safe URL fetching
+ */
+
+const axios = require('axios');
+const {
+  extractArticle,
+  fetchUrl,
+  isPrivateAddress
+} = require('../src/services/content/articleExtractor');
+const { ValidationError } = require('../src/middleware/errorHandler');
+
+jest.mock('axios');
+
+const paragraph = 'Most SaaS buyers compare three pricing tiers before they ever talk to sales, and the middle tier wins far more often than teams expect.';
+
+const page = `<!DOCTYPE html>
+<html>
+<head>
+  <title>Site title | Acme Blog</title>
+  <meta property="og:title" content="Why the middle pricing tier wins &amp; what to do about it">
+  <meta name="author" content="Jane Doe">
+  <meta property="og:site_name" content="Acme Blog">
+  <meta property="article:published_time" content="2024-03-05T09:00:00Z">
+  <link rel="canonical" href="/blog/middle-tier?utm_source=feed">
+  <script>window.tracking = '<p>not content</p>';</script>
+</head>
+<body>
+  <header><nav><a href="/">Home</a><a href="/blog">Blog</a></nav></header>
+  <div class="layout has-sidebar">
+    <article>
+      <h1>Why the middle tier wins</h1>
+      <p>${paragraph}</p>
+      <!-- <p>commented out</p> -->
+      <h2>What buyers told us</h2>
+      <ul><li>Annual plans reduce churn</li><li>Seat pricing confuses procurement</li></ul>
+      <p>We interviewed forty   customers
+        across &ldquo;mid-market&rdquo; accounts.</p>
+      <div class="share-buttons"><p>Share this on LinkedIn</p></div>
+    </article>
+    <aside class="sidebar"><p>Subscribe to our newsletter for more posts like this one.</p></aside>
+  </div>
+  <div class="cookie-banner"><p>We use cookies.</p></div>
+  <footer><p>&copy; 2024 Acme</p></footer>
+</body>
+</html>`;
+
+describe('Article Extractor', () => {
+  describe('extractArticle', () => {
+    it('should keep the article text and drop page chrome', () => {
+      const article = extractArticle(page, 'https://acme.com/blog/middle-tier');
+
+      expect(article.text).toBe([
+        'Why the middle tier wins',
+        '',
+        paragraph,
+        '',
+        'What buyers told us',
+        '',
+        '- Annual plans reduce churn',
+        '- Seat pricing confuses procurement',
+        'We interviewed forty customers across “mid-market” accounts.'
+      ].join('\n'));
+      expect(article.text).not.toMatch(/Share this|newsletter|cookies|Home|not content|commented/);
+    });
+
+    it('should read title, canonical URL and publishing details from meta tags', () => {
+      const { title, metadata } = extractArticle(page, 'https://acme.com/blog/middle-tier?ref=home');
+
+      expect(title).toBe('Why the middle pricing tier wins & what to do about it');
+      expect(metadata).toMatchObject({
+        url: 'https://acme.com/blog/middle-tier?ref=home',
+        canonical_url: 'https://acme.com/blog/middle-tier?utm_source=feed',
+        author: 'Jane Doe',
+        site_name: 'Acme Blog',
+        published_at: '2024-03-05T09:00:00.000Z'
+      });
+      expect(metadata.sections.map(section => section.title)).toEqual(['Why the middle tier wins', 'What buyers told us']);
+    });
+
+    it('should fall back to the page body without an article element', () => {
+      const html = `<html><body><nav><p>Menu</p></nav><div id="content"><p>${paragraph}</p><p>${paragraph}</p></div></body></html>`;
+
+      expect(extractArticle(html, 'https://acme.com/post').text).toBe(`${paragraph}\n${paragraph}`);
+    });
+
+    it('should reject pages without readable text', () => {
+      const html = '<html><body><div id="app"></div><script src="/bundle.js"></script></body></html>';
+
+      expect(() => extractArticle(html, 'https://acme.com/app')).toThrow('Page has no readable article text');
+    });
+  });
+
+  describe('fetchUrl', () => {
+    beforeEach(() => {
+      axios.get.mockReset();
+    });
+
+    it('should reject non-http URLs', async () => {
+      await expect(fetchUrl('file:///etc/passwd')).rejects.toThrow('Only http and https URLs can be fetched');
+    });
+
+    it('should refuse private and loopback addresses', async () => {
+      const error = await fetchUrl('http://127.0.0.1:6379/').catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe('URL points to a private network address');
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it('should check every redirect target', async () => {
+      axios.get.mockResolvedValueOnce({ status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data' }, data: '' });
+
+      await expect(fetchUrl('http://93.184.216.34/article'))
+        .rejects.toThrow('URL points to a private network address');
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should follow redirects and report the final URL', async () => {
+      axios.get
+        .mockResolvedValueOnce({ status: 301, headers: { location: '/blog/post' }, data: '' })
+        .mockResolvedValueOnce({ status: 200, headers: { 'content-type': 'text/html' }, data: '<html></html>' });
+
+      const response = await fetchUrl('http://93.184.216.34/old');
+
+      expect(response.url).toBe('http://93.184.216.34/blog/post');
+      expect(response.body).toBe('<html></html>');
+    });
+
+    it('should report HTTP errors', async () => {
+      axios.get.mockResolvedValueOnce({ status: 404, headers: {}, data: 'Not found' });
+
+      await expect(fetchUrl('http://93.184.216.34/missing')).rejects.toThrow('HTTP 404');
+    });
+  });
+
+  describe('isPrivateAddress', () => {
+    it('should recognise private, loopback and link-local ranges', () => {
+      ['10.0.0.5', '172.16.3.4', '192.168.1.1', '127.0.0.1', '169.254.169.254', '::1', 'fd00::1', '::ffff:10.1.2.3']
+        .forEach(address => expect(isPrivateAddress(address)).toBe(true));
+      ['93.184.216.34', '172.32.0.1', '2606:2800:220:1::1']
+        .forEach(address => expect(isPrivateAddress(address)).toBe(false));
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Marketing Machine - Brand Voice Linter Tests
+ * Rule-level findings with offsets, safe auto-fixes and the brand alignment score
+ */
+
+const { lintPost, applyFixes } = require('../src/services/ai/brandVoiceLinter');
+const PostGenerator = require('../src/services/ai/postGenerator');
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK')
+  }
+}));
+
+describe('Brand Voice Linter', () => {
+  const brandVoice = {
+    tone: ['direct'],
+    prohibited_terms: ['cheap', { term: 'tool', replacement: 'platform' }]
+  };
+
+  /**
+   * Findings for one rule as [text, start, end]
+   */
+  function found(lint, rule) {
+    return lint.findings.filter(finding => finding.rule === rule).map(({ text, start, end }) => [text, start, end]);
+  }
+
+  describe('lintPost', () => {
+    it('should report each rule with character offsets', () => {
+      const content = 'This cheap tool is a game-changer!!! At the end of the day, the report was written by the team.';
+
+      const lint = lintPost(content, brandVoice);
+
+      expect(found(lint, 'prohibited_term')).toEqual([['cheap', 5, 10], ['tool', 11, 15]]);
+      expect(found(lint, 'cliche')).toEqual([['game-changer', 21, 33], ['At the end of the day', 37, 58]]);
+      expect(found(lint, 'exclamation_marks')).toEqual([['!!', 34, 36]]);
+      expect(found(lint, 'passive_voice')).toEqual([['was written', 71, 82]]);
+
+      const [cheap, tool] = lint.findings;
+      expect(cheap).toMatchObject({ severity: 'error', fixable: false, suggestion: 'Remove or rephrase' });
+      expect(tool).toMatchObject({ fixable: true, fix: { replacement: 'platform' }, suggestion: 'Replace with "platform"' });
+      expect(lint.summary).toEqual({ errors: 2, warnings: 3, info: 1, fixable: 3 });
+    });
+
+    it('should enforce emoji, hashtag and reading level limits', () => {
+      const content = '🚀 Shipping 🔥 faster 🎉 today 🙌\n\nOrganisations pursuing comprehensive operational transformation ' +
+        'initiatives consistently underestimate infrastructure modernisation complexity.\n\n#Ops #Growth #Sales';
+
+      const lint = lintPost(content, brandVoice, { hashtags: ['#Ops', '#Logistics', '#Supply', '#Trucks'] });
+
+      expect(found(lint, 'emoji_limit')).toEqual([[' 🙌', 30, 33]]);
+      expect(lint.findings.filter(finding => finding.rule === 'hashtag_count')).toEqual([
+        expect.objectContaining({ field: 'hashtags', index: 3, text: '#Trucks', start: null })
+      ]);
+      expect(found(lint, 'reading_level')).toHaveLength(1);
+      expect(lint.stats.emojis).toBe(4);
+    });
+
+    it('should apply company limits, extra clichés and disabled rules', () => {
+      const lint = lintPost('Great news! Our secret sauce is synergy! 🚀🚀', {
+        linter: {
+          max_exclamation_marks: 2,
+          max_emojis: 1,
+          banned_cliches: [{ phrase: 'great news', replacement: 'news' }],
+          allowed_cliches: ['synergy'],
+          disabled_rules: ['passive_voice']
+        }
+      });
+
+      expect(lint.findings.map(finding => [finding.rule, finding.text])).toEqual([
+        ['cliche', 'Great news'],
+        ['cliche', 'secret sauce'],
+        ['emoji_limit', '🚀']
+      ]);
+    });
+
+    it('should tolerate a brand voice that is not an object', () => {
+      expect(lintPost('Plain words.', 'Professional and engaging').findings).toEqual([]);
+    });
+  });
+
+  describe('applyFixes', () => {
+    it('should apply only the safe fixes and leave the rest for the reviewer', () => {
+      const content = 'This cheap tool is best-in-class!!! Try it now! 🚀 🔥 🎉 🙌';
+      const lint = lintPost(content, brandVoice, { hashtags: ['#A', '#B', '#C', '#D', '#E', '#F'] });
+
+      const fixed = applyFixes(content, lint.findings, { hashtags: ['#A', '#B', '#C', '#D', '#E', '#F'] });
+
+      expect(fixed.post_content).toBe('This cheap platform is leading! Try it now. 🚀 🔥 🎉');
+      expect(fixed.hashtags).toEqual(['#A', '#B', '#C', '#D', '#E']);
+      expect(fixed.applied.map(fix => fix.rule).sort()).toEqual([
+        'cliche', 'emoji_limit', 'exclamation_marks', 'exclamation_marks', 'hashtag_count', 'prohibited_term'
+      ]);
+
+      const remaining = lintPost(fixed.post_content, brandVoice, { hashtags: fixed.hashtags });
+      expect(remaining.findings.map(finding => finding.rule)).toEqual(['prohibited_term']);
+    });
+  });
+
+  describe('calculateBrandAlignment', () => {
+    it('should lower the score by the severity of each finding', () => {
+      const postGenerator = new PostGenerator();
+      const profile = { brand_voice: brandVoice };
+
+      const clean = postGenerator.calculateBrandAlignment('Late trucks cost us a dock slot every week.', profile);
+      const cliched = postGenerator.calculateBrandAlignment('Late trucks are a game-changer for the wrong reasons.', profile);
+      const prohibited = postGenerator.calculateBrandAlignment('Cheap trucks are a game-changer for the wrong reasons.', profile);
+
+      expect(clean).toBe(5);
+      expect(cliched).toBe(4);
+      expect(prohibited).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Marketing Machine - Carousel Generator Tests
+ * Slide outlines from posts and hooks, branded offline PDF rendering and document share publishing
+ */
+
+const axios = require('axios');
+const { query } = require('../src/config/database');
+const CarouselGenerator = require('../src/services/ai/carouselGenerator');
+const { parseColors, resolveBrand, renderCarouselPdf } = require('../src/services/ai/carouselRenderer');
+const FakeProvider = require('../src/services/ai/providers/fakeProvider');
+const LinkedInAPI = require('../src/services/publishing/linkedinAPI');
+const PublishingService = require('../src/services/publishing/publishingService');
+const { ValidationError } = require('../src/middleware/errorHandler');
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK')
+  }
+}));
+
+jest.mock('../src/config/queue', () => ({
+  publishingQueue: null
+}));
+
+jest.mock('axios', () => {
+  const client = { get: jest.fn(), post: jest.fn() };
+  return { create: jest.fn(() => client), get: jest.fn(), put: jest.fn(), client };
+});
+
+// 1x1 PNG
+const LOGO = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+/**
+ * @param {Buffer} pdf - PDF bytes
+ * @returns {number} Number of pages
+ */
+function pageCount(pdf) {
+  return (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+}
+
+describe('CarouselGenerator', () => {
+  const companyProfile = {
+    id: 1,
+    name: 'Acme',
+    industry: 'Logistics',
+    brand_voice: { tone: ['direct'], prohibited_terms: [] },
+    content_pillars: ['Operations'],
+    icp: {},
+    visual_style: { primary_colors: 'Navy blue and white', typography: 'Serif headings', logo: LOGO }
+  };
+  const hook = { id: 7, hook_text: 'Late trucks cost more than fuel', source_quote: 'late trucks cost us more than fuel' };
+  const script = {
+    title: 'What a late truck really costs',
+    slides: [
+      { headline: 'Late trucks cost more than fuel', body: '' },
+      { headline: 'Every delay misses a dock slot', body: 'Rebooking costs a day.' },
+      { headline: 'Drivers run out of hours', body: 'A late start becomes an overnight stop.' },
+      { headline: 'Customers notice first', body: 'Late freight means late shelves.' },
+      { headline: 'Track arrivals, not departures', body: 'It is the number your customers feel.' },
+      { headline: 'What did your last late truck cost?', body: 'Tell us in the comments.' }
+    ],
+    caption: 'Fuel is the cost you see. Late trucks are the one you pay.'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('branding', () => {
+    it('should read colours, fonts and the logo from visual_style', async () => {
+      expect(parseColors('Navy blue and white')).toEqual(['#1B2A4A', '#0A66C2', '#FFFFFF']);
+      expect(parseColors(['#0f766e', '#fc0'])).toEqual(['#0F766E', '#FFCC00']);
+
+      const brand = await resolveBrand(companyProfile);
+
+      expect(brand).toMatchObject({
+        name: 'Acme',
+        primary: '#1B2A4A',
+        accent: '#0A66C2',
+        fonts: { regular: 'Times-Roman', bold: 'Times-Bold' }
+      });
+      expect(brand.logo).toBeInstanceOf(Buffer);
+    });
+
+    it('should fall back to defaults and never fetch remote logos', async () => {
+      const brand = await resolveBrand({ name: 'Acme', visual_style: { logo: 'https://example.com/logo.png' } });
+
+      expect(brand).toMatchObject({ primary: '#0A66C2', fonts: { regular: 'Helvetica', bold: 'Helvetica-Bold' }, logo: null });
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateCarousel', () => {
+    it('should script slides from a post and render one PDF page per slide', async () => {
+      const carouselGenerator = new CarouselGenerator({
+        provider: new FakeProvider({ task: 'posts', respond: () => script })
+      });
+      const post = { id: 31, post_content: 'Fuel is 20% of our costs. Late trucks were 35% last year.' };
+
+      const carousel = await carouselGenerator.generateCarousel({ hook, post }, companyProfile);
+
+      const { prompt } = carouselGenerator.variantGenerator.provider.requests[0];
+      expect(prompt).toContain('POST TO TURN INTO SLIDES (keep its argument and numbers):\n"Fuel is 20% of our costs.');
+      expect(carousel.pdf.subarray(0, 5).toString()).toBe('%PDF-');
+      expect(pageCount(carousel.pdf)).toBe(6);
+      expect(carousel).toMatchObject({
+        title: 'What a late truck really costs',
+        page_count: 6,
+        file_size: carousel.pdf.length,
+        prompt_version: 'carousel_script@1'
+      });
+      expect(carousel.metadata).toMatchObject({ post_id: 31, brand: { primary: '#1B2A4A', has_logo: true } });
+    });
+
+    it('should reject edited slides outside the carousel format', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 3, ...script }] });
+
+      await expect(new CarouselGenerator().rerender(3, companyProfile, { slides: script.slides.slice(0, 4) }))
+        .rejects.toThrow(ValidationError);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('publishing', () => {
+    it('should publish a post with an attached carousel as a LinkedIn document share', async () => {
+      const pdf = await renderCarouselPdf(script, await resolveBrand(companyProfile));
+      query.mockResolvedValueOnce({ rows: [{ id: 3, title: script.title, pdf }] });
+
+      LinkedInAPI.prototype.validateToken = jest.fn().mockResolvedValue(true);
+      LinkedInAPI.prototype.getPersonId = jest.fn().mockResolvedValue('abc');
+      axios.client.post
+        .mockResolvedValueOnce({ data: { value: { uploadUrl: 'https://upload.linkedin.test/doc', document: 'urn:li:document:9' } } })
+        .mockResolvedValueOnce({ headers: { 'x-restli-id': 'urn:li:share:42' } });
+      require('../src/config/database').transaction.mockImplementation(callback => callback({ query: jest.fn() }));
+
+      const result = await new PublishingService().publishToLinkedIn({
+        postId: 31,
+        companyId: 1,
+        userId: 5,
+        postContent: script.caption,
+        hashtags: ['#Logistics'],
+        linkedInToken: 'token'
+      });
+
+      expect(axios.put).toHaveBeenCalledWith('https://upload.linkedin.test/doc', pdf, expect.any(Object));
+      const [path, postData] = axios.client.post.mock.calls[1];
+      expect(path).toBe('/posts');
+      expect(postData).toMatchObject({
+        author: 'urn:li:person:abc',
+        commentary: `${script.caption}\n\n#Logistics`,
+        content: { media: { title: script.title, id: 'urn:li:document:9' } }
+      });
+      expect(result.linkedInPostId).toBe('urn:li:share:42');
+    });
+  });
+});
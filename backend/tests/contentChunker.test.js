@@ -0,0 +1,104 @@
+/**
+ * Marketing Machine - Content Chunker Tests
+ * Token-bounded chunks along speaker and topic boundaries
+ */
+
+const { chunkContent, findQuoteOffset } = require('../src/services/ai/contentChunker');
+const { countTokens, calculateUsageCost } = require('../src/services/ai/tokenUsage');
+
+function transcript(turnCount) {
+  const turns = [];
+  for (let i = 0; i < turnCount; i++) {
+    const minute = String(i).padStart(2, '0');
+    turns.push(`[00:${minute}:00] ${i % 2 ? 'Jane' : 'Raj'}: Turn ${i} covered pricing, churn and the roadmap for next quarter in some detail.`);
+  }
+  return turns.join('\n');
+}
+
+describe('Content Chunker', () => {
+  describe('chunkContent', () => {
+    it('should return short content as a single chunk', () => {
+      const content = transcript(3);
+
+      const chunks = chunkContent(content, { maxTokens: 1000 });
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0]).toMatchObject({ index: 0, text: content, start: 0, end: content.length, start_time: 0 });
+    });
+
+    it('should keep every chunk within the token limit and split between speaker turns', () => {
+      const content = transcript(40);
+
+      const chunks = chunkContent(content, { maxTokens: 200, overlapTokens: 0 });
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => {
+        expect(countTokens(chunk.text)).toBeLessThanOrEqual(200);
+        expect(chunk.text).toBe(content.slice(chunk.start, chunk.end));
+        expect(chunk.text).toMatch(/^\[00:\d{2}:00\] (Raj|Jane): /);
+        expect(chunk.text).toMatch(/quarter in some detail\.$/);
+      });
+      expect(chunks[1].start_time).toBe(chunks[1].text.match(/^\[00:(\d{2})/)[1] * 60);
+    });
+
+    it('should cover the whole transcript and overlap neighbouring chunks', () => {
+      const content = transcript(40);
+
+      const chunks = chunkContent(content, { maxTokens: 200, overlapTokens: 40 });
+
+      expect(chunks[0].start).toBe(0);
+      expect(chunks[chunks.length - 1].end).toBe(content.length);
+      for (let i = 1; i < chunks.length; i++) {
+        expect(chunks[i].start).toBeLessThan(chunks[i - 1].end);
+        expect(chunks[i].start).toBeGreaterThan(chunks[i - 1].start);
+      }
+    });
+
+    it('should prefer paragraph breaks once a chunk is nearly full', () => {
+      const paragraph = 'Our onboarding flow lost a third of new accounts in the first week. '.repeat(5).trim();
+      const content = [paragraph, paragraph, 'Pricing came up next.', paragraph].join('\n\n');
+      const limit = countTokens(paragraph) * 2 + 20;
+
+      const chunks = chunkContent(content, { maxTokens: limit, overlapTokens: 0 });
+
+      expect(chunks.map(chunk => chunk.text)).toEqual([
+        `${paragraph}\n\n${paragraph}`,
+        `Pricing came up next.\n\n${paragraph}`
+      ]);
+    });
+
+    it('should split a single turn longer than a chunk at sentence boundaries', () => {
+      const content = 'Raj: ' + 'We rebuilt the onboarding checklist from scratch. '.repeat(60).trim();
+
+      const chunks = chunkContent(content, { maxTokens: 100, overlapTokens: 0 });
+
+      expect(chunks.length).toBeGreaterThan(5);
+      chunks.forEach(chunk => {
+        expect(chunk.tokens).toBeLessThanOrEqual(100);
+        expect(chunk.text).toMatch(/scratch\.$/);
+      });
+      expect(chunks.map(chunk => chunk.text).join(' ')).toBe(content);
+    });
+  });
+
+  describe('findQuoteOffset', () => {
+    const text = 'Raj: Honestly,   pricing is the\nblocker for most of our buyers.';
+
+    it('should find quotes regardless of case, whitespace and quotation marks', () => {
+      expect(findQuoteOffset('"Pricing is the blocker for most of our buyers..."', text)).toBe(text.indexOf('pricing'));
+    });
+
+    it('should return -1 for paraphrased quotes', () => {
+      expect(findQuoteOffset('price is what blocks buyers', text)).toBe(-1);
+      expect(findQuoteOffset('', text)).toBe(-1);
+    });
+  });
+
+  describe('calculateUsageCost', () => {
+    it('should price prompt and completion tokens per model', () => {
+      expect(calculateUsageCost('gpt-4', { prompt_tokens: 10000, completion_tokens: 2000 })).toBe(0.42);
+      expect(calculateUsageCost('gpt-4o-2024-08-06', { prompt_tokens: 10000, completion_tokens: 2000 })).toBe(0.045);
+      expect(calculateUsageCost('unknown-model', { prompt_tokens: 10000, completion_tokens: 2000 })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Marketing Machine - Content Deduplication Tests
+ * Meeting ID, content hash and near-duplicate matching for webhook content
+ */
+
+const { query } = require('../src/config/database');
+const {
+  getExternalId,
+  computeContentHash,
+  findDuplicateContent,
+  findNearDuplicate
+} = require('../src/services/webhook/contentDedup');
+
+// Mock database queries
+jest.mock('../src/config/database', () => ({
+  query: jest.fn()
+}));
+
+describe('Content Deduplication', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getExternalId', () => {
+    it('should prefer the Zoom meeting UUID over the reusable meeting ID', () => {
+      expect(getExternalId({ metadata: { meeting_uuid: 'abc==', meeting_id: 812 } })).toBe('abc==');
+    });
+
+    it('should return null when the source sent no ID', () => {
+      expect(getExternalId({ metadata: { meeting_id: '' } })).toBeNull();
+      expect(getExternalId({})).toBeNull();
+    });
+  });
+
+  describe('computeContentHash', () => {
+    it('should ignore case and whitespace differences', () => {
+      expect(computeContentHash('Hello   Team\n\nLet us start ')).toBe(computeContentHash('hello team let us start'));
+    });
+
+    it('should distinguish different transcripts', () => {
+      expect(computeContentHash('Pricing review')).not.toBe(computeContentHash('Pricing preview'));
+    });
+  });
+
+  describe('findDuplicateContent', () => {
+    it('should look up by meeting ID and content hash within the company', async () => {
+      query.mockResolvedValue({
+        rows: [{ id: 300, matched_on: 'external_id', hooks_generated: '3', processing_batch_id: 400 }]
+      });
+
+      const existing = await findDuplicateContent({
+        companyId: 42,
+        source: 'read.ai',
+        externalId: 'read-123',
+        contentHash: 'hash'
+      });
+
+      expect(existing).toEqual({ id: 300, matched_on: 'external_id', hooks_generated: 3, processing_batch_id: 400 });
+      expect(query.mock.calls[0][1]).toEqual([42, 'read.ai', 'read-123', 'hash']);
+    });
+
+    it('should skip the lookup when there is nothing to match on', async () => {
+      expect(await findDuplicateContent({ companyId: 42, source: 'custom' })).toBeNull();
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findNearDuplicate', () => {
+    const content = { companyId: 42, content: 'We walked through how customers compare our tiers.' };
+
+    it('should flag content above the similarity threshold', async () => {
+      query.mockResolvedValue({ rows: [{ id: 300, similarity: '0.8642' }] });
+
+      expect(await findNearDuplicate(content)).toEqual({ contentSourceId: 300, similarity: 0.864 });
+      expect(query.mock.calls[0][1][0]).toBe(42);
+    });
+
+    it('should ignore matches below the threshold', async () => {
+      query.mockResolvedValue({ rows: [{ id: 300, similarity: 0.42 }] });
+
+      expect(await findNearDuplicate(content)).toBeNull();
+    });
+
+    it('should not fail ingestion when the check errors', async () => {
+      query.mockRejectedValue(new Error('function similarity does not exist'));
+
+      expect(await findNearDuplicate(content)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Marketing Machine - Document Extractor Tests
+ * Text, headings, tables and page/section metadata from PDF and DOCX uploads
+ */
+
+const JSZip = require('jszip');
+const { extractDocument, htmlToText } = require('../src/services/content/documentExtractor');
+const { ValidationError } = require('../src/middleware/errorHandler');
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Build a PDF whose pages are raw content streams using Helvetica as /F1
+ */
+function buildPdf(pageStreams) {
+  const objects = [];
+  const pageIds = pageStreams.map((stream, index) => 4 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+  pageStreams.forEach((stream, index) => {
+    const pageId = pageIds[index];
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+function textLine(text, x, y, size = 11) {
+  return `BT /F1 ${size} Tf ${x} ${y} Td (${text}) Tj ET`;
+}
+
+/**
+ * Build a DOCX from WordprocessingML body XML
+ */
+async function buildDocx(bodyXml) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>');
+  zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>');
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${bodyXml}</w:body></w:document>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+function paragraph(text, style) {
+  const properties = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : '';
+  return `<w:p>${properties}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+}
+
+function table(rows) {
+  const cells = row => row.map(cell => `<w:tc>${paragraph(cell)}</w:tc>`).join('');
+  return `<w:tbl>${rows.map(row => `<w:tr>${cells(row)}</w:tr>`).join('')}</w:tbl>`;
+}
+
+describe('Document Extractor', () => {
+  describe('PDF', () => {
+    it('should extract headings, flattened tables and page ranges', async () => {
+      const buffer = buildPdf([
+        [
+          textLine('Customer Case Study', 72, 720, 20),
+          textLine('Acme cut onboarding time in half after switching platforms.', 72, 690),
+          textLine('Metric', 72, 660),
+          textLine('Before', 250, 660),
+          textLine('After', 400, 660)
+        ].join('\n'),
+        [
+          textLine('Results', 72, 720, 20),
+          textLine('Support tickets dropped by forty percent within a quarter.', 72, 690)
+        ].join('\n')
+      ]);
+
+      const { text, metadata } = await extractDocument({ originalname: 'case-study.pdf', mimetype: 'application/pdf', buffer });
+
+      expect(text).toBe([
+        'Customer Case Study',
+        '',
+        'Acme cut onboarding time in half after switching platforms.',
+        'Metric | Before | After',
+        '',
+        'Results',
+        '',
+        'Support tickets dropped by forty percent within a quarter.'
+      ].join('\n'));
+      expect(metadata.format).toBe('pdf');
+      expect(metadata.page_count).toBe(2);
+      expect(metadata.sections).toEqual([
+        { title: 'Customer Case Study', page: 1, offset: 0 },
+        { title: 'Results', page: 2, offset: text.indexOf('Results') }
+      ]);
+      expect(text.slice(metadata.pages[1].start, metadata.pages[1].end)).toMatch(/^Results[\s\S]*quarter\.$/);
+    });
+
+    it('should reject scanned PDFs without a text layer', async () => {
+      const image = 'q 100 0 0 100 72 600 cm BI /W 2 /H 2 /CS /G /BPC 8 ID \x00\xff\xff\x00 EI Q';
+      const buffer = buildPdf([image]);
+
+      const error = await extractDocument({ originalname: 'scan.pdf', mimetype: 'application/pdf', buffer }).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toMatch(/scanned/);
+    });
+
+    it('should reject PDFs without any text', async () => {
+      const buffer = buildPdf(['']);
+
+      await expect(extractDocument({ originalname: 'blank.pdf', mimetype: 'application/pdf', buffer }))
+        .rejects.toThrow('PDF contains no text');
+    });
+
+    it('should reject files that are not PDFs', async () => {
+      const buffer = Buffer.from('not a pdf at all');
+
+      await expect(extractDocument({ originalname: 'deck.pdf', mimetype: 'application/pdf', buffer }))
+        .rejects.toThrow('File is not a valid PDF or is corrupted');
+    });
+
+    it('should report password-protected PDFs', async () => {
+      let extract;
+      jest.isolateModules(() => {
+        jest.doMock('pdf-parse/lib/pdf-parse.js', () => jest.fn().mockRejectedValue(
+          Object.assign(new Error('No password given'), { name: 'PasswordException' })
+        ));
+        ({ extractDocument: extract } = require('../src/services/content/documentExtractor'));
+      });
+
+      await expect(extract({ originalname: 'locked.pdf', buffer: Buffer.from('%PDF-1.4') }))
+        .rejects.toThrow('PDF is password-protected');
+    });
+  });
+
+  describe('DOCX', () => {
+    it('should extract headings, lists and tables with section metadata', async () => {
+      const buffer = await buildDocx([
+        paragraph('Whitepaper: Pricing Strategy', 'Heading1'),
+        paragraph('Most buyers compare three tiers before talking to sales.'),
+        paragraph('Findings', 'Heading2'),
+        table([['Segment', 'Win rate'], ['SMB', '32%']]),
+        paragraph('Tom &amp; Jerry approved this.')
+      ].join(''));
+
+      const { text, metadata } = await extractDocument({ originalname: 'whitepaper.docx', mimetype: DOCX_MIME_TYPE, buffer });
+
+      expect(text).toBe([
+        'Whitepaper: Pricing Strategy',
+        '',
+        'Most buyers compare three tiers before talking to sales.',
+        '',
+        'Findings',
+        '',
+        'Segment | Win rate',
+        'SMB | 32%',
+        'Tom & Jerry approved this.'
+      ].join('\n'));
+      expect(metadata).toEqual({
+        format: 'docx',
+        sections: [
+          { title: 'Whitepaper: Pricing Strategy', level: 1, offset: 0 },
+          { title: 'Findings', level: 2, offset: text.indexOf('Findings') }
+        ],
+        table_count: 1,
+        word_count: 22
+      });
+    });
+
+    it('should reject empty documents', async () => {
+      const buffer = await buildDocx(paragraph(' '));
+
+      await expect(extractDocument({ originalname: 'empty.docx', mimetype: DOCX_MIME_TYPE, buffer }))
+        .rejects.toThrow('Document contains no text');
+    });
+
+    it('should report password-protected documents', async () => {
+      const buffer = Buffer.concat([Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), Buffer.alloc(64)]);
+
+      const error = await extractDocument({ originalname: 'locked.docx', mimetype: DOCX_MIME_TYPE, buffer }).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toMatch(/password-protected/);
+    });
+
+    it('should reject corrupted documents', async () => {
+      await expect(extractDocument({ originalname: 'broken.docx', mimetype: DOCX_MIME_TYPE, buffer: Buffer.from('garbage') }))
+        .rejects.toThrow(/could not be read/);
+    });
+  });
+
+  describe('Transcripts', () => {
+    it('should store SRT files as timestamped speaker turns', async () => {
+      const srt = '1\n00:12:41,000 --> 00:12:44,000\nJane: Pricing is the blocker.\n\n2\n00:12:45,000 --> 00:12:49,000\nRaj: Annual plans fix that.';
+
+      const result = await extractDocument({ originalname: 'call.srt', mimetype: 'application/octet-stream', buffer: Buffer.from(srt) });
+
+      expect(result.text).toBe('[00:12:41] Jane: Pricing is the blocker.\n[00:12:45] Raj: Annual plans fix that.');
+      expect(result.turns).toHaveLength(2);
+      expect(result.metadata).toEqual({ format: 'srt', speakers: ['Jane', 'Raj'], turn_count: 2, duration_seconds: 769 });
+    });
+
+    it('should detect Otter text exports among plain text uploads', async () => {
+      const otter = 'Jane Doe  0:03\nThanks for joining.\n\nRaj Patel  0:09\nHappy to be here.';
+
+      const result = await extractDocument({ originalname: 'otter.txt', mimetype: 'text/plain', buffer: Buffer.from(otter) });
+
+      expect(result.metadata.format).toBe('speaker_text');
+      expect(result.turns[1]).toEqual({ speaker: 'Raj Patel', text: 'Happy to be here.', start: 9, end: null });
+    });
+
+    it('should report invalid JSON transcripts', async () => {
+      await expect(extractDocument({ originalname: 'turns.json', mimetype: 'application/json', buffer: Buffer.from('{ nope') }))
+        .rejects.toThrow('JSON transcript is not valid JSON');
+    });
+
+    it('should reject subtitle files without cues', async () => {
+      await expect(extractDocument({ originalname: 'empty.vtt', mimetype: 'text/vtt', buffer: Buffer.from('WEBVTT\n\n') }))
+        .rejects.toThrow('Transcript contains no timed cues with text');
+    });
+  });
+
+  describe('htmlToText', () => {
+    it('should indent nested list items', () => {
+      const { text } = htmlToText('<ul><li>Pricing<ul><li>Annual plans</li></ul></li></ul>');
+
+      expect(text).toBe('- Pricing\n  - Annual plans');
+    });
+
+    it('should flatten long documents in linear time', () => {
+      const html = Array.from({ length: 20000 }, (_, i) => (i % 100 === 0 ? `<h2>Part ${i}</h2>` : `<p>Paragraph ${i}</p>`)).join('');
+
+      const started = Date.now();
+      const { text, sections } = htmlToText(html);
+
+      expect(Date.now() - started).toBeLessThan(2000);
+      expect(sections).toHaveLength(200);
+      expect(text.slice(sections[1].offset, sections[1].offset + 8)).toBe('Part 100');
+      expect(text).toContain('Paragraph 99\n\nPart 100\n\nParagraph 101\nParagraph 102');
+    });
+  });
+
+  it('should pass plain text through', async () => {
+    const result = await extractDocument({ originalname: 'notes.md', mimetype: 'text/markdown', buffer: Buffer.from('# Notes') });
+
+    expect(result).toEqual({ text: '# Notes', metadata: { format: 'text' } });
+  });
+});
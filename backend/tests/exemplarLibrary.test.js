@@ -0,0 +1,113 @@
+/**
+ * Marketing Machine - Exemplar Library Tests
+ * Ranking published posts by engagement rate, matching them to hooks and admin curation
+ */
+
+const { query } = require('../src/config/database');
+const {
+  getExemplarCandidates,
+  selectExemplars,
+  setExemplarStatus
+} = require('../src/services/ai/exemplarLibrary');
+const PostGenerator = require('../src/services/ai/postGenerator');
+const FakeProvider = require('../src/services/ai/providers/fakeProvider');
+const { ValidationError } = require('../src/middleware/errorHandler');
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK')
+  }
+}));
+
+describe('Exemplar Library', () => {
+  const hook = {
+    id: 5,
+    hook_text: 'Late trucks cost more than fuel',
+    content_pillar: 'Operations',
+    hook_type: 'pain_point',
+    source_quote: 'late trucks cost us more than fuel'
+  };
+
+  // Candidates as getExemplarCandidates returns them: pinned first, then by engagement rate
+  const candidates = [
+    { id: 1, post_content: 'Pinned post about hiring', content_pillar: 'Culture', hook_type: 'customer_story', engagement_rate: 2.1, pinned: true },
+    { id: 2, post_content: 'Viral post about pricing', content_pillar: 'Pricing', hook_type: 'pain_point', engagement_rate: 9.4, pinned: false },
+    { id: 3, post_content: 'Dock scheduling post', content_pillar: 'operations', hook_type: 'success_metric', engagement_rate: 6.2, pinned: false },
+    { id: 4, post_content: 'Detention fees post', content_pillar: 'Operations', hook_type: 'pain_point', engagement_rate: 4.8, pinned: false }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('selectExemplars', () => {
+    it('should prefer pinned posts, then the hook pillar and type, then engagement rate', () => {
+      const exemplars = selectExemplars(candidates, hook);
+
+      expect(exemplars.map(exemplar => exemplar.id)).toEqual([1, 4, 3]);
+      expect(exemplars.map(exemplar => exemplar.matched_on)).toEqual([[], ['content_pillar', 'hook_type'], ['content_pillar']]);
+    });
+
+    it('should fall back to the best performers when nothing matches', () => {
+      const unpinned = candidates.filter(candidate => !candidate.pinned);
+
+      expect(selectExemplars(unpinned, { content_pillar: 'Hiring' }, 2).map(exemplar => exemplar.id)).toEqual([2, 3]);
+    });
+  });
+
+  describe('getExemplarCandidates', () => {
+    it('should rank measured published posts and skip excluded ones', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 4, post_content: 'x', engagement_rate: '4.80', impressions: '1200', pinned: false }] });
+
+      const [candidate] = await getExemplarCandidates(1);
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain("pe.status IS DISTINCT FROM 'excluded'");
+      expect(sql).toContain('ORDER BY pinned DESC, pa.engagement_rate DESC');
+      expect(params).toEqual([1, 100, 50]);
+      expect(candidate).toMatchObject({ engagement_rate: 4.8, impressions: 1200 });
+    });
+
+    it('should return no candidates when the library cannot be read', async () => {
+      query.mockRejectedValueOnce(new Error('relation "post_exemplars" does not exist'));
+
+      await expect(getExemplarCandidates(1)).resolves.toEqual([]);
+    });
+  });
+
+  describe('setExemplarStatus', () => {
+    it('should only pin published posts', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 7, status: 'approved' }] });
+
+      await expect(setExemplarStatus(1, 7, 'pinned')).rejects.toThrow(ValidationError);
+      await expect(setExemplarStatus(1, 7, 'featured')).rejects.toThrow(ValidationError);
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('post generation', () => {
+    it('should inject the hook exemplars instead of imported voice examples', async () => {
+      query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM linkedin_posts lp')) return { rows: candidates };
+        if (sql.includes('FROM brand_voice_samples')) return { rows: [{ id: 9, post_content: 'Imported past post' }] };
+        return { rows: [] };
+      });
+      const provider = new FakeProvider({ task: 'posts' });
+
+      const [post] = await new PostGenerator({ provider }).generatePosts([hook], { id: 1, name: 'Acme', brand_voice: {} });
+
+      const { prompt } = provider.requests[0];
+      expect(prompt).toContain('OUR TOP-PERFORMING POSTS (learn what made them work; do not copy their wording or topic):\n\n' +
+        '--- Exemplar 1 (2.1% engagement) ---\nPinned post about hiring\n\n--- Exemplar 2 (4.8% engagement) ---\nDetention fees post');
+      expect(prompt).not.toContain('Imported past post');
+      expect(post.metadata.exemplar_post_ids).toEqual([1, 4, 3]);
+    });
+  });
+});
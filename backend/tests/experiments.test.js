@@ -0,0 +1,198 @@
+/**
+ * Marketing Machine - Experiment Tests
+ * Variant assignment during post generation, engagement lift statistics and promotion
+ */
+
+const { query, transaction } = require('../src/config/database');
+const { criticalT, summarize, welchTest } = require('../src/services/ai/experimentStats');
+const {
+  validateExperiment,
+  pickVariant,
+  getExperimentResults,
+  promoteVariant
+} = require('../src/services/ai/experiments');
+const PostGenerator = require('../src/services/ai/postGenerator');
+const FakeProvider = require('../src/services/ai/providers/fakeProvider');
+const { ValidationError } = require('../src/middleware/errorHandler');
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK')
+  }
+}));
+
+describe('Experiments', () => {
+  const temperatureExperiment = {
+    id: 4,
+    company_id: 1,
+    name: 'Hotter posts',
+    factor: 'temperature',
+    status: 'running',
+    variants: [
+      { key: 'A', name: 'Control', weight: 1, config: {} },
+      { key: 'B', name: 'Variant B', weight: 1, config: { temperature: 1.1 } }
+    ]
+  };
+
+  /**
+   * Assignment rows for getExperimentResults: one measured, published post per engagement rate
+   */
+  function measuredRows(variantKey, rates) {
+    return rates.map(rate => ({ variant_key: variantKey, status: 'published', impressions: '1000', engagement_rate: String(rate) }));
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('statistics', () => {
+    it('should run Welch\'s t-test with unequal variances', () => {
+      const test = welchTest(summarize([5, 6, 7, 8, 9]), summarize([3, 4, 5, 4, 3]));
+
+      expect(test.difference).toBeCloseTo(3.2);
+      expect(test.t).toBeCloseTo(4);
+      expect(test.df).toBeCloseTo(6.08, 2);
+      expect(test.p_value).toBeCloseTo(0.0069, 4);
+      expect(test.confidence_interval[0]).toBeCloseTo(1.25, 2);
+      expect(criticalT(10, 0.05)).toBeCloseTo(2.228, 3);
+      expect(welchTest(summarize([5]), summarize([3, 4]))).toBeNull();
+    });
+  });
+
+  describe('validateExperiment', () => {
+    it('should check each variant against the factor', () => {
+      expect(validateExperiment(temperatureExperiment)).toEqual([]);
+
+      expect(validateExperiment({
+        factor: 'temperature',
+        variants: [{ config: {} }, { config: { temperature: 3 } }, { config: { model: 'gpt-4o' } }]
+      })).toEqual([
+        'variants.1.config.temperature: must be a number from 0 to 2',
+        'variants.2.config.temperature: must be a number from 0 to 2'
+      ]);
+      expect(validateExperiment({
+        factor: 'prompt',
+        variants: [{ config: {} }, { config: { sections: { output_format: 'Plain text' } } }]
+      })).toEqual(['variants.1.config.sections.output_format: cannot be overridden']);
+      expect(validateExperiment({ factor: 'model', variants: [{ config: {} }] })).toEqual([
+        'variants: must list 2 to 4 variants, the control first'
+      ]);
+    });
+  });
+
+  describe('assignment', () => {
+    it('should pick variants in proportion to their weight', () => {
+      const experiment = { variants: [{ key: 'A', weight: 3 }, { key: 'B', weight: 1 }] };
+
+      expect(pickVariant(experiment, () => 0.74).key).toBe('A');
+      expect(pickVariant(experiment, () => 0.75).key).toBe('B');
+    });
+
+    it('should generate with the assigned variant and record the assignment', async () => {
+      query.mockImplementation(async (sql) => ({
+        rows: sql.includes('FROM experiments') ? [temperatureExperiment] : []
+      }));
+      jest.spyOn(Math, 'random').mockReturnValueOnce(0.9);
+
+      const reply = { post_content: 'Late trucks cost more than fuel.', hashtags: ['#Logistics'], cta_type: 'question' };
+      const postGenerator = new PostGenerator({ provider: new FakeProvider({ task: 'posts', respond: () => reply }) });
+      const hook = { id: 7, hook_text: 'Late trucks cost more than fuel', source_quote: 'late trucks' };
+
+      const [post] = await postGenerator.generatePosts([hook], { id: 1, name: 'Acme', brand_voice: {} });
+
+      expect(postGenerator.provider.requests[0].temperature).toBe(1.1);
+      expect(post.experiment).toEqual({
+        experiment_id: 4,
+        variant_key: 'B',
+        settings: { provider: 'fake', model: 'fake-model', temperature: 1.1, prompt_version: 'posts@1' }
+      });
+
+      const client = {
+        query: jest.fn(async (sql) => ({ rows: sql.includes('INSERT INTO linkedin_posts') ? [{ id: 31, company_id: 1 }] : [] }))
+      };
+      transaction.mockImplementation(callback => callback(client));
+
+      await postGenerator.storePosts([post], [hook], 1);
+
+      const [sql, params] = client.query.mock.calls[1];
+      expect(sql).toContain('INSERT INTO experiment_assignments');
+      expect(params.slice(0, 4)).toEqual([4, 1, 31, 'B']);
+    });
+  });
+
+  describe('results', () => {
+    it('should report lift and a winner once the difference is significant', async () => {
+      query.mockResolvedValue({
+        rows: [
+          ...measuredRows('A', [2.1, 2.4, 1.9, 2.2, 2.0, 2.3, 2.5, 1.8, 2.2, 2.1]),
+          ...measuredRows('B', [3.0, 2.8, 3.3, 2.9, 3.1, 3.4, 2.7, 3.2, 3.0, 2.9]),
+          { variant_key: 'B', status: 'approved', impressions: null, engagement_rate: null }
+        ]
+      });
+
+      const results = await getExperimentResults(temperatureExperiment);
+      const [control, variant] = results.variants;
+
+      expect(control).toMatchObject({ key: 'A', control: true, measured: 10, mean_engagement_rate: 2.15 });
+      expect(variant).toMatchObject({ key: 'B', assigned: 11, published: 10, measured: 10, mean_engagement_rate: 3.03, significant: true });
+      expect(variant.lift).toBeCloseTo(40.93, 1);
+      expect(variant.p_value).toBeLessThan(0.001);
+      expect(results.winner).toBe('B');
+    });
+
+    it('should not call a winner before every variant has enough measured posts', async () => {
+      query.mockResolvedValue({
+        rows: [...measuredRows('A', [2.1, 2.4, 1.9]), ...measuredRows('B', [3.0, 2.8, 3.3])]
+      });
+
+      const results = await getExperimentResults(temperatureExperiment);
+
+      expect(results.variants[1].significant).toBe(false);
+      expect(results.winner).toBeNull();
+    });
+  });
+
+  describe('promoteVariant', () => {
+    it('should write a winning temperature to the company settings', async () => {
+      query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM experiments')) return { rows: [temperatureExperiment] };
+        return {
+          rows: [
+            ...measuredRows('A', [2.1, 2.4, 1.9, 2.2, 2.0, 2.3, 2.5, 1.8, 2.2, 2.1]),
+            ...measuredRows('B', [3.0, 2.8, 3.3, 2.9, 3.1, 3.4, 2.7, 3.2, 3.0, 2.9])
+          ]
+        };
+      });
+      const client = {
+        query: jest.fn(async (sql) => {
+          if (sql.includes('SELECT settings')) return { rows: [{ settings: { ai: { posts: { provider: 'anthropic' } } } }] };
+          if (sql.includes('UPDATE experiments')) return { rows: [{ ...temperatureExperiment, status: 'promoted', winner_variant: 'B' }] };
+          return { rows: [] };
+        })
+      };
+      transaction.mockImplementation(callback => callback(client));
+
+      const { experiment } = await promoteVariant(4, 1, 'B', { userId: 5 });
+
+      const update = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE companies'));
+      expect(JSON.parse(update[1][0])).toEqual({ ai: { posts: { provider: 'anthropic', temperature: 1.1 } } });
+      expect(experiment).toMatchObject({ status: 'promoted', winner_variant: 'B' });
+    });
+
+    it('should refuse a variant that has not won unless forced', async () => {
+      query.mockImplementation(async (sql) => ({
+        rows: sql.includes('FROM experiments') ? [temperatureExperiment] : []
+      }));
+
+      await expect(promoteVariant(4, 1, 'B')).rejects.toThrow(ValidationError);
+      expect(transaction).not.toHaveBeenCalled();
+    });
+  });
+});
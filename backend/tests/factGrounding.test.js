@@ -0,0 +1,195 @@
+/**
+ * Marketing Machine - Fact Grounding Tests
+ * Extracting numbers, names and quotes from posts and checking them against the source transcript
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { query } = require('../src/config/database');
+const {
+  extractClaims,
+  checkGrounding,
+  resolveClaim,
+  blocksApproval,
+  getGroundingSources,
+  recheckPost
+} = require('../src/services/ai/factGrounding');
+const PostGenerator = require('../src/services/ai/postGenerator');
+const postRoutes = require('../src/routes/posts');
+const FakeProvider = require('../src/services/ai/providers/fakeProvider');
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK')
+  }
+}));
+
+describe('Fact Grounding', () => {
+  const transcript = 'Maria Lopez from Acme Freight said late trucks cost us more than fuel. ' +
+    'Detention fees fell 40 percent over three months, and we saved about 1,190,000 dollars last year.';
+
+  const post = 'Acme Logistics cut detention fees by 40% in 3 months.\n\n' +
+    '1. Book dock slots\n2) Track carriers\n\n' +
+    'As Maria Lopez told us: "late trucks cost us more than fuel". That saved $1.2M. ' +
+    'Globex saw the same. We grew 25% with Initech and Hooli. #Freight';
+
+  const sources = {
+    sourceContent: transcript,
+    sourceQuote: 'late trucks cost us more than fuel',
+    companyProfile: { name: 'Acme Logistics', content_pillars: ['Operations'] }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('extractClaims', () => {
+    it('should find numbers, names and quotes but not list markers or hashtags', () => {
+      const claims = extractClaims(post);
+
+      expect(claims.map(claim => [claim.type, claim.text])).toEqual([
+        ['name', 'Acme Logistics'],
+        ['number', '40%'],
+        ['number', '3'],
+        ['name', 'Maria Lopez'],
+        ['quote', 'late trucks cost us more than fuel'],
+        ['number', '$1.2M'],
+        ['number', '25%'],
+        ['name', 'Initech'],
+        ['name', 'Hooli']
+      ]);
+      expect(claims[5]).toMatchObject({ value: 1200000, kind: 'money', rounded: true });
+      expect(post.slice(claims[3].start, claims[3].end)).toBe('Maria Lopez');
+    });
+  });
+
+  describe('checkGrounding', () => {
+    it('should support claims found in the transcript, hook quote or company profile', () => {
+      const factCheck = checkGrounding(post, sources);
+
+      const byText = Object.fromEntries(factCheck.claims.map(claim => [claim.text, claim.evidence]));
+      expect(byText).toEqual({
+        'Acme Logistics': 'company_profile',
+        '40%': 'source',
+        3: 'source',
+        'Maria Lopez': 'source',
+        'late trucks cost us more than fuel': 'source_quote',
+        '$1.2M': 'source',
+        '25%': null,
+        Initech: null,
+        Hooli: null
+      });
+      expect(factCheck).toMatchObject({ status: 'unsupported', unsupported: 3, source_available: true });
+      expect(blocksApproval(factCheck.status)).toBe(true);
+    });
+
+    it('should not take an exact figure for a different one', () => {
+      const factCheck = checkGrounding('Fees fell 41% and we saved $1,250,000.', sources);
+
+      expect(factCheck.claims.map(claim => claim.supported)).toEqual([false, false]);
+    });
+
+    it('should flag every claim when the source is unavailable', () => {
+      const factCheck = checkGrounding('Fees fell 40% for Initech.', {});
+
+      expect(factCheck).toMatchObject({ status: 'unsupported', unsupported: 2, source_available: false });
+    });
+  });
+
+  describe('resolveClaim', () => {
+    it('should unblock the post once every unsupported claim is verified and keep resolutions across edits', () => {
+      let factCheck = checkGrounding('We grew 25% with Initech.', sources);
+
+      factCheck = resolveClaim(factCheck, 0, { resolved_by: 9, note: 'Q3 board deck' });
+      expect(factCheck).toMatchObject({ status: 'unsupported', unsupported: 1 });
+      factCheck = resolveClaim(factCheck, 1, { resolved_by: 9 });
+      expect(factCheck).toMatchObject({ status: 'resolved', unsupported: 0 });
+      expect(blocksApproval(factCheck.status)).toBe(false);
+
+      // An edit that keeps the verified claims stays resolved; a new claim blocks it again
+      expect(checkGrounding('Initech grew 25% with us.', sources, factCheck).status).toBe('resolved');
+      const edited = checkGrounding('We grew 25% with Initech and Hooli.', sources, factCheck);
+      expect(edited).toMatchObject({ status: 'unsupported', unsupported: 1 });
+      expect(Object.keys(edited.resolutions)).toEqual(['number:25%', 'name:initech']);
+
+      expect(resolveClaim(factCheck, 5, { resolved_by: 9 })).toBeNull();
+    });
+  });
+
+  describe('recheckPost', () => {
+    it('should send an approved post back for approval when an edit adds an unsupported claim', async () => {
+      query.mockResolvedValueOnce({ rows: [{ name: 'Acme Logistics', content_pillars: [], source_content: transcript }] });
+
+      const factCheck = await recheckPost({ query }, { id: 7, company_id: 1, marketing_hook_id: 3 }, 'Detention fees fell 60%.');
+
+      expect(factCheck.status).toBe('unsupported');
+      const [sql, params] = query.mock.calls[1];
+      expect(sql).toContain("THEN 'pending_approval'");
+      expect(params.slice(1)).toEqual(['unsupported', 7, true]);
+
+      query.mockResolvedValueOnce({ rows: [{ name: 'Acme Logistics', content_pillars: [], source_content: transcript }] });
+      await recheckPost({ query }, { id: 7, company_id: 1, marketing_hook_id: 3 }, 'Detention fees fell 40%.');
+      expect(query.mock.calls[3][1].slice(1)).toEqual(['grounded', 7, false]);
+    });
+  });
+
+  describe('post generation', () => {
+    it('should check each generated post against its hook transcript', async () => {
+      query.mockImplementation(async (sql) => (
+        sql.includes('JOIN content_sources cs') ? { rows: [{ hook_id: 5, content: transcript }] } : { rows: [] }
+      ));
+      const provider = new FakeProvider({
+        task: 'posts',
+        respond: () => ({ post_content: 'Detention fees fell 40% for teams like Initech once they booked dock slots.', hashtags: [], cta_type: 'question' })
+      });
+      const hook = { id: 5, hook_text: 'Late trucks cost more than fuel', source_quote: sources.sourceQuote };
+
+      const [generated] = await new PostGenerator({ provider }).generatePosts([hook], { id: 1, name: 'Acme', brand_voice: {} });
+
+      expect(generated.fact_check).toMatchObject({ status: 'unsupported', unsupported: 1, source_available: true });
+      expect(generated.fact_check.claims.find(claim => !claim.supported).text).toBe('Initech');
+    });
+
+    it('should generate without transcripts when they cannot be read', async () => {
+      query.mockRejectedValueOnce(new Error('connection refused'));
+
+      await expect(getGroundingSources([5])).resolves.toEqual(new Map());
+    });
+  });
+
+  describe('bulk approval', () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 9, companyId: 1 };
+      next();
+    });
+    app.use('/api/posts', postRoutes);
+
+    it('should skip posts with unsupported claims even when their IDs are sent as strings', async () => {
+      query.mockImplementation(async (sql, params) => {
+        if (sql.includes('SELECT id, fact_check_status')) {
+          return { rows: [{ id: 5, fact_check_status: 'unsupported' }, { id: 6, fact_check_status: 'supported' }] };
+        }
+        if (sql.includes('UPDATE linkedin_posts')) return { rows: params[1].map(id => ({ id })) };
+        return { rows: [] };
+      });
+
+      const response = await request(app)
+        .post('/api/posts/bulk/status')
+        .send({ post_ids: ['5', '6'], status: 'approved' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ updated_count: 1, blocked_post_ids: [5] });
+      const update = query.mock.calls.find(([sql]) => sql.includes('UPDATE linkedin_posts'));
+      expect(update[1]).toEqual(['approved', [6], 1]);
+    });
+  });
+});
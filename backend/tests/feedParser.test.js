@@ -0,0 +1,115 @@
+/**
+ * Marketing Machine - Feed Parser Tests
+ * RSS 2.0, RSS 1.0 and Atom feeds
+ */
+
+const { parseFeed } = require('../src/services/content/feedParser');
+const { ValidationError } = require('../src/middleware/errorHandler');
+
+describe('Feed Parser', () => {
+  it('should parse RSS 2.0 items with full content and categories', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+      <rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:atom="http://www.w3.org/2005/Atom">
+        <channel>
+          <title>Acme Blog</title>
+          <atom:link href="https://acme.com/feed.xml" rel="self" type="application/rss+xml"/>
+          <link>https://acme.com/blog</link>
+          <item>
+            <title>Pricing &amp; packaging lessons</title>
+            <link>https://acme.com/blog/pricing</link>
+            <guid isPermaLink="false">post-42</guid>
+            <pubDate>Tue, 05 Mar 2024 09:00:00 GMT</pubDate>
+            <dc:creator>Jane Doe</dc:creator>
+            <category>Product</category>
+            <category>Pricing</category>
+            <description>Short summary</description>
+            <content:encoded><![CDATA[<p>Full <strong>article</strong> text.</p>]]></content:encoded>
+          </item>
+          <item>
+            <title>No guid here</title>
+            <link>https://acme.com/blog/no-guid</link>
+          </item>
+        </channel>
+      </rss>`;
+
+    const feed = parseFeed(xml);
+
+    expect(feed.format).toBe('rss');
+    expect(feed.title).toBe('Acme Blog');
+    expect(feed.siteUrl).toBe('https://acme.com/blog');
+    expect(feed.items).toEqual([
+      {
+        guid: 'post-42',
+        link: 'https://acme.com/blog/pricing',
+        title: 'Pricing & packaging lessons',
+        publishedAt: '2024-03-05T09:00:00.000Z',
+        author: 'Jane Doe',
+        categories: ['Product', 'Pricing'],
+        content: '<p>Full <strong>article</strong> text.</p>',
+        summary: 'Short summary'
+      },
+      expect.objectContaining({ guid: 'https://acme.com/blog/no-guid', link: 'https://acme.com/blog/no-guid' })
+    ]);
+  });
+
+  it('should parse RSS 1.0 (RDF) feeds', () => {
+    const xml = `<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <channel rdf:about="https://acme.com/"><title>Acme</title><link>https://acme.com/</link></channel>
+        <item rdf:about="https://acme.com/news/1">
+          <title>Launch day</title>
+          <link>https://acme.com/news/1</link>
+          <dc:date>2024-03-01T12:00:00Z</dc:date>
+        </item>
+      </rdf:RDF>`;
+
+    const feed = parseFeed(xml);
+
+    expect(feed.format).toBe('rss');
+    expect(feed.items).toHaveLength(1);
+    expect(feed.items[0]).toMatchObject({
+      guid: 'https://acme.com/news/1',
+      title: 'Launch day',
+      publishedAt: '2024-03-01T12:00:00.000Z'
+    });
+  });
+
+  it('should parse Atom entries', () => {
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+      <feed xmlns="http://www.w3.org/2005/Atom">
+        <title>Acme Engineering</title>
+        <link rel="self" href="https://eng.acme.com/atom.xml"/>
+        <link href="https://eng.acme.com/"/>
+        <entry>
+          <title type="html">Scaling &lt;em&gt;search&lt;/em&gt;</title>
+          <link rel="alternate" href="https://eng.acme.com/search"/>
+          <id>tag:eng.acme.com,2024:search</id>
+          <updated>2024-02-10T08:00:00Z</updated>
+          <published>2024-02-09T08:00:00Z</published>
+          <author><name>Raj Patel</name></author>
+          <category term="infrastructure"/>
+          <summary>How we cut latency.</summary>
+          <content type="xhtml"><div xmlns="http://www.w3.org/1999/xhtml"><p>We cut p99 latency in half.</p></div></content>
+        </entry>
+      </feed>`;
+
+    const feed = parseFeed(xml);
+
+    expect(feed.format).toBe('atom');
+    expect(feed.siteUrl).toBe('https://eng.acme.com/');
+    expect(feed.items).toEqual([{
+      guid: 'tag:eng.acme.com,2024:search',
+      link: 'https://eng.acme.com/search',
+      title: 'Scaling search',
+      publishedAt: '2024-02-09T08:00:00.000Z',
+      author: 'Raj Patel',
+      categories: ['infrastructure'],
+      content: expect.stringContaining('We cut p99 latency in half.'),
+      summary: 'How we cut latency.'
+    }]);
+  });
+
+  it('should reject documents that are not feeds', () => {
+    expect(() => parseFeed('<html><body>Hello</body></html>')).toThrow('Document is not an RSS or Atom feed');
+    expect(() => parseFeed('not xml at all <')).toThrow(ValidationError);
+  });
+});
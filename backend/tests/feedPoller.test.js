@@ -0,0 +1,308 @@
+/**
+ * Marketing Machine - Feed Poller Tests
+ * Scheduled RSS/Atom polling, per-feed filters and item dedup
+ */
+
+const axios = require('axios');
+const { query, transaction } = require('../src/config/database');
+const { addContentJob } = require('../src/config/queue');
+const { pollFeed } = require('../src/services/content/feedPoller');
+const { evaluateFeedFilters, validateFeedFilters } = require('../src/services/content/feedFilters');
+
+jest.mock('axios');
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../src/config/queue', () => ({
+  addContentJob: jest.fn().mockResolvedValue({ id: 'job-1' })
+}));
+
+const FEED_URL = 'http://93.184.216.34/feed.xml';
+
+const body = 'Most SaaS buyers compare three pricing tiers before they ever talk to sales. '.repeat(4);
+
+function rssItem(id, title, date, extra = '') {
+  return `<item>
+    <title>${title}</title>
+    <link>http://93.184.216.34/posts/${id}</link>
+    <guid>post-${id}</guid>
+    <pubDate>${date}</pubDate>
+    <description><![CDATA[<p>${body}</p>]]></description>
+    ${extra}
+  </item>`;
+}
+
+function rss(items) {
+  return `<?xml version="1.0"?><rss version="2.0"><channel><title>Acme</title><link>http://93.184.216.34/</link>${items.join('')}</channel></rss>`;
+}
+
+function feedResponse(xml, headers = {}) {
+  return { status: 200, headers: { 'content-type': 'application/rss+xml', ...headers }, data: xml };
+}
+
+describe('Feed Poller', () => {
+  let feed;
+  let seenGuids;
+  let itemUpdates;
+  let existingContent;
+  let nextId;
+  let clientQuery;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    feed = {
+      id: 7,
+      company_id: 3,
+      created_by: 11,
+      name: 'Acme Blog',
+      feed_url: FEED_URL,
+      content_type: 'blog_post',
+      fetch_full_article: false,
+      filters: {},
+      status: 'active',
+      last_polled_at: new Date('2024-03-01T00:00:00Z'),
+      etag: null,
+      last_modified: null
+    };
+    // Items of earlier polls; a feed without any is polled for the first time
+    seenGuids = new Set(['older-post']);
+    itemUpdates = {};
+    existingContent = null;
+    nextId = 100;
+
+    query.mockImplementation(async (sql, params) => {
+      if (sql.includes('SELECT * FROM content_feeds')) {
+        return { rows: [feed] };
+      }
+      if (sql.includes('SELECT EXISTS (SELECT 1 FROM content_feed_items')) {
+        return { rows: [{ seen: seenGuids.size > 0 }] };
+      }
+      if (sql.includes('INSERT INTO content_feed_items')) {
+        if (seenGuids.has(params[1])) return { rows: [] };
+        seenGuids.add(params[1]);
+        return { rows: [{ id: params[1] }] };
+      }
+      if (sql.includes('UPDATE content_feed_items')) {
+        itemUpdates[params[0]] = { status: params[1], reason: params[2], contentSourceId: params[3] };
+        return { rows: [] };
+      }
+      if (sql.includes('FROM content_sources cs')) {
+        return { rows: existingContent ? [existingContent] : [] };
+      }
+      if (sql.includes('RETURNING status, consecutive_failures')) {
+        return { rows: [{ status: 'active', consecutive_failures: 1 }] };
+      }
+      return { rows: [] };
+    });
+
+    clientQuery = jest.fn().mockImplementation(async () => ({ rows: [{ id: nextId++, uuid: 'uuid' }] }));
+    transaction.mockImplementation(async (callback) => callback({ query: clientQuery }));
+  });
+
+  it('should ingest new items and queue hook generation', async () => {
+    axios.get.mockResolvedValueOnce(feedResponse(rss([
+      rssItem(1, 'Pricing lessons', 'Tue, 05 Mar 2024 09:00:00 GMT'),
+      rssItem(2, 'Churn lessons', 'Mon, 04 Mar 2024 09:00:00 GMT')
+    ]), { etag: '"v2"' }));
+
+    const summary = await pollFeed(7);
+
+    expect(summary).toMatchObject({ status: 'polled', itemsFound: 2, ingested: 2, filtered: 0 });
+    expect(itemUpdates['post-1']).toEqual({ status: 'ingested', reason: null, contentSourceId: 100 });
+    expect(addContentJob).toHaveBeenCalledWith('generate-hooks', { contentSourceId: 100, companyId: 3 }, expect.any(Object));
+
+    const [, insertParams] = clientQuery.mock.calls[0];
+    expect(insertParams.slice(0, 5)).toEqual([3, 11, 'feed', 'url', 'Pricing lessons']);
+    expect(JSON.parse(insertParams[7]).feed).toMatchObject({ id: 7, name: 'Acme Blog', item_guid: 'post-1' });
+
+    const feedUpdate = query.mock.calls.find(([sql]) => sql.includes('items_ingested = items_ingested'));
+    expect(feedUpdate[1]).toEqual([7, 'rss', 'http://93.184.216.34/', '"v2"', null, 2]);
+  });
+
+  it('should only ingest the most recent items on the first poll', async () => {
+    feed.last_polled_at = null;
+    seenGuids.clear();
+    axios.get.mockResolvedValueOnce(feedResponse(rss([
+      rssItem(1, 'Oldest', 'Fri, 01 Mar 2024 09:00:00 GMT'),
+      rssItem(2, 'Old', 'Sat, 02 Mar 2024 09:00:00 GMT'),
+      rssItem(3, 'Newer', 'Sun, 03 Mar 2024 09:00:00 GMT'),
+      rssItem(4, 'Newest', 'Mon, 04 Mar 2024 09:00:00 GMT'),
+      rssItem(5, 'Middle', 'Sat, 02 Mar 2024 12:00:00 GMT')
+    ])));
+
+    const summary = await pollFeed(7);
+
+    expect(summary).toMatchObject({ ingested: 3, skipped: 2 });
+    expect(itemUpdates['post-1'].status).toBe('skipped');
+    expect(itemUpdates['post-2'].status).toBe('skipped');
+    expect(itemUpdates['post-4'].status).toBe('ingested');
+  });
+
+  it('should skip the whole back catalogue on the first poll, beyond the per-poll cap', async () => {
+    feed.last_polled_at = null;
+    seenGuids.clear();
+    const backCatalogue = Array.from({ length: 30 }, (_, i) => rssItem(i + 1, `Post ${i + 1}`, new Date(Date.UTC(2024, 0, i + 1)).toUTCString()));
+    axios.get.mockResolvedValueOnce(feedResponse(rss(backCatalogue), { etag: '"v1"' }));
+
+    const summary = await pollFeed(7);
+
+    expect(summary).toMatchObject({ itemsFound: 30, ingested: 3, skipped: 27, capped: false });
+    expect(itemUpdates['post-30'].status).toBe('ingested');
+    expect(itemUpdates['post-1'].status).toBe('skipped');
+
+    const feedUpdate = query.mock.calls.find(([sql]) => sql.includes('items_ingested = items_ingested'));
+    expect(feedUpdate[1][3]).toBe('"v1"');
+  });
+
+  it('should still skip the back catalogue when the first poll failed', async () => {
+    feed.last_polled_at = null;
+    seenGuids.clear();
+    axios.get.mockRejectedValueOnce(new Error('timeout of 15000ms exceeded'));
+
+    expect((await pollFeed(7)).status).toBe('failed');
+
+    // The failure is recorded as a poll; the feed still has no items
+    feed.last_polled_at = new Date();
+    const backCatalogue = Array.from({ length: 10 }, (_, i) => rssItem(i + 1, `Post ${i + 1}`, new Date(Date.UTC(2024, 0, i + 1)).toUTCString()));
+    axios.get.mockResolvedValueOnce(feedResponse(rss(backCatalogue)));
+
+    const summary = await pollFeed(7);
+
+    expect(summary).toMatchObject({ ingested: 3, skipped: 7 });
+    expect(itemUpdates['post-1'].status).toBe('skipped');
+  });
+
+  it('should not keep the etag while items are left for the next poll', async () => {
+    const newItems = Array.from({ length: 25 }, (_, i) => rssItem(i + 1, `Post ${i + 1}`, new Date(Date.UTC(2024, 2, i + 1)).toUTCString()));
+    axios.get.mockResolvedValueOnce(feedResponse(rss(newItems), { etag: '"v3"', 'last-modified': 'Mon, 25 Mar 2024 09:00:00 GMT' }));
+
+    const summary = await pollFeed(7);
+
+    expect(summary).toMatchObject({ ingested: 20, capped: true });
+    expect(itemUpdates['post-5']).toBeUndefined();
+
+    const feedUpdate = query.mock.calls.find(([sql]) => sql.includes('items_ingested = items_ingested'));
+    expect(feedUpdate[1].slice(3, 5)).toEqual([null, null]);
+  });
+
+  it('should not ingest items seen on an earlier poll', async () => {
+    seenGuids.add('post-1');
+    axios.get.mockResolvedValueOnce(feedResponse(rss([
+      rssItem(1, 'Pricing lessons', 'Tue, 05 Mar 2024 09:00:00 GMT'),
+      rssItem(2, 'Churn lessons', 'Mon, 04 Mar 2024 09:00:00 GMT')
+    ])));
+
+    const summary = await pollFeed(7);
+
+    expect(summary).toMatchObject({ itemsFound: 2, ingested: 1 });
+    expect(itemUpdates['post-1']).toBeUndefined();
+  });
+
+  it('should record filtered items with the reason', async () => {
+    feed.filters = { title_exclude: ['hiring'], exclude_categories: ['Company News'] };
+    axios.get.mockResolvedValueOnce(feedResponse(rss([
+      rssItem(1, 'We are hiring engineers', 'Tue, 05 Mar 2024 09:00:00 GMT'),
+      rssItem(2, 'Office move', 'Mon, 04 Mar 2024 09:00:00 GMT', '<category>company news</category>'),
+      rssItem(3, 'Pricing lessons', 'Sun, 03 Mar 2024 09:00:00 GMT')
+    ])));
+
+    const summary = await pollFeed(7);
+
+    expect(summary).toMatchObject({ ingested: 1, filtered: 2 });
+    expect(itemUpdates['post-1']).toMatchObject({ status: 'filtered', reason: 'Title "We are hiring engineers" matches exclude pattern "hiring"' });
+    expect(itemUpdates['post-2']).toMatchObject({ status: 'filtered', reason: 'Category "company news" is excluded' });
+  });
+
+  it('should link items whose article was already ingested', async () => {
+    axios.get.mockResolvedValueOnce(feedResponse(rss([
+      rssItem(1, 'Pricing lessons', 'Tue, 05 Mar 2024 09:00:00 GMT')
+    ])));
+    existingContent = { id: 55, matched_on: 'external_id', hooks_generated: '4', processing_batch_id: 9 };
+
+    const summary = await pollFeed(7);
+
+    expect(summary).toMatchObject({ ingested: 0, duplicates: 1 });
+    expect(itemUpdates['post-1']).toEqual({ status: 'duplicate', reason: null, contentSourceId: 55 });
+    expect(addContentJob).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the feed content when the article cannot be fetched', async () => {
+    feed.fetch_full_article = true;
+    axios.get
+      .mockResolvedValueOnce(feedResponse(rss([rssItem(1, 'Pricing lessons', 'Tue, 05 Mar 2024 09:00:00 GMT')])))
+      .mockResolvedValueOnce({ status: 403, headers: {}, data: 'Forbidden' });
+
+    const summary = await pollFeed(7);
+
+    expect(summary.ingested).toBe(1);
+    expect(axios.get.mock.calls[1][0]).toBe('http://93.184.216.34/posts/1');
+    expect(clientQuery.mock.calls[0][1][5]).toBe(body.trim());
+  });
+
+  it('should send conditional headers and handle unchanged feeds', async () => {
+    feed.etag = '"v1"';
+    feed.last_modified = 'Tue, 05 Mar 2024 09:00:00 GMT';
+    axios.get.mockResolvedValueOnce({ status: 304, headers: {}, data: '' });
+
+    const summary = await pollFeed(7);
+
+    expect(summary).toEqual({ feedId: 7, status: 'not_modified' });
+    expect(axios.get.mock.calls[0][1].headers).toMatchObject({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Tue, 05 Mar 2024 09:00:00 GMT'
+    });
+    expect(transaction).not.toHaveBeenCalled();
+  });
+
+  it('should record failed polls on the feed without throwing', async () => {
+    axios.get.mockResolvedValueOnce({ status: 200, headers: {}, data: '<html><body>Moved</body></html>' });
+
+    const summary = await pollFeed(7);
+
+    expect(summary).toEqual({ feedId: 7, status: 'failed', error: 'Document is not an RSS or Atom feed' });
+    const failureUpdate = query.mock.calls.find(([sql]) => sql.includes('consecutive_failures + 1'));
+    expect(failureUpdate[1]).toEqual([7, 'Document is not an RSS or Atom feed', 5]);
+  });
+
+  it('should skip paused feeds unless polled manually', async () => {
+    feed.status = 'paused';
+
+    expect(await pollFeed(7)).toEqual({ feedId: 7, status: 'skipped', reason: 'Feed is paused' });
+    expect(axios.get).not.toHaveBeenCalled();
+
+    axios.get.mockResolvedValueOnce(feedResponse(rss([])));
+    expect(await pollFeed(7, { manual: true })).toMatchObject({ status: 'polled', itemsFound: 0 });
+  });
+
+  describe('feed filters', () => {
+    const item = { title: 'Customer story: Globex', categories: ['Customers'], publishedAt: '2024-03-01T00:00:00Z' };
+    const now = new Date('2024-03-20T00:00:00Z');
+
+    it('should require an included category and a recent publish date', () => {
+      expect(evaluateFeedFilters(item, { categories: ['customers'] }, now)).toEqual({ passed: true });
+      expect(evaluateFeedFilters(item, { categories: ['product'] }, now)).toMatchObject({ passed: false, rule: 'categories' });
+      expect(evaluateFeedFilters(item, { max_age_days: 14 }, now)).toEqual({
+        passed: false,
+        rule: 'max_age_days',
+        reason: 'Published 19 days ago (maximum 14)'
+      });
+    });
+
+    it('should accept regex title patterns', () => {
+      expect(evaluateFeedFilters(item, { title_include: ['/customer (story|spotlight)/i'] }, now)).toEqual({ passed: true });
+    });
+
+    it('should validate filter shapes', () => {
+      expect(validateFeedFilters({ categories: ['product'], max_age_days: 7 })).toEqual([]);
+      expect(validateFeedFilters({ categories: 'product', max_age_days: 0, speakers: [] })).toEqual([
+        'Unknown filter "speakers"',
+        'categories: must be a list of strings',
+        'max_age_days: must be a positive whole number'
+      ]);
+    });
+  });
+});
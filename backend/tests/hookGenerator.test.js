@@ -0,0 +1,251 @@
+/**
+ * Marketing Machine - Hook Generator Tests
+ * Source quote context, speaker attribution and long-transcript chunking
+ */
+
+const HookGenerator = require('../src/services/ai/hookGenerator');
+const FakeProvider = require('../src/services/ai/providers/fakeProvider');
+const { createUsage } = require('../src/services/ai/tokenUsage');
+
+// Mock database
+jest.mock('../src/config/database', () => ({
+  query: jest.fn()
+}));
+
+// Mock Redis
+jest.mock('../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK')
+  }
+}));
+
+describe('HookGenerator', () => {
+  let hookGenerator;
+
+  const turns = [
+    { speaker: 'Jane', text: 'Welcome, let us get started with the roadmap.', start: 2, end: 760 },
+    { speaker: 'Raj', text: 'Honestly, pricing is the blocker for most of our buyers.', start: 761, end: 790 }
+  ];
+  const content = '[00:00:02] Jane: Welcome, let us get started with the roadmap.\n' +
+    '[00:12:41] Raj: Honestly, pricing is the blocker for most of our buyers.';
+
+  const rawHook = {
+    hook_text: 'Pricing kills more deals than competitors do',
+    hook_type: 'pain_point',
+    source_quote: 'pricing is the blocker for most of our buyers',
+    linkedin_hook: 'Your pricing page might be your biggest competitor.',
+    tweet_version: 'Pricing > competitors.',
+    blog_title: 'Why pricing blocks deals',
+    content_pillar: 'sales'
+  };
+
+  beforeEach(() => {
+    hookGenerator = new HookGenerator({ provider: new FakeProvider({ task: 'hooks' }) });
+  });
+
+  describe('extractContext', () => {
+    it('should cite the speaker and timestamp of transcript quotes', () => {
+      const context = hookGenerator.extractContext(rawHook.source_quote, content, turns);
+
+      expect(context).toBe('Raj, 12:41: "Honestly, pricing is the blocker for most of our buyers."');
+    });
+
+    it('should fall back to surrounding text without speaker turns', () => {
+      const context = hookGenerator.extractContext(rawHook.source_quote, content);
+
+      expect(context).toContain('pricing is the blocker');
+      expect(context).not.toMatch(/^Raj, 12:41/);
+    });
+  });
+
+  describe('processHooks', () => {
+    it('should attribute source quotes to transcript speakers', async () => {
+      const [hook] = await hookGenerator.processHooks([{ ...rawHook }], content, { content_pillars: [] }, turns);
+
+      expect(hook.source_attribution).toEqual({ speaker: 'Raj', start: 761, citation: 'Raj, 12:41' });
+      expect(hook.metadata.source_attribution).toEqual(hook.source_attribution);
+    });
+
+    it('should leave hooks from documents unattributed', async () => {
+      const [hook] = await hookGenerator.processHooks([{ ...rawHook }], content, { content_pillars: [] });
+
+      expect(hook.source_attribution).toBeNull();
+      expect(hook.metadata.source_attribution).toBeUndefined();
+    });
+  });
+
+  describe('generateHooks', () => {
+    it('should quote the content through the configured provider', async () => {
+      const hooks = await hookGenerator.generateHooks(content, { id: 1, content_pillars: [] }, { speakerTurns: turns });
+
+      expect(hooks.length).toBeGreaterThan(0);
+      expect(hookGenerator.provider.requests[0].json).toBe(true);
+      hooks.forEach(hook => {
+        expect(content).toContain(hook.source_quote);
+        expect(hook.metadata).toMatchObject({ model_used: 'fake-model', llm_provider: 'fake' });
+      });
+    });
+  });
+
+  describe('generateHooks with long transcripts', () => {
+    const longTranscript = Array.from({ length: 30 }, (_, i) => {
+      const minute = String(i).padStart(2, '0');
+      return `[00:${minute}:00] ${i % 2 ? 'Jane' : 'Raj'}: Point ${i} is that onboarding step ${i} took our team far too long last quarter.`;
+    }).join('\n');
+
+    function hookFor(point, overrides = {}) {
+      return {
+        ...rawHook,
+        hook_text: `Onboarding step ${point} wastes your quarter`,
+        source_quote: `Point ${point} is that onboarding step ${point} took our team far too long`,
+        relevance_score: 5,
+        engagement_prediction: 5,
+        ...overrides
+      };
+    }
+
+    beforeEach(() => {
+      jest.spyOn(hookGenerator, 'getChunkTokens').mockReturnValue(150);
+    });
+
+    it('should extract hooks per chunk and trace quotes back to the full transcript', async () => {
+      const prompts = [];
+      jest.spyOn(hookGenerator, 'callModel').mockImplementation(async (prompt, attempt, options) => {
+        prompts.push(prompt);
+        options.usage.prompt_tokens += 1000;
+        options.usage.completion_tokens += 500;
+        options.usage.calls += 1;
+        const point = Number(prompt.match(/Point (\d+)/)[1]);
+        return [hookFor(point)];
+      });
+      const usage = createUsage('gpt-4');
+
+      const hooks = await hookGenerator.generateHooks(longTranscript, { id: 1, content_pillars: [] }, { usage });
+
+      expect(prompts.length).toBeGreaterThan(1);
+      expect(prompts[0]).toContain(`part 1 of ${prompts.length} of a longer transcript`);
+      expect(prompts[0]).toContain('Extract exactly 5 marketing hooks');
+
+      hooks.forEach(hook => {
+        const quoteStart = hook.source_chunk.quote_offset;
+        expect(longTranscript.slice(quoteStart, quoteStart + hook.source_quote.length)).toBe(hook.source_quote);
+        expect(quoteStart).toBeGreaterThanOrEqual(hook.source_chunk.start);
+        expect(hook.metadata.source_chunk).toEqual(hook.source_chunk);
+      });
+      expect(usage.calls).toBe(prompts.length);
+      expect(hookGenerator.calculateCost(usage)).toBe(prompts.length * 0.06);
+    });
+
+    it('should keep going when one chunk fails', async () => {
+      jest.spyOn(hookGenerator, 'callModel')
+        .mockRejectedValueOnce(new Error('Rate limited'))
+        .mockImplementation(async prompt => [hookFor(Number(prompt.match(/Point (\d+)/)[1]))]);
+
+      const hooks = await hookGenerator.generateHooks(longTranscript, { id: 1, content_pillars: [] });
+
+      expect(hooks.length).toBeGreaterThan(0);
+      expect(hooks.every(hook => hook.source_chunk.index > 0)).toBe(true);
+    });
+
+    it('should fail when every chunk fails', async () => {
+      jest.spyOn(hookGenerator, 'callModel').mockRejectedValue(new Error('Rate limited'));
+
+      await expect(hookGenerator.generateHooks(longTranscript, { id: 1, content_pillars: [] }))
+        .rejects.toThrow('Rate limited');
+    });
+  });
+
+  describe('callModel validation', () => {
+    const validHook = index => ({
+      ...rawHook,
+      hook_text: `Hook number ${index} about pricing`,
+      target_emotion: 'concern',
+      engagement_prediction: 7,
+      relevance_score: '8'
+    });
+
+    it('should keep valid hooks and repair only the invalid ones', async () => {
+      const hooks = Array.from({ length: 10 }, (_, index) => validHook(index));
+      hooks[3] = { ...hooks[3], hook_type: 'hot_take' };
+      const { blog_title, ...untitled } = hooks[7];
+      hooks[7] = untitled;
+
+      const provider = new FakeProvider({
+        task: 'hooks',
+        respond: (request, call) => (call === 1
+          ? { hooks }
+          : { hooks: [{ ...hooks[3], hook_type: 'pain_point' }, untitled] })
+      });
+      const validation = [];
+
+      const result = await hookGenerator.callModel('Extract hooks', 1, { provider, validation });
+
+      expect(result).toHaveLength(9);
+      expect(result.every(hook => typeof hook.relevance_score === 'number')).toBe(true);
+      expect(provider.requests).toHaveLength(2);
+      expect(provider.requests[1].prompt).toContain('REPAIR REQUEST: 2 of the hooks');
+      expect(provider.requests[1].prompt).toContain('hook_type: must be one of pain_point');
+      expect(validation).toEqual([
+        expect.objectContaining({ target: 'hook', index: 3, attempt: 1, repaired: true }),
+        expect.objectContaining({ index: 7, errors: ['blog_title: is required'], repaired: false })
+      ]);
+    });
+
+    it('should retry when no hook passes validation', async () => {
+      const provider = new FakeProvider({
+        task: 'hooks',
+        respond: (request, call) => (call <= 2 ? { hooks: [{ hook_text: 'Incomplete' }] } : { hooks: [validHook(1)] })
+      });
+      jest.spyOn(global, 'setTimeout').mockImplementation(callback => callback());
+
+      const result = await hookGenerator.callModel('Extract hooks', 1, { provider, hookCount: 1 });
+
+      expect(result).toHaveLength(1);
+      expect(provider.requests).toHaveLength(3);
+      global.setTimeout.mockRestore();
+    });
+  });
+
+  describe('reduceHooks', () => {
+    function processed(hookText, quote, priority, chunkIndex) {
+      return {
+        hook_text: hookText,
+        source_quote: quote,
+        priority,
+        relevance_score: priority,
+        engagement_prediction: priority,
+        source_chunk: { index: chunkIndex },
+        metadata: {}
+      };
+    }
+
+    it('should drop repeated quotes and record the chunks they also came from', () => {
+      const hooks = [
+        processed('Pricing blocks most deals', 'pricing is the blocker for most of our buyers', 7, 0),
+        processed('Your buyers hate your pricing page', 'Honestly, pricing is the blocker for most of our buyers.', 6, 1),
+        processed('Churn starts at onboarding', 'most churn starts in the first week of onboarding', 8, 1)
+      ];
+
+      const reduced = hookGenerator.reduceHooks(hooks);
+
+      expect(reduced.map(hook => hook.hook_text)).toEqual(['Churn starts at onboarding', 'Pricing blocks most deals']);
+      expect(reduced[1].metadata.duplicate_chunks).toEqual([1]);
+    });
+
+    it('should treat near-identical hook text as duplicates and cap the result', () => {
+      const topics = ['pricing', 'churn', 'onboarding', 'hiring', 'security', 'analytics', 'support', 'billing', 'roadmap', 'partners', 'retention', 'compliance'];
+      const hooks = topics.map((topic, i) =>
+        processed(`What ${topic} taught us`, `the ${topic} conversation went sideways quickly`, 5, i)
+      );
+      hooks.push(processed('What churn taught us', 'a different quote about losing customers', 9, 20));
+
+      const reduced = hookGenerator.reduceHooks(hooks);
+
+      expect(reduced).toHaveLength(10);
+      expect(reduced[0]).toMatchObject({ hook_text: 'What churn taught us', source_chunk: { index: 20 } });
+      expect(reduced[0].metadata.duplicate_chunks).toEqual([1]);
+      expect(reduced.filter(hook => hook.hook_text.includes('churn'))).toHaveLength(1);
+    });
+  });
+});
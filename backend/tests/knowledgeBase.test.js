@@ -0,0 +1,214 @@
+/**
+ * Marketing Machine - Knowledge Base Tests
+ * Embedding pipeline, top-k retrieval and fact injection into prompts
+ */
+
+const OpenAI = require('openai');
+const { query, transaction } = require('../src/config/database');
+const {
+  embedKnowledgeEntry,
+  processKnowledgeEmbedding,
+  retrieveKnowledge,
+  retrieveKnowledgeForEach,
+  formatKnowledgeForPrompt,
+  extractKeywords
+} = require('../src/services/ai/knowledgeBase');
+const HookGenerator = require('../src/services/ai/hookGenerator');
+const PostGenerator = require('../src/services/ai/postGenerator');
+const FakeProvider = require('../src/services/ai/providers/fakeProvider');
+
+jest.mock('openai', () => {
+  const embeddings = { create: jest.fn() };
+  const client = { embeddings, chat: { completions: { create: jest.fn() } } };
+  const OpenAIMock = jest.fn().mockImplementation(() => client);
+  OpenAIMock.client = client;
+  return OpenAIMock;
+});
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK')
+  }
+}));
+
+// Fake embedding space: one dimension per topic
+const TOPICS = ['pricing', 'onboarding', 'security'];
+function embed(text) {
+  const lower = text.toLowerCase();
+  return TOPICS.map(topic => (lower.match(new RegExp(topic, 'g')) || []).length + 0.01);
+}
+
+describe('Knowledge Base', () => {
+  const { embeddings } = OpenAI.client;
+
+  const chunkRows = [
+    { id: 1, knowledge_id: 10, content: 'Pro plan pricing starts at $49 per seat.', embedding: [1, 0, 0], title: 'Pricing page', knowledge_type: 'pricing', source_url: null },
+    { id: 2, knowledge_id: 11, content: 'Onboarding takes one call with our team.', embedding: [0, 1, 0], title: 'Onboarding guide', knowledge_type: 'product_docs', source_url: null },
+    { id: 3, knowledge_id: 12, content: 'SOC 2 Type II security audit completed.', embedding: [0, 0, 1], title: 'Security', knowledge_type: 'website_copy', source_url: null },
+    { id: 4, knowledge_id: 10, content: 'Annual pricing saves two months.', embedding: [0.9, 0.2, 0], title: 'Pricing page', knowledge_type: 'pricing', source_url: null }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    embeddings.create.mockImplementation(async ({ input }) => ({
+      data: input.map((text, index) => ({ index, embedding: embed(text) })),
+      usage: { total_tokens: 42 }
+    }));
+    query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM company_knowledge_chunks')) return { rows: chunkRows };
+      if (sql.includes('MAX(embedded_at)')) return { rows: [{ entries: '3', latest: new Date('2024-03-01T00:00:00Z') }] };
+      return { rows: [] };
+    });
+  });
+
+  describe('retrieveKnowledge', () => {
+    it('should return the most similar passages first', async () => {
+      const facts = await retrieveKnowledge(5, 'Our buyers keep asking about pricing and pricing tiers', { limit: 2 });
+
+      expect(facts.map(fact => fact.chunk_id)).toEqual([1, 4]);
+      expect(facts[0]).toMatchObject({ knowledge_id: 10, title: 'Pricing page', content: chunkRows[0].content });
+      expect(facts[0].score).toBeGreaterThan(facts[1].score);
+      expect(query.mock.calls[0][1]).toEqual([5, 'text-embedding-3-small']);
+    });
+
+    it('should drop passages below the similarity threshold', async () => {
+      const facts = await retrieveKnowledge(5, 'security review');
+
+      expect(facts.map(fact => fact.chunk_id)).toEqual([3]);
+    });
+
+    it('should embed several queries in one call', async () => {
+      const results = await retrieveKnowledgeForEach(5, ['pricing question', 'onboarding question']);
+
+      expect(embeddings.create).toHaveBeenCalledTimes(1);
+      expect(results[0][0].chunk_id).toBe(1);
+      expect(results[1][0].chunk_id).toBe(2);
+    });
+
+    it('should skip embedding when the company has no knowledge', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      expect(await retrieveKnowledge(5, 'pricing')).toEqual([]);
+      expect(embeddings.create).not.toHaveBeenCalled();
+    });
+
+    it('should generate without facts when retrieval fails', async () => {
+      embeddings.create.mockRejectedValue(new Error('Embedding service unavailable'));
+
+      expect(await retrieveKnowledge(5, 'pricing')).toEqual([]);
+    });
+  });
+
+  describe('embedKnowledgeEntry', () => {
+    const entry = {
+      id: 10,
+      company_id: 5,
+      title: 'Pricing page',
+      content: 'Pricing for the Pro plan starts at $49 per seat.\n\nEnterprise pricing includes SSO and a security review.'
+    };
+    let clientQuery;
+
+    beforeEach(() => {
+      query.mockImplementation(async (sql) => (sql.includes('SELECT * FROM company_knowledge') ? { rows: [entry] } : { rows: [] }));
+      clientQuery = jest.fn().mockImplementation(async (sql) => (sql.includes('FOR UPDATE') ? { rows: [{ title: entry.title, content: entry.content }] } : { rows: [] }));
+      transaction.mockImplementation(async (callback) => callback({ query: clientQuery }));
+    });
+
+    it('should store chunk embeddings, keywords and a document vector', async () => {
+      const result = await embedKnowledgeEntry(10);
+
+      expect(result).toEqual({ knowledgeId: 10, status: 'ready', chunks: 1 });
+      expect(embeddings.create.mock.calls[0][0].input).toEqual([`Pricing page\n\n${entry.content}`]);
+
+      const insert = clientQuery.mock.calls.find(([sql]) => sql.includes('INSERT INTO company_knowledge_chunks'));
+      expect(insert[1].slice(0, 4)).toEqual([10, 5, 0, entry.content]);
+
+      const update = clientQuery.mock.calls.find(([sql]) => sql.includes("embedding_status = 'ready'"));
+      expect(update[1][1][0]).toBe('pricing');
+      expect(update[1][2]).toEqual(insert[1][5]);
+      expect(update[1][3]).toBe('text-embedding-3-small');
+    });
+
+    it('should leave entries edited during embedding to the newer job', async () => {
+      clientQuery.mockImplementation(async (sql) => (sql.includes('FOR UPDATE') ? { rows: [{ title: entry.title, content: 'Edited' }] } : { rows: [] }));
+
+      expect(await embedKnowledgeEntry(10)).toEqual({ knowledgeId: 10, status: 'stale' });
+      expect(clientQuery.mock.calls.some(([sql]) => sql.includes('INSERT'))).toBe(false);
+    });
+
+    it('should record embedding failures on the entry', async () => {
+      embeddings.create.mockRejectedValue(new Error('Rate limited'));
+
+      await expect(embedKnowledgeEntry(10)).rejects.toThrow('Rate limited');
+      const failure = query.mock.calls.find(([sql]) => sql.includes("embedding_status = 'failed'"));
+      expect(failure[1]).toEqual([10, 'Rate limited']);
+    });
+
+    it('should not embed for companies over their hard budget', async () => {
+      query.mockImplementation(async (sql) => {
+        if (sql.includes('SELECT * FROM company_knowledge')) return { rows: [entry] };
+        if (sql.includes('FROM companies')) return { rows: [{ id: 5, settings: { budget: { hard_limit_usd: 20 } } }] };
+        if (sql.includes('SUM(cost_usd)')) return { rows: [{ spend: '20' }] };
+        return { rows: [] };
+      });
+      const job = { data: { knowledgeId: 10 }, discard: jest.fn() };
+
+      await expect(processKnowledgeEmbedding(job)).rejects.toThrow('Monthly AI budget of $20 reached');
+
+      expect(embeddings.create).not.toHaveBeenCalled();
+      expect(job.discard).toHaveBeenCalled();
+      const failure = query.mock.calls.find(([sql]) => sql.includes("embedding_status = 'failed'"));
+      expect(failure[1][1]).toContain('Monthly AI budget of $20 reached');
+    });
+  });
+
+  describe('prompts', () => {
+    const facts = [
+      { knowledge_id: 10, title: 'Pricing page', knowledge_type: 'pricing', content: 'Pro plan pricing\nstarts at $49 per seat.' },
+      { knowledge_id: 11, title: null, knowledge_type: 'product_docs', content: 'Onboarding takes one call.' }
+    ];
+    const companyProfile = { id: 5, name: 'Acme', industry: 'SaaS', content_pillars: [] };
+
+    it('should format facts within a token budget', () => {
+      expect(formatKnowledgeForPrompt(facts)).toBe(
+        'COMPANY FACTS (from our knowledge base - use these for product names, features and pricing, and never contradict them):\n' +
+        '[1] Pricing page (pricing): Pro plan pricing starts at $49 per seat.\n' +
+        '[2] product_docs: Onboarding takes one call.\n\n'
+      );
+      expect(formatKnowledgeForPrompt(facts, 20)).not.toContain('[2]');
+      expect(formatKnowledgeForPrompt([])).toBe('');
+    });
+
+    it('should inject facts into hook and post prompts', () => {
+      const hookPrompt = new HookGenerator().buildPrompt('transcript', companyProfile, { knowledge: facts });
+      const postPrompt = new PostGenerator().buildPostPrompt({ hook_text: 'Pricing', source_quote: 'quote' }, companyProfile, { knowledge: facts });
+
+      expect(hookPrompt).toMatch(/COMPANY FACTS[\s\S]*\$49 per seat[\s\S]*CONTENT TO ANALYZE/);
+      expect(postPrompt).toMatch(/COMPANY FACTS[\s\S]*\$49 per seat[\s\S]*HOOK TO EXPAND/);
+      expect(new HookGenerator().buildPrompt('transcript', companyProfile)).not.toContain('COMPANY FACTS');
+    });
+
+    it('should record which entries a post drew on', async () => {
+      const reply = { post_content: 'Pro plan pricing starts at $49 per seat.', hashtags: [], cta_type: 'question' };
+      const postGenerator = new PostGenerator({ provider: new FakeProvider({ task: 'posts', respond: () => reply }) });
+
+      const [post] = await postGenerator.generatePosts([{ id: 1, hook_text: 'Pricing tiers confuse buyers', source_quote: 'pricing is confusing' }], companyProfile);
+
+      expect(postGenerator.provider.requests[0].prompt).toContain('Pro plan pricing starts at $49 per seat.');
+      expect(post.metadata.knowledge_ids).toEqual([10]);
+    });
+  });
+
+  describe('extractKeywords', () => {
+    it('should rank frequent words and skip stop words', () => {
+      expect(extractKeywords('The pricing page and the pricing FAQ explain seat pricing for teams.', 3))
+        .toEqual(['pricing', 'explain', 'faq']);
+    });
+  });
+});
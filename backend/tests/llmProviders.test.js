@@ -0,0 +1,211 @@
+/**
+ * Marketing Machine - LLM Provider Tests
+ * Per-company provider selection, settings validation and adapter request shapes
+ */
+
+const {
+  resolveProviderConfig,
+  getProvider,
+  createProvider,
+  validateProviderSettings
+} = require('../src/services/ai/providers');
+const FakeProvider = require('../src/services/ai/providers/fakeProvider');
+
+// Mock OpenAI
+jest.mock('openai', () => {
+  const client = { chat: { completions: { create: jest.fn() } } };
+  const OpenAIMock = jest.fn().mockImplementation(() => client);
+  OpenAIMock.AzureOpenAI = jest.fn().mockImplementation(() => client);
+  OpenAIMock.client = client;
+  return OpenAIMock;
+});
+
+// Mock Anthropic
+jest.mock('@anthropic-ai/sdk', () => {
+  const client = { messages: { create: jest.fn() } };
+  const AnthropicMock = jest.fn().mockImplementation(() => client);
+  AnthropicMock.client = client;
+  return AnthropicMock;
+});
+
+describe('LLM providers', () => {
+  const originalProvider = process.env.LLM_PROVIDER;
+
+  afterEach(() => {
+    if (originalProvider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = originalProvider;
+    }
+    jest.clearAllMocks();
+  });
+
+  describe('resolveProviderConfig', () => {
+    it('should fall back to LLM_PROVIDER without company settings', () => {
+      process.env.LLM_PROVIDER = 'openai-compatible';
+
+      expect(resolveProviderConfig('hooks', { id: 1 })).toMatchObject({ provider: 'openai-compatible', task: 'hooks' });
+    });
+
+    it('should prefer the task setting over the company default', () => {
+      const company = {
+        settings: {
+          ai: {
+            default: { provider: 'anthropic', model: 'claude-3-5-haiku-latest' },
+            posts: { provider: 'openai', model: 'gpt-4o' }
+          }
+        }
+      };
+
+      expect(resolveProviderConfig('posts', company)).toEqual({ provider: 'openai', model: 'gpt-4o', task: 'posts' });
+      expect(resolveProviderConfig('hooks', company)).toEqual({
+        provider: 'anthropic',
+        model: 'claude-3-5-haiku-latest',
+        task: 'hooks'
+      });
+    });
+
+    it('should only inherit a model from a setting for the same provider', () => {
+      const company = {
+        settings: {
+          ai: {
+            default: { provider: 'openai', model: 'gpt-4o' },
+            image_prompts: { provider: 'anthropic' }
+          }
+        }
+      };
+
+      expect(resolveProviderConfig('image_prompts', company).model).not.toBe('gpt-4o');
+      expect(resolveProviderConfig('image_prompts', company).provider).toBe('anthropic');
+    });
+
+    it('should reuse one provider per company configuration', () => {
+      const company = { settings: { ai: { default: { provider: 'fake' } } } };
+
+      expect(getProvider('hooks', company)).toBe(getProvider('hooks', { ...company, id: 2 }));
+      expect(getProvider('hooks', company)).not.toBe(getProvider('posts', company));
+    });
+  });
+
+  describe('validateProviderSettings', () => {
+    it('should accept task and default settings', () => {
+      expect(validateProviderSettings({
+        default: { provider: 'azure' },
+        hooks: { provider: 'openai-compatible', model: 'llama3.1:70b' }
+      })).toEqual([]);
+    });
+
+    it('should reject unknown tasks, providers and fields', () => {
+      const errors = validateProviderSettings({
+        summaries: { provider: 'openai' },
+        posts: { provider: 'gemini', temperature: 3 },
+        hooks: { model: '', temperature: 0.5 }
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        expect.stringContaining('ai.summaries: unknown task'),
+        expect.stringContaining('ai.posts.provider'),
+        'ai.posts.temperature: must be a number from 0 to 2',
+        expect.stringContaining('ai.hooks.model'),
+        'ai.hooks.temperature: unknown setting'
+      ]));
+    });
+
+    it('should only offer the fake provider under test', () => {
+      const originalEnv = process.env.NODE_ENV;
+      let providers;
+      try {
+        process.env.NODE_ENV = 'production';
+        jest.isolateModules(() => {
+          providers = require('../src/services/ai/providers');
+        });
+      } finally {
+        process.env.NODE_ENV = originalEnv;
+      }
+
+      expect(providers.PROVIDERS.fake).toBeUndefined();
+      expect(providers.validateProviderSettings({ default: { provider: 'fake' } }))
+        .toEqual([expect.stringContaining('ai.default.provider: must be one of')]);
+      expect(() => providers.resolveProviderConfig('posts', { settings: { ai: { posts: { provider: 'fake' } } } }))
+        .toThrow('Unknown LLM provider "fake"');
+      expect(validateProviderSettings({ default: { provider: 'fake' } })).toEqual([]);
+    });
+  });
+
+  describe('FakeProvider', () => {
+    const hookPrompt = 'Extract exactly 2 marketing hooks.\n"""\n' +
+      '[00:00:05] Jane: Our onboarding went from six weeks to nine days.\n' +
+      'Raj: Pricing is the blocker for most of our buyers.\n"""';
+
+    it('should answer the same prompt the same way', async () => {
+      const provider = new FakeProvider({ task: 'hooks' });
+      const request = { system: 'Hooks', prompt: hookPrompt, json: true };
+
+      const first = await provider.complete(request);
+      const second = await provider.complete(request);
+
+      expect(first.text).toBe(second.text);
+      expect(JSON.parse(first.text).hooks.map(hook => hook.source_quote)).toEqual([
+        'Our onboarding went from six weeks to nine days.',
+        'Pricing is the blocker for most of our buyers.'
+      ]);
+      expect(first.usage.total_tokens).toBe(first.usage.prompt_tokens + first.usage.completion_tokens);
+      expect(provider.requests).toHaveLength(2);
+    });
+
+    it('should use scripted replies', async () => {
+      const provider = createProvider({ provider: 'fake', task: 'posts', respond: (request, call) => ({ call }) });
+
+      const result = await provider.complete({ prompt: 'Hook: "x"\n' });
+      expect(JSON.parse(result.text)).toEqual({ call: 1 });
+    });
+  });
+
+  describe('adapters', () => {
+    const request = { system: 'Be brief.', prompt: 'Say hi', temperature: 0.5, maxTokens: 100, json: true };
+
+    it('should send JSON mode requests to OpenAI', async () => {
+      const { client } = require('openai');
+      client.chat.completions.create.mockResolvedValue({
+        choices: [{ message: { content: '{"ok":true}' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 4 }
+      });
+
+      const result = await createProvider({ provider: 'openai', model: 'gpt-4o' }).complete(request);
+
+      expect(client.chat.completions.create).toHaveBeenCalledWith(expect.objectContaining({
+        model: 'gpt-4o',
+        max_tokens: 100,
+        response_format: { type: 'json_object' }
+      }));
+      expect(result).toMatchObject({ text: '{"ok":true}', provider: 'openai', usage: { total_tokens: 16 } });
+    });
+
+    it('should point OpenAI-compatible providers at the local server', async () => {
+      const OpenAI = require('openai');
+      OpenAI.client.chat.completions.create.mockResolvedValue({ choices: [{ message: { content: 'hi' } }] });
+
+      const result = await createProvider({ provider: 'openai-compatible', model: 'llama3.1' }).complete({ ...request, json: false });
+
+      expect(OpenAI).toHaveBeenCalledWith(expect.objectContaining({ baseURL: expect.stringContaining('/v1') }));
+      expect(result.usage.prompt_tokens).toBeGreaterThan(0);
+    });
+
+    it('should strip code fences from Anthropic JSON replies', async () => {
+      const { client } = require('@anthropic-ai/sdk');
+      client.messages.create.mockResolvedValue({
+        content: [{ type: 'text', text: 'Here you go:\n```json\n{"ok":true}\n```' }],
+        usage: { input_tokens: 20, output_tokens: 8 }
+      });
+
+      const result = await createProvider({ provider: 'anthropic', model: 'claude-3-5-sonnet-latest' }).complete(request);
+
+      expect(client.messages.create).toHaveBeenCalledWith(expect.objectContaining({
+        system: expect.stringContaining('Be brief.'),
+        max_tokens: 100
+      }));
+      expect(result.text).toBe('{"ok":true}');
+      expect(result.usage).toEqual({ prompt_tokens: 20, completion_tokens: 8, total_tokens: 28 });
+    });
+  });
+});
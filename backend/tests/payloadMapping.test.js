@@ -0,0 +1,143 @@
+/**
+ * Marketing Machine - Payload Mapping Tests
+ * Declarative webhook payload mappings
+ */
+
+const {
+  selectPath,
+  applyPayloadMapping,
+  validatePayloadMapping,
+  hasPayloadMapping
+} = require('../src/services/webhook/payloadMapping');
+
+const firefliesPayload = {
+  meeting: {
+    id: 'ff-123',
+    title: 'Discovery call with Acme',
+    'host email': 'host@example.com'
+  },
+  attendees: [
+    { name: 'Dana', email: 'dana@acme.com' },
+    { name: 'Lee', email: 'lee@example.com' }
+  ],
+  transcript: {
+    sentences: [
+      { speaker_name: 'Dana', text: 'Our onboarding takes six weeks.', start_time: 5 },
+      { speaker_name: 'Dana', text: 'Mostly manual data entry.', start_time: 9 },
+      { speaker_name: 'Lee', text: 'We automate that in a day.', start_time: 3725 }
+    ]
+  },
+  summary: {
+    overview: 'Acme wants faster onboarding.',
+    action_items: ['Send case study', 'Book demo']
+  }
+};
+
+describe('Payload Mapping', () => {
+  describe('selectPath', () => {
+    it('should select nested keys, indexes and quoted keys', () => {
+      expect(selectPath(firefliesPayload, '$.meeting.title')).toBe('Discovery call with Acme');
+      expect(selectPath(firefliesPayload, '$.attendees[1].name')).toBe('Lee');
+      expect(selectPath(firefliesPayload, "$.meeting['host email']")).toBe('host@example.com');
+    });
+
+    it('should expand wildcards into a list', () => {
+      expect(selectPath(firefliesPayload, '$.attendees[*].email')).toEqual(['dana@acme.com', 'lee@example.com']);
+    });
+
+    it('should return undefined for missing paths', () => {
+      expect(selectPath(firefliesPayload, '$.meeting.missing.deeper')).toBeUndefined();
+    });
+
+    it('should reject selectors without a root', () => {
+      expect(() => selectPath(firefliesPayload, 'meeting.title')).toThrow('must start with "$"');
+    });
+  });
+
+  describe('applyPayloadMapping', () => {
+    it('should flatten speaker turns and merge consecutive turns by the same speaker', () => {
+      const result = applyPayloadMapping(firefliesPayload, {
+        content: {
+          turns: '$.transcript.sentences[*]',
+          speaker: 'speaker_name',
+          text: 'text',
+          timestamp: 'start_time'
+        }
+      });
+
+      expect(result.content).toBe(
+        '[00:00:05] Dana: Our onboarding takes six weeks. Mostly manual data entry.\n' +
+        '[01:02:05] Lee: We automate that in a day.'
+      );
+    });
+
+    it('should use the first non-empty fallback, concat values and apply defaults', () => {
+      const result = applyPayloadMapping(firefliesPayload, {
+        title: ['$.subject', '$.meeting.title'],
+        content: { concat: ['Summary:', '$.summary.overview', '$.summary.action_items[*]'], separator: '\n' },
+        contentType: { path: '$.type', default: 'sales_call' },
+        metadata: {
+          meeting_id: '$.meeting.id',
+          participants: '$.attendees[*].email',
+          recorder: { value: 'fireflies' }
+        }
+      });
+
+      expect(result.title).toBe('Discovery call with Acme');
+      expect(result.content).toBe('Summary:\nAcme wants faster onboarding.\nSend case study\nBook demo');
+      expect(result.contentType).toBe('sales_call');
+      expect(result.metadata).toEqual({
+        meeting_id: 'ff-123',
+        participants: ['dana@acme.com', 'lee@example.com'],
+        recorder: 'fireflies'
+      });
+      expect(result.unresolved).toEqual([]);
+    });
+
+    it('should report fields that did not resolve', () => {
+      const result = applyPayloadMapping(firefliesPayload, {
+        title: '$.subject',
+        content: '$.transcript.sentences[*].text',
+        metadata: { duration: '$.duration' }
+      });
+
+      expect(result.title).toBeUndefined();
+      expect(result.content).toContain('We automate that in a day.');
+      expect(result.unresolved).toEqual(['title', 'metadata.duration']);
+    });
+  });
+
+  describe('validatePayloadMapping', () => {
+    it('should accept a valid mapping', () => {
+      expect(validatePayloadMapping({
+        title: '$.meeting.title',
+        content: { turns: '$.transcript.sentences[*]', speaker: 'speaker_name', text: 'text' },
+        metadata: { meeting_id: ['$.meeting.id', '$.id'] }
+      })).toEqual([]);
+    });
+
+    it('should report unknown fields and malformed specs', () => {
+      const errors = validatePayloadMapping({
+        subject: '$.title',
+        title: 'meeting.title',
+        content: { path: '$.a', value: 'b' },
+        metadata: { duration: 42 }
+      });
+
+      expect(errors).toEqual([
+        'Unknown mapping field "subject" (expected one of title, content, contentType, metadata)',
+        'title: Selector must start with "$": meeting.title',
+        'content: spec can only use one of path, value',
+        'metadata.duration: spec must be a selector string, list or object'
+      ]);
+    });
+  });
+
+  describe('hasPayloadMapping', () => {
+    it('should ignore empty mappings', () => {
+      expect(hasPayloadMapping({})).toBe(false);
+      expect(hasPayloadMapping(null)).toBe(false);
+      expect(hasPayloadMapping({ content: '$.text' })).toBe(true);
+    });
+  });
+});
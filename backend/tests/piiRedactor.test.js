@@ -0,0 +1,167 @@
+/**
+ * Marketing Machine - PII Redactor Tests
+ * Redacting personal and confidential details before LLM calls, restoring approved ones and the audit trail
+ */
+
+const { query, transaction } = require('../src/config/database');
+const {
+  redactContent,
+  restoreText,
+  restoreDeep,
+  validateRedactionSettings,
+  recordRedactions
+} = require('../src/services/ai/piiRedactor');
+const { processContent } = require('../src/services/ai/contentProcessor');
+const HookGenerator = require('../src/services/ai/hookGenerator');
+const FakeProvider = require('../src/services/ai/providers/fakeProvider');
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK')
+  }
+}));
+
+describe('PII Redactor', () => {
+  const turns = [
+    { speaker: 'Maria Lopez', text: 'We closed Globex at $250k after the Falcon pilot cut their detention fees in half.' },
+    { speaker: 'Raj', text: 'Send the deck to maria.lopez@acme.io or call (555) 123-4567, the portal password is hunter22.' }
+  ];
+  const content = turns.map(turn => `${turn.speaker}: ${turn.text}`).join('\n');
+
+  const companyProfile = {
+    id: 1,
+    name: 'Acme',
+    content_pillars: [],
+    settings: {
+      redaction: {
+        confidential_terms: [{ term: 'Globex', type: 'customer' }, { term: 'Falcon', type: 'codename' }],
+        approved_entities: ['Globex'],
+        restore_types: ['amount']
+      }
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('redactContent', () => {
+    it('should replace each detail with the same placeholder everywhere, speaker turns included', () => {
+      const redaction = redactContent(content, companyProfile, { speakerTurns: turns });
+
+      expect(redaction.content).toBe(
+        '[PERSON_1]: We closed [CUSTOMER_1] at [AMOUNT_1] after the [CODENAME_1] pilot cut their detention fees in half.\n' +
+        '[PERSON_2]: Send the deck to [EMAIL_1] or call [PHONE_1], the portal password is [CREDENTIAL_1].'
+      );
+      expect(redaction.speakerTurns[1]).toEqual({
+        speaker: '[PERSON_2]',
+        text: 'Send the deck to [EMAIL_1] or call [PHONE_1], the portal password is [CREDENTIAL_1].'
+      });
+      expect(redaction.entities.find(entity => entity.placeholder === '[CUSTOMER_1]')).toMatchObject({
+        value: 'Globex', detector: 'confidential_term', occurrences: 2
+      });
+    });
+
+    it('should leave content alone when redaction is switched off', () => {
+      const redaction = redactContent(content, { settings: { redaction: { enabled: false } } });
+
+      expect(redaction).toMatchObject({ content, entities: [] });
+    });
+
+    it('should detect API keys by shape and only redact enabled detectors', () => {
+      const text = 'Use sk-abcdefghijklmnopqrstuvwx for the $2M renewal';
+
+      expect(redactContent(text, { settings: { redaction: { detect: { amounts: false } } } }).content)
+        .toBe('Use [CREDENTIAL_1] for the $2M renewal');
+    });
+  });
+
+  describe('restoreText', () => {
+    it('should put back approved entities and generalize the rest', () => {
+      const redaction = redactContent(content, companyProfile, { speakerTurns: turns });
+
+      expect(restoreText('[PERSON_1] closed [CUSTOMER_1] at [AMOUNT_1] with [CODENAME_1]. [PERSON_2] shared [CREDENTIAL_1] and [PERSON_9]', redaction))
+        .toBe('Someone closed Globex at $250k with an internal project. Someone shared [credential removed] and someone');
+
+      const hook = restoreDeep({ source_quote: 'We closed [CUSTOMER_1]', metadata: { source_attribution: { speaker: '[PERSON_1]' } } }, redaction);
+      expect(hook).toEqual({ source_quote: 'We closed Globex', metadata: { source_attribution: { speaker: 'Someone' } } });
+    });
+  });
+
+  describe('validateRedactionSettings', () => {
+    it('should reject unknown settings, term types and restoring credentials', () => {
+      expect(validateRedactionSettings(companyProfile.settings.redaction)).toEqual([]);
+      expect(validateRedactionSettings({
+        confidential_terms: [{ term: 'Globex', type: 'partner' }],
+        restore_types: ['credential'],
+        detect: { names: true },
+        redact_all: true
+      })).toEqual([
+        'redaction.confidential_terms[0].type: must be one of customer, codename, confidential',
+        'redaction.restore_types: credentials are never restored',
+        'redaction.detect.names: unknown detector (expected emails, phones, amounts, credentials, speakers)',
+        'redaction.redact_all: unknown setting'
+      ]);
+    });
+  });
+
+  describe('recordRedactions', () => {
+    it('should record each entity masked and hashed, never in full', async () => {
+      const redaction = redactContent(content, companyProfile, { speakerTurns: turns });
+
+      await recordRedactions(redaction, { companyId: 1, contentSourceId: 7, processingBatchId: 3 });
+
+      const [sql, params] = query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO content_redactions');
+      const rows = Array.from({ length: params.length / 11 }, (_, index) => params.slice(index * 11, index * 11 + 11));
+      expect(rows.map(row => [row[4], row[8], row[10]])).toEqual([
+        ['PERSON', 'M*** L***', false],
+        ['CUSTOMER', 'G***', true],
+        ['AMOUNT', '$***', true],
+        ['CODENAME', 'F***', false],
+        ['PERSON', 'R***', false],
+        ['EMAIL', 'm***@acme.io', false],
+        ['PHONE', '***67', false],
+        ['CREDENTIAL', '8 characters', false]
+      ]);
+      expect(params).not.toContain('hunter22');
+      expect(rows[0][7]).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('hook generation', () => {
+    it('should send only redacted content to the LLM and store restored hooks', async () => {
+      const provider = new FakeProvider({ task: 'hooks' });
+      processContent.hookGenerator = new HookGenerator({ provider });
+
+      query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM content_sources cs')) {
+          return { rows: [{ id: 7, content, metadata: { transcript_turns: turns }, processing_batch_id: 3 }] };
+        }
+        if (sql.includes('FROM companies')) return { rows: [companyProfile] };
+        return { rows: [] };
+      });
+      const client = { query: jest.fn(async (sql, params) => ({ rows: [{ id: 1, hook_text: params[2], source_quote: params[5] }] })) };
+      transaction.mockImplementation(callback => callback(client));
+
+      await processContent.generateHooks(7, 1);
+
+      const { prompt } = provider.requests[0];
+      expect(prompt).toContain('Bracketed placeholders such as [CUSTOMER_1]');
+      ['Maria', 'Globex', '$250k', 'Falcon', 'maria.lopez@acme.io', '123-4567', 'hunter22'].forEach(value => {
+        expect(prompt).not.toContain(value);
+      });
+
+      const storedQuotes = client.query.mock.calls.map(([, params]) => params[5]);
+      expect(storedQuotes).toContain('Someone: We closed Globex at $250k after the internal project pilot cut their detention fees in half.');
+      expect(query.mock.calls.some(([sql]) => sql.includes('INSERT INTO content_redactions'))).toBe(true);
+    });
+  });
+});
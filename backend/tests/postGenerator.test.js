@@ -3,18 +3,13 @@
  */
 
 const PostGenerator = require('../src/services/ai/postGenerator');
+const { query } = require('../src/config/database');
+const { processContent } = require('../src/services/ai/contentProcessor');
+const FakeProvider = require('../src/services/ai/providers/fakeProvider');
 
-// Mock OpenAI
-jest.mock('openai', () => {
-  return jest.fn().mockImplementation(() => ({
-    chat: {
-      completions: {
-        create: jest.fn().mockResolvedValue({
-          choices: [
-            {
-              message: {
-                content: JSON.stringify({
-                  post_content: `🚀 We just discovered something that changed everything for our sales team.
+// Scripted model reply
+const generatedPost = {
+  post_content: `🚀 We just discovered something that changed everything for our sales team.
 
 Last month, one simple automation saved us 20 hours of manual work per week. 
 
@@ -41,28 +36,15 @@ The real game-changer is when you combine smart technology with deep understandi
 What's one manual process your team could automate this week?
 
 #MarketingAutomation #SalesProductivity #BusinessGrowth #LinkedInStrategy`,
-                  character_count: 1456,
-                  hashtags: ["#MarketingAutomation", "#SalesProductivity", "#BusinessGrowth", "#LinkedInStrategy"],
-                  engagement_hooks: ["20 hours saved weekly", "300% increase in response rates", "Revenue up 45%"],
-                  cta_type: "question",
-                  target_metrics: {
-                    predicted_engagement_rate: "8.5%",
-                    target_impressions: "5000-10000"
-                  }
-                })
-              }
-            }
-          ],
-          usage: {
-            total_tokens: 1200,
-            prompt_tokens: 800,
-            completion_tokens: 400
-          }
-        })
-      }
-    }
-  }));
-});
+  character_count: 1456,
+  hashtags: ["#MarketingAutomation", "#SalesProductivity", "#BusinessGrowth", "#LinkedInStrategy"],
+  engagement_hooks: ["20 hours saved weekly", "300% increase in response rates", "Revenue up 45%"],
+  cta_type: "question",
+  target_metrics: {
+    predicted_engagement_rate: "8.5%",
+    target_impressions: "5000-10000"
+  }
+};
 
 // Mock database
 jest.mock('../src/config/database', () => ({
@@ -84,11 +66,13 @@ jest.mock('../src/config/redis', () => ({
 
 describe('PostGenerator', () => {
   let postGenerator;
+  let provider;
   let mockHook;
   let mockCompanyProfile;
 
   beforeEach(() => {
-    postGenerator = new PostGenerator();
+    provider = new FakeProvider({ task: 'posts', respond: () => generatedPost });
+    postGenerator = new PostGenerator({ provider });
     
     mockHook = {
       id: 1,
@@ -146,29 +130,80 @@ describe('PostGenerator', () => {
         { ...mockHook, id: 2, hook_text: "Another test hook" }
       ];
 
-      // Mock the PostGenerator's callOpenAI method to throw error on second call
-      const originalCallOpenAI = postGenerator.callOpenAI;
-      let callCount = 0;
-      postGenerator.callOpenAI = jest.fn().mockImplementation(() => {
-        callCount++;
-        if (callCount === 2) {
-          throw new Error('OpenAI API error for hook 2');
+      // Every retry for the second hook fails
+      provider.respond = (request) => {
+        if (request.prompt.includes('Another test hook')) {
+          throw new Error('Model error for hook 2');
         }
-        return Promise.resolve({
+        return {
           post_content: "Test content that meets minimum requirements for testing purposes",
           character_count: 68,
           hashtags: [],
           engagement_hooks: [],
           cta_type: "question"
-        });
-      });
+        };
+      };
+      postGenerator.maxRetries = 1;
 
       const result = await postGenerator.generatePosts(hooks, mockCompanyProfile);
       expect(result).toHaveLength(1); // Only successful one
       expect(result[0].hookId).toBe(1); // Should be the first hook
+    });
+  });
+
+  describe('callModel validation', () => {
+    it('should repair a post that fails the schema', async () => {
+      provider.respond = (request, call) => (call === 1
+        ? { ...generatedPost, hashtags: ['Marketing Automation'], cta_type: 'poll' }
+        : generatedPost);
+      const validation = [];
+
+      const post = await postGenerator.callModel('Write a post', 1, { provider, validation, hookId: 1 });
+
+      expect(post.post_content).toBe(generatedPost.post_content);
+      expect(provider.requests[1].prompt).toContain('REPAIR REQUEST');
+      expect(validation).toEqual([{
+        target: 'post',
+        hook_id: 1,
+        attempt: 1,
+        errors: ['hashtags.0: must match pattern "^#\\S+$"', 'cta_type: must be one of question, advice, share, comment'],
+        repaired: true
+      }]);
+    });
+
+    it('should fail when the repair is still invalid', async () => {
+      provider.respond = () => ({ hashtags: [] });
+      postGenerator.maxRetries = 1;
+      const validation = [];
+
+      await expect(postGenerator.callModel('Write a post', 1, { provider, validation }))
+        .rejects.toThrow('Post failed validation: post_content: is required');
+      expect(validation[0].repaired).toBe(false);
+    });
+
+    it('should record validation errors on the processing batch of the hook', async () => {
+      query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM marketing_hooks')) return { rows: [{ ...mockHook, processing_batch_id: 12 }] };
+        if (sql.includes('FROM companies')) return { rows: [mockCompanyProfile] };
+        return { rows: [] };
+      });
+      const error = { target: 'post', hook_id: 1, attempt: 1, errors: ['cta_type: must be one of question, advice, share, comment'], repaired: true };
+      const generatePosts = jest.spyOn(PostGenerator.prototype, 'generatePosts').mockImplementation(async (hooks, profile, options) => {
+        options.validation.push(error);
+        return [];
+      });
+      const storePosts = jest.spyOn(PostGenerator.prototype, 'storePosts').mockResolvedValue([]);
+
+      try {
+        await processContent.generatePosts([1], 1);
 
-      // Restore original method
-      postGenerator.callOpenAI = originalCallOpenAI;
+        const update = query.mock.calls.find(([sql]) => sql.includes('UPDATE processing_batches'));
+        expect(update[1]).toEqual([JSON.stringify([error]), 12, 'post_validation_errors']);
+      } finally {
+        generatePosts.mockRestore();
+        storePosts.mockRestore();
+        query.mockReset();
+      }
     });
   });
 
@@ -189,6 +224,13 @@ describe('PostGenerator', () => {
       const prompt = postGenerator.buildPostPrompt(mockHook, mockCompanyProfile);
       expect(prompt).toContain('cheap, easy');
     });
+
+    it('should cite the speaker of transcript quotes', () => {
+      mockHook.metadata = { source_attribution: { speaker: 'Jane', start: 761, citation: 'Jane, 12:41' } };
+
+      const prompt = postGenerator.buildPostPrompt(mockHook, mockCompanyProfile);
+      expect(prompt).toContain(`Source Quote: "${mockHook.source_quote}" (Jane, 12:41)`);
+    });
   });
 
   describe('processPost', () => {
@@ -0,0 +1,193 @@
+/**
+ * Marketing Machine - Post Reviser Tests
+ * Revising rejected drafts from reviewer feedback into child drafts, and diffing them against their parent
+ */
+
+const { query, transaction } = require('../src/config/database');
+const {
+  validateRevisionRequest,
+  canRevise,
+  buildRevisionPrompt,
+  createRevision,
+  processPostRevision
+} = require('../src/services/ai/postReviser');
+const { resolveTemplate } = require('../src/services/ai/promptTemplates');
+const { processContent } = require('../src/services/ai/contentProcessor');
+const { diffWords, diffStats } = require('../src/utils/textDiff');
+const FakeProvider = require('../src/services/ai/providers/fakeProvider');
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK')
+  }
+}));
+
+describe('Post Reviser', () => {
+  const companyProfile = { id: 1, name: 'Acme Logistics', brand_voice: { tone: ['direct'] }, settings: {} };
+  const hook = { id: 5, hook_text: 'Late trucks cost more than fuel', source_quote: 'late trucks cost us more than fuel' };
+  const parent = {
+    id: 10,
+    company_id: 1,
+    marketing_hook_id: 5,
+    post_content: 'Our platform is the best! Buy now and stop late trucks.',
+    draft_version: 1,
+    status: 'regenerating',
+    metadata: {}
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('validateRevisionRequest', () => {
+    it('should reject unknown edits and, when feedback is required, empty requests', () => {
+      expect(validateRevisionRequest({ notes: 'Too pushy', edits: ['shorter', 'less_salesy'] })).toEqual([]);
+      expect(validateRevisionRequest({ edits: ['funnier'] })[0]).toContain('unknown edit "funnier"');
+      expect(validateRevisionRequest({ edits: 'shorter' })).toHaveLength(1);
+      expect(validateRevisionRequest({ notes: '  ' }, { requireFeedback: true })).toEqual(['Revision requests need notes or at least one edit']);
+    });
+  });
+
+  describe('canRevise', () => {
+    it('should allow three automatic revisions unless the company sets its own limit', () => {
+      expect(canRevise({ draft_version: 3 }, companyProfile)).toBe(true);
+      expect(canRevise({ draft_version: 4 }, companyProfile)).toBe(false);
+      expect(canRevise({ draft_version: 1 }, { settings: { approval: { max_revisions: 0 } } })).toBe(false);
+    });
+  });
+
+  describe('buildRevisionPrompt', () => {
+    it('should include the previous draft, the reviewer notes and the requested edits', async () => {
+      const template = await resolveTemplate('post_revision', 1);
+
+      const prompt = buildRevisionPrompt(parent, hook, companyProfile, { notes: 'Too pushy', edits: ['shorter', 'add_cta'] }, template);
+
+      expect(prompt).toContain('DRAFT 1:\n"""\nOur platform is the best! Buy now and stop late trucks.\n"""');
+      expect(prompt).toContain('REVIEWER FEEDBACK:\nToo pushy');
+      expect(prompt).toContain('REQUESTED EDITS:\n- Make it shorter');
+      expect(prompt).toContain('- End with one clear call to action');
+      expect(template.prompt_version).toBe('post_revision@1');
+    });
+
+    it('should drop the feedback sections that are empty', async () => {
+      const template = await resolveTemplate('post_revision', 1);
+
+      const prompt = buildRevisionPrompt(parent, hook, companyProfile, { edits: ['shorter'] }, template);
+
+      expect(prompt).not.toContain('REVIEWER FEEDBACK');
+      expect(prompt).toContain('REQUESTED EDITS');
+    });
+  });
+
+  describe('createRevision', () => {
+    it('should store the revision as a child draft and supersede the parent', async () => {
+      query.mockImplementation(async (sql) => (
+        sql.includes('row_to_json(mh.*)')
+          ? { rows: [{ ...parent, hook, company_name: 'Acme Logistics' }] }
+          : { rows: [] }
+      ));
+      jest.spyOn(processContent, 'getCompanyProfile').mockResolvedValue(companyProfile);
+      const client = {
+        query: jest.fn(async (sql) => (
+          sql.includes('FOR UPDATE') ? { rows: [{ status: 'regenerating' }] } : { rows: [{ id: 11, draft_version: 2 }] }
+        ))
+      };
+      transaction.mockImplementation(callback => callback(client));
+      const provider = new FakeProvider({
+        task: 'posts',
+        respond: () => ({
+          post_content: 'Late trucks cost more than fuel. What does a late truck cost you?',
+          hashtags: ['#Logistics'],
+          cta_type: 'question',
+          changes: ['Removed the sales pitch']
+        })
+      });
+
+      const child = await createRevision(10, 1, { notes: 'Too pushy', edits: ['less_salesy'], userId: 3 }, { provider });
+
+      expect(child.id).toBe(11);
+      expect(provider.requests[0].prompt).toContain('Make it less salesy');
+
+      expect(client.query.mock.calls[0]).toEqual([expect.stringContaining('FOR UPDATE'), [10]]);
+
+      const [insertSql, insertParams] = client.query.mock.calls[1];
+      expect(insertSql).toContain('INSERT INTO linkedin_posts');
+      expect(insertParams[2]).toBe('Late trucks cost more than fuel. What does a late truck cost you?');
+      expect(insertParams.slice(-3)).toEqual([10, 2, JSON.stringify({ notes: 'Too pushy', edits: ['less_salesy'], requested_by: 3 })]);
+      expect(JSON.parse(insertParams[10]).changes).toEqual(['Removed the sales pitch']);
+
+      expect(client.query.mock.calls[2]).toEqual([expect.stringContaining("status = 'superseded'"), [10]]);
+      expect(client.query.mock.calls[3][1].slice(0, 3)).toEqual([11, 3, 'revision_created']);
+    });
+
+    it('should not store a second revision once another job has superseded the parent', async () => {
+      query.mockImplementation(async (sql) => (
+        sql.includes('row_to_json(mh.*)')
+          ? { rows: [{ ...parent, hook, company_name: 'Acme Logistics' }] }
+          : { rows: [] }
+      ));
+      jest.spyOn(processContent, 'getCompanyProfile').mockResolvedValue(companyProfile);
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ status: 'superseded' }] }) };
+      transaction.mockImplementation(callback => callback(client));
+      const provider = new FakeProvider({
+        task: 'posts',
+        respond: () => ({ post_content: 'Late trucks cost more than fuel.', hashtags: [], cta_type: 'question', changes: [] })
+      });
+
+      await expect(createRevision(10, 1, { edits: ['shorter'], userId: 3 }, { provider }))
+        .rejects.toMatchObject({ name: 'ConflictError' });
+
+      expect(client.query).toHaveBeenCalledTimes(1);
+      expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE');
+    });
+  });
+
+  describe('processPostRevision', () => {
+    it('should put the post back for review when the last attempt fails', async () => {
+      const job = { id: 1, attemptsMade: 2, opts: { attempts: 3 }, data: { postId: 10, companyId: 1, userId: 3, edits: ['shorter'] } };
+
+      await expect(processPostRevision(job)).rejects.toThrow('Post 10 not found');
+
+      expect(query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'pending_approval'"), [10]);
+      expect(query.mock.calls[2][1].slice(0, 3)).toEqual([10, 3, 'revision_failed']);
+    });
+
+    it('should leave the post alone when it is no longer awaiting revision', async () => {
+      query.mockImplementation(async (sql) => (
+        sql.includes('row_to_json(mh.*)')
+          ? { rows: [{ ...parent, status: 'superseded', hook, company_name: 'Acme Logistics' }] }
+          : { rows: [] }
+      ));
+      const job = { id: 2, attemptsMade: 2, opts: { attempts: 3 }, data: { postId: 10, companyId: 1, userId: 3, edits: ['shorter'] } };
+
+      const result = await processPostRevision(job);
+
+      expect(result).toEqual({ success: false, postId: 10, reason: 'Post 10 is no longer awaiting revision' });
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('diffWords', () => {
+    it('should mark removed and added words and count the change', () => {
+      const runs = diffWords('Our platform is the best! Buy now.', 'Our team is the best! Ask us how.');
+
+      expect(runs).toEqual([
+        { type: 'equal', text: 'Our ' },
+        { type: 'removed', text: 'platform ' },
+        { type: 'added', text: 'team ' },
+        { type: 'equal', text: 'is the best! ' },
+        { type: 'removed', text: 'Buy now.' },
+        { type: 'added', text: 'Ask us how.' }
+      ]);
+      expect(diffStats(runs)).toEqual({ added_words: 4, removed_words: 3, unchanged_words: 4, change_ratio: 0.5 });
+    });
+  });
+});
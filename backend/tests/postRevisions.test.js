@@ -0,0 +1,227 @@
+/**
+ * Marketing Machine - Post Revisions Tests
+ * Recording AI drafts and human edits, diffing and restoring revisions, and edit analytics
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { query, transaction } = require('../src/config/database');
+const {
+  recordRevision,
+  diffRevisions,
+  restoreRevision,
+  getEditAnalytics
+} = require('../src/services/ai/postRevisions');
+const { NotFoundError, ValidationError } = require('../src/middleware/errorHandler');
+const postRoutes = require('../src/routes/posts');
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK')
+  }
+}));
+
+describe('Post Revisions', () => {
+  const aiDraft = 'Late trucks cost more than fuel. Our platform fixes that. Book a demo today!';
+  const edited = 'Late trucks cost more than fuel. What does a late truck cost you?';
+
+  const revisions = [
+    { id: 1, revision_number: 1, post_content: aiDraft, author_type: 'ai', reason: 'generated' },
+    { id: 2, revision_number: 2, post_content: edited, author_type: 'user', reason: 'edited' }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('recordRevision', () => {
+    it('should number AI drafts and keep their prompt version', async () => {
+      const db = { query: jest.fn().mockResolvedValue({ rows: [{ id: 1, revision_number: 1 }] }) };
+
+      await recordRevision(db, { id: 7, company_id: 1, post_content: aiDraft, hashtags: ['#Freight'], prompt_version: 'posts@1' }, {
+        authorType: 'ai',
+        reason: 'generated'
+      });
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('COALESCE(MAX(revision_number), 0) + 1');
+      expect(params).toEqual([7, 1, aiDraft, '["#Freight"]', 'ai', null, 'generated', null, 'posts@1', null, null]);
+    });
+
+    it('should measure user edits against the latest AI draft', async () => {
+      const db = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ post_content: aiDraft }] })
+          .mockResolvedValueOnce({ rows: [{ id: 2, revision_number: 2 }] })
+      };
+
+      await recordRevision(db, { id: 7, company_id: 1, post_content: edited, prompt_version: 'posts@1' }, {
+        authorType: 'user',
+        authorId: 3,
+        reason: 'edited',
+        notes: 'Less salesy'
+      });
+
+      const params = db.query.mock.calls[1][1];
+      expect(params.slice(4, 10)).toEqual(['user', 3, 'edited', 'Less salesy', null, null]);
+      expect(JSON.parse(params[10])).toEqual({ added_words: 6, removed_words: 7, unchanged_words: 7, change_ratio: 0.5 });
+    });
+
+    it('should refuse unknown authors and reasons', async () => {
+      await expect(recordRevision({ query }, { id: 7 }, { authorType: 'bot', reason: 'edited' })).rejects.toThrow('Invalid revision');
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('diffRevisions', () => {
+    it('should diff the latest revision against the one before it by default', async () => {
+      query.mockResolvedValueOnce({ rows: revisions });
+
+      const diff = await diffRevisions(7, 1);
+
+      expect(diff.from.revision_number).toBe(1);
+      expect(diff.to.revision_number).toBe(2);
+      expect(diff.runs[0]).toEqual({ type: 'equal', text: 'Late trucks cost more than fuel. ' });
+      expect(diff.stats.added_words).toBe(6);
+    });
+
+    it('should report a missing revision', async () => {
+      query.mockResolvedValueOnce({ rows: revisions });
+
+      await expect(diffRevisions(7, 1, { from: 1, to: 5 })).rejects.toThrow(new NotFoundError('Revision 5 not found'));
+    });
+  });
+
+  /**
+   * Transaction client for restoring revision 1 of post 7
+   */
+  function restoreClient() {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM linkedin_posts')) {
+          return { rows: [{ id: 7, company_id: 1, status: 'pending_approval', post_content: edited, hashtags: [], metadata: {} }] };
+        }
+        if (sql.includes('SELECT revision_number')) {
+          return { rows: [{ revision_number: 1, post_content: aiDraft, hashtags: ['#Freight'] }] };
+        }
+        if (sql.includes("author_type = 'ai'")) return { rows: [{ post_content: aiDraft }] };
+        if (sql.includes('INSERT INTO post_revisions')) return { rows: [{ id: 3, revision_number: 3 }] };
+        return { rows: [] };
+      })
+    };
+    transaction.mockImplementation(callback => callback(client));
+    return client;
+  }
+
+  describe('restoreRevision', () => {
+    it('should copy the revision back onto the post as a new user revision', async () => {
+      const client = restoreClient();
+
+      const { revision, fact_check } = await restoreRevision(7, 1, 1, { userId: 3 });
+
+      expect(revision.revision_number).toBe(3);
+      expect(fact_check.status).toBeDefined();
+
+      const update = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE linkedin_posts') && sql.includes('post_content'));
+      expect(update[1]).toEqual([aiDraft, '["#Freight"]', aiDraft.length, 3, 7]);
+
+      const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO post_revisions'));
+      expect(insert[1].slice(4, 10)).toEqual(['user', 3, 'restored', null, null, 1]);
+      expect(JSON.parse(insert[1][10]).change_ratio).toBe(0);
+
+      const history = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO approval_history'));
+      expect(history[1].slice(0, 3)).toEqual([7, 3, 'restored']);
+    });
+
+    it('should not restore revisions of published posts', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 7, status: 'published' }] }) };
+      transaction.mockImplementation(callback => callback(client));
+
+      await expect(restoreRevision(7, 1, 1, { userId: 3 })).rejects.toThrow(ValidationError);
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('history routes', () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 3, companyId: 1 };
+      next();
+    });
+    app.use('/api/posts', postRoutes);
+
+    it('should reject revision numbers that are not integers', async () => {
+      const restore = await request(app).post('/api/posts/7/history/latest/restore').send({});
+      const diff = await request(app).get('/api/posts/7/history/diff?from=1&to=two');
+
+      expect(restore.status).toBe(400);
+      expect(diff.status).toBe(400);
+      expect(diff.body.details[0]).toMatchObject({ path: 'to', msg: 'To must be a revision number' });
+      expect(query).not.toHaveBeenCalled();
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    it('should diff the requested revisions', async () => {
+      query.mockResolvedValueOnce({ rows: revisions });
+
+      const response = await request(app).get('/api/posts/7/history/diff?from=1&to=2');
+
+      expect(response.status).toBe(200);
+      expect(response.body.from.id).toBe(1);
+      expect(response.body.to.id).toBe(2);
+    });
+
+    it('should record the signed-in user as the author of a restore', async () => {
+      const client = restoreClient();
+
+      const response = await request(app).post('/api/posts/7/history/1/restore').send({});
+
+      expect(response.status).toBe(200);
+      const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO post_revisions'));
+      expect(insert[1].slice(4, 6)).toEqual(['user', 3]);
+      const history = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO approval_history'));
+      expect(history[1].slice(0, 3)).toEqual([7, 3, 'restored']);
+    });
+  });
+
+  describe('getEditAnalytics', () => {
+    it('should report edit rates per prompt version and weighted totals', async () => {
+      query.mockResolvedValueOnce({
+        rows: [
+          { prompt_version: 'posts@1', posts: '4', edited_posts: '3', avg_change_ratio: '0.4', avg_added_words: '12.5', avg_removed_words: '10' },
+          { prompt_version: 'posts@2', posts: '1', edited_posts: '0', avg_change_ratio: '0', avg_added_words: '0', avg_removed_words: '0' }
+        ]
+      });
+
+      const analytics = await getEditAnalytics(1, { days: '7' });
+
+      expect(query.mock.calls[0][1]).toEqual([1, 7]);
+      expect(analytics.by_prompt_version[0]).toEqual({
+        prompt_version: 'posts@1',
+        posts: 4,
+        edited_posts: 3,
+        edit_rate: 0.75,
+        avg_change_ratio: 0.4,
+        avg_added_words: 12.5,
+        avg_removed_words: 10
+      });
+      expect(analytics.totals).toEqual({
+        posts: 5,
+        edited_posts: 3,
+        edit_rate: 0.6,
+        avg_change_ratio: 0.32,
+        avg_added_words: 10,
+        avg_removed_words: 8
+      });
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Marketing Machine - Prompt Template Tests
+ * Template versions, company section overrides and recording the version on generated posts
+ */
+
+const { query, transaction } = require('../src/config/database');
+const {
+  getDefaultTemplate,
+  resolveTemplate,
+  renderTemplate,
+  validateOverrides,
+  saveOverrides
+} = require('../src/services/ai/promptTemplates');
+const PostGenerator = require('../src/services/ai/postGenerator');
+const FakeProvider = require('../src/services/ai/providers/fakeProvider');
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK')
+  }
+}));
+
+describe('Prompt Templates', () => {
+  const companyProfile = {
+    id: 1,
+    name: 'Acme',
+    industry: 'Logistics',
+    brand_voice: { tone: ['direct'] },
+    content_pillars: ['Operations'],
+    icp: {}
+  };
+  const hook = { id: 7, hook_text: 'Late trucks cost more than fuel', hook_type: 'pain_point', source_quote: 'late trucks' };
+
+  /**
+   * Answer the template lookups: latest global version, then the company's latest overrides
+   */
+  function mockTemplateRows(global, company) {
+    query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM prompt_templates')) return { rows: global ? [global] : [] };
+      if (sql.includes('FROM company_prompt_overrides')) return { rows: company ? [company] : [] };
+      return { rows: [] };
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('renderTemplate', () => {
+    it('should fill placeholders and drop empty sections', () => {
+      const prompt = new PostGenerator().buildPostPrompt(hook, companyProfile);
+
+      expect(prompt).toContain('COMPANY CONTEXT:\n- Company: Acme\n- Industry: Logistics');
+      expect(prompt).toContain('Hook: "Late trucks cost more than fuel"');
+      expect(prompt).toContain('Match brand voice tone: direct');
+      expect(prompt).not.toContain('{{');
+      expect(prompt).not.toMatch(/\n{3,}/);
+    });
+
+    it('should not substitute placeholders that appear inside variable values', () => {
+      const template = { sections: [{ key: 'content', content: 'A {{content}} B {{tone}}' }] };
+
+      expect(renderTemplate(template, { content: '{{tone}}', tone: 'calm' })).toBe('A {{tone}} B calm');
+    });
+  });
+
+  describe('resolveTemplate', () => {
+    it('should apply the latest global version and the company overrides', async () => {
+      mockTemplateRows(
+        { version: 2, sections: { closing: 'Write one post.' } },
+        { version: 3, sections: { cta_style: 'CTA STYLE: End with a link to the demo, never a question.', output_format: 'ignored' } }
+      );
+
+      const template = await resolveTemplate('posts', 1);
+      const prompt = renderTemplate(template, { company_name: 'Acme' });
+
+      expect(template.prompt_version).toBe('posts@2+c3');
+      expect(template.overrides).toEqual(['cta_style']);
+      expect(prompt).toContain('Write one post.');
+      expect(prompt).toContain('CTA STYLE: End with a link to the demo');
+      expect(prompt).toContain('OUTPUT FORMAT: Return as JSON');
+    });
+
+    it('should fall back to the built-in template when the registry cannot be read', async () => {
+      query.mockRejectedValue(new Error('relation "prompt_templates" does not exist'));
+
+      const template = await resolveTemplate('hooks', 1);
+
+      expect(template).toEqual(getDefaultTemplate('hooks'));
+      expect(template.prompt_version).toBe('hooks@1');
+    });
+  });
+
+  describe('validateOverrides', () => {
+    it('should only accept overridable sections with known placeholders', () => {
+      expect(validateOverrides('posts', { structure: 'Three short paragraphs for {{company_name}}.', cta_style: null })).toEqual([]);
+
+      expect(validateOverrides('posts', {
+        output_format: 'Plain text',
+        hook: 'x',
+        cta_style: 'Mention {{discount_code}}',
+        footer: 'y'
+      })).toEqual([
+        'sections.output_format: cannot be overridden',
+        'sections.hook: cannot be overridden',
+        'sections.cta_style: unknown placeholders {{discount_code}}',
+        'sections.footer: unknown section'
+      ]);
+      expect(validateOverrides('emails', { intro: 'x' })).toEqual(['Unknown prompt template "emails"']);
+    });
+  });
+
+  describe('saveOverrides', () => {
+    it('should save a new revision with every override in effect', async () => {
+      const client = {
+        query: jest.fn(async (sql, params) => {
+          if (sql.includes('SELECT version, sections')) {
+            return { rows: [{ version: 2, sections: { structure: 'Old structure', cta_style: 'Old CTA' } }] };
+          }
+          if (sql.includes('INSERT INTO company_prompt_overrides')) {
+            return { rows: [{ version: params[2], sections: JSON.parse(params[3]) }] };
+          }
+          return { rows: [] };
+        })
+      };
+      transaction.mockImplementation(callback => callback(client));
+
+      const revision = await saveOverrides('posts', 1, { cta_style: null, closing: 'Keep it short.' }, { createdBy: 5 });
+
+      expect(revision).toEqual({ version: 3, sections: { structure: 'Old structure', closing: 'Keep it short.' } });
+    });
+  });
+
+  describe('generated posts', () => {
+    it('should record the prompt version that produced them', async () => {
+      mockTemplateRows({ version: 1, sections: {} }, { version: 4, sections: { structure: 'Two paragraphs.' } });
+      const reply = { post_content: 'Late trucks cost more than fuel.', hashtags: ['#Logistics'], cta_type: 'question' };
+      const postGenerator = new PostGenerator({ provider: new FakeProvider({ task: 'posts', respond: () => reply }) });
+
+      const [post] = await postGenerator.generatePosts([hook], companyProfile);
+
+      expect(postGenerator.provider.requests[0].prompt).toContain('Two paragraphs.');
+      expect(post.prompt_version).toBe('posts@1+c4');
+      expect(post.metadata).toMatchObject({ prompt_version: 'posts@1+c4', prompt_overrides: ['structure'] });
+    });
+  });
+});
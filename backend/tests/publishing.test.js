@@ -154,6 +154,20 @@ describe('Publishing System', () => {
         await expect(publishingService.schedulePost(1, 1, 1))
           .rejects.toThrow('Post must be approved before scheduling');
       });
+
+      it('should throw error for post with unsupported claims', async () => {
+        const { transaction } = require('../src/config/database');
+        const mockClient = {
+          query: jest.fn().mockResolvedValueOnce({
+            rows: [{ id: 1, status: 'approved', fact_check_status: 'unsupported', linkedin_access_token: 'token' }]
+          })
+        };
+        transaction.mockImplementation(callback => callback(mockClient));
+
+        await expect(publishingService.schedulePost(1, 1, 1))
+          .rejects.toThrow('Post has unsupported claims; verify or edit them before scheduling');
+        expect(mockClient.query).toHaveBeenCalledTimes(1);
+      });
     });
 
     describe('publishToLinkedIn', () => {
@@ -180,6 +194,9 @@ describe('Publishing System', () => {
 
         transaction.mockImplementation(mockTransaction);
 
+        // No carousel attached
+        query.mockResolvedValueOnce({ rows: [] });
+
         // Mock LinkedInAPI methods
         LinkedInAPI.prototype.validateToken = jest.fn().mockResolvedValue(true);
         LinkedInAPI.prototype.publishTextPost = jest.fn().mockResolvedValue(mockPublishResult);
@@ -206,7 +223,7 @@ describe('Publishing System', () => {
       });
 
       it('should publish image post to LinkedIn', async () => {
-        const { transaction } = require('../src/config/database');
+        const { query, transaction } = require('../src/config/database');
 
         // Mock LinkedInAPI
         const mockPublishResult = {
@@ -227,6 +244,9 @@ describe('Publishing System', () => {
 
         transaction.mockImplementation(mockTransaction);
 
+        // No carousel attached
+        query.mockResolvedValueOnce({ rows: [] });
+
         LinkedInAPI.prototype.validateToken = jest.fn().mockResolvedValue(true);
         LinkedInAPI.prototype.publishImagePost = jest.fn().mockResolvedValue(mockPublishResult);
 
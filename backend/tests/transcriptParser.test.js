@@ -0,0 +1,131 @@
+/**
+ * Marketing Machine - Transcript Parser Tests
+ * Speaker turns from VTT, SRT, speaker-labelled text and JSON transcripts
+ */
+
+const {
+  parseVtt,
+  parseSrt,
+  parseSpeakerText,
+  parseJsonTurns,
+  findQuoteTurn,
+  formatCitation,
+  turnsToText
+} = require('../src/services/content/transcriptParser');
+
+describe('Transcript Parser', () => {
+  describe('parseVtt', () => {
+    it('should read voice tags and merge consecutive cues', () => {
+      const vtt = [
+        'WEBVTT',
+        '',
+        '00:12:41.000 --> 00:12:44.000',
+        '<v Jane Doe>Pricing is the blocker.</v>',
+        '',
+        '00:12:44.500 --> 00:12:47.000',
+        '<v Jane Doe>Most buyers stall there.</v>'
+      ].join('\n');
+
+      expect(parseVtt(vtt)).toEqual([
+        { speaker: 'Jane Doe', text: 'Pricing is the blocker. Most buyers stall there.', start: 761, end: 767 }
+      ]);
+    });
+  });
+
+  describe('parseSrt', () => {
+    it('should parse numbered cues with comma milliseconds', () => {
+      const srt = [
+        '1',
+        '00:00:01,500 --> 00:00:04,000',
+        'Jane: Welcome everyone.',
+        '',
+        '2',
+        '00:00:04,200 --> 00:00:06,000',
+        'Raj: Thanks for having me.'
+      ].join('\r\n');
+
+      expect(parseSrt(srt)).toEqual([
+        { speaker: 'Jane', text: 'Welcome everyone.', start: 1.5, end: 4 },
+        { speaker: 'Raj', text: 'Thanks for having me.', start: 4.2, end: 6 }
+      ]);
+    });
+  });
+
+  describe('parseSpeakerText', () => {
+    it('should parse Otter text exports', () => {
+      const otter = [
+        'Jane Doe  0:03',
+        'Thanks for joining. We will meet again at 10:30',
+        '',
+        'Raj Patel  12:41',
+        'Pricing is the blocker for most buyers.',
+        'They want annual plans.'
+      ].join('\n');
+
+      expect(parseSpeakerText(otter)).toEqual([
+        { speaker: 'Jane Doe', text: 'Thanks for joining. We will meet again at 10:30', start: 3, end: 761 },
+        { speaker: 'Raj Patel', text: 'Pricing is the blocker for most buyers. They want annual plans.', start: 761, end: null }
+      ]);
+    });
+
+    it('should read back its own rendered transcripts', () => {
+      const turns = [
+        { speaker: 'Jane', text: 'Hello.', start: 0, end: 5 },
+        { speaker: 'Raj', text: 'Hi there.', start: 5, end: null }
+      ];
+
+      expect(parseSpeakerText(turnsToText(turns))).toEqual(turns);
+    });
+
+    it('should not treat ordinary text as a transcript', () => {
+      expect(parseSpeakerText('Meeting notes\nJane 0:12\nWe agreed on pricing.')).toEqual([]);
+    });
+  });
+
+  describe('parseJsonTurns', () => {
+    it('should accept common export shapes and time fields', () => {
+      const json = JSON.stringify({
+        utterances: [
+          { speaker: 'A', text: 'Our churn dropped.', start_ms: 1500, end_ms: 4000 },
+          { speaker_name: 'B', sentence: 'By how much?', start_time: '00:00:04' }
+        ]
+      });
+
+      expect(parseJsonTurns(json)).toEqual([
+        { speaker: 'A', text: 'Our churn dropped.', start: 1.5, end: 4 },
+        { speaker: 'B', text: 'By how much?', start: 4, end: null }
+      ]);
+    });
+
+    it('should reject JSON without speaker turns', () => {
+      expect(() => parseJsonTurns({ title: 'Call' })).toThrow('JSON transcript must be an array of speaker turns');
+      expect(() => parseJsonTurns([{ speaker: 'A' }])).toThrow('JSON transcript contains no speaker turns with text');
+    });
+  });
+
+  describe('quote attribution', () => {
+    const turns = [
+      { speaker: 'Jane', text: 'Welcome, let us get started with the roadmap.', start: 2, end: 760 },
+      { speaker: 'Raj', text: 'Honestly, pricing is the blocker for most of our buyers.', start: 761, end: 790 },
+      { speaker: 'Ana', text: 'Support volume doubled after the launch.', start: 3725, end: 3740 }
+    ];
+
+    it('should find the turn a quote came from, ignoring case and punctuation', () => {
+      expect(findQuoteTurn('Pricing is the blocker for most of our buyers', turns)).toBe(turns[1]);
+    });
+
+    it('should tolerate lightly edited quotes', () => {
+      expect(findQuoteTurn('support volume doubled after launch', turns)).toBe(turns[2]);
+    });
+
+    it('should not attribute quotes that appear nowhere', () => {
+      expect(findQuoteTurn('We are hiring three engineers', turns)).toBeNull();
+    });
+
+    it('should cite speaker and timestamp', () => {
+      expect(formatCitation(turns[1])).toBe('Raj, 12:41');
+      expect(formatCitation(turns[2])).toBe('Ana, 1:02:05');
+      expect(formatCitation({ speaker: null, start: 65 })).toBe('1:05');
+    });
+  });
+});
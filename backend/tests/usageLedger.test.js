@@ -0,0 +1,276 @@
+/**
+ * Marketing Machine - Usage Ledger Tests
+ * Pricing AI calls from the rate table, recording them per company, and enforcing monthly budgets
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { query } = require('../src/config/database');
+const {
+  refreshRates,
+  getRates,
+  recordUsage,
+  meterProvider,
+  enforceBudget,
+  validateBudgetSettings,
+  getCostReport
+} = require('../src/services/ai/usageLedger');
+const { processHookGeneration } = require('../src/services/content/queueProcessors');
+const { processPostRevision } = require('../src/services/ai/postReviser');
+const { processImageGeneration } = require('../src/services/ai/imageQueueProcessor');
+const HookGenerator = require('../src/services/ai/hookGenerator');
+const PostGenerator = require('../src/services/ai/postGenerator');
+const ImageGenerator = require('../src/services/ai/imageGenerator');
+const postRoutes = require('../src/routes/posts');
+const FakeProvider = require('../src/services/ai/providers/fakeProvider');
+const { ValidationError } = require('../src/middleware/errorHandler');
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK')
+  }
+}));
+
+describe('Usage Ledger', () => {
+  const ledgerInsert = () => query.mock.calls.find(([sql]) => sql.includes('INSERT INTO ai_usage_ledger'));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    refreshRates();
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('getRates', () => {
+    it('should price from configured rates before list prices', async () => {
+      query.mockResolvedValueOnce({
+        rows: [
+          { model: 'gpt-4o', unit: 'input_1k', variant: '', usd: '0.002' },
+          { model: 'dall-e-3', unit: 'image', variant: 'hd:1792x1024', usd: '0.1' }
+        ]
+      });
+
+      expect(await getRates('gpt-4o-2024-08-06')).toEqual({ input_1k: 0.002, output_1k: 0.01, image: 0 });
+      expect((await getRates('dall-e-3', 'hd:1792x1024')).image).toBe(0.1);
+      expect((await getRates('dall-e-3', 'standard:1024x1024')).image).toBe(0.04);
+      expect(await getRates('llama3.1')).toEqual({ input_1k: 0, output_1k: 0, image: 0 });
+      expect(query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to list prices when the rate table cannot be read', async () => {
+      query.mockRejectedValueOnce(new Error('relation "ai_rates" does not exist'));
+
+      expect(await getRates('gpt-4o-mini')).toEqual({ input_1k: 0.00015, output_1k: 0.0006, image: 0 });
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('should record the tokens billed and their cost at the rates in force', async () => {
+      query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ id: 9 }] });
+
+      const entry = await recordUsage({
+        companyId: 1,
+        task: 'hooks',
+        provider: 'openai',
+        model: 'gpt-4o',
+        usage: { prompt_tokens: 2000, completion_tokens: 500 }
+      });
+
+      expect(entry).toEqual({ id: 9, cost_usd: 0.01 });
+      const params = ledgerInsert()[1];
+      expect(params.slice(0, 9)).toEqual([1, 'hooks', 'openai', 'gpt-4o', 2000, 500, 0, null, 0.01]);
+      expect(JSON.parse(params[9])).toEqual({ input_1k: 0.0025, output_1k: 0.01, image: 0 });
+    });
+
+    it('should never fail the call it records', async () => {
+      query.mockResolvedValueOnce({ rows: [] }).mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(recordUsage({ companyId: 1, task: 'images', provider: 'openai', model: 'dall-e-3', images: 1 })).resolves.toBeNull();
+      expect(await recordUsage({ task: 'hooks', provider: 'openai', model: 'gpt-4o' })).toBeNull();
+    });
+  });
+
+  describe('meterProvider', () => {
+    it('should record each completion against the company', async () => {
+      const provider = new FakeProvider({ task: 'posts', model: 'gpt-4o-mini', respond: () => 'Late trucks cost more than fuel.' });
+
+      const response = await meterProvider(provider, { companyId: 1, task: 'variants' }).complete({ prompt: 'Write a post' });
+
+      expect(response.text).toBe('Late trucks cost more than fuel.');
+      expect(provider.requests).toHaveLength(1);
+      const params = ledgerInsert()[1];
+      expect(params.slice(0, 6)).toEqual([1, 'variants', 'fake', 'gpt-4o-mini', response.usage.prompt_tokens, response.usage.completion_tokens]);
+      expect(meterProvider(provider, { task: 'posts' })).toBe(provider);
+    });
+  });
+
+  describe('enforceBudget', () => {
+    const spend = amount => query.mockImplementation(async (sql) => (
+      sql.includes('SUM(cost_usd)') ? { rows: [{ spend: String(amount) }] } : { rows: [] }
+    ));
+
+    it('should refuse companies over their hard limit', async () => {
+      spend(120);
+
+      await expect(enforceBudget({ id: 1, settings: { budget: { soft_limit_usd: 80, hard_limit_usd: 100 } } }))
+        .rejects.toMatchObject({ code: 'BUDGET_EXCEEDED', status: 402 });
+    });
+
+    it('should move companies over their soft limit to cheaper models', async () => {
+      spend(85);
+      const company = {
+        id: 1,
+        settings: {
+          ai: { default: { provider: 'openai', model: 'gpt-4o' }, hooks: { provider: 'anthropic', model: 'claude-3-5-sonnet-latest' } },
+          budget: { soft_limit_usd: 80, hard_limit_usd: 100 }
+        }
+      };
+
+      const { companyProfile, budget } = await enforceBudget(company);
+
+      expect(budget).toMatchObject({ status: 'soft_limit', spend_usd: 85 });
+      expect(companyProfile.settings.ai.hooks).toEqual({ provider: 'anthropic', model: 'claude-3-5-haiku-latest' });
+      expect(companyProfile.settings.ai.posts).toEqual({ provider: 'openai', model: 'gpt-4o-mini' });
+      expect(company.settings.ai.posts).toBeUndefined();
+    });
+
+    it('should prefer the downgrade model the company configured', async () => {
+      spend(85);
+
+      const { companyProfile } = await enforceBudget({
+        id: 1,
+        settings: { budget: { soft_limit_usd: 80, downgrade: { provider: 'openai-compatible', model: 'llama3.1' } } }
+      });
+
+      expect(companyProfile.settings.ai.image_prompts).toEqual({ provider: 'openai-compatible', model: 'llama3.1' });
+    });
+
+    it('should leave companies under budget alone', async () => {
+      spend(10);
+      const company = { id: 1, settings: { budget: { soft_limit_usd: 80 } } };
+
+      const { companyProfile, budget } = await enforceBudget(company);
+
+      expect(companyProfile).toBe(company);
+      expect(budget.status).toBe('ok');
+    });
+  });
+
+  describe('validateBudgetSettings', () => {
+    it('should reject negative limits, a soft limit above the hard limit and unknown settings', () => {
+      expect(validateBudgetSettings({ soft_limit_usd: 50, hard_limit_usd: 100, downgrade: { model: 'gpt-4o-mini' } })).toEqual([]);
+      expect(validateBudgetSettings({ hard_limit_usd: -1 })).toEqual(['budget.hard_limit_usd: must be an amount in US dollars (0 or more) or null']);
+      expect(validateBudgetSettings({ soft_limit_usd: 200, hard_limit_usd: 100 })).toEqual(['budget.soft_limit_usd: must not exceed hard_limit_usd']);
+      expect(validateBudgetSettings({ downgrade: { provider: 'acme' }, monthly: 5 })).toEqual([
+        'budget.downgrade.provider: must be one of openai, anthropic, azure, openai-compatible, fake',
+        'budget.downgrade.model: must be a model name of 100 characters or less',
+        'budget.monthly: unknown setting'
+      ]);
+    });
+  });
+
+  describe('getCostReport', () => {
+    it('should total spend by task and model with the budget status', async () => {
+      query.mockImplementation(async (sql) => {
+        if (sql.includes('GROUP BY task, provider, model')) {
+          return {
+            rows: [
+              { task: 'hooks', provider: 'openai', model: 'gpt-4o', calls: '3', prompt_tokens: '9000', completion_tokens: '1500', images: '0', cost_usd: '0.0375' },
+              { task: 'posts', provider: 'openai', model: 'gpt-4o', calls: '5', prompt_tokens: '4000', completion_tokens: '2000', images: '0', cost_usd: '0.03' },
+              { task: 'images', provider: 'openai', model: 'dall-e-3', calls: '2', prompt_tokens: '0', completion_tokens: '0', images: '2', cost_usd: '0.24' }
+            ]
+          };
+        }
+        if (sql.includes('FROM companies')) return { rows: [{ id: 1, settings: { budget: { hard_limit_usd: 50 } } }] };
+        if (sql.includes('as spend')) return { rows: [{ spend: '0.3075' }] };
+        return { rows: [] };
+      });
+
+      const report = await getCostReport(1, { period: '30d' });
+
+      expect(report.totals).toEqual({ calls: 10, prompt_tokens: 13000, completion_tokens: 3500, images: 2, cost_usd: 0.3075 });
+      expect(report.by_task.map(row => [row.task, row.cost_usd])).toEqual([['images', 0.24], ['hooks', 0.0375], ['posts', 0.03]]);
+      expect(report.by_model[0]).toMatchObject({ provider: 'openai', model: 'dall-e-3', images: 2 });
+      expect(report.by_model[1]).toMatchObject({ model: 'gpt-4o', calls: 8, cost_usd: 0.0675 });
+      expect(report.budget).toMatchObject({ status: 'ok', spend_usd: 0.3075, hard_limit_usd: 50 });
+    });
+
+    it('should reject unknown periods', async () => {
+      await expect(getCostReport(1, { period: 'forever' })).rejects.toThrow(ValidationError);
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processHookGeneration', () => {
+    it('should refuse the job without retries when the company is over its hard limit', async () => {
+      query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM content_sources')) return { rows: [{ title: 'Call', content: 'Late trucks cost more than fuel.', metadata: {} }] };
+        if (sql.includes('FROM companies')) return { rows: [{ id: 1, settings: { budget: { hard_limit_usd: 100 } } }] };
+        if (sql.includes('SUM(cost_usd)')) return { rows: [{ spend: '100' }] };
+        return { rows: [] };
+      });
+      const generateHooks = jest.spyOn(HookGenerator.prototype, 'generateHooks');
+      const job = { id: 1, data: { contentSourceId: 5, companyId: 1 }, discard: jest.fn() };
+
+      await expect(processHookGeneration(job)).rejects.toThrow('Monthly AI budget of $100 reached');
+
+      expect(generateHooks).not.toHaveBeenCalled();
+      expect(job.discard).toHaveBeenCalled();
+      const failure = query.mock.calls.find(([sql]) => sql.includes("status = 'failed'"));
+      expect(failure[1][0]).toContain('Monthly AI budget of $100 reached');
+    });
+  });
+
+  describe('hard limit', () => {
+    const overBudget = rows => query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM companies')) return { rows: [{ id: 1, status: 'active', settings: { budget: { hard_limit_usd: 100 } } }] };
+      if (sql.includes('SUM(cost_usd)')) return { rows: [{ spend: '100' }] };
+      const match = Object.keys(rows).find(key => sql.includes(key));
+      return { rows: match ? rows[match] : [] };
+    });
+
+    it('should answer post generation requests with 402', async () => {
+      overBudget({ 'FROM marketing_hooks': [{ id: 3, hook_text: 'Late trucks cost more than fuel.' }] });
+      const generatePosts = jest.spyOn(PostGenerator.prototype, 'generatePosts');
+      const app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        req.user = { id: 9, companyId: 1 };
+        next();
+      });
+      app.use('/api/posts', postRoutes);
+
+      const response = await request(app).post('/api/posts/generate').send({ hook_ids: [3] });
+
+      expect(response.status).toBe(402);
+      expect(response.body).toMatchObject({ code: 'BUDGET_EXCEEDED', error: expect.stringContaining('Monthly AI budget of $100 reached') });
+      expect(generatePosts).not.toHaveBeenCalled();
+    });
+
+    it('should put a post back for review without retrying its revision', async () => {
+      overBudget({ 'FROM linkedin_posts p': [{ id: 7, company_id: 1, post_content: 'Draft', status: 'regenerating', hook: null, company_name: 'Acme' }] });
+      const job = { id: 1, attemptsMade: 0, opts: { attempts: 3 }, data: { postId: 7, companyId: 1, userId: 9 }, discard: jest.fn() };
+
+      await expect(processPostRevision(job)).rejects.toThrow('Monthly AI budget of $100 reached');
+
+      expect(job.discard).toHaveBeenCalled();
+      expect(query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'pending_approval'"), [7]);
+    });
+
+    it('should refuse image jobs without retries', async () => {
+      overBudget({ 'FROM posts p': [{ id: 7, content: 'Late trucks cost more than fuel.', metadata: {} }] });
+      const generateImages = jest.spyOn(ImageGenerator.prototype, 'generateImages');
+      const job = { id: 1, data: { postId: 7, hookId: 3, companyId: 1 }, discard: jest.fn() };
+
+      await expect(processImageGeneration(job)).rejects.toThrow('Monthly AI budget of $100 reached');
+
+      expect(generateImages).not.toHaveBeenCalled();
+      expect(job.discard).toHaveBeenCalled();
+    });
+  });
+});
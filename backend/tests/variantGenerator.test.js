@@ -0,0 +1,167 @@
+/**
+ * Marketing Machine - Content Variant Generator Tests
+ * X threads, blog posts, newsletter sections and carousel scripts repurposed from hooks
+ */
+
+const { query, transaction } = require('../src/config/database');
+const VariantGenerator = require('../src/services/ai/variantGenerator');
+const FakeProvider = require('../src/services/ai/providers/fakeProvider');
+const { tweetLength } = require('../src/services/ai/responseSchemas');
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK')
+  }
+}));
+
+describe('VariantGenerator', () => {
+  const companyProfile = {
+    id: 1,
+    name: 'Acme',
+    industry: 'Logistics',
+    brand_voice: { tone: ['direct'], prohibited_terms: ['synergy'] },
+    content_pillars: ['Operations'],
+    icp: {}
+  };
+  const hook = {
+    id: 7,
+    hook_text: 'Late trucks cost more than fuel',
+    hook_type: 'pain_point',
+    source_quote: 'late trucks cost us more than fuel last year',
+    tweet_version: 'Late trucks cost more than fuel. Here is why.',
+    blog_title: 'The Real Cost of Late Trucks'
+  };
+  const newsletter = {
+    subject_line: 'Your trucks are late',
+    preview_text: 'And it costs more than fuel',
+    headline: 'Late trucks, real money',
+    body: 'Every late truck costs you a dock slot.',
+    cta_text: 'Reply with your worst week'
+  };
+
+  /**
+   * Generator whose provider answers each call with the next reply
+   */
+  function generatorReplying(...replies) {
+    return new VariantGenerator({
+      provider: new FakeProvider({ task: 'posts', respond: (request, callNumber) => replies[callNumber - 1] })
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('generateVariants', () => {
+    it('should build the prompt from the hook, brand voice and the hook\'s own tweet', async () => {
+      const variantGenerator = generatorReplying({ tweets: ['Late trucks cost more than fuel.', 'Ask us how.'] });
+
+      await variantGenerator.generateVariants([hook], ['x_thread'], companyProfile);
+
+      const { prompt } = variantGenerator.provider.requests[0];
+      expect(prompt).toContain('Hook: "Late trucks cost more than fuel"');
+      expect(prompt).toContain('STARTING TWEET (from the hook): "Late trucks cost more than fuel. Here is why."');
+      expect(prompt).toContain('Match brand voice tone: direct');
+      expect(prompt).toContain('Avoid prohibited terms: synergy');
+      expect(prompt).toContain('Each tweet at most 274 characters');
+    });
+
+    it('should number threads and repair tweets over the character limit', async () => {
+      const variantGenerator = generatorReplying(
+        { tweets: ['Late trucks cost more than fuel.', 'x'.repeat(300), 'What did yours cost?'] },
+        { tweets: ['Late trucks cost more than fuel.', 'Each one misses a dock slot.', 'What did yours cost?'] }
+      );
+      const validation = [];
+
+      const [variant] = await variantGenerator.generateVariants([hook], ['x_thread'], companyProfile, { validation });
+
+      expect(variant.content.tweets).toEqual([
+        '1/3 Late trucks cost more than fuel.',
+        '2/3 Each one misses a dock slot.',
+        '3/3 What did yours cost?'
+      ]);
+      expect(variant.content.tweets.every(tweet => tweetLength(tweet) <= 280)).toBe(true);
+      expect(variant).toMatchObject({ hookId: 7, format: 'x_thread', prompt_version: 'x_thread@1' });
+      expect(validation).toEqual([{
+        target: 'x_thread',
+        hook_id: 7,
+        attempt: 1,
+        errors: ['tweets.1: is 300 characters, must be at most 274'],
+        repaired: true
+      }]);
+    });
+
+    it('should generate each requested format for each hook', async () => {
+      const variantGenerator = generatorReplying(
+        newsletter,
+        {
+          title: 'Late trucks',
+          slides: [
+            { headline: 'Late trucks cost more than fuel', body: '', visual: 'A truck and a clock' },
+            { headline: 'Every delay misses a dock slot', body: 'Rebooking costs a day.' },
+            { headline: 'Dock slots are booked by the hour', body: 'Miss one and you wait for the next.' },
+            { headline: 'Drivers run out of hours', body: 'A late start becomes an overnight stop.' },
+            { headline: 'Customers notice first', body: 'Late freight means late shelves.' },
+            { headline: 'Track arrivals, not departures', body: 'Ask us how.' }
+          ],
+          caption: 'What did your last late truck cost?'
+        }
+      );
+
+      const variants = await variantGenerator.generateVariants([hook], ['newsletter', 'carousel_script'], companyProfile);
+
+      expect(variants.map(variant => variant.format)).toEqual(['newsletter', 'carousel_script']);
+      expect(variants[0].text).toBe(
+        'Subject: Your trucks are late\n\nPreview: And it costs more than fuel\n\nLate trucks, real money\n\n' +
+        'Every late truck costs you a dock slot.\n\nReply with your worst week'
+      );
+      expect(variants[1].text).toContain('Slide 1: Late trucks cost more than fuel\nVisual: A truck and a clock');
+      expect(variants[1].text).toContain('Caption:\nWhat did your last late truck cost?');
+    });
+
+    it('should reject unknown formats', async () => {
+      await expect(new VariantGenerator().generateVariants([hook], ['tiktok_script'], companyProfile))
+        .rejects.toThrow('Unknown content formats: tiktok_script');
+    });
+  });
+
+  describe('prepareEdit', () => {
+    it('should renumber edited threads and keep them within the limit', () => {
+      const variantGenerator = new VariantGenerator();
+
+      expect(variantGenerator.prepareEdit('x_thread', { tweets: ['1/3 First', '2/3 Second'] })).toEqual({
+        errors: [],
+        content: { tweets: ['1/2 First', '2/2 Second'] },
+        text: '1/2 First\n\n2/2 Second'
+      });
+      expect(variantGenerator.prepareEdit('x_thread', { tweets: ['First', 'y'.repeat(290)] }).errors)
+        .toEqual(['tweets.1: is 290 characters, must be at most 274']);
+      expect(variantGenerator.prepareEdit('newsletter', { ...newsletter, subject_line: 's'.repeat(70) }).errors)
+        .toEqual(['subject_line: must NOT have more than 60 characters']);
+    });
+  });
+
+  describe('storeVariants', () => {
+    it('should store variants by format, pending approval', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 3 }] }) };
+      transaction.mockImplementation(callback => callback(client));
+      const variant = new VariantGenerator().processVariant('newsletter', newsletter, hook);
+
+      const stored = await new VariantGenerator().storeVariants([{ ...variant, hookId: 7 }], 1);
+
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO content_variants');
+      expect(sql).toContain("'pending_approval'");
+      expect(params.slice(0, 3)).toEqual([1, 7, 'newsletter']);
+      expect(JSON.parse(params[3])).toEqual(newsletter);
+      expect(stored).toEqual([{ id: 3 }]);
+    });
+  });
+});
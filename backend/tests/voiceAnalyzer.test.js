@@ -0,0 +1,197 @@
+/**
+ * Marketing Machine - Brand Voice Analyzer Tests
+ * Importing past posts, measuring writing habits, proposing a profile and few-shot examples
+ */
+
+const { query, transaction } = require('../src/config/database');
+const {
+  parseCsv,
+  parsePosts,
+  measureHabits,
+  analyzeVoice,
+  acceptAnalysis,
+  getVoiceExamples
+} = require('../src/services/ai/voiceAnalyzer');
+const PostGenerator = require('../src/services/ai/postGenerator');
+const FakeProvider = require('../src/services/ai/providers/fakeProvider');
+const { ValidationError } = require('../src/middleware/errorHandler');
+
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+jest.mock('../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK')
+  }
+}));
+
+/**
+ * Past posts in a consistent voice: numbered openings, a closing question, two trailing hashtags
+ * @param {number} count - Number of posts
+ * @returns {Array<string>} Posts
+ */
+function pastPosts(count) {
+  return Array.from({ length: count }, (_, index) =>
+    `${index + 3} dock appointments slipped last week.\n\nEvery missed slot pushes freight into overtime. ` +
+    `We tracked carrier arrivals for ${index + 10} days and the pattern was obvious.\n\n` +
+    `What does a missed dock slot cost you? 🚚\n\n#Logistics #Freight`
+  );
+}
+
+describe('Brand Voice Analyzer', () => {
+  const companyProfile = {
+    id: 1,
+    name: 'Acme',
+    industry: 'Logistics',
+    brand_voice: { tone: ['professional'], prohibited_terms: ['cheap'], linter: { max_exclamation_marks: 0 } },
+    content_pillars: ['Operations'],
+    icp: {}
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('parsePosts', () => {
+    it('should read LinkedIn Shares.csv exports with quoted multi-line commentary', () => {
+      const rows = pastPosts(21).map((post, index) =>
+        `2024-03-${String(index + 1).padStart(2, '0')} 09:00:00,https://lnkd.in/${index},"${post.replace(/"/g, '""')}",,,MEMBER_NETWORK`
+      );
+      const csv = [
+        '\uFEFFDate,ShareLink,ShareCommentary,SharedUrl,MediaUrl,Visibility',
+        ...rows,
+        '2024-04-01 09:00:00,https://lnkd.in/reshare,"",https://example.com,,MEMBER_NETWORK'
+      ].join('\r\n');
+
+      const { posts, skipped } = parsePosts({ source: 'linkedin_export', csv });
+
+      expect(posts).toHaveLength(21);
+      expect(skipped).toBe(1);
+      expect(posts[0]).toMatchObject({ content: pastPosts(1)[0], published_at: expect.stringMatching(/^2024-03-01/) });
+      expect(parseCsv('a,"b ""quoted"", c"\n1,2')).toEqual([['a', 'b "quoted", c'], ['1', '2']]);
+    });
+
+    it('should split pasted posts and require at least 20', () => {
+      const text = pastPosts(25).join('\n---\n');
+
+      expect(parsePosts({ source: 'paste', text }).posts).toHaveLength(25);
+      expect(() => parsePosts({ source: 'paste', text: pastPosts(5).join('\n\n\n') })).toThrow(ValidationError);
+      expect(() => parsePosts({ source: 'csv', csv: 'Date,Link\n2024-01-01,x' })).toThrow(/post text column/);
+    });
+
+    it('should keep the 100 most recent posts', () => {
+      const posts = pastPosts(120).map((content, index) => ({
+        content,
+        published_at: new Date(Date.UTC(2024, 0, 1) + index * 86400000).toISOString()
+      }));
+
+      const parsed = parsePosts({ posts });
+
+      expect(parsed.posts).toHaveLength(100);
+      expect(parsed.truncated).toBe(true);
+      expect(parsed.posts[0].content).toBe(posts[119].content);
+    });
+  });
+
+  describe('measureHabits', () => {
+    it('should measure openings, emoji and hashtag habits, vocabulary and taboo words', () => {
+      const { posts } = parsePosts({ posts: pastPosts(20) });
+
+      const habits = measureHabits(posts);
+
+      expect(habits.hook_patterns[0]).toEqual({ pattern: 'list', share: 1 });
+      expect(habits.questions).toBe(1);
+      expect(habits.emojis).toMatchObject({ posts_with: 1, per_post: 1, favourites: ['🚚'] });
+      expect(habits.hashtags).toMatchObject({ per_post: 2, placement: 'end', favourites: ['#logistics', '#freight'] });
+      expect(habits.vocabulary).toEqual(expect.arrayContaining(['dock', 'freight', 'slot']));
+      expect(habits.taboo_words).toContain('synergy');
+    });
+  });
+
+  describe('analyzeVoice', () => {
+    it('should propose a profile from the model and the measured habits', async () => {
+      const provider = new FakeProvider({
+        task: 'posts',
+        respond: () => ({
+          tone: ['direct', 'data-driven'],
+          content_pillars: ['Dock scheduling', 'Carrier performance', 'Overtime costs'],
+          style_summary: 'Open with a number, explain what it cost, close with a question.'
+        })
+      });
+      const posts = pastPosts(20).map((content, index) => ({ content, reactions: index, comments: 0 }));
+
+      const analysis = await analyzeVoice({ posts }, companyProfile, { provider });
+
+      const { prompt } = provider.requests[0];
+      expect(prompt).toContain("THE COMPANY'S LAST 20 LINKEDIN POSTS:\n--- Post 1 ---\n3 dock appointments");
+      expect(prompt).toContain('- Openings: list 100%');
+
+      expect(analysis.proposal.content_pillars).toEqual(['Dock scheduling', 'Carrier performance', 'Overtime costs']);
+      expect(analysis.proposal.brand_voice).toMatchObject({
+        tone: ['direct', 'data-driven'],
+        hook_patterns: ['list'],
+        emoji_usage: 'sparing',
+        hashtag_habits: { per_post: 2, placement: 'end' },
+        linter: { max_exclamation_marks: 0, max_emojis: 1, max_hashtags: 2 }
+      });
+      expect(analysis.proposal.brand_voice.prohibited_terms).toEqual(expect.arrayContaining(['cheap', 'synergy']));
+      expect(analysis.metadata).toMatchObject({ inferred_by: 'model', prompt_version: 'voice_analysis@1', llm_provider: 'fake' });
+
+      // Most reactions first
+      expect(analysis.posts[19].example_rank).toBe(1);
+      expect(analysis.posts.filter(post => post.example_rank)).toHaveLength(5);
+    });
+
+    it('should fall back to the measured habits when the model answer is invalid', async () => {
+      const provider = new FakeProvider({ task: 'posts', respond: () => ({ tone: 'direct' }) });
+
+      const analysis = await analyzeVoice({ posts: pastPosts(20) }, companyProfile, { provider });
+
+      expect(analysis.metadata.inferred_by).toBe('habits');
+      expect(analysis.proposal.brand_voice.tone).toContain('data-driven');
+      expect(analysis.proposal.content_pillars).toEqual(expect.arrayContaining(['logistics', 'freight']));
+    });
+  });
+
+  describe('acceptAnalysis', () => {
+    it('should save the edited profile to the company', async () => {
+      const client = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 4, status: 'proposed', proposal: { brand_voice: { tone: ['direct'] }, content_pillars: ['Docks'] } }] })
+          .mockResolvedValue({ rows: [] })
+      };
+      transaction.mockImplementation(callback => callback(client));
+
+      const accepted = await acceptAnalysis(4, 1, 9, { content_pillars: ['Dock scheduling'] });
+
+      expect(accepted).toEqual({ analysis_id: 4, brand_voice: { tone: ['direct'] }, content_pillars: ['Dock scheduling'] });
+      expect(client.query.mock.calls[1][1]).toEqual(['{"tone":["direct"]}', '["Dock scheduling"]', 1]);
+      expect(client.query.mock.calls[2][1]).toEqual([
+        '{"brand_voice":{"tone":["direct"]},"content_pillars":["Dock scheduling"]}', true, 9, 4
+      ]);
+
+      await expect(acceptAnalysis(4, 1, 9, { content_pillars: 'Docks' })).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('few-shot examples', () => {
+    it('should show the accepted analysis examples in the post prompt', async () => {
+      query.mockResolvedValueOnce({ rows: [{ id: 11, post_content: pastPosts(1)[0] }] });
+
+      const examples = await getVoiceExamples(1);
+      const prompt = new PostGenerator().buildPostPrompt(
+        { hook_text: 'Late trucks cost more than fuel', source_quote: 'late trucks' },
+        companyProfile,
+        { examples }
+      );
+
+      expect(query.mock.calls[0][1]).toEqual([1, 3]);
+      expect(prompt).toContain('POSTS WE HAVE PUBLISHED (match their voice, rhythm and formatting, not their topics):\n\n--- Example 1 ---\n3 dock appointments');
+      expect(new PostGenerator().buildPostPrompt({ hook_text: 'x' }, companyProfile)).not.toContain('POSTS WE HAVE PUBLISHED');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Marketing Machine - Webhook Filter Tests
+ * Rule evaluation that decides which meetings get processed
+ */
+
+const { evaluateFilters, validateFilters } = require('../src/services/webhook/webhookFilters');
+
+const customerCall = {
+  title: 'Acme discovery call',
+  metadata: {
+    duration: 42,
+    participants: [
+      { name: 'Sam Rivera', email: 'sam@ourco.com' },
+      { name: 'Dana', email: 'Dana@Acme.com' }
+    ],
+    meeting_type: 'customer_call'
+  }
+};
+
+const standup = {
+  title: 'Daily Standup',
+  metadata: {
+    duration_seconds: 600,
+    participants: ['sam@ourco.com', 'lee@ourco.com']
+  }
+};
+
+describe('Webhook Filters', () => {
+  describe('evaluateFilters', () => {
+    it('should pass everything when no filters are configured', () => {
+      expect(evaluateFilters(standup, {})).toEqual({ passed: true });
+      expect(evaluateFilters(standup, null)).toEqual({ passed: true });
+    });
+
+    it('should reject meetings shorter than the minimum duration', () => {
+      const result = evaluateFilters(standup, { min_duration_minutes: 15 });
+
+      expect(result).toEqual({
+        passed: false,
+        rule: 'min_duration_minutes',
+        reason: 'Meeting lasted 10 minutes (minimum 15)'
+      });
+      expect(evaluateFilters(customerCall, { min_duration_minutes: 15 }).passed).toBe(true);
+    });
+
+    it('should skip the duration rule when the payload has no duration', () => {
+      expect(evaluateFilters({ title: 'Call', metadata: {} }, { min_duration_minutes: 15 }).passed).toBe(true);
+    });
+
+    it('should require participants and domains', () => {
+      expect(evaluateFilters(customerCall, { required_participants: ['sam@ourco.com'] }).passed).toBe(true);
+      expect(evaluateFilters(customerCall, { required_participants: ['Dana'] }).passed).toBe(true);
+
+      const missing = evaluateFilters(customerCall, { required_participants: ['ceo@ourco.com'] });
+      expect(missing.rule).toBe('required_participants');
+      expect(missing.reason).toBe('Required participants missing: ceo@ourco.com');
+
+      expect(evaluateFilters(customerCall, { required_domains: ['@acme.com'] }).passed).toBe(true);
+      expect(evaluateFilters(standup, { required_domains: ['acme.com'] }).rule).toBe('required_domains');
+    });
+
+    it('should apply title include and exclude patterns', () => {
+      const filters = { title_include: ['/discovery|demo/i'], title_exclude: ['standup', '1:1'] };
+
+      expect(evaluateFilters(customerCall, filters).passed).toBe(true);
+
+      const result = evaluateFilters({ ...standup, title: 'Demo standup' }, filters);
+      expect(result.rule).toBe('title_exclude');
+      expect(result.reason).toBe('Title "Demo standup" matches exclude pattern "standup"');
+
+      expect(evaluateFilters(standup, filters).rule).toBe('title_include');
+    });
+
+    it('should match meeting-type tags', () => {
+      expect(evaluateFilters(customerCall, { meeting_types: ['Customer_Call'] }).passed).toBe(true);
+      expect(evaluateFilters(customerCall, { exclude_meeting_types: ['customer_call'] }).rule)
+        .toBe('exclude_meeting_types');
+      expect(evaluateFilters(standup, { meeting_types: ['customer_call'] }).reason)
+        .toBe('Meeting has no type tag (expected customer_call)');
+    });
+
+    it('should tell internal meetings from customer-facing ones', () => {
+      const filters = { audience: 'customer_facing', internal_domains: ['ourco.com'] };
+
+      expect(evaluateFilters(customerCall, filters).passed).toBe(true);
+
+      const result = evaluateFilters(standup, filters);
+      expect(result.rule).toBe('audience');
+      expect(result.reason).toBe('Internal-only meeting (all participants are from internal domains)');
+
+      expect(evaluateFilters(customerCall, { ...filters, audience: 'internal' }).passed).toBe(false);
+    });
+
+    it('should report the first failing rule', () => {
+      const result = evaluateFilters(standup, {
+        min_duration_minutes: 30,
+        title_exclude: ['standup']
+      });
+
+      expect(result.rule).toBe('min_duration_minutes');
+    });
+  });
+
+  describe('validateFilters', () => {
+    it('should accept valid filters', () => {
+      expect(validateFilters({
+        min_duration_minutes: 20,
+        title_exclude: ['standup'],
+        audience: 'customer_facing',
+        internal_domains: ['ourco.com']
+      })).toEqual([]);
+    });
+
+    it('should report invalid filters', () => {
+      expect(validateFilters({
+        min_duration: 20,
+        min_duration_minutes: -1,
+        title_include: ['/(unclosed/'],
+        audience: 'customer_facing'
+      })).toEqual([
+        'Unknown filter "min_duration"',
+        'min_duration_minutes: must be a non-negative number',
+        'title_include: invalid pattern /(unclosed/',
+        'audience: internal_domains are required to tell internal and customer-facing meetings apart'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Marketing Machine - Webhook Replay Tests
+ * Replaying stored deliveries through mapping, filters and hook generation
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { query, transaction } = require('../src/config/database');
+const { addContentJob } = require('../src/config/queue');
+const { replayDelivery, replayFailedDeliveries } = require('../src/services/webhook/webhookReplay');
+const { ValidationError, NotFoundError } = require('../src/middleware/errorHandler');
+const webhookRoutes = require('../src/routes/webhooks');
+
+// Mock database queries
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+// Mock job queue
+jest.mock('../src/config/queue', () => ({
+  addContentJob: jest.fn()
+}));
+
+const deliveryRow = {
+  id: 99,
+  payload: {
+    meeting_id: 'read-123',
+    title: 'Pricing workshop',
+    transcript: 'We walked through how customers compare our tiers.'
+  },
+  headers: { 'content-type': 'application/json' },
+  status: 'failed',
+  signature_verified: true,
+  replay_count: 0,
+  config_id: 7,
+  company_id: 42,
+  config_name: 'Read.ai',
+  source_type: 'read.ai',
+  config_status: 'active',
+  payload_mapping: {},
+  filters: {}
+};
+
+/**
+ * Route mocked queries by SQL so the test does not depend on call order
+ */
+function mockQueries({ delivery = deliveryRow, existing = null, replayable = [] } = {}) {
+  query.mockImplementation(async (sql) => {
+    if (sql.includes('JOIN webhook_configs wc ON wc.id = wd.webhook_config_id') && sql.includes('wd.payload')) {
+      return { rows: delivery ? [delivery] : [] };
+    }
+    if (sql.includes("wd.status = 'failed'")) {
+      return { rows: replayable.map(id => ({ id })) };
+    }
+    if (sql.includes('FROM content_sources cs')) {
+      return { rows: existing ? [existing] : [] };
+    }
+    return { rows: [] };
+  });
+}
+
+describe('Webhook Replay', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [{ id: 501, uuid: 'content-uuid' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 601, uuid: 'batch-uuid' }] })
+    };
+    transaction.mockImplementation(async (callback) => callback(client));
+    addContentJob.mockResolvedValue({ id: 'job-1' });
+  });
+
+  describe('replayDelivery', () => {
+    it('should re-run ingestion from the stored payload', async () => {
+      mockQueries();
+
+      const result = await replayDelivery(99, 42);
+
+      expect(result).toEqual({
+        deliveryId: 99,
+        outcome: 'ingested',
+        contentSourceId: 501,
+        processingBatchId: 601
+      });
+
+      const [, contentParams] = client.query.mock.calls[0];
+      expect(contentParams[0]).toBe(42);
+      expect(contentParams[6]).toBe('read-123');
+      expect(addContentJob).toHaveBeenCalledWith('generate-hooks', { contentSourceId: 501, companyId: 42 });
+
+      const replayCall = query.mock.calls.find(([sql]) => sql.includes('replay_count = COALESCE'));
+      expect(replayCall[1]).toEqual([99]);
+    });
+
+    it('should not create a second content source for the same meeting', async () => {
+      mockQueries({ existing: { id: 300, hooks_generated: '0', processing_batch_id: 400 } });
+
+      const result = await replayDelivery(99, 42);
+
+      expect(result).toEqual({ deliveryId: 99, outcome: 'duplicate', contentSourceId: 300, hooksQueued: true });
+      expect(transaction).not.toHaveBeenCalled();
+      // Stored meeting never got hooks, so generation is queued again
+      expect(addContentJob).toHaveBeenCalledWith('generate-hooks', { contentSourceId: 300, companyId: 42 });
+    });
+
+    it('should not regenerate hooks for a meeting that already has them', async () => {
+      mockQueries({ existing: { id: 300, hooks_generated: '5', processing_batch_id: 400 } });
+
+      const result = await replayDelivery(99, 42);
+
+      expect(result.outcome).toBe('duplicate');
+      expect(result.hooksQueued).toBe(false);
+      expect(addContentJob).not.toHaveBeenCalled();
+    });
+
+    it('should apply the current filter rules', async () => {
+      mockQueries({ delivery: { ...deliveryRow, filters: { title_exclude: ['workshop'] } } });
+
+      const result = await replayDelivery(99, 42);
+
+      expect(result.outcome).toBe('filtered');
+      expect(result.rule).toBe('title_exclude');
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    it('should refuse deliveries that never passed signature verification', async () => {
+      mockQueries({ delivery: { ...deliveryRow, signature_verified: false } });
+
+      await expect(replayDelivery(99, 42)).rejects.toBeInstanceOf(ValidationError);
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    it('should refuse deliveries of paused or disabled webhooks', async () => {
+      mockQueries({ delivery: { ...deliveryRow, config_status: 'paused' } });
+
+      await expect(replayDelivery(99, 42)).rejects.toThrow('Webhook is paused; activate it before replaying its deliveries');
+      expect(query.mock.calls.some(([sql]) => sql.includes('replay_count = COALESCE'))).toBe(false);
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    it('should not find deliveries of other companies', async () => {
+      mockQueries({ delivery: null });
+
+      await expect(replayDelivery(99, 1)).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+
+  describe('replayFailedDeliveries', () => {
+    it('should replay each failed delivery and summarize outcomes', async () => {
+      mockQueries({ replayable: [99, 100] });
+      transaction
+        .mockImplementationOnce(async (callback) => callback(client))
+        .mockRejectedValueOnce(new Error('Database unavailable'));
+
+      const result = await replayFailedDeliveries(42, { configId: 7, limit: 500 });
+
+      expect(result.replayed).toBe(2);
+      expect(result.summary).toEqual({ ingested: 1, failed: 1 });
+
+      const listCall = query.mock.calls.find(([sql]) => sql.includes("wd.status = 'failed'"));
+      expect(listCall[1]).toEqual([42, 7, null, 200]);
+      expect(listCall[0]).toContain("wc.status = 'active'");
+    });
+  });
+
+  describe('replay route', () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 3, companyId: 42 };
+      next();
+    });
+    app.use('/api/webhooks', webhookRoutes);
+
+    it('should reject delivery IDs that are not integers', async () => {
+      const response = await request(app).post('/api/webhooks/deliveries/latest/replay');
+
+      expect(response.status).toBe(400);
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should answer 400 for deliveries of inactive webhooks', async () => {
+      mockQueries({ delivery: { ...deliveryRow, config_status: 'disabled' } });
+
+      const response = await request(app).post('/api/webhooks/deliveries/99/replay');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Webhook is disabled; activate it before replaying its deliveries');
+    });
+  });
+});
@@ -0,0 +1,446 @@
+/**
+ * Marketing Machine - Webhook Server Tests
+ * Per-company webhook routing by ingest token
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { query, transaction } = require('../src/config/database');
+const { addContentJob } = require('../src/config/queue');
+const { createWebhookApp } = require('../src/services/webhook/webhookServer');
+const { computeContentHash } = require('../src/services/webhook/contentDedup');
+
+// Mock database queries
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+// Mock job queue
+jest.mock('../src/config/queue', () => ({
+  addContentJob: jest.fn()
+}));
+
+const SECRET = 'test-secret-key';
+
+const mockConfig = {
+  id: 7,
+  uuid: 'config-uuid',
+  company_id: 42,
+  name: 'Sales calls',
+  source_type: 'custom',
+  status: 'active',
+  secret_key: SECRET,
+  signature_header: 'x-webhook-signature',
+  payload_mapping: {},
+  filters: {}
+};
+
+const payload = {
+  title: 'Quarterly planning',
+  transcript: 'We discussed the roadmap and customer feedback in detail.'
+};
+
+function sign(body, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * Route mocked queries by SQL so the test does not depend on call order
+ */
+function mockQueries(config = mockConfig) {
+  query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM webhook_configs')) {
+      return { rows: config ? [config] : [] };
+    }
+    if (sql.includes('INSERT INTO webhook_deliveries')) {
+      return { rows: [{ id: 99 }] };
+    }
+    return { rows: [] };
+  });
+}
+
+describe('Webhook Server', () => {
+  let app;
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    app = createWebhookApp();
+
+    client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [{ id: 501, uuid: 'content-uuid' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 601, uuid: 'batch-uuid' }] })
+    };
+    transaction.mockImplementation(async (callback) => callback(client));
+    addContentJob.mockResolvedValue({ id: 'job-1' });
+  });
+
+  describe('POST /webhook/:source/:token', () => {
+    it('should store content under the company that owns the config', async () => {
+      mockQueries();
+
+      const response = await request(app)
+        .post('/webhook/meeting-recorder/abcdef0123456789')
+        .set('X-Webhook-Signature', `sha256=${sign(payload)}`)
+        .send(payload)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.contentSourceId).toBe(501);
+
+      // Content source is inserted for the config's company, not a default
+      const [, contentParams] = client.query.mock.calls[0];
+      expect(contentParams[0]).toBe(42);
+      expect(JSON.parse(contentParams[5])).toMatchObject({
+        webhook_config_id: 7,
+        webhook_delivery_id: 99
+      });
+
+      expect(addContentJob).toHaveBeenCalledWith('generate-hooks', {
+        contentSourceId: 501,
+        companyId: 42
+      });
+
+      const processedCall = query.mock.calls.find(([sql]) => sql.includes("status = 'processed'"));
+      expect(processedCall[1][0]).toBe(99);
+      expect(processedCall[1][1]).toBe(501);
+    });
+
+    it('should return 404 for an unknown token', async () => {
+      mockQueries(null);
+
+      await request(app)
+        .post('/webhook/meeting-recorder/unknowntoken123')
+        .send(payload)
+        .expect(404);
+
+      expect(transaction).not.toHaveBeenCalled();
+      expect(query.mock.calls.some(([sql]) => sql.includes('INSERT INTO webhook_deliveries'))).toBe(false);
+    });
+
+    it('should reject and log deliveries with an invalid signature', async () => {
+      mockQueries();
+
+      await request(app)
+        .post('/webhook/meeting-recorder/abcdef0123456789')
+        .set('X-Webhook-Signature', sign(payload, 'wrong-secret'))
+        .send(payload)
+        .expect(401);
+
+      expect(transaction).not.toHaveBeenCalled();
+
+      const failedCall = query.mock.calls.find(([sql]) => sql.includes("status = 'failed'"));
+      expect(failedCall[1]).toEqual([99, '{}', 'Invalid signature', null]);
+    });
+
+    it('should require a signature when the config has a secret', async () => {
+      mockQueries();
+
+      await request(app)
+        .post('/webhook/meeting-recorder/abcdef0123456789')
+        .send(payload)
+        .expect(401);
+    });
+
+    it('should read the signature from the configured header', async () => {
+      mockQueries({ ...mockConfig, signature_header: 'x-custom-sig' });
+
+      await request(app)
+        .post('/webhook/meeting-recorder/abcdef0123456789')
+        .set('X-Custom-Sig', sign(payload))
+        .send(payload)
+        .expect(200);
+    });
+
+    it('should refuse deliveries for paused configs', async () => {
+      mockQueries({ ...mockConfig, status: 'paused' });
+
+      await request(app)
+        .post('/webhook/meeting-recorder/abcdef0123456789')
+        .set('X-Webhook-Signature', sign(payload))
+        .send(payload)
+        .expect(403);
+
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    it('should extract content with the config payload mapping', async () => {
+      mockQueries({
+        ...mockConfig,
+        payload_mapping: {
+          title: '$.meeting.name',
+          content: { turns: '$.turns[*]', speaker: 'who', text: 'said' }
+        }
+      });
+      const recorderPayload = {
+        meeting: { name: 'Gong call' },
+        turns: [{ who: 'Ana', said: 'Pricing is the blocker.' }, { who: 'Raj', said: 'Let us fix that.' }]
+      };
+
+      await request(app)
+        .post('/webhook/meeting-recorder/abcdef0123456789')
+        .set('X-Webhook-Signature', sign(recorderPayload))
+        .send(recorderPayload)
+        .expect(200);
+
+      const [, contentParams] = client.query.mock.calls[0];
+      expect(contentParams[2]).toBe('Gong call');
+      expect(contentParams[3]).toBe('Ana: Pricing is the blocker.\nRaj: Let us fix that.');
+    });
+
+    it('should skip and log deliveries rejected by filter rules', async () => {
+      mockQueries({ ...mockConfig, filters: { title_exclude: ['planning'] } });
+
+      const response = await request(app)
+        .post('/webhook/meeting-recorder/abcdef0123456789')
+        .set('X-Webhook-Signature', sign(payload))
+        .send(payload)
+        .expect(200);
+
+      expect(response.body.processed).toBe(false);
+      expect(response.body.filter.rule).toBe('title_exclude');
+      expect(transaction).not.toHaveBeenCalled();
+      expect(addContentJob).not.toHaveBeenCalled();
+
+      const filteredCall = query.mock.calls.find(([sql]) => sql.includes("status = 'filtered'"));
+      expect(JSON.parse(filteredCall[1][1])).toEqual({
+        filtered_by: 'title_exclude',
+        reason: 'Title "Quarterly planning" matches exclude pattern "planning"'
+      });
+    });
+
+    it('should resolve a repeated meeting to the original content source', async () => {
+      query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM webhook_configs')) return { rows: [{ ...mockConfig, source_type: 'read.ai' }] };
+        if (sql.includes('INSERT INTO webhook_deliveries')) return { rows: [{ id: 99 }] };
+        if (sql.includes('FROM content_sources cs')) {
+          return { rows: [{ id: 300, hooks_generated: '4', processing_batch_id: 400 }] };
+        }
+        return { rows: [] };
+      });
+      const meetingPayload = { ...payload, meeting_id: 'read-123' };
+
+      const response = await request(app)
+        .post('/webhook/read-ai/abcdef0123456789')
+        .set('X-Webhook-Signature', sign(meetingPayload))
+        .send(meetingPayload)
+        .expect(200);
+
+      expect(response.body.duplicate).toBe(true);
+      expect(response.body.contentSourceId).toBe(300);
+      expect(transaction).not.toHaveBeenCalled();
+      expect(addContentJob).not.toHaveBeenCalled();
+
+      const lookup = query.mock.calls.find(([sql]) => sql.includes('FROM content_sources cs'));
+      expect(lookup[1]).toEqual([42, 'read.ai', 'read-123', computeContentHash(payload.transcript)]);
+    });
+
+    it('should store and flag transcripts that overlap heavily with recent content', async () => {
+      query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM webhook_configs')) return { rows: [mockConfig] };
+        if (sql.includes('INSERT INTO webhook_deliveries')) return { rows: [{ id: 99 }] };
+        if (sql.includes('similarity(')) return { rows: [{ id: 300, similarity: 0.9134 }] };
+        return { rows: [] };
+      });
+
+      const response = await request(app)
+        .post('/webhook/meeting-recorder/abcdef0123456789')
+        .set('X-Webhook-Signature', sign(payload))
+        .send(payload)
+        .expect(200);
+
+      expect(response.body.contentSourceId).toBe(501);
+      expect(response.body.nearDuplicateOf).toBe(300);
+
+      const [, contentParams] = client.query.mock.calls[0];
+      expect(contentParams[7]).toBe(computeContentHash(payload.transcript));
+      expect(contentParams[8]).toBe(300);
+      expect(contentParams[9]).toBe(0.913);
+      expect(addContentJob).toHaveBeenCalledWith('generate-hooks', { contentSourceId: 501, companyId: 42 });
+    });
+
+    it('should keep the delivery replayable when hook generation cannot be queued', async () => {
+      mockQueries();
+      addContentJob.mockRejectedValue(new Error('Redis unavailable'));
+
+      const response = await request(app)
+        .post('/webhook/meeting-recorder/abcdef0123456789')
+        .set('X-Webhook-Signature', sign(payload))
+        .send(payload)
+        .expect(200);
+
+      expect(response.body.contentSourceId).toBe(501);
+
+      const failedCall = query.mock.calls.find(([sql]) => sql.includes("status = 'failed'"));
+      expect(failedCall[1][2]).toBe('Content stored but hook generation could not be queued');
+      expect(failedCall[1][3]).toBe(501);
+    });
+
+    it('should mark the delivery failed when the payload has no content', async () => {
+      mockQueries();
+      const emptyPayload = { title: 'Nothing here' };
+
+      await request(app)
+        .post('/webhook/meeting-recorder/abcdef0123456789')
+        .set('X-Webhook-Signature', sign(emptyPayload))
+        .send(emptyPayload)
+        .expect(400);
+
+      const failedCall = query.mock.calls.find(([sql]) => sql.includes("status = 'failed'"));
+      expect(failedCall[1][2]).toBe('No content found in webhook payload');
+    });
+  });
+
+  describe('Zoom configs', () => {
+    const zoomConfig = { ...mockConfig, source_type: 'zoom', signature_header: 'x-zm-signature' };
+
+    function zoomHeaders(body, timestamp = String(Math.floor(Date.now() / 1000))) {
+      const signature = 'v0=' + crypto.createHmac('sha256', SECRET)
+        .update(`v0:${timestamp}:${JSON.stringify(body)}`)
+        .digest('hex');
+      return { 'x-zm-request-timestamp': timestamp, 'x-zm-signature': signature };
+    }
+
+    it('should answer the endpoint.url_validation challenge', async () => {
+      mockQueries(zoomConfig);
+      const body = { event: 'endpoint.url_validation', payload: { plainToken: 'abc123' } };
+
+      const response = await request(app)
+        .post('/webhook/zoom/abcdef0123456789')
+        .set(zoomHeaders(body))
+        .send(body)
+        .expect(200);
+
+      expect(response.body).toEqual({
+        plainToken: 'abc123',
+        encryptedToken: crypto.createHmac('sha256', SECRET).update('abc123').digest('hex')
+      });
+    });
+
+    it('should queue the transcript download for recording.completed', async () => {
+      mockQueries(zoomConfig);
+      const body = {
+        event: 'recording.completed',
+        download_token: 'download-token',
+        payload: {
+          object: {
+            id: 8123,
+            topic: 'Customer advisory board',
+            recording_files: [
+              { id: 'vtt', file_type: 'TRANSCRIPT', download_url: 'https://zoom.us/rec/download/vtt' }
+            ]
+          }
+        }
+      };
+
+      const response = await request(app)
+        .post('/webhook/zoom/abcdef0123456789')
+        .set(zoomHeaders(body))
+        .send(body)
+        .expect(200);
+
+      expect(response.body.processed).toBe(false);
+      expect(transaction).not.toHaveBeenCalled();
+      expect(addContentJob).toHaveBeenCalledWith('fetch-zoom-transcript', expect.objectContaining({
+        downloadUrl: 'https://zoom.us/rec/download/vtt',
+        downloadToken: 'download-token',
+        companyId: 42,
+        deliveryId: 99
+      }), expect.objectContaining({ backoff: expect.any(Object) }));
+    });
+
+    it('should reject signed requests older than five minutes', async () => {
+      mockQueries(zoomConfig);
+      const body = { event: 'recording.completed', payload: { object: { id: 8123, recording_files: [] } } };
+      const staleTimestamp = String(Math.floor(Date.now() / 1000) - 301);
+
+      await request(app)
+        .post('/webhook/zoom/abcdef0123456789')
+        .set(zoomHeaders(body, staleTimestamp))
+        .send(body)
+        .expect(401);
+
+      expect(addContentJob).not.toHaveBeenCalled();
+      const failedCall = query.mock.calls.find(([sql]) => sql.includes("status = 'failed'"));
+      expect(failedCall[1][2]).toBe('Invalid signature');
+    });
+  });
+
+  describe('Legacy endpoints', () => {
+    const readAiPayload = {
+      meeting_id: 'read-123',
+      title: 'Pricing workshop',
+      transcript: 'We walked through how customers compare our tiers.'
+    };
+
+    it('should return the original content source when Read.ai retries a delivery', async () => {
+      query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM content_sources cs')) {
+          return { rows: [{ id: 300, matched_on: 'external_id', hooks_generated: '4', processing_batch_id: 400 }] };
+        }
+        return { rows: [] };
+      });
+
+      const response = await request(app)
+        .post('/webhook/read-ai')
+        .send(readAiPayload)
+        .expect(200);
+
+      expect(response.body.duplicate).toBe(true);
+      expect(response.body.contentSourceId).toBe(300);
+      expect(response.body.processingBatchId).toBe(400);
+      expect(transaction).not.toHaveBeenCalled();
+      expect(addContentJob).not.toHaveBeenCalled();
+    });
+
+    it('should store a first Read.ai delivery with its meeting ID and content hash', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      const response = await request(app)
+        .post('/webhook/read-ai')
+        .send(readAiPayload)
+        .expect(200);
+
+      expect(response.body.duplicate).toBe(false);
+      expect(response.body.contentSourceId).toBe(501);
+
+      const [, contentParams] = client.query.mock.calls[0];
+      expect(contentParams[6]).toBe('read-123');
+      expect(contentParams[7]).toBe(computeContentHash(readAiPayload.transcript));
+    });
+
+    it('should match an Otter.ai retry without an ID by its transcript hash', async () => {
+      query.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM content_sources cs') && params[3] === computeContentHash('Hello  team')) {
+          return { rows: [{ id: 310, matched_on: 'content_hash', hooks_generated: '2', processing_batch_id: 410 }] };
+        }
+        return { rows: [] };
+      });
+
+      const response = await request(app)
+        .post('/webhook/otter-ai')
+        .send({ title: 'Standup', transcript_text: 'hello team ' })
+        .expect(200);
+
+      expect(response.body.duplicate).toBe(true);
+      expect(response.body.contentSourceId).toBe(310);
+      expect(transaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /webhook/:source/:token/test', () => {
+    it('should confirm routing without storing content', async () => {
+      mockQueries();
+
+      const response = await request(app)
+        .post('/webhook/meeting-recorder/abcdef0123456789/test')
+        .send({ test: true })
+        .expect(200);
+
+      expect(response.body.webhook.name).toBe('Sales calls');
+      expect(transaction).not.toHaveBeenCalled();
+    });
+  });
+});
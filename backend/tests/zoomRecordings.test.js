@@ -0,0 +1,255 @@
+/**
+ * Marketing Machine - Zoom Recording Tests
+ * Transcript download against a local mock Zoom server
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { query, transaction } = require('../src/config/database');
+const { addContentJob } = require('../src/config/queue');
+const {
+  TranscriptNotReadyError,
+  buildUrlValidationResponse,
+  verifyZoomSignature,
+  isFreshZoomTimestamp,
+  buildTranscriptRequest,
+  downloadTranscript,
+  convertTranscript
+} = require('../src/services/webhook/zoomRecordings');
+const { processZoomTranscriptFetch } = require('../src/services/webhook/queueProcessors');
+
+// Mock database queries
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+// Mock job queue
+jest.mock('../src/config/queue', () => ({
+  addContentJob: jest.fn()
+}));
+
+const DOWNLOAD_TOKEN = 'zoom-download-token';
+
+const SAMPLE_VTT = `WEBVTT
+
+1
+00:00:01.200 --> 00:00:04.000
+Priya Shah: Thanks for joining. Churn dropped 30% after onboarding changes.
+
+2
+00:00:04.500 --> 00:00:07.000
+Priya Shah: Most of it came from the checklist.
+
+3
+00:01:05.000 --> 00:01:09.000
+Tom Lee: That checklist took a weekend to build.
+`;
+
+/**
+ * Local stand-in for Zoom's recording download endpoint
+ */
+function startMockZoomServer() {
+  const app = express();
+  const state = { readyAfter: 0, requests: 0 };
+
+  app.get('/rec/download/:fileId', (req, res) => {
+    state.requests++;
+
+    if (req.headers.authorization !== `Bearer ${DOWNLOAD_TOKEN}`) {
+      return res.status(401).json({ code: 124, message: 'Invalid access token.' });
+    }
+
+    if (state.requests <= state.readyAfter) {
+      return res.status(404).json({ code: 3301, message: 'This recording does not exist.' });
+    }
+
+    res.type('text/vtt').send(SAMPLE_VTT);
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({ server, state, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+describe('Zoom Recordings', () => {
+  let mockZoom;
+
+  beforeAll(async () => {
+    mockZoom = await startMockZoomServer();
+  });
+
+  afterAll(done => {
+    mockZoom.server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockZoom.state.requests = 0;
+    mockZoom.state.readyAfter = 0;
+  });
+
+  describe('webhook security', () => {
+    it('should answer the endpoint.url_validation challenge', () => {
+      const response = buildUrlValidationResponse('plain-token', 'zoom-secret');
+
+      expect(response).toEqual({
+        plainToken: 'plain-token',
+        encryptedToken: crypto.createHmac('sha256', 'zoom-secret').update('plain-token').digest('hex')
+      });
+    });
+
+    it('should verify x-zm-signature headers', () => {
+      const body = JSON.stringify({ event: 'recording.completed' });
+      const signature = 'v0=' + crypto.createHmac('sha256', 'zoom-secret').update(`v0:1700000000:${body}`).digest('hex');
+
+      expect(verifyZoomSignature(body, '1700000000', signature, 'zoom-secret')).toBe(true);
+      expect(verifyZoomSignature(body, '1700000001', signature, 'zoom-secret')).toBe(false);
+      expect(verifyZoomSignature(body, '1700000000', signature, 'other-secret')).toBe(false);
+    });
+
+    it('should only accept timestamps within five minutes', () => {
+      const now = 1700000000 * 1000;
+
+      expect(isFreshZoomTimestamp('1700000000', now)).toBe(true);
+      expect(isFreshZoomTimestamp('1699999700', now)).toBe(true);
+      expect(isFreshZoomTimestamp('1700000300', now)).toBe(true);
+      expect(isFreshZoomTimestamp('1699999699', now)).toBe(false);
+      expect(isFreshZoomTimestamp('1700000301', now)).toBe(false);
+      expect(isFreshZoomTimestamp('1700000000000', now)).toBe(true);
+      expect(isFreshZoomTimestamp('1.7e9', now)).toBe(false);
+      expect(isFreshZoomTimestamp(undefined, now)).toBe(false);
+    });
+  });
+
+  describe('buildTranscriptRequest', () => {
+    it('should pick the transcript file and download token', () => {
+      const request = buildTranscriptRequest({
+        event: 'recording.completed',
+        download_token: DOWNLOAD_TOKEN,
+        payload: {
+          object: {
+            id: 8123,
+            uuid: 'meeting-uuid',
+            topic: 'Customer advisory board',
+            duration: 48,
+            recording_files: [
+              { id: 'mp4', file_type: 'MP4', download_url: 'https://zoom.us/rec/download/mp4' },
+              { id: 'cc', file_type: 'CC', recording_type: 'closed_caption', download_url: 'https://zoom.us/rec/download/cc' },
+              { id: 'vtt', file_type: 'TRANSCRIPT', recording_type: 'audio_transcript', download_url: 'https://zoom.us/rec/download/vtt' }
+            ]
+          }
+        }
+      });
+
+      expect(request.downloadUrl).toBe('https://zoom.us/rec/download/vtt');
+      expect(request.downloadToken).toBe(DOWNLOAD_TOKEN);
+      expect(request.title).toBe('Customer advisory board');
+      expect(request.metadata).toMatchObject({ meeting_id: 8123, duration: 48, transcript_file_id: 'vtt' });
+    });
+
+    it('should return null when the recording has no transcript yet', () => {
+      expect(buildTranscriptRequest({
+        event: 'recording.completed',
+        payload: { object: { recording_files: [{ file_type: 'MP4', download_url: 'https://zoom.us/x' }] } }
+      })).toBeNull();
+    });
+  });
+
+  describe('convertTranscript', () => {
+    it('should turn VTT cues into merged speaker turns', () => {
+      const transcript = convertTranscript(SAMPLE_VTT);
+
+      expect(transcript.text).toBe(
+        '[00:00:01] Priya Shah: Thanks for joining. Churn dropped 30% after onboarding changes. Most of it came from the checklist.\n' +
+        '[00:01:05] Tom Lee: That checklist took a weekend to build.'
+      );
+      expect(transcript.speakers).toEqual(['Priya Shah', 'Tom Lee']);
+      expect(transcript.turns[1]).toMatchObject({ speaker: 'Tom Lee', start: 65, end: 69 });
+    });
+  });
+
+  describe('downloadTranscript', () => {
+    it('should download the VTT file with the download token', async () => {
+      const vtt = await downloadTranscript(`${mockZoom.baseUrl}/rec/download/abc`, DOWNLOAD_TOKEN);
+
+      expect(vtt).toContain('Tom Lee: That checklist took a weekend to build.');
+    });
+
+    it('should report a transcript that is not ready yet', async () => {
+      mockZoom.state.readyAfter = 1;
+
+      await expect(downloadTranscript(`${mockZoom.baseUrl}/rec/download/abc`, DOWNLOAD_TOKEN))
+        .rejects.toBeInstanceOf(TranscriptNotReadyError);
+    });
+
+    it('should fail on a rejected download token', async () => {
+      await expect(downloadTranscript(`${mockZoom.baseUrl}/rec/download/abc`, 'expired'))
+        .rejects.toThrow('Zoom rejected the download token (HTTP 401)');
+    });
+  });
+
+  describe('processZoomTranscriptFetch', () => {
+    const buildJob = (attemptsMade) => ({
+      id: 'job-1',
+      attemptsMade,
+      opts: { attempts: 3 },
+      data: {
+        downloadUrl: `${mockZoom.baseUrl}/rec/download/abc`,
+        downloadToken: DOWNLOAD_TOKEN,
+        title: 'Customer advisory board',
+        metadata: { meeting_id: 8123, duration: 48, platform: 'zoom' },
+        companyId: 42,
+        webhookConfigId: 7,
+        deliveryId: 99,
+        filters: {}
+      }
+    });
+
+    it('should retry until Zoom has the transcript, then store it', async () => {
+      mockZoom.state.readyAfter = 1;
+      query.mockResolvedValue({ rows: [] });
+      addContentJob.mockResolvedValue({ id: 'job-2' });
+
+      const client = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ id: 501, uuid: 'content-uuid' }] })
+          .mockResolvedValueOnce({ rows: [{ id: 601, uuid: 'batch-uuid' }] })
+      };
+      transaction.mockImplementation(async (callback) => callback(client));
+
+      // First attempt: transcript still processing, Bull will retry
+      await expect(processZoomTranscriptFetch(buildJob(0))).rejects.toBeInstanceOf(TranscriptNotReadyError);
+      expect(query.mock.calls.some(([sql]) => sql.includes("status = 'failed'"))).toBe(false);
+
+      // Second attempt: transcript available
+      const result = await processZoomTranscriptFetch(buildJob(1));
+
+      expect(result.contentSourceId).toBe(501);
+
+      const [, contentParams] = client.query.mock.calls[0];
+      expect(contentParams[0]).toBe(42);
+      expect(contentParams[1]).toBe('zoom');
+      expect(contentParams[3]).toContain('Priya Shah: Thanks for joining.');
+      expect(JSON.parse(contentParams[5])).toMatchObject({
+        speakers: ['Priya Shah', 'Tom Lee'],
+        webhook_delivery_id: 99
+      });
+
+      expect(addContentJob).toHaveBeenCalledWith('generate-hooks', { contentSourceId: 501, companyId: 42 });
+    });
+
+    it('should mark the delivery failed after the last attempt', async () => {
+      mockZoom.state.readyAfter = 10;
+      query.mockResolvedValue({ rows: [] });
+
+      await expect(processZoomTranscriptFetch(buildJob(2))).rejects.toBeInstanceOf(TranscriptNotReadyError);
+
+      const failedCall = query.mock.calls.find(([sql]) => sql.includes("status = 'failed'"));
+      expect(failedCall[1][0]).toBe(99);
+      expect(failedCall[1][2]).toBe('Zoom transcript is not ready yet (HTTP 404)');
+    });
+  });
+});
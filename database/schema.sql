@@ -81,7 +81,7 @@ CREATE TABLE content_sources (
     user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
     
     -- Source information
-    source_type VARCHAR(50) NOT NULL, -- webhook, manual, upload
+    source_type VARCHAR(50) NOT NULL, -- webhook, manual, upload, url, feed
     source_name VARCHAR(100), -- read.ai, zoom, manual_input
     
     -- Content
@@ -420,7 +420,7 @@ CREATE TABLE webhook_deliveries (
     headers JSONB,
     
     -- Processing
-    status VARCHAR(50) DEFAULT 'received', -- received, processed, failed
+    status VARCHAR(50) DEFAULT 'received', -- received, processed, failed, filtered
     processing_result JSONB,
     error_message TEXT,
     
@@ -13,10 +13,27 @@ import {
   Calendar,
   TrendingUp,
   Filter,
-  RefreshCw
+  RefreshCw,
+  AlertTriangle,
+  Wand2,
+  ShieldCheck,
+  GitCompare,
+  History
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+// Targeted edits a reviewer can ask the AI for
+const REVISION_EDITS = [
+  { key: 'shorter', label: 'Shorter' },
+  { key: 'less_salesy', label: 'Less salesy' },
+  { key: 'add_cta', label: 'Add CTA' },
+  { key: 'stronger_hook', label: 'Stronger hook' },
+  { key: 'more_casual', label: 'More casual' },
+  { key: 'more_professional', label: 'More professional' },
+  { key: 'fewer_emojis', label: 'Fewer emojis' },
+  { key: 'longer', label: 'Longer' }
+];
+
 const ApprovalDashboard = () => {
   const [posts, setPosts] = useState([]);
   const [selectedPost, setSelectedPost] = useState(null);
@@ -28,6 +45,10 @@ const ApprovalDashboard = () => {
     page: 1
   });
   const [editingPost, setEditingPost] = useState(null);
+  const [lint, setLint] = useState(null);
+  const [revisions, setRevisions] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [historyDiff, setHistoryDiff] = useState(null);
   const [editForm, setEditForm] = useState({
     post_content: '',
     hashtags: [],
@@ -103,12 +124,106 @@ const ApprovalDashboard = () => {
       if (!response.ok) throw new Error('Failed to fetch post details');
       const post = await response.json();
       setSelectedPost(post);
+      setLint(post.brand_voice_lint || null);
+      setRevisions(null);
+      setHistoryDiff(null);
+      fetchHistory(postId);
+      if (post.parent_post_id) {
+        fetchRevisions(postId);
+      }
     } catch (error) {
       toast.error('Failed to fetch post details');
       console.error('Error fetching post details:', error);
     }
   };
 
+  // Revision chain of a post, each draft diffed against the one it revises
+  const fetchRevisions = async (postId) => {
+    try {
+      const token = localStorage.getItem('auth_token');
+      const response = await fetch(`/api/approval/posts/${postId}/revisions`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) throw new Error('Failed to fetch revisions');
+      const data = await response.json();
+      setRevisions(data.revisions);
+    } catch (error) {
+      console.error('Error fetching revisions:', error);
+    }
+  };
+
+  // Every saved version of the post's text
+  const fetchHistory = async (postId) => {
+    try {
+      const token = localStorage.getItem('auth_token');
+      const response = await fetch(`/api/posts/${postId}/history`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        setHistory(null);
+        return;
+      }
+      const data = await response.json();
+      setHistory(data.revisions);
+    } catch (error) {
+      console.error('Error fetching post history:', error);
+    }
+  };
+
+  const showHistoryDiff = async (postId, revisionNumber) => {
+    try {
+      const token = localStorage.getItem('auth_token');
+      const response = await fetch(`/api/posts/${postId}/history/diff?to=${revisionNumber}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) throw new Error('Failed to load changes');
+      setHistoryDiff(await response.json());
+    } catch (error) {
+      toast.error('Failed to load changes');
+      console.error('Error diffing revisions:', error);
+    }
+  };
+
+  const restoreRevision = async (postId, revisionNumber) => {
+    if (!window.confirm(`Restore revision ${revisionNumber}? The current text stays in the history.`)) return;
+
+    try {
+      const token = localStorage.getItem('auth_token');
+      const response = await fetch(`/api/posts/${postId}/history/${revisionNumber}/restore`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({})
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to restore revision');
+      }
+
+      toast.success(`Revision ${revisionNumber} restored`);
+      fetchPosts();
+      fetchPostDetails(postId);
+    } catch (error) {
+      toast.error(error.message);
+      console.error('Error restoring revision:', error);
+    }
+  };
+
   const approvePost = async (postId, autoPublish = false, scheduledFor = null, notes = '') => {
     try {
       const token = localStorage.getItem('auth_token');
@@ -125,19 +240,28 @@ const ApprovalDashboard = () => {
         })
       });
 
-      if (!response.ok) throw new Error('Failed to approve post');
+      // Posts with unsupported claims are refused with the reason
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to approve post');
+      }
       
       toast.success('Post approved successfully');
       fetchPosts();
       fetchStats();
       setSelectedPost(null);
     } catch (error) {
-      toast.error('Failed to approve post');
+      toast.error(error.message);
       console.error('Error approving post:', error);
     }
   };
 
   const rejectPost = async (postId, notes = '', regenerate = false) => {
+    if (regenerate && !notes) {
+      notes = window.prompt('What should the new version change?');
+      if (notes === null) return;
+    }
+
     try {
       const token = localStorage.getItem('auth_token');
       const response = await fetch(`/api/approval/posts/${postId}/reject`, {
@@ -152,14 +276,19 @@ const ApprovalDashboard = () => {
         })
       });
 
-      if (!response.ok) throw new Error('Failed to reject post');
+      // Posts at the revision limit are refused with the reason
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to reject post');
+      }
+      const data = await response.json();
       
-      toast.success(regenerate ? 'Post rejected - regenerating new version' : 'Post rejected');
+      toast.success(data.regeneration_queued ? 'Post rejected - regenerating new version' : data.message);
       fetchPosts();
       fetchStats();
       setSelectedPost(null);
     } catch (error) {
-      toast.error('Failed to reject post');
+      toast.error(error.message);
       console.error('Error rejecting post:', error);
     }
   };
@@ -190,6 +319,119 @@ const ApprovalDashboard = () => {
     }
   };
 
+  // Brand voice findings for a draft; `autofix` holds the draft with the safe fixes applied
+  const lintDraft = async (postId, draft) => {
+    try {
+      const token = localStorage.getItem('auth_token');
+      const response = await fetch(`/api/approval/posts/${postId}/lint`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(draft)
+      });
+
+      if (!response.ok) throw new Error('Failed to check brand voice');
+      const data = await response.json();
+      setLint(data);
+      return data;
+    } catch (error) {
+      toast.error('Failed to check brand voice');
+      console.error('Error linting post:', error);
+      return null;
+    }
+  };
+
+  const autoFixPost = async (postId) => {
+    try {
+      const token = localStorage.getItem('auth_token');
+      const response = await fetch(`/api/approval/posts/${postId}/autofix`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) throw new Error('Failed to auto-fix post');
+      const data = await response.json();
+
+      toast.success(data.message);
+      fetchPosts();
+      fetchPostDetails(postId);
+    } catch (error) {
+      toast.error('Failed to auto-fix post');
+      console.error('Error auto-fixing post:', error);
+    }
+  };
+
+  const requestRevision = async (postId, edits) => {
+    try {
+      const token = localStorage.getItem('auth_token');
+      const response = await fetch(`/api/approval/posts/${postId}/revise`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ edits })
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to request revision');
+      }
+
+      toast.success('Revision requested - the new draft will appear for review');
+      fetchPosts();
+      setSelectedPost(null);
+    } catch (error) {
+      toast.error(error.message);
+      console.error('Error requesting revision:', error);
+    }
+  };
+
+  const resolveClaim = async (postId, claimIndex) => {
+    const note = window.prompt('How did you verify this claim?');
+    if (note === null) return;
+
+    try {
+      const token = localStorage.getItem('auth_token');
+      const response = await fetch(`/api/approval/posts/${postId}/claims/${claimIndex}/resolve`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ note })
+      });
+
+      if (!response.ok) throw new Error('Failed to resolve claim');
+      const data = await response.json();
+
+      toast.success(data.message);
+      setSelectedPost({ ...selectedPost, fact_check: data.fact_check, fact_check_status: data.fact_check.status });
+      fetchPosts();
+    } catch (error) {
+      toast.error('Failed to resolve claim');
+      console.error('Error resolving claim:', error);
+    }
+  };
+
+  const autoFixDraft = async () => {
+    const data = await lintDraft(selectedPost.id, {
+      post_content: editForm.post_content,
+      hashtags: editForm.hashtags
+    });
+    if (!data || data.autofix.applied.length === 0) return;
+
+    const fixed = { ...editForm, post_content: data.autofix.post_content, hashtags: data.autofix.hashtags };
+    setEditForm(fixed);
+    lintDraft(selectedPost.id, { post_content: fixed.post_content, hashtags: fixed.hashtags });
+    toast.success(`Applied ${data.autofix.applied.length} brand voice fixes`);
+  };
+
   const startEdit = (post) => {
     setEditingPost(post.id);
     setEditForm({
@@ -216,11 +458,289 @@ const ApprovalDashboard = () => {
       'pending_approval': 'bg-yellow-100 text-yellow-800',
       'approved': 'bg-green-100 text-green-800',
       'rejected': 'bg-red-100 text-red-800',
+      'regenerating': 'bg-purple-100 text-purple-800',
+      'superseded': 'bg-gray-100 text-gray-500',
       'published': 'bg-blue-100 text-blue-800'
     };
     return colors[status] || 'bg-gray-100 text-gray-800';
   };
 
+  const getSeverityColor = (severity) => {
+    const colors = {
+      'error': 'bg-red-100 text-red-800',
+      'warning': 'bg-yellow-100 text-yellow-800',
+      'info': 'bg-blue-50 text-blue-800'
+    };
+    return colors[severity] || 'bg-gray-100 text-gray-800';
+  };
+
+  // Post text with brand voice findings highlighted inline (overlapping findings show the first)
+  const HighlightedContent = ({ content, findings }) => {
+    const segments = [];
+    let position = 0;
+
+    findings
+      .filter((finding) => finding.field === 'post_content' && finding.start !== null)
+      .forEach((finding) => {
+        if (finding.start < position) return;
+        if (finding.start > position) {
+          segments.push({ text: content.slice(position, finding.start) });
+        }
+        segments.push({ text: content.slice(finding.start, finding.end), finding });
+        position = finding.end;
+      });
+    segments.push({ text: content.slice(position) });
+
+    return (
+      <p className="text-gray-900 whitespace-pre-wrap mb-4">
+        {segments.map((segment, idx) => segment.finding ? (
+          <mark
+            key={idx}
+            className={`rounded px-0.5 ${getSeverityColor(segment.finding.severity)}`}
+            title={`${segment.finding.message}. ${segment.finding.suggestion}`}
+          >
+            {segment.text}
+          </mark>
+        ) : (
+          <React.Fragment key={idx}>{segment.text}</React.Fragment>
+        ))}
+      </p>
+    );
+  };
+
+  const BrandVoicePanel = ({ editing }) => {
+    if (!lint) return null;
+
+    return (
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold">Brand Voice</h3>
+          <div className="flex items-center space-x-2 text-sm">
+            <span className="text-red-700">{lint.summary.errors} errors</span>
+            <span className="text-yellow-700">{lint.summary.warnings} warnings</span>
+            <span className="text-gray-500">Grade {lint.stats.reading_grade}</span>
+          </div>
+        </div>
+
+        {lint.findings.length === 0 ? (
+          <p className="text-sm text-gray-500">No brand voice issues found</p>
+        ) : (
+          <div className="space-y-2 mb-3">
+            {lint.findings.map((finding, idx) => (
+              <div key={idx} className="flex items-start space-x-2 p-2 bg-gray-50 rounded-lg text-sm">
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getSeverityColor(finding.severity)}`}>
+                  {finding.rule.replace('_', ' ')}
+                </span>
+                <div className="flex-1">
+                  <p className="text-gray-900">{finding.message}</p>
+                  <p className="text-gray-500">
+                    {finding.suggestion}
+                    {finding.fixable && <span className="ml-1 text-green-700">(auto-fixable)</span>}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex space-x-2">
+          {editing && (
+            <button
+              onClick={() => lintDraft(selectedPost.id, { post_content: editForm.post_content, hashtags: editForm.hashtags })}
+              className="flex items-center space-x-2 px-3 py-2 border border-gray-300 rounded-md hover:bg-gray-50 text-sm"
+            >
+              <AlertTriangle className="w-4 h-4" />
+              <span>Check Draft</span>
+            </button>
+          )}
+          {lint.summary.fixable > 0 && (editing || selectedPost.status !== 'published') && (
+            <button
+              onClick={() => editing ? autoFixDraft() : autoFixPost(selectedPost.id)}
+              className="flex items-center space-x-2 px-3 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 text-sm"
+            >
+              <Wand2 className="w-4 h-4" />
+              <span>Apply {lint.summary.fixable} Safe Fixes</span>
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // Numbers, names and quotes the source transcript does not support
+  const FactCheckPanel = () => {
+    const factCheck = selectedPost.fact_check;
+    if (!factCheck) return null;
+
+    const unsupported = factCheck.claims.filter((claim) => !claim.supported);
+
+    return (
+      <div className="mb-6">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-semibold">Fact Check</h3>
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+            factCheck.status === 'unsupported' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
+          }`}>
+            {factCheck.status === 'unsupported' ? `${factCheck.unsupported} unsupported` : factCheck.status}
+          </span>
+        </div>
+
+        {!factCheck.source_available && (
+          <p className="text-sm text-yellow-700 mb-2">The source transcript is unavailable; claims were checked against the hook quote only</p>
+        )}
+
+        {unsupported.length === 0 ? (
+          <p className="text-sm text-gray-500">All {factCheck.claims.length} claims are supported by the source</p>
+        ) : (
+          <div className="space-y-2">
+            {unsupported.map((claim) => (
+              <div key={claim.index} className="flex items-start space-x-2 p-2 bg-gray-50 rounded-lg text-sm">
+                <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-200 text-gray-700">{claim.type}</span>
+                <div className="flex-1">
+                  <p className="text-gray-900">"{claim.text}"</p>
+                  {claim.resolution ? (
+                    <p className="text-green-700">Verified{claim.resolution.note ? `: ${claim.resolution.note}` : ''}</p>
+                  ) : (
+                    <p className="text-gray-500">Not found in the transcript, hook quote or knowledge base</p>
+                  )}
+                </div>
+                {!claim.resolution && (
+                  <button
+                    onClick={() => resolveClaim(selectedPost.id, claim.index)}
+                    className="flex items-center space-x-1 px-2 py-1 border border-gray-300 rounded-md hover:bg-white text-xs"
+                  >
+                    <ShieldCheck className="w-3 h-3" />
+                    <span>Verify</span>
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // The previous draft beside this one, with removed and added words highlighted
+  const RevisionPanel = () => {
+    const current = revisions?.find((draft) => draft.id === selectedPost.id);
+
+    return (
+      <div className="mb-6">
+        {current?.diff && (
+          <>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-semibold">Changes from Draft {current.draft_version - 1}</h3>
+              <span className="text-sm text-gray-500">
+                +{current.diff.stats.added_words} / -{current.diff.stats.removed_words} words
+              </span>
+            </div>
+            {current.revision_request && (current.revision_request.notes || current.revision_request.edits?.length > 0) && (
+              <p className="text-sm text-gray-600 mb-2">
+                Requested: {[
+                  ...(current.revision_request.edits || []).map((edit) => REVISION_EDITS.find((option) => option.key === edit)?.label || edit),
+                  current.revision_request.notes
+                ].filter(Boolean).join(' · ')}
+              </p>
+            )}
+            <div className="grid grid-cols-2 gap-2 mb-4 text-sm">
+              <div className="p-3 bg-gray-50 rounded-lg whitespace-pre-wrap">
+                {current.diff.runs.filter((run) => run.type !== 'added').map((run, idx) => (
+                  <span key={idx} className={run.type === 'removed' ? 'bg-red-100 text-red-800 line-through' : ''}>{run.text}</span>
+                ))}
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg whitespace-pre-wrap">
+                {current.diff.runs.filter((run) => run.type !== 'removed').map((run, idx) => (
+                  <span key={idx} className={run.type === 'added' ? 'bg-green-100 text-green-800' : ''}>{run.text}</span>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+
+        {selectedPost.status === 'pending_approval' && (
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Ask for a new version</p>
+            <div className="flex flex-wrap gap-2">
+              {REVISION_EDITS.map((edit) => (
+                <button
+                  key={edit.key}
+                  onClick={() => requestRevision(selectedPost.id, [edit.key])}
+                  className="flex items-center space-x-1 px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 text-sm"
+                >
+                  <GitCompare className="w-3 h-3" />
+                  <span>{edit.label}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Versions of the post's text, newest first, with the changes each one made
+  const HistoryPanel = () => {
+    if (!history || history.length < 2) return null;
+
+    const latest = history[history.length - 1].revision_number;
+
+    return (
+      <div className="mb-6">
+        <h3 className="text-lg font-semibold mb-3">History</h3>
+        <div className="space-y-2">
+          {[...history].reverse().map((revision) => (
+            <div key={revision.id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg text-sm">
+              <div>
+                <span className="font-medium">v{revision.revision_number}</span>
+                <span className="text-gray-600">
+                  {' '}{revision.reason}{revision.restored_from ? ` v${revision.restored_from}` : ''} by{' '}
+                  {revision.author_type === 'ai' ? 'AI' : revision.author_name || 'a reviewer'}
+                </span>
+                <span className="text-gray-400"> · {formatDate(revision.created_at)}</span>
+              </div>
+              <div className="flex space-x-2">
+                {revision.revision_number > 1 && (
+                  <button
+                    onClick={() => showHistoryDiff(selectedPost.id, revision.revision_number)}
+                    className="px-2 py-1 border border-gray-300 rounded-md hover:bg-white text-xs"
+                  >
+                    Changes
+                  </button>
+                )}
+                {revision.revision_number !== latest && (
+                  <button
+                    onClick={() => restoreRevision(selectedPost.id, revision.revision_number)}
+                    className="flex items-center space-x-1 px-2 py-1 border border-gray-300 rounded-md hover:bg-white text-xs"
+                  >
+                    <History className="w-3 h-3" />
+                    <span>Restore</span>
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {historyDiff && (
+          <div className="mt-3 p-3 bg-gray-50 rounded-lg text-sm whitespace-pre-wrap">
+            <p className="text-xs text-gray-500 mb-2">
+              v{historyDiff.from.revision_number} → v{historyDiff.to.revision_number}: +{historyDiff.stats.added_words} / -{historyDiff.stats.removed_words} words
+            </p>
+            {historyDiff.runs.map((run, idx) => (
+              <span
+                key={idx}
+                className={run.type === 'added' ? 'bg-green-100 text-green-800' : run.type === 'removed' ? 'bg-red-100 text-red-800 line-through' : ''}
+              >
+                {run.text}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   const PostCard = ({ post }) => (
     <div className="bg-white rounded-lg border border-gray-200 p-6 hover:shadow-md transition-shadow">
       <div className="flex justify-between items-start mb-4">
@@ -233,6 +753,11 @@ const ApprovalDashboard = () => {
               {post.content_type.replace('_', ' ').toUpperCase()}
             </span>
           )}
+          {post.draft_version > 1 && (
+            <span className="px-2 py-1 bg-purple-100 text-purple-800 rounded-full text-xs">
+              DRAFT {post.draft_version}
+            </span>
+          )}
         </div>
         <div className="flex items-center space-x-1 text-sm text-gray-500">
           <TrendingUp className="w-4 h-4" />
@@ -292,7 +817,9 @@ const ApprovalDashboard = () => {
           <>
             <button
               onClick={() => approvePost(post.id)}
-              className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+              disabled={post.fact_check_status === 'unsupported'}
+              title={post.fact_check_status === 'unsupported' ? 'Resolve the unsupported claims first' : undefined}
+              className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
             >
               <CheckCircle className="w-4 h-4" />
               <span>Approve</span>
@@ -373,7 +900,10 @@ const ApprovalDashboard = () => {
                           Save Changes
                         </button>
                         <button
-                          onClick={() => setEditingPost(null)}
+                          onClick={() => {
+                            setEditingPost(null);
+                            setLint(selectedPost.brand_voice_lint || null);
+                          }}
                           className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
                         >
                           Cancel
@@ -382,7 +912,11 @@ const ApprovalDashboard = () => {
                     </div>
                   ) : (
                     <div>
-                      <p className="text-gray-900 whitespace-pre-wrap mb-4">{selectedPost.post_content}</p>
+                      {lint ? (
+                        <HighlightedContent content={selectedPost.post_content} findings={lint.findings} />
+                      ) : (
+                        <p className="text-gray-900 whitespace-pre-wrap mb-4">{selectedPost.post_content}</p>
+                      )}
                       
                       {selectedPost.hashtags && selectedPost.hashtags.length > 0 && (
                         <div className="flex flex-wrap gap-2 mb-4">
@@ -412,6 +946,14 @@ const ApprovalDashboard = () => {
                   )}
                 </div>
 
+                <BrandVoicePanel editing={editingPost === selectedPost.id} />
+
+                <FactCheckPanel />
+
+                <RevisionPanel />
+
+                <HistoryPanel />
+
                 {selectedPost.hooks && selectedPost.hooks.length > 0 && (
                   <div className="mb-6">
                     <h3 className="text-lg font-semibold mb-3">Marketing Hooks</h3>
@@ -466,7 +1008,8 @@ const ApprovalDashboard = () => {
                   <div className="space-y-3">
                     <button
                       onClick={() => approvePost(selectedPost.id)}
-                      className="w-full flex items-center justify-center space-x-2 px-4 py-3 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors"
+                      disabled={selectedPost.fact_check_status === 'unsupported'}
+                      className="w-full flex items-center justify-center space-x-2 px-4 py-3 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                     >
                       <CheckCircle className="w-5 h-5" />
                       <span>Approve Post</span>
@@ -474,7 +1017,8 @@ const ApprovalDashboard = () => {
                     
                     <button
                       onClick={() => approvePost(selectedPost.id, true, new Date(Date.now() + 60000).toISOString())}
-                      className="w-full flex items-center justify-center space-x-2 px-4 py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+                      disabled={selectedPost.fact_check_status === 'unsupported'}
+                      className="w-full flex items-center justify-center space-x-2 px-4 py-3 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                     >
                       <Calendar className="w-5 h-5" />
                       <span>Approve & Auto-Publish</span>
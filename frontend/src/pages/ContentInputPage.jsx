@@ -114,7 +114,10 @@ const ContentInputPage = () => {
       'text/plain': ['.txt'],
       'application/pdf': ['.pdf'],
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
-      'text/markdown': ['.md']
+      'text/markdown': ['.md'],
+      'text/vtt': ['.vtt'],
+      'application/x-subrip': ['.srt'],
+      'application/json': ['.json']
     },
     maxFiles: 1,
     maxSize: 10 * 1024 * 1024, // 10MB
@@ -128,6 +131,13 @@ const ContentInputPage = () => {
       if (acceptedFiles.length > 0) {
         const file = acceptedFiles[0]
         setUploadedFiles([file])
+
+        // Documents and transcripts are parsed by the server when the form is submitted
+        if (isServerParsedFile(file)) {
+          setContent('')
+          toast.success(`File ready: ${file.name}`)
+          return
+        }
         
         // Extract text content from file
         try {
@@ -141,27 +151,30 @@ const ContentInputPage = () => {
     }
   })
 
+  // Start tracking a processing batch once content is accepted
+  const handleProcessingStarted = (response) => {
+    const { batch_id } = response.data
+    toast.success('Content submitted successfully!')
+    
+    // Start polling for processing status
+    setProcessingStatus({
+      batchId: batch_id,
+      status: 'processing',
+      step: 'initializing',
+      progress: 0
+    })
+    
+    // Navigate to approval page after processing
+    setTimeout(() => {
+      navigate(`/approval?batch=${batch_id}`)
+    }, 2000)
+  }
+
   // Content submission mutation
   const submitContentMutation = useMutation(
     (contentData) => contentAPI.submitManual(contentData),
     {
-      onSuccess: (response) => {
-        const { batch_id } = response.data
-        toast.success('Content submitted successfully!')
-        
-        // Start polling for processing status
-        setProcessingStatus({
-          batchId: batch_id,
-          status: 'processing',
-          step: 'initializing',
-          progress: 0
-        })
-        
-        // Navigate to approval page after processing
-        setTimeout(() => {
-          navigate(`/approval?batch=${batch_id}`)
-        }, 2000)
-      },
+      onSuccess: handleProcessingStarted,
       onError: (error) => {
         const message = error.response?.data?.error?.message || 'Failed to submit content'
         toast.error(message)
@@ -169,6 +182,22 @@ const ContentInputPage = () => {
     }
   )
 
+  // File upload mutation - the server extracts PDF/DOCX text and transcript speaker turns
+  const uploadFileMutation = useMutation(
+    (file) => contentAPI.uploadFile(file),
+    {
+      onSuccess: handleProcessingStarted,
+      onError: (error) => {
+        const message = error.response?.data?.error || 'Failed to process uploaded file'
+        toast.error(message)
+      }
+    }
+  )
+
+  const isSubmitting = submitContentMutation.isLoading || uploadFileMutation.isLoading
+
+  const isServerParsedFile = (file) => /\.(pdf|docx|vtt|srt|json)$/i.test(file.name)
+
   // Extract text from file
   const extractTextFromFile = async (file) => {
     const fileType = file.type || file.name.split('.').pop()
@@ -177,22 +206,17 @@ const ContentInputPage = () => {
       return await file.text()
     }
     
-    if (fileType === 'application/pdf' || file.name.endsWith('.pdf')) {
-      // For now, just return a placeholder - PDF parsing would be done on backend
-      throw new Error('PDF parsing not implemented yet - please paste text content instead')
-    }
-    
-    if (file.name.endsWith('.docx')) {
-      // For now, just return a placeholder - DOCX parsing would be done on backend
-      throw new Error('DOCX parsing not implemented yet - please paste text content instead')
-    }
-    
     throw new Error('Unsupported file type')
   }
 
   // Handle form submission
   const handleSubmit = (e) => {
     e.preventDefault()
+
+    if (uploadedFiles.length > 0 && isServerParsedFile(uploadedFiles[0])) {
+      uploadFileMutation.mutate(uploadedFiles[0])
+      return
+    }
     
     if (!content.trim()) {
       toast.error('Please provide content or upload a file')
@@ -290,7 +314,7 @@ const ContentInputPage = () => {
             value={contentType}
             onChange={(e) => setContentType(e.target.value)}
             className="input-field"
-            disabled={submitContentMutation.isLoading}
+            disabled={isSubmitting}
           >
             <option value="meeting_transcript">Meeting Transcript</option>
             <option value="sales_call">Sales Call</option>
@@ -312,7 +336,7 @@ const ContentInputPage = () => {
             onChange={(e) => setTitle(e.target.value)}
             placeholder="Give your content a descriptive title..."
             className="input-field"
-            disabled={submitContentMutation.isLoading}
+            disabled={isSubmitting}
           />
         </div>
 
@@ -329,7 +353,7 @@ const ContentInputPage = () => {
               placeholder="Paste your meeting transcript, notes, or any text content here..."
               rows={15}
               className="input-field resize-none"
-              disabled={submitContentMutation.isLoading}
+              disabled={isSubmitting}
             />
             <div className="mt-2 text-sm text-gray-500 flex justify-between">
               <span>{content.length} characters</span>
@@ -359,7 +383,7 @@ const ContentInputPage = () => {
                     type="button"
                     onClick={removeFile}
                     className="text-red-600 hover:text-red-800"
-                    disabled={submitContentMutation.isLoading}
+                    disabled={isSubmitting}
                   >
                     <Trash2 className="w-4 h-4" />
                   </button>
@@ -377,12 +401,12 @@ const ContentInputPage = () => {
                     {isDragActive ? 'Drop the file here' : 'Drag & drop a file here'}
                   </p>
                   <p className="text-sm text-gray-600 mb-4">
-                    Supports: .txt, .docx, .pdf, .md
+                    Supports: .txt, .docx, .pdf, .md, .vtt, .srt, .json
                   </p>
                   <button
                     type="button"
                     className="btn-outline"
-                    disabled={submitContentMutation.isLoading}
+                    disabled={isSubmitting}
                   >
                     Browse Files
                   </button>
@@ -402,7 +426,7 @@ const ContentInputPage = () => {
               type="button"
               onClick={handleClear}
               className="btn-secondary"
-              disabled={submitContentMutation.isLoading}
+              disabled={isSubmitting}
             >
               <Trash2 className="w-4 h-4 mr-2" />
               Clear
@@ -412,9 +436,9 @@ const ContentInputPage = () => {
           <button
             type="submit"
             className="btn-primary flex items-center px-8 py-3 text-lg"
-            disabled={!content.trim() || submitContentMutation.isLoading}
+            disabled={(!content.trim() && uploadedFiles.length === 0) || isSubmitting}
           >
-            {submitContentMutation.isLoading ? (
+            {isSubmitting ? (
               <>
                 <LoadingSpinner className="mr-3" />
                 Marketing Machine is Working...
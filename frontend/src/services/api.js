@@ -83,11 +83,24 @@ export const companyAPI = {
   update: (data) => api.put('/companies/current', data),
   getProfile: () => api.get('/companies/profile'),
   updateProfile: (data) => api.put('/companies/profile', data),
+  analyzeVoice: (data) => api.post('/companies/current/voice-analysis', data),
+  uploadVoicePosts: (file, source) => {
+    const formData = new FormData()
+    formData.append('file', file)
+    if (source) formData.append('source', source)
+    return api.post('/companies/current/voice-analysis', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    })
+  },
+  getVoiceAnalysis: () => api.get('/companies/current/voice-analysis'),
+  acceptVoiceAnalysis: (id, edits = {}) => api.post(`/companies/current/voice-analysis/${id}/accept`, edits),
+  dismissVoiceAnalysis: (id) => api.post(`/companies/current/voice-analysis/${id}/dismiss`),
 }
 
 export const contentAPI = {
   // Manual content submission
   submitManual: (data) => api.post('/content/manual', data),
+  submitUrl: (data) => api.post('/content/url', data),
   
   // Content processing
   getProcessingStatus: (id) => api.get(`/content/processing/${id}`),
@@ -97,6 +110,9 @@ export const contentAPI = {
   // Generated content
   getHooks: (batchId) => api.get(`/content/hooks/${batchId}`),
   getPosts: (batchId) => api.get(`/content/posts/${batchId}`),
+
+  // Personal and confidential details hidden from the LLM for a batch, masked
+  getRedactions: (batchId) => api.get(`/content/processing/${batchId}/redactions`),
   
   // File upload
   uploadFile: (file, onUploadProgress) => {
@@ -150,6 +166,24 @@ export const approvalAPI = {
   // Bulk actions
   bulkApprove: (postIds) => api.post('/approval/bulk/approve', { postIds }),
   bulkReject: (postIds, feedback) => api.post('/approval/bulk/reject', { postIds, feedback }),
+
+  // Brand voice findings for a post or a { post_content, hashtags } draft, and saved safe fixes
+  lintPost: (postId, draft = {}) => api.post(`/approval/posts/${postId}/lint`, draft),
+  autoFixPost: (postId) => api.post(`/approval/posts/${postId}/autofix`),
+
+  // Numbers, names and quotes the source does not support; verified claims stop blocking approval
+  factCheckPost: (postId) => api.post(`/approval/posts/${postId}/fact-check`),
+  resolveClaim: (postId, claimIndex, note) => api.post(`/approval/posts/${postId}/claims/${claimIndex}/resolve`, { note }),
+
+  // Rewrites from reviewer feedback, stored as child drafts diffed against the draft they revise
+  revisePost: (postId, edits, notes = null) => api.post(`/approval/posts/${postId}/revise`, { edits, notes }),
+  getRevisions: (postId) => api.get(`/approval/posts/${postId}/revisions`),
+
+  // Content variants (X threads, blog posts, newsletters, carousel scripts)
+  getPendingVariants: (format) => api.get('/approval/variants/pending', { params: { format } }),
+  approveVariant: (variantId, notes = null) => api.post(`/approval/variants/${variantId}/approve`, { notes }),
+  rejectVariant: (variantId, notes) => api.post(`/approval/variants/${variantId}/reject`, { notes }),
+  editVariant: (variantId, content, notes) => api.put(`/approval/variants/${variantId}`, { content, notes }),
 }
 
 export const publishingAPI = {
@@ -194,7 +228,83 @@ export const webhookAPI = {
   testWebhook: (configId) => api.post(`/webhooks/test/${configId}`),
   
   // Delivery history
-  getDeliveries: (configId) => api.get(`/webhooks/deliveries/${configId}`),
+  getDeliveries: (configId, params = {}) => api.get(`/webhooks/deliveries/${configId}`, { params }),
+  replayDelivery: (deliveryId) => api.post(`/webhooks/deliveries/${deliveryId}/replay`),
+  replayFailedDeliveries: (data = {}) => api.post('/webhooks/deliveries/replay-failed', data),
+}
+
+export const feedAPI = {
+  // Feed subscriptions
+  getFeeds: () => api.get('/feeds'),
+  createFeed: (data) => api.post('/feeds', data),
+  updateFeed: (id, data) => api.put(`/feeds/${id}`, data),
+  deleteFeed: (id) => api.delete(`/feeds/${id}`),
+
+  // Polling and item history
+  pollFeed: (id) => api.post(`/feeds/${id}/poll`),
+  getItems: (id, params = {}) => api.get(`/feeds/${id}/items`, { params }),
+}
+
+export const knowledgeAPI = {
+  // Knowledge entries
+  getEntries: (params = {}) => api.get('/knowledge', { params }),
+  getEntry: (id) => api.get(`/knowledge/${id}`),
+  createEntry: (data) => api.post('/knowledge', data),
+  updateEntry: (id, data) => api.put(`/knowledge/${id}`, data),
+  deleteEntry: (id) => api.delete(`/knowledge/${id}`),
+
+  // Embedding and retrieval
+  reembed: (id) => api.post(`/knowledge/${id}/embed`),
+  search: (queryText, limit) => api.post('/knowledge/search', { query: queryText, limit }),
+}
+
+export const promptsAPI = {
+  getTemplates: () => api.get('/prompts'),
+  getTemplate: (name) => api.get(`/prompts/${name}`),
+  updateOverrides: (name, sections, description) => api.put(`/prompts/${name}/overrides`, { sections, description }),
+  getPerformance: (name, days = 90) => api.get(`/prompts/${name}/performance`, { params: { days } }),
+}
+
+export const variantsAPI = {
+  generateVariants: (hookIds, formats) => api.post('/variants/generate', { hook_ids: hookIds, formats }),
+  getVariants: (params = {}) => api.get('/variants', { params }),
+  getVariant: (id) => api.get(`/variants/${id}`),
+  deleteVariant: (id) => api.delete(`/variants/${id}`),
+}
+
+export const carouselsAPI = {
+  generateFromPost: (postId) => api.post('/carousels/generate', { post_id: postId }),
+  generateFromHook: (hookId) => api.post('/carousels/generate', { hook_id: hookId }),
+  getCarousels: (params = {}) => api.get('/carousels', { params }),
+  getCarousel: (id) => api.get(`/carousels/${id}`),
+  downloadPdf: (id) => api.get(`/carousels/${id}/pdf`, { responseType: 'blob' }),
+  updateCarousel: (id, data) => api.put(`/carousels/${id}`, data),
+  attachToPost: (id, postId) => api.post(`/carousels/${id}/attach`, { post_id: postId }),
+  detachFromPost: (id, postId) => api.delete(`/carousels/${id}/attach/${postId}`),
+  deleteCarousel: (id) => api.delete(`/carousels/${id}`),
+}
+
+export const experimentsAPI = {
+  getExperiments: () => api.get('/experiments'),
+  getExperiment: (id) => api.get(`/experiments/${id}`),
+  createExperiment: (data) => api.post('/experiments', data),
+  stopExperiment: (id) => api.post(`/experiments/${id}/stop`),
+  promoteVariant: (id, variant, force = false) => api.post(`/experiments/${id}/promote`, { variant, force }),
+}
+
+export const exemplarsAPI = {
+  getExemplars: (params = {}) => api.get('/exemplars', { params }),
+  pinExemplar: (postId, note) => api.put(`/exemplars/${postId}`, { status: 'pinned', note }),
+  excludeExemplar: (postId, note) => api.put(`/exemplars/${postId}`, { status: 'excluded', note }),
+  clearExemplar: (postId) => api.delete(`/exemplars/${postId}`),
+}
+
+export const postsAPI = {
+  // Every version of a post's text: the AI draft, human edits and restores
+  getHistory: (postId) => api.get(`/posts/${postId}/history`),
+  diffRevisions: (postId, from, to) => api.get(`/posts/${postId}/history/diff`, { params: { from, to } }),
+  restoreRevision: (postId, revisionNumber, notes) => api.post(`/posts/${postId}/history/${revisionNumber}/restore`, { notes }),
+  getEditAnalytics: (days = 30) => api.get('/posts/analytics/edits', { params: { days } }),
 }
 
 // Health check (use root endpoint which has more detailed health info)